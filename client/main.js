@@ -2,16 +2,23 @@ import PreloadScene from './scenes/PreloadScene.js';
 import MenuScene from './scenes/MenuScene.js';
 import SettingsScene from './scenes/SettingsScene.js';
 import HelpScene from './scenes/HelpScene.js';
+import CodexScene from './scenes/CodexScene.js';
 import ChangelogScene from './scenes/ChangelogScene.js';
 import AchievementsScene from './scenes/AchievementsScene.js';
 import PlayModeScene from './scenes/PlayModeScene.js';
+import TutorialMenuScene from './scenes/TutorialMenuScene.js';
+import TutorialScene from './scenes/TutorialScene.js';
 import LocalMenuScene from './scenes/LocalMenuScene.js';
 import LocalLoadoutScene from './scenes/LocalLoadoutScene.js';
 import LocalConfigScene from './scenes/LocalConfigScene.js';
 import LocalGameScene from './scenes/LocalGameScene.js';
 import LocalPostGameScene from './scenes/LocalPostGameScene.js';
+import ReplayScene from './scenes/ReplayScene.js';
 import LocalChallengesScene from './scenes/LocalChallengesScene.js';
 import LocalChallengeConfigScene from './scenes/LocalChallengeConfigScene.js';
+import TournamentScene from './scenes/TournamentScene.js';
+import UnitEditorScene from './scenes/UnitEditorScene.js';
+import SandboxScene from './scenes/SandboxScene.js';
 import OnlineMenuScene from './scenes/OnlineMenuScene.js';
 import OnlineAccountScene from './scenes/OnlineAccountScene.js';
 import OnlineLoadoutScene from './scenes/OnlineLoadoutScene.js';
@@ -19,6 +26,7 @@ import OnlineConfigScene from './scenes/OnlineConfigScene.js';
 import OnlineLobbyScene from './scenes/OnlineLobbyScene.js';
 import OnlineGameScene from './scenes/OnlineGameScene.js';
 import OnlinePostGameScene from './scenes/OnlinePostGameScene.js';
+import LeaderboardScene from './scenes/LeaderboardScene.js';
 
 const config = {
     type: Phaser.AUTO,
@@ -34,16 +42,23 @@ const config = {
         MenuScene,
         SettingsScene,
 		HelpScene,
+		CodexScene,
         ChangelogScene,
 		AchievementsScene,
         PlayModeScene,
+        TutorialMenuScene,
+        TutorialScene,
         LocalMenuScene,
         LocalLoadoutScene,
         LocalConfigScene,
         LocalGameScene,
         LocalPostGameScene,
+        ReplayScene,
 		LocalChallengesScene,
 		LocalChallengeConfigScene,
+        TournamentScene,
+        UnitEditorScene,
+        SandboxScene,
         OnlineMenuScene,
         OnlineAccountScene,
         OnlineLoadoutScene,
@@ -51,6 +66,7 @@ const config = {
         OnlineLobbyScene,
         OnlineGameScene,
         OnlinePostGameScene,
+        LeaderboardScene,
     ]
 };
 
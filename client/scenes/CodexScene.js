@@ -0,0 +1,207 @@
+import GlobalAchievements from '../utils/AchievementsManager.js';
+import GlobalAudio from '../utils/AudioManager.js';
+import GlobalBackground from '../utils/BackgroundManager.js';
+import { DEBUG_MODE } from '../utils/DebugManager.js';
+import ErrorHandler from '../utils/ErrorManager.js';
+import GlobalLocalization from '../utils/LocalizationManager.js';
+import UnitCodex, { CODEX_KINDS } from '../utils/UnitCodex.js';
+import SpriteFactory from '../utils/factories/SpriteFactory.js';
+
+const PIXEL_FONT = '"Press Start 2P", cursive';
+const PAGE_SIZE = 22;
+const LIST_X = 60;
+const LIST_Y = 180;
+const LIST_SPACING = 30;
+const PREVIEW_X = 500;
+const PREVIEW_Y = 290;
+const PREVIEW_SCALE = 2;
+const DETAIL_X = 620;
+const DETAIL_WIDTH = 600;
+
+/**
+ * CodexScene - Browse every defence, monster and puddle
+ * Each entry shows its localized name, class and description, base stats, a looping idle preview and
+ * one line per ability; the ability text is generated from the definition (see UnitCodex).
+ */
+export default class CodexScene extends Phaser.Scene {
+    constructor() {
+        super('CodexScene');
+        this.kind = 'defence';
+        this.page = 0;
+        this.selected = null;
+        this._entries = [];
+        this._returnScene = 'HelpScene';
+        this._preview = null;
+        this._previewToken = 0;
+    }
+
+    init(data = {}) {
+        this._returnScene = data.returnScene || 'HelpScene';
+        if (CODEX_KINDS.includes(data.kind)) this.kind = data.kind;
+    }
+
+    create() {
+        try {
+          ErrorHandler.setScene(this);
+        } catch (e) {}
+        try {
+          GlobalBackground.registerScene(this, { key: 'bg', useImageIfAvailable: true });
+        } catch (e) {}
+        try {
+          GlobalAchievements.registerScene(this);
+        } catch (e) {}
+        this._t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        this._fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
+        this._preview = null;
+        this._listTexts = [];
+
+        this.add.text(640, 60, this._t('CODEX_TITLE', 'Codex'), { fontSize: '36px', fontFamily: PIXEL_FONT }).setOrigin(0.5);
+        this._createTabs();
+        this._createDetailPanel();
+
+        this.pageText = this.add.text(LIST_X + 130, LIST_Y + PAGE_SIZE * LIST_SPACING + 10, '', { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#aaaaaa' }).setOrigin(0.5, 0);
+        this.prevBtn = this._makeButton(LIST_X + 20, this.pageText.y, '<', () => this._setPage(this.page - 1));
+        this.nextBtn = this._makeButton(LIST_X + 240, this.pageText.y, '>', () => this._setPage(this.page + 1));
+
+        const goBack = () => {
+            GlobalAudio.playButton(this);
+            this.scene.start(this._returnScene);
+        };
+        this.add.text(80, 900, this._t('UI_BACK', '<- BACK'), { fontSize: '16px', fontFamily: PIXEL_FONT, color: '#ff6666' })
+            .setOrigin(0.5)
+            .setInteractive()
+            .on('pointerdown', goBack);
+        this.input.keyboard.on('keydown-ESC', goBack);
+        this.input.keyboard.on('keydown-UP', () => this._moveSelection(-1));
+        this.input.keyboard.on('keydown-DOWN', () => this._moveSelection(1));
+
+        this._setKind(this.kind);
+    }
+
+    _makeButton(x, y, label, onClick) {
+        return this.add.text(x, y, label, { fontSize: '14px', fontFamily: PIXEL_FONT, color: '#ffaa44' })
+            .setOrigin(0.5, 0)
+            .setInteractive()
+            .on('pointerdown', () => {
+                GlobalAudio.playButton(this);
+                onClick();
+            });
+    }
+
+    _createTabs() {
+        const labels = {
+            defence: this._t('CODEX_TAB_DEFENCES', 'Defences'),
+            monster: this._t('CODEX_TAB_MONSTERS', 'Monsters'),
+            puddle: this._t('CODEX_TAB_PUDDLES', 'Puddles')
+        };
+        this._tabs = {};
+        CODEX_KINDS.forEach((kind, i) => {
+            this._tabs[kind] = this._makeButton(440 + i * 200, 110, labels[kind], () => this._setKind(kind));
+        });
+    }
+
+    _createDetailPanel() {
+        this.add.rectangle(PREVIEW_X, PREVIEW_Y, 170, 170, 0x000000, 0.4).setStrokeStyle(2, 0x444444);
+        this.nameText = this.add.text(DETAIL_X, 210, '', { fontSize: '20px', fontFamily: PIXEL_FONT, color: '#ffff66', wordWrap: { width: DETAIL_WIDTH } });
+        this.classText = this.add.text(DETAIL_X, 250, '', { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#ffaa44' });
+        this.descText = this.add.text(DETAIL_X, 280, '', { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#ffffff', lineSpacing: 6, wordWrap: { width: DETAIL_WIDTH } });
+        this.statsText = this.add.text(420, 400, '', { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#88ddff', lineSpacing: 6, wordWrap: { width: 800 } });
+        this.abilitiesTitle = this.add.text(420, 450, this._t('CODEX_ABILITIES', 'Abilities'), { fontSize: '14px', fontFamily: PIXEL_FONT, color: '#ffff66' });
+        this.abilitiesText = this.add.text(420, 480, '', { fontSize: '11px', fontFamily: PIXEL_FONT, color: '#ffffff', lineSpacing: 8, wordWrap: { width: 800 } });
+    }
+
+    _setKind(kind) {
+        this.kind = kind;
+        this._entries = UnitCodex.getEntries(kind);
+        Object.entries(this._tabs).forEach(([k, tab]) => tab.setColor(k === kind ? '#ffff66' : '#ffaa44'));
+        this._setPage(0);
+        this._select(this._entries[0] || null);
+    }
+
+    _setPage(page) {
+        const pages = Math.max(1, Math.ceil(this._entries.length / PAGE_SIZE));
+        this.page = Math.max(0, Math.min(pages - 1, page));
+        this._renderList();
+        this.pageText.setText(pages > 1 ? this._fmt('CODEX_PAGE', '{0} / {1}', this.page + 1, pages) : '');
+        this.prevBtn.setVisible(this.page > 0);
+        this.nextBtn.setVisible(this.page < pages - 1);
+    }
+
+    _renderList() {
+        this._listTexts.forEach(txt => txt.destroy());
+        this._listTexts = [];
+        const start = this.page * PAGE_SIZE;
+        this._entries.slice(start, start + PAGE_SIZE).forEach((entry, i) => {
+            const txt = this.add.text(LIST_X, LIST_Y + i * LIST_SPACING, UnitCodex.getName(entry), {
+                fontSize: '12px',
+                fontFamily: PIXEL_FONT,
+                color: entry === this.selected ? '#ffff66' : '#cccccc'
+            }).setInteractive();
+            txt.on('pointerdown', () => {
+                GlobalAudio.playButton(this);
+                this._select(entry);
+            });
+            this._listTexts.push(txt);
+        });
+        if (!this._entries.length) {
+            this._listTexts.push(this.add.text(LIST_X, LIST_Y, this._t('CODEX_EMPTY', 'Nothing here yet'), { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#888888' }));
+        }
+    }
+
+    _moveSelection(step) {
+        if (!this._entries.length) return;
+        const index = Math.max(0, Math.min(this._entries.length - 1, this._entries.indexOf(this.selected) + step));
+        const entry = this._entries[index];
+        if (entry === this.selected) return;
+        this._setPage(Math.floor(index / PAGE_SIZE));
+        this._select(entry);
+    }
+
+    _select(entry) {
+        this.selected = entry;
+        this._renderList();
+        this._refreshPreview(entry);
+        if (!entry) {
+            [this.nameText, this.classText, this.descText, this.statsText, this.abilitiesText].forEach(txt => txt.setText(''));
+            this.abilitiesTitle.setVisible(false);
+            return;
+        }
+
+        this.nameText.setText(UnitCodex.getName(entry));
+        const className = UnitCodex.getClassName(entry);
+        const rarity = entry.data?.Rarity ? this._t(`RARITY_${String(entry.data.Rarity).toUpperCase()}`, entry.data.Rarity) : '';
+        this.classText.setText([className ? `${this._t('LOADOUT_CLASS', 'Class')}: ${className}` : '', rarity].filter(Boolean).join('  -  '));
+        this.classText.setY(this.nameText.y + this.nameText.height + 12);
+        this.descText.setText(UnitCodex.getDescription(entry));
+        this.descText.setY(this.classText.y + this.classText.height + 16);
+
+        this.statsText.setText(UnitCodex.getStats(entry).join('   '));
+        this.statsText.setY(Math.max(400, this.descText.y + this.descText.height + 24));
+        const abilities = UnitCodex.getAbilities(entry);
+        this.abilitiesTitle.setVisible(true).setY(this.statsText.y + this.statsText.height + 24);
+        this.abilitiesText.setText(abilities.length
+            ? abilities.map(line => `- ${line}`).join('\n')
+            : this._t('CODEX_NO_ABILITIES', 'No special abilities.'));
+        this.abilitiesText.setY(this.abilitiesTitle.y + 30);
+    }
+
+    // Mini preview of the entry's sprite playing its idle loop (static when it has none)
+    async _refreshPreview(entry) {
+        const token = ++this._previewToken;
+        if (this._preview) this._preview.destroy();
+        this._preview = null;
+        const spriteName = entry ? UnitCodex.getSpriteName(entry) : null;
+        if (!spriteName) return;
+
+        const container = await SpriteFactory.createSprite(this, entry.kind, spriteName, PREVIEW_X, PREVIEW_Y);
+        if (!container) return;
+        if (token !== this._previewToken || !this.sys.isActive()) {
+            container.destroy();
+            return;
+        }
+        this._preview = container.setScale(PREVIEW_SCALE);
+        if (!SpriteFactory.setUnitState(this, container, 'idle') && DEBUG_MODE) {
+            console.log(`[CodexScene] ${entry.kind}:${spriteName} has no idle timelines`);
+        }
+    }
+}
@@ -42,6 +42,19 @@ export default class HelpScene extends Phaser.Scene {
         this._setSection(this._activeSection);
         this._loadClassTemplate();
 
+        this.codexBtn = this.add.text(600, 590, t('HELP_OPEN_CODEX', 'Unit Codex'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '20px',
+            color: '#66ff66'
+        })
+        .setOrigin(0.5)
+        .setInteractive();
+
+        this.codexBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('CodexScene', { returnScene: 'HelpScene' });
+        });
+
         this.backBtn = this.add.text(600, 650, t('UI_BACK', '<- BACK'), {
             fontFamily: '"Press Start 2P", cursive',
             fontSize: '24px',
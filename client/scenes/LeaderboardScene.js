@@ -1,11 +1,14 @@
 import GlobalAudio from '../utils/AudioManager.js';
+import GlobalLocalization from '../utils/LocalizationManager.js';
 import { getServerUrl } from '../utils/SocketManager.js';
 import SyncManager from '../utils/SyncManager.js';
 
 export default class LeaderboardScene extends Phaser.Scene {
     constructor() {
         super('LeaderboardScene');
-        this.currentSort = 'total';
+        this.currentSort = 'wins';
+        this.currentSeason = 'current';
+        this.seasonInfo = null;
         this.leaderboardData = [];
         this.playerRank = null;
         this.sortButtons = {};
@@ -17,6 +20,9 @@ export default class LeaderboardScene extends Phaser.Scene {
     }
 
     create() {
+        const t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        this._t = t;
+
         // Back button
         const backBtn = this.add.text(60, 40, '← Back', {
             fontSize: 28,
@@ -35,19 +41,27 @@ export default class LeaderboardScene extends Phaser.Scene {
             fontStyle: 'bold'
         }).setOrigin(0.5);
 
-        // Sort buttons area (smaller Y position)
+        // Season toggle: this season's standings or the last finished one
+        this.seasonButton = this.add.text(1180, 40, '', {
+            fontSize: 16,
+            color: '#66aaff'
+        }).setOrigin(0.5).setInteractive();
+
+        this.seasonButton.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.currentSeason = this.currentSeason === 'current' ? 'previous' : 'current';
+            this._refreshSeasonButton();
+            this.loadLeaderboard();
+        });
+        this._refreshSeasonButton();
+
+        // Sort tabs (smaller Y position)
         const sortY = 100;
-        const sortButtons = [
-            { label: 'Total Score', value: 'total', x: 200 },
-            { label: 'Highest Score', value: 'highest', x: 400 },
-            { label: 'Combos Rolled', value: 'combos', x: 600 },
-            { label: 'Games Won', value: 'wins', x: 800 },
-            { label: 'Best Combo', value: 'best', x: 1000 }
-        ];
+        const sortButtons = this._getSortTabs().map((tab, idx) => ({ ...tab, x: 110 + idx * 150 }));
 
         sortButtons.forEach(btn => {
             const text = this.add.text(btn.x, sortY, btn.label, {
-                fontSize: 16,
+                fontSize: 14,
                 color: this.currentSort === btn.value ? '#66ff66' : '#cccccc'
             }).setOrigin(0.5).setInteractive();
 
@@ -68,11 +82,16 @@ export default class LeaderboardScene extends Phaser.Scene {
             this.sortButtons[btn.value] = text;
         });
 
+        this.seasonText = this.add.text(600, 140, '', {
+            fontSize: 14,
+            color: '#aaaaaa'
+        }).setOrigin(0.5);
+
         // Container for leaderboard entries (graphics-based)
         this.leaderboardContainer = this.add.container(600, 180);
 
         // Loading text
-        this.leaderboardText = this.add.text(600, 300, 'Loading leaderboard...', {
+        this.leaderboardText = this.add.text(600, 300, t('LEADERBOARD_LOADING', 'Loading leaderboard...'), {
             fontSize: 18,
             color: '#ffffff',
             align: 'center'
@@ -103,7 +122,38 @@ export default class LeaderboardScene extends Phaser.Scene {
         });
     }
 
+    // Tabs in display order; `field` is the stat each one ranks by (same keys as the server's sort options)
+    _getSortTabs() {
+        const t = this._t;
+        return [
+            { value: 'wins', field: 'gamesWon', label: t('LEADERBOARD_TAB_WINS', 'Wins') },
+            { value: 'defence', field: 'defenceWins', label: t('LEADERBOARD_TAB_DEFENCE', 'Defence Wins') },
+            { value: 'monster', field: 'monsterWins', label: t('LEADERBOARD_TAB_MONSTER', 'Monster Wins') },
+            { value: 'wave', field: 'highestWave', label: t('LEADERBOARD_TAB_WAVE', 'Best Wave') },
+            { value: 'monsters', field: 'monstersDefeated', label: t('LEADERBOARD_TAB_MONSTERS', 'Monster Kills') },
+            { value: 'defences', field: 'defencesDestroyed', label: t('LEADERBOARD_TAB_DEFENCES', 'Towers Wrecked') },
+            { value: 'mvp', field: 'mvpCount', label: t('LEADERBOARD_TAB_MVP', 'MVP Awards') },
+            { value: 'score', field: 'totalScore', label: t('LEADERBOARD_TAB_SCORE', 'Total Score') }
+        ];
+    }
+
+    _refreshSeasonButton() {
+        if (!this.seasonButton) return;
+        this.seasonButton.setText(this.currentSeason === 'current'
+            ? this._t('LEADERBOARD_SHOW_PREVIOUS', 'Last Season >')
+            : this._t('LEADERBOARD_SHOW_CURRENT', '< This Season'));
+    }
 
+    _refreshSeasonText(seasonId, currentSeason) {
+        if (!this.seasonText) return;
+        if (!currentSeason || seasonId !== currentSeason.id) {
+            this.seasonText.setText(GlobalLocalization.format('LEADERBOARD_SEASON_FINAL', 'Season {0} (final standings)', seasonId || '?'));
+            return;
+        }
+        const msLeft = Math.max(0, new Date(currentSeason.endsAt).getTime() - Date.now());
+        const daysLeft = Math.max(1, Math.ceil(msLeft / 86400000));
+        this.seasonText.setText(GlobalLocalization.format('LEADERBOARD_SEASON_ACTIVE', 'Season {0} - resets in {1} day(s)', seasonId, daysLeft));
+    }
 
     async loadLeaderboard() {
         // Prevent multiple concurrent requests
@@ -155,11 +205,11 @@ export default class LeaderboardScene extends Phaser.Scene {
         });
 
         console.log('[LeaderboardScene] Fetching leaderboard, sort:', this.currentSort);
-        this._updateLeaderboardText('Loading...');
+        this._updateLeaderboardText(this._t('LEADERBOARD_LOADING_SHORT', 'Loading...'));
 
         try {
             const server = getServerUrl();
-            const url = `${server.replace(/\/$/, '')}/leaderboard?sortBy=${this.currentSort}`;
+            const url = `${server.replace(/\/$/, '')}/leaderboard?sortBy=${this.currentSort}&season=${this.currentSeason}`;
 
             const response = await fetch(url, { credentials: 'include', signal: this._abortController.signal });
 
@@ -172,6 +222,7 @@ export default class LeaderboardScene extends Phaser.Scene {
             console.log('[LeaderboardScene] Received leaderboard data:', data);
             this.leaderboardData = data.topPlayers || [];
             this.playerRank = data.playerRank || null;
+            this._refreshSeasonText(data.season, data.currentSeason);
             this.displayLeaderboard();
 
             // Update button colors
@@ -201,7 +252,7 @@ export default class LeaderboardScene extends Phaser.Scene {
                     }
                 }, 3000);
             } else {
-                this._updateLeaderboardText('Failed to load leaderboard.\nPlease try again.');
+                this._updateLeaderboardText(this._t('LEADERBOARD_FAILED', 'Failed to load leaderboard.\nPlease try again.'));
             }
         } finally {
             this._loading = false;
@@ -213,15 +264,15 @@ export default class LeaderboardScene extends Phaser.Scene {
     }
 
     displayLeaderboard() {
-        if (!this.leaderboardData || this.leaderboardData.length === 0) {
-            this._updateLeaderboardText('No leaderboard data available.\nPlay some games first!');
-            return;
-        }
-
         // Clear previous container
         if (this.leaderboardContainer) {
             this.leaderboardContainer.removeAll(true);
         }
+        if (!this.leaderboardData || this.leaderboardData.length === 0) {
+            this._updateLeaderboardText(this._t('LEADERBOARD_EMPTY', 'No leaderboard data available.\nPlay some games first!'));
+            return;
+        }
+
         this.avatarSprites = [];
         this._updateLeaderboardText('');
 
@@ -241,24 +292,8 @@ export default class LeaderboardScene extends Phaser.Scene {
         yOffset += 40;
 
         // Entry label
-        let headerLabel = '';
-        switch (this.currentSort) {
-            case 'total':
-                headerLabel = 'Total Score';
-                break;
-            case 'highest':
-                headerLabel = 'Highest Score';
-                break;
-            case 'combos':
-                headerLabel = 'Total Combos';
-                break;
-            case 'wins':
-                headerLabel = 'Games Won';
-                break;
-            case 'best':
-                headerLabel = 'Best Combo';
-                break;
-        }
+        const sortTab = this._getSortTabs().find(tab => tab.value === this.currentSort) || this._getSortTabs()[0];
+        const headerLabel = sortTab.label;
 
         // Column headers with heavy spacing
         const headerText = this.add.text(0, headerY, `RANK    PLAYER                    ${headerLabel}`, {
@@ -373,26 +408,7 @@ export default class LeaderboardScene extends Phaser.Scene {
             this.leaderboardContainer.add(nameText);
 
             // Stat value (right-aligned)
-            let statValue = '';
-            switch (this.currentSort) {
-                case 'total':
-                    statValue = (player.totalScore || 0).toString();
-                    break;
-                case 'highest':
-                    statValue = (player.highestScore || 0).toString();
-                    break;
-                case 'combos':
-                    statValue = (player.totalCombosRolled || 0).toString();
-                    break;
-                case 'wins':
-                    statValue = (player.gamesWon || 0).toString();
-                    break;
-                case 'best':
-                    // Get best combo category
-                    const bestCombo = this._getBestComboForPlayer(player);
-                    statValue = `${bestCombo.count}x ${bestCombo.name}`;
-                    break;
-            }
+            const statValue = String(player[sortTab.field] || 0);
 
             const valueText = this.add.text(260, yOffset + 20, statValue, {
                 fontSize: 18,
@@ -418,7 +434,7 @@ export default class LeaderboardScene extends Phaser.Scene {
             this.leaderboardContainer.add(yourRankText);
 
             yOffset += 25;
-            const yourRankLabel = this.add.text(0, yOffset, `YOUR RANK: #${this.playerRank.rank} of ${this.playerRank.totalPlayers}`, {
+            const yourRankLabel = this.add.text(0, yOffset, GlobalLocalization.format('LEADERBOARD_YOUR_RANK', 'YOUR RANK: #{0} of {1}', this.playerRank.rank, this.playerRank.totalPlayers), {
                 fontSize: 16,
                 color: playerRankColor,
                 fontStyle: 'bold'
@@ -426,8 +442,18 @@ export default class LeaderboardScene extends Phaser.Scene {
             this.leaderboardContainer.add(yourRankLabel);
 
             yOffset += 30;
-            const statsInfo = this.add.text(0, yOffset, 
-                `Total: ${this.playerRank.totalScore} pts | Played: ${this.playerRank.totalGamesPlayed} | Best: ${this.playerRank.highestScore} pts`,
+            const topMvp = this.playerRank.topMvpUnit;
+            const mvpName = topMvp ? GlobalLocalization.t(`UNIT_${topMvp.unit}`, topMvp.unit) : this._t('POSTGAME_NONE', 'None');
+            const statsInfo = this.add.text(0, yOffset,
+                GlobalLocalization.format(
+                    'LEADERBOARD_YOUR_STATS',
+                    'Played: {0} | Wins: {1} defence / {2} monster | Best wave: {3} | Top MVP: {4}',
+                    this.playerRank.totalGamesPlayed || 0,
+                    this.playerRank.defenceWins || 0,
+                    this.playerRank.monsterWins || 0,
+                    this.playerRank.highestWave || 0,
+                    mvpName
+                ),
                 {
                     fontSize: 14,
                     color: '#cccccc'
@@ -435,33 +461,4 @@ export default class LeaderboardScene extends Phaser.Scene {
             this.leaderboardContainer.add(statsInfo);
         }
     }
-
-    /**
-     * Get the best combo for a player based on ranking hierarchy
-     * Five-of-a-Kind > Four-of-a-Kind > Full House > Straight > Triple > Two Pair > Pair
-     */
-    _getBestComboForPlayer(player) {
-        const combos = player.comboStats || {};
-        
-        const comboHierarchy = [
-            { key: 'fiveOfAKind', name: 'Five-of-a-Kind' },
-            { key: 'fourOfAKind', name: 'Four-of-a-Kind' },
-            { key: 'fullHouse', name: 'Full House' },
-            { key: 'straight', name: 'Straight' },
-            { key: 'triple', name: 'Triple' },
-            { key: 'twoPair', name: 'Two Pair' },
-            { key: 'pair', name: 'Pair' }
-        ];
-
-        for (const combo of comboHierarchy) {
-            if (combos[combo.key] && combos[combo.key] > 0) {
-                return {
-                    name: combo.name,
-                    count: combos[combo.key]
-                };
-            }
-        }
-
-        return { name: 'None', count: 0 };
-    }
 }
@@ -2,6 +2,7 @@ import GlobalAudio from '../utils/AudioManager.js';
 import GlobalBackground from '../utils/BackgroundManager.js';
 import { formatCompact } from '../utils/FormatManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import BoardFactory from '../utils/factories/BoardFactory.js';
 import DefenceFactory from '../utils/factories/DefenceFactory.js';
 import MonsterFactory from '../utils/factories/MonsterFactory.js';
 import SpriteFactory from '../utils/factories/SpriteFactory.js';
@@ -67,7 +68,11 @@ export default class LocalChallengeConfigScene extends Phaser.Scene {
         }
 
         if (Number.isFinite(config.boardRows) && Number.isFinite(config.boardCols)) {
-            this.add.text(cx, y, fmt('CHALLENGE_BOARD', 'Board: {0} x {1}', config.boardRows, config.boardCols), {
+            const board = BoardFactory.getBoard(config.board);
+            const boardLabel = board
+                ? fmt('CHALLENGE_BOARD_NAMED', 'Board: {0} ({1} x {2})', t(`BOARD_NAME_${board.TypeName.toUpperCase()}`, board.FullName || board.TypeName), config.boardRows, config.boardCols)
+                : fmt('CHALLENGE_BOARD', 'Board: {0} x {1}', config.boardRows, config.boardCols);
+            this.add.text(cx, y, boardLabel, {
                 fontSize: 14,
                 fontFamily: this.PIXEL_FONT
             }).setOrigin(0.5);
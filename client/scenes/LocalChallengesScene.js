@@ -2,6 +2,7 @@ import GlobalAudio from '../utils/AudioManager.js';
 import GlobalBackground from '../utils/BackgroundManager.js';
 import ChallengeManager from '../utils/ChallengeManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import BoardFactory from '../utils/factories/BoardFactory.js';
 
 export default class LocalChallengesScene extends Phaser.Scene {
   constructor() { super('LocalChallengesScene'); }
@@ -80,6 +81,10 @@ export default class LocalChallengesScene extends Phaser.Scene {
       const diceCount = diceOptions[Math.floor(configRandom() * diceOptions.length)];
       const boardRows = rowOptions[Math.floor(configRandom() * rowOptions.length)];
       const boardCols = colOptions[Math.floor(configRandom() * colOptions.length)];
+      const boardTypes = BoardFactory.getAllTypes();
+      const board = boardTypes.length ? boardTypes[Math.floor(configRandom() * boardTypes.length)] : null;
+      const boardDef = BoardFactory.getBoard(board);
+      const boardHasSize = Number.isInteger(boardDef?.Rows) && Number.isInteger(boardDef?.Cols);
       const waves = Math.floor(random() * 21) + 20;
       const aiDifficulty = difficultyOptions[Math.floor(random() * difficultyOptions.length)];
       const switchSides = random() < 0.5;
@@ -123,8 +128,9 @@ export default class LocalChallengesScene extends Phaser.Scene {
         teams: ['blue', 'red'],
         switchSides,
         diceCount,
-        boardRows,
-        boardCols,
+        boardRows: boardHasSize ? boardDef.Rows : boardRows,
+        boardCols: boardHasSize ? boardDef.Cols : boardCols,
+        board,
         challengeLoadouts
       };
     };
@@ -146,6 +152,7 @@ export default class LocalChallengesScene extends Phaser.Scene {
         diceCount: 1,
         boardRows: 5,
         boardCols: 9,
+        board: BoardFactory.DEFAULT_BOARD,
         challengeLoadouts: {
           1: {
             normalLoadout: deuciferLoadout.normalLoadout,
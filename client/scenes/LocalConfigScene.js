@@ -4,7 +4,11 @@ import GlobalBackground from '../utils/BackgroundManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import ChallengeManager from '../utils/ChallengeManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import GlobalMods from '../utils/ModManager.js';
+import GlobalSettings from '../utils/SettingsManager.js';
+import BoardFactory from '../utils/factories/BoardFactory.js';
 import DefenceFactory from '../utils/factories/DefenceFactory.js';
+import EndlessFactory from '../utils/factories/EndlessFactory.js';
 import MonsterFactory from '../utils/factories/MonsterFactory.js';
 
 export default class LocalConfigScene extends Phaser.Scene {
@@ -12,6 +16,8 @@ export default class LocalConfigScene extends Phaser.Scene {
         super('LocalConfigScene');
 
         this.selectedWaves = 20;
+        this.endless = false;
+        this.endlessCurve = EndlessFactory.DEFAULT_CURVE;
         this.switchSides = false;
         this.diceCount = 1;
         this.playerNames = ["Player 1", "Player 2"];
@@ -22,17 +28,20 @@ export default class LocalConfigScene extends Phaser.Scene {
           { name: "Easy", value: 0.75 },
           { name: "Medium", value: 1 },
           { name: "Hard", value: 1.5 },
-          { name: "Nightmare", value: 2 }
+          { name: "Nightmare", value: 2 },
+          { name: "Expert", value: 1 }
         ];
         this.boardRows = 5;
         this.boardCols = 9;
         this.boardRowOptions = [5, 6, 7];
         this.boardColOptions = [7, 9, 11, 13, 15];
+        this.boardType = BoardFactory.DEFAULT_BOARD;
     }
 
     init(data) {
         if (!data) return;
         if (Number.isFinite(data.waves)) this.selectedWaves = data.waves;
+        if (typeof data.endless === 'boolean') this.endless = data.endless;
         if (typeof data.switchSides === 'boolean') this.switchSides = data.switchSides;
         if (Number.isFinite(data.diceCount)) this.diceCount = data.diceCount;
         if (Number.isFinite(data.boardRows) && this.boardRowOptions.includes(data.boardRows)) {
@@ -41,6 +50,7 @@ export default class LocalConfigScene extends Phaser.Scene {
         if (Number.isFinite(data.boardCols) && this.boardColOptions.includes(data.boardCols)) {
             this.boardCols = data.boardCols;
         }
+        if (typeof data.board === 'string' && BoardFactory.getBoard(data.board)) this.boardType = data.board;
     }
 
     create() {
@@ -53,6 +63,8 @@ export default class LocalConfigScene extends Phaser.Scene {
         const t = (key, fallback) => GlobalLocalization.t(key, fallback);
         const fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
         const diffLabel = (name) => t(`DIFFICULTY_${String(name).toUpperCase()}`, name);
+        // Replays and lobbies may have switched packs; restore the saved selection
+        GlobalMods.activate(GlobalSettings.get(this).modPacks);
         this.add.text(600, 60, t('CONFIG_TITLE', 'Game Configuration'), {
             fontSize: '32px', 
             fontFamily: '"Press Start 2P", cursive'
@@ -90,44 +102,40 @@ export default class LocalConfigScene extends Phaser.Scene {
                 }
             });
 
-            // AI toggle (disabled for Player 1)
-            if (i > 0) {
-                const toggle = this.add.text(320, y,
-                    this.isAI[i] ? t('CONFIG_AI', 'Computer') : t('CONFIG_HUMAN', 'Human'),
-                    {
-                        fontSize: '16px', 
-                        fontFamily: '"Press Start 2P", cursive',
-                        color: this.isAI[i] ? "#e62121ff" : "#ffffff"
-                    }
-                )
-                    .setOrigin(0.5)
-                    .setInteractive();
-
-                toggle.on("pointerdown", () => {
-                    this.isAI[i] = !this.isAI[i];
-                    this.refreshScene();
-                });
+            // AI toggle (both seats AI = spectate)
+            const toggle = this.add.text(320, y,
+                this.isAI[i] ? t('CONFIG_AI', 'Computer') : t('CONFIG_HUMAN', 'Human'),
+                {
+                    fontSize: '16px', 
+                    fontFamily: '"Press Start 2P", cursive',
+                    color: this.isAI[i] ? "#e62121ff" : "#ffffff"
+                }
+            )
+                .setOrigin(0.5)
+                .setInteractive();
 
-                if (this.isAI[i]) {
-                  const diffText = this.add.text(450, y,
-                      diffLabel(this.aiDifficulty[i]),
-                      { fontSize: '16px', fontFamily: '"Press Start 2P"', color: "#ffaa44" }
-                  )
-                  .setOrigin(0.5)
-                  .setInteractive();
-
-                  diffText.on("pointerdown", () => {
-                      const idx = this.aiDifficultyLevels.findIndex(
-                          d => d.name === this.aiDifficulty[i]
-                      );
-                      const next = (idx + 1) % this.aiDifficultyLevels.length;
-                      this.aiDifficulty[i] = this.aiDifficultyLevels[next].name;
-                      this.refreshScene();
-                });
-              }
-            } else {
-                this.add.text(320, y, t('CONFIG_HUMAN', 'Human'), { fontSize: '16px', fontFamily: '"Press Start 2P"', color: "#999999" }).setOrigin(0.5);
-            }
+            toggle.on("pointerdown", () => {
+                this.isAI[i] = !this.isAI[i];
+                this.refreshScene();
+            });
+
+            if (this.isAI[i]) {
+              const diffText = this.add.text(450, y,
+                  diffLabel(this.aiDifficulty[i]),
+                  { fontSize: '16px', fontFamily: '"Press Start 2P"', color: "#ffaa44" }
+              )
+              .setOrigin(0.5)
+              .setInteractive();
+
+              diffText.on("pointerdown", () => {
+                  const idx = this.aiDifficultyLevels.findIndex(
+                      d => d.name === this.aiDifficulty[i]
+                  );
+                  const next = (idx + 1) % this.aiDifficultyLevels.length;
+                  this.aiDifficulty[i] = this.aiDifficultyLevels[next].name;
+                  this.refreshScene();
+            });
+          }
         }
 
         // --------------------------------------
@@ -139,17 +147,21 @@ export default class LocalConfigScene extends Phaser.Scene {
             fontFamily: '"Press Start 2P", cursive'
         }).setOrigin(0.5);
 
-        const waveOptions = [10, 15, 20, 25, 30, 35, 40, 45, 50];
+        // null = Endless: no last wave, play until the monsters break through
+        const waveOptions = [10, 15, 20, 25, 30, 35, 40, 45, 50, null];
 
         waveOptions.forEach((w, i) => {
-            const btn = this.add.text(600, 260 + i * 40, fmt('CONFIG_WAVES_LABEL', '{0} waves', w), {
+            const selected = w === null ? this.endless : (!this.endless && w === this.selectedWaves);
+            const label = w === null ? t('CONFIG_WAVES_ENDLESS', 'Endless') : fmt('CONFIG_WAVES_LABEL', '{0} waves', w);
+            const btn = this.add.text(600, 260 + i * 36, label, {
                 fontSize: '24px',
                 fontFamily: '"Press Start 2P"',
-                color: w === this.selectedWaves ? '#ffff66' : '#ffffff'
+                color: selected ? '#ffff66' : '#ffffff'
             }).setOrigin(0.5).setInteractive();
 
             btn.on('pointerdown', () => {
-                this.selectedWaves = w;
+                this.endless = w === null;
+                if (w !== null) this.selectedWaves = w;
                 this.refreshScene();
             });
         });
@@ -192,6 +204,25 @@ export default class LocalConfigScene extends Phaser.Scene {
             this.refreshScene();
         });
 
+        // Endless scaling curve (only with Endless waves)
+        if (this.endless) {
+            this.add.text(240, 580, t('CONFIG_ENDLESS_SCALING', 'Scaling:'), {
+                fontSize: '24px',
+                fontFamily: '"Press Start 2P", cursive'
+            }).setOrigin(0.5);
+
+            const curves = Object.keys(EndlessFactory.SCALING_CURVES);
+            const curveBtn = this.add.text(240, 620, EndlessFactory.getCurveName(this.endlessCurve),
+                { fontSize: '24px', fontFamily: '"Press Start 2P"', color: '#ffaa44' }
+            ).setOrigin(0.5).setInteractive();
+
+            curveBtn.on('pointerdown', () => {
+                const idx = curves.indexOf(this.endlessCurve);
+                this.endlessCurve = curves[(idx + 1) % curves.length];
+                this.refreshScene();
+            });
+        }
+
         // --------------------------------------
         // Board Size
         // --------------------------------------
@@ -202,34 +233,85 @@ export default class LocalConfigScene extends Phaser.Scene {
         }).setOrigin(0.5);
 
         const boardLabelStyle = { fontSize: '18px', fontFamily: '"Press Start 2P"', color: '#66aaff' };
+        const board = BoardFactory.getBoard(this.boardType);
+        // Boards that declare their own size lock the rows/cols pickers
+        const boardHasSize = !!board && Number.isInteger(board.Rows) && Number.isInteger(board.Cols);
+        const shownRows = boardHasSize ? board.Rows : this.boardRows;
+        const shownCols = boardHasSize ? board.Cols : this.boardCols;
+
+        const boardTypes = BoardFactory.getAllTypes();
+        if (boardTypes.length > 0) {
+            const boardName = t(`BOARD_NAME_${String(this.boardType).toUpperCase()}`, board?.FullName || this.boardType);
+            this.boardTypeBtn = this.add.text(1000, 380, fmt('CONFIG_BOARD_MAP', 'Map: {0}', boardName), boardLabelStyle)
+                .setOrigin(0.5)
+                .setInteractive();
+
+            this.boardTypeBtn.on('pointerdown', () => {
+                const idx = boardTypes.indexOf(this.boardType);
+                this.boardType = boardTypes[(idx + 1) % boardTypes.length];
+                this.refreshScene();
+            });
+        }
 
-        this.boardRowsBtn = this.add.text(1000, 460, fmt('CONFIG_ROWS', 'Rows: {0}', this.boardRows), boardLabelStyle)
+        this.boardRowsBtn = this.add.text(1000, 460, fmt('CONFIG_ROWS', 'Rows: {0}', shownRows), boardLabelStyle)
             .setOrigin(0.5)
+            .setAlpha(boardHasSize ? 0.5 : 1)
             .setInteractive();
 
         this.boardRowsBtn.on('pointerdown', () => {
+            if (boardHasSize) return;
             const idx = this.boardRowOptions.indexOf(this.boardRows);
             const next = (idx + 1) % this.boardRowOptions.length;
             this.boardRows = this.boardRowOptions[next];
             this.refreshScene();
         });
 
-        this.boardColsBtn = this.add.text(1000, 500, fmt('CONFIG_COLS', 'Cols: {0}', this.boardCols), boardLabelStyle)
+        this.boardColsBtn = this.add.text(1000, 500, fmt('CONFIG_COLS', 'Cols: {0}', shownCols), boardLabelStyle)
             .setOrigin(0.5)
+            .setAlpha(boardHasSize ? 0.5 : 1)
             .setInteractive();
 
         this.boardColsBtn.on('pointerdown', () => {
+            if (boardHasSize) return;
             const idx = this.boardColOptions.indexOf(this.boardCols);
             const next = (idx + 1) % this.boardColOptions.length;
             this.boardCols = this.boardColOptions[next];
             this.refreshScene();
         });
 
+        // --------------------------------------
+        // Mod Packs
+        // --------------------------------------
+
+        const installedMods = GlobalMods.getInstalled();
+        if (installedMods.length > 0) {
+            this.add.text(1000, 580, t('CONFIG_MODS', 'Mod Packs'), {
+                fontSize: '18px',
+                fontFamily: '"Press Start 2P", cursive'
+            }).setOrigin(0.5);
+
+            installedMods.slice(0, 5).forEach((pack, i) => {
+                const active = GlobalMods.isActive(pack.id);
+                const modBtn = this.add.text(1000, 620 + i * 32,
+                    active ? fmt('CONFIG_MOD_ON', '{0}: ON', pack.name) : fmt('CONFIG_MOD_OFF', '{0}: OFF', pack.name),
+                    { fontSize: '12px', fontFamily: '"Press Start 2P"', color: active ? '#66ff66' : '#999999' }
+                ).setOrigin(0.5).setInteractive();
+
+                modBtn.on('pointerdown', () => {
+                    GlobalMods.setEnabled(pack.id, !active, this);
+                    this.refreshScene();
+                });
+            });
+        }
+
         // --------------------------------------
         // Continue Button
         // --------------------------------------
 
-        const startBtn = this.add.text(600, 750, t('CONFIG_START_GAME', 'Start Game'), {
+        // Two computer seats play on their own with fast-forward controls
+        const spectating = this.isAI.every(Boolean);
+        const startLabel = spectating ? t('CONFIG_WATCH_MATCH', 'Watch Match') : t('CONFIG_START_GAME', 'Start Game');
+        const startBtn = this.add.text(600, 750, startLabel, {
             fontSize: '24px', 
             fontFamily: '"Press Start 2P", cursive',
             color: '#66ff66'
@@ -248,13 +330,17 @@ export default class LocalConfigScene extends Phaser.Scene {
             }
             this.scene.start('LocalGameScene', {
                 waves: this.selectedWaves,
+                endless: this.endless,
+                endlessCurve: this.endlessCurve,
                 switchSides: this.switchSides,
                 diceCount: this.diceCount,
                 names: this.playerNames,
                 ai: this.isAI,
                 difficulty: this.aiDifficulty,
                 boardRows: this.boardRows,
-                boardCols: this.boardCols
+                boardCols: this.boardCols,
+                board: this.boardType,
+                mods: GlobalMods.getActive()
             });
         });
 		
@@ -280,7 +366,8 @@ export default class LocalConfigScene extends Phaser.Scene {
             switchSides: this.switchSides,
             diceCount: this.diceCount,
             boardRows: this.boardRows,
-            boardCols: this.boardCols
+            boardCols: this.boardCols,
+            board: this.boardType
         });
     }
 
@@ -6,21 +6,33 @@ import GlobalBackground from '../utils/BackgroundManager.js';
 import ChallengeManager from '../utils/ChallengeManager.js';
 import { DEBUG_MODE } from '../utils/DebugManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
+import GlobalMods from '../utils/ModManager.js';
 import { formatCompact } from '../utils/FormatManager.js';
+import RandomManager from '../utils/RandomManager.js';
 import GlobalSettings from '../utils/SettingsManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
 import StatusEffectVisuals from '../utils/StatusEffectVisuals.js';
 import BoardFactory from '../utils/factories/BoardFactory.js';
 import CombatFactory from '../utils/factories/CombatFactory.js';
 import DefenceFactory from '../utils/factories/DefenceFactory.js';
+import EndlessFactory from '../utils/factories/EndlessFactory.js';
 import MonsterFactory from '../utils/factories/MonsterFactory.js';
 import PuddleFactory from '../utils/factories/PuddleFactory.js';
+import RecallFactory from '../utils/factories/RecallFactory.js';
 import StatusEffectFactory from '../utils/factories/StatusEffectFactory.js';
 import SpecialEffectFactory from '../utils/factories/SpecialEffectFactory.js';
 import SpriteFactory from '../utils/factories/SpriteFactory.js';
+import UpgradeFactory from '../utils/factories/UpgradeFactory.js';
+import AIRegistry from '../utils/ai/AIRegistry.js';
+import { captureAIState } from '../utils/ai/AIState.js';
+import '../utils/ai/BuiltinStrategies.js';
 
 const DICE_TEXTURE_KEY = 'dice_sheet';
 const PROTO_DICE_TEXTURE_KEY = 'prototype_dice_sheet';
+// How long a unit has to be held down to recall it (touch has no right-click)
+const RECALL_HOLD_MS = 600;
+// Fast-forward steps when two computer seats play each other
+const SPECTATE_SPEEDS = [1, 2, 4, 8];
 
 export default class LocalGameScene extends Phaser.Scene {
     constructor(sceneKey = 'LocalGameScene') {
@@ -31,6 +43,11 @@ export default class LocalGameScene extends Phaser.Scene {
         this.currentPlayer = 0;
         this.currentWave = 1;
         this.waves = 20;
+        this.endless = false;
+        this.endlessCurve = null;
+        this.waveScaling = null;
+        this.endlessModifiers = [];
+        this._endlessFog = null;
         this.switchSides = false;
         this.diceCount = 1;
         this.holders = [];
@@ -84,6 +101,10 @@ export default class LocalGameScene extends Phaser.Scene {
         this._challengeReward = 0;
         this._challengeLoadouts = null;
         this._matchId = null;
+        this._matchSeed = null;
+        this._rng = null;
+        this._botRng = null;
+        this._replay = null;
         this._isCleaningUp = false;
         this._movementResolutionTick = 0;
         this._t = (key, fallback) => GlobalLocalization.t(key, fallback);
@@ -92,17 +113,25 @@ export default class LocalGameScene extends Phaser.Scene {
 
     init(data) {
         this.diceSprites = [];
-        this.waves = data.waves;
+        // Endless: no last wave, a modifier every few waves and a chosen scaling curve (see EndlessFactory)
+        this.endless = !!data.endless;
+        this.endlessCurve = this.endless
+            ? (EndlessFactory.SCALING_CURVES[data.endlessCurve] ? data.endlessCurve : EndlessFactory.DEFAULT_CURVE)
+            : null;
+        this.waves = this.endless ? Infinity : data.waves;
+        this.waveScaling = this.endless ? { ...EndlessFactory.getCurve(this.endlessCurve) } : null;
+        this.endlessModifiers = [];
+        this._endlessFog = null;
         this.switchSides = data.switchSides;
         this.diceCount = data.diceCount || 1;
         this.names = data.names;
         this.ai = data.ai;
         this.isAI = data.ai || this.isAI;
-        if (Array.isArray(data.difficulty)) {
-            this.difficulty = data.difficulty[1]?.toLowerCase() || 'medium';
-        } else {
-            this.difficulty = (data.difficulty || 'medium').toLowerCase();
-        }
+        // One difficulty per seat; `difficulty` stays the second seat's for older callers
+        const difficulties = Array.isArray(data.difficulty) ? data.difficulty : [data.difficulty, data.difficulty];
+        this.difficulties = [0, 1].map(i => String(difficulties[i] || 'medium').toLowerCase());
+        this.difficulty = this.difficulties[1];
+        this._spectateSpeedIndex = 0;
         this.playerNames = data.names || this.playerNames;
         this._damageByUnit = {};
         this._damageIdCounter = 1;
@@ -112,7 +141,15 @@ export default class LocalGameScene extends Phaser.Scene {
         this._challengeDateKey = data.challengeDate || null;
         this._challengeReward = Number(data.challengeReward || 0);
         this._challengeLoadouts = data.challengeLoadouts || null;
+        // Editor test match: the unit under test starts on the board and the match leaves back to the editor
+        this._testUnit = data.testUnit || null;
+        this._returnScene = data.returnScene || null;
         this._matchId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        // Every gameplay roll draws from this stream; pass `seed` to reproduce a match
+        this._matchSeed = (data.seed !== undefined && data.seed !== null && data.seed !== '') ? String(data.seed) : this._matchId;
+        this._rng = RandomManager.createMatchRandom(this._matchSeed);
+        // AI seats plan from their own sub-stream so replays don't depend on the bot's choices
+        this._botRng = RandomManager.createMatchRandom(`${this._matchSeed}-bot`);
         this._isCleaningUp = false;
         this._movementResolutionTick = 0;
         this._sceneClosing = false;
@@ -126,6 +163,18 @@ export default class LocalGameScene extends Phaser.Scene {
         this.boardRows = allowedRows.includes(requestedRows) ? requestedRows : this.boardRows;
         this.boardCols = allowedCols.includes(requestedCols) ? requestedCols : this.boardCols;
 
+        // Mod packs register their units before loadouts are read; without a list the current set stays
+        if (Array.isArray(data.mods)) GlobalMods.activate(data.mods.map(m => m?.id));
+        this._mods = GlobalMods.getActive();
+
+        // A board with its own size overrides the configured rows/cols
+        const board = BoardFactory.getBoard(data.board) || BoardFactory.getBoard(BoardFactory.DEFAULT_BOARD);
+        this.boardType = board ? board.TypeName : null;
+        if (board && Number.isInteger(board.Rows) && Number.isInteger(board.Cols)) {
+            this.boardRows = board.Rows;
+            this.boardCols = board.Cols;
+        }
+
         // Load loadouts
         this.defenceNormalLoadout = JSON.parse(localStorage.getItem('defenceNormalLoadout')) || [
             'SniperTower', 'Cannon', 'Mortar', 'MachineGun', 'Flamethrower'
@@ -189,7 +238,7 @@ export default class LocalGameScene extends Phaser.Scene {
                 .map(u => u?.TypeName)
                 .filter(Boolean);
             if (names.length < 5) return null;
-            const shuffled = names.slice().sort(() => Math.random() - 0.5);
+            const shuffled = this._rng.shuffle(names);
             return shuffled.slice(0, 5);
         };
 
@@ -204,6 +253,16 @@ export default class LocalGameScene extends Phaser.Scene {
             if (randProto) p.protoLoadout = randProto;
         });
 
+        // The unit under test takes the first slot of its side's lineup, so it can be rolled again
+        if (this._testUnit) {
+            const testData = DefenceFactory.defenceData[this._testUnit] || MonsterFactory.monsterData[this._testUnit];
+            const tester = this.players.find(p => p.role === (this._testUnit in DefenceFactory.defenceData ? 'defence' : 'monster'));
+            if (testData && tester) {
+                const key = testData.IsProto ? 'protoLoadout' : 'normalLoadout';
+                tester[key] = [this._testUnit, ...tester[key].filter(n => n !== this._testUnit)].slice(0, 5);
+            }
+        }
+
         this.playerSlots = [{
                 id: 0,
                 name: this.names[0],
@@ -219,6 +278,59 @@ export default class LocalGameScene extends Phaser.Scene {
                 team: this.players[1].role === 'defence' ? 'blue' : 'red'
             }
         ];
+
+        this._replay = this._createReplayLog();
+    }
+
+    /**
+     * Start a replay log for this match. Loadouts are final here and `rngOffset` marks how many
+     * draws init consumed (AI lineups), so playback can resume the seeded stream at the same point.
+     */
+    _createReplayLog() {
+        return {
+            version: 1,
+            createdAt: Date.now(),
+            seed: this._matchSeed,
+            rngOffset: this._rng ? this._rng.calls : 0,
+            config: {
+                waves: this.endless ? null : this.waves,
+                endless: !!this.endless,
+                endlessCurve: this.endlessCurve,
+                switchSides: !!this.switchSides,
+                diceCount: this.diceCount,
+                boardRows: this.boardRows,
+                boardCols: this.boardCols,
+                board: this.boardType,
+                difficulty: this.difficulties.slice(),
+                challengeKey: this._challengeKey || null,
+                mods: (this._mods || []).map(m => ({ ...m }))
+            },
+            players: (this.players || []).map(p => ({
+                name: p.name,
+                isAI: !!p.isAI,
+                role: p.role,
+                normalLoadout: (p.normalLoadout || []).slice(),
+                protoLoadout: (p.protoLoadout || []).slice()
+            })),
+            events: [],
+            result: null
+        };
+    }
+
+    // Events are compact: t = type, p = acting player, w = wave
+    _recordReplayEvent(type, fields = {}) {
+        if (!this._replay || !Array.isArray(this._replay.events)) return;
+        this._replay.events.push({ t: type, p: this.currentPlayer, w: this.currentWave, ...fields });
+    }
+
+    // AI seats roll with the difficulty luck factor (and draw from the stream differently)
+    _usesAILuck(playerIndex) {
+        return !!this.players?.[playerIndex]?.isAI;
+    }
+
+    _getOwnerHolderIndex(unit) {
+        const owner = Number.isInteger(unit?._owner) ? unit._owner : this.currentPlayer;
+        return (this.holders || []).filter(h => h && h._owner === owner).indexOf(unit);
     }
 
     // Return tile center coordinates for a cell
@@ -246,6 +358,22 @@ export default class LocalGameScene extends Phaser.Scene {
         return spriteKey;
     }
 
+    // Terrain summary for an empty tile, or '' for a plain one
+    _describeTile(row, col) {
+        const cell = this.grid?.[row]?.[col];
+        if (!cell) return '';
+        if (cell.blocked) return this._t('BOARD_TILE_BLOCKED', 'Blocked');
+        const parts = [];
+        if (cell.modifier) {
+            const modifier = BoardFactory.TILE_MODIFIERS[cell.modifier] || {};
+            const name = this._t(`BOARD_MODIFIER_${cell.modifier.toUpperCase()}`, cell.modifier);
+            if (modifier.RangeBonus) parts.push(this._fmt('BOARD_MODIFIER_RANGE', '{0}: +{1} range', name, modifier.RangeBonus));
+            if (modifier.EndsMovement) parts.push(this._fmt('BOARD_MODIFIER_ENDS_MOVE', '{0}: stops movement', name));
+        }
+        if (cell.noPlacement) parts.push(this._t('BOARD_TILE_NO_PLACEMENT', 'No placement'));
+        return parts.join('\n');
+    }
+
     _formatUnitTooltip(unit) {
         if (!unit) return '';
 
@@ -255,6 +383,9 @@ export default class LocalGameScene extends Phaser.Scene {
             const name = unit.fullName || unit.typeName || t('GENERIC_UNKNOWN', 'Unknown');
             const lines = [name];
 
+            const maxLevel = UpgradeFactory.getMaxLevel(unit.typeName);
+            if (maxLevel > 1) lines.push(fmt('TOOLTIP_LEVEL', 'Level {0} / {1}', unit.level || 1, maxLevel));
+
             const showLifespan = (unit?.HasLifespan === true) || (unit?.hasLifespan === true) ||
                 (Number.isFinite(unit?.Lifespan) && unit.Lifespan > 0) ||
                 (Number.isFinite(unit?.lifespan) && unit.lifespan > 0);
@@ -498,7 +629,7 @@ export default class LocalGameScene extends Phaser.Scene {
                                 // Calculate wave scaling for DeathEffect tooltip (monsters past wave 10)
                                 const wave = CombatFactory.getUnitWave(unit, this);
                                 const isMonsterEffect = unit.typeName && (unit.typeName in MonsterFactory.monsterData);
-                                const waveScaling = CombatFactory.getWaveScalingFactor(wave, isMonsterEffect);
+                                const waveScaling = CombatFactory.getWaveScalingFactor(wave, isMonsterEffect, this);
 
                                 // Damage / Healing
                                 if (effect?.DeathDamage !== undefined && effect?.DeathHealing !== null) {
@@ -665,7 +796,7 @@ export default class LocalGameScene extends Phaser.Scene {
                         const sourceUnit = s._source;
                         const isSourceMonster = sourceUnit && sourceUnit.typeName && (sourceUnit.typeName in MonsterFactory.monsterData);
                         const sourceWave = CombatFactory.getUnitWave(sourceUnit, this);
-                        const waveScaling = CombatFactory.getWaveScalingFactor(sourceWave, isSourceMonster);
+                        const waveScaling = CombatFactory.getWaveScalingFactor(sourceWave, isSourceMonster, this);
                         const scaledDmg = Math.round(baseDmg * waveScaling);
                         const dmgText = (isSourceMonster && waveScaling > 1) ?
                             `${formatCompact(scaledDmg)} (base ${formatCompact(baseDmg)})` :
@@ -677,7 +808,7 @@ export default class LocalGameScene extends Phaser.Scene {
                         const sourceUnit = s._source;
                         const isSourceMonster = sourceUnit && sourceUnit.typeName && (sourceUnit.typeName in MonsterFactory.monsterData);
                         const sourceWave = CombatFactory.getUnitWave(sourceUnit, this);
-                        const waveScaling = CombatFactory.getWaveScalingFactor(sourceWave, isSourceMonster);
+                        const waveScaling = CombatFactory.getWaveScalingFactor(sourceWave, isSourceMonster, this);
                         const scaledDmg = Math.round(baseDmg * waveScaling);
                         const dmgText = (isSourceMonster && waveScaling > 1) ?
                             `${formatCompact(scaledDmg)} (base ${formatCompact(baseDmg)})` :
@@ -735,6 +866,17 @@ export default class LocalGameScene extends Phaser.Scene {
                 SpecialEffectFactory.handleOnRemove(unit, this);
             } catch (e) {}
         }
+        // A defeated unit's sprite stays behind for its death state and goes when that finishes
+        const deathSprite = (typeof unit.currentHealth === 'number' && unit.currentHealth <= 0) ? unit.sprite : null;
+        if (deathSprite && CombatFactory.playUnitState(this, unit, 'death', () => deathSprite.destroy())) {
+            try {
+                if (deathSprite.disableInteractive) deathSprite.disableInteractive();
+            } catch (e) {}
+            const cell = unit.position ? this.grid?.[unit.position.row]?.[unit.position.col] : null;
+            if (cell && cell.sprite === deathSprite) cell.sprite = null;
+            deathSprite._unitRef = null;
+            unit.sprite = null;
+        }
         try {
             if (unit.position && Array.isArray(this.grid) &&
                 this.grid[unit.position.row] && this.grid[unit.position.row][unit.position.col]) {
@@ -767,7 +909,7 @@ export default class LocalGameScene extends Phaser.Scene {
             this.addHistoryEntry(removedText);
         } catch (e) {}
         
-        ['sprite', 'healthBar', 'ammoBar', 'healthBarBg', 'ammoBarBg', 'reloadBar', 'reloadBarBg'].forEach(k => {
+        ['sprite', 'healthBar', 'ammoBar', 'healthBarBg', 'ammoBarBg', 'reloadBar', 'reloadBarBg', 'levelStars'].forEach(k => {
             try {
                 if (unit[k]) unit[k].destroy();
             } catch (e) {}
@@ -893,6 +1035,11 @@ export default class LocalGameScene extends Phaser.Scene {
             spr._unitRef = unit;
             spr._onPointerUp = spr._onPointerUp || null;
 
+            // Sprite definition the state animations come from (see SpriteFactory.setUnitState)
+            const unitData = isDefence ? DefenceFactory.defenceData[unit.typeName] : MonsterFactory.monsterData[unit.typeName];
+            spr.spriteType = isDefence ? 'defence' : 'monster';
+            spr.spriteName = unitData?.DisplaySprite || unit.displaySprite;
+
             if (typeof spr.setTint !== 'function') {
                 spr._savedFill = (typeof spr.fillColor !== 'undefined') ? spr.fillColor : null;
                 spr.setTint = function(val) {
@@ -989,6 +1136,10 @@ export default class LocalGameScene extends Phaser.Scene {
                 unit.reloadBar.x = sx - 18;
                 unit.reloadBar.y = sy + 40;
             }
+            if (unit.levelStars) {
+                unit.levelStars.x = sx;
+                unit.levelStars.y = sy - 28;
+            }
             const desiredBarDepth = (spr && typeof spr.depth === 'number') ? (spr.depth + 1000) : 1010;
             if (unit.healthBarBg && typeof unit.healthBarBg.setDepth === 'function') unit.healthBarBg.setDepth(desiredBarDepth);
             if (unit.healthBar && typeof unit.healthBar.setDepth === 'function') unit.healthBar.setDepth(desiredBarDepth + 1);
@@ -996,6 +1147,7 @@ export default class LocalGameScene extends Phaser.Scene {
             if (unit.ammoBar && typeof unit.ammoBar.setDepth === 'function') unit.ammoBar.setDepth(desiredBarDepth + 1);
             if (unit.reloadBarBg && typeof unit.reloadBarBg.setDepth === 'function') unit.reloadBarBg.setDepth(desiredBarDepth);
             if (unit.reloadBar && typeof unit.reloadBar.setDepth === 'function') unit.reloadBar.setDepth(desiredBarDepth + 1);
+            if (unit.levelStars && typeof unit.levelStars.setDepth === 'function') unit.levelStars.setDepth(desiredBarDepth + 1);
         } catch (e) {
             if (DEBUG_MODE) console.warn('[positionUnitUI] failed', e);
         }
@@ -1017,7 +1169,7 @@ export default class LocalGameScene extends Phaser.Scene {
         } catch (e) {}
         try {
             const hasHuman = (this.players || []).some(p => p && !p.isAI);
-            if (hasHuman) GlobalAchievements.addGame();
+            if (hasHuman && !this._testUnit) GlobalAchievements.addGame();
         } catch (e) {}
 
         // Create grid using BoardFactory (centralized, single source of truth for tile math)
@@ -1027,10 +1179,16 @@ export default class LocalGameScene extends Phaser.Scene {
             tileSize: 60,
             offsetX: 300,
             offsetY: 150,
-            cellSize: 50
+            cellSize: 50,
+            board: this.boardType
         });
         this.drawBoardVisual();
 
+        // Right-click recalls units, so keep the browser menu out of the way
+        try {
+            this.input.mouse?.disableContextMenu();
+        } catch (e) {}
+
         // attach pointer handlers to the drawn cells so they call placeUnit and show tooltip
         this.__boardCells.forEach((cell, idx) => {
             const row = Math.floor(idx / this.GRID_COLS);
@@ -1040,18 +1198,36 @@ export default class LocalGameScene extends Phaser.Scene {
             cell._tooltipUnit = null;
             cell._tooltipActive = false;
 
-            cell.on('pointerdown', () => {
-                // Silently ignore clicks on occupied cells (don't show "Invalid placement!")
-                if (this.grid[row][col].unit) {
+            cell.on('pointerdown', (pointer) => {
+                if (this._interceptCellPress(row, col, pointer)) return;
+                // Occupied cells don't show "Invalid placement!"; right-click or long-press recalls our own unit
+                const occupant = this.grid[row][col].unit;
+                if (occupant) {
+                    if (pointer && typeof pointer.rightButtonDown === 'function' && pointer.rightButtonDown()) {
+                        this._requestRecall(row, col);
+                    } else if (occupant._owner === this.currentPlayer) {
+                        this._cancelRecallHold(cell);
+                        cell._recallHold = this.time.delayedCall(RECALL_HOLD_MS, () => {
+                            cell._recallHold = null;
+                            this._requestRecall(row, col);
+                        });
+                    }
                     return;
                 }
                 this.placeUnit(row, col);
             });
 
+            cell.on('pointerup', () => this._cancelRecallHold(cell));
+
             cell.on('pointerover', () => {
-                const unit = this.grid[row][col].unit;
-                // Only show tooltip if there's a unit and we're not already showing one for this cell
-                if (unit && !cell._tooltipActive) {
+                const fogged = this._isFoggedFor(col);
+                const unit = fogged ? null : this.grid[row][col].unit;
+                // Empty tiles still explain board terrain (blocked, no placement, modifiers)
+                const txt = fogged
+                    ? this._t('GAME_ENDLESS_FOG_TILE', 'Fog')
+                    : (unit ? this._formatUnitTooltip(unit) : this._describeTile(row, col));
+                // Only show tooltip if there's something to say and we're not already showing one for this cell
+                if (txt && !cell._tooltipActive) {
                     // Destroy any existing global tooltip first
                     if (this.tooltip) {
                         try {
@@ -1062,7 +1238,6 @@ export default class LocalGameScene extends Phaser.Scene {
                     cell._tooltipUnit = unit;
                     cell._tooltipActive = true;
                     const pos = this.getTileXY(row, col);
-                    const txt = this._formatUnitTooltip(unit);
                     this.tooltip = this.add.text(pos.x, pos.y - 30, txt, {
                         fontSize: 14,
                         backgroundColor: '#000000',
@@ -1077,6 +1252,7 @@ export default class LocalGameScene extends Phaser.Scene {
             });
 
             cell.on('pointerout', () => {
+                this._cancelRecallHold(cell);
                 // Only clear tooltip if this cell was the one showing it
                 if (cell._tooltipActive) {
                     cell._tooltipUnit = null;
@@ -1137,6 +1313,7 @@ export default class LocalGameScene extends Phaser.Scene {
         this._bindHistoryLogHotkey();
         this._bindExitHotkey();
         this._bindTurnHotkeys();
+        if ((this.players || []).every(p => p && p.isAI)) this._createSpectateControls();
 
         if (!this._manualDragInstalled) {
             this._manualDragInstalled = true;
@@ -1192,9 +1369,24 @@ export default class LocalGameScene extends Phaser.Scene {
 
         this.createPlayerBar();
         this.startWave();
+        if (this._testUnit) this._dropTestUnit();
         this._applyPixelFontToAllText();
     }
 
+    // Put the unit under test on the middle row, at the back of its side's zone
+    _dropTestUnit() {
+        const typeName = this._testUnit;
+        const isDefence = typeName in DefenceFactory.defenceData;
+        const unit = isDefence ? DefenceFactory.create(typeName) : MonsterFactory.create(typeName);
+        if (!unit) return;
+        const role = isDefence ? 'defence' : 'monster';
+        const row = Math.floor((this.GRID_ROWS || 5) / 2);
+        const cols = BoardFactory.getZoneColumns(this, role);
+        const col = (isDefence ? cols : cols.slice().reverse()).find(c => BoardFactory.canPlace(this, role, row, c));
+        if (col === undefined) return;
+        this._placeUnitOnGrid(unit, row, col);
+    }
+
     _applyPixelFontToText(textObj) {
         if (!textObj) return;
         try {
@@ -1296,11 +1488,12 @@ export default class LocalGameScene extends Phaser.Scene {
     }
 
     startWave() {
-        this.infoText.setText(this._fmt('GAME_WAVE_TURN', 'Wave {0}/{1} - {2}\'s turn', this.currentWave, this.waves, this.players[this.currentPlayer]?.name || ''));
+        this.infoText.setText(this._formatWaveTurn(this.players[this.currentPlayer]?.name || ''));
         const defenderIndex = this.players.findIndex(p => p.role === 'defence');
         this.currentPlayer = (defenderIndex >= 0) ? defenderIndex : 0;
 
         this.addHistoryEntry(this._fmt('HISTORY_WAVE_STARTED', 'Wave {0} started', this.currentWave));
+        this._handleEndlessWaveStart();
         
         try {
             StatusEffectFactory.tickStatusEffectsAtWaveStart(this);
@@ -1313,10 +1506,62 @@ export default class LocalGameScene extends Phaser.Scene {
         } catch (e) {
             if (DEBUG_MODE) console.warn('[startWave] tickPuddles failed', e);
         }
+
+        try {
+            SpecialEffectFactory.handleWaveStart(this);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[startWave] handleWaveStart failed', e);
+        }
         
         this.startTurn();
     }
 
+    _formatWaveTurn(playerName) {
+        if (this.endless) return this._fmt('GAME_WAVE_TURN_ENDLESS', 'Wave {0} (Endless) - {1}\'s turn', this.currentWave, playerName);
+        return this._fmt('GAME_WAVE_TURN', 'Wave {0}/{1} - {2}\'s turn', this.currentWave, this.waves, playerName);
+    }
+
+    // Endless: every few waves a new modifier joins the match and applies to everything already out
+    _handleEndlessWaveStart() {
+        let id = null;
+        try {
+            id = EndlessFactory.handleWaveStart(this);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[startWave] endless modifier failed', e);
+        }
+        if (!id) return;
+
+        const name = EndlessFactory.getModifierName(id);
+        const description = EndlessFactory.getModifierDescription(id);
+        this.addHistoryEntry(this._fmt('HISTORY_ENDLESS_MODIFIER', 'New modifier: {0} - {1}', name, description));
+        AlertManager.show(this, this._fmt('GAME_ENDLESS_MODIFIER', '{0}: {1}', name, description), 'info');
+        (this.units || []).forEach(u => {
+            if (u.sprite) this.addUnitBars(u, u.sprite);
+        });
+        this._drawEndlessFog();
+    }
+
+    // Fog hides the monster end from a defending human (or a spectator), not from the monster player
+    _isFoggedFor(col) {
+        if (!EndlessFactory.isFogged(this, col)) return false;
+        const humans = (this.players || []).filter(p => p && !p.isAI);
+        return humans.length === 0 || humans.some(p => p.role === 'defence');
+    }
+
+    _drawEndlessFog() {
+        if (this._endlessFog || !this.add || typeof this.getTileXY !== 'function') return;
+        const cols = [];
+        for (let c = 0; c < this.GRID_COLS; c++) {
+            if (this._isFoggedFor(c)) cols.push(c);
+        }
+        if (!cols.length) return;
+        const half = this.TILE_SIZE / 2;
+        const { x, y } = this.getTileXY(0, cols[0]);
+        this._endlessFog = this.add.rectangle(x - half, y - half, cols.length * this.TILE_SIZE, this.GRID_ROWS * this.TILE_SIZE, 0x9aa5b1, 0.92)
+            .setOrigin(0, 0)
+            .setDepth(1500);
+    }
+
     startTurn() {
         const player = this.players[this.currentPlayer];
         if (player) {
@@ -1390,14 +1635,11 @@ export default class LocalGameScene extends Phaser.Scene {
 
     _hasPlacementAvailableForCurrentPlayer() {
         const player = this.players[this.currentPlayer];
-        const isDefence = player.role === 'defence';
         const rows = this.GRID_ROWS || (this.grid ? this.grid.length : 5);
         const cols = this.GRID_COLS || (this.grid && this.grid[0] ? this.grid[0].length : 9);
-        const centerCol = Math.floor(cols / 2);
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
-                if (isDefence && c >= centerCol) continue;
-                if (!isDefence && c <= centerCol) continue;
+                if (!BoardFactory.canPlace(this, player.role, r, c)) continue;
                 if (!this.grid[r][c].unit) return true;
             }
         }
@@ -1506,6 +1748,7 @@ export default class LocalGameScene extends Phaser.Scene {
             if (unit.ammoBarBg) { unit.ammoBarBg.destroy(); unit.ammoBarBg = null; }
             if (unit.reloadBar) { unit.reloadBar.destroy(); unit.reloadBar = null; }
             if (unit.reloadBarBg) { unit.reloadBarBg.destroy(); unit.reloadBarBg = null; }
+            if (unit.levelStars) { unit.levelStars.destroy(); unit.levelStars = null; }
         } catch (e) {}
 
         const baseDepth = (typeof sprite.depth === 'number') ? sprite.depth : 0;
@@ -1533,6 +1776,17 @@ export default class LocalGameScene extends Phaser.Scene {
             unit.reloadBarBg = reloadBarBg;
             unit.reloadBar = reloadBar;
         }
+
+        // One star per level once a unit has been merged
+        const level = unit.level || 1;
+        if (level > 1) {
+            const stars = [];
+            for (let i = 0; i < level; i++) {
+                stars.push(this.add.star((i - (level - 1) / 2) * 10, 0, 5, 2, 5, 0xffd700).setStrokeStyle(1, 0x000000));
+            }
+            unit.levelStars = this.add.container(sprite.x, sprite.y - 28, stars);
+            unit.levelStars.setDepth(barDepth + 1);
+        }
     }
 
     updateHolders() {
@@ -1722,8 +1976,20 @@ export default class LocalGameScene extends Phaser.Scene {
                             return;
                         }
 
+                        // Dropping onto an identical unit of ours merges the two
+                        const occupant = this.grid[row][col].unit;
+                        if (occupant && UpgradeFactory.canMerge(this, sprite._unitRef, occupant)) {
+                            const unitRef = sprite._unitRef;
+                            sprite.x = this._draggingHolder.startX;
+                            sprite.y = this._draggingHolder.startY;
+                            sprite.depth = 0;
+                            this._draggingHolder = null;
+                            if (!this._interceptHolderDrop(unitRef, row, col)) this._mergeHolderIntoUnit(unitRef, occupant);
+                            return;
+                        }
+
                         // occupied?
-                        if (this.grid[row][col].unit) {
+                        if (occupant) {
                             AlertManager.show(this, this._t('GAME_INVALID_PLACEMENT', 'Invalid placement!'));
                             sprite.x = this._draggingHolder.startX;
                             sprite.y = this._draggingHolder.startY;
@@ -1733,9 +1999,7 @@ export default class LocalGameScene extends Phaser.Scene {
                         }
 
                         const player = this.players[this.currentPlayer];
-                        const isDefence = player.role === 'defence';
-                        const centerCol = Math.floor(this.GRID_COLS / 2);
-                        if ((isDefence && col >= centerCol) || (!isDefence && col <= centerCol)) {
+                        if (!BoardFactory.canPlace(this, player.role, row, col)) {
                             AlertManager.show(this, this._t('GAME_INVALID_PLACEMENT', 'Invalid placement!'));
                             sprite.x = this._draggingHolder.startX;
                             sprite.y = this._draggingHolder.startY;
@@ -1744,6 +2008,15 @@ export default class LocalGameScene extends Phaser.Scene {
                             return;
                         }
 
+                        // Online play hands the drop to the server and waits for its state update
+                        if (this._interceptHolderDrop(sprite._unitRef, row, col)) {
+                            sprite.x = this._draggingHolder.startX;
+                            sprite.y = this._draggingHolder.startY;
+                            sprite.depth = 0;
+                            this._draggingHolder = null;
+                            return;
+                        }
+
                         const tile = (typeof this.getTileXY === 'function') ?
                             this.getTileXY(row, col) : {
                                 x: 300 + col * 60,
@@ -1773,6 +2046,7 @@ export default class LocalGameScene extends Phaser.Scene {
                         }
 
                         const unitObj = this.holders[unitIndex];
+                        this._recordReplayEvent('place', { h: this._getOwnerHolderIndex(unitObj), u: unitObj.typeName, r: row, c: col });
 
                         if (!this.grid[row]) this.grid[row] = [];
                         if (!this.grid[row][col]) this.grid[row][col] = {
@@ -1822,6 +2096,7 @@ export default class LocalGameScene extends Phaser.Scene {
                         this.updateHolders();
                         this.addUnitBars(unitObj, sprite);
                         SpecialEffectFactory.applyDamageBoostsToUnit(unitObj, this);
+                        BoardFactory.applyTileModifiers(unitObj, this);
                         SpecialEffectFactory.handleOnPlace(unitObj, this);
                         sprite.depth = 10;  // Ensure it's above grid cells
                         
@@ -1860,6 +2135,128 @@ export default class LocalGameScene extends Phaser.Scene {
         // Not used, since drag
     }
 
+    /**
+     * Merge a holder into an identical placed unit (see UpgradeFactory), for drops, the AI and replays.
+     * @returns {boolean} False when the two can't merge
+     */
+    _mergeHolderIntoUnit(holder, target) {
+        const holderIndex = this._getOwnerHolderIndex(holder);
+        if (!UpgradeFactory.merge(this, holder, target)) return false;
+        const { row, col } = target.position;
+        this._recordReplayEvent('merge', { h: holderIndex, u: holder.typeName, r: row, c: col });
+
+        try {
+            const playerName = this.players?.[this.currentPlayer]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', this.currentPlayer + 1);
+            const unitName = target.fullName || target.typeName || this._t('GENERIC_UNIT', 'Unit');
+            this.addHistoryEntry(this._fmt('HISTORY_MERGED_UNIT', '{0} upgraded {1} to level {2} (row {3}, col {4})', playerName, unitName, target.level, row + 1, col + 1));
+        } catch (e) {}
+
+        if (target.sprite) this.addUnitBars(target, target.sprite);
+        this.updateHolders();
+        if (typeof this.setDiceTextState === 'function') this.setDiceTextState();
+        if (typeof this.updateEndTurnButtonState === 'function') this.updateEndTurnButtonState();
+        return true;
+    }
+
+    /**
+     * Called once a holder drop has passed the local placement checks.
+     * Return true to take over the placement instead of applying it locally.
+     */
+    _interceptHolderDrop(unit, row, col) {
+        return false;
+    }
+
+    /**
+     * Called first on every board cell press (sandbox tools).
+     * Return true to take the press over instead of the normal recall/placement handling.
+     */
+    _interceptCellPress(row, col, pointer) {
+        return false;
+    }
+
+    /**
+     * Human recall input (right-click or long-press on a board unit); ignored outside the player's own turn.
+     */
+    _requestRecall(row, col) {
+        if (this._exitModalActive || this._combatInProgress || this._diceRolling) return;
+        const currentPlayerObj = this.players?.[this.currentPlayer] || null;
+        if (!currentPlayerObj || currentPlayerObj.isAI || this._aiTurnInProgress) return;
+        const unit = this.grid[row]?.[col]?.unit;
+        if (!unit || this._interceptRecall(unit, row, col)) return;
+
+        const reason = RecallFactory.getBlocker(this, unit, this.currentPlayer);
+        if (reason) {
+            const text = this._getRecallBlockedText(reason);
+            if (text && this.infoText) this.infoText.setText(text);
+            return;
+        }
+        this._recallUnit(unit);
+    }
+
+    _getRecallBlockedText(reason) {
+        const messages = {
+            not_your_unit: this._t('GAME_RECALL_NOT_OWNED', 'You can only recall your own units!'),
+            unit_disabled: this._t('GAME_RECALL_DISABLED', 'Stunned, frozen or charmed units can\'t be recalled!'),
+            holders_full: this._t('GAME_HOLDING_MAX', 'Holding max units - place some first!')
+        };
+        return messages[reason] || null;
+    }
+
+    _cancelRecallHold(cell) {
+        if (!cell || !cell._recallHold) return;
+        try {
+            cell._recallHold.remove(false);
+        } catch (e) {}
+        cell._recallHold = null;
+    }
+
+    /**
+     * Send a placed unit back to its owner's holders (see RecallFactory), for player input, the AI and replays.
+     * @returns {boolean} False when the unit can't be recalled
+     */
+    _recallUnit(unit) {
+        const playerIndex = this.currentPlayer;
+        const pos = unit?.position;
+        if (!pos || !RecallFactory.recall(this, unit, playerIndex)) return false;
+        const { row, col } = pos;
+        if (this.grid[row]?.[col]?.sprite === unit.sprite) this.grid[row][col].sprite = null;
+        this._clearBoardVisuals(unit);
+        this._recordReplayEvent('recall', { u: unit.typeName, r: row, c: col });
+
+        try {
+            const playerName = this.players?.[playerIndex]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', playerIndex + 1);
+            const unitName = unit.fullName || unit.typeName || this._t('GENERIC_UNIT', 'Unit');
+            this.addHistoryEntry(this._fmt('HISTORY_RECALLED_UNIT', '{0} recalled {1} (row {2}, col {3})', playerName, unitName, row + 1, col + 1));
+        } catch (e) {}
+
+        this.updateHolders();
+        if (typeof this.setDiceTextState === 'function') this.setDiceTextState();
+        if (typeof this.updateEndTurnButtonState === 'function') this.updateEndTurnButtonState();
+        return true;
+    }
+
+    // Drop a unit's board sprite, bars and status visuals; updateHolders draws it again as a holder
+    _clearBoardVisuals(unit) {
+        try {
+            StatusEffectVisuals.cleanupUnitVisuals(unit);
+        } catch (e) {}
+        SpriteFactory.stopUnitState(unit.sprite);
+        ['sprite', 'healthBar', 'ammoBar', 'healthBarBg', 'ammoBarBg', 'reloadBar', 'reloadBarBg', 'levelStars'].forEach(k => {
+            try {
+                if (unit[k]) unit[k].destroy();
+            } catch (e) {}
+            delete unit[k];
+        });
+    }
+
+    /**
+     * Called once a recall request has passed the local turn checks.
+     * Return true to take over the recall instead of applying it locally.
+     */
+    _interceptRecall(unit, row, col) {
+        return false;
+    }
+
     update() {
         this.units.forEach(u => {
             if (typeof u.update === 'function') u.update();
@@ -1951,6 +2348,10 @@ export default class LocalGameScene extends Phaser.Scene {
                                 u.reloadBar.x = u.sprite.x - 18;
                                 u.reloadBar.y = u.sprite.y + 40;
                             }
+                            if (u.levelStars) {
+                                u.levelStars.x = u.sprite.x;
+                                u.levelStars.y = u.sprite.y - 28;
+                            }
                         }
                     }
                 } catch (e) {
@@ -1999,6 +2400,8 @@ export default class LocalGameScene extends Phaser.Scene {
             }
         }
 
+        this._recordReplayEvent('end');
+
         this.currentPlayer = (this.currentPlayer + 1) % 2;
         const defenderIndex = this.players.findIndex(p => p.role === 'defence');
 
@@ -2145,7 +2548,7 @@ export default class LocalGameScene extends Phaser.Scene {
                 }
             }
         } else {
-            this.infoText.setText(this._fmt('GAME_WAVE_TURN', 'Wave {0}/{1} - {2}\'s turn', this.currentWave, this.waves, this.players[this.currentPlayer].name));
+            this.infoText.setText(this._formatWaveTurn(this.players[this.currentPlayer].name));
             const nextPlayer = this.players[this.currentPlayer];
             if (nextPlayer && !nextPlayer.isAI) {
                 try {
@@ -2171,6 +2574,12 @@ export default class LocalGameScene extends Phaser.Scene {
 
     endGame(win) {
         this.exitLocked = false;
+        // Test matches don't pay out or count toward anything
+        if (this._testUnit) {
+            this.cleanup();
+            this.time.delayedCall(1500, () => this.scene.start(this._returnScene || 'LocalConfigScene'));
+            return;
+        }
         if (win) {
             this.scores[0] += this.currentWave * 2 + this.defeatedMonsters;
         } else {
@@ -2228,20 +2637,23 @@ export default class LocalGameScene extends Phaser.Scene {
             }
         } catch (e) {}
         const mvpByPlayer = this._getMvpByPlayer();
+        const endless = this.endless ? this._recordEndlessWave() : null;
         const stats = {
             names: (this.playerNames || this.names || []).slice(0, this.totalPlayers),
             roles,
             scores: (this.scores || []).slice(0, this.totalPlayers),
             defeatedMonsters: this.defeatedMonsters,
             destroyedDefences: this.destroyedDefences,
-            waves: this.waves,
+            waves: this.endless ? null : this.waves,
             finalWave: this.currentWave,
+            endless,
             tokensEarned: totalTokens,
             win: !!win,
             winnerIndex,
             mvpByPlayer,
             challengeKey: this._challengeKey || null,
-            challengeReward: challengeBonus
+            challengeReward: challengeBonus,
+            replay: this._finalizeReplay(win)
         };
         try {
             this.registry.set('localPostGame', stats);
@@ -2253,359 +2665,55 @@ export default class LocalGameScene extends Phaser.Scene {
         });
     }
 
-    // AI Difficulty Configuration
-    static AI_DIFFICULTY = {
-        baby: { thinkingTime: 3000, name: 'Baby' },
-        easy: { thinkingTime: 2000, name: 'Easy' },
-        medium: { thinkingTime: 1000, name: 'Medium' },
-        hard: { thinkingTime: 750, name: 'Hard' },
-        nightmare: { thinkingTime: 500, name: 'Nightmare' }
-    };
-
-    // Helper: Get thinking delay based on difficulty
-    _getAIThinkingTime() {
-        const diff = String(this.difficulty || 'medium').toLowerCase();
-        return LocalGameScene.AI_DIFFICULTY[diff]?.thinkingTime || 1000;
-    }
-
-    // Helper: Get valid rows for AI placement based on difficulty
-    _getAIValidRows(isDefence) {
-        const diff = String(this.difficulty || 'medium').toLowerCase();
-        const rowCount = this.GRID_ROWS || (this.grid ? this.grid.length : 5);
-        const allRows = Array.from({ length: rowCount }, (_, i) => i);
-        
-        switch (diff) {
-            case 'baby':
-                return isDefence ? [0] : [Math.max(0, rowCount - 1)];
-            case 'easy':
-                return isDefence
-                    ? [0, 1].filter(r => r < rowCount)
-                    : [rowCount - 1, rowCount - 2].filter(r => r >= 0);
-            case 'medium':
-            case 'hard':
-            case 'nightmare':
-            default:
-                return allRows;
-        }
-    }
-
-    _getCenterOutRowOrder() {
-        const rowCount = this.GRID_ROWS || (this.grid ? this.grid.length : 5);
-        const center = (rowCount - 1) / 2;
-        return Array.from({ length: rowCount }, (_, i) => i).sort((a, b) => {
-            const da = Math.abs(a - center);
-            const db = Math.abs(b - center);
-            if (da === db) return a - b;
-            return da - db;
-        });
-    }
-
-    // Helper: Get row priority for AI placement
-    _getAIRowPriority(isDefence) {
-        const diff = String(this.difficulty || 'medium').toLowerCase();
-        const validRows = this._getAIValidRows(isDefence);
-        
-        switch (diff) {
-            case 'baby':
-                // Single row, no priority needed
-                return validRows;
-            case 'easy':
-                // Prioritize rows closest to center
-                return isDefence
-                    ? validRows.slice().sort((a, b) => a - b)
-                    : validRows.slice().sort((a, b) => b - a);
-            case 'medium':
-                // Random shuffle for medium
-                return Phaser.Utils.Array.Shuffle([...validRows]);
-            case 'hard':
-            case 'nightmare':
-                // Strategic: center first, then spread out
-                return this._getCenterOutRowOrder().filter(r => validRows.includes(r));
-            default:
-                return this._getCenterOutRowOrder();
-        }
-    }
-
-    _getAISideColumns(isDefence) {
-        const colCount = this.GRID_COLS || (this.grid && this.grid[0] ? this.grid[0].length : 9);
-        const centerCol = Math.floor(colCount / 2);
-        const cols = [];
-        if (isDefence) {
-            for (let c = 0; c < centerCol; c++) cols.push(c);
-        } else {
-            for (let c = centerCol + 1; c < colCount; c++) cols.push(c);
-        }
-        return cols;
-    }
-
-    _getAIFrontToBackColumns(isDefence) {
-        const cols = this._getAISideColumns(isDefence);
-        return isDefence ? cols.slice().sort((a, b) => b - a) : cols.slice().sort((a, b) => a - b);
-    }
-
-    _getAIBackToFrontColumns(isDefence) {
-        const cols = this._getAIFrontToBackColumns(isDefence);
-        return cols.slice().reverse();
-    }
-
-    _getAIMidOutColumns(isDefence) {
-        const cols = this._getAISideColumns(isDefence);
-        if (!cols.length) return cols;
-        const mid = (cols[0] + cols[cols.length - 1]) / 2;
-        return cols.slice().sort((a, b) => {
-            const da = Math.abs(a - mid);
-            const db = Math.abs(b - mid);
-            if (da === db) return isDefence ? b - a : a - b;
-            return da - db;
-        });
-    }
-
-    _getAIUnitPlacementProfile(unit) {
-        const range = Number(unit?.range ?? 0);
-        const hasBlindSpot = !!unit?.hasBlindSpot || Number(unit?.blindRange || 0) > 0;
-        const hasDeathDamage = Array.isArray(unit?.specialEffects) &&
-            unit.specialEffects.some(e => e?.Type === 'DeathEffect' && Number(e?.DeathDamage || 0) > 0);
-        const isTrap = !!unit?.canBeTrampled || hasDeathDamage;
-        const isWall = !!unit?.dontAttack || unit?.damage === null || Number(unit?.damage || 0) === 0;
-        const isLongRange = Number.isFinite(range) && range >= 6;
-        const isShortRange = Number.isFinite(range) && range <= 2;
-        const isSupport = Array.isArray(unit?.specialEffects) &&
-            unit.specialEffects.some(e => ['HealAllies', 'DamageBooster', 'SummonUnit', 'Purge'].includes(e?.Type));
-        const isFast = Number.isFinite(unit?.speed) && Number(unit.speed) >= 2;
-        const isBackline = hasBlindSpot || !!unit?.backTargeting || isLongRange;
-        const isFrontline = (isWall && !isSupport) || isTrap || isShortRange || isFast;
-
-        const overrideMap = {
-            ForceField: 'frontline',
-            ShockBlaster: 'generalist',
-            SniperTower: 'generalist',
-            MicroSentry: 'generalist',
-            Multishot: 'generalist',
-            BoomCannon: 'generalist',
-            LazorBeam: 'generalist',
-            SIMO: 'generalist'
-        };
-        const override = unit?.typeName ? overrideMap[unit.typeName] : null;
-
-        if (override) {
-            return {
-                isTrap,
-                isWall,
-                isLongRange,
-                isShortRange,
-                isSupport,
-                isFast,
-                isBackline: override === 'backline',
-                isFrontline: override === 'frontline',
-                isGeneralist: override === 'generalist'
-            };
-        }
-
+    /**
+     * Endless summary for the post-game screen. Each human's wave counts toward their best for the
+     * loadout they played; the first human's record is the one shown.
+     */
+    _recordEndlessWave() {
+        const records = (this.players || []).map(p => (p && !p.isAI) ? EndlessFactory.recordWave(p, this.endlessCurve, this.currentWave) : null);
+        const shown = records.find(Boolean) || null;
         return {
-            isTrap,
-            isWall,
-            isLongRange,
-            isShortRange,
-            isSupport,
-            isFast,
-            isBackline,
-            isFrontline,
-            isGeneralist: false
+            curve: this.endlessCurve,
+            modifiers: (this.endlessModifiers || []).map(m => ({ ...m })),
+            bestWave: shown ? shown.bestWave : null,
+            newRecord: !!shown?.newRecord
         };
     }
 
-    _getAIColOrderForUnit(unit, isDefence) {
-        const diff = String(this.difficulty || 'medium').toLowerCase();
-        const isLowDiff = (diff === 'baby' || diff === 'easy');
-        const profile = this._getAIUnitPlacementProfile(unit);
-
-        if (isDefence && !isLowDiff) {
-            const typeName = String(unit?.typeName || '');
-            const unitRange = Number(unit?.range);
-            const isRangeBelowThree = Number.isFinite(unitRange) && unitRange > 0 && unitRange < 3;
-            if (typeName === 'Landmine' || profile.isTrap) {
-                return this._getAIBackToFrontColumns(true);
-            }
-            if (isRangeBelowThree && !profile.isWall) {
-                return this._getAIMidOutColumns(true);
-            }
-        }
-
-        if (profile.isFrontline) return this._getAIFrontToBackColumns(isDefence);
-        if (profile.isBackline || profile.isSupport) return this._getAIBackToFrontColumns(isDefence);
-        if (profile.isGeneralist) return this._getAIMidOutColumns(isDefence);
-        return this._getAIMidOutColumns(isDefence);
-    }
-
-    _getAIRowPriorityForUnit(isDefence, unit, analysis) {
-        const diff = String(this.difficulty || 'medium').toLowerCase();
-        const base = (diff === 'hard' || diff === 'nightmare')
-            ? this._getStrategicRowPriority(isDefence, analysis || this._analyzeGridForPlacement(isDefence))
-            : this._getAIRowPriority(isDefence);
-        if (!analysis) return base;
-
-        const profile = this._getAIUnitPlacementProfile(unit);
-        const rank = (row) => base.indexOf(row);
-        const threatEnabled = isDefence && (diff === 'hard' || diff === 'nightmare');
-        const threatCol = (row) => {
-            const col = analysis.enemyFrontCol?.[row];
-            return Number.isFinite(col) ? col : 999;
+    _finalizeReplay(win) {
+        if (!this._replay) return null;
+        this._replay.result = {
+            win: !!win,
+            finalWave: this.currentWave,
+            scores: (this.scores || []).slice(0, this.totalPlayers)
         };
-        if (profile.isFrontline || profile.isWall || profile.isTrap) {
-            return base.slice().sort((a, b) => {
-                if (threatEnabled) {
-                    const ta = threatCol(a);
-                    const tb = threatCol(b);
-                    if (ta !== tb) return ta - tb;
-                }
-                const ea = Number(analysis.enemyPresence?.[a] || 0);
-                const eb = Number(analysis.enemyPresence?.[b] || 0);
-                if (ea === eb) return rank(a) - rank(b);
-                return isDefence ? (eb - ea) : (ea - eb);
-            });
-        }
-        if (profile.isBackline || profile.isSupport || profile.isLongRange) {
-            return base.slice().sort((a, b) => {
-                if (threatEnabled) {
-                    const ta = threatCol(a);
-                    const tb = threatCol(b);
-                    if (ta !== tb) return ta - tb;
-                }
-                const ea = Number(analysis.enemyPresence?.[a] || 0);
-                const eb = Number(analysis.enemyPresence?.[b] || 0);
-                if (ea === eb) return rank(a) - rank(b);
-                return isDefence ? (ea - eb) : (eb - ea);
-            });
-        }
-        return base;
+        return this._replay;
     }
 
-    // Helper: Analyze grid for strategic placement (Hard/Nightmare)
-    _analyzeGridForPlacement(isDefence) {
-        const analysis = {
-            weakLanes: [],
-            strongLanes: [],
-            emptyLanes: [],
-            enemyPresence: {},
-            friendlyPresence: {},
-            enemyFrontCol: {}
-        };
-
-        const rowCount = this.GRID_ROWS || (this.grid ? this.grid.length : 5);
-        const colCount = this.GRID_COLS || (this.grid && this.grid[0] ? this.grid[0].length : 9);
-        for (let row = 0; row < rowCount; row++) {
-            let enemyCount = 0;
-            let friendlyCount = 0;
-            let hasUnitInLane = false;
-            let nearestEnemyCol = null;
-
-            for (let col = 0; col < colCount; col++) {
-                if (!this.grid[row]) continue;
-                const cell = this.grid[row][col];
-                if (cell && cell.unit) {
-                    hasUnitInLane = true;
-                    const unit = cell.unit;
-                    const isUnitDefence = unit.typeName in DefenceFactory.defenceData;
-                    
-                    if (isDefence) {
-                        if (!isUnitDefence) {
-                            enemyCount++;
-                            if (nearestEnemyCol === null || col < nearestEnemyCol) {
-                                nearestEnemyCol = col;
-                            }
-                        } else {
-                            friendlyCount++;
-                        }
-                    } else {
-                        if (isUnitDefence) {
-                            enemyCount++;
-                            if (nearestEnemyCol === null || col > nearestEnemyCol) {
-                                nearestEnemyCol = col;
-                            }
-                        } else {
-                            friendlyCount++;
-                        }
-                    }
-                }
-            }
-
-            analysis.enemyPresence[row] = enemyCount;
-            analysis.friendlyPresence[row] = friendlyCount;
-            analysis.enemyFrontCol[row] = nearestEnemyCol;
-
-            if (!hasUnitInLane) {
-                analysis.emptyLanes.push(row);
-            } else if (enemyCount > friendlyCount) {
-                analysis.weakLanes.push(row);
-            } else if (friendlyCount > enemyCount) {
-                analysis.strongLanes.push(row);
-            }
-        }
+    // AI Difficulty Configuration
+    static AI_DIFFICULTY = {
+        baby: { thinkingTime: 3000, name: 'Baby' },
+        easy: { thinkingTime: 2000, name: 'Easy' },
+        medium: { thinkingTime: 1000, name: 'Medium' },
+        hard: { thinkingTime: 750, name: 'Hard' },
+        nightmare: { thinkingTime: 500, name: 'Nightmare' },
+        expert: { thinkingTime: 500, name: 'Expert' }
+    };
 
-        return analysis;
+    // Helper: Difficulty of an AI seat
+    _getAIDifficulty(playerIndex = this.currentPlayer) {
+        return String(this.difficulties?.[playerIndex] || this.difficulty || 'medium').toLowerCase();
     }
 
-    // Helper: Get strategic row priority for Hard/Nightmare
-    _getStrategicRowPriority(isDefence, analysis) {
-        const diff = String(this.difficulty || 'medium').toLowerCase();
-        const priority = [];
-        const pushUnique = (items) => {
-            if (!Array.isArray(items)) return;
-            items.forEach((row) => {
-                if (!priority.includes(row)) priority.push(row);
-            });
-        };
-
-        const threatRows = (() => {
-            const rows = Object.keys(analysis.enemyFrontCol || {}).map(r => Number(r));
-            return rows
-                .filter(r => Number.isFinite(r))
-                .filter(r => Number.isFinite(analysis.enemyFrontCol?.[r]))
-                .sort((a, b) => (analysis.enemyFrontCol[a] ?? 999) - (analysis.enemyFrontCol[b] ?? 999));
-        })();
-        const urgentThreats = threatRows.filter(r => (analysis.enemyFrontCol?.[r] ?? 99) <= 1);
-        const nearThreats = threatRows.filter(r => (analysis.enemyFrontCol?.[r] ?? 99) > 1);
-
-        if (diff === 'nightmare') {
-            if (isDefence) {
-                // Nightmare Defence: Stop nearest threats first
-                pushUnique(urgentThreats);
-                pushUnique(nearThreats);
-                pushUnique(analysis.weakLanes);
-                pushUnique(analysis.emptyLanes);
-                const remaining = this._getCenterOutRowOrder().filter(r => !priority.includes(r));
-                pushUnique(remaining);
-            } else {
-                // Nightmare Monster: Attack weak lanes (where defences are few)
-                pushUnique(analysis.weakLanes);
-                pushUnique(analysis.emptyLanes);
-                const remaining = this._getCenterOutRowOrder().filter(r => !priority.includes(r));
-                pushUnique(remaining);
-            }
-        } else if (diff === 'hard') {
-            if (isDefence) {
-                // Hard Defence: Protect weak points and react to nearest threats
-                pushUnique(urgentThreats);
-                pushUnique(nearThreats);
-                pushUnique(analysis.weakLanes);
-                pushUnique(analysis.emptyLanes);
-                const remaining = this._getCenterOutRowOrder().filter(r => !priority.includes(r));
-                pushUnique(remaining);
-            } else {
-                // Hard Monster: Target undefended lanes
-                pushUnique(analysis.emptyLanes);
-                pushUnique(analysis.weakLanes);
-                const remaining = this._getCenterOutRowOrder().filter(r => !priority.includes(r));
-                pushUnique(remaining);
-            }
-        }
-
-        return priority.length > 0 ? priority : this._getCenterOutRowOrder();
+    // Helper: Get thinking delay based on difficulty
+    _getAIThinkingTime() {
+        return LocalGameScene.AI_DIFFICULTY[this._getAIDifficulty()]?.thinkingTime || 1000;
     }
 
     // Helper: Place a unit on the grid with proper sprite handling
     // Uses EXACT same logic as player drag-and-drop placement in updateHolders
-    _placeUnitOnGrid(unit, row, col) {
+    // `restore` puts back a unit from a snapshot (sandbox rewind): no history, replay event or on-place effects
+    _placeUnitOnGrid(unit, row, col, { restore = false } = {}) {
         const tilePos = this.getTileXY(row, col);
         const x = tilePos.x;
         const y = tilePos.y + (this.UNIT_Y_OFFSET || 0);
@@ -2657,15 +2765,19 @@ export default class LocalGameScene extends Phaser.Scene {
             spr._tooltipHandlersInstalled = false;
         } catch (e) {}
 
+        if (!restore) this._recordReplayEvent('place', { h: this._getOwnerHolderIndex(unit), u: unit.typeName, r: row, c: col });
+
         // Update unit data
         unit.position = { row, col };
         unit.sprite = spr;
         unit.displaySprite = spriteKey;
         if (!Number.isFinite(unit._placedWave)) unit._placedWave = this.currentWave;
         try {
-            const playerName = this.players?.[this.currentPlayer]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', this.currentPlayer + 1);
-            const unitName = unit.fullName || unit.typeName || this._t('GENERIC_UNIT', 'Unit');
-            this.addHistoryEntry(this._fmt('HISTORY_PLAYED_UNIT', '{0} played {1} (row {2}, col {3})', playerName, unitName, row + 1, col + 1));
+            if (!restore) {
+                const playerName = this.players?.[this.currentPlayer]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', this.currentPlayer + 1);
+                const unitName = unit.fullName || unit.typeName || this._t('GENERIC_UNIT', 'Unit');
+                this.addHistoryEntry(this._fmt('HISTORY_PLAYED_UNIT', '{0} played {1} (row {2}, col {3})', playerName, unitName, row + 1, col + 1));
+            }
         } catch (e) {}
 
         // Update grid
@@ -2679,8 +2791,12 @@ export default class LocalGameScene extends Phaser.Scene {
 
         // Add UI bars and apply effects
         this.addUnitBars(unit, spr);
-        SpecialEffectFactory.applyDamageBoostsToUnit(unit, this);
-        SpecialEffectFactory.handleOnPlace(unit, this);
+        if (!restore) {
+            CombatFactory.playUnitState(this, unit, 'summon');
+            SpecialEffectFactory.applyDamageBoostsToUnit(unit, this);
+            BoardFactory.applyTileModifiers(unit, this);
+            SpecialEffectFactory.handleOnPlace(unit, this);
+        }
 
         // Remove from holders
         const idx = this.holders.indexOf(unit);
@@ -2694,6 +2810,27 @@ export default class LocalGameScene extends Phaser.Scene {
         return true;
     }
 
+    /**
+     * Roll one die for the current player (tutorial levels override this with scripted values).
+     * Luck factor affects chance of rolling a 6:
+     * - luckFactor 2 (Nightmare) = 33.3% chance of rolling 6
+     * - luckFactor 1 (Medium) = 16.67% chance (normal)
+     * - luckFactor 0.5 (Baby) = 8.33% chance of rolling 6
+     */
+    _rollDie(luckFactor = 1) {
+        if (this._usesAILuck(this.currentPlayer)) {
+            const roll = this._rng.next();
+            const chanceOfSix = (1 / 6) * luckFactor;
+            if (roll < chanceOfSix) {
+                return 6;
+            } else {
+                return this._rng.between(1, 5);
+            }
+        } else {
+            return this._rng.between(1, 6);
+        }
+    }
+
     async rollDice(force = false, luckFactor = 1, rerollPrototypeIndex = null) {
         const currentPlayerObj = this.players[this.currentPlayer];
         if (currentPlayerObj && currentPlayerObj.isAI && !force) {
@@ -2728,24 +2865,7 @@ export default class LocalGameScene extends Phaser.Scene {
         // Determine which dice to roll
         const diceCount = this.diceCount || 1;
         const newDiceValues = [];
-        
-        // Luck factor affects chance of rolling a 6:
-        // - luckFactor 2 (Nightmare) = 33.3% chance of rolling 6
-        // - luckFactor 1 (Medium) = 16.67% chance (normal)
-        // - luckFactor 0.5 (Baby) = 8.33% chance of rolling 6
-        const rollSingleDie = () => {
-            if (this.players[this.currentPlayer].isAI) {
-                const roll = Math.random();
-                const chanceOfSix = (1 / 6) * luckFactor;
-                if (roll < chanceOfSix) {
-                    return 6;
-                } else {
-                    return Phaser.Math.Between(1, 5);
-                }
-            } else {
-                return Phaser.Math.Between(1, 6);
-            }
-        };
+        const rollSingleDie = () => this._rollDie(luckFactor);
 
         const rerollIndices = Array.isArray(rerollPrototypeIndex)
             ? rerollPrototypeIndex.filter(i => Number.isInteger(i) && i >= 0)
@@ -2782,6 +2902,11 @@ export default class LocalGameScene extends Phaser.Scene {
         }
         
         this.diceValues = newDiceValues;
+        this._recordReplayEvent('roll', {
+            d: this.diceValues.slice(0, diceCount),
+            x: (rerollIndices && rerollIndices.length > 0) ? rerollIndices.slice() : null,
+            l: luckFactor
+        });
         try {
             const playerName = this.players?.[this.currentPlayer]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', this.currentPlayer + 1);
             if (rerollIndices && rerollIndices.length > 0) {
@@ -2830,7 +2955,7 @@ export default class LocalGameScene extends Phaser.Scene {
                 if (newValue === 6) {
                     const protoLoadout = this.getLoadoutForPlayer(this.currentPlayer, true);
                     if (protoLoadout && protoLoadout.length > 0) {
-                        const randomProto = protoLoadout[Phaser.Math.Between(0, protoLoadout.length - 1)];
+                        const randomProto = this._rng.pick(protoLoadout);
                         if (randomProto) {
                             CombatFactory.summonUnit(this, randomProto);
                             if (DEBUG_MODE) console.log('[rollDice] Consecutive 6 bonus: summoned', randomProto);
@@ -2856,6 +2981,14 @@ export default class LocalGameScene extends Phaser.Scene {
                 const diceValue = this.diceValues[i];
                 
                 if (diceValue === 6) {
+                    // A six pays off an earlier recall instead of becoming a prototype die
+                    if (RecallFactory.consumePenalty(this.players[this.currentPlayer])) {
+                        try {
+                            const playerName = this.players?.[this.currentPlayer]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', this.currentPlayer + 1);
+                            this.addHistoryEntry(this._fmt('HISTORY_RECALL_PAID', '{0} gave up a prototype die for a recall', playerName));
+                        } catch (e) {}
+                        continue;
+                    }
                     this.prototypeDiceIndices.push(i);
                     this.rolledThisTurn = false;
                 } else {
@@ -2893,7 +3026,7 @@ export default class LocalGameScene extends Phaser.Scene {
             this.diceText.disableInteractive?.();
         } catch (e) {}
         
-        const diff = String(this.difficulty || 'medium').toLowerCase();
+        const diff = this._getAIDifficulty();
         const thinkingTime = this._getAIThinkingTime();
         
         // Show thinking text
@@ -2909,16 +3042,7 @@ export default class LocalGameScene extends Phaser.Scene {
             await this._wait(thinkingTime);
             if (isTurnCancelled()) return;
 
-            // Map difficulty to luck factor:
-            // Baby: 0.5, Easy: 0.75, Medium: 1, Hard: 1.5, Nightmare: 2
-            const luckFactorMap = {
-                baby: 0.5,
-                easy: 0.75,
-                medium: 1,
-                hard: 1.5,
-                nightmare: 2
-            };
-            const luckFactor = luckFactorMap[diff] || 1;
+            const luckFactor = AIRegistry.getLuckFactor(diff);
             
             // Roll dice (supports multiple dice)
             await this.rollDice(true, luckFactor);
@@ -2949,116 +3073,32 @@ export default class LocalGameScene extends Phaser.Scene {
             if (isTurnCancelled()) return;
 
             const player = this.players[this.currentPlayer];
-            const isDefence = player.role === 'defence';
-            const analysis = this._analyzeGridForPlacement(isDefence);
-            const toPlace = (this.holders || []).filter(h => h._owner === this.currentPlayer);
-            const threatEnabled = isDefence && (diff === 'hard' || diff === 'nightmare');
-            const easyDiffs = ['baby', 'easy', 'medium'];
-            const emergencyThresholdByDiff = {
-                baby: 4,
-                easy: 4,
-                medium: 3
-            };
-            const emergencyThreshold = emergencyThresholdByDiff[diff] ?? 2;
-            const urgentDefenceRows = (isDefence && easyDiffs.includes(diff))
-                ? Object.keys(analysis.enemyFrontCol || {})
-                    .map(k => Number(k))
-                    .filter(r => Number.isFinite(r))
-                    .filter(r => Number.isFinite(analysis.enemyFrontCol?.[r]) && (analysis.enemyFrontCol[r] <= emergencyThreshold))
-                    .sort((a, b) => (analysis.enemyFrontCol[a] ?? 99) - (analysis.enemyFrontCol[b] ?? 99))
-                : [];
-            const emergencyEnabled = isDefence && easyDiffs.includes(diff) && urgentDefenceRows.length > 0;
-            const nearWinconThreat = isDefence && urgentDefenceRows.some((r) => (analysis.enemyFrontCol?.[r] ?? 99) <= 1);
-            const spreadRowsEnabled = (this.diceCount || 1) >= 2 && ['medium', 'hard', 'nightmare'].includes(diff);
-            const usedPlacementRows = new Set();
-            const prioritizeUnusedRows = (rows = []) => {
-                if (!spreadRowsEnabled || !Array.isArray(rows) || rows.length === 0) return rows;
-                const uniqueRows = rows.filter((row, idx) => rows.indexOf(row) === idx);
-                const unseen = uniqueRows.filter((row) => !usedPlacementRows.has(row));
-                const seen = uniqueRows.filter((row) => usedPlacementRows.has(row));
-                return [...unseen, ...seen];
-            };
-            const mergeRowPriority = (baseRows = []) => {
-                const out = [];
-                const pushUnique = (rows) => {
-                    if (!Array.isArray(rows)) return;
-                    rows.forEach((row) => {
-                        if (!Number.isFinite(row)) return;
-                        if (!out.includes(row)) out.push(row);
-                    });
-                };
-                pushUnique(urgentDefenceRows);
-                pushUnique(baseRows);
-                return out;
-            };
-            const tryPlaceWithPriority = (unit, rowOrder, colOrder, allowThreatSort = true) => {
-                for (let ri = 0; ri < rowOrder.length; ri++) {
-                    const r = rowOrder[ri];
-                    let nextColOrder = colOrder;
-                    if (allowThreatSort && threatEnabled) {
-                        const threatCol = analysis.enemyFrontCol?.[r];
-                        if (Number.isFinite(threatCol)) {
-                            nextColOrder = colOrder.slice().sort((a, b) => {
-                                const da = Math.abs(a - threatCol);
-                                const db = Math.abs(b - threatCol);
-                                if (da === db) return a - b;
-                                return da - db;
-                            });
-                        }
-                    }
-                    for (let ci = 0; ci < nextColOrder.length; ci++) {
-                        const c = nextColOrder[ci];
-                        if (!this.grid[r] || !this.grid[r][c]) continue;
-                        if (this.grid[r][c].unit) continue;
-                        if (this._placeUnitOnGrid(unit, r, c)) return true;
-                    }
-                }
-                return false;
-            };
+            const state = captureAIState(this, this.currentPlayer, { difficulty: diff });
+            const actions = await AIRegistry.create(diff).chooseActions(state, { random: this._botRng });
+            if (isTurnCancelled()) return;
 
-            for (const unit of toPlace) {
+            // Actions index the holders as they were captured; recalled units join at the end
+            const holderRefs = (this.holders || []).filter(h => h._owner === this.currentPlayer);
+            for (const action of actions) {
                 if (isTurnCancelled()) return;
+                const cell = this.grid[action.row]?.[action.col];
+                if (action.type === 'recall') {
+                    const unit = cell?.unit;
+                    if (unit && this._recallUnit(unit)) holderRefs.push(unit);
+                    continue;
+                }
+
+                const unit = holderRefs[action.holder];
+                if (!unit || !(this.holders || []).includes(unit)) continue;
                 if (thinkingTime > 500) {
                     await this._wait(200);
                     if (isTurnCancelled()) return;
                 }
-                
-                let placed = false;
-                const profile = this._getAIUnitPlacementProfile(unit);
-                const unitRange = Number(unit?.range);
-                const isRangeBelowThree = Number.isFinite(unitRange) && unitRange > 0 && unitRange < 3;
-                const hasBlindSpot = !!unit?.hasBlindSpot || !!unit?.HasBlindSpot || Number(unit?.blindRange || unit?.BlindRange || 0) > 0;
-                const avoidFrontForBlindSpot = isDefence && threatEnabled && hasBlindSpot;
-                const rowPriority = prioritizeUnusedRows(mergeRowPriority(this._getAIRowPriorityForUnit(isDefence, unit, analysis)));
-                const baseColOrder = this._getAIColOrderForUnit(unit, isDefence);
-                const preferredCols = avoidFrontForBlindSpot ? this._getAIBackToFrontColumns(isDefence) : baseColOrder;
-
-                // Medium and lower defence bots: emergency-first placement pass.
-                // This ensures immediate responses on collapsing lanes before normal heuristics.
-                if (!placed && emergencyEnabled) {
-                    let emergencyCols = preferredCols;
-                    const mediumBacklineBias = (diff === 'medium') && isRangeBelowThree && !profile.isWall && nearWinconThreat;
-                    const frontResponder = !(profile.isTrap || profile.isBackline || profile.isSupport || avoidFrontForBlindSpot || mediumBacklineBias);
-                    if (frontResponder) emergencyCols = this._getAIFrontToBackColumns(true);
-                    placed = tryPlaceWithPriority(unit, prioritizeUnusedRows(urgentDefenceRows), emergencyCols, false);
-                }
-                
-                // Standard placement for all difficulties
-                if (!placed) {
-                    placed = tryPlaceWithPriority(unit, rowPriority, preferredCols, !avoidFrontForBlindSpot);
-                }
-
-                // Fallback to any valid side cell when preferred rows are blocked.
-                if (!placed) {
-                    const fallbackRows = prioritizeUnusedRows(mergeRowPriority(this._getCenterOutRowOrder()));
-                    const fallbackCols = avoidFrontForBlindSpot
-                        ? this._getAIBackToFrontColumns(isDefence)
-                        : this._getAIMidOutColumns(isDefence);
-                    placed = tryPlaceWithPriority(unit, fallbackRows, fallbackCols, false);
-                }
-
-                if (placed && spreadRowsEnabled && Number.isFinite(unit?.position?.row)) {
-                    usedPlacementRows.add(unit.position.row);
+                if (action.type === 'merge') {
+                    if (cell?.unit) this._mergeHolderIntoUnit(unit, cell.unit);
+                } else if (action.type === 'place') {
+                    if (!cell || cell.unit || !BoardFactory.canPlace(this, player.role, action.row, action.col)) continue;
+                    this._placeUnitOnGrid(unit, action.row, action.col);
                 }
             }
         } finally {
@@ -3130,11 +3170,9 @@ export default class LocalGameScene extends Phaser.Scene {
         this.playerBar = [];
 
         const y = 850;
-        const x0 = 200;
-        const x1 = 1000;
 
         for (let i = 0; i < this.totalPlayers; i++) {
-            const x = i === 0 ? x0 : x1;
+            const x = this._getPlayerBarX(i);
             const iconKey = this.isAI[i] ? "botIcon" : "playerIcon";
 
             const icon = this.add.image(x, y, iconKey).setScale(0.7);
@@ -3217,6 +3255,33 @@ export default class LocalGameScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Speed button for AI vs AI matches. Scaling the clock and tweens also speeds up the AI's
+     * thinking delay, dice animations and combat pauses.
+     */
+    _createSpectateControls() {
+        const speedBtn = this.add.text(1150, 120, '', {
+            fontSize: 18,
+            color: '#66ccff',
+            fontFamily: this.PIXEL_FONT
+        }).setOrigin(1, 0).setInteractive();
+
+        const applySpeed = () => {
+            const speed = SPECTATE_SPEEDS[this._spectateSpeedIndex] || 1;
+            try {
+                this.time.timeScale = speed;
+                this.tweens.timeScale = speed;
+            } catch (e) {}
+            speedBtn.setText(this._fmt('GAME_SPECTATE_SPEED', 'Speed {0}x', speed));
+        };
+        speedBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._spectateSpeedIndex = (this._spectateSpeedIndex + 1) % SPECTATE_SPEEDS.length;
+            applySpeed();
+        });
+        applySpeed();
+    }
+
     _bindHistoryLogHotkey() {
         if (!this.input || !this.input.keyboard) return;
         if (this._onHistoryLogKey) return;
@@ -3241,7 +3306,7 @@ export default class LocalGameScene extends Phaser.Scene {
                 this._escExitArmed = false;
                 this._exitModalActive = false;
                 this.cleanup();
-                this.scene.start('LocalMenuScene');
+                this.scene.start(this._returnScene || 'LocalMenuScene');
                 return;
             }
             this._escExitArmed = true;
@@ -3334,9 +3399,10 @@ export default class LocalGameScene extends Phaser.Scene {
         const normalLoadout = player.normalLoadout || [];
         const protoLoadout = player.protoLoadout || [];
 
-        // Position lineup to the side of the player avatar
-        const isLeftSide = playerIndex === 0;
-        const startX = isLeftSide ? playerX + 70 : playerX - 70 - (5 * 35);
+        // Position lineup to the side of the player avatar (tighter when four players share the bar)
+        const isLeftSide = playerX < 600;
+        const gap = this.totalPlayers > 2 ? 55 : 70;
+        const startX = isLeftSide ? playerX + gap : playerX - gap - (5 * 35);
         const startY = playerY - 25;
 
         // Normal loadout icons (5 slots)
@@ -3411,13 +3477,22 @@ export default class LocalGameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Horizontal slot of a player in the bottom bar. With teams, blue players fill the left half
+     * and red players the right half, in seat order.
+     */
+    _getPlayerBarX(playerIndex) {
+        if (this.totalPlayers <= 2) return playerIndex === 0 ? 200 : 1000;
+        const team = this.playerTeams?.[playerIndex] || (playerIndex % 2 === 0 ? 'blue' : 'red');
+        const slot = (this.playerTeams || []).slice(0, playerIndex).filter(t => t === team).length;
+        return team === 'blue' ? [60, 340][slot] ?? 340 : [1140, 860][slot] ?? 860;
+    }
+
     updatePlayerBar() {
         const y = 850;
-        const x0 = 200;
-        const x1 = 1000;
 
         this.playerBar.forEach((p, index) => {
-            const x = index === 0 ? x0 : x1;
+            const x = this._getPlayerBarX(index);
 
             // reposition visuals in case layout changed
             if (p.icon) {
@@ -3491,7 +3566,7 @@ export default class LocalGameScene extends Phaser.Scene {
 
             if (!this.exitLocked) {
                 this.cleanup();
-                this.scene.start('LocalConfigScene');
+                this.scene.start(this._returnScene || 'LocalConfigScene');
             } else {
                 this.showConfirmExit();
             }
@@ -3529,7 +3604,7 @@ export default class LocalGameScene extends Phaser.Scene {
             this._escExitArmed = false;
             this._exitModalActive = false;
             this.cleanup();
-            this.scene.start('LocalConfigScene');
+            this.scene.start(this._returnScene || 'LocalConfigScene');
         });
 
         noBtn.on('pointerdown', () => {
@@ -3559,6 +3634,11 @@ export default class LocalGameScene extends Phaser.Scene {
         try {
             this.tweens?.killAll?.();
         } catch (e) {}
+        // The clock outlives the scene, so undo any fast-forward
+        try {
+            if (this.time) this.time.timeScale = 1;
+            if (this.tweens) this.tweens.timeScale = 1;
+        } catch (e) {}
 
         // stop any in-flight drag immediately
         try {
@@ -3603,6 +3683,11 @@ export default class LocalGameScene extends Phaser.Scene {
         this.currentWave = 1;
         this.currentPlayer = 0;
         this.waves = 20;
+        this.endless = false;
+        this.endlessCurve = null;
+        this.waveScaling = null;
+        this.endlessModifiers = [];
+        this._endlessFog = null;
         this.switchSides = false;
         this.diceCount = 1;
         this.holders = [];
@@ -3687,6 +3772,9 @@ export default class LocalGameScene extends Phaser.Scene {
                 try {
                     if (u.reloadBarBg) u.reloadBarBg.destroy();
                 } catch (e) {}
+                try {
+                    if (u.levelStars) u.levelStars.destroy();
+                } catch (e) {}
             });
         } catch (e) {}
 
@@ -944,68 +944,65 @@ _getUnitAbilities(unitData) {
         const isDefence = this.currentTab === 'defence';
         const t = this._t || ((key, fallback) => GlobalLocalization.t(key, fallback));
 
-        const defenceMap = {
-            AcidShooter: { className: 'Control', placement: 'Mid/Backline' },
-            Ballista: { className: 'Damage Dealer', placement: 'Mid/Backline' },
-            Barricade: { className: 'Tank', placement: 'Frontline' },
-            BoomCannon: { className: 'Damage Dealer', placement: 'Midline' },
-            Cannon: { className: 'Damage Dealer', placement: 'Midline' },
-            CryoFan: { className: 'Control', placement: 'Mid/Backline' },
-            DamageAmplifier: { className: 'Support', placement: 'Backline' },
-            DestroyTower: { className: 'Finisher', placement: 'Backline' },
-            Flamethrower: { className: 'Bruiser', placement: 'Frontline' },
-            ForceField: { className: 'Hybrid', placement: 'Frontline' },
-            Landmine: { className: 'Hybrid', placement: 'Frontline' },
-            LazorBeam: { className: 'Generalist', placement: 'Mid/Backline' },
-            MachineGun: { className: 'Damage Dealer', placement: 'Midline' },
-            MicroSentry: { className: 'Generalist', placement: 'Midline' },
-            Microwavr: { className: 'Bruiser', placement: 'Frontline' },
-            Mortar: { className: 'Artillery', placement: 'Backline' },
-            Multishot: { className: 'Generalist', placement: 'Midline' },
-            RadialLauncher: { className: 'Artillery', placement: 'Backline' },
-            RocketLauncher: { className: 'Artillery', placement: 'Backline' },
-            SIMO: { className: 'Generalist', placement: 'Midline' },
-            ShockBlaster: { className: 'Generalist', placement: 'Midline' },
-            ShockLauncher: { className: 'Artillery', placement: 'Backline' },
-            Shredder: { className: 'Bruiser', placement: 'Frontline' },
-            SniperTower: { className: 'Damage Dealer', placement: 'Mid/Backline' }
+        // Class comes from the unit definition; placement is a loadout-screen hint only
+        const defencePlacement = {
+            AcidShooter: 'Mid/Backline',
+            Ballista: 'Mid/Backline',
+            Barricade: 'Frontline',
+            BoomCannon: 'Midline',
+            Cannon: 'Midline',
+            CryoFan: 'Mid/Backline',
+            DamageAmplifier: 'Backline',
+            DestroyTower: 'Backline',
+            Flamethrower: 'Frontline',
+            ForceField: 'Frontline',
+            Landmine: 'Frontline',
+            LazorBeam: 'Mid/Backline',
+            MachineGun: 'Midline',
+            MicroSentry: 'Midline',
+            Microwavr: 'Frontline',
+            Mortar: 'Backline',
+            Multishot: 'Midline',
+            RadialLauncher: 'Backline',
+            RocketLauncher: 'Backline',
+            SIMO: 'Midline',
+            ShockBlaster: 'Midline',
+            ShockLauncher: 'Backline',
+            Shredder: 'Frontline',
+            SniperTower: 'Mid/Backline'
         };
 
-        const monsterMap = {
-            Archer: { className: 'Damage Dealer', placement: 'Midline' },
-            Bat: { className: 'Skirmisher', placement: 'Frontline' },
-            Bomber: { className: 'Artillery', placement: 'Backline' },
-            Catapult: { className: 'Siege', placement: 'Backline' },
-            Cupid: { className: 'Control', placement: 'Midline' },
-            Demon: { className: 'Hybrid', placement: 'Midline' },
-            ElectroMage: { className: 'Control', placement: 'Midline' },
-            FireImp: { className: 'Damage Dealer', placement: 'Frontline' },
-            Ghost: { className: 'Skirmisher', placement: 'Frontline' },
-            Goblin: { className: 'Swarm', placement: 'Frontline' },
-            Golem: { className: 'Tank', placement: 'Frontline' },
-            Harpy: { className: 'Skirmisher', placement: 'Frontline' },
-            IceLizard: { className: 'Control', placement: 'Midline' },
-            Knight: { className: 'Tank', placement: 'Frontline' },
-            Mech: { className: 'Bruiser', placement: 'Midline' },
-            Necromancer: { className: 'Summoner', placement: 'Midline' },
-            Orc: { className: 'Bruiser', placement: 'Frontline' },
-            PoisonWard: { className: 'Control', placement: 'Midline' },
-            Skeleton: { className: 'Swarm', placement: 'Frontline' },
-            Surgeon: { className: 'Support', placement: 'Midline' },
-            Tank: { className: 'Tank', placement: 'Frontline' },
-            Thrower: { className: 'Damage Dealer', placement: 'Midline' },
-            Troll: { className: 'Bruiser', placement: 'Frontline' },
-            Zombie: { className: 'Swarm', placement: 'Frontline' }
+        const monsterPlacement = {
+            Archer: 'Midline',
+            Bat: 'Frontline',
+            Bomber: 'Backline',
+            Catapult: 'Backline',
+            Cupid: 'Midline',
+            Demon: 'Midline',
+            ElectroMage: 'Midline',
+            FireImp: 'Frontline',
+            Ghost: 'Frontline',
+            Goblin: 'Frontline',
+            Golem: 'Frontline',
+            Harpy: 'Frontline',
+            IceLizard: 'Midline',
+            Knight: 'Frontline',
+            Mech: 'Midline',
+            Necromancer: 'Midline',
+            Orc: 'Frontline',
+            PoisonWard: 'Midline',
+            Skeleton: 'Frontline',
+            Surgeon: 'Midline',
+            Tank: 'Frontline',
+            Thrower: 'Midline',
+            Troll: 'Frontline',
+            Zombie: 'Frontline'
         };
 
-        // Fallback if not mapped
-        const fallback = {
-            className: isDefence ? 'Generalist' : 'Bruiser',
-            placement: 'Midline'
+        const info = {
+            className: unitData.Class || (isDefence ? 'Generalist' : 'Bruiser'),
+            placement: (isDefence ? defencePlacement[unitKey] : monsterPlacement[unitKey]) || 'Midline'
         };
-        const info = (isDefence && defenceMap[unitKey]) ? defenceMap[unitKey]
-            : (!isDefence && monsterMap[unitKey]) ? monsterMap[unitKey]
-            : fallback;
 
         const classKey = `CLASS_${String(info.className).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
         const placeKey = `PLACEMENT_${String(info.placement).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
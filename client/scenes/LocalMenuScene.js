@@ -1,5 +1,6 @@
 import GlobalAudio from '../utils/AudioManager.js';
 import GlobalBackground from '../utils/BackgroundManager.js';
+import { DEV_BUILD } from '../utils/DebugManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
 
@@ -30,7 +31,22 @@ export default class LocalMenuScene extends Phaser.Scene {
             .setOrigin(0.5)
             .setInteractive();
 
-        const backBtn = this.add.text(600, 490, t('UI_BACK', '<- BACK'), { fontFamily: '"Press Start 2P", cursive', fontSize: '26px', color: '#ff6666' })
+        const tournamentBtn = this.add.text(600, 490, t('LOCAL_MENU_TOURNAMENT', 'AI Tournament'), { fontFamily: '"Press Start 2P", cursive', fontSize: '30px' })
+            .setOrigin(0.5)
+            .setInteractive();
+
+        const sandboxBtn = this.add.text(600, 580, t('LOCAL_MENU_SANDBOX', 'Sandbox'), { fontFamily: '"Press Start 2P", cursive', fontSize: '30px' })
+            .setOrigin(0.5)
+            .setInteractive();
+
+        // Dev builds only
+        const editorBtn = DEV_BUILD
+            ? this.add.text(600, 670, t('LOCAL_MENU_UNIT_EDITOR', 'Unit Editor'), { fontFamily: '"Press Start 2P", cursive', fontSize: '30px' })
+                .setOrigin(0.5)
+                .setInteractive()
+            : null;
+
+        const backBtn = this.add.text(600, DEV_BUILD ? 760 : 670, t('UI_BACK', '<- BACK'), { fontFamily: '"Press Start 2P", cursive', fontSize: '26px', color: '#ff6666' })
             .setOrigin(0.5)
             .setInteractive();
 
@@ -49,6 +65,21 @@ export default class LocalMenuScene extends Phaser.Scene {
             this.scene.start('LocalChallengesScene');
         });
 
+  tournamentBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('TournamentScene');
+        });
+
+  sandboxBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('SandboxScene');
+        });
+
+  if (editorBtn) editorBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('UnitEditorScene');
+        });
+
   backBtn.on('pointerdown', () => {
             GlobalAudio.playButton(this);
             this.scene.start('PlayModeScene');
@@ -1,7 +1,9 @@
 import GlobalAudio from '../utils/AudioManager.js';
 import GlobalBackground from '../utils/BackgroundManager.js';
+import { DEBUG_MODE } from '../utils/DebugManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import EndlessFactory from '../utils/factories/EndlessFactory.js';
 
 export default class LocalPostGameScene extends Phaser.Scene {
     constructor() {
@@ -74,7 +76,10 @@ export default class LocalPostGameScene extends Phaser.Scene {
             wordWrap: { width: 1000, useAdvancedWrap: true }
         }).setOrigin(0.5);
 
-        const summary = fmt('POSTGAME_SUMMARY', 'Waves: {0}/{1}    Tokens: {2}', finalWave, waves, tokens);
+        const endless = stats.endless || null;
+        const summary = endless
+            ? fmt('POSTGAME_SUMMARY_ENDLESS', 'Endless - reached wave {0}    Tokens: {1}', finalWave, tokens)
+            : fmt('POSTGAME_SUMMARY', 'Waves: {0}/{1}    Tokens: {2}', finalWave, waves, tokens);
         this.add.text(600, 190, summary, {
             fontSize: 18,
             color: "#ffff88",
@@ -152,6 +157,55 @@ export default class LocalPostGameScene extends Phaser.Scene {
             }).setOrigin(0.5, 0);
         }
 
+        if (endless) {
+            // Best wave for the loadout, then every modifier the match went through
+            if (Number.isFinite(endless.bestWave)) {
+                const bestText = endless.newRecord
+                    ? fmt('POSTGAME_ENDLESS_NEW_RECORD', 'New best for this loadout: wave {0}!', endless.bestWave)
+                    : fmt('POSTGAME_ENDLESS_BEST', 'Best with this loadout: wave {0}', endless.bestWave);
+                this.add.text(600, 630, bestText, {
+                    fontSize: 16,
+                    color: endless.newRecord ? "#66ff66" : "#ffff88",
+                    fontFamily: this.PIXEL_FONT
+                }).setOrigin(0.5);
+            }
+            const faced = (endless.modifiers || [])
+                .map(m => fmt('POSTGAME_ENDLESS_MODIFIER_ENTRY', '{0} (wave {1})', EndlessFactory.getModifierName(m.id), m.wave));
+            this.add.text(600, 670, fmt('POSTGAME_ENDLESS_MODIFIERS', 'Modifiers faced: {0}', faced.length ? faced.join(', ') : t('POSTGAME_NONE', 'None')), {
+                fontSize: 14,
+                color: "#cccccc",
+                align: "center",
+                fontFamily: this.PIXEL_FONT,
+                wordWrap: { width: 1000, useAdvancedWrap: true }
+            }).setOrigin(0.5);
+        }
+
+        if (stats.replay && Array.isArray(stats.replay.events)) {
+            const watchBtn = this.add.text(430, 720, t('POSTGAME_WATCH_REPLAY', 'Watch Replay'), {
+                fontSize: 20,
+                color: "#66ccff",
+                fontFamily: this.PIXEL_FONT
+            }).setOrigin(0.5).setInteractive();
+
+            watchBtn.on("pointerdown", () => {
+                GlobalAudio.playButton(this);
+                this.scene.start('ReplayScene', { replay: stats.replay });
+            });
+
+            const exportBtn = this.add.text(770, 720, t('POSTGAME_EXPORT_REPLAY', 'Export Replay'), {
+                fontSize: 20,
+                color: "#66ccff",
+                fontFamily: this.PIXEL_FONT
+            }).setOrigin(0.5).setInteractive();
+
+            exportBtn.on("pointerdown", () => {
+                GlobalAudio.playButton(this);
+                if (this._exportReplay(stats.replay)) {
+                    exportBtn.setText(t('POSTGAME_REPLAY_EXPORTED', 'Replay saved'));
+                }
+            });
+        }
+
         const back = this.add.text(600, 800, t('POSTGAME_RETURN', 'Return to Menu'), {
             fontSize: 26,
             color: "#ff6666",
@@ -176,6 +230,24 @@ export default class LocalPostGameScene extends Phaser.Scene {
         });
     }
 
+    _exportReplay(replay) {
+        try {
+            const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `protodice-replay-${replay.seed || Date.now()}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            return true;
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[LocalPostGameScene] replay export failed', e);
+            return false;
+        }
+    }
+
     _bindExitHotkey() {
         if (!this.input || !this.input.keyboard) return;
         if (this._onEscKey) return;
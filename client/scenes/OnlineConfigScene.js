@@ -4,11 +4,14 @@ import GlobalAudio from '../utils/AudioManager.js';
 import GlobalBackground from '../utils/BackgroundManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import GlobalMods from '../utils/ModManager.js';
+import GlobalSettings from '../utils/SettingsManager.js';
 
 export default class OnlineConfigScene extends Phaser.Scene {
     constructor() {
         super({ key: 'OnlineConfigScene' });
 
+        this.playerCount = 2;
         this.selectedWaves = 20;
         this.switchSides = false;
         this.diceCount = 1;
@@ -24,6 +27,7 @@ export default class OnlineConfigScene extends Phaser.Scene {
 
     init(data) {
         if (!data) return;
+        if (data.players === 2 || data.players === 4) this.playerCount = data.players;
         if (Number.isFinite(data.waves)) this.selectedWaves = data.waves;
         if (typeof data.switchSides === 'boolean') this.switchSides = data.switchSides;
         if (Number.isFinite(data.diceCount)) this.diceCount = data.diceCount;
@@ -51,6 +55,7 @@ export default class OnlineConfigScene extends Phaser.Scene {
         const t = (key, fallback) => GlobalLocalization.t(key, fallback);
         const fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
         this._t = t;
+        GlobalMods.activate(GlobalSettings.get(this).modPacks);
 
         this.add.text(600, 60, t('CONFIG_TITLE', 'Game Configuration'), {
             fontSize: '32px',
@@ -120,6 +125,18 @@ export default class OnlineConfigScene extends Phaser.Scene {
             this.refreshScene();
         });
 
+        // Match size: 1v1, or 2v2 with two players sharing each side
+        this.playerCountBtn = this.add.text(220, 740,
+            this.playerCount === 4 ? t('CONFIG_MODE_2V2', 'Mode: 2v2') : t('CONFIG_MODE_1V1', 'Mode: 1v1'),
+            { fontSize: '20px', fontFamily: '"Press Start 2P"', color: this.playerCount === 4 ? '#ff6666' : '#66aaff' }
+        ).setOrigin(0.5).setInteractive();
+
+        this.playerCountBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.playerCount = this.playerCount === 4 ? 2 : 4;
+            this.refreshScene();
+        });
+
         // --------------------------------------
         // Board Size
         // --------------------------------------
@@ -169,6 +186,31 @@ export default class OnlineConfigScene extends Phaser.Scene {
             this.refreshScene();
         });
 
+        // --------------------------------------
+        // Mod Packs (uploaded with the lobby; guests need the same versions to ready up)
+        // --------------------------------------
+        const installedMods = GlobalMods.getInstalled();
+        if (installedMods.length > 0) {
+            this.add.text(220, 140, t('CONFIG_MODS', 'Mod Packs'), {
+                fontSize: '18px',
+                fontFamily: '"Press Start 2P", cursive'
+            }).setOrigin(0.5);
+
+            installedMods.slice(0, 5).forEach((pack, i) => {
+                const active = GlobalMods.isActive(pack.id);
+                const modBtn = this.add.text(220, 180 + i * 32,
+                    active ? fmt('CONFIG_MOD_ON', '{0}: ON', pack.name) : fmt('CONFIG_MOD_OFF', '{0}: OFF', pack.name),
+                    { fontSize: '12px', fontFamily: '"Press Start 2P"', color: active ? '#66ff66' : '#999999' }
+                ).setOrigin(0.5).setInteractive();
+
+                modBtn.on('pointerdown', () => {
+                    GlobalAudio.playButton(this);
+                    GlobalMods.setEnabled(pack.id, !active, this);
+                    this.refreshScene();
+                });
+            });
+        }
+
         // --------------------------------------
         // Create Lobby Button
         // --------------------------------------
@@ -205,12 +247,15 @@ export default class OnlineConfigScene extends Phaser.Scene {
 
     buildLobbyPayload() {
         return {
+            players: this.playerCount,
             waves: this.selectedWaves,
             switchSides: this.switchSides,
             diceCount: this.diceCount,
             boardRows: this.boardRows,
             boardCols: this.boardCols,
-            turnTimeSeconds: this.turnTimeSeconds
+            turnTimeSeconds: this.turnTimeSeconds,
+            // The server re-validates the definitions and computes the hashes guests must match
+            modPacks: GlobalMods.getPayloads(GlobalMods.getActive().map(m => m.id))
         };
     }
 
@@ -284,6 +329,11 @@ export default class OnlineConfigScene extends Phaser.Scene {
                 } else {
                     errorMsg = `Error: ${error}`;
                 }
+            } else if (typeof error === 'object' && error.reason === 'mods_invalid') {
+                const details = (Array.isArray(error.errors) ? error.errors : []).slice(0, 3).join('\n');
+                errorMsg = GlobalLocalization.format('ONLINE_MODS_REJECTED', 'The server rejected a mod pack:\n{0}', details);
+            } else if (typeof error === 'object' && error.reason === 'mod_in_use') {
+                errorMsg = GlobalLocalization.format('ONLINE_MODS_IN_USE', 'A different version of {0} is in use on the server.', error.id || '');
             } else if (typeof error === 'object' && error.reason) {
                 errorMsg = `Error: ${error.reason}`;
             }
@@ -396,6 +446,7 @@ export default class OnlineConfigScene extends Phaser.Scene {
 
     refreshScene() {
         this.scene.restart({
+            players: this.playerCount,
             waves: this.selectedWaves,
             switchSides: this.switchSides,
             diceCount: this.diceCount,
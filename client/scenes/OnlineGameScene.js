@@ -1,24 +1,17 @@
 import LocalGameScene from './LocalGameScene.js';
 import { getSocket } from '../utils/SocketManager.js';
+import { animateDiceRoll } from '../utils/AnimationManager.js';
 import GlobalAudio from '../utils/AudioManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
 import GlobalAchievements from '../utils/AchievementsManager.js';
+import { DEBUG_MODE } from '../utils/DebugManager.js';
 import { formatCompact } from '../utils/FormatManager.js';
-
-const ONLINE_STORAGE = {
-    tokens: 'online_diceTokens',
-    defenceNormal: 'online_defenceNormalLoadout',
-    defenceProto: 'online_defenceProtoLoadout',
-    monsterNormal: 'online_monsterNormalLoadout',
-    monsterProto: 'online_monsterProtoLoadout'
-};
-
-const DEFAULT_LOADOUTS = {
-    defenceNormal: ['SniperTower', 'Cannon', 'Mortar', 'MachineGun', 'Flamethrower'],
-    defenceProto: ['BoomCannon', 'LazorBeam', 'ShockBlaster', 'AcidShooter', 'Microwavr'],
-    monsterNormal: ['Goblin', 'Orc', 'Troll', 'Bat', 'FireImp'],
-    monsterProto: ['Golem', 'Harpy', 'IceLizard', 'Demon', 'ElectroMage']
-};
+import { MATCH_PROTOCOL_VERSION, MATCH_ACTIONS, MATCH_EVENTS, getTeamRole, resolveSeatTeams } from '../utils/MatchProtocol.js';
+import { DEFAULT_LOADOUTS, getMatchTokenReward } from '../utils/InventoryProtocol.js';
+import CombatFactory from '../utils/factories/CombatFactory.js';
+import DefenceFactory from '../utils/factories/DefenceFactory.js';
+import MonsterFactory from '../utils/factories/MonsterFactory.js';
+import PuddleFactory from '../utils/factories/PuddleFactory.js';
 
 export default class OnlineGameScene extends LocalGameScene {
     constructor() {
@@ -31,6 +24,13 @@ export default class OnlineGameScene extends LocalGameScene {
         this._turnTimeRemaining = 0;
         this._onlinePlayers = [];
         this._gameEnded = false;
+        this._socketHandlers = null;
+        this._netUnits = new Map();
+        this._stateQueue = Promise.resolve();
+        this._awaitingServer = false;
+        this._appendingServerLog = false;
+        this._lastSeq = 0;
+        this._clientSeq = 0;
     }
 
     init(data = {}) {
@@ -46,10 +46,9 @@ export default class OnlineGameScene extends LocalGameScene {
             ? config.turnTimeSeconds
             : (Number.isFinite(data.turnTimeSeconds) ? data.turnTimeSeconds : 30);
 
-        const players = Array.isArray(data.players) ? data.players.slice(0, 2) : [];
-        const names = players.length === 2
-            ? players.map((p, i) => p?.name || `Player ${i + 1}`)
-            : ['Player 1', 'Player 2'];
+        const playerCount = config.players === 4 ? 4 : 2;
+        const players = Array.isArray(data.players) ? data.players.slice(0, playerCount) : [];
+        const names = Array.from({ length: playerCount }, (_, i) => players[i]?.name || `Player ${i + 1}`);
 
         super.init({
             waves,
@@ -65,10 +64,17 @@ export default class OnlineGameScene extends LocalGameScene {
         this.roomCode = data.code || this.roomCode || null;
         this._onlinePlayers = players;
 
+        this._applyOnlineSeats(players, playerCount);
         this._applyOnlineLoadouts();
         this._applyOnlinePlayers(players);
         this.localPlayerIndex = this._resolveLocalPlayerIndex(data, players);
         this._gameEnded = false;
+        this._netUnits = new Map();
+        this._stateQueue = Promise.resolve();
+        this._awaitingServer = false;
+        this._turnExpiresAt = null;
+        this._lastSeq = 0;
+        this._clientSeq = 0;
     }
 
     create() {
@@ -80,56 +86,372 @@ export default class OnlineGameScene extends LocalGameScene {
             color: '#ffaa66'
         }).setOrigin(0.5);
 
+        this._bindMatchSocketEvents();
         this._applyTurnGating();
         this._startTurnTimer();
+
+        try {
+            getSocket()?.emit('request-game-state', { code: this.roomCode });
+        } catch (e) {}
     }
 
-    _applyOnlineLoadouts() {
-        const readLoadout = (key, fallback) => {
-            try {
-                const raw = localStorage.getItem(key);
-                if (raw) {
-                    const parsed = JSON.parse(raw);
-                    if (Array.isArray(parsed) && parsed.length) return parsed.slice(0, 5);
+    _bindMatchSocketEvents() {
+        const socket = getSocket();
+        if (!socket || this._socketHandlers) return;
+
+        // Server payloads are applied in arrival order; dice animations may hold the queue briefly
+        const enqueue = (fn) => {
+            this._stateQueue = this._stateQueue
+                .then(fn)
+                .catch(e => { if (DEBUG_MODE) console.warn('[OnlineGameScene] state sync failed', e); });
+        };
+
+        this._socketHandlers = {
+            [MATCH_EVENTS.ACCEPTED]: (payload = {}) => {
+                if (payload.code && payload.code !== this.roomCode) return;
+                if (payload.v !== MATCH_PROTOCOL_VERSION) return;
+                // Each accepted action carries a full snapshot, so a gap only costs animations, not state
+                if (Number.isInteger(payload.seq)) {
+                    if (payload.seq <= this._lastSeq) return;
+                    if (payload.seq > this._lastSeq + 1 && DEBUG_MODE) {
+                        console.warn('[OnlineGameScene] missed actions', this._lastSeq + 1, 'to', payload.seq - 1);
+                    }
+                    this._lastSeq = payload.seq;
+                }
+                enqueue(() => this._handleMatchState(payload));
+            },
+            'game-state': (payload = {}) => {
+                if (payload.room && payload.room !== this.roomCode) return;
+                if (!payload.state) return;
+                if (Number.isInteger(payload.seq)) {
+                    if (payload.seq < this._lastSeq) return;
+                    this._lastSeq = payload.seq;
                 }
-            } catch (e) {}
-            return fallback.slice(0, 5);
+                if (Number.isFinite(payload.localIndex)) this.localPlayerIndex = payload.localIndex;
+                if (Number.isFinite(payload.turnExpiresAt)) this._turnExpiresAt = payload.turnExpiresAt;
+                enqueue(() => this._applyMatchState(payload.state));
+            },
+            'turn-start': (payload = {}) => {
+                this._turnExpiresAt = Number.isFinite(payload.turnExpiresAt) ? payload.turnExpiresAt : null;
+                this._applyTurnGating();
+                this._startTurnTimer();
+            },
+            [MATCH_EVENTS.REJECTED]: (payload = {}) => {
+                if (payload.code && payload.code !== this.roomCode) return;
+                this._awaitingServer = false;
+                this._showRejection(payload.reason);
+                this._applyTurnGating();
+            },
+            'game-finished': (payload = {}) => {
+                if (payload.code && payload.code !== this.roomCode) return;
+                enqueue(() => this._handleGameFinished(payload));
+            },
+            'player-left': (payload = {}) => {
+                const idx = (this._onlinePlayers || []).findIndex(p => String(p?.id) === String(payload.id));
+                if (idx >= 0 && this.playerSlots?.[idx]) this.playerSlots[idx].connected = false;
+                try { this.updatePlayerBar(); } catch (e) {}
+            },
+            'player-rejoined': (payload = {}) => {
+                const idx = (this._onlinePlayers || []).findIndex(p => String(p?.id) === String(payload.id));
+                if (idx >= 0 && this.playerSlots?.[idx]) this.playerSlots[idx].connected = true;
+                try { this.updatePlayerBar(); } catch (e) {}
+            }
+        };
+
+        Object.entries(this._socketHandlers).forEach(([event, handler]) => socket.on(event, handler));
+    }
+
+    _unbindMatchSocketEvents() {
+        const socket = getSocket();
+        if (!socket || !this._socketHandlers) return;
+        Object.entries(this._socketHandlers).forEach(([event, handler]) => socket.off(event, handler));
+        this._socketHandlers = null;
+    }
+
+    _showRejection(reason) {
+        if (!this.infoText) return;
+        const messages = {
+            not_rolled: this._t('GAME_ROLL_FIRST', 'Roll dice first!'),
+            deploy_first: this._t('GAME_DEPLOY_FIRST', 'Deploy all units first!'),
+            holders_full: this._t('GAME_HOLDING_MAX', 'Holding max units - place some first!'),
+            invalid_zone: this._t('GAME_INVALID_PLACEMENT', 'Invalid placement!'),
+            occupied: this._t('GAME_INVALID_PLACEMENT', 'Invalid placement!'),
+            out_of_bounds: this._t('GAME_INVALID_PLACEMENT', 'Invalid placement!'),
+            not_your_turn: this._t('ONLINE_WAITING_OPPONENT', 'Waiting for opponent...'),
+            not_your_unit: this._getRecallBlockedText('not_your_unit'),
+            unit_disabled: this._getRecallBlockedText('unit_disabled')
         };
+        this.infoText.setText(messages[reason] || this._t('ONLINE_ACTION_REJECTED', 'Action rejected by server'));
+    }
+
+    async _handleMatchState(payload) {
+        const { type, state, result } = payload;
+        if (!state) return;
+
+        if (type === MATCH_ACTIONS.ROLL || type === MATCH_ACTIONS.REROLL_PROTO) {
+            const rerolled = type === MATCH_ACTIONS.REROLL_PROTO ? (result?.indices || []) : [];
+            if (type === MATCH_ACTIONS.ROLL) this._protoVisualIndices = new Set();
+            rerolled.forEach(i => this._protoVisualIndices.add(i));
+            await this._animateServerRoll(state.diceValues || [], rerolled);
+        }
+
+        this._applyMatchState(state);
+        this._appendServerLog(payload.log);
+        this._awaitingServer = false;
+        this._applyTurnGating();
+    }
+
+    async _animateServerRoll(values, rerolled) {
+        try {
+            if (GlobalAudio && typeof GlobalAudio.playDice === 'function') GlobalAudio.playDice(this);
+        } catch (e) {}
 
-        this.defenceNormalLoadout = readLoadout(ONLINE_STORAGE.defenceNormal, DEFAULT_LOADOUTS.defenceNormal);
-        this.defenceProtoLoadout = readLoadout(ONLINE_STORAGE.defenceProto, DEFAULT_LOADOUTS.defenceProto);
-        this.monsterNormalLoadout = readLoadout(ONLINE_STORAGE.monsterNormal, DEFAULT_LOADOUTS.monsterNormal);
-        this.monsterProtoLoadout = readLoadout(ONLINE_STORAGE.monsterProto, DEFAULT_LOADOUTS.monsterProto);
+        this.diceValues = values.slice();
+        try {
+            this._syncDiceSprites();
+            if (!rerolled.length) {
+                await animateDiceRoll(this, this.diceValues.slice(0, this.diceCount));
+            } else {
+                const faces = new Array(this.diceCount).fill(null).map((_, i) => (
+                    rerolled.includes(i) ? this.diceValues[i] : { value: this.diceValues[i], static: true }
+                ));
+                await animateDiceRoll(this, faces);
+            }
+        } catch (e) {}
+        this._syncDiceSprites();
+    }
+
+    _appendServerLog(entries) {
+        if (!Array.isArray(entries) || !entries.length) return;
+        this._appendingServerLog = true;
+        try {
+            entries.forEach(text => this.addHistoryEntry(text));
+        } finally {
+            this._appendingServerLog = false;
+        }
+    }
+
+    addHistoryEntry(text) {
+        // The server log is the match history; local entries would only duplicate or contradict it
+        if (!this._appendingServerLog) return;
+        super.addHistoryEntry(text);
+    }
+
+    /**
+     * Mirror an authoritative match snapshot onto the scene.
+     * Units are matched by their server id; nothing here runs game rules locally.
+     * @param {Object} state - MatchSimulation.snapshot() payload
+     */
+    _applyMatchState(state) {
+        if (!state || this._gameEnded) return;
+
+        const previousPlayer = this.currentPlayer;
+        this.currentWave = state.currentWave;
+        this.currentPlayer = state.currentPlayer;
+        this.diceValues = Array.isArray(state.diceValues) ? state.diceValues.slice() : [];
+        this.prototypeDiceIndices = Array.isArray(state.prototypeDiceIndices) ? state.prototypeDiceIndices.slice() : [];
+        this.rolledThisTurn = !!state.rolledThisTurn;
+        if (!this.diceValues.length) this._protoVisualIndices = new Set();
+        if (Array.isArray(state.scores)) this.scores = state.scores.slice();
+        // Lineups are the server-sanitized ones, which also shows what teammates and opponents brought
+        if (Array.isArray(state.loadouts)) {
+            state.loadouts.forEach((loadout, i) => {
+                if (!this.players[i] || !loadout) return;
+                this.players[i].normalLoadout = (loadout.normal || []).slice();
+                this.players[i].protoLoadout = (loadout.proto || []).slice();
+            });
+        }
+        this.defeatedMonsters = state.defeatedMonsters || 0;
+        this.destroyedDefences = state.destroyedDefences || 0;
 
-        if (this.players && this.players.length >= 2) {
-            this.players[0].normalLoadout = this.switchSides ? this.monsterNormalLoadout : this.defenceNormalLoadout;
-            this.players[0].protoLoadout = this.switchSides ? this.monsterProtoLoadout : this.defenceProtoLoadout;
-            this.players[0].isAI = false;
+        this._syncBoardUnits(state.units || [], state.holders || []);
+        this._syncPuddles(state.puddles || []);
 
-            this.players[1].normalLoadout = this.switchSides ? this.defenceNormalLoadout : this.monsterNormalLoadout;
-            this.players[1].protoLoadout = this.switchSides ? this.defenceProtoLoadout : this.monsterProtoLoadout;
-            this.players[1].isAI = false;
+        if (previousPlayer !== this.currentPlayer || !this.infoText?.text) {
+            this.infoText?.setText(this._fmt('GAME_WAVE_TURN', 'Wave {0}/{1} - {2}\'s turn', this.currentWave, this.waves, this.players[this.currentPlayer]?.name || ''));
         }
+
+        this.updateHolders();
+        this._syncDiceSprites();
+        this.setDiceTextState();
+        this.updateEndTurnButtonState();
+        this.updatePlayerBar();
+    }
+
+    _createNetUnit(data) {
+        const isDefence = data.typeName in DefenceFactory.defenceData;
+        const unit = isDefence ? DefenceFactory.create(data.typeName) : MonsterFactory.create(data.typeName);
+        if (!unit) return null;
+        unit._netId = data.id;
+        unit._owner = data.owner;
+        unit.scene = this;
+        this._netUnits.set(data.id, unit);
+        return unit;
+    }
+
+    _applyNetUnitStats(unit, data) {
+        const previousHealth = unit.currentHealth;
+        unit._owner = data.owner;
+        unit.health = data.health;
+        unit.currentHealth = data.currentHealth;
+        if (data.ammo !== null) unit.ammo = data.ammo;
+        if (data.currentAmmo !== null) unit.currentAmmo = data.currentAmmo;
+        unit.reloadTimer = data.reloadTimer || 0;
+        unit.status = Array.isArray(data.status) ? data.status.map(s => ({ ...s })) : [];
+        // Merges happen on the server; only the stars need redrawing here
+        const level = Number(data.level) || 1;
+        if (level !== (unit.level || 1)) {
+            unit.level = level;
+            if (unit.healthBar && unit.sprite) this.addUnitBars(unit, unit.sprite);
+        }
+        if (unit.position && Number.isFinite(previousHealth) && data.currentHealth < previousHealth) {
+            try { CombatFactory._showDamage(this, unit, previousHealth - data.currentHealth); } catch (e) {}
+        }
+    }
+
+    _mountNetUnit(unit, row, col) {
+        const tile = this.getTileXY(row, col);
+        const spr = this.ensureSpriteForUnit(unit, tile.x, tile.y + (this.UNIT_Y_OFFSET || 0), false);
+        unit.position = { row, col };
+        if (!Number.isFinite(unit._placedWave)) unit._placedWave = this.currentWave;
+        this.grid[row][col].unit = unit;
+        this.grid[row][col].sprite = spr || null;
+        if (!this.units.includes(unit)) this.units.push(unit);
+        if (!spr) return;
+
+        spr.setVisible(true);
+        spr.setAlpha(1);
+        spr.setScale(1);
+        spr.setOrigin(0.5);
+        if (this.TILE_SIZE && spr.setDisplaySize) {
+            const s = Math.max(8, Math.floor(this.TILE_SIZE * 0.8));
+            spr.setDisplaySize(s, s);
+        }
+        spr.depth = 10;
+        spr._isPlacedOnGrid = true;
+        try {
+            spr.removeAllListeners();
+            spr.disableInteractive();
+        } catch (e) {}
+        this.holderSprites = (this.holderSprites || []).filter(h => h !== spr);
+        if (!unit.healthBar) this.addUnitBars(unit, spr);
+    }
+
+    _syncBoardUnits(unitStates, holderStates) {
+        const seen = new Set();
+
+        // Clear the board first so moved units never collide with stale cells
+        for (const row of this.grid) {
+            for (const cell of row) {
+                if (cell) { cell.unit = null; cell.sprite = null; }
+            }
+        }
+
+        for (const data of unitStates) {
+            if (!data || !Number.isInteger(data.row) || !Number.isInteger(data.col)) continue;
+            if (!this.grid[data.row] || !this.grid[data.row][data.col]) continue;
+            let unit = this._netUnits.get(data.id) || this._createNetUnit(data);
+            if (!unit) continue;
+            seen.add(data.id);
+            this.holders = this.holders.filter(h => h !== unit);
+            this._applyNetUnitStats(unit, data);
+            this._mountNetUnit(unit, data.row, data.col);
+        }
+
+        const nextHolders = [];
+        for (const data of holderStates) {
+            if (!data) continue;
+            const unit = this._netUnits.get(data.id) || this._createNetUnit(data);
+            if (!unit) continue;
+            seen.add(data.id);
+            // Recalled on the server: the unit is back in the holders, so drop its board visuals
+            if (unit.position) {
+                delete unit.position;
+                this._clearBoardVisuals(unit);
+            }
+            this._applyNetUnitStats(unit, data);
+            nextHolders.push(unit);
+        }
+        this.holders = nextHolders;
+
+        for (const [id, unit] of this._netUnits) {
+            if (seen.has(id)) continue;
+            this._netUnits.delete(id);
+            // Death effects already ran on the server; only tear down visuals here.
+            // The cell may already hold another unit, so detach the position first.
+            unit._deathLifecycleHandled = true;
+            delete unit.position;
+            this._removeUnitCompletely(unit, { forceCleanup: true });
+        }
+        this.units = this.units.filter(u => u && u._netId && this._netUnits.has(u._netId) && u.position);
+    }
+
+    _syncPuddles(puddleStates) {
+        PuddleFactory.cleanupPuddles(this);
+        for (const p of puddleStates) {
+            if (!p) continue;
+            PuddleFactory.placePuddle(this, p.row, p.col, {
+                PuddleType: p.puddleType || p.typeName,
+                Duration: p.duration
+            });
+        }
+    }
+
+    // Placeholder lineups until the first server state, which carries every player's inventory loadouts
+    _applyOnlineLoadouts() {
+        this.defenceNormalLoadout = DEFAULT_LOADOUTS.defenceNormal.slice();
+        this.defenceProtoLoadout = DEFAULT_LOADOUTS.defenceProto.slice();
+        this.monsterNormalLoadout = DEFAULT_LOADOUTS.monsterNormal.slice();
+        this.monsterProtoLoadout = DEFAULT_LOADOUTS.monsterProto.slice();
+
+        (this.players || []).forEach(player => {
+            const isDefence = player.role === 'defence';
+            player.normalLoadout = isDefence ? this.defenceNormalLoadout : this.monsterNormalLoadout;
+            player.protoLoadout = isDefence ? this.defenceProtoLoadout : this.monsterProtoLoadout;
+            player.isAI = false;
+        });
+    }
+
+    /**
+     * Seat every online player. 2v2 matches take their roles from the lobby teams, resolved
+     * exactly as the server does, so indices line up with the match snapshot.
+     */
+    _applyOnlineSeats(players, playerCount) {
+        const teams = resolveSeatTeams(players.map(p => p?.team), playerCount);
+        this.totalPlayers = playerCount;
+        this.teamsEnabled = playerCount > 2;
+        this.playerTeams = teams;
+        this.ai = new Array(playerCount).fill(false);
+        this.isAI = this.ai.slice();
+        this.scores = new Array(playerCount).fill(0);
+        this.players = teams.map((team, i) => ({
+            name: this.names?.[i] || `Player ${i + 1}`,
+            isAI: false,
+            role: getTeamRole(team, this.switchSides),
+            normalLoadout: [],
+            protoLoadout: []
+        }));
     }
 
     _applyOnlinePlayers(players) {
-        if (!Array.isArray(players) || players.length < 2) return;
+        if (!Array.isArray(players) || players.length < this.totalPlayers) return;
 
         const names = players.map((p, i) => p?.name || `Player ${i + 1}`);
-        this.playerNames = names.slice(0, 2);
+        this.playerNames = names.slice(0, this.totalPlayers);
         this.names = this.playerNames.slice();
 
-        if (this.players && this.players.length >= 2) {
-            this.players[0].name = this.playerNames[0];
-            this.players[1].name = this.playerNames[1];
-        }
+        (this.players || []).forEach((player, i) => {
+            player.name = this.playerNames[i];
+        });
 
-        this.playerSlots = players.slice(0, 2).map((p, i) => ({
+        this.playerSlots = players.slice(0, this.totalPlayers).map((p, i) => ({
             id: p.id ?? i,
             name: p?.name || `Player ${i + 1}`,
             avatar: p?.avatar || 'playerIcon',
             connected: p?.connected !== false,
-            team: (this.players?.[i]?.role === 'defence') ? 'blue' : 'red'
+            team: this.teamsEnabled
+                ? this.playerTeams[i]
+                : ((this.players?.[i]?.role === 'defence') ? 'blue' : 'red')
         }));
     }
 
@@ -153,10 +475,10 @@ export default class OnlineGameScene extends LocalGameScene {
     }
 
     _applyTurnGating() {
-        const isLocalTurn = this._isLocalTurn();
+        const isLocalTurn = this._isLocalTurn() && !this._awaitingServer && !this._gameEnded;
 
         if (this.diceText) {
-            if (isLocalTurn) this.diceText.setInteractive();
+            if (isLocalTurn) this.setDiceTextState();
             else this.diceText.disableInteractive();
         }
 
@@ -168,6 +490,7 @@ export default class OnlineGameScene extends LocalGameScene {
         if (Array.isArray(this.holderSprites)) {
             this.holderSprites.forEach(sprite => {
                 if (!sprite || typeof sprite.setInteractive !== 'function') return;
+                if (sprite._isPlacedOnGrid) return;
                 if (isLocalTurn) sprite.setInteractive();
                 else sprite.disableInteractive();
             });
@@ -180,29 +503,65 @@ export default class OnlineGameScene extends LocalGameScene {
     }
 
     startWave() {
-        super.startWave();
+        // Wave ticks (statuses, puddles, combat) run on the server; the scene only mirrors its state
+        const defenderIndex = this.players.findIndex(p => p.role === 'defence');
+        this.currentPlayer = (defenderIndex >= 0) ? defenderIndex : 0;
+        this.infoText?.setText(this._fmt('GAME_WAVE_TURN', 'Wave {0}/{1} - {2}\'s turn', this.currentWave, this.waves, this.players[this.currentPlayer]?.name || ''));
+        this.startTurn();
         this._applyTurnGating();
-        this._startTurnTimer();
+    }
+
+    _emitMatchAction(type, payload = {}) {
+        const socket = getSocket();
+        if (!socket || !this.roomCode) return false;
+        this._awaitingServer = true;
+        this._applyTurnGating();
+        this._clientSeq += 1;
+        socket.emit(type, { v: MATCH_PROTOCOL_VERSION, code: this.roomCode, clientSeq: this._clientSeq, ...payload });
+        return true;
     }
 
     async rollDice(force = false, luckFactor = 1, rerollPrototypeIndex = null) {
         if (!this._isLocalTurn()) {
-            if (this.infoText) this.infoText.setText('Waiting for opponent...');
+            if (this.infoText) this.infoText.setText(this._t('ONLINE_WAITING_OPPONENT', 'Waiting for opponent...'));
             return;
         }
-        return super.rollDice(force, luckFactor, rerollPrototypeIndex);
+        if (this._awaitingServer || this._gameEnded) return;
+
+        if (Array.isArray(this.prototypeDiceIndices) && this.prototypeDiceIndices.length > 0) {
+            const indices = Array.isArray(rerollPrototypeIndex)
+                ? rerollPrototypeIndex
+                : (Number.isInteger(rerollPrototypeIndex) ? [rerollPrototypeIndex] : this.prototypeDiceIndices.slice());
+            this._emitMatchAction(MATCH_ACTIONS.REROLL_PROTO, { indices });
+            return;
+        }
+        this._emitMatchAction(MATCH_ACTIONS.ROLL);
+    }
+
+    _interceptHolderDrop(unit, row, col) {
+        if (!unit || !unit._netId) return true;
+        if (!this._isLocalTurn() || this._awaitingServer) return true;
+        this._emitMatchAction(MATCH_ACTIONS.PLACE, { holderId: unit._netId, row, col });
+        return true;
+    }
+
+    _interceptRecall(unit, row, col) {
+        if (!this._isLocalTurn()) {
+            if (this.infoText) this.infoText.setText(this._t('ONLINE_WAITING_OPPONENT', 'Waiting for opponent...'));
+            return true;
+        }
+        if (this._awaitingServer || this._gameEnded) return true;
+        this._emitMatchAction(MATCH_ACTIONS.RECALL, { row, col });
+        return true;
     }
 
     async endTurn() {
         if (!this._isLocalTurn()) {
-            if (this.infoText) this.infoText.setText('Waiting for opponent...');
+            if (this.infoText) this.infoText.setText(this._t('ONLINE_WAITING_OPPONENT', 'Waiting for opponent...'));
             return;
         }
-
-        this._clearTurnTimer();
-        await super.endTurn();
-        this._applyTurnGating();
-        if (!this._gameEnded) this._startTurnTimer();
+        if (this._awaitingServer || this._gameEnded) return;
+        this._emitMatchAction(MATCH_ACTIONS.END_TURN);
     }
 
     _startTurnTimer() {
@@ -212,7 +571,11 @@ export default class OnlineGameScene extends LocalGameScene {
             return;
         }
 
-        this._turnTimeRemaining = this.turnTimeSeconds;
+        // The server owns the deadline; fall back to the configured length until it reports one
+        const remainingFromServer = Number.isFinite(this._turnExpiresAt)
+            ? Math.ceil((this._turnExpiresAt - Date.now()) / 1000)
+            : null;
+        this._turnTimeRemaining = Math.max(0, remainingFromServer ?? this.turnTimeSeconds);
         if (this.turnTimerText) this.turnTimerText.setText(`Time: ${this._turnTimeRemaining}s`);
 
         this._turnTimerEvent = this.time.addEvent({
@@ -231,16 +594,10 @@ export default class OnlineGameScene extends LocalGameScene {
     }
 
     _handleTurnTimeout() {
+        // The server auto-rolls and ends the turn when its own timer fires
         this._clearTurnTimer();
-        if (!this._isLocalTurn()) return;
-        if (this._combatInProgress || this._diceRolling) return;
-
-        if (!this.rolledThisTurn) {
-            this.rollDice(true).then(() => {
-                if (this._isLocalTurn()) this.endTurn();
-            });
-        } else {
-            this.endTurn();
+        if (this._isLocalTurn() && this.infoText) {
+            this.infoText.setText(this._t('ONLINE_TURN_TIMEOUT', 'Time up! Ending turn...'));
         }
     }
 
@@ -331,6 +688,11 @@ export default class OnlineGameScene extends LocalGameScene {
         this._exitModal = { bg, msg, yesBtn, noBtn };
     }
 
+    cleanup() {
+        this._unbindMatchSocketEvents();
+        super.cleanup();
+    }
+
     _leaveOnlineMatch() {
         this.cleanup();
         try {
@@ -342,41 +704,65 @@ export default class OnlineGameScene extends LocalGameScene {
         this.scene.start('OnlineMenuScene');
     }
 
+    _handleGameFinished(payload = {}) {
+        if (this._gameEnded) return;
+        if (payload.state) this._applyMatchState(payload.state);
+        if (Array.isArray(payload.scores)) this.scores = payload.scores.slice();
+        this._serverResult = payload.result || null;
+        this._serverRewards = Array.isArray(payload.rewards) ? payload.rewards : null;
+        this._serverRatingChanges = Array.isArray(payload.ratingChanges) ? payload.ratingChanges : null;
+
+        // Without a match result the game ended on a forfeit: whoever is still here wins
+        const result = this._serverResult;
+        const localRole = this.players?.[this.localPlayerIndex]?.role;
+        this.endGame(result ? !!result.win : localRole === 'defence');
+    }
+
     endGame(win) {
         this._gameEnded = true;
         this._clearTurnTimer();
         this.exitLocked = false;
 
-        if (win) {
-            this.scores[0] += this.currentWave * 2 + this.defeatedMonsters;
-        } else {
-            this.scores[1] += this.destroyedDefences + 10;
-        }
+        // Final scores already include the end-of-match bonus from the server
         this.updatePlayerBar();
 
+        const result = this._serverResult || null;
         const roles = (this.players || []).map(p => p?.role || 'unknown');
         const defenceIndex = roles.indexOf('defence');
         const monsterIndex = roles.indexOf('monster');
-        const winnerIndex = win ? defenceIndex : monsterIndex;
+        const winnerIndex = result && Number.isInteger(result.winnerIndex)
+            ? result.winnerIndex
+            : (win ? defenceIndex : monsterIndex);
+        // Team matches have two winners; a forfeit (no result) is won by the side still playing
+        const winnerIndices = Array.isArray(result?.winnerIndices)
+            ? result.winnerIndices
+            : roles.map((role, i) => (role === (win ? 'defence' : 'monster') ? i : -1)).filter(i => i >= 0);
+        if (result) {
+            this.currentWave = result.finalWave ?? this.currentWave;
+            this.defeatedMonsters = result.defeatedMonsters ?? this.defeatedMonsters;
+            this.destroyedDefences = result.destroyedDefences ?? this.destroyedDefences;
+        }
 
-        const tokens = this.defeatedMonsters + this.currentWave * 2;
-        const currentTokens = parseInt(localStorage.getItem(ONLINE_STORAGE.tokens)) || 0;
-        localStorage.setItem(ONLINE_STORAGE.tokens, currentTokens + tokens);
+        // Tokens are credited to the server inventory; this is only the amount to show
+        const tokens = Number.isFinite(this._serverRewards?.[this.localPlayerIndex])
+            ? this._serverRewards[this.localPlayerIndex]
+            : getMatchTokenReward({ defeatedMonsters: this.defeatedMonsters, finalWave: this.currentWave });
 
+        const localWon = winnerIndices.includes(this.localPlayerIndex);
         const totalTokensText = formatCompact(tokens);
-        if (win) {
+        if (localWon) {
             this.infoText.setText(GlobalLocalization.format('GAME_VICTORY_TOKENS', 'Victory! Earned {0} tokens.', totalTokensText));
         } else {
             this.infoText.setText(GlobalLocalization.format('GAME_DEFEAT_TOKENS', 'Defeat! Earned {0} tokens.', totalTokensText));
         }
 
         try {
-            if (Number.isInteger(winnerIndex) && this.players?.[winnerIndex]) {
+            if (localWon) {
                 GlobalAchievements.addWin(1);
             }
         } catch (e) {}
 
-        const mvpByPlayer = (typeof this._getMvpByPlayer === 'function') ? this._getMvpByPlayer() : [];
+        const mvpByPlayer = Array.isArray(result?.mvpByPlayer) ? result.mvpByPlayer : [];
 
         this.registry.set('onlinePostGame', {
             players: this.totalPlayers,
@@ -388,8 +774,10 @@ export default class OnlineGameScene extends LocalGameScene {
             waves: this.waves,
             finalWave: this.currentWave,
             tokensEarned: tokens,
+            ratingChanges: this._serverRatingChanges || null,
             win: !!win,
             winnerIndex,
+            winnerIndices,
             mvpByPlayer
         });
 
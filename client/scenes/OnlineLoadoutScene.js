@@ -6,6 +6,8 @@ import { DEBUG_MODE } from '../utils/DebugManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import { formatCompact } from '../utils/FormatManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import { getSocket } from '../utils/SocketManager.js';
+import { DEFAULT_LOADOUTS, STARTER_DEFENCES, STARTER_MONSTERS, getUnitPrice } from '../utils/InventoryProtocol.js';
 import DefenceFactory from '../utils/factories/DefenceFactory.js';
 import MonsterFactory from '../utils/factories/MonsterFactory.js';
 import PuddleFactory from '../utils/factories/PuddleFactory.js';
@@ -17,24 +19,15 @@ export default class OnlineLoadoutScene extends Phaser.Scene {
 
         this.currentTab = 'defence';
         this.currentSubTab = 'normal';
-        this.defenceNormalLoadout = JSON.parse(localStorage.getItem('online_defenceNormalLoadout')) || [
-            'SniperTower', 'Cannon', 'Mortar', 'MachineGun', 'Flamethrower'
-        ];
-        this.defenceProtoLoadout = JSON.parse(localStorage.getItem('online_defenceProtoLoadout')) || [
-            'BoomCannon', 'LazorBeam', 'ShockBlaster', 'AcidShooter', 'Microwavr'
-        ];
-        this.monsterNormalLoadout = JSON.parse(localStorage.getItem('online_monsterNormalLoadout')) || [
-            'Goblin', 'Orc', 'Troll', 'Bat', 'FireImp'
-        ];
-        this.monsterProtoLoadout = JSON.parse(localStorage.getItem('online_monsterProtoLoadout')) || [
-            'Golem', 'Harpy', 'IceLizard', 'Demon', 'ElectroMage'
-        ];
-        this.ownedDefences = JSON.parse(localStorage.getItem('online_ownedDefences')) || [
-            'SniperTower', 'Cannon', 'Mortar', 'MachineGun', 'Flamethrower', 'BoomCannon', 'LazorBeam', 'ShockBlaster', 'AcidShooter', 'Microwavr'
-        ];
-        this.ownedMonsters = JSON.parse(localStorage.getItem('online_ownedMonsters')) || [
-            'Goblin', 'Orc', 'Troll', 'Bat', 'FireImp', 'Golem', 'Harpy', 'IceLizard', 'Demon', 'ElectroMage'
-        ];
+        // Starter inventory until the server sends the real one (see _requestInventory)
+        this.defenceNormalLoadout = DEFAULT_LOADOUTS.defenceNormal.slice();
+        this.defenceProtoLoadout = DEFAULT_LOADOUTS.defenceProto.slice();
+        this.monsterNormalLoadout = DEFAULT_LOADOUTS.monsterNormal.slice();
+        this.monsterProtoLoadout = DEFAULT_LOADOUTS.monsterProto.slice();
+        this.ownedDefences = STARTER_DEFENCES.slice();
+        this.ownedMonsters = STARTER_MONSTERS.slice();
+        this.diceTokens = 0;
+        this.inventoryLoaded = false;
 
         // UI Groups
         this.unitIcons = [];
@@ -77,8 +70,7 @@ export default class OnlineLoadoutScene extends Phaser.Scene {
             fontSize: '32px'
         }).setOrigin(0.5).setDepth(10);
 
-        // read tokens ONCE at scene start
-        this.diceTokens = parseInt(localStorage.getItem('online_diceTokens')) || 0;
+        // Tokens, owned units and loadouts live on the server; nothing is read from localStorage
         this.tokenText = this.add.text(600, 80, fmt('LOADOUT_TOKENS', 'Tokens: {0}', formatCompact(this.diceTokens)), {
             fontFamily: '"Press Start 2P", cursive',
             fontSize: '16px'
@@ -237,9 +229,107 @@ export default class OnlineLoadoutScene extends Phaser.Scene {
             }
         });
 
+        this.events.once('shutdown', () => this._unbindInventorySocket());
+        this._bindInventorySocket();
+        this._requestInventory();
+
         this.refresh();
     }
 
+    _bindInventorySocket() {
+        const socket = getSocket();
+        if (!socket) return;
+        this._unbindInventorySocket();
+
+        this._inventoryHandlers = {
+            'inventory-data': ({ inventory } = {}) => {
+                this._applyInventory(inventory, true);
+                this.refresh();
+            },
+            'inventory-error': () => {
+                AlertManager.show(this, this._t('ONLINE_INVENTORY_UNAVAILABLE', 'Could not load your inventory. Check your connection and sign-in.'), 'error');
+            },
+            // Loadouts are already shown locally; only balances and unlocks may have changed meanwhile
+            'loadouts-saved': ({ inventory } = {}) => {
+                this._applyInventory(inventory, false);
+                this.refresh();
+            },
+            'loadout-failed': ({ reason, inventory } = {}) => {
+                if (inventory) this._applyInventory(inventory, true);
+                this.refresh();
+                AlertManager.show(this, this._inventoryFailureText(reason), 'error');
+            },
+            'unit-purchased': ({ unit, rarity, inventory } = {}) => {
+                this._applyInventory(inventory, false);
+                try {
+                    if (rarity) GlobalAchievements.recordUnitUnlock(rarity);
+                    GlobalAchievements.recordShopPurchase(rarity);
+                } catch (e) {}
+                const data = DefenceFactory.defenceData?.[unit] || MonsterFactory.monsterData?.[unit];
+                const fullName = this._unitName(unit, data);
+                if (this.shopGroup) {
+                    this.closeShop();
+                    this.openShop();
+                } else {
+                    this.refresh();
+                }
+                AlertManager.show(this, this._fmt('SHOP_PURCHASED', 'Purchased {0}!', fullName), 'success');
+            },
+            'buy-failed': ({ reason, inventory } = {}) => {
+                if (inventory) this._applyInventory(inventory, false);
+                this.refresh();
+                AlertManager.show(this, this._inventoryFailureText(reason), 'error');
+            }
+        };
+        Object.entries(this._inventoryHandlers).forEach(([event, handler]) => socket.on(event, handler));
+    }
+
+    _unbindInventorySocket() {
+        const socket = getSocket();
+        if (!socket || !this._inventoryHandlers) return;
+        Object.entries(this._inventoryHandlers).forEach(([event, handler]) => socket.off(event, handler));
+        this._inventoryHandlers = null;
+    }
+
+    _requestInventory() {
+        const socket = getSocket();
+        if (!socket || !socket.connected) {
+            AlertManager.show(this, this._t('ONLINE_INVENTORY_UNAVAILABLE', 'Could not load your inventory. Check your connection and sign-in.'), 'error');
+            return;
+        }
+        socket.emit('get-inventory');
+    }
+
+    _applyInventory(inventory, includeLoadouts) {
+        if (!inventory) return;
+        this.diceTokens = Number(inventory.diceTokens) || 0;
+        this.ownedDefences = Array.isArray(inventory.ownedDefences) ? inventory.ownedDefences.slice() : this.ownedDefences;
+        this.ownedMonsters = Array.isArray(inventory.ownedMonsters) ? inventory.ownedMonsters.slice() : this.ownedMonsters;
+        if (includeLoadouts && inventory.loadouts) {
+            this.defenceNormalLoadout = this._normalizeLoadoutShape(inventory.loadouts.defenceNormal);
+            this.defenceProtoLoadout = this._normalizeLoadoutShape(inventory.loadouts.defenceProto);
+            this.monsterNormalLoadout = this._normalizeLoadoutShape(inventory.loadouts.monsterNormal);
+            this.monsterProtoLoadout = this._normalizeLoadoutShape(inventory.loadouts.monsterProto);
+        }
+        this.inventoryLoaded = true;
+    }
+
+    _inventoryFailureText(reason) {
+        switch (reason) {
+            case 'not_enough_tokens':
+                return this._t('SHOP_NOT_ENOUGH_SERVER', 'Not enough tokens.');
+            case 'already_owned':
+                return this._t('SHOP_ALREADY_OWNED_SERVER', 'You already own this unit.');
+            case 'not_owned':
+                return this._t('LOADOUT_NOT_OWNED', 'That unit is not unlocked yet.');
+            case 'not_for_sale':
+            case 'unknown_unit':
+                return this._t('SHOP_NOT_FOR_SALE', 'This unit is not for sale.');
+            default:
+                return this._t('ONLINE_INVENTORY_UNAVAILABLE', 'Could not load your inventory. Check your connection and sign-in.');
+        }
+    }
+
     refresh() {
         this._normalizeAllLoadoutShapes();
 
@@ -944,68 +1034,65 @@ _getUnitAbilities(unitData) {
         const isDefence = this.currentTab === 'defence';
         const t = this._t || ((key, fallback) => GlobalLocalization.t(key, fallback));
 
-        const defenceMap = {
-            AcidShooter: { className: 'Control', placement: 'Mid/Backline' },
-            Ballista: { className: 'Damage Dealer', placement: 'Mid/Backline' },
-            Barricade: { className: 'Tank', placement: 'Frontline' },
-            BoomCannon: { className: 'Damage Dealer', placement: 'Midline' },
-            Cannon: { className: 'Damage Dealer', placement: 'Midline' },
-            CryoFan: { className: 'Control', placement: 'Mid/Backline' },
-            DamageAmplifier: { className: 'Support', placement: 'Backline' },
-            DestroyTower: { className: 'Finisher', placement: 'Backline' },
-            Flamethrower: { className: 'Bruiser', placement: 'Frontline' },
-            ForceField: { className: 'Hybrid', placement: 'Frontline' },
-            Landmine: { className: 'Hybrid', placement: 'Frontline' },
-            LazorBeam: { className: 'Generalist', placement: 'Mid/Backline' },
-            MachineGun: { className: 'Damage Dealer', placement: 'Midline' },
-            MicroSentry: { className: 'Generalist', placement: 'Midline' },
-            Microwavr: { className: 'Bruiser', placement: 'Frontline' },
-            Mortar: { className: 'Artillery', placement: 'Backline' },
-            Multishot: { className: 'Generalist', placement: 'Midline' },
-            RadialLauncher: { className: 'Artillery', placement: 'Backline' },
-            RocketLauncher: { className: 'Artillery', placement: 'Backline' },
-            SIMO: { className: 'Generalist', placement: 'Midline' },
-            ShockBlaster: { className: 'Generalist', placement: 'Midline' },
-            ShockLauncher: { className: 'Artillery', placement: 'Backline' },
-            Shredder: { className: 'Bruiser', placement: 'Frontline' },
-            SniperTower: { className: 'Damage Dealer', placement: 'Mid/Backline' }
+        // Class comes from the unit definition; placement is a loadout-screen hint only
+        const defencePlacement = {
+            AcidShooter: 'Mid/Backline',
+            Ballista: 'Mid/Backline',
+            Barricade: 'Frontline',
+            BoomCannon: 'Midline',
+            Cannon: 'Midline',
+            CryoFan: 'Mid/Backline',
+            DamageAmplifier: 'Backline',
+            DestroyTower: 'Backline',
+            Flamethrower: 'Frontline',
+            ForceField: 'Frontline',
+            Landmine: 'Frontline',
+            LazorBeam: 'Mid/Backline',
+            MachineGun: 'Midline',
+            MicroSentry: 'Midline',
+            Microwavr: 'Frontline',
+            Mortar: 'Backline',
+            Multishot: 'Midline',
+            RadialLauncher: 'Backline',
+            RocketLauncher: 'Backline',
+            SIMO: 'Midline',
+            ShockBlaster: 'Midline',
+            ShockLauncher: 'Backline',
+            Shredder: 'Frontline',
+            SniperTower: 'Mid/Backline'
         };
 
-        const monsterMap = {
-            Archer: { className: 'Damage Dealer', placement: 'Midline' },
-            Bat: { className: 'Skirmisher', placement: 'Frontline' },
-            Bomber: { className: 'Artillery', placement: 'Backline' },
-            Catapult: { className: 'Siege', placement: 'Backline' },
-            Cupid: { className: 'Control', placement: 'Midline' },
-            Demon: { className: 'Hybrid', placement: 'Midline' },
-            ElectroMage: { className: 'Control', placement: 'Midline' },
-            FireImp: { className: 'Damage Dealer', placement: 'Frontline' },
-            Ghost: { className: 'Skirmisher', placement: 'Frontline' },
-            Goblin: { className: 'Swarm', placement: 'Frontline' },
-            Golem: { className: 'Tank', placement: 'Frontline' },
-            Harpy: { className: 'Skirmisher', placement: 'Frontline' },
-            IceLizard: { className: 'Control', placement: 'Midline' },
-            Knight: { className: 'Tank', placement: 'Frontline' },
-            Mech: { className: 'Bruiser', placement: 'Midline' },
-            Necromancer: { className: 'Summoner', placement: 'Midline' },
-            Orc: { className: 'Bruiser', placement: 'Frontline' },
-            PoisonWard: { className: 'Control', placement: 'Midline' },
-            Skeleton: { className: 'Swarm', placement: 'Frontline' },
-            Surgeon: { className: 'Support', placement: 'Midline' },
-            Tank: { className: 'Tank', placement: 'Frontline' },
-            Thrower: { className: 'Damage Dealer', placement: 'Midline' },
-            Troll: { className: 'Bruiser', placement: 'Frontline' },
-            Zombie: { className: 'Swarm', placement: 'Frontline' }
+        const monsterPlacement = {
+            Archer: 'Midline',
+            Bat: 'Frontline',
+            Bomber: 'Backline',
+            Catapult: 'Backline',
+            Cupid: 'Midline',
+            Demon: 'Midline',
+            ElectroMage: 'Midline',
+            FireImp: 'Frontline',
+            Ghost: 'Frontline',
+            Goblin: 'Frontline',
+            Golem: 'Frontline',
+            Harpy: 'Frontline',
+            IceLizard: 'Midline',
+            Knight: 'Frontline',
+            Mech: 'Midline',
+            Necromancer: 'Midline',
+            Orc: 'Frontline',
+            PoisonWard: 'Midline',
+            Skeleton: 'Frontline',
+            Surgeon: 'Midline',
+            Tank: 'Frontline',
+            Thrower: 'Midline',
+            Troll: 'Frontline',
+            Zombie: 'Frontline'
         };
 
-        // Fallback if not mapped
-        const fallback = {
-            className: isDefence ? 'Generalist' : 'Bruiser',
-            placement: 'Midline'
+        const info = {
+            className: unitData.Class || (isDefence ? 'Generalist' : 'Bruiser'),
+            placement: (isDefence ? defencePlacement[unitKey] : monsterPlacement[unitKey]) || 'Midline'
         };
-        const info = (isDefence && defenceMap[unitKey]) ? defenceMap[unitKey]
-            : (!isDefence && monsterMap[unitKey]) ? monsterMap[unitKey]
-            : fallback;
 
         const classKey = `CLASS_${String(info.className).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
         const placeKey = `PLACEMENT_${String(info.placement).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
@@ -1263,32 +1350,7 @@ _getUnitAbilities(unitData) {
     getCost(unit) {
         const factory = this.currentTab === 'defence' ? DefenceFactory : MonsterFactory;
         const data = factory.defenceData || factory.monsterData;
-        const rarity = data[unit].Rarity;
-        const costs = {
-            Common: 100,
-            Uncommon: 300,
-            Rare: 750,
-            Epic: 2500,
-            Legendary: 50000
-        };
-        return costs[rarity] || 0;
-    }
-
-    addOwned(unit, tabOverride = null) {
-        const defData = DefenceFactory.defenceData || {};
-        const monData = MonsterFactory.monsterData || {};
-        const isDefence = tabOverride
-            ? tabOverride === 'defence'
-            : (this.currentTab === 'defence' || !!defData[unit]);
-        const owned = isDefence ? this.ownedDefences : this.ownedMonsters;
-        if (!owned.includes(unit)) {
-            owned.push(unit);
-            const data = isDefence ? defData[unit] : monData[unit];
-            const rarity = data?.Rarity;
-            if (rarity) {
-                try { GlobalAchievements.recordUnitUnlock(rarity); } catch (e) {}
-            }
-        }
+        return getUnitPrice(data[unit]);
     }
 
     setSlot(slotIndex, unit) {
@@ -1306,15 +1368,20 @@ _getUnitAbilities(unitData) {
         }
     }
 
+    // Loadouts are saved to the server inventory, which re-checks ownership; tokens and unlocks are never sent
     saveData() {
         this._normalizeAllLoadoutShapes();
-        localStorage.setItem('online_diceTokens', this.diceTokens);
-        localStorage.setItem('online_defenceNormalLoadout', JSON.stringify(this.defenceNormalLoadout));
-        localStorage.setItem('online_defenceProtoLoadout', JSON.stringify(this.defenceProtoLoadout));
-        localStorage.setItem('online_monsterNormalLoadout', JSON.stringify(this.monsterNormalLoadout));
-        localStorage.setItem('online_monsterProtoLoadout', JSON.stringify(this.monsterProtoLoadout));
-        localStorage.setItem('online_ownedDefences', JSON.stringify(this.ownedDefences));
-        localStorage.setItem('online_ownedMonsters', JSON.stringify(this.ownedMonsters));
+        const socket = getSocket();
+        if (this.inventoryLoaded && socket && socket.connected) {
+            socket.emit('set-inventory-loadouts', {
+                loadouts: {
+                    defenceNormal: this.defenceNormalLoadout,
+                    defenceProto: this.defenceProtoLoadout,
+                    monsterNormal: this.monsterNormalLoadout,
+                    monsterProto: this.monsterProtoLoadout
+                }
+            });
+        }
         if (this.tokenText) {
             const text = this._fmt ? this._fmt('LOADOUT_TOKENS', 'Tokens: {0}', formatCompact(this.diceTokens)) : `Tokens: ${this.diceTokens}`;
             this.tokenText.setText(text);
@@ -1452,16 +1519,14 @@ _getUnitAbilities(unitData) {
                         AlertManager.show(this, this._fmt ? this._fmt('SHOP_NOT_ENOUGH', 'Not enough tokens ({0} required).', displayCost) : `Not enough tokens (${displayCost} required).`, 'error');
                         return;
                     }
+                    const socket = getSocket();
+                    if (!this.inventoryLoaded || !socket || !socket.connected) {
+                        AlertManager.show(this, this._t('ONLINE_INVENTORY_UNAVAILABLE', 'Could not load your inventory. Check your connection and sign-in.'), 'error');
+                        return;
+                    }
                     GlobalAudio.playButton(this);
-                    this.diceTokens -= cost;
-                    this.addOwned(key);
-                    this.saveData();
-                    try {
-                        GlobalAchievements.recordShopPurchase(rarity);
-                    } catch (e) {}
-                    this.closeShop();
-                    this.openShop();
-                    AlertManager.show(this, this._fmt ? this._fmt('SHOP_PURCHASED', 'Purchased {0}!', fullName) : `Purchased ${fullName}!`, 'success');
+                    // The server charges the price and answers with unit-purchased or buy-failed
+                    socket.emit('buy-unit', { unit: key });
                 });
                 this.shopGroup.add(buyBtn);
             }
@@ -1517,58 +1582,7 @@ _getUnitAbilities(unitData) {
 
         let y = cy - 80;
 
-        // Add Tokens
-        const addTokens = this.add.text(cx, y, this._t ? this._t('DEV_ADD_TOKENS', '+10,000 Tokens') : '+10,000 Tokens', {
-            fontFamily: '"Press Start 2P", cursive',
-            fontSize: '14px',
-            color: '#66ff66',
-            backgroundColor: '#224422',
-            padding: { x: 15, y: 8 }
-        }).setOrigin(0.5).setDepth(202).setInteractive();
-
-        addTokens.on('pointerdown', () => {
-            this.diceTokens += 10000;
-            console.log('[DEV] Added 10,000 tokens');
-            this.saveData();
-            this.refresh();
-        });
-        this.devGroup.add(addTokens);
-
-        y += 50;
-
-        // Unlock All
-        const unlockAll = this.add.text(cx, y, this._t ? this._t('DEV_UNLOCK_ALL', 'Unlock ALL Units') : 'Unlock ALL Units', {
-            fontFamily: '"Press Start 2P", cursive',
-            fontSize: '14px',
-            color: '#66ccff',
-            backgroundColor: '#222244',
-            padding: { x: 15, y: 8 }
-        }).setOrigin(0.5).setDepth(202).setInteractive();
-
-        unlockAll.on('pointerdown', () => this.unlockAllUnits());
-        this.devGroup.add(unlockAll);
-
-        y += 50;
-
-        // Unlock by Key
-        const unlockOne = this.add.text(cx, y, this._t ? this._t('DEV_UNLOCK_BY_KEY', 'Unlock by Key...') : 'Unlock by Key...', {
-            fontFamily: '"Press Start 2P", cursive',
-            fontSize: '14px',
-            color: '#ffaa66',
-            backgroundColor: '#442222',
-            padding: { x: 15, y: 8 }
-        }).setOrigin(0.5).setDepth(202).setInteractive();
-
-        unlockOne.on('pointerdown', () => {
-            const promptText = this._t ? this._t('DEV_PROMPT_UNIT_KEY', 'Enter unit key (e.g. ForceField, Golem):') : 'Enter unit key (e.g. ForceField, Golem):';
-            const key = prompt(promptText);
-            if (key) this.devUnlockUnit(key.trim());
-        });
-        this.devGroup.add(unlockOne);
-
-        y += 50;
-
-        // Log Loadouts
+        // Log Loadouts (tokens and unlocks are server-side, so there are no grant buttons here)
         const logLoadouts = this.add.text(cx, y, this._t ? this._t('DEV_LOG_LOADOUTS', 'Log Loadouts') : 'Log Loadouts', {
             fontFamily: '"Press Start 2P", cursive',
             fontSize: '14px',
@@ -1584,6 +1598,7 @@ _getUnitAbilities(unitData) {
             console.log('[DEV] Monster Proto:', this.monsterProtoLoadout);
             console.log('[DEV] Owned Defences:', this.ownedDefences);
             console.log('[DEV] Owned Monsters:', this.ownedMonsters);
+            console.log('[DEV] Tokens:', this.diceTokens);
         });
         this.devGroup.add(logLoadouts);
     }
@@ -1598,40 +1613,4 @@ _getUnitAbilities(unitData) {
         this.devGroup.destroy();
         this.devGroup = null;
     }
-
-    unlockAllUnits() {
-        const allDef = Object.keys(DefenceFactory.defenceData || {});
-        const allMon = Object.keys(MonsterFactory.monsterData || {});
-
-        allDef.forEach(key => this.addOwned(key, 'defence'));
-        allMon.forEach(key => this.addOwned(key, 'monster'));
-
-        console.log('[DEV] Unlocked ALL units');
-        this.saveData();
-        this.refresh();
-    }
-
-    devUnlockUnit(key) {
-        const defData = DefenceFactory.defenceData || {};
-        const monData = MonsterFactory.monsterData || {};
-
-        if (defData[key]) {
-            if (!this.ownedDefences.includes(key)) {
-                this.addOwned(key, 'defence');
-                console.log(`[DEV] Unlocked Defence: ${key}`);
-            }
-        } else if (monData[key]) {
-            if (!this.ownedMonsters.includes(key)) {
-                this.addOwned(key, 'monster');
-                console.log(`[DEV] Unlocked Monster: ${key}`);
-            }
-        } else {
-            console.warn('[DEV] Unknown unit key:', key);
-            AlertManager.show(this, this._fmt ? this._fmt('DEV_UNKNOWN_UNIT', 'Unknown unit: {0}', key) : `Unknown unit: ${key}`, 'error');
-            return;
-        }
-
-        this.saveData();
-        this.refresh();
-    }
 }
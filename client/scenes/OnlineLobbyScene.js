@@ -3,12 +3,16 @@ import GlobalAlerts from '../utils/AlertManager.js';
 import GlobalAudio from '../utils/AudioManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import GlobalMods from '../utils/ModManager.js';
+import { MATCH_TEAMS } from '../utils/MatchProtocol.js';
 
 export default class OnlineLobbyScene extends Phaser.Scene {
     constructor() {
         super('OnlineLobbyScene');
         this.players = [];
         this.host = false;
+        this.self = null;
+        this.ranked = false;
         this.rulesPanel = null;
     }
 
@@ -42,7 +46,7 @@ export default class OnlineLobbyScene extends Phaser.Scene {
 
         // RULES PANEL (top-right)
         this.rulesPanel = this.add.container(1100, 100);
-        const panelBg = this.add.rectangle(0, 0, 240, 190, 0x000000, 0.6).setOrigin(0, 0);
+        const panelBg = this.add.rectangle(0, 0, 240, 250, 0x000000, 0.6).setOrigin(0, 0);
         this.rulesPanel.add(panelBg);
 
         this.rulesTexts = {
@@ -50,14 +54,18 @@ export default class OnlineLobbyScene extends Phaser.Scene {
             switchSides: this.add.text(10, 40, "", { fontSize: 18, color: "#66ff66" }).setOrigin(0, 0),
             dice: this.add.text(10, 70, "", { fontSize: 18, color: "#66ff66" }).setOrigin(0, 0),
             board: this.add.text(10, 100, "", { fontSize: 18, color: "#66ff66" }).setOrigin(0, 0),
-            timer: this.add.text(10, 130, "", { fontSize: 18, color: "#66ff66" }).setOrigin(0, 0)
+            timer: this.add.text(10, 130, "", { fontSize: 18, color: "#66ff66" }).setOrigin(0, 0),
+            mode: this.add.text(10, 160, "", { fontSize: 18, color: "#66ff66" }).setOrigin(0, 0),
+            mods: this.add.text(10, 190, "", { fontSize: 14, color: "#66ff66", wordWrap: { width: 220 } }).setOrigin(0, 0)
         };
         this.rulesPanel.add([
             this.rulesTexts.waves,
             this.rulesTexts.switchSides,
             this.rulesTexts.dice,
             this.rulesTexts.board,
-            this.rulesTexts.timer
+            this.rulesTexts.timer,
+            this.rulesTexts.mode,
+            this.rulesTexts.mods
         ]);
 
         // LEAVE BUTTON
@@ -92,6 +100,20 @@ export default class OnlineLobbyScene extends Phaser.Scene {
             }
         });
 
+        // TEAM BUTTON (2v2 lobbies only)
+        this.teamBtn = this.add.text(600, 540, "", { fontSize: 28, color: "#66aaff" })
+            .setOrigin(0.5).setInteractive().setVisible(false);
+        this.teamBtn.on("pointerdown", () => {
+            const me = this.self;
+            if (!me) return;
+            GlobalAudio.playButton(this);
+            const other = MATCH_TEAMS.find(team => team !== me.team) || MATCH_TEAMS[0];
+            getSocket().emit("set-team", { code: this.code, team: other });
+        });
+
+        this.modsWarningText = this.add.text(600, 650, "", { fontSize: 16, color: "#ff8888", align: "center", wordWrap: { width: 700 } })
+            .setOrigin(0.5);
+
         // HOST START BUTTON
         this.startBtn = this.add.text(600, 700, "Start Game", { fontSize: 36, color: "#888888" })
             .setOrigin(0.5).setInteractive().setVisible(false);
@@ -105,8 +127,13 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         this.startBtn.on("pointerdown", () => {
             if (!this.host) return;
 
-            if (!this.players || this.players.length < 2) {
-                GlobalAlerts.show(this, 'At least 2 players are required to start a game.', 'info');
+            const totalSlots = this.config?.players || 2;
+            if (!this.players || this.players.length < totalSlots) {
+                GlobalAlerts.show(this, `${totalSlots} players are required to start a game.`, 'info');
+                return;
+            }
+            if (totalSlots > 2 && MATCH_TEAMS.some(team => this.players.filter(p => p.team === team).length !== totalSlots / 2)) {
+                GlobalAlerts.show(this, GlobalLocalization.format('ONLINE_TEAMS_UNBALANCED', 'Each team needs {0} players to start.', totalSlots / 2), 'info');
                 return;
             }
 
@@ -150,11 +177,26 @@ export default class OnlineLobbyScene extends Phaser.Scene {
             }
             console.log('[OnlineLobbyScene] game-starting received, transitioning to OnlineGameScene');
             const config = this._sanitizeConfig(data.config || {});
+            // The lobby's packs replace whatever was enabled locally for this match
+            GlobalMods.activate(config.mods.map(m => m.id));
             const players = Array.isArray(data.players) && data.players.length ? data.players : this.players;
             const localId = socket.data?.user?.id || socket.userId || null;
             this.scene.start("OnlineGameScene", { code: this.code, config, players, localId });
         });
 
+        socket.on("team-failed", (data = {}) => {
+            const message = data.reason === 'ready'
+                ? GlobalLocalization.t('ONLINE_TEAM_LOCKED', 'Unready before switching teams.')
+                : GlobalLocalization.t('ONLINE_TEAM_FULL', 'That team is full.');
+            GlobalAlerts.show(this, message, 'info');
+        });
+
+        socket.on("ready-failed", (data = {}) => {
+            if (data.reason !== 'mods_mismatch') return;
+            const names = (Array.isArray(data.missing) ? data.missing : []).join(', ');
+            GlobalAlerts.show(this, GlobalLocalization.format('ONLINE_MODS_MISSING', 'Install these mod packs to ready up: {0}', names), 'warning');
+        });
+
         // Request initial data
         getSocket().emit("request-lobby-data", this.code);
     }
@@ -166,6 +208,7 @@ export default class OnlineLobbyScene extends Phaser.Scene {
             .map(p => ({
                 id: p.id,
                 name: this._sanitizePlayerName(p.name || p.id, p.id),
+                team: MATCH_TEAMS.includes(p.team) ? p.team : null,
                 ready: !!p.ready,
                 connected: p.connected !== false
             }));
@@ -190,6 +233,7 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         }
 
         this.config = this._sanitizeConfig(data.config || {});
+        this.ranked = !!data.ranked;
         this.refreshList();
         this.refreshRulesPanel();
     }
@@ -217,13 +261,20 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         }
 
         const hostUserId = this.hostUserId || (this.players[0] && this.players[0].id) || null;
-        const totalSlots = 2;
-
-        const playerLines = this.players.map(p => {
+        const totalSlots = this.config?.players || 2;
+        const teamsEnabled = totalSlots > 2;
+
+        // Team lobbies list blue players first so each side reads as a group
+        const listed = teamsEnabled
+            ? MATCH_TEAMS.flatMap(team => this.players.filter(p => p.team === team))
+                .concat(this.players.filter(p => !MATCH_TEAMS.includes(p.team)))
+            : this.players;
+        const playerLines = listed.map(p => {
             const isSelf = p.id === myId;
             const isHost = p.id === hostUserId;
             const tag = isHost ? "[HOST] " : (isSelf ? "[YOU] " : "");
-            return `${tag}${p.name} - ${p.ready ? "READY" : "NOT READY"}`;
+            const teamTag = (teamsEnabled && p.team) ? `${this._teamLabel(p.team)} ` : "";
+            return `${teamTag}${tag}${p.name} - ${p.ready ? "READY" : "NOT READY"}`;
         });
 
         for (let i = this.players.length; i < totalSlots; i++) {
@@ -234,6 +285,14 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         this.playerListText.text = `${this.players.length}/${totalSlots} players\n\n${list}`;
 
         const me = this.players.find(p => p.id === myId);
+        this.self = me || null;
+        if (this.teamBtn) {
+            this.teamBtn.setVisible(teamsEnabled && !!me);
+            if (me && me.team) {
+                this.teamBtn.text = GlobalLocalization.format('ONLINE_TEAM_LABEL', 'Team: {0}', this._teamLabel(me.team));
+                this.teamBtn.setColor(me.team === 'red' ? "#ff6666" : "#66aaff");
+            }
+        }
         if (me) {
             this.readyBtn.text = `Ready: ${me.ready ? "YES" : "NO"}`;
             this.readyBtn.setColor(me.ready ? "#66ff66" : "#ffaa66");
@@ -254,6 +313,10 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         }
     }
 
+    _teamLabel(team) {
+        return GlobalLocalization.t(`TEAM_${String(team).toUpperCase()}`, String(team).toUpperCase());
+    }
+
     _emitReady(socket) {
         let myId = null;
         try { myId = socket.data?.user?.id || socket.userId || null; } catch (e) { myId = null; }
@@ -267,9 +330,21 @@ export default class OnlineLobbyScene extends Phaser.Scene {
             } catch (e) { /* ignore */ }
         }
 
+        socket.emit("set-mods", { code: this.code, hashes: this._installedModHashes() });
         socket.emit("toggle-ready", this.code, myId);
     }
 
+    // Hashes of the installed versions of the lobby's packs; the server refuses ready on any mismatch
+    _installedModHashes() {
+        const installed = GlobalMods.getInstalled();
+        const hashes = {};
+        for (const mod of (this.config?.mods || [])) {
+            const match = installed.find(p => p.id === mod.id);
+            if (match) hashes[mod.id] = match.hash;
+        }
+        return hashes;
+    }
+
     refreshRulesPanel() {
         if (!this.config) return;
         const t = (key, fallback) => GlobalLocalization.t(key, fallback);
@@ -290,6 +365,20 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         this.rulesTexts.dice.text = diceLabel;
         this.rulesTexts.board.text = boardLabel;
         this.rulesTexts.timer.text = timerLabel;
+        if (this.ranked) this.rulesTexts.mode.text = t('CONFIG_MODE_RANKED', 'Mode: Ranked 1v1');
+        else this.rulesTexts.mode.text = this.config.players === 4 ? t('CONFIG_MODE_2V2', 'Mode: 2v2') : t('CONFIG_MODE_1V1', 'Mode: 1v1');
+
+        const mods = this.config.mods || [];
+        const missing = GlobalMods.findMissing(mods);
+        this.rulesTexts.mods.text = mods.length
+            ? fmt('ONLINE_MODS_LIST', 'Mods: {0}', mods.map(m => m.name).join(', '))
+            : t('ONLINE_MODS_NONE', 'Mods: none');
+        this.rulesTexts.mods.setColor(missing.length ? "#ff8888" : "#66ff66");
+        if (this.modsWarningText) {
+            this.modsWarningText.text = missing.length
+                ? fmt('ONLINE_MODS_MISSING', 'Install these mod packs to ready up: {0}', missing.map(m => `${m.name} [${String(m.hash).slice(0, 6)}]`).join(', '))
+                : "";
+        }
     }
 
     shutdown() {
@@ -297,6 +386,8 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         socket.off("lobby-data");
         socket.off("lobby-updated");
         socket.off("game-starting");
+        socket.off("ready-failed");
+        socket.off("team-failed");
     }
 
     destroy() {
@@ -324,12 +415,17 @@ export default class OnlineLobbyScene extends Phaser.Scene {
         const turnTimeSeconds = Number(raw.turnTimeSeconds);
 
         return {
+            players: raw.players === 4 ? 4 : 2,
             waves: Number.isFinite(waves) ? waves : 20,
             switchSides: typeof raw.switchSides === 'boolean' ? raw.switchSides : false,
             diceCount: Number.isFinite(diceCount) ? diceCount : 1,
             boardRows: Number.isFinite(boardRows) ? boardRows : 5,
             boardCols: Number.isFinite(boardCols) ? boardCols : 9,
-            turnTimeSeconds: Number.isFinite(turnTimeSeconds) ? turnTimeSeconds : 30
+            turnTimeSeconds: Number.isFinite(turnTimeSeconds) ? turnTimeSeconds : 30,
+            mods: (Array.isArray(raw.mods) ? raw.mods : [])
+                .filter(m => m && typeof m.id === 'string' && typeof m.hash === 'string')
+                .slice(0, 8)
+                .map(m => ({ id: m.id, name: typeof m.name === 'string' ? m.name : m.id, hash: m.hash }))
         };
     }
 }
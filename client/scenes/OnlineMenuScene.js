@@ -4,6 +4,9 @@ import GlobalAudio from '../utils/AudioManager.js';
 import GlobalBackground from '../utils/BackgroundManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import { QUEUE_SIDES } from '../utils/MatchProtocol.js';
+
+const RANKED_SIDE_KEY = 'protodice_ranked_side';
 
 export default class OnlineMenuScene extends Phaser.Scene {
     constructor() {
@@ -16,6 +19,11 @@ export default class OnlineMenuScene extends Phaser.Scene {
         this.signInText = null;
         this._onAuthUpdated = null;
         this._layout = null;
+        this.queueSide = 'either';
+        this.queueState = 'idle';
+        this.queueStatus = null;
+        this.rating = null;
+        this._queueHandlers = null;
     }
 
     async create() {
@@ -28,6 +36,12 @@ export default class OnlineMenuScene extends Phaser.Scene {
         const t = (key, fallback) => GlobalLocalization.t(key, fallback);
         const layout = this.getLayout();
         this._layout = layout;
+        this.queueState = 'idle';
+        this.queueStatus = null;
+        try {
+            const savedSide = localStorage.getItem(RANKED_SIDE_KEY);
+            if (QUEUE_SIDES.includes(savedSide)) this.queueSide = savedSide;
+        } catch (e) {}
 
         const backBtn = this.add.text(layout.centerX, layout.backY, t('UI_BACK', '<- BACK'), {
             fontSize: 26,
@@ -176,6 +190,12 @@ export default class OnlineMenuScene extends Phaser.Scene {
             if (this.signInText) { this.signInText.destroy(); this.signInText = null; }
             this.clearLobbyUI();
 
+            // Leaving the menu gives up a queue spot; a found match has already left the queue
+            if (this.queueState === 'searching') {
+                try { getSocket().emit('queue-leave'); } catch (e) {}
+            }
+            this.queueState = 'idle';
+
             // Remove auth listener
             if (this._onAuthUpdated) {
                 this.game.events.off("auth-updated", this._onAuthUpdated);
@@ -281,6 +301,7 @@ export default class OnlineMenuScene extends Phaser.Scene {
 
             // Build lobby buttons dynamically
             this.buildLobbyUI(layout);
+            this.buildRankedUI(layout);
         } else {
             // Show sign-in text if no user
             this.signInText = this.add.text(layout.centerX, layout.lobbyCreateY, t('ONLINE_SIGN_IN_PROMPT', 'Please sign in to play online'), {
@@ -527,7 +548,147 @@ export default class OnlineMenuScene extends Phaser.Scene {
         this.lobbyUIElements.push(createBtn, joinBtn);
     }
 
+    buildRankedUI(layout) {
+        const socket = getSocket();
+        const t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        const fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
+        const menuFont = '"Press Start 2P", cursive';
+
+        const rankedBtn = this.add.text(layout.centerX, layout.rankedY, '', {
+            fontFamily: menuFont,
+            fontSize: 28,
+            color: '#ffcc44'
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+        // Side preference, locked while searching
+        const sideButtons = QUEUE_SIDES.map((side, idx) => {
+            const btn = this.add.text(layout.centerX + (idx - 1) * 240, layout.rankedSideY, this._queueSideLabel(side), {
+                fontFamily: menuFont,
+                fontSize: 16,
+                color: '#888888'
+            }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+            btn.on('pointerdown', () => {
+                if (this.queueState !== 'idle' || this.queueSide === side) return;
+                GlobalAudio.playButton(this);
+                this.queueSide = side;
+                try { localStorage.setItem(RANKED_SIDE_KEY, side); } catch (e) {}
+                refresh();
+            });
+            return { side, btn };
+        });
+
+        const statusText = this.add.text(layout.centerX, layout.rankedStatusY, '', {
+            fontSize: 18,
+            color: '#cccccc',
+            align: 'center'
+        }).setOrigin(0.5);
+
+        const formatSeconds = (seconds) => {
+            const total = Math.max(0, Math.floor(seconds || 0));
+            return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+        };
+
+        const refresh = () => {
+            const searching = this.queueState === 'searching';
+            rankedBtn.setText(searching ? t('ONLINE_RANKED_LEAVE', 'Leave Queue') : t('ONLINE_RANKED_QUEUE', 'Ranked Queue'));
+            rankedBtn.setColor(searching ? '#ff8866' : '#ffcc44');
+            sideButtons.forEach(({ side, btn }) => {
+                const selected = side === this.queueSide;
+                btn.setText(selected ? `[${this._queueSideLabel(side)}]` : this._queueSideLabel(side));
+                btn.setColor(selected ? '#ffffff' : '#888888');
+                btn.setAlpha(searching && !selected ? 0.4 : 1);
+            });
+
+            const status = this.queueStatus || {};
+            const rating = Number.isFinite(status.elo) ? status.elo : this.rating?.elo;
+            const ratingLine = Number.isFinite(rating) ? fmt('ONLINE_RANKED_RATING', 'Rating: {0}', rating) : '';
+            if (this.queueState === 'matched') {
+                statusText.setText(t('ONLINE_RANKED_MATCHED', 'Match found! Joining lobby...'));
+            } else if (searching) {
+                const eta = Number.isFinite(status.etaSeconds) ? formatSeconds(status.etaSeconds) : t('ONLINE_RANKED_ETA_UNKNOWN', '?');
+                statusText.setText(fmt(
+                    'ONLINE_RANKED_SEARCHING',
+                    'Searching {0}   ETA {1}   In queue: {2}',
+                    formatSeconds(status.waitSeconds),
+                    eta,
+                    status.queued || 1
+                ) + (ratingLine ? `\n${ratingLine}` : ''));
+            } else {
+                statusText.setText(ratingLine);
+            }
+        };
+
+        rankedBtn.on('pointerdown', () => {
+            if (this.queueState === 'matched') return;
+            GlobalAudio.playButton(this);
+            if (!socket || !socket.connected) {
+                GlobalAlerts.show(this, t('ONLINE_CONNECTION_LOST', 'Connection lost. Please reconnect and try again.'), 'error');
+                return;
+            }
+            if (this.queueState === 'searching') {
+                socket.emit('queue-leave');
+                this.queueState = 'idle';
+                this.queueStatus = null;
+            } else {
+                socket.emit('queue-join', { side: this.queueSide });
+                this.queueState = 'searching';
+            }
+            refresh();
+        });
+
+        this._queueHandlers = {
+            'rating-data': (data = {}) => {
+                this.rating = data.rating || null;
+                refresh();
+            },
+            'queue-status': (data = {}) => {
+                if (this.queueState === 'matched') return;
+                this.queueState = data.state === 'searching' ? 'searching' : 'idle';
+                this.queueStatus = data.state === 'searching' ? data : null;
+                refresh();
+            },
+            'queue-matched': (data = {}) => {
+                this.queueState = 'matched';
+                refresh();
+                this.scene.start('OnlineLobbyScene', { code: data.code });
+            },
+            'queue-failed': (data = {}) => {
+                this.queueState = 'idle';
+                this.queueStatus = null;
+                refresh();
+                GlobalAlerts.show(this, this._queueFailureText(data.reason), 'warning');
+            }
+        };
+        Object.entries(this._queueHandlers).forEach(([event, handler]) => socket.on(event, handler));
+        socket.emit('get-rating');
+
+        refresh();
+        this.lobbyUIElements.push(rankedBtn, statusText, ...sideButtons.map(({ btn }) => btn));
+    }
+
+    _queueSideLabel(side) {
+        if (side === 'defence') return GlobalLocalization.t('ONLINE_RANKED_SIDE_DEFENCE', 'Defence');
+        if (side === 'monster') return GlobalLocalization.t('ONLINE_RANKED_SIDE_MONSTER', 'Monsters');
+        return GlobalLocalization.t('ONLINE_RANKED_SIDE_EITHER', 'Either');
+    }
+
+    _queueFailureText(reason) {
+        const t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        if (reason === 'in_game') return t('ONLINE_RANKED_IN_GAME', 'Finish your current match before queueing.');
+        if (reason === 'unauthenticated' || reason === 'unknown_user') {
+            return t('ONLINE_AUTH_ERROR', 'Authentication error: Could not get your user ID. Please refresh and try again.');
+        }
+        return t('ONLINE_RANKED_FAILED', 'Could not join the ranked queue. Please try again.');
+    }
+
     clearLobbyUI() {
+        if (this._queueHandlers) {
+            const socket = getSocket();
+            Object.entries(this._queueHandlers).forEach(([event, handler]) => {
+                try { socket.off(event, handler); } catch (e) {}
+            });
+            this._queueHandlers = null;
+        }
         this.lobbyUIElements.forEach(el => { try { el.destroy(); } catch (e) {} });
         this.lobbyUIElements = [];
         if (this.joinInput) {
@@ -620,6 +781,9 @@ export default class OnlineMenuScene extends Phaser.Scene {
             titleY: 80,
             loadoutY: 220,
             leaderboardY: 310,
+            rankedY: 395,
+            rankedSideY: 440,
+            rankedStatusY: 485,
             lobbyCreateY: lobbyStartY,
             lobbyJoinInputY: lobbyStartY + 60,
             lobbyJoinBtnY: lobbyStartY + 120,
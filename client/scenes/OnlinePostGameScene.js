@@ -34,6 +34,8 @@ export default class OnlinePostGameScene extends Phaser.Scene {
         const waves = Number(stats.waves || 0);
         const finalWave = Number(stats.finalWave || 0);
         const mvpByPlayer = Array.isArray(stats.mvpByPlayer) ? stats.mvpByPlayer : [];
+        // Only ranked matches carry rating changes
+        const ratingChanges = Array.isArray(stats.ratingChanges) ? stats.ratingChanges : null;
 
         const victoryPuns = [
             t('POSTGAME_PUN_VICTORY_1', "Dice-tacular!"),
@@ -55,6 +57,11 @@ export default class OnlinePostGameScene extends Phaser.Scene {
             if (scores[0] === scores[1]) return -1;
             return scores[0] > scores[1] ? 0 : 1;
         })();
+        // Team matches report every winner; 1v1 results only carry winnerIndex
+        const winnerIndices = Array.isArray(stats.winnerIndices)
+            ? stats.winnerIndices
+            : (winnerIndex >= 0 ? [winnerIndex] : []);
+        const playerCount = Math.min(names.length, 4);
 
         this.add.text(600, 50, t('POSTGAME_TITLE_ONLINE', "Online Game - Results"), {
             fontSize: 36,
@@ -68,7 +75,7 @@ export default class OnlinePostGameScene extends Phaser.Scene {
             const damage = Number(entry.damage || 0);
             return fmt('POSTGAME_MVP_LINE', '{0} MVP: {1} ({2} dmg)', playerLabel, unitName, damage);
         };
-        const mvpText = `${formatMvpLine(0)}\n${formatMvpLine(1)}`;
+        const mvpText = Array.from({ length: Math.max(2, playerCount) }, (_, i) => formatMvpLine(i)).join('\n');
         this.add.text(600, 120, mvpText, {
             fontSize: 16,
             color: "#ffffff",
@@ -84,17 +91,17 @@ export default class OnlinePostGameScene extends Phaser.Scene {
             fontFamily: this.PIXEL_FONT
         }).setOrigin(0.5);
 
-        const colX = [320, 880];
+        const colX = playerCount > 2 ? [150, 450, 750, 1050] : [320, 880];
         const startY = 240;
-        const blockW = 420;
+        const blockW = playerCount > 2 ? 280 : 420;
         const blockH = 360;
 
         const winnerBuzz = victoryPuns[Math.floor(Math.random() * victoryPuns.length)];
         const loserBuzz = defeatPuns[Math.floor(Math.random() * defeatPuns.length)];
         const drawBuzz = drawPuns[Math.floor(Math.random() * drawPuns.length)];
 
-        for (let i = 0; i < Math.min(names.length, 2); i++) {
-            const isWinner = winnerIndex === i;
+        for (let i = 0; i < Math.min(names.length, colX.length); i++) {
+            const isWinner = winnerIndices.includes(i);
             const role = roles[i] || 'unknown';
             const score = Number(scores[i] || 0);
             const name = names[i] || `P${i + 1}`;
@@ -153,6 +160,15 @@ export default class OnlinePostGameScene extends Phaser.Scene {
                 color: "#ffffff",
                 fontFamily: this.PIXEL_FONT
             }).setOrigin(0.5, 0);
+
+            if (ratingChanges && Number.isFinite(ratingChanges[i])) {
+                const change = ratingChanges[i];
+                this.add.text(colX[i], startY + 240, fmt('POSTGAME_RATING_CHANGE', 'Rating: {0}', `${change >= 0 ? '+' : ''}${change}`), {
+                    fontSize: 18,
+                    color: change >= 0 ? "#66ff66" : "#ff6666",
+                    fontFamily: this.PIXEL_FONT
+                }).setOrigin(0.5, 0);
+            }
         }
 
         const back = this.add.text(600, 800, t('POSTGAME_RETURN', 'Return to Menu'), {
@@ -3,6 +3,7 @@ import GlobalBackground from '../utils/BackgroundManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
 import { GAME_VERSION } from '../utils/VersionManager.js';
+import TutorialFactory from '../utils/factories/TutorialFactory.js';
 
 export default class PlayModeScene extends Phaser.Scene {
     constructor() {
@@ -84,7 +85,21 @@ export default class PlayModeScene extends Phaser.Scene {
             .setInteractive();
         trackUiFont(onlineBtn);
 
-        const backBtn = this.add.text(600, 410, t('UI_BACK', '<- BACK'), { fontFamily: '"Press Start 2P", cursive', fontSize: '24px', color: '#ff6666' })
+        // Highlighted until every tutorial level is done, so new players find it before their first match
+        const tutorialDone = TutorialFactory.isAllComplete();
+        const tutorialBtn = this.add.text(600, 410, t('UI_TUTORIAL', 'Tutorial'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '30px',
+            color: tutorialDone ? '#ffffff' : '#ffd94d'
+        })
+            .setOrigin(0.5)
+            .setInteractive();
+        trackUiFont(tutorialBtn);
+        if (!tutorialDone) {
+            this.tweens.add({ targets: tutorialBtn, scale: 1.08, duration: 600, yoyo: true, repeat: -1 });
+        }
+
+        const backBtn = this.add.text(600, 490, t('UI_BACK', '<- BACK'), { fontFamily: '"Press Start 2P", cursive', fontSize: '24px', color: '#ff6666' })
             .setOrigin(0.5)
             .setInteractive();
         trackUiFont(backBtn);
@@ -99,6 +114,11 @@ export default class PlayModeScene extends Phaser.Scene {
             this.scene.start('OnlineMenuScene');
         });
 
+  tutorialBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('TutorialMenuScene');
+        });
+
   backBtn.on('pointerdown', () => {
             GlobalAudio.playButton(this);
             this.scene.start('MenuScene');
@@ -2,10 +2,14 @@ import GlobalBackground from '../utils/BackgroundManager.js';
 import GlobalFonts from '../utils/FontManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import BoardFactory from '../utils/factories/BoardFactory.js';
 import DefenceFactory from '../utils/factories/DefenceFactory.js';
 import MonsterFactory from '../utils/factories/MonsterFactory.js';
 import PuddleFactory from '../utils/factories/PuddleFactory.js';
 import SpriteFactory from '../utils/factories/SpriteFactory.js';
+import StatusEffectFactory from '../utils/factories/StatusEffectFactory.js';
+import TutorialFactory from '../utils/factories/TutorialFactory.js';
+import GlobalMods from '../utils/ModManager.js';
 
 export default class PreloadScene extends Phaser.Scene {
     constructor() {
@@ -234,7 +238,8 @@ export default class PreloadScene extends Phaser.Scene {
             visualEffects: true,
             shuffleTrack: false,
             trackIndex: 0,
-            language: 'English'
+            language: 'English',
+            modPacks: []
         };
 
         // Merge saved overrides
@@ -263,6 +268,23 @@ export default class PreloadScene extends Phaser.Scene {
             await PuddleFactory.loadData();
         } catch (e) {}
 
+        try {
+            await StatusEffectFactory.loadData();
+        } catch (e) {}
+
+        try {
+            await BoardFactory.loadData();
+        } catch (e) {}
+
+        try {
+            await TutorialFactory.loadData();
+        } catch (e) {}
+
+        // Mod packs register into the factories above, so they load after the built-in data
+        try {
+            await GlobalMods.init(this);
+        } catch (e) {}
+
         try {
             const defSprites = Object.values(DefenceFactory.defenceData || {}).map(d => d.DisplaySprite);
             const monSprites = Object.values(MonsterFactory.monsterData || {}).map(d => d.DisplaySprite);
@@ -0,0 +1,341 @@
+import LocalGameScene from './LocalGameScene.js';
+import GlobalAudio from '../utils/AudioManager.js';
+import { DEBUG_MODE } from '../utils/DebugManager.js';
+import RandomManager from '../utils/RandomManager.js';
+import GlobalMods from '../utils/ModManager.js';
+
+const REPLAY_SPEEDS = [1, 2, 4];
+const REPLAY_EVENT_DELAY = 400;
+const REPLAY_TURN_DELAY = 600;
+
+/**
+ * ReplayScene - Plays back a replay log recorded by LocalGameScene
+ * The match is re-simulated from its seed: rolls, placements, merges, recalls and end-turns are fed back in order
+ * and combat runs through the normal CombatFactory.resolveCombat path, so nothing but the inputs is stored.
+ */
+export default class ReplayScene extends LocalGameScene {
+    constructor() {
+        super('ReplayScene');
+        this._playback = null;
+        this._playbackCursor = 0;
+        this._playbackDone = false;
+        this._playbackDesynced = false;
+        this._playing = false;
+        this._autoPlayActive = false;
+        this._turnInProgress = false;
+        this._speedIndex = 0;
+        this._replayControls = null;
+    }
+
+    init(data = {}) {
+        let replay = data.replay || null;
+        if (!replay) {
+            try {
+                replay = this.registry.get('localPostGame')?.replay || null;
+            } catch (e) {}
+        }
+        this._playback = (replay && Array.isArray(replay.events)) ? replay : null;
+        this._playbackCursor = 0;
+        this._playbackDone = false;
+        this._playbackDesynced = false;
+        this._playing = false;
+        this._autoPlayActive = false;
+        this._turnInProgress = false;
+        this._speedIndex = 0;
+        this._replayControls = null;
+
+        const cfg = this._playback?.config || {};
+        const recorded = Array.isArray(this._playback?.players) ? this._playback.players : [];
+
+        // Every seat is driven by the log, so mark them all as AI to keep input and achievements out
+        super.init({
+            waves: cfg.waves || 20,
+            endless: !!cfg.endless,
+            endlessCurve: cfg.endlessCurve,
+            switchSides: !!cfg.switchSides,
+            diceCount: cfg.diceCount || 1,
+            names: [0, 1].map(i => recorded[i]?.name || this._fmt('CONFIG_PLAYER_SHORT', 'P{0}', i + 1)),
+            ai: [true, true],
+            difficulty: cfg.difficulty,
+            boardRows: cfg.boardRows,
+            boardCols: cfg.boardCols,
+            board: cfg.board,
+            mods: Array.isArray(cfg.mods) ? cfg.mods : [],
+            seed: this._playback?.seed
+        });
+        // A missing or changed mod pack replays different rules
+        if (GlobalMods.findMissing(cfg.mods).length > 0) this._playbackDesynced = true;
+
+        this.players.forEach((p, i) => {
+            const rec = recorded[i];
+            if (!p || !rec) return;
+            if (rec.role) p.role = rec.role;
+            if (Array.isArray(rec.normalLoadout)) p.normalLoadout = rec.normalLoadout.slice();
+            if (Array.isArray(rec.protoLoadout)) p.protoLoadout = rec.protoLoadout.slice();
+        });
+        (this.playerSlots || []).forEach((slot, i) => {
+            slot.avatar = recorded[i]?.isAI ? 'botIcon' : 'playerIcon';
+            slot.team = this.players[i]?.role === 'defence' ? 'blue' : 'red';
+        });
+
+        // Resume the stream where the recording started (after init's AI lineup shuffles)
+        this._rng = RandomManager.createMatchRandom(this._matchSeed).advance(Number(this._playback?.rngOffset) || 0);
+        this._replay = null;
+        this.exitLocked = false;
+    }
+
+    create() {
+        if (!this._playback) {
+            this.scene.start('LocalPostGameScene');
+            return;
+        }
+
+        super.create();
+        this._applyPlaybackSpeed();
+        this._createReplayControls();
+        try {
+            this.diceText.disableInteractive?.();
+        } catch (e) {}
+        try {
+            this.endTurnBtn.disableInteractive?.();
+        } catch (e) {}
+
+        this.time.delayedCall(REPLAY_TURN_DELAY, () => this._setPlaying(true));
+    }
+
+    // Recorded human seats rolled without the difficulty luck factor
+    _usesAILuck(playerIndex) {
+        return !!this._playback?.players?.[playerIndex]?.isAI;
+    }
+
+    doAITurn() {
+        // Turns are driven by the replay log
+    }
+
+    _createSpectateControls() {
+        // Playback has its own speed control
+    }
+
+    _interceptHolderDrop() {
+        return true;
+    }
+
+    addBackButton() {
+        const back = this.add.text(50, 50, this._t('UI_BACK', '<- BACK'), {
+            fontSize: 24,
+            color: '#ff6666',
+            fontFamily: this.PIXEL_FONT
+        }).setInteractive();
+
+        back.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._leaveReplay();
+        });
+    }
+
+    showConfirmExit() {
+        this._escExitArmed = false;
+        this._leaveReplay();
+    }
+
+    _leaveReplay() {
+        this._playing = false;
+        this.cleanup();
+        this.scene.start('LocalPostGameScene');
+    }
+
+    endGame(win) {
+        this.exitLocked = false;
+        this._playbackDone = true;
+        this._playing = false;
+        this.updatePlayerBar();
+
+        const winnerRole = win ? 'defence' : 'monster';
+        const winner = (this.players || []).find(p => p && p.role === winnerRole);
+        const winnerName = winner?.name || (win ? this._t('ROLE_DEFENCE', 'Defence') : this._t('ROLE_MONSTER', 'Monster'));
+        this.infoText.setText(this._fmt('REPLAY_FINISHED', 'Replay finished - {0} wins!', winnerName));
+
+        const recorded = this._playback?.result;
+        if (recorded && !!recorded.win !== !!win) this._markDesync();
+        this._refreshReplayControls();
+    }
+
+    cleanup() {
+        this._playing = false;
+        super.cleanup();
+    }
+
+    // ---------- Playback ----------
+
+    _isPlaybackOver() {
+        if (this._playbackDone || this._sceneClosing) return true;
+        return this._playbackCursor >= (this._playback?.events?.length || 0);
+    }
+
+    _setPlaying(playing) {
+        this._playing = !!playing && !this._isPlaybackOver();
+        this._refreshReplayControls();
+        if (this._playing && !this._autoPlayActive) this._autoPlay();
+    }
+
+    async _autoPlay() {
+        this._autoPlayActive = true;
+        try {
+            while (this._playing && !this._isPlaybackOver()) {
+                await this._playTurn();
+                if (!this._playing || this._isPlaybackOver()) break;
+                await this._wait(REPLAY_TURN_DELAY);
+            }
+        } finally {
+            this._autoPlayActive = false;
+            this._playing = false;
+            this._refreshReplayControls();
+        }
+    }
+
+    _stepTurn() {
+        this._setPlaying(false);
+        this._playTurn();
+    }
+
+    // Apply events up to and including the next end-turn
+    async _playTurn() {
+        if (this._turnInProgress || this._isPlaybackOver()) return;
+        this._turnInProgress = true;
+        const events = this._playback.events;
+        try {
+            while (this._playbackCursor < events.length && !this._playbackDone && !this._sceneClosing) {
+                const ev = events[this._playbackCursor++];
+                await this._applyReplayEvent(ev);
+                if (!ev || ev.t === 'end') break;
+                await this._wait(REPLAY_EVENT_DELAY);
+            }
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[ReplayScene] playback failed', e);
+            this._markDesync();
+            this._playbackDone = true;
+        } finally {
+            this._turnInProgress = false;
+        }
+
+        // A log cut short (quit mid-match) simply stops at its last event
+        if (!this._playbackDone && this._playbackCursor >= events.length) {
+            this._playbackDone = true;
+        }
+        this._refreshReplayControls();
+    }
+
+    async _applyReplayEvent(ev) {
+        if (!ev || this._sceneClosing) return;
+        if (Number.isInteger(ev.p) && ev.p !== this.currentPlayer) this._markDesync();
+
+        switch (ev.t) {
+            case 'roll': {
+                await this.rollDice(true, Number(ev.l) || 1, Array.isArray(ev.x) ? ev.x : null);
+                const expected = Array.isArray(ev.d) ? ev.d : [];
+                if (expected.some((value, i) => this.diceValues[i] !== value)) this._markDesync();
+                break;
+            }
+            case 'place': {
+                const owned = (this.holders || []).filter(h => h && h._owner === this.currentPlayer);
+                let unit = owned[ev.h];
+                if (!unit || unit.typeName !== ev.u) {
+                    this._markDesync();
+                    unit = owned.find(h => h.typeName === ev.u);
+                }
+                if (!unit || this.grid?.[ev.r]?.[ev.c]?.unit) {
+                    this._markDesync();
+                    break;
+                }
+                this._placeUnitOnGrid(unit, ev.r, ev.c);
+                this.updateHolders();
+                break;
+            }
+            case 'merge': {
+                const owned = (this.holders || []).filter(h => h && h._owner === this.currentPlayer);
+                let unit = owned[ev.h];
+                if (!unit || unit.typeName !== ev.u) {
+                    this._markDesync();
+                    unit = owned.find(h => h.typeName === ev.u);
+                }
+                const target = this.grid?.[ev.r]?.[ev.c]?.unit;
+                if (!unit || !target || !this._mergeHolderIntoUnit(unit, target)) this._markDesync();
+                break;
+            }
+            case 'recall': {
+                const unit = this.grid?.[ev.r]?.[ev.c]?.unit;
+                if (!unit || unit.typeName !== ev.u || !this._recallUnit(unit)) this._markDesync();
+                this.updateHolders();
+                break;
+            }
+            case 'end':
+                await this.endTurn(true);
+                break;
+            default:
+                if (DEBUG_MODE) console.warn('[ReplayScene] unknown event', ev.t);
+        }
+    }
+
+    _markDesync() {
+        if (this._playbackDesynced) return;
+        this._playbackDesynced = true;
+        if (DEBUG_MODE) console.warn('[ReplayScene] replay diverged at event', this._playbackCursor - 1);
+        this._refreshReplayControls();
+    }
+
+    // ---------- Controls ----------
+
+    _applyPlaybackSpeed() {
+        const speed = REPLAY_SPEEDS[this._speedIndex] || 1;
+        // Scaling the clock and tweens also speeds up _wait, dice animations and combat delays
+        try {
+            this.time.timeScale = speed;
+            this.tweens.timeScale = speed;
+        } catch (e) {}
+    }
+
+    _createReplayControls() {
+        const style = { fontSize: 18, color: '#ffffff', fontFamily: this.PIXEL_FONT };
+
+        const playBtn = this.add.text(450, 100, '', style).setOrigin(0.5).setInteractive();
+        playBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._setPlaying(!this._playing);
+        });
+
+        const stepBtn = this.add.text(600, 100, this._t('REPLAY_STEP', 'Step'), style).setOrigin(0.5).setInteractive();
+        stepBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._stepTurn();
+        });
+
+        const speedBtn = this.add.text(760, 100, '', style).setOrigin(0.5).setInteractive();
+        speedBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._speedIndex = (this._speedIndex + 1) % REPLAY_SPEEDS.length;
+            this._applyPlaybackSpeed();
+            this._refreshReplayControls();
+        });
+
+        const statusText = this.add.text(600, 130, '', {
+            fontSize: 14,
+            color: '#ff8866',
+            fontFamily: this.PIXEL_FONT
+        }).setOrigin(0.5);
+
+        this._replayControls = { playBtn, stepBtn, speedBtn, statusText };
+        this._refreshReplayControls();
+    }
+
+    _refreshReplayControls() {
+        const controls = this._replayControls;
+        if (!controls || !controls.playBtn.scene) return;
+        const over = this._isPlaybackOver();
+
+        controls.playBtn.setText(this._playing ? this._t('REPLAY_PAUSE', 'Pause') : this._t('REPLAY_PLAY', 'Play'));
+        controls.playBtn.setAlpha(over ? 0.4 : 1);
+        controls.stepBtn.setAlpha(over || this._playing ? 0.4 : 1);
+        controls.speedBtn.setText(this._fmt('REPLAY_SPEED', 'Speed {0}x', REPLAY_SPEEDS[this._speedIndex] || 1));
+        controls.statusText.setText(this._playbackDesynced ? this._t('REPLAY_DESYNC', 'Replay desynced - results may differ') : '');
+    }
+}
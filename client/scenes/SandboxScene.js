@@ -0,0 +1,616 @@
+import LocalGameScene from './LocalGameScene.js';
+import GlobalAudio from '../utils/AudioManager.js';
+import { DEBUG_MODE } from '../utils/DebugManager.js';
+import RandomManager from '../utils/RandomManager.js';
+import { captureAIState, restoreUnit } from '../utils/ai/AIState.js';
+import BoardFactory from '../utils/factories/BoardFactory.js';
+import CombatFactory from '../utils/factories/CombatFactory.js';
+import DefenceFactory from '../utils/factories/DefenceFactory.js';
+import EndlessFactory from '../utils/factories/EndlessFactory.js';
+import MonsterFactory from '../utils/factories/MonsterFactory.js';
+import PuddleFactory from '../utils/factories/PuddleFactory.js';
+import SpecialEffectFactory from '../utils/factories/SpecialEffectFactory.js';
+import StatusEffectFactory from '../utils/factories/StatusEffectFactory.js';
+
+const SANDBOX_WAVES = 999;
+const MAX_REWIND = 30;
+const OVERLAY_REFRESH_MS = 150;
+const PANEL_STYLE = `
+    width: 300px;
+    max-height: 600px;
+    overflow-y: auto;
+    padding: 8px;
+    box-sizing: border-box;
+    background: rgba(0,0,0,0.6);
+    color: #ffffff;
+    border: 1px solid rgba(255,255,255,0.3);
+    border-radius: 6px;
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+`;
+const INPUT_STYLE = 'width: 100%; box-sizing: border-box; background: rgba(0,0,0,0.5); color: #ffffff; border: 1px solid rgba(255,255,255,0.3); border-radius: 4px; padding: 2px 4px; margin-bottom: 4px;';
+const BUTTON_STYLE = 'margin: 2px 4px 4px 0; background: #333333; color: #ffffff; border: 1px solid #777777; border-radius: 4px; cursor: pointer;';
+
+/**
+ * SandboxScene - Practice board on top of LocalGameScene
+ * Any unit of either side can be put on any open tile without rolling, waves are stepped one at a time
+ * through the normal endTurn combat path, and every step can be rewound. Placed units can be edited
+ * (health, statuses) and given a debug overlay with their range, the targets pickTargetByMode picks
+ * and the damage each target would take.
+ *
+ * Both seats are marked as AI (like ReplayScene) so turn input and achievements stay out; doAITurn does nothing.
+ * Rewind snapshots use the AI snapshot format (see AIState) plus scores and the match stream position.
+ */
+export default class SandboxScene extends LocalGameScene {
+    constructor() {
+        super('SandboxScene');
+        this._paletteType = null;
+        this._selectedUnit = null;
+        this._overlayUnits = new Set();
+        this._overlayTexts = new Map();
+        this._overlayGraphics = null;
+        this._overlayRefreshAt = 0;
+        this._rewindStack = [];
+        this._stepping = false;
+        this._sandboxOver = false;
+        this._sandboxControls = null;
+        this._sandboxPanel = null;
+    }
+
+    init(data = {}) {
+        this._paletteType = null;
+        this._selectedUnit = null;
+        this._overlayUnits = new Set();
+        this._overlayTexts = new Map();
+        this._overlayGraphics = null;
+        this._overlayRefreshAt = 0;
+        this._rewindStack = [];
+        this._stepping = false;
+        this._sandboxOver = false;
+        this._sandboxControls = null;
+        this._sandboxPanel = null;
+
+        super.init({
+            waves: SANDBOX_WAVES,
+            switchSides: false,
+            diceCount: 1,
+            names: [this._t('ROLE_DEFENCE', 'Defence'), this._t('ROLE_MONSTER', 'Monster')],
+            ai: [true, true],
+            difficulty: 'medium',
+            boardRows: data.boardRows,
+            boardCols: data.boardCols,
+            board: data.board,
+            mods: Array.isArray(data.mods) ? data.mods : undefined,
+            seed: data.seed
+        });
+        this._replay = null;
+        this._returnScene = data.returnScene || 'LocalMenuScene';
+        this.exitLocked = false;
+    }
+
+    create() {
+        super.create();
+        this._overlayGraphics = this.add.graphics().setDepth(1400);
+        this._hideTurnControls();
+        this._createSandboxControls();
+        this._createSandboxPanel();
+        this.infoText.setText(this._formatWaveTurn());
+    }
+
+    doAITurn() {
+        // Nobody takes turns in the sandbox; waves are stepped from the controls
+    }
+
+    // Nothing blocks a step, not even units still waiting in a holder
+    _hasPlacementAvailableForCurrentPlayer() {
+        return false;
+    }
+
+    _formatWaveTurn() {
+        return this._fmt('SANDBOX_WAVE', 'Sandbox - wave {0}', this.currentWave);
+    }
+
+    startTurn() {
+        super.startTurn();
+        this._hideTurnControls();
+    }
+
+    _hideTurnControls() {
+        (this.diceSprites || []).forEach(d => d && d.setVisible(false));
+        if (this.diceText) this.diceText.setVisible(false);
+        if (this.endTurnBtn) this.endTurnBtn.setVisible(false);
+    }
+
+    endGame(win) {
+        this.exitLocked = false;
+        this._sandboxOver = true;
+        this.updatePlayerBar();
+        this.infoText.setText(win
+            ? this._t('SANDBOX_LAST_WAVE', 'Last sandbox wave reached - rewind to keep going')
+            : this._t('SANDBOX_BROKE_THROUGH', 'The monsters broke through - rewind to keep going'));
+        this._refreshSandboxControls();
+    }
+
+    cleanup() {
+        this._overlayUnits.clear();
+        this._overlayTexts.clear();
+        this._selectedUnit = null;
+        super.cleanup();
+    }
+
+    update() {
+        super.update();
+        const now = this.time?.now || 0;
+        if (now < this._overlayRefreshAt) return;
+        this._overlayRefreshAt = now + OVERLAY_REFRESH_MS;
+        this._drawOverlays();
+    }
+
+    // ---------- Board tools ----------
+
+    // Left-click: place the palette unit on an empty tile or select a unit; right-click: remove a unit
+    _interceptCellPress(row, col, pointer) {
+        if (this._exitModalActive || this._combatInProgress || this._stepping) return true;
+        const occupant = this.grid[row]?.[col]?.unit;
+        const rightClick = !!(pointer && typeof pointer.rightButtonDown === 'function' && pointer.rightButtonDown());
+        if (occupant) {
+            if (rightClick) this._removeSandboxUnit(occupant);
+            else this._selectUnit(occupant);
+            return true;
+        }
+        if (!rightClick) this._spawnUnit(this._paletteType, row, col);
+        return true;
+    }
+
+    // Same setup as HeadlessScene.spawnUnit: wave scaling, endless modifiers and the side's owner
+    _spawnUnit(typeName, row, col) {
+        if (!typeName || this._sandboxOver) return null;
+        const isDefence = typeName in DefenceFactory.defenceData;
+        if (!isDefence && !(typeName in MonsterFactory.monsterData)) return null;
+        if (BoardFactory.isBlocked(this, row, col)) {
+            this.infoText.setText(this._t('SANDBOX_TILE_BLOCKED', 'That tile is blocked'));
+            return null;
+        }
+
+        const unit = isDefence ? DefenceFactory.create(typeName) : MonsterFactory.create(typeName);
+        if (!unit) return null;
+        CombatFactory.applyWaveScaling(unit, this.currentWave, !isDefence, this);
+        EndlessFactory.applyModifiers(this, unit);
+        unit._owner = this.players.findIndex(p => p.role === (isDefence ? 'defence' : 'monster'));
+        this.currentPlayer = unit._owner;
+        if (!this._placeUnitOnGrid(unit, row, col)) return null;
+        this._selectUnit(unit);
+        return unit;
+    }
+
+    // Take a unit off the board without its death effects
+    _removeSandboxUnit(unit) {
+        unit._deathLifecycleHandled = true;
+        try {
+            SpecialEffectFactory.handleOnRemove(unit, this);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[SandboxScene] handleOnRemove failed', e);
+        }
+        this._removeUnitCompletely(unit, { forceCleanup: true });
+        this._dropOverlay(unit);
+        if (this._selectedUnit === unit) this._selectUnit(null);
+    }
+
+    _selectUnit(unit) {
+        this._selectedUnit = unit;
+        this._renderUnitSection();
+        this._overlayRefreshAt = 0;
+    }
+
+    // ---------- Waves ----------
+
+    async _stepWave() {
+        if (this._stepping || this._combatInProgress || this._sandboxOver || this._sceneClosing) return;
+        this._stepping = true;
+        this._refreshSandboxControls();
+        this._pushSnapshot();
+        try {
+            // endTurn from the monster seat hands over to the defender, which resolves the wave
+            this.currentPlayer = this.players.findIndex(p => p.role === 'monster');
+            this.rolledThisTurn = true;
+            await this.endTurn(true);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[SandboxScene] wave step failed', e);
+        } finally {
+            this._stepping = false;
+        }
+        if (this._sceneClosing) return;
+        if (!this._sandboxOver) this.infoText.setText(this._formatWaveTurn());
+        if (this._selectedUnit && !this.units.includes(this._selectedUnit)) this._selectUnit(null);
+        else this._renderUnitSection();
+        this._refreshSandboxControls();
+    }
+
+    _pushSnapshot() {
+        const defenderIndex = this.players.findIndex(p => p.role === 'defence');
+        const state = captureAIState(this, defenderIndex);
+        const otherHolders = captureAIState(this, 1 - defenderIndex).holders;
+        this._rewindStack.push({
+            state,
+            holders: [...state.holders, ...otherHolders],
+            scores: this.scores.slice(),
+            defeatedMonsters: this.defeatedMonsters,
+            destroyedDefences: this.destroyedDefences,
+            rngCalls: this._rng ? this._rng.calls : 0
+        });
+        if (this._rewindStack.length > MAX_REWIND) this._rewindStack.shift();
+    }
+
+    // Put the board back the way it was before the last step
+    _rewind() {
+        if (this._stepping || this._combatInProgress || this._sceneClosing) return;
+        const snapshot = this._rewindStack.pop();
+        if (!snapshot) return;
+        const { state } = snapshot;
+
+        [...(this.units || []), ...(this.holders || [])].forEach(u => {
+            this._clearBoardVisuals(u);
+            u._beingRemoved = true;
+        });
+        this.units = [];
+        this.holders = [];
+        this.forceFields = {};
+        (this.grid || []).forEach(row => (row || []).forEach(cell => {
+            if (!cell) return;
+            cell.unit = null;
+            cell.sprite = null;
+        }));
+        PuddleFactory.cleanupPuddles(this);
+        this._overlayUnits.clear();
+        this._overlayTexts.forEach(t => t.destroy());
+        this._overlayTexts.clear();
+
+        this.currentWave = state.currentWave;
+        this.endlessModifiers = state.endlessModifiers.map(m => ({ ...m }));
+        this.scores = snapshot.scores.slice();
+        this.defeatedMonsters = snapshot.defeatedMonsters;
+        this.destroyedDefences = snapshot.destroyedDefences;
+        this._rng = RandomManager.createMatchRandom(this._matchSeed).advance(snapshot.rngCalls);
+
+        for (const entry of state.units) {
+            const unit = restoreUnit(entry);
+            if (!unit || !this._placeUnitOnGrid(unit, entry.row, entry.col, { restore: true })) continue;
+            if (unit.specialEffects.some(e => e?.Type === 'BlockAllLanes')) {
+                if (!Array.isArray(this.forceFields[entry.col])) this.forceFields[entry.col] = [];
+                this.forceFields[entry.col].push(unit);
+            }
+        }
+        SpecialEffectFactory.recalculateAllDamageBoosts(this);
+        for (const entry of snapshot.holders) {
+            const unit = restoreUnit(entry);
+            if (unit) this.holders.push(unit);
+        }
+        for (const p of state.puddles) {
+            PuddleFactory.placePuddle(this, p.row, p.col, { PuddleType: p.puddleType, Duration: p.duration });
+        }
+
+        this.currentPlayer = this.players.findIndex(p => p.role === 'defence');
+        this._sandboxOver = false;
+        this.addHistoryEntry(this._fmt('HISTORY_SANDBOX_REWIND', 'Rewound to wave {0}', this.currentWave));
+        this.updateHolders();
+        this.updatePlayerBar();
+        this.infoText.setText(this._formatWaveTurn());
+        this._selectUnit(null);
+        this._refreshSandboxControls();
+    }
+
+    // ---------- Debug overlay ----------
+
+    _toggleOverlay(unit) {
+        if (!unit) return;
+        if (this._overlayUnits.has(unit)) this._dropOverlay(unit);
+        else this._overlayUnits.add(unit);
+        this._overlayRefreshAt = 0;
+    }
+
+    _dropOverlay(unit) {
+        this._overlayUnits.delete(unit);
+        const text = this._overlayTexts.get(unit);
+        if (text) text.destroy();
+        this._overlayTexts.delete(unit);
+    }
+
+    _drawOverlays() {
+        const g = this._overlayGraphics;
+        if (!g || !g.scene) return;
+        g.clear();
+        const half = (this.TILE_SIZE || 60) / 2;
+
+        const selected = this._selectedUnit;
+        if (selected && selected.position && this.units.includes(selected)) {
+            const { x, y } = this.getTileXY(selected.position.row, selected.position.col);
+            g.lineStyle(2, 0xffffff, 0.9).strokeRect(x - half, y - half, half * 2, half * 2);
+        }
+
+        for (const unit of [...this._overlayUnits]) {
+            if (!unit.position || !this.units.includes(unit)) {
+                this._dropOverlay(unit);
+                continue;
+            }
+            const { row, col } = unit.position;
+            const origin = this.getTileXY(row, col);
+            const preview = CombatFactory.getTargetPreview(unit, this);
+
+            for (const [r, c] of this._getRangeTiles(unit, preview.rows)) {
+                const { x, y } = this.getTileXY(r, c);
+                g.fillStyle(0xffee55, 0.15).fillRect(x - half, y - half, half * 2, half * 2);
+            }
+            for (const enemy of preview.enemies) {
+                const { x, y } = this.getTileXY(enemy.position.row, enemy.position.col);
+                g.lineStyle(2, 0xffaa44, 0.8).strokeRect(x - half + 3, y - half + 3, half * 2 - 6, half * 2 - 6);
+            }
+            for (const target of preview.targets) {
+                const { x, y } = this.getTileXY(target.position.row, target.position.col);
+                g.lineStyle(3, 0xff4444, 0.9).lineBetween(origin.x, origin.y, x, y);
+            }
+
+            let text = this._overlayTexts.get(unit);
+            if (!text) {
+                text = this.add.text(0, 0, '', {
+                    fontSize: 10,
+                    color: '#ffffff',
+                    backgroundColor: '#000000',
+                    fontFamily: this.PIXEL_FONT,
+                    padding: { x: 4, y: 3 }
+                }).setOrigin(0.5, 1).setDepth(1450).setAlpha(0.9);
+                this._overlayTexts.set(unit, text);
+            }
+            text.setText(this._describeOverlay(unit, preview)).setPosition(origin.x, origin.y - half);
+        }
+    }
+
+    // Tiles the unit can reach: forward along its lanes, both ways when charmed or back-targeting
+    _getRangeTiles(unit, rows) {
+        const isDefence = unit.typeName in DefenceFactory.defenceData;
+        const range = Number(unit.range ?? (isDefence ? 0 : 1)) || 0;
+        const bothWays = unit.backTargeting === true || StatusEffectFactory.isUnitCharmed(unit);
+        const forward = isDefence ? 1 : -1;
+        const tiles = [];
+        for (const r of rows) {
+            for (let d = 1; d <= range; d++) {
+                for (const dir of (bothWays ? [1, -1] : [forward])) {
+                    const c = unit.position.col + d * dir;
+                    if (c >= 0 && c < this.GRID_COLS) tiles.push([r, c]);
+                }
+            }
+        }
+        return tiles;
+    }
+
+    _describeOverlay(unit, preview) {
+        const isDefence = unit.typeName in DefenceFactory.defenceData;
+        const lines = [];
+        const tileBonus = Number(unit._tileRangeBonus) || 0;
+        lines.push(tileBonus
+            ? this._fmt('SANDBOX_OVERLAY_RANGE_TILE', 'Range {0} ({1} tile)', unit.range ?? 0, `${tileBonus > 0 ? '+' : ''}${tileBonus}`)
+            : this._fmt('SANDBOX_OVERLAY_RANGE', 'Range {0}', unit.range ?? 0));
+
+        const boost = Number(unit._damageMultiplier);
+        lines.push(Number.isFinite(boost) && boost !== 1
+            ? this._fmt('SANDBOX_OVERLAY_DAMAGE_BOOST', 'Damage {0} x{1} boost', unit.damage ?? 0, boost.toFixed(2))
+            : this._fmt('SANDBOX_OVERLAY_DAMAGE', 'Damage {0}', unit.damage ?? 0));
+        if (!isDefence) {
+            const scaling = CombatFactory.getWaveScalingFactor(CombatFactory.getUnitWave(unit, this), true, this);
+            if (scaling !== 1) lines.push(this._fmt('SANDBOX_OVERLAY_SCALING', 'Wave scaling x{0}', scaling.toFixed(2)));
+        }
+        if (StatusEffectFactory.isUnitStunned(unit)) lines.push(this._t('SANDBOX_OVERLAY_STUNNED', 'Stunned - skips its attack'));
+
+        if (!preview.targets.length) {
+            lines.push(this._t('SANDBOX_OVERLAY_NO_TARGET', 'No target'));
+        } else {
+            // applyDamageModifiers records the raw damage on the attacker; a preview must not
+            const raw = unit._lastDamageDealtRaw;
+            for (const target of preview.targets.slice(0, 3)) {
+                const dmg = CombatFactory.applyDamageModifiers(unit, target, unit.damage ?? 0, null);
+                lines.push(this._fmt('SANDBOX_OVERLAY_TARGET', '> {0}: {1} dmg', target.fullName || target.typeName, dmg));
+            }
+            if (preview.targets.length > 3) lines.push(this._fmt('SANDBOX_OVERLAY_MORE', '(+{0} more)', preview.targets.length - 3));
+            if (raw === undefined) delete unit._lastDamageDealtRaw;
+            else unit._lastDamageDealtRaw = raw;
+        }
+        return lines.join('\n');
+    }
+
+    // ---------- Controls ----------
+
+    _createSandboxControls() {
+        const style = { fontSize: 18, color: '#ffffff', fontFamily: this.PIXEL_FONT };
+        const y = this.diceText ? this.diceText.y : 560;
+
+        const stepBtn = this.add.text(420, y, this._t('SANDBOX_STEP', 'Step Wave'), style).setOrigin(0.5).setInteractive();
+        stepBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._stepWave();
+        });
+
+        const rewindBtn = this.add.text(640, y, '', style).setOrigin(0.5).setInteractive();
+        rewindBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this._rewind();
+        });
+
+        const hint = this.add.text(530, y + 50, this._t('SANDBOX_HINT', 'Click a tile to place, click a unit to edit, right-click to remove'), {
+            fontSize: 11,
+            color: '#aaaaaa',
+            fontFamily: this.PIXEL_FONT
+        }).setOrigin(0.5);
+
+        this._sandboxControls = { stepBtn, rewindBtn, hint };
+        this._refreshSandboxControls();
+    }
+
+    _refreshSandboxControls() {
+        const controls = this._sandboxControls;
+        if (!controls || !controls.stepBtn.scene) return;
+        const busy = this._stepping || this._combatInProgress;
+        controls.stepBtn.setAlpha(busy || this._sandboxOver ? 0.4 : 1);
+        controls.rewindBtn.setText(this._fmt('SANDBOX_REWIND', 'Rewind ({0})', this._rewindStack.length));
+        controls.rewindBtn.setAlpha(busy || !this._rewindStack.length ? 0.4 : 1);
+    }
+
+    // DOM panel on the right: unit palette and the selected unit's editor
+    _createSandboxPanel() {
+        const panel = document.createElement('div');
+        panel.style.cssText = PANEL_STYLE;
+        // Keep typing in the panel away from the game's hotkeys
+        panel.addEventListener('keydown', (event) => event.stopPropagation());
+
+        panel.appendChild(this._heading(this._t('SANDBOX_PLACE', 'Place unit')));
+        const palette = document.createElement('select');
+        palette.style.cssText = INPUT_STYLE;
+        const groups = [
+            [this._t('ROLE_DEFENCE', 'Defence'), DefenceFactory.defenceData],
+            [this._t('ROLE_MONSTER', 'Monster'), MonsterFactory.monsterData]
+        ];
+        for (const [label, data] of groups) {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            Object.keys(data).sort().forEach(typeName => {
+                const opt = document.createElement('option');
+                opt.value = typeName;
+                opt.textContent = data[typeName]?.FullName || typeName;
+                group.appendChild(opt);
+            });
+            palette.appendChild(group);
+        }
+        this._paletteType = palette.value || null;
+        palette.addEventListener('change', () => {
+            this._paletteType = palette.value || null;
+        });
+        panel.appendChild(palette);
+
+        const unitSection = document.createElement('div');
+        panel.appendChild(unitSection);
+
+        this._sandboxPanel = { dom: this.add.dom(1110, 140, panel).setOrigin(0.5, 0), unitSection };
+        this._renderUnitSection();
+    }
+
+    _renderUnitSection() {
+        const section = this._sandboxPanel?.unitSection;
+        if (!section) return;
+        section.replaceChildren();
+        const unit = this._selectedUnit;
+        if (!unit || !unit.position) {
+            const empty = document.createElement('p');
+            empty.textContent = this._t('SANDBOX_NO_SELECTION', 'No unit selected');
+            empty.style.color = '#aaaaaa';
+            section.appendChild(empty);
+            return;
+        }
+
+        const { row, col } = unit.position;
+        section.appendChild(this._heading(this._fmt('SANDBOX_SELECTED', '{0} (row {1}, col {2})', unit.fullName || unit.typeName, row + 1, col + 1)));
+
+        const locked = () => this._stepping || this._combatInProgress;
+        const numberField = (label, value, apply) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = String(value ?? 0);
+            input.style.cssText = INPUT_STYLE;
+            input.addEventListener('change', () => {
+                const n = Number(input.value);
+                if (!Number.isFinite(n) || locked()) {
+                    input.value = String(value ?? 0);
+                    return;
+                }
+                apply(n);
+                this._renderUnitSection();
+            });
+            section.appendChild(this._label(label));
+            section.appendChild(input);
+        };
+        numberField(this._t('SANDBOX_HEALTH', 'Health'), unit.currentHealth, (n) => {
+            unit.currentHealth = Math.max(1, Math.round(n));
+            unit.health = Math.max(unit.health || 0, unit.currentHealth);
+        });
+        numberField(this._t('SANDBOX_MAX_HEALTH', 'Max health'), unit.health, (n) => {
+            unit.health = Math.max(1, Math.round(n));
+            unit.currentHealth = Math.min(unit.currentHealth, unit.health);
+        });
+
+        section.appendChild(this._heading(this._t('SANDBOX_STATUSES', 'Statuses'), 'h4'));
+        (unit.status || []).forEach((s, i) => {
+            const line = document.createElement('div');
+            const value = s.Value !== undefined ? `, ${s.Value}` : '';
+            line.textContent = `${s.Type} (${s.Duration ?? 0}${value}) `;
+            line.appendChild(this._button(this._t('SANDBOX_REMOVE_STATUS', 'x'), () => {
+                if (locked()) return;
+                StatusEffectFactory.removeStatus(unit, i);
+                this._renderUnitSection();
+            }));
+            section.appendChild(line);
+        });
+
+        const typeSelect = document.createElement('select');
+        typeSelect.style.cssText = INPUT_STYLE;
+        Object.keys(StatusEffectFactory.statusData).sort().forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = type;
+            typeSelect.appendChild(opt);
+        });
+        const duration = document.createElement('input');
+        duration.type = 'number';
+        duration.value = '2';
+        duration.style.cssText = INPUT_STYLE;
+        const value = document.createElement('input');
+        value.type = 'number';
+        value.placeholder = this._t('SANDBOX_STATUS_VALUE', 'Value (optional)');
+        value.style.cssText = INPUT_STYLE;
+        section.appendChild(typeSelect);
+        section.appendChild(this._label(this._t('SANDBOX_STATUS_DURATION', 'Duration (waves)')));
+        section.appendChild(duration);
+        section.appendChild(value);
+        section.appendChild(this._button(this._t('SANDBOX_ADD_STATUS', 'Add status'), () => {
+            if (locked() || !typeSelect.value) return;
+            const effect = { Type: typeSelect.value, Duration: Math.max(1, Math.round(Number(duration.value) || 1)) };
+            if (value.value !== '' && Number.isFinite(Number(value.value))) effect.Value = Number(value.value);
+            StatusEffectFactory.applyStatusToTarget(effect, unit, this);
+            this._renderUnitSection();
+        }));
+
+        section.appendChild(this._heading(this._t('SANDBOX_DEBUG', 'Debug'), 'h4'));
+        const overlayLabel = this._overlayUnits.has(unit)
+            ? this._t('SANDBOX_OVERLAY_HIDE', 'Hide overlay')
+            : this._t('SANDBOX_OVERLAY_SHOW', 'Show overlay');
+        section.appendChild(this._button(overlayLabel, () => {
+            this._toggleOverlay(unit);
+            this._renderUnitSection();
+        }));
+        section.appendChild(this._button(this._t('SANDBOX_REMOVE_UNIT', 'Remove unit'), () => {
+            if (!locked()) this._removeSandboxUnit(unit);
+        }));
+    }
+
+    _heading(text, tag = 'h3') {
+        const el = document.createElement(tag);
+        el.textContent = text;
+        el.style.cssText = 'margin: 8px 0 4px; color: #ffaa44;';
+        return el;
+    }
+
+    _label(text) {
+        const el = document.createElement('div');
+        el.textContent = text;
+        el.style.cssText = 'margin-top: 4px; color: #cccccc;';
+        return el;
+    }
+
+    _button(label, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.style.cssText = BUTTON_STYLE;
+        btn.addEventListener('click', () => {
+            GlobalAudio.playButton(this);
+            onClick();
+        });
+        return btn;
+    }
+}
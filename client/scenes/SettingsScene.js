@@ -4,6 +4,8 @@ import GlobalBackground from '../utils/BackgroundManager.js';
 import GlobalSettings from '../utils/SettingsManager.js';
 import ErrorHandler from '../utils/ErrorManager.js';
 import GlobalLocalization from '../utils/LocalizationManager.js';
+import GlobalAlerts from '../utils/AlertManager.js';
+import GlobalMods from '../utils/ModManager.js';
 
 export default class SettingsScene extends Phaser.Scene {
     constructor() {
@@ -125,9 +127,25 @@ export default class SettingsScene extends Phaser.Scene {
             if (GlobalAudio) GlobalAudio.playButton(this);
             this.showJukeboxPopup();
         });
+
+        // ---------- MOD PACKS ----------
+        this.modsBtn = this.add.text(600, 500, t('SET_MODS', 'Mod Packs'), {
+                fontFamily: '"Press Start 2P", cursive',
+                fontSize: '24px',
+                color: '#99ddff'
+            })
+            .setOrigin(0.5)
+            .setInteractive({
+                useHandCursor: true
+            });
+
+        this.modsBtn.on('pointerdown', () => {
+            if (GlobalAudio) GlobalAudio.playButton(this);
+            this.showModsPopup();
+        });
 		
         // ---------- BACK BUTTON ----------
-        this.backBtn = this.add.text(600, 520, t('UI_BACK', '<- BACK'), {
+        this.backBtn = this.add.text(600, 580, t('UI_BACK', '<- BACK'), {
                 fontFamily: '"Press Start 2P", cursive',
                 fontSize: '24px',
                 color: '#ff6666'
@@ -146,6 +164,9 @@ export default class SettingsScene extends Phaser.Scene {
         this.popupType = null;
         this._jukeboxPopupElements = null;
         this._languagePopupElements = null;
+        this._modsPopupElements = null;
+
+        this.events.once('shutdown', () => this._removeModFileInput());
 
         this.input.keyboard.on('keydown-ESC', () => {
             if (this.popupOpen) {
@@ -172,6 +193,7 @@ export default class SettingsScene extends Phaser.Scene {
         this.musicText.setText(current.music ? t('SET_MUSIC_ON', 'Music: ON') : t('SET_MUSIC_OFF', 'Music: OFF'));
         this.visualText.setText(current.visualEffects ? t('SET_VISUAL_ON', 'Visual Effects: ON') : t('SET_VISUAL_OFF', 'Visual Effects: OFF'));
         this.jukeboxBtn.setText(t('SET_JUKEBOX', 'Jukebox'));
+        this.modsBtn.setText(t('SET_MODS', 'Mod Packs'));
         this.backBtn.setText(t('UI_BACK', '<- BACK'));
     }
 
@@ -181,6 +203,8 @@ export default class SettingsScene extends Phaser.Scene {
             this.closeJukeboxPopup();
         } else if (this.popupType === 'language') {
             this.closeLanguagePopup();
+        } else if (this.popupType === 'mods') {
+            this.closeModsPopup();
         }
     }
 
@@ -261,6 +285,7 @@ export default class SettingsScene extends Phaser.Scene {
         this.visualText.disableInteractive();
         this.languageText.disableInteractive();
         this.jukeboxBtn.disableInteractive();
+        this.modsBtn.disableInteractive();
         this.backBtn.disableInteractive();
 
         // ---- Dark background overlay ----
@@ -369,6 +394,7 @@ export default class SettingsScene extends Phaser.Scene {
         this.visualText.setInteractive();
         this.languageText.setInteractive();
         this.jukeboxBtn.setInteractive();
+        this.modsBtn.setInteractive();
         this.backBtn.setInteractive();
 
         this.popupOpen = false;
@@ -392,6 +418,7 @@ export default class SettingsScene extends Phaser.Scene {
         this.visualText.disableInteractive()
         this.languageText.disableInteractive()
         this.jukeboxBtn.disableInteractive();
+        this.modsBtn.disableInteractive();
         this.backBtn.disableInteractive();
 
         // ---- Dark background overlay ----
@@ -511,10 +538,202 @@ export default class SettingsScene extends Phaser.Scene {
         this.visualText.setInteractive()
         this.languageText.setInteractive()
         this.jukeboxBtn.setInteractive();
+        this.modsBtn.setInteractive();
         this.backBtn.setInteractive();
 
         this.popupOpen = false;
         this.popupType = null;
         this._jukeboxPopupElements = null;
     }
+
+    showModsPopup() {
+        const t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        const fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
+
+        if (this.popupOpen) {
+            this.closeActivePopup();
+        }
+
+        // ---- LOCK UI ----
+        this.popupOpen = true;
+        this.popupType = 'mods';
+        this.audioText.disableInteractive();
+        this.musicText.disableInteractive();
+        this.visualText.disableInteractive();
+        this.languageText.disableInteractive();
+        this.jukeboxBtn.disableInteractive();
+        this.modsBtn.disableInteractive();
+        this.backBtn.disableInteractive();
+
+        const overlay = this.add.rectangle(600, 300, 900, 700, 0x000000, 0.55)
+            .setDepth(20);
+
+        const popup = this.add.rectangle(600, 320, 720, 460, 0x222222, 0.95)
+            .setStrokeStyle(3, 0xffffff)
+            .setDepth(21);
+
+        const title = this.add.text(600, 120, t('SET_MODS', 'Mod Packs'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '24px',
+            color: '#ffffaa'
+        }).setOrigin(0.5).setDepth(22);
+
+        const hint = this.add.text(600, 155, t('SET_MODS_HINT', 'Enable packs per match in Local or Online setup.'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '10px',
+            color: '#cccccc'
+        }).setOrigin(0.5).setDepth(22);
+
+        const rows = [];
+        const installed = GlobalMods.getInstalled();
+        const maxRows = 6;
+        if (!GlobalMods.isAvailable()) {
+            rows.push(this.add.text(600, 300, t('SET_MODS_UNAVAILABLE', 'Mod packs are not supported in this browser.'), {
+                fontFamily: '"Press Start 2P", cursive',
+                fontSize: '12px',
+                color: '#ff8888'
+            }).setOrigin(0.5).setDepth(22));
+        } else if (!installed.length) {
+            rows.push(this.add.text(600, 300, t('SET_MODS_EMPTY', 'No mod packs installed.'), {
+                fontFamily: '"Press Start 2P", cursive',
+                fontSize: '12px',
+                color: '#ffffff'
+            }).setOrigin(0.5).setDepth(22));
+        }
+
+        installed.slice(0, maxRows).forEach((pack, i) => {
+            const y = 200 + i * 40;
+            const label = this.add.text(270, y, fmt('SET_MODS_ENTRY', '{0} v{1} [{2}]', pack.name, pack.version, pack.hash.slice(0, 6)), {
+                fontFamily: '"Press Start 2P", cursive',
+                fontSize: '12px',
+                color: GlobalMods.isActive(pack.id) ? '#66ff66' : '#ffffff'
+            }).setOrigin(0, 0.5).setDepth(22);
+
+            const del = this.add.text(930, y, t('SET_MODS_DELETE', 'Delete'), {
+                fontFamily: '"Press Start 2P", cursive',
+                fontSize: '12px',
+                color: '#ff8888'
+            }).setOrigin(1, 0.5).setDepth(22).setInteractive({ useHandCursor: true });
+
+            del.on('pointerdown', async () => {
+                if (GlobalAudio) GlobalAudio.playButton(this);
+                await GlobalMods.remove(pack.id, this);
+                this._refreshModsPopup();
+            });
+
+            rows.push(label, del);
+        });
+
+        const importZip = this.add.text(450, 470, t('SET_MODS_IMPORT_ZIP', 'Import Zip'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '16px',
+            color: '#99ddff'
+        }).setOrigin(0.5).setDepth(22).setInteractive({ useHandCursor: true });
+
+        const importFolder = this.add.text(750, 470, t('SET_MODS_IMPORT_FOLDER', 'Import Folder'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '16px',
+            color: '#99ddff'
+        }).setOrigin(0.5).setDepth(22).setInteractive({ useHandCursor: true });
+
+        importZip.on('pointerdown', () => {
+            if (GlobalAudio) GlobalAudio.playButton(this);
+            this._pickModFiles(false);
+        });
+        importFolder.on('pointerdown', () => {
+            if (GlobalAudio) GlobalAudio.playButton(this);
+            this._pickModFiles(true);
+        });
+
+        const closeBtn = this.add.text(600, 520, t('UI_CLOSE', 'Close'), {
+            fontFamily: '"Press Start 2P", cursive',
+            fontSize: '18px',
+            color: '#ff8888'
+        }).setOrigin(0.5).setDepth(22).setInteractive({ useHandCursor: true });
+
+        closeBtn.on('pointerdown', () => {
+            this.closeModsPopup();
+        });
+
+        this._modsPopupElements = { overlay, popup, title, hint, rows, importZip, importFolder, closeBtn };
+    }
+
+    _refreshModsPopup() {
+        if (this.popupType !== 'mods') return;
+        this._destroyModsPopup();
+        this.popupOpen = false;
+        this.showModsPopup();
+    }
+
+    // Browsers only open file pickers from an <input>, so keep one hidden input for the scene
+    _pickModFiles(folder) {
+        if (!GlobalMods.isAvailable()) return;
+        this._removeModFileInput();
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.style.display = 'none';
+        if (folder) {
+            input.webkitdirectory = true;
+            input.multiple = true;
+        } else {
+            input.accept = '.zip,application/zip';
+        }
+        input.addEventListener('change', async () => {
+            const files = input.files;
+            this._removeModFileInput();
+            if (!files || !files.length) return;
+            const { pack, errors } = await GlobalMods.importFiles(files);
+            if (!this.scene.isActive()) return;
+            if (pack) {
+                GlobalAlerts.show(this, GlobalLocalization.format('SET_MODS_IMPORTED', 'Imported {0} v{1}.', pack.name, pack.version), 'info');
+            } else {
+                const shown = errors.slice(0, 3).join('\n') + (errors.length > 3 ? `\n(+${errors.length - 3})` : '');
+                GlobalAlerts.show(this, GlobalLocalization.format('SET_MODS_IMPORT_FAILED', 'Mod pack rejected:\n{0}', shown), 'error');
+            }
+            this._refreshModsPopup();
+        });
+        document.body.appendChild(input);
+        this._modFileInput = input;
+        input.click();
+    }
+
+    _removeModFileInput() {
+        if (this._modFileInput) {
+            this._modFileInput.remove();
+            this._modFileInput = null;
+        }
+    }
+
+    _destroyModsPopup() {
+        if (!this._modsPopupElements) return;
+        const { overlay, popup, title, hint, rows, importZip, importFolder, closeBtn } = this._modsPopupElements;
+        overlay.destroy();
+        popup.destroy();
+        title.destroy();
+        hint.destroy();
+        rows.forEach(row => row.destroy());
+        importZip.destroy();
+        importFolder.destroy();
+        closeBtn.destroy();
+        this._modsPopupElements = null;
+    }
+
+    closeModsPopup() {
+        if (!this.popupOpen || !this._modsPopupElements) return;
+
+        if (GlobalAudio) GlobalAudio.playButton(this);
+
+        this._destroyModsPopup();
+
+        this.audioText.setInteractive();
+        this.musicText.setInteractive();
+        this.visualText.setInteractive();
+        this.languageText.setInteractive();
+        this.jukeboxBtn.setInteractive();
+        this.modsBtn.setInteractive();
+        this.backBtn.setInteractive();
+
+        this.popupOpen = false;
+        this.popupType = null;
+    }
 }
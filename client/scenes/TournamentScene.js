@@ -0,0 +1,206 @@
+import GlobalAudio from '../utils/AudioManager.js';
+import GlobalBackground from '../utils/BackgroundManager.js';
+import ErrorHandler from '../utils/ErrorManager.js';
+import GlobalLocalization from '../utils/LocalizationManager.js';
+import AIRegistry from '../utils/ai/AIRegistry.js';
+import '../utils/ai/BuiltinStrategies.js';
+import TournamentRunner from '../utils/ai/TournamentRunner.js';
+
+const PIXEL_FONT = '"Press Start 2P", cursive';
+const MATCH_OPTIONS = [1, 2, 4, 10];
+const WAVE_OPTIONS = [10, 20, 30];
+const BOARD_OPTIONS = [{ rows: 5, cols: 9 }, { rows: 6, cols: 11 }, { rows: 7, cols: 15 }];
+const DICE_OPTIONS = [1, 2, 3];
+// Standings columns: header key, fallback, x, value
+const STANDING_COLUMNS = [
+    ['TOURNAMENT_COL_RANK', '#', 140, (s, i) => String(i + 1)],
+    ['TOURNAMENT_COL_BOT', 'Bot', 220, null],
+    ['TOURNAMENT_COL_PLAYED', 'P', 480, s => String(s.played)],
+    ['TOURNAMENT_COL_WINS', 'W', 560, s => String(s.wins)],
+    ['TOURNAMENT_COL_LOSSES', 'L', 640, s => String(s.losses)],
+    ['TOURNAMENT_COL_RATE', 'Win%', 720, s => `${Math.round(s.winRate * 100)}%`],
+    ['TOURNAMENT_COL_DEFENCE', 'Def', 860, s => `${s.defenceWins}/${s.defencePlayed}`],
+    ['TOURNAMENT_COL_MONSTER', 'Mon', 990, s => `${s.monsterWins}/${s.monsterPlayed}`]
+];
+
+/**
+ * TournamentScene - Round-robin between AI difficulties
+ * Pick the entrants, board sizes and dice counts, run the matches headless (see TournamentRunner)
+ * and watch the standings fill in. Nothing here counts toward achievements or stats.
+ */
+export default class TournamentScene extends Phaser.Scene {
+    constructor() {
+        super('TournamentScene');
+        this.entrants = ['easy', 'medium', 'hard', 'expert'];
+        this.matchIndex = 1;
+        this.waveIndex = 1;
+        this.boards = [0];
+        this.diceCounts = [1];
+        this._runner = null;
+        this._optionTexts = [];
+        this._standingTexts = [];
+    }
+
+    create() {
+        try {
+          ErrorHandler.setScene(this);
+        } catch (e) {}
+        try {
+          GlobalBackground.registerScene(this, { key: 'bg', useImageIfAvailable: true });
+        } catch (e) {}
+        this._t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        this._fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
+        this._runner = null;
+        this._optionTexts = [];
+        this._standingTexts = [];
+        this.events.once('shutdown', () => this._runner?.cancel());
+
+        this.add.text(600, 60, this._t('TOURNAMENT_TITLE', 'AI Tournament'), { fontSize: '32px', fontFamily: PIXEL_FONT }).setOrigin(0.5);
+
+        const labelStyle = { fontSize: '16px', fontFamily: PIXEL_FONT };
+        const diffLabel = (name) => this._t(`DIFFICULTY_${String(name).toUpperCase()}`, name);
+        const rows = [
+            [this._t('TOURNAMENT_ENTRANTS', 'Entrants:'), AIRegistry.list().map(d => this._toggle(diffLabel(d),
+                () => this.entrants.includes(d),
+                () => { this.entrants = this._flip(this.entrants, d, AIRegistry.list()); }))],
+            [this._t('TOURNAMENT_BOARDS', 'Boards:'), BOARD_OPTIONS.map((b, i) => this._toggle(`${b.rows}x${b.cols}`,
+                () => this.boards.includes(i),
+                () => { this.boards = this._flip(this.boards, i, BOARD_OPTIONS.map((_, j) => j)); }))],
+            [this._t('TOURNAMENT_DICE', 'Dice:'), DICE_OPTIONS.map(n => this._toggle(String(n),
+                () => this.diceCounts.includes(n),
+                () => { this.diceCounts = this._flip(this.diceCounts, n, DICE_OPTIONS); }))],
+            [this._t('TOURNAMENT_MATCHES', 'Matches per pairing:'), [this._cycle(
+                () => String(MATCH_OPTIONS[this.matchIndex]),
+                () => { this.matchIndex = (this.matchIndex + 1) % MATCH_OPTIONS.length; })]],
+            [this._t('TOURNAMENT_WAVES', 'Waves:'), [this._cycle(
+                () => String(WAVE_OPTIONS[this.waveIndex]),
+                () => { this.waveIndex = (this.waveIndex + 1) % WAVE_OPTIONS.length; })]]
+        ];
+        rows.forEach(([label, options], r) => {
+            const y = 130 + r * 50;
+            this.add.text(80, y, label, labelStyle).setOrigin(0, 0.5);
+            let x = 440;
+            options.forEach(make => {
+                const text = make(x, y);
+                x += text.width + 40;
+            });
+        });
+
+        this.runBtn = this.add.text(600, 420, '', { fontSize: '24px', fontFamily: PIXEL_FONT, color: '#66ff66' })
+            .setOrigin(0.5)
+            .setInteractive();
+        this.runBtn.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            if (this._runner) this._runner.cancel();
+            else this._startTournament();
+        });
+
+        this.progressText = this.add.text(600, 470, '', { fontSize: '14px', fontFamily: PIXEL_FONT, color: '#cccccc' }).setOrigin(0.5);
+
+        STANDING_COLUMNS.forEach(([key, fallback, x]) => {
+            this.add.text(x, 520, this._t(key, fallback), { fontSize: '14px', fontFamily: PIXEL_FONT, color: '#ffff66' }).setOrigin(0, 0.5);
+        });
+
+        const backBtn = this.add.text(80, 800, this._t('UI_BACK', '<- BACK'), { fontSize: '16px', fontFamily: PIXEL_FONT, color: '#ff6666' })
+            .setOrigin(0.5)
+            .setInteractive();
+        const goBack = () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('LocalMenuScene');
+        };
+        backBtn.on('pointerdown', goBack);
+        this.input.keyboard.on('keydown-ESC', goBack);
+
+        this._refreshOptions();
+    }
+
+    // Remove a value, or add it back in option order; the last selected value can't be removed
+    _flip(selected, value, order) {
+        if (selected.includes(value)) return selected.length > 1 ? selected.filter(v => v !== value) : selected;
+        return order.filter(v => v === value || selected.includes(v));
+    }
+
+    _toggle(label, isOn, flip) {
+        return (x, y) => this._option(x, y, () => label, isOn, flip);
+    }
+
+    _cycle(getLabel, next) {
+        return (x, y) => this._option(x, y, getLabel, () => true, next);
+    }
+
+    _option(x, y, getLabel, isOn, change) {
+        const text = this.add.text(x, y, getLabel(), { fontSize: '16px', fontFamily: PIXEL_FONT }).setOrigin(0, 0.5).setInteractive();
+        text.on('pointerdown', () => {
+            if (this._runner) return;
+            GlobalAudio.playButton(this);
+            change();
+            this._refreshOptions();
+        });
+        this._optionTexts.push({ text, getLabel, isOn });
+        return text;
+    }
+
+    _refreshOptions() {
+        const running = !!this._runner;
+        this._optionTexts.forEach(({ text, getLabel, isOn }) => {
+            text.setText(getLabel());
+            text.setColor(isOn() ? '#ffaa44' : '#666666');
+            text.setAlpha(running ? 0.5 : 1);
+        });
+        this.runBtn.setText(running ? this._t('TOURNAMENT_STOP', 'Stop') : this._t('TOURNAMENT_RUN', 'Run Tournament'));
+        this.runBtn.setColor(running ? '#ff6666' : '#66ff66');
+    }
+
+    async _startTournament() {
+        if (this.entrants.length < 2) {
+            this.progressText.setText(this._t('TOURNAMENT_NEED_TWO', 'Pick at least two entrants'));
+            return;
+        }
+        const runner = new TournamentRunner({
+            entrants: this.entrants,
+            matchesPerPairing: MATCH_OPTIONS[this.matchIndex],
+            boards: this.boards.map(i => BOARD_OPTIONS[i]),
+            diceCounts: this.diceCounts,
+            waves: WAVE_OPTIONS[this.waveIndex],
+            seed: `tournament-${Date.now().toString(36)}`
+        });
+        this._runner = runner;
+        this._refreshOptions();
+        this._renderStandings(runner.getStandings());
+        this.progressText.setText(this._fmt('TOURNAMENT_PROGRESS', 'Match {0}/{1}', 0, runner.total));
+
+        let standings = null;
+        try {
+            standings = await runner.run({
+                onProgress: (done, total, current) => {
+                    if (!this.sys.isActive()) return;
+                    this.progressText.setText(this._fmt('TOURNAMENT_PROGRESS', 'Match {0}/{1}', done, total));
+                    this._renderStandings(current);
+                }
+            });
+        } catch (e) {
+            ErrorHandler.logError(e);
+        }
+        if (this._runner !== runner || !this.sys.isActive()) return;
+        this._runner = null;
+        this._refreshOptions();
+        if (!standings) return;
+        const done = runner.results.length;
+        this.progressText.setText(done < runner.total
+            ? this._fmt('TOURNAMENT_STOPPED', 'Stopped after {0}/{1} matches', done, runner.total)
+            : this._fmt('TOURNAMENT_DONE', '{0} matches played - {1} wins the tournament!', done, this._t(`DIFFICULTY_${standings[0].name.toUpperCase()}`, standings[0].name)));
+    }
+
+    _renderStandings(standings) {
+        this._standingTexts.forEach(t => t.destroy());
+        this._standingTexts = [];
+        standings.forEach((s, i) => {
+            const y = 560 + i * 34;
+            STANDING_COLUMNS.forEach(([, , x, value]) => {
+                const label = value ? value(s, i) : this._t(`DIFFICULTY_${s.name.toUpperCase()}`, s.name);
+                const color = i === 0 && s.played > 0 ? '#66ff66' : '#ffffff';
+                this._standingTexts.push(this.add.text(x, y, label, { fontSize: '14px', fontFamily: PIXEL_FONT, color }).setOrigin(0, 0.5));
+            });
+        });
+    }
+}
@@ -0,0 +1,95 @@
+import GlobalAchievements from '../utils/AchievementsManager.js';
+import GlobalAudio from '../utils/AudioManager.js';
+import GlobalBackground from '../utils/BackgroundManager.js';
+import ErrorHandler from '../utils/ErrorManager.js';
+import GlobalLocalization from '../utils/LocalizationManager.js';
+import TutorialFactory from '../utils/factories/TutorialFactory.js';
+
+const PIXEL_FONT = '"Press Start 2P", cursive';
+const LIST_Y = 200;
+const ROW_HEIGHT = 100;
+const ROW_WIDTH = 800;
+
+/**
+ * TutorialMenuScene - Lists the tutorial levels in order with the ones already finished ticked off
+ * The first unfinished level is highlighted; any level can be replayed.
+ */
+export default class TutorialMenuScene extends Phaser.Scene {
+    constructor() {
+        super('TutorialMenuScene');
+    }
+
+    create() {
+        try {
+          ErrorHandler.setScene(this);
+        } catch (e) {}
+        try {
+          GlobalBackground.registerScene(this, { key: 'bg', useImageIfAvailable: true });
+        } catch (e) {}
+        try {
+          GlobalAchievements.registerScene(this);
+        } catch (e) {}
+        this._t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        const centerX = this.cameras.main.centerX;
+
+        this.add.text(centerX, 80, this._t('TUTORIAL_TITLE', 'TUTORIAL'), { fontSize: '36px', fontFamily: PIXEL_FONT }).setOrigin(0.5);
+        this.add.text(centerX, 140, TutorialFactory.isAllComplete()
+            ? this._t('TUTORIAL_MENU_DONE', 'All levels finished - replay any of them')
+            : this._t('TUTORIAL_MENU_HINT', 'Learn the basics in a few short guided levels'), {
+            fontSize: '14px',
+            fontFamily: PIXEL_FONT,
+            color: '#aaaaaa'
+        }).setOrigin(0.5);
+
+        const levels = TutorialFactory.getLevels();
+        const current = TutorialFactory.getFirstUnfinished();
+        levels.forEach((level, i) => this._createLevelRow(level, i, level === current && !TutorialFactory.isAllComplete()));
+        if (!levels.length) {
+            this.add.text(centerX, LIST_Y + 40, this._t('TUTORIAL_NO_LEVELS', 'No tutorial levels found'), { fontSize: '14px', fontFamily: PIXEL_FONT, color: '#888888' }).setOrigin(0.5);
+        }
+
+        const goBack = () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('PlayModeScene');
+        };
+        this.add.text(centerX, 900, this._t('UI_BACK', '<- BACK'), { fontSize: '24px', fontFamily: PIXEL_FONT, color: '#ff6666' })
+            .setOrigin(0.5)
+            .setInteractive()
+            .on('pointerdown', goBack);
+        this.input.keyboard.on('keydown-ESC', goBack);
+    }
+
+    _createLevelRow(level, index, isCurrent) {
+        const x = this.cameras.main.centerX;
+        const y = LIST_Y + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const done = TutorialFactory.isComplete(level.TypeName);
+        const stroke = isCurrent ? 0xffd94d : (done ? 0x00aa00 : 0x444444);
+        const box = this.add.rectangle(x, y, ROW_WIDTH, ROW_HEIGHT - 16, 0x000000, 0.5)
+            .setStrokeStyle(2, stroke)
+            .setInteractive({ useHandCursor: true });
+
+        const left = x - ROW_WIDTH / 2 + 24;
+        this.add.text(left, y - 16, `${index + 1}. ${TutorialFactory.getName(level)}`, {
+            fontSize: '16px',
+            fontFamily: PIXEL_FONT,
+            color: isCurrent ? '#ffd94d' : '#ffffff'
+        }).setOrigin(0, 0.5);
+        this.add.text(left, y + 16, TutorialFactory.getDescription(level), {
+            fontSize: '11px',
+            fontFamily: PIXEL_FONT,
+            color: '#aaaaaa'
+        }).setOrigin(0, 0.5);
+        this.add.text(x + ROW_WIDTH / 2 - 24, y, done ? this._t('CHALLENGE_COMPLETE', 'COMPLETE') : (isCurrent ? this._t('TUTORIAL_START', 'START') : ''), {
+            fontSize: '12px',
+            fontFamily: PIXEL_FONT,
+            color: done ? '#66ff66' : '#ffd94d'
+        }).setOrigin(1, 0.5);
+
+        box.on('pointerover', () => box.setFillStyle(0x222222, 0.7));
+        box.on('pointerout', () => box.setFillStyle(0x000000, 0.5));
+        box.on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('TutorialScene', { level: level.TypeName });
+        });
+    }
+}
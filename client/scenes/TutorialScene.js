@@ -0,0 +1,361 @@
+import LocalGameScene from './LocalGameScene.js';
+import GlobalAchievements from '../utils/AchievementsManager.js';
+import AlertManager from '../utils/AlertManager.js';
+import GlobalAudio from '../utils/AudioManager.js';
+import BoardFactory from '../utils/factories/BoardFactory.js';
+import CombatFactory from '../utils/factories/CombatFactory.js';
+import DefenceFactory from '../utils/factories/DefenceFactory.js';
+import MonsterFactory from '../utils/factories/MonsterFactory.js';
+import TutorialFactory from '../utils/factories/TutorialFactory.js';
+
+const MONSTER_TURN_DELAY = 800;
+const PROMPT_X = 600;
+const PROMPT_Y = 720;
+const PROMPT_WIDTH = 600;
+const PROMPT_HEIGHT = 160;
+const PROMPT_DEPTH = 1600;
+// Steps that wait on the match itself; until they're met the player rolls and ends turns freely
+const FREE_PLAY_TRIGGERS = ['Wave', 'Status', 'Win'];
+
+/**
+ * TutorialScene - Plays one scripted tutorial level (see TutorialFactory) on top of LocalGameScene
+ * The player defends with the level's lineup and rolls the level's Dice; the monster seat plays the level's
+ * Spawns instead of thinking. A prompt box shows one step at a time: rolling and ending the turn wait until
+ * the step asks for them, and Place steps only accept their own unit on their own tile.
+ *
+ * Placements and end-turns reach the script through the replay log hook, so a step is checked off by
+ * exactly what a replay would record. Winning marks the level done; finishing them all unlocks `tutorial`.
+ */
+export default class TutorialScene extends LocalGameScene {
+    constructor() {
+        super('TutorialScene');
+        this._level = null;
+        this._stepIndex = 0;
+        this._scriptedDice = [];
+        this._prompt = null;
+        this._targetMarker = null;
+        this._tutorialOver = false;
+    }
+
+    init(data = {}) {
+        this._level = TutorialFactory.getLevel(data.level) || TutorialFactory.getFirstUnfinished();
+        this._stepIndex = 0;
+        this._scriptedDice = (this._level?.Dice || []).slice();
+        this._prompt = null;
+        this._targetMarker = null;
+        this._tutorialOver = false;
+        const lineup = this._level?.Lineup || {};
+
+        super.init({
+            waves: this._level?.Waves || 1,
+            switchSides: false,
+            diceCount: 1,
+            names: [this._t('CHALLENGE_PLAYER', 'Player'), this._t('TUTORIAL_OPPONENT', 'Monsters')],
+            ai: [false, true],
+            difficulty: 'medium',
+            board: this._level?.Board,
+            challengeLoadouts: { 0: { normalLoadout: lineup.Normal, protoLoadout: lineup.Proto } },
+            seed: this._level?.TypeName
+        });
+        this._replay = null;
+        this._returnScene = 'TutorialMenuScene';
+    }
+
+    create() {
+        if (!this._level) {
+            this.scene.start('TutorialMenuScene');
+            return;
+        }
+
+        super.create();
+        (this._level.Units || []).forEach(entry => this._spawnLevelUnit(entry));
+        this.currentPlayer = this.players.findIndex(p => p.role === 'defence');
+        this.updatePlayerBar();
+        this._createPrompt();
+        this._showStep(0);
+    }
+
+    // Same setup as SandboxScene._spawnUnit, for the level's Units and Spawns
+    _spawnLevelUnit({ Unit: typeName, Row: row, Col: col }) {
+        if (!this.grid[row]?.[col] || this.grid[row][col].unit || BoardFactory.isBlocked(this, row, col)) return null;
+        const isDefence = typeName in DefenceFactory.defenceData;
+        if (!isDefence && !(typeName in MonsterFactory.monsterData)) return null;
+
+        const unit = isDefence ? DefenceFactory.create(typeName) : MonsterFactory.create(typeName);
+        if (!unit) return null;
+        CombatFactory.applyWaveScaling(unit, this.currentWave, !isDefence, this);
+        unit._owner = this.players.findIndex(p => p.role === (isDefence ? 'defence' : 'monster'));
+        this.currentPlayer = unit._owner;
+        return this._placeUnitOnGrid(unit, row, col) ? unit : null;
+    }
+
+    // ---------- Scripted match ----------
+
+    // The level's Dice come first; once they run out the match stream takes over
+    _rollDie(luckFactor = 1) {
+        if (!this.players[this.currentPlayer]?.isAI && this._scriptedDice.length > 0) {
+            return this._scriptedDice.shift();
+        }
+        return super._rollDie(luckFactor);
+    }
+
+    // The monster seat plays this wave's Spawns
+    async doAITurn() {
+        this._aiTurnInProgress = true;
+        try {
+            this.endTurnBtn.disableInteractive?.();
+        } catch (e) {}
+        try {
+            this.diceText.disableInteractive?.();
+        } catch (e) {}
+
+        await this._wait(MONSTER_TURN_DELAY);
+        if (this._sceneClosing) return;
+        (this._level.Spawns || [])
+            .filter(spawn => spawn.Wave === this.currentWave)
+            .forEach(spawn => this._spawnLevelUnit(spawn));
+        this._aiTurnInProgress = false;
+        await this.endTurn(true);
+    }
+
+    // A recall costs the next 6, which would throw off the scripted dice
+    _interceptRecall() {
+        this.infoText.setText(this._t('TUTORIAL_NO_RECALL', 'Recalling is turned off in the tutorial'));
+        return true;
+    }
+
+    startWave() {
+        super.startWave();
+        const step = this._currentStep();
+        if (this._prompt && step?.Trigger === 'Wave' && this.currentWave >= step.Wave) this._advanceStep();
+    }
+
+    update() {
+        super.update();
+        const step = this._currentStep();
+        if (!this._prompt || step?.Trigger !== 'Status') return;
+        if ((this.units || []).some(u => Array.isArray(u.status) && u.status.some(s => s.Type === step.Status))) this._advanceStep();
+    }
+
+    endGame(win) {
+        this.exitLocked = false;
+        this._tutorialOver = true;
+        this.updatePlayerBar();
+
+        if (!win) {
+            this._showResult(this._t('TUTORIAL_FAILED', 'The monsters broke through! Give it another try.'), [
+                [this._t('TUTORIAL_RETRY', 'Try again'), () => this._startLevel(this._level)],
+                [this._t('TUTORIAL_LEVELS', 'Levels'), () => this._leave('TutorialMenuScene')]
+            ]);
+            return;
+        }
+
+        TutorialFactory.markComplete(this._level.TypeName);
+        if (TutorialFactory.isAllComplete()) GlobalAchievements.maybeUnlock('tutorial');
+        const next = TutorialFactory.getNextLevel(this._level.TypeName);
+        if (next) {
+            this._showResult(this._t('TUTORIAL_LEVEL_DONE', 'Level complete!'), [
+                [this._t('TUTORIAL_NEXT_LEVEL', 'Next level >'), () => this._startLevel(next)],
+                [this._t('TUTORIAL_LEVELS', 'Levels'), () => this._leave('TutorialMenuScene')]
+            ]);
+        } else {
+            this._showResult(this._t('TUTORIAL_ALL_DONE', 'Tutorial complete! You are ready for a real match.'), [
+                [this._t('UI_LOCAL_PLAY', 'Local Play'), () => this._leave('LocalMenuScene')],
+                [this._t('TUTORIAL_LEVELS', 'Levels'), () => this._leave('TutorialMenuScene')]
+            ]);
+        }
+    }
+
+    _startLevel(level) {
+        this.cleanup();
+        this.scene.start('TutorialScene', { level: level.TypeName });
+    }
+
+    _leave(sceneKey) {
+        this.cleanup();
+        this.scene.start(sceneKey);
+    }
+
+    // ---------- Step gating ----------
+
+    _currentStep() {
+        if (this._tutorialOver) return null;
+        return this._level?.Steps?.[this._stepIndex] || null;
+    }
+
+    // A turn action goes through when the current step asks for it, waits on the match, or the script has run out
+    _stepAllows(trigger) {
+        if (this._tutorialOver) return false;
+        const step = this._currentStep();
+        return !step || step.Trigger === trigger || FREE_PLAY_TRIGGERS.includes(step.Trigger);
+    }
+
+    _matchesPlaceStep(step, typeName, row, col) {
+        if (step.Unit && typeName !== step.Unit) return false;
+        if (Number.isInteger(step.Row) && row !== step.Row) return false;
+        return !Number.isInteger(step.Col) || col === step.Col;
+    }
+
+    _handleRollDiceInput() {
+        if (!this._stepAllows('Roll') && !this._stepAllows('Reroll')) {
+            this._nudgePrompt();
+            return;
+        }
+        super._handleRollDiceInput();
+    }
+
+    // Roll steps move on once the dice have landed
+    async rollDice(force = false, luckFactor = 1, rerollPrototypeIndex = null) {
+        const previous = this.diceValues;
+        await super.rollDice(force, luckFactor, rerollPrototypeIndex);
+        if (this.diceValues === previous || this.players[this.currentPlayer]?.isAI) return;
+        const isReroll = rerollPrototypeIndex !== null && rerollPrototypeIndex !== undefined;
+        if (this._currentStep()?.Trigger === (isReroll ? 'Reroll' : 'Roll')) this._advanceStep();
+    }
+
+    async endTurn(force = false) {
+        if (!force && !this._stepAllows('EndTurn')) {
+            this._nudgePrompt();
+            return;
+        }
+        await super.endTurn(force);
+    }
+
+    _interceptHolderDrop(unit, row, col) {
+        const step = this._currentStep();
+        if (step?.Trigger !== 'Place' || this._matchesPlaceStep(step, unit?.typeName, row, col)) return false;
+        AlertManager.show(this, this._formatPlaceHint(step));
+        return true;
+    }
+
+    _recordReplayEvent(type, fields = {}) {
+        if (!this._prompt || this.players[this.currentPlayer]?.isAI) return;
+        const step = this._currentStep();
+        if (!step) return;
+        const isPlacement = type === 'place' || type === 'merge';
+        if (isPlacement && step.Trigger === 'Place' && this._matchesPlaceStep(step, fields.u, fields.r, fields.c)) {
+            this._advanceStep();
+        } else if (type === 'end' && step.Trigger === 'EndTurn') {
+            this._advanceStep();
+        }
+    }
+
+    setDiceTextState() {
+        super.setDiceTextState();
+        if (!this._stepAllows('Roll') && !this._stepAllows('Reroll')) this.diceText.setColor('#999999');
+    }
+
+    updateEndTurnButtonState() {
+        super.updateEndTurnButtonState();
+        if (this.endTurnBtn && !this._stepAllows('EndTurn')) this.endTurnBtn.setColor('#999999');
+    }
+
+    // ---------- Prompt ----------
+
+    _createPrompt() {
+        const y = Math.max(PROMPT_Y, (this.endTurnBtn?.y || 0) + PROMPT_HEIGHT / 2 + 40);
+        const left = PROMPT_X - PROMPT_WIDTH / 2 + 14;
+        const bg = this.add.rectangle(PROMPT_X, y, PROMPT_WIDTH, PROMPT_HEIGHT, 0x000000, 0.8)
+            .setStrokeStyle(2, 0xffd94d)
+            .setDepth(PROMPT_DEPTH);
+        const title = this.add.text(left, y - PROMPT_HEIGHT / 2 + 12, '', {
+            fontSize: 12,
+            color: '#ffd94d',
+            fontFamily: this.PIXEL_FONT
+        }).setDepth(PROMPT_DEPTH);
+        const text = this.add.text(left, y - PROMPT_HEIGHT / 2 + 38, '', {
+            fontSize: 12,
+            color: '#ffffff',
+            fontFamily: this.PIXEL_FONT,
+            lineSpacing: 6,
+            wordWrap: { width: PROMPT_WIDTH - 28 }
+        }).setDepth(PROMPT_DEPTH);
+        const nextBtn = this._makePromptButton(0, y, this._t('TUTORIAL_NEXT', 'Next >'), () => this._advanceStep());
+        this._prompt = { bg, title, text, nextBtn, buttons: [] };
+    }
+
+    // Prompt buttons line up from the bottom-right corner of the box
+    _makePromptButton(slot, y, label, onClick) {
+        return this.add.text(PROMPT_X + PROMPT_WIDTH / 2 - 14 - slot * 240, y + PROMPT_HEIGHT / 2 - 12, label, {
+            fontSize: 14,
+            color: '#66ff66',
+            fontFamily: this.PIXEL_FONT
+        }).setOrigin(1, 1).setDepth(PROMPT_DEPTH).setInteractive().on('pointerdown', () => {
+            GlobalAudio.playButton(this);
+            onClick();
+        });
+    }
+
+    _advanceStep() {
+        this._showStep(this._stepIndex + 1);
+    }
+
+    _showStep(index) {
+        const steps = this._level.Steps || [];
+        this._stepIndex = Math.min(index, steps.length);
+        const step = this._currentStep();
+        const prompt = this._prompt;
+
+        prompt.bg.setVisible(!!step);
+        prompt.title.setVisible(!!step).setText(this._fmt('TUTORIAL_STEP', '{0} - step {1}/{2}', TutorialFactory.getName(this._level), this._stepIndex + 1, steps.length));
+        prompt.text.setVisible(!!step).setText(step ? TutorialFactory.getStepText(this._level, this._stepIndex) : '');
+        prompt.nextBtn.setVisible(step?.Trigger === 'Continue');
+        this._drawTargetMarker(step);
+        this.setDiceTextState();
+        this.updateEndTurnButtonState();
+    }
+
+    _showResult(message, buttons) {
+        const prompt = this._prompt;
+        if (!prompt) return;
+        this._drawTargetMarker(null);
+        [prompt.bg, prompt.title, prompt.text].forEach(obj => obj.setVisible(true));
+        prompt.title.setText(TutorialFactory.getName(this._level));
+        prompt.text.setText(message);
+        prompt.nextBtn.setVisible(false);
+        prompt.buttons.forEach(btn => btn.destroy());
+        prompt.buttons = buttons.map(([label, onClick], i) => this._makePromptButton(i, prompt.bg.y, label, onClick));
+        this.setDiceTextState();
+        this.updateEndTurnButtonState();
+    }
+
+    _nudgePrompt() {
+        const bg = this._prompt?.bg;
+        if (!bg || !bg.visible) return;
+        this.tweens.add({ targets: bg, scaleX: 1.03, scaleY: 1.06, duration: 90, yoyo: true });
+    }
+
+    _formatPlaceHint(step) {
+        const unitData = DefenceFactory.defenceData[step.Unit] || MonsterFactory.monsterData[step.Unit];
+        const unitName = step.Unit
+            ? this._t(`UNIT_${step.Unit}`, unitData?.FullName || step.Unit)
+            : this._t('GENERIC_UNIT', 'Unit');
+        if (Number.isInteger(step.Row) && Number.isInteger(step.Col)) {
+            return this._fmt('TUTORIAL_PLACE_TILE', 'Drop the {0} on row {1}, column {2}', unitName, step.Row + 1, step.Col + 1);
+        }
+        if (Number.isInteger(step.Row)) return this._fmt('TUTORIAL_PLACE_ROW', 'Drop the {0} on row {1}', unitName, step.Row + 1);
+        return this._fmt('TUTORIAL_PLACE_UNIT', 'Place the {0} first', unitName);
+    }
+
+    // Pulsing outline on the tiles a Place step wants
+    _drawTargetMarker(step) {
+        if (this._targetMarker) {
+            this.tweens.killTweensOf(this._targetMarker);
+            this._targetMarker.destroy();
+            this._targetMarker = null;
+        }
+        if (step?.Trigger !== 'Place' || !Number.isInteger(step.Row)) return;
+
+        const role = this.players.find(p => !p.isAI)?.role || 'defence';
+        const cols = Number.isInteger(step.Col) ? [step.Col] : BoardFactory.getZoneColumns(this, role);
+        const half = this.TILE_SIZE / 2;
+        const marker = this.add.graphics().setDepth(5);
+        marker.lineStyle(4, 0xffd94d, 1);
+        cols.filter(col => BoardFactory.canPlace(this, role, step.Row, col)).forEach(col => {
+            const { x, y } = this.getTileXY(step.Row, col);
+            marker.strokeRect(x - half + 3, y - half + 3, this.TILE_SIZE - 6, this.TILE_SIZE - 6);
+        });
+        this.tweens.add({ targets: marker, alpha: 0.3, duration: 500, yoyo: true, repeat: -1 });
+        this._targetMarker = marker;
+    }
+}
@@ -0,0 +1,414 @@
+import GlobalAlerts from '../utils/AlertManager.js';
+import GlobalAudio from '../utils/AudioManager.js';
+import GlobalBackground from '../utils/BackgroundManager.js';
+import { DEBUG_MODE, DEV_BUILD } from '../utils/DebugManager.js';
+import ErrorHandler from '../utils/ErrorManager.js';
+import GlobalLocalization from '../utils/LocalizationManager.js';
+import SchemaValidator from '../utils/SchemaValidator.js';
+import UnitEditor, { KINDS } from '../utils/UnitEditor.js';
+import SpriteFactory from '../utils/factories/SpriteFactory.js';
+
+const PIXEL_FONT = '"Press Start 2P", cursive';
+const DRAFT_KEY = 'unitEditorDraft';
+const PREVIEW_X = 990;
+const PREVIEW_Y = 250;
+const PREVIEW_SCALE = 2;
+const PANEL_STYLE = `
+    width: 600px;
+    height: 800px;
+    overflow-y: auto;
+    padding: 10px;
+    box-sizing: border-box;
+    background: rgba(0,0,0,0.6);
+    color: #ffffff;
+    border: 1px solid rgba(255,255,255,0.3);
+    border-radius: 6px;
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+`;
+const INPUT_STYLE = 'width: 100%; box-sizing: border-box; background: rgba(0,0,0,0.5); color: #ffffff; border: 1px solid rgba(255,255,255,0.3); border-radius: 4px; padding: 2px 4px;';
+// Actor fields editable under Sprite: field, actor key, index into a pair
+const SPRITE_FIELDS = [
+    [{ name: 'ScaleX', input: 'number', required: true }, 'Scale', 0],
+    [{ name: 'ScaleY', input: 'number', required: true }, 'Scale', 1],
+    [{ name: 'Alpha', input: 'number', required: true }, 'Alpha', null],
+    [{ name: 'Angle', input: 'number', required: true }, 'Angle', null],
+    [{ name: 'Flip', input: 'enum', required: true, options: [0, 1, 2, 3] }, 'Flip', null],
+    [{ name: 'Colour', input: 'text', required: false }, 'Colour', null]
+];
+
+/**
+ * UnitEditorScene - Dev-only editor for new defences and monsters (DEV_BUILD)
+ * The form on the left is built from the gamedata schemas (see UnitEditor); every change re-checks the
+ * draft, re-registers it and redraws the preview. Units can be tried in a test match and exported as
+ * the files to commit: definition, sprite and the updated manifest.
+ */
+export default class UnitEditorScene extends Phaser.Scene {
+    constructor() {
+        super('UnitEditorScene');
+        this.draft = null;
+        this.previewState = 'idle';
+        this._validator = null;
+        this._inputErrors = {};
+        this._registered = null;
+        this._preview = null;
+        this._previewToken = 0;
+        this._panel = null;
+        this._testing = false;
+    }
+
+    create() {
+        try {
+          ErrorHandler.setScene(this);
+        } catch (e) {}
+        try {
+          GlobalBackground.registerScene(this, { key: 'bg', useImageIfAvailable: true });
+        } catch (e) {}
+        this._t = (key, fallback) => GlobalLocalization.t(key, fallback);
+        this._fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
+        this._inputErrors = {};
+        this._registered = null;
+        this._preview = null;
+        this._panel = null;
+        this._testing = false;
+        this.events.once('shutdown', () => {
+            if (!this._testing) UnitEditor.unregister();
+        });
+
+        const goBack = () => {
+            GlobalAudio.playButton(this);
+            this.scene.start('LocalMenuScene');
+        };
+        this.add.text(80, 900, this._t('UI_BACK', '<- BACK'), { fontSize: '16px', fontFamily: PIXEL_FONT, color: '#ff6666' })
+            .setOrigin(0.5)
+            .setInteractive()
+            .on('pointerdown', goBack);
+        this.input.keyboard.on('keydown-ESC', goBack);
+
+        if (!DEV_BUILD) {
+            this.add.text(640, 400, this._t('EDITOR_DEV_ONLY', 'The unit editor is only available in dev builds'), { fontSize: '16px', fontFamily: PIXEL_FONT }).setOrigin(0.5);
+            return;
+        }
+
+        this.add.text(PREVIEW_X, 60, this._t('EDITOR_TITLE', 'Unit Editor'), { fontSize: '28px', fontFamily: PIXEL_FONT }).setOrigin(0.5);
+        this.statusText = this.add.text(720, 560, '', { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#ff8888', wordWrap: { width: 540 } });
+        this._createStateButtons();
+        this._createActionButtons();
+
+        this.statusText.setText(this._t('EDITOR_LOADING', 'Loading schemas...'));
+        SchemaValidator.fetchAll()
+            .then((validator) => {
+                if (!this.sys.isActive()) return;
+                this._validator = validator;
+                const saved = this.registry.get(DRAFT_KEY);
+                this.draft = saved || UnitEditor.createDraft('defence');
+                this._renderForm();
+                this._applyDraft();
+            })
+            .catch((e) => {
+                ErrorHandler.logError(e);
+                if (this.sys.isActive()) this.statusText.setText(this._t('EDITOR_SCHEMAS_FAILED', 'Could not load the gamedata schemas'));
+            });
+    }
+
+    _createStateButtons() {
+        let x = 740;
+        Object.keys(SpriteFactory.UNIT_STATES).forEach((state) => {
+            const btn = this.add.text(x, 440, this._t(`EDITOR_STATE_${state.toUpperCase()}`, state), { fontSize: '12px', fontFamily: PIXEL_FONT, color: '#ffaa44' })
+                .setInteractive()
+                .on('pointerdown', () => {
+                    GlobalAudio.playButton(this);
+                    this.previewState = state;
+                    this._playPreviewState();
+                });
+            x += btn.width + 24;
+        });
+    }
+
+    _createActionButtons() {
+        const style = { fontSize: '16px', fontFamily: PIXEL_FONT, color: '#66ff66' };
+        this.add.text(740, 490, this._t('EDITOR_TEST', 'Test in Sandbox'), style)
+            .setInteractive()
+            .on('pointerdown', () => {
+                GlobalAudio.playButton(this);
+                this._startTest();
+            });
+        this.add.text(1030, 490, this._t('EDITOR_EXPORT', 'Export Files'), style)
+            .setInteractive()
+            .on('pointerdown', () => {
+                GlobalAudio.playButton(this);
+                this._export();
+            });
+    }
+
+    // ---------- Form ----------
+
+    _renderForm() {
+        const panel = document.createElement('div');
+        panel.style.cssText = PANEL_STYLE;
+        const validator = this._validator;
+        const { kind, definition, sprite } = this.draft;
+
+        // Kind and template start a new draft
+        const kindField = { name: 'Kind', input: 'enum', required: true, options: Object.keys(KINDS) };
+        panel.appendChild(this._row(this._t('EDITOR_KIND', 'Kind'), this._control(kindField, kind, (value) => this._newDraft(value, null))));
+        const templateField = { name: 'Template', input: 'enum', required: false, options: Object.keys(UnitEditor.getUnits(kind)).sort() };
+        panel.appendChild(this._row(this._t('EDITOR_TEMPLATE', 'Copy from'), this._control(templateField, '', (value) => this._newDraft(kind, value || null))));
+
+        panel.appendChild(this._heading(this._t('EDITOR_DEFINITION', 'Definition')));
+        for (const field of UnitEditor.getFields(validator, kind)) {
+            if (field.input === 'effects' || field.input === 'statuses') {
+                panel.appendChild(this._listBuilder(field, definition));
+                continue;
+            }
+            const control = this._control(field, definition[field.name], (value) => this._set(definition, field.name, value), field.name);
+            panel.appendChild(this._row(field.required ? `${field.name} *` : field.name, control, field.description));
+        }
+
+        panel.appendChild(this._heading(this._t('EDITOR_SPRITE', 'Sprite')));
+        const actor = sprite.actors[0];
+        const textureField = { name: 'Texture', input: 'enum', required: true, options: UnitEditor.getTextures(kind) };
+        panel.appendChild(this._row(textureField.name, this._control(textureField, actor.sprite, (value) => {
+            actor.sprite = value;
+            (sprite.stageOptions.SpriteInfo || []).forEach((info) => { info.SpriteInfo = value; });
+        })));
+        for (const [field, key, index] of SPRITE_FIELDS) {
+            const current = index === null ? actor[key] : actor[key][index];
+            panel.appendChild(this._row(field.name, this._control(field, current, (value) => {
+                if (index === null) this._set(actor, key, field.input === 'enum' ? Number(value) : value);
+                else actor[key][index] = value;
+            }, `sprite.${field.name}`)));
+        }
+        const lengthField = { name: 'StageLength', input: 'number', required: true };
+        panel.appendChild(this._row(lengthField.name, this._control(lengthField, sprite.stageOptions.StageLength, (value) => {
+            sprite.stageOptions.StageLength = value;
+        }, 'sprite.StageLength')));
+        const timelines = { name: 'timelines', input: 'json', required: true, nullable: true };
+        panel.appendChild(this._row(timelines.name, this._control(timelines, sprite.timelines, (value) => {
+            sprite.timelines = value;
+        }, 'sprite.timelines'), this._t('EDITOR_TIMELINES_HINT', 'null, or per-state keyframes (see SpriteFactory)')));
+
+        if (this._panel) this._panel.destroy();
+        this._panel = this.add.dom(330, 470, panel);
+    }
+
+    // SpecialEffects / StatusEffects: one block per entry with its type's parameters
+    _listBuilder(field, definition) {
+        const validator = this._validator;
+        const isEffects = field.input === 'effects';
+        const list = Array.isArray(definition[field.name]) ? definition[field.name] : (definition[field.name] = []);
+        const types = UnitEditor.getEnum(validator, isEffects ? 'specialEffectType' : 'statusEffectType');
+        const block = document.createElement('div');
+        block.appendChild(this._heading(field.name, 'h4'));
+
+        list.forEach((entry, i) => {
+            const box = document.createElement('div');
+            box.style.cssText = 'border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; padding: 4px; margin-bottom: 6px;';
+            const typeField = { name: 'Type', input: 'enum', required: true, options: types };
+            box.appendChild(this._row('Type', this._control(typeField, entry.Type, (value) => {
+                list[i] = { Type: value };
+                this._renderForm();
+            })));
+            const params = isEffects ? UnitEditor.getEffectFields(validator, entry.Type) : UnitEditor.getStatusFields(validator);
+            for (const param of params) {
+                const key = `${field.name}[${i}].${param.name}`;
+                box.appendChild(this._row(param.required ? `${param.name} *` : param.name,
+                    this._control(param, entry[param.name], (value) => this._set(entry, param.name, value), key), param.description));
+            }
+            const remove = this._button(this._t('EDITOR_REMOVE', 'Remove'), () => {
+                list.splice(i, 1);
+                Object.keys(this._inputErrors).filter(k => k.startsWith(`${field.name}[`)).forEach(k => delete this._inputErrors[k]);
+                this._renderForm();
+                this._applyDraft();
+            });
+            box.appendChild(remove);
+            block.appendChild(box);
+        });
+
+        block.appendChild(this._button(this._t('EDITOR_ADD', 'Add'), () => {
+            list.push({ Type: types[0] });
+            this._renderForm();
+            this._applyDraft();
+        }));
+        return block;
+    }
+
+    _heading(text, tag = 'h3') {
+        const el = document.createElement(tag);
+        el.textContent = text;
+        el.style.cssText = 'margin: 10px 0 6px; color: #ffaa44;';
+        return el;
+    }
+
+    _row(label, control, hint = '') {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: grid; grid-template-columns: 190px 1fr; gap: 8px; align-items: center; margin-bottom: 4px;';
+        const text = document.createElement('span');
+        text.textContent = label;
+        if (hint) text.title = hint;
+        row.appendChild(text);
+        row.appendChild(control);
+        return row;
+    }
+
+    _button(label, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.style.cssText = 'margin: 2px 0 6px; background: #333333; color: #ffffff; border: 1px solid #777777; border-radius: 4px; cursor: pointer;';
+        btn.addEventListener('click', () => {
+            GlobalAudio.playButton(this);
+            onClick();
+        });
+        return btn;
+    }
+
+    /**
+     * Input for one field. `commit` gets the parsed value; parse errors are kept under `errorKey`
+     * and block testing and export until fixed.
+     */
+    _control(field, value, commit, errorKey = null) {
+        let el;
+        if (field.input === 'enum') {
+            el = document.createElement('select');
+            const options = field.required ? field.options : ['', ...field.options];
+            for (const option of options) {
+                const opt = document.createElement('option');
+                opt.value = String(option);
+                opt.textContent = option === '' ? '-' : String(option);
+                el.appendChild(opt);
+            }
+            el.value = value === undefined || value === null ? '' : String(value);
+        } else if (field.input === 'bool') {
+            el = document.createElement('input');
+            el.type = 'checkbox';
+            el.checked = !!value;
+        } else {
+            el = document.createElement('input');
+            el.type = 'text';
+            el.value = UnitEditor.formatValue(field, value);
+        }
+        if (el.type !== 'checkbox') el.style.cssText = INPUT_STYLE;
+        el.addEventListener('change', () => {
+            try {
+                const raw = el.type === 'checkbox' ? el.checked : el.value;
+                commit(field.input === 'enum' ? (raw === '' ? undefined : raw) : UnitEditor.parseValue(field, raw));
+                if (errorKey) delete this._inputErrors[errorKey];
+                el.style.borderColor = '';
+            } catch (e) {
+                if (errorKey) this._inputErrors[errorKey] = e.message;
+                el.style.borderColor = '#ff6666';
+            }
+            this._applyDraft();
+        });
+        // Keep typing in the form from reaching the scene's key bindings
+        el.addEventListener('keydown', (event) => event.stopPropagation());
+        return el;
+    }
+
+    _set(target, key, value) {
+        if (value === undefined) delete target[key];
+        else target[key] = value;
+    }
+
+    _newDraft(kind, template) {
+        this.draft = UnitEditor.createDraft(kind, template);
+        this._inputErrors = {};
+        this._renderForm();
+        this._applyDraft();
+    }
+
+    // ---------- Draft ----------
+
+    // Check and register the draft, then redraw the preview and the error list
+    _applyDraft() {
+        this.registry.set(DRAFT_KEY, this.draft);
+        const inputErrors = Object.values(this._inputErrors);
+        const result = inputErrors.length ? { typeName: null, spriteName: null, errors: [] } : UnitEditor.register(this.draft, this._validator);
+        const errors = [...inputErrors, ...result.errors];
+        this._registered = errors.length ? null : result;
+
+        if (errors.length) {
+            const shown = errors.slice(0, 8).join('\n') + (errors.length > 8 ? `\n(+${errors.length - 8})` : '');
+            this.statusText.setColor('#ff8888').setText(shown);
+            return;
+        }
+        this.statusText.setColor('#88ff88').setText(this._fmt('EDITOR_VALID', '{0} is valid', this.draft.definition.TypeName));
+        this._refreshPreview(result.spriteName);
+    }
+
+    async _refreshPreview(spriteName) {
+        const token = ++this._previewToken;
+        const container = await SpriteFactory.createSprite(this, this.draft.kind, spriteName, PREVIEW_X, PREVIEW_Y);
+        if (!container) return;
+        if (token !== this._previewToken || !this.sys.isActive()) {
+            container.destroy();
+            return;
+        }
+        if (this._preview) this._preview.destroy();
+        this._preview = container.setScale(PREVIEW_SCALE);
+        this._playPreviewState();
+    }
+
+    _playPreviewState() {
+        if (!this._preview) return;
+        if (!SpriteFactory.setUnitState(this, this._preview, this.previewState)) {
+            SpriteFactory.stopUnitState(this._preview);
+            if (DEBUG_MODE) console.log(`[UnitEditorScene] Draft has no ${this.previewState} timelines`);
+        }
+    }
+
+    _startTest() {
+        if (!this._registered) {
+            GlobalAlerts.show(this, this._t('EDITOR_FIX_ERRORS', 'Fix the errors first'), 'error');
+            return;
+        }
+        this._testing = true;
+        this.scene.start('LocalGameScene', {
+            waves: 10,
+            switchSides: false,
+            diceCount: 1,
+            names: [this._t('EDITOR_TEST_DEFENCE', 'Defence'), this._t('EDITOR_TEST_MONSTERS', 'Monsters')],
+            ai: [false, false],
+            difficulty: 'medium',
+            testUnit: this._registered.typeName,
+            returnScene: 'UnitEditorScene'
+        });
+    }
+
+    async _export() {
+        if (!this._registered) {
+            GlobalAlerts.show(this, this._t('EDITOR_FIX_ERRORS', 'Fix the errors first'), 'error');
+            return;
+        }
+        const kind = KINDS[this.draft.kind];
+        let manifest = null;
+        try {
+            const res = await fetch(`assets/gamedata/${kind.definitions}/manifest.json`);
+            if (res.ok) manifest = await res.json();
+        } catch (e) {
+            ErrorHandler.logError(e);
+        }
+        const files = UnitEditor.buildExport(this.draft, manifest);
+        files.forEach(file => this._download(file.name, file.text));
+        if (!this.sys.isActive()) return;
+        this.statusText.setColor('#88ff88').setText(
+            `${this._t('EDITOR_EXPORTED', 'Exported. Save into client/assets/gamedata:')}\n${files.map(f => f.path).join('\n')}`
+        );
+    }
+
+    _download(name, text) {
+        try {
+            const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        } catch (e) {
+            ErrorHandler.logError(e);
+        }
+    }
+}
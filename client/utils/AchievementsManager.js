@@ -4,6 +4,7 @@ const STORAGE_KEY = 'protodice_achievements';
 
 export const ACHIEVEMENT_DEFS = [
   { key: 'firstPlay', titleKey: 'ACH_FIRSTPLAY_TITLE', descKey: 'ACH_FIRSTPLAY_DESC', title: "I'm New to This", desc: 'Play Protodice for the first time.' },
+  { key: 'tutorial', titleKey: 'ACH_TUTORIAL_TITLE', descKey: 'ACH_TUTORIAL_DESC', title: 'Boot Camp', desc: 'Finish every tutorial level.' },
   { key: 'waves100', titleKey: 'ACH_WAVES_100_TITLE', descKey: 'ACH_WAVES_100_DESC', title: 'Warm-Up Waves', desc: 'Progress 100 waves total.' },
   { key: 'waves500', titleKey: 'ACH_WAVES_500_TITLE', descKey: 'ACH_WAVES_500_DESC', title: 'Battle-Seasoned', desc: 'Progress 500 waves total.' },
   { key: 'waves2500', titleKey: 'ACH_WAVES_2500_TITLE', descKey: 'ACH_WAVES_2500_DESC', title: 'Endless War', desc: 'Progress 2,500 waves total.' },
@@ -118,6 +119,7 @@ class AchievementsManager {
   }
 
   static _load() {
+    if (typeof localStorage === 'undefined') return null;
     try {
       const raw = localStorage.getItem(STORAGE_KEY);
       if (!raw) return null;
@@ -129,6 +131,7 @@ class AchievementsManager {
   }
 
   static _save() {
+    if (typeof localStorage === 'undefined') return;
     try {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(this._data));
     } catch (e) {
@@ -0,0 +1,120 @@
+/**
+ * EffectRegistry - Lifecycle handlers for special effects, keyed by effect Type
+ * Each effect type registers handlers for the hooks it cares about; SpecialEffectFactory's entry points
+ * (handleOnPlace, applyOnHitEffects, handleOnDeath, ...) dispatch to them for every effect on the unit:
+ *
+ *   onPlace      unit placed on the board
+ *   onAttack     unit is about to resolve an attack        context: { target }
+ *   onHit        unit's attack landed                      context: { target, base, createPuddle, placePuddleAt }
+ *   onDamaged    unit took damage from an attack           context: { attacker, damage }
+ *   onDeath      unit died (before it leaves the board)
+ *   onWaveStart  a new wave started                        context: { wave }
+ *   onRemove     unit is leaving the board (or recalled)   context: { recalled }
+ *
+ * Combat queries; handlers answer by filling in the context (the first handler to answer wins):
+ *
+ *   onVolley         shots per ammo and the delay between them   context: { volley }
+ *   onSelectTargets  one target per shot                         context: { enemies, shots, targets }
+ *   onCombatTurn     unit's turn (after firing for defences,     context: { acted }
+ *                    before attacking/moving for monsters)
+ *   onDealDamage     unit's hit is being sized                   context: { attacker, damage, piercing, ignoresArmor, reduced }
+ *   onTakeDamage     unit is about to take that hit              (same context as onDealDamage)
+ *   onDefeated       unit reached 0 health, before onDeath       context: { revived }
+ *
+ * Handlers are called as `handler(unit, effect, scene, context)`. Types with no handlers register as `{}`
+ * so they still count as known.
+ *
+ * Mod packs can't ship code, so they register composite effects instead: a named list of existing
+ * effects that `expand` inlines into a unit's SpecialEffects when the unit is created.
+ * This module imports no factories, so any of them (and the server) can import it.
+ */
+
+import { DEBUG_MODE } from './DebugManager.js';
+
+export const EFFECT_HOOKS = Object.freeze([
+    'onPlace', 'onAttack', 'onHit', 'onDamaged', 'onDeath', 'onWaveStart', 'onRemove',
+    'onVolley', 'onSelectTargets', 'onCombatTurn', 'onDealDamage', 'onTakeDamage', 'onDefeated'
+]);
+
+export default class EffectRegistry {
+    // Effect Type -> { hook: handler }
+    static handlers = {};
+
+    // Composite effect Type -> member effects
+    static composites = {};
+
+    /**
+     * Register (or replace) the handlers for an effect type.
+     * @param {string} type - Effect Type as written in the definitions
+     * @param {Object<string, Function>} [hooks] - Handlers keyed by EFFECT_HOOKS names
+     */
+    static register(type, hooks = {}) {
+        if (!type) throw new Error('Effect type is required');
+        for (const [hook, handler] of Object.entries(hooks)) {
+            if (!EFFECT_HOOKS.includes(hook)) throw new Error(`Unknown effect hook "${hook}" for ${type}`);
+            if (typeof handler !== 'function') throw new Error(`Effect hook ${type}.${hook} must be a function`);
+        }
+        this.handlers[type] = { ...hooks };
+    }
+
+    /**
+     * Register a composite effect that expands into existing effects.
+     * @param {string} type - Composite Type (mod packs use "<Id>:<TypeName>")
+     * @param {Object[]} effects - Member effects; composites can't nest
+     */
+    static registerComposite(type, effects) {
+        if (!type) throw new Error('Effect type is required');
+        if (!Array.isArray(effects) || !effects.length) throw new Error(`Composite effect ${type} has no effects`);
+        this.composites[type] = effects.slice();
+    }
+
+    /**
+     * @param {string} type
+     */
+    static unregister(type) {
+        delete this.handlers[type];
+        delete this.composites[type];
+    }
+
+    /**
+     * @param {string} type
+     * @returns {boolean} True for registered effect and composite types
+     */
+    static has(type) {
+        return !!(this.handlers[type] || this.composites[type]);
+    }
+
+    /**
+     * Replace composite entries with their member effects. Returns the same array when nothing expands,
+     * so built-in units keep sharing their definition's effect list.
+     * @param {Object[]} effects - A definition's SpecialEffects
+     * @returns {Object[]}
+     */
+    static expand(effects) {
+        if (!Array.isArray(effects)) return [];
+        if (!effects.some(e => e && this.composites[e.Type])) return effects;
+        return effects.flatMap(e => (e && this.composites[e.Type]) ? this.composites[e.Type] : [e]);
+    }
+
+    /**
+     * Run a hook for every special effect on a unit, in definition order.
+     * A failing handler is logged and skipped so one broken effect can't stall combat.
+     * @param {string} hook - One of EFFECT_HOOKS
+     * @param {Object} unit - Unit whose effects fire
+     * @param {Object|null} scene - Active scene
+     * @param {Object} [context] - Hook-specific data (see the module comment)
+     * @param {Object[]} [effects] - Only run these of the unit's effects (e.g. ones a level-up just added)
+     */
+    static dispatch(hook, unit, scene, context = {}, effects = unit?.specialEffects) {
+        if (!unit || !Array.isArray(effects)) return;
+        for (const effect of effects.slice()) {
+            const handler = effect && this.handlers[effect.Type]?.[hook];
+            if (!handler) continue;
+            try {
+                handler(unit, effect, scene, context);
+            } catch (e) {
+                if (DEBUG_MODE) console.warn(`[EffectRegistry] ${effect.Type}.${hook} failed`, e);
+            }
+        }
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * HeadlessScene - Plain-state stand-in for a game scene
+ * Holds the board, units, holders, puddles and scores that CombatFactory and the effect factories
+ * read and write, with no renderer, audio or timers. `_wait` resolves immediately, so Node can
+ * resolve thousands of waves (server-authoritative matches, balance runs, tests).
+ *
+ * It deliberately exposes no `add`, `tweens`, `time`, `sound` or `textures`; the factories check
+ * `CombatFactory.isHeadless(scene)` before spawning any visuals. Unit and puddle definitions must be
+ * loaded into the factories before use (the server does this with `loadMatchDefinitions`).
+ */
+
+import { DEBUG_MODE } from './DebugManager.js';
+import RandomManager from './RandomManager.js';
+import BoardFactory from './factories/BoardFactory.js';
+import CombatFactory from './factories/CombatFactory.js';
+import DefenceFactory from './factories/DefenceFactory.js';
+import EndlessFactory from './factories/EndlessFactory.js';
+import MonsterFactory from './factories/MonsterFactory.js';
+import PuddleFactory from './factories/PuddleFactory.js';
+import SpecialEffectFactory from './factories/SpecialEffectFactory.js';
+import StatusEffectFactory from './factories/StatusEffectFactory.js';
+
+export default class HeadlessScene {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.rows=5] - Board rows
+     * @param {number} [options.cols=9] - Board columns
+     * @param {number} [options.waves=20] - Waves the defence must survive
+     * @param {boolean} [options.switchSides=false] - Player 1 plays monsters
+     * @param {string|number} [options.seed] - RNG seed; a random one is picked when omitted
+     * @param {number} [options.historyLimit=200] - Kept history entries (0 disables the log)
+     * @param {Object} [options.board] - Board definition; its Rows/Cols win over rows/cols
+     */
+    constructor({ rows = 5, cols = 9, waves = 20, switchSides = false, seed = null, historyLimit = 200, board = null } = {}) {
+        this.headless = true;
+        if (board && Number.isInteger(board.Rows) && Number.isInteger(board.Cols)) {
+            rows = board.Rows;
+            cols = board.Cols;
+        }
+
+        this.GRID_ROWS = rows;
+        this.GRID_COLS = cols;
+        this.TILE_SIZE = 60;
+        this.UNIT_Y_OFFSET = 0;
+        this.grid = Array.from({ length: rows }, () =>
+            Array.from({ length: cols }, () => ({ unit: null, sprite: null }))
+        );
+        BoardFactory.applyBoardToGrid(this, board);
+        this.puddles = [];
+        this.forceFields = {};
+        this.units = [];
+        this.holders = [];
+
+        this.waves = waves;
+        this.currentWave = 1;
+        // Endless rules: scaling curve (null = default) and active modifiers (see EndlessFactory)
+        this.waveScaling = null;
+        this.endlessModifiers = [];
+        this.switchSides = !!switchSides;
+        this.players = [0, 1].map(i => {
+            const isDefence = this.switchSides ? i === 1 : i === 0;
+            return {
+                name: `Player ${i + 1}`,
+                isAI: false,
+                role: isDefence ? 'defence' : 'monster',
+                normalLoadout: [],
+                protoLoadout: []
+            };
+        });
+        this.currentPlayer = this._getDefenderIndex();
+        this.scores = [0, 0];
+        this.defeatedMonsters = 0;
+        this.destroyedDefences = 0;
+
+        this._matchSeed = (seed !== null && seed !== undefined && seed !== '')
+            ? String(seed)
+            : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        this._rng = RandomManager.createMatchRandom(this._matchSeed);
+        this._movementResolutionTick = 0;
+        this._nextUnitId = 1;
+        this._damageByUnit = {};
+        this._historyLog = [];
+        this._historyLimit = historyLimit;
+    }
+
+    // ---------- SCENE SURFACE USED BY THE FACTORIES ----------
+
+    getTileXY(row, col) {
+        return { x: col * this.TILE_SIZE, y: row * this.TILE_SIZE };
+    }
+
+    _wait() {
+        return Promise.resolve();
+    }
+
+    _t(key, fallback) {
+        return fallback;
+    }
+
+    addHistoryEntry(text) {
+        if (!text || !this._historyLimit) return;
+        this._historyLog.push(String(text));
+        if (this._historyLog.length > this._historyLimit) this._historyLog.shift();
+    }
+
+    _resolveOwnerIndexForUnit(unit) {
+        if (!unit) return null;
+        if (Number.isInteger(unit._owner)) return unit._owner;
+        const role = (unit.typeName in DefenceFactory.defenceData) ? 'defence' : 'monster';
+        const idx = this.players.findIndex(p => p.role === role);
+        return idx >= 0 ? idx : null;
+    }
+
+    _ensureUnitId(unit) {
+        if (!unit._netId) unit._netId = `u${this._nextUnitId++}`;
+        return unit._netId;
+    }
+
+    _trackDamage(attacker, amount) {
+        if (!attacker) return;
+        const dmg = Math.max(0, Math.round(amount || 0));
+        if (dmg <= 0) return;
+        const ownerIndex = this._resolveOwnerIndexForUnit(attacker);
+        if (!Number.isInteger(ownerIndex)) return;
+        const id = this._ensureUnitId(attacker);
+        const entry = this._damageByUnit[id] || { owner: ownerIndex, type: attacker.typeName, name: attacker.fullName || attacker.typeName, damage: 0 };
+        entry.damage += dmg;
+        this._damageByUnit[id] = entry;
+    }
+
+    _removeUnitCompletely(unit) {
+        if (!unit || unit._fullyRemoved) return;
+        if (!unit._deathLifecycleHandled) {
+            unit._deathLifecycleHandled = true;
+            try { SpecialEffectFactory.handleOnDeath(unit, this); } catch (e) {}
+            try { SpecialEffectFactory.handleOnRemove(unit, this); } catch (e) {}
+        }
+
+        const pos = unit.position;
+        if (pos && this.grid[pos.row]?.[pos.col]?.unit === unit) {
+            this.grid[pos.row][pos.col].unit = null;
+        }
+        if (pos && this.forceFields) {
+            const entry = this.forceFields[pos.col];
+            if (Array.isArray(entry)) {
+                this.forceFields[pos.col] = entry.filter(x => x !== unit);
+                if (this.forceFields[pos.col].length === 0) delete this.forceFields[pos.col];
+            } else if (entry === unit) {
+                delete this.forceFields[pos.col];
+            }
+        }
+
+        this.holders = this.holders.filter(h => h !== unit);
+        this.units = this.units.filter(u => u !== unit);
+        this.addHistoryEntry(`${unit.fullName || unit.typeName} was ${unit.currentHealth <= 0 ? 'defeated' : 'removed'}`);
+        delete unit.position;
+        unit._fullyRemoved = true;
+    }
+
+    // ---------- QUERIES ----------
+
+    _getDefenderIndex() {
+        const idx = this.players.findIndex(p => p.role === 'defence');
+        return idx >= 0 ? idx : 0;
+    }
+
+    checkWin() {
+        return this.currentWave > this.waves;
+    }
+
+    checkLose() {
+        return this.units.some(u => u.typeName in MonsterFactory.monsterData && u.position && u.position.col <= 0);
+    }
+
+    getMvpByPlayer() {
+        const result = this.players.map(() => ({ unitName: 'None', typeName: null, damage: 0 }));
+        for (const entry of Object.values(this._damageByUnit)) {
+            if (!entry || !result[entry.owner]) continue;
+            if (entry.damage > result[entry.owner].damage) {
+                result[entry.owner] = { unitName: entry.name, typeName: entry.type || null, damage: entry.damage };
+            }
+        }
+        return result;
+    }
+
+    // ---------- BOARD ----------
+
+    /**
+     * Put an existing unit (usually a holder) on an empty cell and run its on-place effects.
+     * @returns {boolean} False when the cell is off the board, blocked or occupied
+     */
+    _placeUnitOnGrid(unit, row, col) {
+        const cell = this.grid[row]?.[col];
+        if (!unit || !cell || cell.unit || cell.blocked) return false;
+
+        const holderIdx = this.holders.indexOf(unit);
+        if (holderIdx !== -1) this.holders.splice(holderIdx, 1);
+        unit.position = { row, col };
+        if (!Number.isFinite(unit._placedWave)) unit._placedWave = this.currentWave;
+        this._ensureUnitId(unit);
+        cell.unit = unit;
+        this.units.push(unit);
+
+        SpecialEffectFactory.applyDamageBoostsToUnit(unit, this);
+        BoardFactory.applyTileModifiers(unit, this);
+        SpecialEffectFactory.handleOnPlace(unit, this);
+        return true;
+    }
+
+    /**
+     * Create a unit straight onto the board, scaled for the current wave.
+     * Placement zones are not enforced, so tests can set up any position.
+     * @param {string} typeName - Defence or monster type
+     * @param {number} row - Target row
+     * @param {number} col - Target column
+     * @returns {Object|null} The placed unit
+     */
+    spawnUnit(typeName, row, col) {
+        const isDefence = typeName in DefenceFactory.defenceData;
+        if (!isDefence && !(typeName in MonsterFactory.monsterData)) return null;
+        if (!this.grid[row]?.[col] || this.grid[row][col].unit) return null;
+
+        const unit = isDefence ? DefenceFactory.create(typeName) : MonsterFactory.create(typeName);
+        if (!unit) return null;
+        CombatFactory.applyWaveScaling(unit, this.currentWave, !isDefence, this);
+        EndlessFactory.applyModifiers(this, unit);
+        unit._owner = this.players.findIndex(p => p.role === (isDefence ? 'defence' : 'monster'));
+        return this._placeUnitOnGrid(unit, row, col) ? unit : null;
+    }
+
+    // ---------- WAVES ----------
+
+    startWave() {
+        this.currentPlayer = this._getDefenderIndex();
+        this.addHistoryEntry(`Wave ${this.currentWave} started`);
+        try {
+            StatusEffectFactory.tickStatusEffectsAtWaveStart(this);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[HeadlessScene] tickStatusEffectsAtWaveStart failed', e);
+        }
+        try {
+            PuddleFactory.tickPuddles(this);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[HeadlessScene] tickPuddles failed', e);
+        }
+        try {
+            SpecialEffectFactory.handleWaveStart(this);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[HeadlessScene] handleWaveStart failed', e);
+        }
+        this.startTurn();
+    }
+
+    startTurn() {}
+
+    /**
+     * One combat round plus the death lifecycle, mirroring LocalGameScene.endTurn:
+     * revive or remove the dead, award kill points, then tick reloads and lifespans.
+     */
+    async resolveCombatRound() {
+        await CombatFactory.resolveCombat(this);
+
+        const deadUnits = this.units.filter(u => u.currentHealth <= 0);
+        for (const u of deadUnits) {
+            if (!u._lastPosition && u.position) u._lastPosition = { ...u.position };
+            if (SpecialEffectFactory.reviveUnit(u, this)) continue;
+            this._removeUnitCompletely(u);
+
+            if (u._defeatCounted) continue;
+            u._defeatCounted = true;
+            const isMonster = u.typeName in MonsterFactory.monsterData;
+            const scoringRole = isMonster ? 'defence' : 'monster';
+            if (isMonster) this.defeatedMonsters++;
+            else this.destroyedDefences++;
+            // In team matches every player on the scoring side gets the points
+            this.players.forEach((p, i) => {
+                if (p.role === scoringRole) this.scores[i] = (this.scores[i] || 0) + 2;
+            });
+        }
+        this.units = this.units.filter(u => u.currentHealth > 0);
+
+        CombatFactory.tickReloads(this);
+        CombatFactory.tickLifespans(this);
+    }
+
+    /**
+     * Resolve waves back to back without any turn flow.
+     * @param {number} count - Maximum waves to resolve
+     * @param {Object} [options]
+     * @param {Function} [options.beforeWave] - `(scene, wave) => void|Promise`, e.g. to spawn units
+     * @returns {Promise<{win: boolean|null, finalWave: number, defeatedMonsters: number, destroyedDefences: number, scores: number[]}>}
+     *   `win` stays null when `count` ran out before the match was decided
+     */
+    async runWaves(count, { beforeWave = null } = {}) {
+        let win = null;
+        for (let i = 0; i < count; i++) {
+            if (typeof beforeWave === 'function') await beforeWave(this, this.currentWave);
+            await this.resolveCombatRound();
+            if (this.checkLose()) {
+                win = false;
+                break;
+            }
+            this.currentWave++;
+            if (this.checkWin()) {
+                win = true;
+                break;
+            }
+            this.startWave();
+        }
+        return {
+            win,
+            finalWave: this.currentWave,
+            defeatedMonsters: this.defeatedMonsters,
+            destroyedDefences: this.destroyedDefences,
+            scores: this.scores.slice()
+        };
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * InventoryProtocol - Shop prices, starter units and match rewards for the online inventory
+ * Shared by OnlineLoadoutScene and the server's InventoryManager, so it must stay free of browser APIs.
+ * The server is the only one that applies them; the client uses them for display.
+ */
+
+export const LOADOUT_SIZE = 5;
+
+// Inventory loadout slots, in the order the loadout scene lists them
+export const LOADOUT_SLOTS = Object.freeze(['defenceNormal', 'defenceProto', 'monsterNormal', 'monsterProto']);
+
+export const UNIT_PRICES = Object.freeze({
+    Common: 100,
+    Uncommon: 300,
+    Rare: 750,
+    Epic: 2500,
+    Legendary: 50000
+});
+
+export const DEFAULT_LOADOUTS = Object.freeze({
+    defenceNormal: Object.freeze(['SniperTower', 'Cannon', 'Mortar', 'MachineGun', 'Flamethrower']),
+    defenceProto: Object.freeze(['BoomCannon', 'LazorBeam', 'ShockBlaster', 'AcidShooter', 'Microwavr']),
+    monsterNormal: Object.freeze(['Goblin', 'Orc', 'Troll', 'Bat', 'FireImp']),
+    monsterProto: Object.freeze(['Golem', 'Harpy', 'IceLizard', 'Demon', 'ElectroMage'])
+});
+
+// Every new inventory owns the units of the default loadouts
+export const STARTER_DEFENCES = Object.freeze([...DEFAULT_LOADOUTS.defenceNormal, ...DEFAULT_LOADOUTS.defenceProto]);
+export const STARTER_MONSTERS = Object.freeze([...DEFAULT_LOADOUTS.monsterNormal, ...DEFAULT_LOADOUTS.monsterProto]);
+
+/**
+ * Shop price of a unit definition.
+ * @param {Object} def - Defence or monster definition
+ * @returns {number} 0 when the unit has no known rarity and can't be bought
+ */
+export function getUnitPrice(def) {
+    return UNIT_PRICES[def?.Rarity] || 0;
+}
+
+/**
+ * Tokens every player still in an online match earns when it ends, win or lose.
+ * @param {{defeatedMonsters?: number, finalWave?: number}} result
+ * @returns {number}
+ */
+export function getMatchTokenReward({ defeatedMonsters = 0, finalWave = 0 } = {}) {
+    const reward = (Number(defeatedMonsters) || 0) + (Number(finalWave) || 0) * 2;
+    return Math.max(0, Math.floor(reward));
+}
@@ -0,0 +1,104 @@
+/**
+ * MatchProtocol - Turn-action messages exchanged with the server during online matches
+ * Shared by OnlineGameScene and the server's LobbyManager, so it must stay free of browser APIs.
+ *
+ * Client -> server: one event per action type, payload `{ v, code, clientSeq, ...fields }`.
+ * Server -> room:   `action:accepted` with a per-match sequence number and the resulting state.
+ * Server -> sender: `action:rejected` with the reason the action was refused.
+ */
+
+export const MATCH_PROTOCOL_VERSION = 1;
+
+export const MATCH_ACTIONS = Object.freeze({
+    ROLL: 'action:roll',
+    REROLL_PROTO: 'action:reroll-proto',
+    PLACE: 'action:place',
+    RECALL: 'action:recall',
+    END_TURN: 'action:end-turn'
+});
+
+export const MATCH_EVENTS = Object.freeze({
+    ACCEPTED: 'action:accepted',
+    REJECTED: 'action:rejected'
+});
+
+// Lobby teams for 4-player matches; a 2-player match seats player 1 as blue and player 2 as red
+export const MATCH_TEAMS = Object.freeze(['blue', 'red']);
+
+// Sides a player can ask for in the ranked queue
+export const QUEUE_SIDES = Object.freeze(['defence', 'monster', 'either']);
+
+/**
+ * Side a team plays. Blue defends unless the lobby switched sides.
+ * @param {string} team - One of MATCH_TEAMS
+ * @param {boolean} [switchSides=false]
+ * @returns {'defence'|'monster'}
+ */
+export function getTeamRole(team, switchSides = false) {
+    return (team === 'blue') !== !!switchSides ? 'defence' : 'monster';
+}
+
+/**
+ * Team of every seat. Only 4-player matches use the requested lobby teams, and only when they split
+ * the seats evenly; anything else alternates blue/red so both sides are always filled.
+ * @param {Array<string>} requested - Lobby team per seat
+ * @param {number} playerCount - 2 or 4
+ * @returns {string[]}
+ */
+export function resolveSeatTeams(requested, playerCount) {
+    const teams = Array.isArray(requested) ? requested.slice(0, playerCount) : [];
+    const balanced = playerCount > 2
+        && teams.length === playerCount
+        && teams.every(team => MATCH_TEAMS.includes(team))
+        && teams.filter(team => team === MATCH_TEAMS[0]).length === playerCount / 2;
+    return balanced ? teams : Array.from({ length: playerCount }, (_, i) => MATCH_TEAMS[i % 2]);
+}
+
+const isIndexInRange = (value, size) => Number.isInteger(value) && value >= 0 && value < size;
+
+/**
+ * Check an incoming action against the protocol version and the lobby config.
+ * Game rules (turn order, zones, holder caps) are left to the match itself.
+ * @param {string} type - One of MATCH_ACTIONS
+ * @param {Object} payload - Raw socket payload
+ * @param {Object} config - Normalized lobby config ({ boardRows, boardCols, diceCount })
+ * @returns {{ok: boolean, reason?: string, action?: Object}} Normalized action when valid
+ */
+export function validateMatchAction(type, payload, config = {}) {
+    if (!Object.values(MATCH_ACTIONS).includes(type)) return { ok: false, reason: 'unknown_action' };
+    if (!payload || typeof payload !== 'object') return { ok: false, reason: 'invalid_payload' };
+    if (payload.v !== MATCH_PROTOCOL_VERSION) return { ok: false, reason: 'unsupported_version' };
+
+    const rows = Number(config.boardRows) || 5;
+    const cols = Number(config.boardCols) || 9;
+    const diceCount = Number(config.diceCount) || 1;
+
+    switch (type) {
+        case MATCH_ACTIONS.ROLL:
+        case MATCH_ACTIONS.END_TURN:
+            return { ok: true, action: {} };
+
+        case MATCH_ACTIONS.REROLL_PROTO: {
+            if (payload.indices === undefined || payload.indices === null) return { ok: true, action: { indices: null } };
+            if (!Array.isArray(payload.indices) || payload.indices.length === 0) return { ok: false, reason: 'invalid_die' };
+            if (payload.indices.length > diceCount) return { ok: false, reason: 'invalid_die' };
+            if (!payload.indices.every(i => isIndexInRange(i, diceCount))) return { ok: false, reason: 'invalid_die' };
+            if (new Set(payload.indices).size !== payload.indices.length) return { ok: false, reason: 'invalid_die' };
+            return { ok: true, action: { indices: payload.indices.slice() } };
+        }
+
+        case MATCH_ACTIONS.PLACE: {
+            if (typeof payload.holderId !== 'string' || !payload.holderId) return { ok: false, reason: 'unknown_holder' };
+            if (!isIndexInRange(payload.row, rows) || !isIndexInRange(payload.col, cols)) return { ok: false, reason: 'out_of_bounds' };
+            return { ok: true, action: { holderId: payload.holderId, row: payload.row, col: payload.col } };
+        }
+
+        case MATCH_ACTIONS.RECALL: {
+            if (!isIndexInRange(payload.row, rows) || !isIndexInRange(payload.col, cols)) return { ok: false, reason: 'out_of_bounds' };
+            return { ok: true, action: { row: payload.row, col: payload.col } };
+        }
+
+        default:
+            return { ok: false, reason: 'unknown_action' };
+    }
+}
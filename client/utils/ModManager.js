@@ -0,0 +1,232 @@
+import ModPack, { MOD_MANIFEST } from './ModPack.js';
+import SchemaValidator from './SchemaValidator.js';
+import GlobalSettings from './SettingsManager.js';
+import { DEBUG_MODE } from './DebugManager.js';
+
+const DB_NAME = 'protodice_mods';
+const DB_VERSION = 1;
+const STORE = 'packs';
+const PACK_FILE_PATTERN = /\.(json|defence|monster|puddle)$/i;
+const DEFINITION_PATTERN = /^(Defence|Monster|Puddle)Definitions\//;
+
+/**
+ * ModManager - Installed mod packs (IndexedDB) and which of them are active for the next match
+ * Records are stored as raw file text and re-parsed on activation, so a pack is always checked
+ * against the built-in definitions of the current build.
+ */
+class ModManager {
+  static _db = null;
+  static _records = {};
+  static _parsed = {};
+  static _validator = null;
+  static _ready = null;
+
+  // Open the database, load the schemas and activate the packs saved in settings.
+  static init(scene) {
+    if (!this._ready) {
+      this._ready = (async () => {
+        try {
+          this._validator = await SchemaValidator.fetchAll();
+          this._db = await this._openDb();
+          const records = await this._request(this._store('readonly').getAll());
+          for (const record of (records || [])) this._records[record.id] = record;
+        } catch (e) {
+          console.warn('[ModManager] mod packs unavailable', e);
+        }
+        const saved = GlobalSettings.get(scene).modPacks;
+        this.activate(Array.isArray(saved) ? saved : [], scene);
+      })();
+    }
+    return this._ready;
+  }
+
+  static isAvailable() {
+    return !!(this._db && this._validator);
+  }
+
+  // Installed packs, newest import first
+  static getInstalled() {
+    return Object.values(this._records)
+      .map(r => ({ id: r.id, name: r.name, version: r.version, author: r.author, hash: r.hash, importedAt: r.importedAt }))
+      .sort((a, b) => (b.importedAt || 0) - (a.importedAt || 0));
+  }
+
+  static isActive(id) {
+    return !!ModPack.registered[id];
+  }
+
+  // [{ id, name, hash }] for the packs currently registered in the factories
+  static getActive() {
+    return ModPack.getRegistered();
+  }
+
+  /**
+   * Register exactly the given packs (unknown or broken ids are skipped) and unregister the rest.
+   * Pass a scene to remember the selection for the next session.
+   * @param {string[]} ids
+   * @param {Phaser.Scene} [scene]
+   * @returns {string[]} Ids that are now active
+   */
+  static activate(ids, scene = null) {
+    const wanted = new Set((ids || []).filter(id => this._records[id]));
+    for (const id of Object.keys(ModPack.registered)) {
+      if (!wanted.has(id)) ModPack.unregister(id);
+    }
+    for (const id of wanted) {
+      const pack = this._parse(id);
+      if (!pack) {
+        wanted.delete(id);
+        continue;
+      }
+      if (ModPack.registered[id]?.hash !== pack.hash) ModPack.register(pack);
+    }
+    const active = [...wanted];
+    if (scene) GlobalSettings.set(scene, 'modPacks', active);
+    return active;
+  }
+
+  static setEnabled(id, enabled, scene = null) {
+    const ids = new Set(Object.keys(ModPack.registered));
+    if (enabled) ids.add(id);
+    else ids.delete(id);
+    return this.activate([...ids], scene);
+  }
+
+  /**
+   * Import a pack from a file picker selection: a single .zip, or every file of a folder
+   * (webkitdirectory). Replaces an installed pack with the same Id.
+   * @param {FileList|File[]} fileList
+   * @returns {Promise<{pack: Object|null, errors: string[]}>}
+   */
+  static async importFiles(fileList) {
+    if (!this.isAvailable()) return { pack: null, errors: ['Mod storage is not available in this browser'] };
+    const list = Array.from(fileList || []);
+    let files = {};
+    try {
+      const zip = list.find(f => /\.zip$/i.test(f.name));
+      if (zip) {
+        files = await ModPack.readZip(await zip.arrayBuffer());
+      } else {
+        for (const file of list) {
+          const relPath = file.webkitRelativePath || file.name;
+          if (PACK_FILE_PATTERN.test(relPath)) files[relPath] = await file.text();
+        }
+      }
+    } catch (e) {
+      return { pack: null, errors: [e.message] };
+    }
+
+    files = ModPack.normalizePaths(files);
+    const { pack, errors } = ModPack.parse(files, { validator: this._validator });
+    if (!pack) return { pack: null, errors };
+
+    // Keep only what the manifest lists
+    const listed = JSON.parse(files[MOD_MANIFEST].replace(/^\uFEFF/, '')).files;
+    const kept = { [MOD_MANIFEST]: files[MOD_MANIFEST] };
+    for (const p of listed) kept[p] = files[p];
+
+    const record = {
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      author: pack.author,
+      hash: pack.hash,
+      files: kept,
+      importedAt: Date.now()
+    };
+    try {
+      await this._request(this._store('readwrite').put(record));
+    } catch (e) {
+      return { pack: null, errors: [e.message] };
+    }
+    const wasActive = this.isActive(pack.id);
+    this._records[pack.id] = record;
+    this._parsed[pack.id] = pack;
+    if (wasActive) ModPack.register(pack);
+    if (DEBUG_MODE) console.log(`[ModManager] imported ${pack.id} (${pack.hash})`);
+    return { pack, errors: [] };
+  }
+
+  static async remove(id, scene = null) {
+    if (!this._records[id]) return;
+    if (this.isActive(id)) this.setEnabled(id, false, scene);
+    try {
+      await this._request(this._store('readwrite').delete(id));
+    } catch (e) {
+      console.warn('[ModManager] failed to delete pack', id, e);
+    }
+    delete this._records[id];
+    delete this._parsed[id];
+  }
+
+  /**
+   * Manifest + definition text for uploading to the server (sprites stay local).
+   * @param {string[]} ids
+   * @returns {Array<{id: string, files: Object<string, string>}>}
+   */
+  static getPayloads(ids) {
+    const out = [];
+    for (const id of (ids || [])) {
+      const record = this._records[id];
+      if (!record) continue;
+      const files = {};
+      for (const [p, text] of Object.entries(record.files || {})) {
+        if (p === MOD_MANIFEST || DEFINITION_PATTERN.test(p)) files[p] = text;
+      }
+      out.push({ id, files });
+    }
+    return out;
+  }
+
+  /**
+   * Compare required packs (e.g. from a lobby or replay) against the installed ones.
+   * @param {Array<{id: string, hash: string}>} required
+   * @returns {Array<{id: string, name: string, hash: string}>} Packs that are missing or differ
+   */
+  static findMissing(required) {
+    return (Array.isArray(required) ? required : []).filter(m => this._records[m?.id]?.hash !== m?.hash);
+  }
+
+  // internal
+  static _parse(id) {
+    if (this._parsed[id]) return this._parsed[id];
+    const record = this._records[id];
+    if (!record || !this._validator) return null;
+    const { pack, errors } = ModPack.parse(record.files, { validator: this._validator });
+    if (!pack) {
+      console.warn(`[ModManager] pack ${id} no longer validates:`, errors);
+      return null;
+    }
+    this._parsed[id] = pack;
+    return pack;
+  }
+
+  static _openDb() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  static _store(mode) {
+    return this._db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  static _request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+}
+
+const GlobalMods = ModManager;
+export default GlobalMods;
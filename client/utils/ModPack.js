@@ -0,0 +1,409 @@
+/**
+ * ModPack - Parses, validates and registers user-made unit packs
+ * A pack is a folder (or zip of one) holding a `modpack.json` manifest plus definitions and sprite JSON
+ * laid out like assets/gamedata:
+ *
+ *   modpack.json                      { Id, Name, Version, Author?, Description?, files: [...] }
+ *   DefenceDefinitions/IceTower.defence
+ *   MonsterDefinitions/Yeti.monster
+ *   PuddleDefinitions/Slush.puddle
+ *   EffectDefinitions/FrostNova.effect { TypeName, Effects: [built-in special effects] }
+ *   DefenceSprites/icetower.json      (also MonsterSprites, ProjectileSprites, PuddleSprites)
+ *
+ * Every TypeName is namespaced as "<Id>:<TypeName>" so a pack can never overwrite a built-in unit,
+ * and references inside the pack (summons, puddles, targeting filters, sprites) are rewritten to match.
+ * References the pack does not define must name built-in types.
+ *
+ * Packs can't ship code, so a pack effect is a composite: units list it as { "Type": "FrostNova" } and it
+ * expands into its built-in Effects when the unit is created (see EffectRegistry).
+ *
+ * The pack hash only covers the manifest Id and the definitions: two players with the same hash
+ * play identical rules even if their sprites differ. This module has no browser dependencies, so the
+ * server validates uploaded packs with the same code.
+ */
+
+import EffectRegistry from './EffectRegistry.js';
+import DefenceFactory from './factories/DefenceFactory.js';
+import MonsterFactory from './factories/MonsterFactory.js';
+import PuddleFactory from './factories/PuddleFactory.js';
+import SpriteFactory from './factories/SpriteFactory.js';
+
+export const MOD_MANIFEST = 'modpack.json';
+export const MOD_NAMESPACE_SEPARATOR = ':';
+
+const DEFINITION_FOLDERS = {
+    DefenceDefinitions: { kind: 'defence', schema: 'defence.schema.json', spriteType: 'defence' },
+    MonsterDefinitions: { kind: 'monster', schema: 'monster.schema.json', spriteType: 'monster' },
+    PuddleDefinitions: { kind: 'puddle', schema: 'puddle.schema.json', spriteType: 'puddle' },
+    EffectDefinitions: { kind: 'effect', schema: 'effect.schema.json' }
+};
+const SPRITE_FOLDERS = {
+    DefenceSprites: 'defence',
+    MonsterSprites: 'monster',
+    ProjectileSprites: 'projectile',
+    PuddleSprites: 'puddle'
+};
+
+// cyrb53 -> 14 hex chars; stable across browsers and Node
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+function parseJsonText(text) {
+    return JSON.parse(String(text ?? '').replace(/^\uFEFF/, ''));
+}
+
+export default class ModPack {
+    // Pack id -> { hash, name, keys } for everything currently registered in the factories
+    static registered = {};
+
+    static HASH_PATTERN = /^[0-9a-f]{14}$/;
+
+    /**
+     * @param {string} packId
+     * @param {string} typeName
+     * @returns {string} "<packId>:<typeName>"
+     */
+    static namespaced(packId, typeName) {
+        return `${packId}${MOD_NAMESPACE_SEPARATOR}${typeName}`;
+    }
+
+    /**
+     * @param {string} typeName - Any unit, puddle or sprite name
+     * @returns {string|null} Owning pack id, or null for built-in names
+     */
+    static packIdOf(typeName) {
+        const str = String(typeName || '');
+        const idx = str.indexOf(MOD_NAMESPACE_SEPARATOR);
+        return idx > 0 ? str.slice(0, idx) : null;
+    }
+
+    /**
+     * Strip any leading folder shared by every path (zips usually wrap the pack in one),
+     * so `frost_pack/modpack.json` becomes `modpack.json`.
+     * @param {Object<string, string>} files - Path -> text
+     * @returns {Object<string, string>}
+     */
+    static normalizePaths(files) {
+        const entries = Object.entries(files || {}).map(([p, text]) => [String(p).replace(/\\/g, '/').replace(/^\.?\//, ''), text]);
+        const manifestPath = entries.map(([p]) => p).find(p => p === MOD_MANIFEST || p.endsWith(`/${MOD_MANIFEST}`));
+        const prefix = manifestPath ? manifestPath.slice(0, manifestPath.length - MOD_MANIFEST.length) : '';
+        const out = {};
+        for (const [p, text] of entries) {
+            if (prefix && !p.startsWith(prefix)) continue;
+            out[p.slice(prefix.length)] = text;
+        }
+        return out;
+    }
+
+    /**
+     * Validate a pack and build its namespaced definitions. Built-in definitions must already be loaded.
+     * @param {Object<string, string>} files - Path (relative to the pack root) -> file text
+     * @param {Object} options
+     * @param {import('./SchemaValidator.js').default} options.validator - Validator holding the gamedata schemas
+     * @param {boolean} [options.includeSprites=true] - Sprites are skipped on the server
+     * @returns {{pack: Object|null, errors: string[]}}
+     */
+    static parse(files, { validator, includeSprites = true } = {}) {
+        const errors = [];
+        const fail = () => ({ pack: null, errors });
+        files = this.normalizePaths(files);
+
+        let manifest;
+        try {
+            manifest = parseJsonText(files[MOD_MANIFEST]);
+        } catch (e) {
+            errors.push(`${MOD_MANIFEST}: ${files[MOD_MANIFEST] === undefined ? 'missing' : e.message}`);
+            return fail();
+        }
+        for (const msg of validator.validate('modpack.schema.json', manifest)) errors.push(`${MOD_MANIFEST}: ${msg}`);
+        if (errors.length) return fail();
+
+        const id = manifest.Id;
+        const raw = { defence: {}, monster: {}, puddle: {}, effect: {} };
+        const rawPaths = {};
+        const sprites = { defence: {}, monster: {}, projectile: {}, puddle: {} };
+
+        // Effects first, so unit definitions can be checked against the pack's own effect types
+        const isEffectFile = (file) => file.startsWith('EffectDefinitions/');
+        const fileList = [...new Set(manifest.files)].sort((a, b) => isEffectFile(b) - isEffectFile(a));
+        for (const file of fileList) {
+            const [folder, name] = file.split('/');
+            // Uploads to the server carry definitions only
+            if (SPRITE_FOLDERS[folder] && !includeSprites) continue;
+            if (files[file] === undefined) {
+                errors.push(`${file}: listed in ${MOD_MANIFEST} but missing`);
+                continue;
+            }
+            let data;
+            try {
+                data = parseJsonText(files[file]);
+            } catch (e) {
+                errors.push(`${file}: invalid JSON: ${e.message}`);
+                continue;
+            }
+
+            if (SPRITE_FOLDERS[folder]) {
+                const spriteErrors = validator.validate('sprite.schema.json', data);
+                spriteErrors.forEach(msg => errors.push(`${file}: ${msg}`));
+                if (!spriteErrors.length) sprites[SPRITE_FOLDERS[folder]][name.replace(/\.json$/i, '')] = data;
+                continue;
+            }
+
+            const def = DEFINITION_FOLDERS[folder];
+            // Pack effect references carry no parameters and aren't built-in types, so the schema skips them
+            const isPackEffectRef = (e) => !!raw.effect[e?.Type];
+            const withoutPackEffects = (list) => (Array.isArray(list) ? list.filter(e => !isPackEffectRef(e)) : list);
+            const packEffectRefs = [data?.SpecialEffects, ...(Array.isArray(data?.Levels) ? data.Levels.map(l => l?.SpecialEffects) : [])]
+                .flatMap(list => (Array.isArray(list) ? list.filter(isPackEffectRef) : []));
+            packEffectRefs.filter(e => Object.keys(e).length > 1)
+                .forEach(e => errors.push(`${file}: pack effect "${e.Type}" takes no parameters`));
+            const checked = packEffectRefs.length ? {
+                ...data,
+                SpecialEffects: withoutPackEffects(data.SpecialEffects),
+                ...(Array.isArray(data.Levels) ? { Levels: data.Levels.map(l => (l && l.SpecialEffects ? { ...l, SpecialEffects: withoutPackEffects(l.SpecialEffects) } : l)) } : {})
+            } : data;
+            const schemaErrors = validator.validate(def.schema, checked);
+            schemaErrors.forEach(msg => errors.push(`${file}: ${msg}`));
+            if (schemaErrors.length) continue;
+            try {
+                if (def.kind === 'defence') DefenceFactory.validateData(data);
+                if (def.kind === 'monster') MonsterFactory.validateData(data);
+            } catch (e) {
+                errors.push(`${file}: ${e.message}`);
+                continue;
+            }
+            const typeName = data.TypeName;
+            if (def.kind === 'effect' && EffectRegistry.has(typeName)) {
+                errors.push(`${file}: TypeName "${typeName}" is a built-in effect`);
+                continue;
+            }
+            const clash = (def.kind === 'puddle' || def.kind === 'effect') ? raw[def.kind][typeName] : (raw.defence[typeName] || raw.monster[typeName]);
+            if (clash) {
+                errors.push(`${file}: TypeName "${typeName}" is defined twice in this pack`);
+                continue;
+            }
+            raw[def.kind][typeName] = data;
+            rawPaths[`${def.kind}:${typeName}`] = file;
+        }
+        if (errors.length) return fail();
+        if (!Object.keys(raw.defence).length && !Object.keys(raw.monster).length && !Object.keys(raw.puddle).length) {
+            errors.push(`${MOD_MANIFEST}: the pack defines no units or puddles`);
+            return fail();
+        }
+
+        // ---------- Namespacing ----------
+        const ns = (name) => this.namespaced(id, name);
+        const resolveUnit = (name, where) => {
+            if (raw.defence[name] || raw.monster[name]) return ns(name);
+            if (name in DefenceFactory.defenceData || name in MonsterFactory.monsterData) return name;
+            errors.push(`${where}: unknown unit "${name}"`);
+            return name;
+        };
+        const resolvePuddle = (name, where) => {
+            if (raw.puddle[name]) return ns(name);
+            if (name in PuddleFactory.puddleData) return name;
+            errors.push(`${where}: unknown puddle "${name}"`);
+            return name;
+        };
+        // Sprites the pack ships are namespaced; anything else is assumed to be a built-in sprite
+        const resolveSprite = (spriteType, name) => {
+            const clean = SpriteFactory._normalizeName(name);
+            return (includeSprites ? sprites[spriteType][clean] : false) ? ns(clean) : name;
+        };
+        const rewriteFilter = (filter, where) => {
+            for (const group of [filter?.Include, filter?.Exclude]) {
+                if (!group) continue;
+                for (const key of ['MonsterType', 'DefenceType']) {
+                    if (Array.isArray(group[key])) group[key] = group[key].map(n => resolveUnit(n, `${where}.TargetingFilter`));
+                }
+            }
+        };
+        const rewriteStatuses = (list, where) => (list || []).forEach((s, i) => rewriteFilter(s.TargetingFilter, `${where}[${i}]`));
+
+        const rewriteEffect = (effect, at) => {
+            if (raw.effect[effect.Type]) {
+                effect.Type = ns(effect.Type);
+                return;
+            }
+            if (effect.Type === 'SummonUnit' && effect.UnitType) effect.UnitType = resolveUnit(effect.UnitType, at);
+            if (effect.Type === 'CreatePuddle') {
+                if (effect.PuddleType) effect.PuddleType = resolvePuddle(effect.PuddleType, at);
+                if (effect.Puddle) effect.Puddle = resolvePuddle(effect.Puddle, at);
+                if (effect.Sprite) effect.Sprite = resolveSprite('puddle', effect.Sprite);
+            }
+            rewriteFilter(effect.TargetingFilter, at);
+            rewriteStatuses(effect.DeathStatuses, `${at}.DeathStatuses`);
+            rewriteStatuses(effect.StatusEffects, `${at}.StatusEffects`);
+        };
+
+        const built = { defence: {}, monster: {}, puddle: {}, effect: {} };
+        for (const kind of Object.keys(raw)) {
+            for (const [typeName, source] of Object.entries(raw[kind])) {
+                const where = rawPaths[`${kind}:${typeName}`];
+                const data = JSON.parse(JSON.stringify(source));
+                data.TypeName = ns(typeName);
+
+                if (kind === 'effect') {
+                    data.Effects.forEach((effect, i) => rewriteEffect(effect, `${where} Effects[${i}]`));
+                    built.effect[data.TypeName] = data.Effects;
+                    continue;
+                }
+                if (kind === 'puddle') {
+                    data.Sprite = resolveSprite('puddle', data.Sprite);
+                } else {
+                    data.DisplaySprite = resolveSprite(kind, data.DisplaySprite);
+                    if (!SpriteFactory._isNullLike(data.ProjectileSprite)) {
+                        data.ProjectileSprite = resolveSprite('projectile', data.ProjectileSprite);
+                    }
+                }
+                rewriteFilter(data.TargetingFilter, where);
+                rewriteStatuses(data.StatusEffects, `${where} StatusEffects`);
+                (data.SpecialEffects || []).forEach((effect, i) => rewriteEffect(effect, `${where} SpecialEffects[${i}]`));
+                (data.Levels || []).forEach((level, l) => (level.SpecialEffects || [])
+                    .forEach((effect, i) => rewriteEffect(effect, `${where} Levels[${l}].SpecialEffects[${i}]`)));
+                built[kind][data.TypeName] = data;
+            }
+        }
+        if (errors.length) return fail();
+
+        const hashInput = JSON.stringify([
+            id,
+            Object.keys(rawPaths).sort().map(key => [rawPaths[key], raw[key.split(':')[0]][key.slice(key.indexOf(':') + 1)]])
+        ]);
+
+        const spriteList = [];
+        for (const [spriteType, byName] of Object.entries(sprites)) {
+            for (const [name, data] of Object.entries(byName)) spriteList.push({ type: spriteType, name: ns(name), data });
+        }
+
+        return {
+            pack: {
+                id,
+                name: manifest.Name,
+                version: manifest.Version,
+                author: manifest.Author || '',
+                description: manifest.Description || '',
+                hash: hashString(hashInput),
+                defences: built.defence,
+                monsters: built.monster,
+                puddles: built.puddle,
+                effects: built.effect,
+                sprites: spriteList
+            },
+            errors
+        };
+    }
+
+    /**
+     * Add a parsed pack to the factories, its effects to the EffectRegistry and its sprites to SpriteFactory's
+     * cache, replacing any earlier version.
+     * @param {Object} pack - Result of `parse`
+     */
+    static register(pack) {
+        if (!pack || !pack.id) return;
+        this.unregister(pack.id);
+        Object.assign(DefenceFactory.defenceData, pack.defences);
+        Object.assign(MonsterFactory.monsterData, pack.monsters);
+        Object.assign(PuddleFactory.puddleData, pack.puddles);
+        for (const [type, effects] of Object.entries(pack.effects || {})) EffectRegistry.registerComposite(type, effects);
+        for (const sprite of (pack.sprites || [])) {
+            SpriteFactory.registerSpriteData(sprite.type, sprite.name, sprite.data);
+        }
+        this.registered[pack.id] = {
+            hash: pack.hash,
+            name: pack.name,
+            keys: {
+                defences: Object.keys(pack.defences),
+                monsters: Object.keys(pack.monsters),
+                puddles: Object.keys(pack.puddles),
+                effects: Object.keys(pack.effects || {}),
+                sprites: (pack.sprites || []).map(s => [s.type, s.name])
+            }
+        };
+    }
+
+    /**
+     * Remove a pack's definitions, effects and sprites.
+     * @param {string} packId
+     */
+    static unregister(packId) {
+        const entry = this.registered[packId];
+        if (!entry) return;
+        entry.keys.defences.forEach(k => delete DefenceFactory.defenceData[k]);
+        entry.keys.monsters.forEach(k => delete MonsterFactory.monsterData[k]);
+        entry.keys.puddles.forEach(k => delete PuddleFactory.puddleData[k]);
+        entry.keys.effects.forEach(k => EffectRegistry.unregister(k));
+        entry.keys.sprites.forEach(([type, name]) => SpriteFactory.clearCache(type, name));
+        delete this.registered[packId];
+    }
+
+    /**
+     * @returns {Array<{id: string, name: string, hash: string}>} Currently registered packs
+     */
+    static getRegistered() {
+        return Object.entries(this.registered).map(([id, entry]) => ({ id, name: entry.name, hash: entry.hash }));
+    }
+
+    /**
+     * Read a .zip into a path -> text map. Handles stored and deflated entries
+     * (deflate goes through DecompressionStream, available in browsers and Node 18+).
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Object<string, string>>}
+     */
+    static async readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder('utf-8');
+
+        // End of central directory: last 0x06054b50 signature within the trailing comment window
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a zip file');
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const files = {};
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+            if (name.endsWith('/')) continue;
+
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const start = localOffset + 30 + localNameLength + localExtraLength;
+            const data = bytes.subarray(start, start + compressedSize);
+
+            if (method === 0) {
+                files[name] = decoder.decode(data);
+            } else if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                files[name] = await new Response(stream).text();
+            } else {
+                throw new Error(`Unsupported compression in ${name}`);
+            }
+        }
+        return files;
+    }
+}
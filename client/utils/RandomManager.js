@@ -0,0 +1,101 @@
+/**
+ * RandomManager - Per-match seeded PRNG shared by dice rolls, targeting and effect chances
+ * A match creates one SeededRandom from its seed (usually `_matchId`) and stores it as `scene._rng`.
+ * Factories draw from `RandomManager.forScene(scene)`, so the same seed and the same inputs
+ * reproduce a match exactly (bug reports, replays, server simulation).
+ *
+ * Cosmetic randomness (dice tumble frames, particle jitter) should keep using Math.random
+ * so it never advances the match stream.
+ */
+
+// xmur3 string hash -> 32-bit seed
+function hashSeed(seed) {
+    const str = String(seed ?? '');
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+export class SeededRandom {
+    /**
+     * @param {string|number} seed - Any string or number; equal seeds give equal sequences
+     */
+    constructor(seed) {
+        this.seed = String(seed ?? '');
+        this._state = hashSeed(this.seed);
+        this.calls = 0;
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32).
+     * @returns {number}
+     */
+    next() {
+        this.calls++;
+        let t = (this._state = (this._state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Skip ahead by `count` draws (used to line a replay up with the recorded stream).
+     */
+    advance(count = 0) {
+        for (let i = 0; i < count; i++) this.next();
+        return this;
+    }
+
+    /**
+     * Integer in [min, max], both inclusive (same contract as Phaser.Math.Between).
+     */
+    between(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    pick(list) {
+        if (!Array.isArray(list) || list.length === 0) return undefined;
+        return list[Math.floor(this.next() * list.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle into a new array.
+     */
+    shuffle(list) {
+        const out = Array.isArray(list) ? list.slice() : [];
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    }
+}
+
+// Used when a scene has no match stream (menus, previews, tests)
+const unseeded = {
+    seed: null,
+    next: () => Math.random(),
+    between: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    pick: (list) => (Array.isArray(list) && list.length ? list[Math.floor(Math.random() * list.length)] : undefined),
+    shuffle: (list) => SeededRandom.prototype.shuffle.call({ next: () => Math.random() }, list)
+};
+
+export default class RandomManager {
+    static createMatchRandom(seed) {
+        return new SeededRandom(seed);
+    }
+
+    /**
+     * The match stream for a scene-like object, or an unseeded fallback.
+     * @param {Object} scene - LocalGameScene, MatchSimulation or any object with `_rng`
+     */
+    static forScene(scene) {
+        const rng = scene && scene._rng;
+        return (rng && typeof rng.next === 'function') ? rng : unseeded;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * SchemaValidator - Minimal JSON Schema (draft-07) checker for the gamedata schemas
+ * Covers the keywords used in assets/gamedata/Schemas: type, enum, const, required, properties,
+ * additionalProperties, items, min/maxItems, minimum, maximum, exclusiveMinimum, minLength,
+ * pattern, allOf, if/then and $ref (local or "<file>#/definitions/...").
+ *
+ * Schemas are added by file name, so it works the same in the browser (fetch) and in Node (fs):
+ * the lint script and mod-pack import share it.
+ */
+
+export const SCHEMA_FILES = [
+    'common.schema.json',
+    'defence.schema.json',
+    'monster.schema.json',
+    'puddle.schema.json',
+    'board.schema.json',
+    'sprite.schema.json',
+    'modpack.schema.json',
+    'effect.schema.json',
+    'status.schema.json',
+    'tutorial.schema.json'
+];
+
+export default class SchemaValidator {
+    constructor() {
+        this.schemas = {};
+    }
+
+    /**
+     * Load every schema in SCHEMA_FILES from `assets/gamedata/Schemas` (browser).
+     * @returns {Promise<SchemaValidator>}
+     */
+    static async fetchAll(baseUrl = 'assets/gamedata/Schemas') {
+        const validator = new SchemaValidator();
+        for (const file of SCHEMA_FILES) {
+            const res = await fetch(`${baseUrl}/${file}`);
+            if (!res.ok) throw new Error(`Failed to load schema ${file}`);
+            validator.addSchema(file, await res.json());
+        }
+        return validator;
+    }
+
+    addSchema(file, schema) {
+        this.schemas[file] = schema;
+        return this;
+    }
+
+    hasSchema(file) {
+        return !!this.schemas[file];
+    }
+
+    /**
+     * @param {string} file - Schema file name, e.g. "defence.schema.json"
+     * @param {*} value - Parsed JSON
+     * @returns {string[]} Error messages prefixed with the JSON path
+     */
+    validate(file, value) {
+        if (!this.schemas[file]) return [`no schema named ${file}`];
+        const errors = [];
+        this._check(this.schemas[file], value, '$', file, errors);
+        return errors;
+    }
+
+    /**
+     * Follow $refs from a schema node to the node that defines it (for tools that build forms from a schema).
+     * @param {Object} schema - Schema node
+     * @param {string} doc - Schema file the node belongs to
+     * @returns {{schema: Object, doc: string}}
+     */
+    deref(schema, doc) {
+        let node = { schema, doc };
+        while (node.schema && node.schema.$ref) node = this._resolve(node.schema.$ref, node.doc);
+        return node;
+    }
+
+    _resolve(ref, base) {
+        const [file, pointer = ''] = ref.split('#');
+        const doc = file || base;
+        let node = this.schemas[doc];
+        for (const part of pointer.split('/').filter(Boolean)) node = node?.[part];
+        if (!node) throw new Error(`Unresolved $ref ${ref} in ${base}`);
+        return { schema: node, doc };
+    }
+
+    _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    _check(schema, value, at, doc, errors) {
+        if (!schema || typeof schema !== 'object') return;
+        if (schema.$ref) {
+            const target = this._resolve(schema.$ref, doc);
+            this._check(target.schema, value, at, target.doc, errors);
+            return;
+        }
+
+        if (schema.type !== undefined) {
+            const allowed = [].concat(schema.type);
+            const actual = this._typeOf(value);
+            const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+            if (!ok) {
+                errors.push(`${at}: expected ${allowed.join(' or ')}, got ${actual}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: ${value} must be above ${schema.exclusiveMinimum}`);
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+            if (schema.items) value.forEach((item, i) => this._check(schema.items, item, `${at}[${i}]`, doc, errors));
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const key of (schema.required || [])) {
+                if (!(key in value)) errors.push(`${at}: missing ${key}`);
+            }
+            const props = schema.properties || {};
+            for (const [key, child] of Object.entries(value)) {
+                if (key in props) this._check(props[key], child, `${at}.${key}`, doc, errors);
+                else if (schema.additionalProperties === false) errors.push(`${at}: unknown property ${key}`);
+            }
+        }
+
+        for (const sub of (schema.allOf || [])) this._check(sub, value, at, doc, errors);
+        if (schema.if && schema.then) {
+            const probe = [];
+            this._check(schema.if, value, at, doc, probe);
+            if (probe.length === 0) this._check(schema.then, value, at, doc, errors);
+        }
+    }
+}
@@ -4,7 +4,8 @@ const DEFAULTS = {
   visualEffects: true,    // combo FX / overlays
   shuffleTrack: false,    // shuffle music tracks
   trackIndex: 0,          // which music track
-  language: 'English'     // localisation language
+  language: 'English',    // localisation language
+  modPacks: []            // mod pack ids enabled for the next match
 };
 
 class SettingsManager {
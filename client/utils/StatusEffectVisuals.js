@@ -109,7 +109,7 @@ export default class StatusEffectVisuals {
      * Spawn a small steam puff burst when Fire/Frozen cancel each other.
      */
     static spawnSteamPuff(unit, scene) {
-        if (!unit || !scene) return;
+        if (!unit || !scene || !scene.add) return;
 
         let x, y;
         if (unit.sprite && typeof unit.sprite.x === 'number' && typeof unit.sprite.y === 'number') {
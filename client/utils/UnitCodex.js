@@ -0,0 +1,341 @@
+/**
+ * UnitCodex - Entries and generated ability text for the codex (CodexScene)
+ * Names and descriptions come from the loc files: UNIT_<TypeName> / UNIT_DESC_<TypeName> for defences
+ * and monsters, PUDDLE_<TypeName> / PUDDLE_DESC_<TypeName> for puddles, with the definition as fallback.
+ *
+ * Ability text is built from each SpecialEffects/StatusEffects entry's own parameters, so units from
+ * mod packs (and composite effects) are described without new strings. Unknown effect types fall back
+ * to their Type name.
+ */
+
+import EffectRegistry from './EffectRegistry.js';
+import GlobalLocalization from './LocalizationManager.js';
+import DefenceFactory from './factories/DefenceFactory.js';
+import MonsterFactory from './factories/MonsterFactory.js';
+import PuddleFactory from './factories/PuddleFactory.js';
+
+export const CODEX_KINDS = ['defence', 'monster', 'puddle'];
+
+const t = (key, fallback) => GlobalLocalization.t(key, fallback);
+const fmt = (key, ...args) => GlobalLocalization.format(key, ...args);
+
+// 0.5 -> "50%"
+const pct = (ratio) => `${Math.round(Number(ratio) * 100)}%`;
+const waves = (n) => (Number(n) === 1 ? t('CODEX_ONE_WAVE', '1 wave') : fmt('CODEX_WAVES', '{0} waves', n));
+const tiles = (n) => (Number(n) === 1 ? t('CODEX_ONE_TILE', '1 tile') : fmt('CODEX_TILES', '{0} tiles', n));
+const times = (n) => (Number(n) === 1 ? t('CODEX_ONCE', 'once') : fmt('CODEX_TIMES', '{0} times', n));
+
+function getData(kind) {
+    if (kind === 'defence') return DefenceFactory.defenceData;
+    if (kind === 'monster') return MonsterFactory.monsterData;
+    if (kind === 'puddle') return PuddleFactory.puddleData;
+    return {};
+}
+
+export default class UnitCodex {
+    /**
+     * Every loaded definition of a kind, sorted by display name.
+     * @param {string} kind - One of CODEX_KINDS
+     * @returns {{ kind: string, typeName: string, data: Object }[]}
+     */
+    static getEntries(kind) {
+        return Object.entries(getData(kind) || {})
+            .map(([typeName, data]) => ({ kind, typeName, data }))
+            .sort((a, b) => this.getName(a).localeCompare(this.getName(b)));
+    }
+
+    static getName({ kind, typeName, data }) {
+        if (kind === 'puddle') return t(`PUDDLE_${typeName}`, data?.FullName || String(typeName).replace(/([a-z])([A-Z])/g, '$1 $2'));
+        return t(`UNIT_${typeName}`, data?.FullName || typeName);
+    }
+
+    static getDescription({ kind, typeName, data }) {
+        const prefix = kind === 'puddle' ? 'PUDDLE_DESC' : 'UNIT_DESC';
+        return t(`${prefix}_${typeName}`, data?.Description || '');
+    }
+
+    // Localized class (same CLASS_ keys as the loadout stat modal); puddles have none
+    static getClassName({ kind, data }) {
+        if (kind === 'puddle') return null;
+        const className = data?.Class || (kind === 'defence' ? 'Generalist' : 'Bruiser');
+        return t(`CLASS_${String(className).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`, className);
+    }
+
+    static getSpriteName({ kind, data }) {
+        if (kind === 'puddle') return data?.Sprite || data?.DisplaySprite || null;
+        return data?.DisplaySprite || data?.TypeName || null;
+    }
+
+    /**
+     * Stat lines for the entry's base level.
+     * @returns {string[]}
+     */
+    static getStats({ kind, data }) {
+        if (!data) return [];
+        const stats = [];
+        const add = (key, fallback, value) => {
+            if (value !== undefined && value !== null) stats.push(`${t(key, fallback)}: ${value}`);
+        };
+        if (kind === 'puddle') {
+            add('CODEX_STAT_DAMAGE_PER_WAVE', 'Damage per wave', data.Damage);
+            add('CODEX_STAT_DURATION', 'Lasts (waves)', data.Duration);
+            return stats;
+        }
+        add('STAT_HP', 'HP', data.Health);
+        add('STAT_DMG', 'DMG', data.Damage);
+        add('STAT_RANGE', 'Range', data.Range);
+        add('STAT_AMMO', 'Ammo', data.Ammo);
+        add('STAT_RELOAD', 'Reload', data.ReloadDelay);
+        if (kind === 'monster') add('CODEX_STAT_SPEED', 'Speed', data.Speed);
+        if (Array.isArray(data.Levels) && data.Levels.length) add('CODEX_STAT_LEVELS', 'Upgrades', data.Levels.length);
+        return stats;
+    }
+
+    /**
+     * Everything the entry does beyond its stats: traits, special effects, then the statuses it applies.
+     * @returns {string[]} One sentence (or two) per ability
+     */
+    static getAbilities({ kind, data }) {
+        if (!data) return [];
+        if (kind === 'puddle') {
+            return [
+                t('CODEX_PUDDLE_ENEMIES', 'Only hurts enemies of the unit that left it, at the start of each wave.'),
+                ...(data.StatusEffects || []).map(s => this.describeStatusEffect(s))
+            ];
+        }
+        return [
+            ...this.describeTraits(data),
+            ...(data.SpecialEffects || []).flatMap(e => this.describeSpecialEffect(e)),
+            ...(data.StatusEffects || []).map(s => this.describeStatusEffect(s))
+        ];
+    }
+
+    /**
+     * What the definition's flags do in combat.
+     * @param {Object} data - Defence or monster definition
+     * @returns {string[]}
+     */
+    static describeTraits(data) {
+        const traits = [];
+        if (data.IsProto) traits.push(t('CODEX_TRAIT_PROTO', 'Prototype: only summoned by rolling a 6 and then rerolling.'));
+        // Closest-first is the default and not worth a line
+        if (data.TargetingMode && !['First', 'None'].includes(data.TargetingMode)) traits.push(this.describeTargetingMode(data.TargetingMode));
+        if (data.DontAttack) traits.push(t('CODEX_TRAIT_NO_ATTACK', 'Never attacks.'));
+        if (data.CanTargetAdjacentLanes) traits.push(t('CODEX_TRAIT_ADJACENT', 'Also attacks enemies in the lanes directly above and below.'));
+        if (data.BackTargeting) traits.push(t('CODEX_TRAIT_BACK', 'Can attack enemies behind it as well as in front.'));
+        if (data.HasBlindSpot) {
+            traits.push(fmt('CODEX_TRAIT_BLIND', 'Blind spot: can\'t hit enemies {0} away or closer, and holds fire while one is there.', tiles(data.BlindRange || 1)));
+        }
+        if (data.CanDetect) traits.push(t('CODEX_TRAIT_DETECT', 'Can target undetectable enemies.'));
+        if (data.IsUndetectable) traits.push(t('CODEX_TRAIT_UNDETECTABLE', 'Undetectable: only enemies that can detect are able to target it.'));
+        if (data.CanBeTrampled) traits.push(t('CODEX_TRAIT_TRAMPLED', 'Monsters walk straight over it, and it can\'t be targeted.'));
+        if (data.CanJump) traits.push(t('CODEX_TRAIT_JUMP', 'Jumps over a monster blocking its path when it has movement left.'));
+        if (data.StartsWithNoAmmo) traits.push(t('CODEX_TRAIT_NO_AMMO', 'Placed with empty ammo and has to reload before its first shot.'));
+        if (data.RemoveWhenOutOfAmmo) traits.push(t('CODEX_TRAIT_REMOVE_NO_AMMO', 'Leaves the board once its ammo runs out.'));
+        if (data.HasLifespan || data.Lifespan) {
+            traits.push(Number(data.Lifespan) > 0
+                ? fmt('CODEX_TRAIT_LIFESPAN', 'Temporary: leaves the board after {0}.', waves(data.Lifespan))
+                : t('CODEX_TRAIT_TEMPORARY', 'Temporary: leaves the board after a few waves.'));
+        }
+        return traits;
+    }
+
+    static describeTargetingMode(mode) {
+        switch (mode) {
+            case 'First':
+                return t('CODEX_TARGET_FIRST', 'Targets the closest enemy in range.');
+            case 'Last':
+                return t('CODEX_TARGET_LAST', 'Targets the furthest enemy in range.');
+            case 'Strong':
+                return t('CODEX_TARGET_STRONG', 'Targets the enemy in range with the most health.');
+            case 'Weak':
+                return t('CODEX_TARGET_WEAK', 'Targets the enemy in range with the least health.');
+            case 'Any':
+                return t('CODEX_TARGET_ANY', 'Hits every enemy in range.');
+            default:
+                return fmt('CODEX_TARGET_OTHER', 'Targeting: {0}.', mode);
+        }
+    }
+
+    /**
+     * Sentence for one SpecialEffects entry. Composite effects (mod packs) describe each member.
+     * @param {Object} effect
+     * @returns {string[]}
+     */
+    static describeSpecialEffect(effect) {
+        if (!effect || !effect.Type) return [];
+        const members = EffectRegistry.composites[effect.Type];
+        if (members) return members.flatMap(e => this.describeSpecialEffect(e));
+
+        const filter = this.describeTargetingFilter(effect.TargetingFilter);
+        switch (effect.Type) {
+            case 'Accuracy':
+                return [fmt('CODEX_EFFECT_ACCURACY', 'Inaccurate: {0} chance to hit up close, falling to {1} at full range.',
+                    pct(effect.MaxValue ?? 1), pct(effect.MinValue ?? 0))];
+            case 'AreaOfEffect': {
+                const center = effect.IsOmnidirectional
+                    ? t('CODEX_AOE_AROUND_SELF', 'around itself')
+                    : t('CODEX_AOE_AROUND_TARGET', 'around its target');
+                const splash = effect.SplashFactor !== undefined ? pct(effect.SplashFactor) : '100%';
+                const lines = [fmt('CODEX_EFFECT_AOE', 'Splash: hits enemies in a {0} area {1} for {2} of its damage.{3}', effect.Value || '1x1', center, splash, filter)];
+                if (effect.CondenseTargeting) lines.push(t('CODEX_EFFECT_AOE_CONDENSE', 'Aims where the splash catches the most enemies.'));
+                return lines;
+            }
+            case 'Armor': {
+                const lines = [];
+                if (Number(effect.Value) > 0) lines.push(fmt('CODEX_EFFECT_ARMOR_FLAT', 'Armor: takes {0} less damage from every hit.', effect.Value));
+                if (effect.DamageReduction !== undefined) lines.push(fmt('CODEX_EFFECT_ARMOR_REDUCTION', 'Armor: takes only {0} of the damage from hits.', pct(effect.DamageReduction)));
+                if (lines.length) lines.push(t('CODEX_EFFECT_ARMOR_BYPASS', 'Armor piercing and Acid ignore armor.'));
+                return lines;
+            }
+            case 'ArmorPiercing': {
+                const factor = Number(effect.Value ?? 1);
+                return [factor === 1
+                    ? t('CODEX_EFFECT_PIERCE', 'Armor piercing: ignores enemy armor.')
+                    : fmt('CODEX_EFFECT_PIERCE_FACTOR', 'Armor piercing: ignores enemy armor and deals {0} damage to armored enemies.', pct(factor))];
+            }
+            case 'BlockAllLanes': {
+                const lines = [fmt('CODEX_EFFECT_BLOCK', 'Force field: shields every lane in its column, absorbing {0} damage aimed past it.', effect.ShieldValue || 0)];
+                if (effect.DissipatesWhenDestroyed) lines.push(t('CODEX_EFFECT_BLOCK_DISSIPATES', 'The shield disappears when the unit is destroyed.'));
+                return lines;
+            }
+            case 'CreatePuddle': {
+                const puddle = PuddleFactory.puddleData?.[effect.PuddleType] || null;
+                const name = effect.PuddleType ? this.getName({ kind: 'puddle', typeName: effect.PuddleType, data: puddle }) : t('CODEX_PUDDLE', 'a puddle');
+                const duration = effect.Duration ?? puddle?.Duration;
+                return [duration !== undefined
+                    ? fmt('CODEX_EFFECT_PUDDLE', 'Leaves {0} where it hits for {1}.{2}', name, waves(duration), filter)
+                    : fmt('CODEX_EFFECT_PUDDLE_NO_DURATION', 'Leaves {0} where it hits.{1}', name, filter)];
+            }
+            case 'DamageBooster':
+                return [fmt('CODEX_EFFECT_BOOST', 'Boosts the damage of allies in a {0} area around it to {1}.', effect.Radius || '3x3', pct(effect.Value ?? 1))];
+            case 'DeathEffect': {
+                const area = effect.Radius || effect.Value || '1x1';
+                const lines = [];
+                if (effect.DeathDamage !== undefined) lines.push(fmt('CODEX_EFFECT_DEATH_DAMAGE', 'On death: deals {0} damage to enemies in a {1} area.{2}', effect.DeathDamage, area, filter));
+                if (effect.DeathHealing !== undefined) lines.push(fmt('CODEX_EFFECT_DEATH_HEAL', 'On death: heals allies in a {1} area for {0}.', effect.DeathHealing, area));
+                if (Array.isArray(effect.DeathStatuses) && effect.DeathStatuses.length) {
+                    const names = effect.DeathStatuses.map(s => this.getStatusName(typeof s === 'string' ? s : s?.Type)).join(', ');
+                    lines.push(fmt('CODEX_EFFECT_DEATH_STATUS', 'On death: applies {0} in a {1} area.', names, area));
+                }
+                return lines.length ? lines : [fmt('CODEX_EFFECT_DEATH', 'Something happens in a {0} area when it dies.', area)];
+            }
+            case 'HealAllies': {
+                const amount = effect.HealAmount !== undefined
+                    ? String(effect.HealAmount)
+                    : fmt('CODEX_HEAL_FROM_DAMAGE', '{0} of its damage', pct(effect.HealMult ?? 1));
+                const lines = [effect.Range !== undefined
+                    ? fmt('CODEX_EFFECT_HEAL_RANGE', 'Heals an ally up to {1} ahead for {0}.{2}', amount, tiles(effect.Range), filter)
+                    : fmt('CODEX_EFFECT_HEAL', 'Heals an ally in range for {0}.{1}', amount, filter)];
+                if (effect.ConsumesAttack !== false) lines.push(t('CODEX_EFFECT_HEAL_USES_ATTACK', 'Healing uses up its attack.'));
+                return lines;
+            }
+            case 'LaserBeam':
+                return [effect.TravelEntireRow
+                    ? fmt('CODEX_EFFECT_LASER_ROW', 'Laser: also hits every enemy behind its target in the lane.{0}', filter)
+                    : fmt('CODEX_EFFECT_LASER', 'Laser: also hits enemies up to {0} behind its target.{1}', tiles(effect.Extension || 0), filter)];
+            case 'Lifesteal':
+                return [fmt('CODEX_EFFECT_LIFESTEAL', 'Lifesteal: heals for {0} of the damage it deals.', pct(effect.Value ?? 0))];
+            case 'MultiFire':
+                return [fmt('CODEX_EFFECT_MULTIFIRE', 'Fires {0} shots each attack.', effect.FireCount || 1)];
+            case 'Revive': {
+                const chance = Number(effect.ReviveChance ?? 1);
+                const stats = fmt('CODEX_REVIVE_STATS', '{0} health and {1} damage', pct(effect.HealthMult ?? 1), pct(effect.DamageMult ?? 1));
+                return [chance < 1
+                    ? fmt('CODEX_EFFECT_REVIVE_CHANCE', 'Revive: {0} chance to come back with {1} when killed ({2} at most).', pct(chance), stats, times(effect.MaxRevives ?? 1))
+                    : fmt('CODEX_EFFECT_REVIVE', 'Revive: comes back with {0} when killed ({1} at most).', stats, times(effect.MaxRevives ?? 1))];
+            }
+            case 'SpreadTargeting': {
+                const mode = this.describeTargetingMode(effect.TargetMode || 'Last');
+                return [effect.OnlyActivateWhenEnoughEnemies
+                    ? fmt('CODEX_EFFECT_SPREAD_MIN', 'Spreads its shots: with {0}+ enemies in range, some shots switch target. {1}', effect.MinimumEnemies || 2, mode)
+                    : fmt('CODEX_EFFECT_SPREAD', 'Spreads its shots: some shots switch target. {0}', mode)];
+            }
+            case 'SummonUnit': {
+                const unit = MonsterFactory.monsterData?.[effect.UnitType] || DefenceFactory.defenceData?.[effect.UnitType] || null;
+                const name = effect.UnitType ? this.getName({ kind: 'monster', typeName: effect.UnitType, data: unit }) : t('GENERIC_UNIT', 'Unit');
+                const lines = [fmt('CODEX_EFFECT_SUMMON', 'Summons {0} x {1} next to itself.', effect.SpawnCount || 1, name)];
+                if (effect.Cooldown !== undefined) lines.push(fmt('CODEX_EFFECT_SUMMON_COOLDOWN', 'Summons again after {0}.', waves(effect.Cooldown)));
+                return lines;
+            }
+            default:
+                return [fmt('CODEX_EFFECT_GENERIC', '{0}.', effect.Type)];
+        }
+    }
+
+    /**
+     * Sentence for a status the unit (or puddle) applies.
+     * @param {Object} effect - StatusEffects entry
+     * @returns {string}
+     */
+    static describeStatusEffect(effect) {
+        if (!effect || !effect.Type) return '';
+        const duration = effect.Duration ?? 1;
+        let text;
+        switch (effect.Type) {
+            case 'Fire':
+                text = fmt('CODEX_STATUS_FIRE', 'Burns: {0} damage at the start of each wave for {1}. Fire thaws frozen units.', effect.Value || 0, waves(duration));
+                break;
+            case 'Poison':
+                text = fmt('CODEX_STATUS_POISON', 'Poisons: {0} damage at the start of each wave for {1}. Every dose ticks separately.', effect.Value || 0, waves(duration));
+                break;
+            case 'Slow': {
+                const parts = [fmt('CODEX_SLOW_RELOAD', 'reloads take {0} longer', waves(effect.Value ?? 1))];
+                if (effect.SpeedReduction !== undefined) parts.push(fmt('CODEX_SLOW_SPEED', 'moves at {0} speed', pct(effect.SpeedReduction)));
+                text = fmt('CODEX_STATUS_SLOW', 'Slows for {1}: {0}.', parts.join(', '), waves(duration));
+                break;
+            }
+            case 'Stun':
+                text = fmt('CODEX_STATUS_STUN', 'Stuns: the target can\'t act for {0}. Stun puts out fire.', waves(duration));
+                break;
+            case 'Frozen':
+                text = t('CODEX_STATUS_FROZEN', 'Freezes: the target can\'t act until the next wave.');
+                break;
+            case 'Acid':
+                text = fmt('CODEX_STATUS_ACID', 'Acid: the target takes {0} damage from hits and its armor is ignored, for {1}.', pct(effect.BonusDamage ?? 1.25), waves(duration));
+                break;
+            case 'Knockback':
+                text = fmt('CODEX_STATUS_KNOCKBACK', 'Knocks the target back {0}.', tiles(effect.Value ?? 1));
+                break;
+            case 'Purge':
+                text = t('CODEX_STATUS_PURGE', 'Purges: clears every status on the target and blocks new ones for a while.');
+                break;
+            case 'Charm':
+                text = fmt('CODEX_STATUS_CHARM', 'Charms: the target fights for the other side for {0}.', waves(duration));
+                break;
+            case 'Undetectable':
+                text = fmt('CODEX_STATUS_UNDETECTABLE', 'Makes the target undetectable for {0}.', waves(duration));
+                break;
+            default:
+                text = fmt('CODEX_STATUS_GENERIC', 'Applies {0} for {1}.', this.getStatusName(effect.Type), waves(duration));
+        }
+        const chance = effect.PercentageChance !== undefined && Number(effect.PercentageChance) < 1
+            ? ` ${fmt('CODEX_CHANCE', '({0} chance)', pct(effect.PercentageChance))}`
+            : '';
+        return `${text}${chance}${this.describeTargetingFilter(effect.TargetingFilter)}`;
+    }
+
+    static getStatusName(type) {
+        return t(`CODEX_STATUS_NAME_${String(type || '').toUpperCase()}`, type || '');
+    }
+
+    // " Only affects X. Never affects Y." from a TargetingFilter; empty without one
+    static describeTargetingFilter(tf) {
+        if (!tf || typeof tf !== 'object') return '';
+        const unitName = (typeName) => this.getName({ kind: 'monster', typeName, data: MonsterFactory.monsterData?.[typeName] || DefenceFactory.defenceData?.[typeName] });
+        const describe = (group) => {
+            if (!group || typeof group !== 'object') return [];
+            return [
+                ...(group.MonsterType || []).map(unitName),
+                ...(group.DefenceType || []).map(unitName),
+                ...(group.StatusEffect || []).map(s => fmt('CODEX_FILTER_STATUS', 'units with {0}', this.getStatusName(s)))
+            ];
+        };
+        const include = describe(tf.Include);
+        const exclude = describe(tf.Exclude);
+        let text = '';
+        if (include.length) text += ` ${fmt('CODEX_FILTER_ONLY', 'Only affects {0}.', include.join(', '))}`;
+        if (exclude.length) text += ` ${fmt('CODEX_FILTER_NEVER', 'Never affects {0}.', exclude.join(', '))}`;
+        return text;
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * UnitEditor - Drafts of new defences and monsters for the dev editor (UnitEditorScene)
+ * A draft is a unit definition plus its sprite definition. Forms are built from the gamedata schemas,
+ * so every field a .defence/.monster file accepts can be edited, and special effects get their
+ * parameters from the effect's own schema entry.
+ *
+ * To preview or test a draft it is registered as a one-unit mod pack (PACK_ID), so it goes through the
+ * same checks as an imported pack and shows up as "editor:<TypeName>". Exported files use the plain
+ * names and go straight into assets/gamedata.
+ */
+
+import ModPack, { MOD_MANIFEST } from './ModPack.js';
+import DefenceFactory from './factories/DefenceFactory.js';
+import MonsterFactory from './factories/MonsterFactory.js';
+import SpriteFactory from './factories/SpriteFactory.js';
+
+export const KINDS = {
+    defence: {
+        schema: 'defence.schema.json',
+        ext: 'defence',
+        definitions: 'DefenceDefinitions',
+        sprites: 'DefenceSprites',
+        texture: 'defences'
+    },
+    monster: {
+        schema: 'monster.schema.json',
+        ext: 'monster',
+        definitions: 'MonsterDefinitions',
+        sprites: 'MonsterSprites',
+        texture: 'monsters'
+    }
+};
+
+// Starting point for a draft without a template
+const BLANK_DEFINITION = {
+    TypeName: 'NewUnit',
+    FullName: 'New Unit',
+    Rarity: 'Common',
+    Health: 20,
+    Damage: 5,
+    Range: 3,
+    Ammo: 1,
+    ReloadDelay: 1,
+    Speed: 1,
+    TargetingMode: 'First',
+    ProjectileMotion: 'Straight',
+    ProjectileSprite: 'bullet',
+    DisplaySprite: 'newunit',
+    SpecialEffects: [],
+    StatusEffects: [],
+    IsProto: false
+};
+
+// Schema refs that get a builder instead of a JSON field
+const LIST_BUILDERS = {
+    'common.schema.json#/definitions/specialEffects': 'effects',
+    'common.schema.json#/definitions/statusEffects': 'statuses'
+};
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export default class UnitEditor {
+    static PACK_ID = 'editor';
+
+    /**
+     * Factory data for a kind.
+     * @param {string} kind - Key of KINDS
+     * @returns {Object<string, Object>}
+     */
+    static getUnits(kind) {
+        const data = kind === 'defence' ? DefenceFactory.defenceData : MonsterFactory.monsterData;
+        return Object.fromEntries(Object.entries(data).filter(([name]) => !ModPack.packIdOf(name)));
+    }
+
+    /**
+     * Texture keys in use by the kind's built-in sprites.
+     * @param {string} kind - Key of KINDS
+     * @returns {string[]}
+     */
+    static getTextures(kind) {
+        const keys = Object.values(this.getUnits(kind))
+            .map(d => SpriteFactory.getCachedPrimarySpriteKey(kind, d.DisplaySprite))
+            .filter(Boolean);
+        return [...new Set(keys)].sort();
+    }
+
+    /**
+     * New draft, copied from a built-in unit when a template is given.
+     * @param {string} kind - Key of KINDS
+     * @param {string|null} [template] - TypeName to copy
+     * @returns {{kind: string, definition: Object, sprite: Object}}
+     */
+    static createDraft(kind, template = null) {
+        const source = template ? this.getUnits(kind)[template] : null;
+        const definition = clone(source) || clone(BLANK_DEFINITION);
+        if (kind !== 'monster') delete definition.Speed;
+        if (source) {
+            definition.TypeName = `${source.TypeName}Copy`;
+            definition.DisplaySprite = definition.TypeName.toLowerCase();
+        }
+
+        const templateSprite = source ? SpriteFactory.spriteData[`${kind}:${SpriteFactory._normalizeName(source.DisplaySprite)}`] : null;
+        const texture = SpriteFactory._getPrimaryActor(templateSprite)?.sprite || this.getTextures(kind)[0] || '';
+        const sprite = clone(templateSprite) || this.createSprite(kind, texture);
+        return { kind, definition, sprite };
+    }
+
+    /**
+     * Single-actor sprite definition for a texture.
+     * @param {string} kind - Key of KINDS
+     * @param {string} texture - Texture key
+     * @returns {Object}
+     */
+    static createSprite(kind, texture) {
+        return {
+            actors: [{
+                Alignment: [0.5, 0.5],
+                Alpha: 1,
+                Angle: 0,
+                Flip: 0,
+                Position: [0, 0],
+                Scale: [1, 1],
+                Shown: true,
+                sprite: texture,
+                type: 1,
+                uid: 1
+            }],
+            customvariables: null,
+            events: null,
+            stageOptions: {
+                SpriteInfo: [{ SpriteInfo: texture, Texture: KINDS[kind].texture }],
+                StageLength: 0.2
+            },
+            timelines: null
+        };
+    }
+
+    /**
+     * Form fields for a kind, in schema order.
+     * @param {import('./SchemaValidator.js').default} validator - Validator holding the gamedata schemas
+     * @param {string} kind - Key of KINDS
+     * @returns {Object[]} See describeField
+     */
+    static getFields(validator, kind) {
+        const file = KINDS[kind].schema;
+        const schema = validator.schemas[file];
+        const required = schema.required || [];
+        return Object.entries(schema.properties || {})
+            .map(([name, node]) => this.describeField(validator, name, node, file, required.includes(name)));
+    }
+
+    /**
+     * Parameter fields of a special effect type (everything but Type).
+     * @param {import('./SchemaValidator.js').default} validator
+     * @param {string} type - Special effect Type
+     * @returns {Object[]} See describeField
+     */
+    static getEffectFields(validator, type) {
+        const { schema, doc } = validator.deref({ $ref: `common.schema.json#/definitions/${type}` }, 'common.schema.json');
+        const required = schema.required || [];
+        return Object.entries(schema.properties || {})
+            .filter(([name]) => name !== 'Type')
+            .map(([name, node]) => this.describeField(validator, name, node, doc, required.includes(name)));
+    }
+
+    /**
+     * Status effect fields (everything but Type).
+     * @param {import('./SchemaValidator.js').default} validator
+     * @returns {Object[]} See describeField
+     */
+    static getStatusFields(validator) {
+        return this.getEffectFields(validator, 'statusEffect');
+    }
+
+    /**
+     * Allowed values of an enum definition in common.schema.json, e.g. "specialEffectType".
+     * @param {import('./SchemaValidator.js').default} validator
+     * @param {string} name - Definition name
+     * @returns {Array}
+     */
+    static getEnum(validator, name) {
+        return validator.deref({ $ref: `common.schema.json#/definitions/${name}` }, 'common.schema.json').schema.enum || [];
+    }
+
+    /**
+     * How one schema property is edited.
+     * @returns {{name: string, input: string, required: boolean, nullable: boolean, options: Array|null, description: string}}
+     *   `input` is "text", "number", "enum", "bool", "json", or "effects"/"statuses" for the list builders
+     */
+    static describeField(validator, name, node, doc, required) {
+        const ref = node.$ref ? (node.$ref.startsWith('#') ? `${doc}${node.$ref}` : node.$ref) : null;
+        const { schema } = validator.deref(node, doc);
+        const types = [].concat(schema.type || []);
+        let input = 'json';
+        if (ref && LIST_BUILDERS[ref]) input = LIST_BUILDERS[ref];
+        else if (schema.enum) input = 'enum';
+        else if (types.includes('boolean')) input = 'bool';
+        else if (types.includes('number') || types.includes('integer')) input = 'number';
+        else if (types.includes('string')) input = 'text';
+        return {
+            name,
+            input,
+            required,
+            nullable: types.includes('null'),
+            options: schema.enum ? schema.enum.slice() : null,
+            description: schema.description || node.description || ''
+        };
+    }
+
+    /**
+     * Turn a form value back into JSON. Empty optional values are left out (undefined).
+     * @param {Object} field - From describeField
+     * @param {string|boolean} raw - Input value (checkbox state for bool fields)
+     * @returns {*}
+     * @throws {Error} When a number or JSON field can't be parsed
+     */
+    static parseValue(field, raw) {
+        if (field.input === 'bool') return (raw || field.required) ? !!raw : undefined;
+        const text = String(raw ?? '').trim();
+        if (text === '') {
+            if (field.nullable) return null;
+            return field.input === 'text' && field.required ? '' : undefined;
+        }
+        if (field.input === 'number') {
+            const value = Number(text);
+            if (!Number.isFinite(value)) throw new Error(`${field.name}: "${text}" is not a number`);
+            return value;
+        }
+        if (field.input === 'json' || field.input === 'effects' || field.input === 'statuses') {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new Error(`${field.name}: ${e.message}`);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Text shown in a form input for a JSON value.
+     */
+    static formatValue(field, value) {
+        if (value === undefined || value === null) return '';
+        if (field.input === 'json' || field.input === 'effects' || field.input === 'statuses') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Pack files for a draft, laid out like assets/gamedata.
+     * @param {Object} draft - From createDraft
+     * @returns {Object<string, string>} Path -> text
+     */
+    static buildPackFiles(draft) {
+        const kind = KINDS[draft.kind];
+        const { TypeName, DisplaySprite } = draft.definition;
+        const definitionPath = `${kind.definitions}/${TypeName}.${kind.ext}`;
+        const spritePath = `${kind.sprites}/${SpriteFactory._normalizeName(DisplaySprite)}.json`;
+        const manifest = {
+            Id: this.PACK_ID,
+            Name: 'Unit Editor',
+            Version: '0',
+            files: [definitionPath, spritePath]
+        };
+        return {
+            [MOD_MANIFEST]: JSON.stringify(manifest),
+            [definitionPath]: JSON.stringify(draft.definition),
+            [spritePath]: JSON.stringify(draft.sprite)
+        };
+    }
+
+    /**
+     * Check a draft and register it for previews and test matches, replacing the previous draft.
+     * The previous draft stays registered when this one has errors.
+     * @param {Object} draft - From createDraft
+     * @param {import('./SchemaValidator.js').default} validator
+     * @returns {{typeName: string|null, spriteName: string|null, errors: string[]}}
+     */
+    static register(draft, validator) {
+        let pack = null;
+        let errors = [];
+        try {
+            ({ pack, errors } = ModPack.parse(this.buildPackFiles(draft), { validator }));
+        } catch (e) {
+            errors = [e.message];
+        }
+        if (!pack) return { typeName: null, spriteName: null, errors };
+        ModPack.register(pack);
+        return {
+            typeName: ModPack.namespaced(this.PACK_ID, draft.definition.TypeName),
+            spriteName: ModPack.namespaced(this.PACK_ID, SpriteFactory._normalizeName(draft.definition.DisplaySprite)),
+            errors: []
+        };
+    }
+
+    static unregister() {
+        ModPack.unregister(this.PACK_ID);
+    }
+
+    /**
+     * Files to commit for a draft: the definition, the sprite and the kind's manifest with the
+     * definition added.
+     * @param {Object} draft - From createDraft
+     * @param {{files: string[]}} manifest - Current manifest of the kind's definitions folder
+     * @returns {{path: string, name: string, text: string}[]} `path` is relative to assets/gamedata
+     */
+    static buildExport(draft, manifest) {
+        const kind = KINDS[draft.kind];
+        const definitionFile = `${draft.definition.TypeName}.${kind.ext}`;
+        const spriteFile = `${SpriteFactory._normalizeName(draft.definition.DisplaySprite)}.json`;
+        const files = Array.isArray(manifest?.files) ? manifest.files.slice() : [];
+        if (!files.includes(definitionFile)) files.push(definitionFile);
+        return [
+            { path: `${kind.definitions}/${definitionFile}`, name: definitionFile, text: `${JSON.stringify(draft.definition, null, 4)}\n` },
+            { path: `${kind.sprites}/${spriteFile}`, name: spriteFile, text: `${JSON.stringify(draft.sprite, null, 4)}\n` },
+            { path: `${kind.definitions}/manifest.json`, name: 'manifest.json', text: `${JSON.stringify({ files }, null, 4)}\n` }
+        ];
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * AIRegistry - AI strategies keyed by difficulty
+ * A strategy plans one turn's placements from a match snapshot (see AIState) and never touches the
+ * live scene; rolling stays with the caller. Strategies implement:
+ *
+ *   chooseActions(state, context) -> Promise<Action[]>
+ *
+ *   { type: 'place',  holder, row, col }   put holder `holder` on an empty cell
+ *   { type: 'merge',  holder, row, col }   merge holder `holder` into the unit on the cell
+ *   { type: 'recall', row, col }           send the unit on the cell back to the holders
+ *
+ * `holder` indexes `state.holders`; a recalled unit joins after them, so the first recall of the
+ * turn becomes holder `state.holders.length`. Actions are applied in order and one that no longer
+ * fits the board is skipped. `context.random` (next/between/pick/shuffle) is for the strategy's own
+ * choices; it must not be the match stream, which replays have to reproduce without the AI.
+ *
+ * Each difficulty also carries the luck factor its seat rolls with (1 = fair dice; 2 doubles the
+ * chance of a six). This module imports no strategies; BuiltinStrategies registers the shipped ones.
+ */
+
+import { DEBUG_MODE } from '../DebugManager.js';
+
+export default class AIRegistry {
+    static DEFAULT = 'medium';
+
+    // Difficulty -> () => strategy
+    static strategies = {};
+
+    // Difficulty -> dice luck factor
+    static luckFactors = {};
+
+    /**
+     * Register (or replace) the strategy for a difficulty.
+     * @param {string} difficulty - Lower-case difficulty key
+     * @param {Function} create - Returns a fresh strategy instance
+     * @param {Object} [options]
+     * @param {number} [options.luckFactor=1] - Dice luck for seats on this difficulty
+     */
+    static register(difficulty, create, { luckFactor = 1 } = {}) {
+        if (!difficulty) throw new Error('AI difficulty is required');
+        if (typeof create !== 'function') throw new Error(`AI strategy for ${difficulty} must be a factory function`);
+        const key = String(difficulty).toLowerCase();
+        this.strategies[key] = create;
+        this.luckFactors[key] = Number(luckFactor) > 0 ? Number(luckFactor) : 1;
+    }
+
+    /**
+     * Registered difficulties, in registration order.
+     * @returns {string[]}
+     */
+    static list() {
+        return Object.keys(this.strategies);
+    }
+
+    /**
+     * @param {string} difficulty
+     * @returns {number} Luck factor; 1 for unknown difficulties
+     */
+    static getLuckFactor(difficulty) {
+        return this.luckFactors[String(difficulty || '').toLowerCase()] || 1;
+    }
+
+    /**
+     * @param {string} difficulty
+     * @returns {boolean}
+     */
+    static has(difficulty) {
+        return !!this.strategies[String(difficulty || '').toLowerCase()];
+    }
+
+    /**
+     * Strategy for a difficulty; unknown difficulties fall back to DEFAULT.
+     * @param {string} difficulty
+     * @returns {Object} Object with chooseActions(state, context)
+     */
+    static create(difficulty) {
+        const key = String(difficulty || '').toLowerCase();
+        const create = this.strategies[key] || this.strategies[this.DEFAULT];
+        if (!create) throw new Error(`No AI strategy registered for ${key || this.DEFAULT}`);
+        if (!this.strategies[key] && DEBUG_MODE) console.warn(`[AIRegistry] Unknown difficulty "${key}", using ${this.DEFAULT}`);
+        return create();
+    }
+}
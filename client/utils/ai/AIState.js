@@ -0,0 +1,188 @@
+/**
+ * AIState - Plain snapshots of a match for AI strategies
+ * `captureAIState` reads a LocalGameScene, MatchSimulation or HeadlessScene into plain data, so a
+ * strategy never touches the live scene; `createSimulationFromState` rebuilds a HeadlessScene from a
+ * snapshot for strategies that want to play combat forward.
+ *
+ * Snapshot shape:
+ *   { rows, cols, board, waves, currentWave, diceCount, switchSides, difficulty, waveScaling, endlessModifiers,
+ *     playerIndex, role, players: [{ name, role, normalLoadout, protoLoadout }],
+ *     zone: [[row, col], ...], zoneColumns: [col, ...],
+ *     units: [unit...], holders: [unit...], puddles: [{ row, col, puddleType, duration }] }
+ *
+ * Each unit is a copy of the unit's plain fields (health, damage, range, level, ...) plus
+ * `owner`, `isDefence`, `row`/`col` (board units only), `maxLevel`, `recallable`, `status` and
+ * `specialEffects`. `zone` lists the cells the acting player may place on, occupied or not;
+ * `holders` only holds the acting player's units, in holder order.
+ */
+
+import BoardFactory from '../factories/BoardFactory.js';
+import DefenceFactory from '../factories/DefenceFactory.js';
+import MonsterFactory from '../factories/MonsterFactory.js';
+import PuddleFactory from '../factories/PuddleFactory.js';
+import RecallFactory from '../factories/RecallFactory.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+import UpgradeFactory from '../factories/UpgradeFactory.js';
+import HeadlessScene from '../HeadlessScene.js';
+
+// Snapshot fields that are not unit fields; restoreUnit handles them itself
+const META_KEYS = new Set(['owner', 'isDefence', 'row', 'col', 'maxLevel', 'recallable', 'status', 'specialEffects']);
+
+const isPlain = (value) => value === null || ['number', 'string', 'boolean'].includes(typeof value);
+
+function copyStatus(status) {
+    return (status || []).map(s => Object.fromEntries(Object.entries(s || {}).filter(([, v]) => isPlain(v))));
+}
+
+function captureUnit(scene, unit, playerIndex) {
+    const isDefence = unit.typeName in DefenceFactory.defenceData;
+    const entry = {};
+    for (const [key, value] of Object.entries(unit)) {
+        if (isPlain(value)) entry[key] = value;
+    }
+    const owner = Number.isInteger(unit._owner)
+        ? unit._owner
+        : scene.players.findIndex(p => p.role === (isDefence ? 'defence' : 'monster'));
+    return {
+        ...entry,
+        owner,
+        isDefence,
+        row: unit.position ? unit.position.row : null,
+        col: unit.position ? unit.position.col : null,
+        level: unit.level || 1,
+        maxLevel: UpgradeFactory.getMaxLevel(unit.typeName),
+        recallable: !!unit.position && !RecallFactory.getBlocker(scene, unit, playerIndex),
+        status: copyStatus(unit.status),
+        specialEffects: Array.isArray(unit.specialEffects) ? unit.specialEffects.slice() : []
+    };
+}
+
+/**
+ * Snapshot the match from one player's point of view.
+ * @param {Object} scene - LocalGameScene, MatchSimulation or HeadlessScene
+ * @param {number} [playerIndex] - Acting player; defaults to the current player
+ * @param {Object} [options]
+ * @param {string} [options.difficulty] - Passed through for strategies that read it
+ * @returns {Object} Snapshot (see the module comment)
+ */
+export function captureAIState(scene, playerIndex = scene.currentPlayer, { difficulty = null } = {}) {
+    const rows = scene.GRID_ROWS || scene.grid.length;
+    const cols = scene.GRID_COLS || (scene.grid[0] || []).length;
+    const role = scene.players[playerIndex]?.role || 'defence';
+
+    const zone = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (BoardFactory.canPlace(scene, role, r, c)) zone.push([r, c]);
+        }
+    }
+
+    const puddles = [];
+    (scene.puddles || []).forEach((row, r) => (row || []).forEach((cell, c) => (cell || []).forEach(p => {
+        if (p) puddles.push({ row: r, col: c, puddleType: p.puddleType || p.typeName || null, duration: p.duration ?? 0 });
+    })));
+
+    return {
+        rows,
+        cols,
+        board: scene.board || null,
+        waves: scene.waves,
+        currentWave: scene.currentWave,
+        diceCount: scene.diceCount || 1,
+        switchSides: !!scene.switchSides,
+        difficulty: difficulty ? String(difficulty).toLowerCase() : null,
+        waveScaling: scene.waveScaling ? { ...scene.waveScaling } : null,
+        endlessModifiers: (scene.endlessModifiers || []).map(m => ({ ...m })),
+        playerIndex,
+        role,
+        players: scene.players.map(p => ({
+            name: p.name,
+            role: p.role,
+            normalLoadout: (p.normalLoadout || []).slice(),
+            protoLoadout: (p.protoLoadout || []).slice()
+        })),
+        zone,
+        zoneColumns: BoardFactory.getZoneColumns(scene, role),
+        units: (scene.units || [])
+            .filter(u => u && u.position && u.currentHealth > 0)
+            .map(u => captureUnit(scene, u, playerIndex)),
+        holders: (scene.holders || [])
+            .filter(h => h && h._owner === playerIndex)
+            .map(h => captureUnit(scene, h, playerIndex)),
+        puddles
+    };
+}
+
+/**
+ * Fresh unit carrying a snapshot unit's stats. It is not on any board.
+ * @param {Object} entry - Unit from a snapshot
+ * @returns {Object|null}
+ */
+export function restoreUnit(entry) {
+    const unit = entry.isDefence ? DefenceFactory.create(entry.typeName) : MonsterFactory.create(entry.typeName);
+    if (!unit) return null;
+    for (const [key, value] of Object.entries(entry)) {
+        if (!META_KEYS.has(key)) unit[key] = value;
+    }
+    unit._owner = entry.owner;
+    unit.status = copyStatus(entry.status);
+    unit.specialEffects = entry.specialEffects.slice();
+    return unit;
+}
+
+/**
+ * Rebuild a snapshot as a HeadlessScene that combat can run on. Board units are put back without
+ * re-running their on-place effects (no second summon); shields and damage boosts are rebuilt.
+ * @param {Object} state - Snapshot from captureAIState
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Seed for the scene's combat stream
+ * @returns {HeadlessScene} Scene with `holders` in snapshot order
+ */
+export function createSimulationFromState(state, { seed = null } = {}) {
+    const scene = new HeadlessScene({
+        rows: state.rows,
+        cols: state.cols,
+        waves: state.waves,
+        switchSides: state.switchSides,
+        seed,
+        historyLimit: 0,
+        board: state.board
+    });
+    scene.diceCount = state.diceCount;
+    scene.currentWave = state.currentWave;
+    scene.waveScaling = state.waveScaling ? { ...state.waveScaling } : null;
+    scene.endlessModifiers = (state.endlessModifiers || []).map(m => ({ ...m }));
+    scene.players = state.players.map(p => ({
+        name: p.name,
+        isAI: true,
+        role: p.role,
+        normalLoadout: p.normalLoadout.slice(),
+        protoLoadout: p.protoLoadout.slice()
+    }));
+    scene.scores = scene.players.map(() => 0);
+    scene.currentPlayer = state.playerIndex;
+
+    for (const entry of state.units) {
+        const cell = scene.grid[entry.row]?.[entry.col];
+        if (!cell || cell.unit) continue;
+        const unit = restoreUnit(entry);
+        if (!unit) continue;
+        unit.position = { row: entry.row, col: entry.col };
+        cell.unit = unit;
+        scene.units.push(unit);
+        if (unit.specialEffects.some(e => e?.Type === 'BlockAllLanes')) {
+            if (!Array.isArray(scene.forceFields[entry.col])) scene.forceFields[entry.col] = [];
+            scene.forceFields[entry.col].push(unit);
+        }
+    }
+    SpecialEffectFactory.recalculateAllDamageBoosts(scene);
+
+    for (const entry of state.holders) {
+        const unit = restoreUnit(entry);
+        if (unit) scene.holders.push(unit);
+    }
+    for (const p of state.puddles) {
+        PuddleFactory.placePuddle(scene, p.row, p.col, { PuddleType: p.puddleType, Duration: p.duration });
+    }
+    return scene;
+}
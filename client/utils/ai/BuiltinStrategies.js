@@ -0,0 +1,24 @@
+/**
+ * BuiltinStrategies - Registers the shipped AI strategies with AIRegistry
+ * Imported for its side effect by whatever needs a bot (LocalGameScene, the batch tools).
+ */
+
+import AIRegistry from './AIRegistry.js';
+import ExpertStrategy from './ExpertStrategy.js';
+import HeuristicStrategy from './HeuristicStrategy.js';
+
+// The rule-based bots make up for their play with luckier dice
+const HEURISTIC_LUCK = {
+    baby: 0.5,
+    easy: 0.75,
+    medium: 1,
+    hard: 1.5,
+    nightmare: 2
+};
+
+Object.entries(HEURISTIC_LUCK).forEach(([difficulty, luckFactor]) => {
+    AIRegistry.register(difficulty, () => new HeuristicStrategy(difficulty), { luckFactor });
+});
+
+// Expert rolls fair dice and relies on its lookahead instead
+AIRegistry.register('expert', () => new ExpertStrategy(), { luckFactor: 1 });
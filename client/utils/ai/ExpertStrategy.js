@@ -0,0 +1,169 @@
+import BoardFactory from '../factories/BoardFactory.js';
+import UpgradeFactory from '../factories/UpgradeFactory.js';
+import { createSimulationFromState } from './AIState.js';
+import HeuristicStrategy from './HeuristicStrategy.js';
+
+// Score of a decided rollout; a later loss still beats an earlier one
+const OUTCOME_SCORE = 10000;
+const WAVE_SURVIVED_SCORE = 100;
+const KILL_SCORE = 40;
+const ADVANCE_SCORE = 15;
+
+/**
+ * ExpertStrategy - Lookahead bot
+ * Rolls fair dice and places holders one at a time: each candidate cell (and each merge) is tried on
+ * copies of the board that play the next few waves forward, with every seat answering like the random
+ * batch bot, and the candidate with the best average outcome is kept. Rollouts share seeds across
+ * candidates so they are compared on the same dice. The hard heuristics only order the candidates.
+ */
+export default class ExpertStrategy extends HeuristicStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.rollouts=3] - Simulated futures per candidate
+     * @param {number} [options.depth=3] - Waves played forward in each future
+     * @param {number} [options.maxCandidates=12] - Candidates tried per holder
+     */
+    constructor({ rollouts = 3, depth = 3, maxCandidates = 12 } = {}) {
+        super('hard');
+        this.rollouts = rollouts;
+        this.depth = depth;
+        this.maxCandidates = maxCandidates;
+    }
+
+    /**
+     * @param {Object} state - Snapshot from captureAIState
+     * @param {Object} context
+     * @param {Object} context.random - Seeded stream for the rollout seeds (see AIRegistry)
+     * @returns {Promise<Object[]>}
+     */
+    async chooseActions(state, { random } = {}) {
+        if (!random) throw new Error('chooseActions needs a seeded context.random');
+        const plan = this._createPlan(state);
+        const isDefence = state.role === 'defence';
+        const seedBase = random.between(0, 0x7fffffff);
+
+        for (const holder of plan.holders.slice()) {
+            const candidates = this._getCandidates(state, plan, holder, isDefence);
+            let best = null;
+            for (const candidate of candidates) {
+                const actions = plan.actions.concat(candidate);
+                let total = 0;
+                for (let i = 0; i < this.rollouts; i++) {
+                    total += await this._rollout(state, actions, `${seedBase}-${i}`);
+                }
+                if (!best || total > best.score) best = { candidate, score: total };
+                // Give the renderer a frame between candidates
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            if (!best) continue;
+
+            const { type, row, col } = best.candidate;
+            if (type === 'merge') plan.merge(holder, plan.units.find(u => u.row === row && u.col === col));
+            else plan.place(holder, row, col);
+        }
+        return plan.actions;
+    }
+
+    /**
+     * Merges into every matching unit, then the first two open cells of each row in the holder's
+     * preferred column order, rows ordered by the hard heuristics.
+     * @private
+     */
+    _getCandidates(state, plan, holder, isDefence) {
+        const candidates = plan.units
+            .filter(u => plan.canMerge(holder, u))
+            .map(u => ({ type: 'merge', holder: holder.index, row: u.row, col: u.col }));
+
+        const analysis = this._analyzeGrid({ ...state, units: plan.units }, isDefence);
+        const rows = this._getStrategicRowPriority(state, isDefence, analysis);
+        const cols = this._getColOrderForUnit(state, holder, isDefence);
+        for (const row of rows) {
+            cols.filter(col => plan.isOpen(row, col)).slice(0, 2)
+                .forEach(col => candidates.push({ type: 'place', holder: holder.index, row, col }));
+        }
+        return candidates.slice(0, this.maxCandidates);
+    }
+
+    /**
+     * Play one future: apply the actions, then resolve up to `depth` waves.
+     * @private
+     * @returns {Promise<number>} Score for the acting player
+     */
+    async _rollout(state, actions, seed) {
+        const sim = createSimulationFromState(state, { seed });
+        const holders = sim.holders.slice();
+        for (const action of actions) {
+            const holder = holders[action.holder];
+            if (action.type === 'merge') UpgradeFactory.merge(sim, holder, sim.grid[action.row]?.[action.col]?.unit);
+            else if (action.type === 'place') sim._placeUnitOnGrid(holder, action.row, action.col);
+        }
+
+        const start = { kills: sim.defeatedMonsters, losses: sim.destroyedDefences, wave: sim.currentWave };
+        let outcome = null;
+        for (let d = 0; d < this.depth && outcome === null; d++) {
+            // The defence plays first, so only the monsters still answer this wave's defence turn
+            sim.players.forEach((player) => {
+                if (d === 0 && !(state.role === 'defence' && player.role === 'monster')) return;
+                this._playRandomTurn(sim, player, state.diceCount);
+            });
+
+            await sim.resolveCombatRound();
+            if (sim.checkLose()) {
+                outcome = -OUTCOME_SCORE + (sim.currentWave - start.wave) * WAVE_SURVIVED_SCORE;
+                break;
+            }
+            sim.currentWave++;
+            if (sim.checkWin()) {
+                outcome = OUTCOME_SCORE;
+                break;
+            }
+            sim.startWave();
+        }
+
+        const score = outcome ?? this._evaluate(sim, start);
+        return state.role === 'defence' ? score : -score;
+    }
+
+    /**
+     * Roll a seat's dice and drop the units on random open cells of its zone. A six becomes a
+     * random prototype from the lineup.
+     * @private
+     */
+    _playRandomTurn(sim, player, diceCount) {
+        const rng = sim._rng;
+        for (let i = 0; i < diceCount; i++) {
+            const value = rng.between(1, 6);
+            const typeName = value === 6
+                ? (player.protoLoadout.length ? rng.pick(player.protoLoadout) : null)
+                : player.normalLoadout[value - 1];
+            if (!typeName) continue;
+            const open = [];
+            for (let r = 0; r < sim.GRID_ROWS; r++) {
+                for (let c = 0; c < sim.GRID_COLS; c++) {
+                    if (!sim.grid[r][c].unit && BoardFactory.canPlace(sim, player.role, r, c)) open.push([r, c]);
+                }
+            }
+            const cell = rng.pick(open);
+            if (cell) sim.spawnUnit(typeName, cell[0], cell[1]);
+        }
+    }
+
+    /**
+     * Undecided board from the defence's point of view: trades, what is left standing on each side
+     * and how far the monsters have pushed.
+     * @private
+     */
+    _evaluate(sim, start) {
+        let score = (sim.defeatedMonsters - start.kills) * KILL_SCORE - (sim.destroyedDefences - start.losses) * KILL_SCORE;
+        for (const unit of sim.units) {
+            if (!unit.position || !(unit.currentHealth > 0)) continue;
+            const worth = unit.currentHealth + 3 * Number(unit.damage || 0);
+            if (sim.players[sim._resolveOwnerIndexForUnit(unit)]?.role === 'defence') {
+                score += worth;
+            } else {
+                score -= worth + (sim.GRID_COLS - 1 - unit.position.col) * ADVANCE_SCORE;
+            }
+        }
+        return score;
+    }
+}
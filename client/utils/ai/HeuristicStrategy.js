@@ -0,0 +1,508 @@
+const STRATEGIC_DIFFS = ['hard', 'nightmare'];
+
+/**
+ * HeuristicStrategy - The rule-based bots behind Baby through Nightmare
+ * Difficulty narrows or widens the rows a bot uses, how it orders them (fixed, shuffled or by
+ * threat), whether it merges into contested lanes and whether it recalls units to make room.
+ * Each holder is placed by its profile: walls and traps up front, long range and support at the back.
+ */
+export default class HeuristicStrategy {
+    /**
+     * @param {string} [difficulty='medium'] - baby, easy, medium, hard or nightmare
+     */
+    constructor(difficulty = 'medium') {
+        this.difficulty = String(difficulty || 'medium').toLowerCase();
+    }
+
+    /**
+     * Plan the turn's merges, recalls and placements (see AIRegistry for the action format).
+     * @param {Object} state - Snapshot from captureAIState
+     * @param {Object} context
+     * @param {Object} context.random - Seeded stream for shuffled row orders (see AIRegistry)
+     * @returns {Promise<Object[]>}
+     */
+    async chooseActions(state, { random } = {}) {
+        if (!random) throw new Error('chooseActions needs a seeded context.random');
+        const plan = this._createPlan(state);
+        const diff = this.difficulty;
+        const isDefence = state.role === 'defence';
+        const analysis = this._analyzeGrid(state, isDefence);
+
+        const recallTarget = this._getRecallTarget(plan, analysis);
+        if (recallTarget) plan.recall(recallTarget);
+        const toPlace = plan.holders.slice();
+        // The freed cell is meant for a prototype, so those go first
+        if (recallTarget) toPlace.sort((a, b) => Number(!!b.isProto) - Number(!!a.isProto));
+
+        const threatEnabled = isDefence && STRATEGIC_DIFFS.includes(diff);
+        const easyDiffs = ['baby', 'easy', 'medium'];
+        const emergencyThresholdByDiff = {
+            baby: 4,
+            easy: 4,
+            medium: 3
+        };
+        const emergencyThreshold = emergencyThresholdByDiff[diff] ?? 2;
+        const urgentDefenceRows = (isDefence && easyDiffs.includes(diff))
+            ? Object.keys(analysis.enemyFrontCol || {})
+                .map(k => Number(k))
+                .filter(r => Number.isFinite(r))
+                .filter(r => Number.isFinite(analysis.enemyFrontCol?.[r]) && (analysis.enemyFrontCol[r] <= emergencyThreshold))
+                .sort((a, b) => (analysis.enemyFrontCol[a] ?? 99) - (analysis.enemyFrontCol[b] ?? 99))
+            : [];
+        const emergencyEnabled = isDefence && easyDiffs.includes(diff) && urgentDefenceRows.length > 0;
+        const nearWinconThreat = isDefence && urgentDefenceRows.some((r) => (analysis.enemyFrontCol?.[r] ?? 99) <= 1);
+        const spreadRowsEnabled = (state.diceCount || 1) >= 2 && ['medium', 'hard', 'nightmare'].includes(diff);
+        const usedPlacementRows = new Set();
+        const prioritizeUnusedRows = (rows = []) => {
+            if (!spreadRowsEnabled || !Array.isArray(rows) || rows.length === 0) return rows;
+            const uniqueRows = rows.filter((row, idx) => rows.indexOf(row) === idx);
+            const unseen = uniqueRows.filter((row) => !usedPlacementRows.has(row));
+            const seen = uniqueRows.filter((row) => usedPlacementRows.has(row));
+            return [...unseen, ...seen];
+        };
+        const mergeRowPriority = (baseRows = []) => {
+            const out = [];
+            const pushUnique = (rows) => {
+                if (!Array.isArray(rows)) return;
+                rows.forEach((row) => {
+                    if (!Number.isFinite(row)) return;
+                    if (!out.includes(row)) out.push(row);
+                });
+            };
+            pushUnique(urgentDefenceRows);
+            pushUnique(baseRows);
+            return out;
+        };
+        const tryPlaceWithPriority = (unit, rowOrder, colOrder, allowThreatSort = true) => {
+            for (let ri = 0; ri < rowOrder.length; ri++) {
+                const r = rowOrder[ri];
+                let nextColOrder = colOrder;
+                if (allowThreatSort && threatEnabled) {
+                    const threatCol = analysis.enemyFrontCol?.[r];
+                    if (Number.isFinite(threatCol)) {
+                        nextColOrder = colOrder.slice().sort((a, b) => {
+                            const da = Math.abs(a - threatCol);
+                            const db = Math.abs(b - threatCol);
+                            if (da === db) return a - b;
+                            return da - db;
+                        });
+                    }
+                }
+                for (let ci = 0; ci < nextColOrder.length; ci++) {
+                    const c = nextColOrder[ci];
+                    if (plan.isOpen(r, c)) return plan.place(unit, r, c);
+                }
+            }
+            return false;
+        };
+
+        for (const unit of toPlace) {
+            const mergeTarget = this._getMergeTarget(plan, unit, analysis);
+            if (mergeTarget && plan.merge(unit, mergeTarget)) continue;
+
+            let placed = false;
+            const profile = this._getUnitPlacementProfile(unit);
+            const unitRange = Number(unit?.range);
+            const isRangeBelowThree = Number.isFinite(unitRange) && unitRange > 0 && unitRange < 3;
+            const hasBlindSpot = !!unit?.hasBlindSpot || !!unit?.HasBlindSpot || Number(unit?.blindRange || unit?.BlindRange || 0) > 0;
+            const avoidFrontForBlindSpot = isDefence && threatEnabled && hasBlindSpot;
+            const rowPriority = prioritizeUnusedRows(mergeRowPriority(this._getRowPriorityForUnit(state, isDefence, unit, analysis, random)));
+            const baseColOrder = this._getColOrderForUnit(state, unit, isDefence);
+            const preferredCols = avoidFrontForBlindSpot ? this._getBackToFrontColumns(state, isDefence) : baseColOrder;
+
+            // Medium and lower defence bots: emergency-first placement pass.
+            // This ensures immediate responses on collapsing lanes before normal heuristics.
+            if (!placed && emergencyEnabled) {
+                let emergencyCols = preferredCols;
+                const mediumBacklineBias = (diff === 'medium') && isRangeBelowThree && !profile.isWall && nearWinconThreat;
+                const frontResponder = !(profile.isTrap || profile.isBackline || profile.isSupport || avoidFrontForBlindSpot || mediumBacklineBias);
+                if (frontResponder) emergencyCols = this._getFrontToBackColumns(state, true);
+                placed = tryPlaceWithPriority(unit, prioritizeUnusedRows(urgentDefenceRows), emergencyCols, false);
+            }
+
+            // Standard placement for all difficulties
+            if (!placed) {
+                placed = tryPlaceWithPriority(unit, rowPriority, preferredCols, !avoidFrontForBlindSpot);
+            }
+
+            // Fallback to any valid side cell when preferred rows are blocked.
+            if (!placed) {
+                const fallbackRows = prioritizeUnusedRows(mergeRowPriority(this._getCenterOutRowOrder(state)));
+                const fallbackCols = avoidFrontForBlindSpot
+                    ? this._getBackToFrontColumns(state, isDefence)
+                    : this._getMidOutColumns(state, isDefence);
+                placed = tryPlaceWithPriority(unit, fallbackRows, fallbackCols, false);
+            }
+
+            if (placed && spreadRowsEnabled && Number.isFinite(unit.row)) {
+                usedPlacementRows.add(unit.row);
+            }
+        }
+
+        return plan.actions;
+    }
+
+    /**
+     * Working copy of the snapshot that tracks the turn's actions as they are planned.
+     * @private
+     */
+    _createPlan(state) {
+        const units = state.units.map(u => ({ ...u }));
+        const holders = state.holders.map((h, index) => ({ ...h, index }));
+        const zone = new Set(state.zone.map(([r, c]) => `${r},${c}`));
+        const occupied = new Map(units.map(u => [`${u.row},${u.col}`, u]));
+        let nextHolder = holders.length;
+        const plan = {
+            state,
+            units,
+            holders,
+            actions: [],
+            isOpen: (r, c) => zone.has(`${r},${c}`) && !occupied.has(`${r},${c}`),
+            hasPlacement: () => state.zone.some(([r, c]) => !occupied.has(`${r},${c}`)),
+            canMerge: (holder, target) => holder !== target
+                && holders.includes(holder) && units.includes(target)
+                && target.currentHealth > 0
+                && holder.typeName === target.typeName && holder.owner === target.owner
+                && (target.level || 1) < (target.maxLevel || 1),
+            place(holder, row, col) {
+                holders.splice(holders.indexOf(holder), 1);
+                holder.row = row;
+                holder.col = col;
+                units.push(holder);
+                occupied.set(`${row},${col}`, holder);
+                plan.actions.push({ type: 'place', holder: holder.index, row, col });
+                return true;
+            },
+            merge(holder, target) {
+                if (!plan.canMerge(holder, target)) return false;
+                holders.splice(holders.indexOf(holder), 1);
+                target.level = (target.level || 1) + 1;
+                plan.actions.push({ type: 'merge', holder: holder.index, row: target.row, col: target.col });
+                return true;
+            },
+            recall(unit) {
+                plan.actions.push({ type: 'recall', row: unit.row, col: unit.col });
+                occupied.delete(`${unit.row},${unit.col}`);
+                units.splice(units.indexOf(unit), 1);
+                holders.push({ ...unit, row: null, col: null, index: nextHolder++ });
+            }
+        };
+        return plan;
+    }
+
+    _getValidRows(state, isDefence) {
+        const rowCount = state.rows;
+        const allRows = Array.from({ length: rowCount }, (_, i) => i);
+
+        switch (this.difficulty) {
+            case 'baby':
+                return isDefence ? [0] : [Math.max(0, rowCount - 1)];
+            case 'easy':
+                return isDefence
+                    ? [0, 1].filter(r => r < rowCount)
+                    : [rowCount - 1, rowCount - 2].filter(r => r >= 0);
+            case 'medium':
+            case 'hard':
+            case 'nightmare':
+            default:
+                return allRows;
+        }
+    }
+
+    _getCenterOutRowOrder(state) {
+        const rowCount = state.rows;
+        const center = (rowCount - 1) / 2;
+        return Array.from({ length: rowCount }, (_, i) => i).sort((a, b) => {
+            const da = Math.abs(a - center);
+            const db = Math.abs(b - center);
+            if (da === db) return a - b;
+            return da - db;
+        });
+    }
+
+    _getRowPriority(state, isDefence, random) {
+        const validRows = this._getValidRows(state, isDefence);
+
+        switch (this.difficulty) {
+            case 'baby':
+                // Single row, no priority needed
+                return validRows;
+            case 'easy':
+                // Prioritize rows closest to center
+                return isDefence
+                    ? validRows.slice().sort((a, b) => a - b)
+                    : validRows.slice().sort((a, b) => b - a);
+            case 'medium':
+                // Random shuffle for medium
+                return random.shuffle(validRows);
+            case 'hard':
+            case 'nightmare':
+                // Strategic: center first, then spread out
+                return this._getCenterOutRowOrder(state).filter(r => validRows.includes(r));
+            default:
+                return this._getCenterOutRowOrder(state);
+        }
+    }
+
+    _getFrontToBackColumns(state, isDefence) {
+        const cols = state.zoneColumns;
+        return isDefence ? cols.slice().sort((a, b) => b - a) : cols.slice().sort((a, b) => a - b);
+    }
+
+    _getBackToFrontColumns(state, isDefence) {
+        const cols = this._getFrontToBackColumns(state, isDefence);
+        return cols.slice().reverse();
+    }
+
+    _getMidOutColumns(state, isDefence) {
+        const cols = state.zoneColumns;
+        if (!cols.length) return cols;
+        const mid = (cols[0] + cols[cols.length - 1]) / 2;
+        return cols.slice().sort((a, b) => {
+            const da = Math.abs(a - mid);
+            const db = Math.abs(b - mid);
+            if (da === db) return isDefence ? b - a : a - b;
+            return da - db;
+        });
+    }
+
+    _getUnitPlacementProfile(unit) {
+        const range = Number(unit?.range ?? 0);
+        const hasBlindSpot = !!unit?.hasBlindSpot || Number(unit?.blindRange || 0) > 0;
+        const hasDeathDamage = Array.isArray(unit?.specialEffects) &&
+            unit.specialEffects.some(e => e?.Type === 'DeathEffect' && Number(e?.DeathDamage || 0) > 0);
+        const isTrap = !!unit?.canBeTrampled || hasDeathDamage;
+        const isWall = !!unit?.dontAttack || unit?.damage === null || Number(unit?.damage || 0) === 0;
+        const isLongRange = Number.isFinite(range) && range >= 6;
+        const isShortRange = Number.isFinite(range) && range <= 2;
+        const isSupport = Array.isArray(unit?.specialEffects) &&
+            unit.specialEffects.some(e => ['HealAllies', 'DamageBooster', 'SummonUnit', 'Purge'].includes(e?.Type));
+        const isFast = Number.isFinite(unit?.speed) && Number(unit.speed) >= 2;
+        const isBackline = hasBlindSpot || !!unit?.backTargeting || isLongRange;
+        const isFrontline = (isWall && !isSupport) || isTrap || isShortRange || isFast;
+
+        const overrideMap = {
+            ForceField: 'frontline',
+            ShockBlaster: 'generalist',
+            SniperTower: 'generalist',
+            MicroSentry: 'generalist',
+            Multishot: 'generalist',
+            BoomCannon: 'generalist',
+            LazorBeam: 'generalist',
+            SIMO: 'generalist'
+        };
+        const override = unit?.typeName ? overrideMap[unit.typeName] : null;
+
+        if (override) {
+            return {
+                isTrap,
+                isWall,
+                isLongRange,
+                isShortRange,
+                isSupport,
+                isFast,
+                isBackline: override === 'backline',
+                isFrontline: override === 'frontline',
+                isGeneralist: override === 'generalist'
+            };
+        }
+
+        return {
+            isTrap,
+            isWall,
+            isLongRange,
+            isShortRange,
+            isSupport,
+            isFast,
+            isBackline,
+            isFrontline,
+            isGeneralist: false
+        };
+    }
+
+    _getColOrderForUnit(state, unit, isDefence) {
+        const isLowDiff = (this.difficulty === 'baby' || this.difficulty === 'easy');
+        const profile = this._getUnitPlacementProfile(unit);
+
+        if (isDefence && !isLowDiff) {
+            const typeName = String(unit?.typeName || '');
+            const unitRange = Number(unit?.range);
+            const isRangeBelowThree = Number.isFinite(unitRange) && unitRange > 0 && unitRange < 3;
+            if (typeName === 'Landmine' || profile.isTrap) {
+                return this._getBackToFrontColumns(state, true);
+            }
+            if (isRangeBelowThree && !profile.isWall) {
+                return this._getMidOutColumns(state, true);
+            }
+        }
+
+        if (profile.isFrontline) return this._getFrontToBackColumns(state, isDefence);
+        if (profile.isBackline || profile.isSupport) return this._getBackToFrontColumns(state, isDefence);
+        return this._getMidOutColumns(state, isDefence);
+    }
+
+    _getRowPriorityForUnit(state, isDefence, unit, analysis, random) {
+        const strategic = STRATEGIC_DIFFS.includes(this.difficulty);
+        const base = strategic
+            ? this._getStrategicRowPriority(state, isDefence, analysis)
+            : this._getRowPriority(state, isDefence, random);
+
+        const profile = this._getUnitPlacementProfile(unit);
+        const rank = (row) => base.indexOf(row);
+        const threatEnabled = isDefence && strategic;
+        const threatCol = (row) => {
+            const col = analysis.enemyFrontCol?.[row];
+            return Number.isFinite(col) ? col : 999;
+        };
+        if (profile.isFrontline || profile.isWall || profile.isTrap) {
+            return base.slice().sort((a, b) => {
+                if (threatEnabled) {
+                    const ta = threatCol(a);
+                    const tb = threatCol(b);
+                    if (ta !== tb) return ta - tb;
+                }
+                const ea = Number(analysis.enemyPresence?.[a] || 0);
+                const eb = Number(analysis.enemyPresence?.[b] || 0);
+                if (ea === eb) return rank(a) - rank(b);
+                return isDefence ? (eb - ea) : (ea - eb);
+            });
+        }
+        if (profile.isBackline || profile.isSupport || profile.isLongRange) {
+            return base.slice().sort((a, b) => {
+                if (threatEnabled) {
+                    const ta = threatCol(a);
+                    const tb = threatCol(b);
+                    if (ta !== tb) return ta - tb;
+                }
+                const ea = Number(analysis.enemyPresence?.[a] || 0);
+                const eb = Number(analysis.enemyPresence?.[b] || 0);
+                if (ea === eb) return rank(a) - rank(b);
+                return isDefence ? (ea - eb) : (eb - ea);
+            });
+        }
+        return base;
+    }
+
+    /**
+     * Per-lane unit counts and the enemy closest to breaking through, from the acting side's view.
+     * @returns {{weakLanes: number[], strongLanes: number[], emptyLanes: number[], enemyPresence: Object, friendlyPresence: Object, enemyFrontCol: Object}}
+     */
+    _analyzeGrid(state, isDefence) {
+        const analysis = {
+            weakLanes: [],
+            strongLanes: [],
+            emptyLanes: [],
+            enemyPresence: {},
+            friendlyPresence: {},
+            enemyFrontCol: {}
+        };
+
+        for (let row = 0; row < state.rows; row++) {
+            let enemyCount = 0;
+            let friendlyCount = 0;
+            let nearestEnemyCol = null;
+
+            for (const unit of state.units) {
+                if (unit.row !== row) continue;
+                const col = unit.col;
+                if (unit.isDefence === isDefence) {
+                    friendlyCount++;
+                } else {
+                    enemyCount++;
+                    // Defence watches the leftmost monster, monsters the rightmost defence
+                    if (nearestEnemyCol === null || (isDefence ? col < nearestEnemyCol : col > nearestEnemyCol)) {
+                        nearestEnemyCol = col;
+                    }
+                }
+            }
+
+            analysis.enemyPresence[row] = enemyCount;
+            analysis.friendlyPresence[row] = friendlyCount;
+            analysis.enemyFrontCol[row] = nearestEnemyCol;
+
+            if (enemyCount + friendlyCount === 0) {
+                analysis.emptyLanes.push(row);
+            } else if (enemyCount > friendlyCount) {
+                analysis.weakLanes.push(row);
+            } else if (friendlyCount > enemyCount) {
+                analysis.strongLanes.push(row);
+            }
+        }
+
+        return analysis;
+    }
+
+    _getStrategicRowPriority(state, isDefence, analysis) {
+        const priority = [];
+        const pushUnique = (items) => {
+            if (!Array.isArray(items)) return;
+            items.forEach((row) => {
+                if (!priority.includes(row)) priority.push(row);
+            });
+        };
+
+        const threatRows = Object.keys(analysis.enemyFrontCol || {})
+            .map(r => Number(r))
+            .filter(r => Number.isFinite(r))
+            .filter(r => Number.isFinite(analysis.enemyFrontCol?.[r]))
+            .sort((a, b) => (analysis.enemyFrontCol[a] ?? 999) - (analysis.enemyFrontCol[b] ?? 999));
+        const urgentThreats = threatRows.filter(r => (analysis.enemyFrontCol?.[r] ?? 99) <= 1);
+        const nearThreats = threatRows.filter(r => (analysis.enemyFrontCol?.[r] ?? 99) > 1);
+
+        if (isDefence) {
+            // Stop the nearest threats first, then shore up weak and empty lanes
+            pushUnique(urgentThreats);
+            pushUnique(nearThreats);
+            pushUnique(analysis.weakLanes);
+            pushUnique(analysis.emptyLanes);
+        } else if (this.difficulty === 'nightmare') {
+            // Nightmare monsters attack lanes where defences are few
+            pushUnique(analysis.weakLanes);
+            pushUnique(analysis.emptyLanes);
+        } else {
+            // Hard monsters target undefended lanes
+            pushUnique(analysis.emptyLanes);
+            pushUnique(analysis.weakLanes);
+        }
+        pushUnique(this._getCenterOutRowOrder(state).filter(r => !priority.includes(r)));
+
+        return priority;
+    }
+
+    /**
+     * Placed unit to merge a holder into, or null to place the holder as a new unit.
+     * Once the zone is full every bot merges; otherwise medium bots reinforce lanes they are losing
+     * and hard bots any lane with enemies in it. The most contested lane wins, then the lowest level.
+     */
+    _getMergeTarget(plan, unit, analysis) {
+        const candidates = plan.units.filter(u => plan.canMerge(unit, u));
+        if (!candidates.length) return null;
+        const enemies = (u) => analysis?.enemyPresence?.[u.row] || 0;
+        candidates.sort((a, b) => (enemies(b) - enemies(a)) || ((a.level || 1) - (b.level || 1)));
+        const best = candidates[0];
+
+        if (!plan.hasPlacement()) return best;
+        if (STRATEGIC_DIFFS.includes(this.difficulty)) return enemies(best) > 0 ? best : null;
+        if (this.difficulty === 'medium') return (analysis?.weakLanes || []).includes(best.row) ? best : null;
+        return null;
+    }
+
+    /**
+     * Placed unit to recall to make room for a prototype, or null.
+     * Only when the zone is full and a prototype holder can neither be placed nor merged: medium and
+     * harder bots then pull back a level 1 regular unit from a lane with no enemies, the most damaged first.
+     */
+    _getRecallTarget(plan, analysis) {
+        if (!['medium', 'hard', 'nightmare'].includes(this.difficulty)) return null;
+        if (plan.hasPlacement()) return null;
+        const stranded = plan.holders.some(h => h.isProto && !plan.units.some(u => plan.canMerge(h, u)));
+        if (!stranded) return null;
+
+        const candidates = plan.units.filter(u => u.recallable && !u.isProto && (u.level || 1) === 1
+            && !(analysis?.enemyPresence?.[u.row] > 0));
+        if (!candidates.length) return null;
+        const healthLeft = (u) => (u.health > 0 ? u.currentHealth / u.health : 1);
+        candidates.sort((a, b) => healthLeft(a) - healthLeft(b));
+        return candidates[0];
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * TournamentRunner - Round-robin between AI difficulties on headless boards
+ * Every pairing of entrants plays `matchesPerPairing` matches on each board size and dice count,
+ * swapping sides between matches. Matches run on a HeadlessScene with the same turn rules as a local
+ * game: defence then monsters, each seat rolling with its difficulty's luck factor (see AIRegistry)
+ * and placing whatever its strategy chooses, then one combat round. Lineups are random per seat, as
+ * they are for AI seats in LocalGameScene, and the whole run is reproducible for the same seed.
+ */
+
+import RandomManager from '../RandomManager.js';
+import BoardFactory from '../factories/BoardFactory.js';
+import CombatFactory from '../factories/CombatFactory.js';
+import DefenceFactory from '../factories/DefenceFactory.js';
+import MonsterFactory from '../factories/MonsterFactory.js';
+import RecallFactory from '../factories/RecallFactory.js';
+import UpgradeFactory from '../factories/UpgradeFactory.js';
+import HeadlessScene from '../HeadlessScene.js';
+import AIRegistry from './AIRegistry.js';
+import { captureAIState } from './AIState.js';
+
+// Same cap as rolling in a local game
+const MAX_HOLDERS = 10;
+
+function randomLoadout(rng, isDefence, isProto) {
+    const pool = isDefence
+        ? (isProto ? DefenceFactory.getProtos() : DefenceFactory.getNormals())
+        : (isProto ? MonsterFactory.getProtos() : MonsterFactory.getNormals());
+    const names = pool
+        .filter(u => u && !u.ExcludeFromRandomLoadouts && !u.IsDevOnly && !/^test/i.test(String(u.TypeName || '')))
+        .map(u => u.TypeName);
+    return names.length >= 5 ? rng.shuffle(names).slice(0, 5) : names;
+}
+
+// AI seats in LocalGameScene roll a six with chance luckFactor/6
+function rollDie(rng, luckFactor) {
+    return rng.next() < (1 / 6) * luckFactor ? 6 : rng.between(1, 5);
+}
+
+export default class TournamentRunner {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.entrants - Difficulties registered with AIRegistry (two or more)
+     * @param {number} [options.matchesPerPairing=2] - Matches per pairing, board and dice count
+     * @param {{rows: number, cols: number}[]} [options.boards] - Board sizes to play on
+     * @param {number[]} [options.diceCounts=[1]] - Dice counts to play with
+     * @param {number} [options.waves=20] - Waves per match
+     * @param {string} [options.seed='tournament'] - Seed for the whole run
+     */
+    constructor({ entrants, matchesPerPairing = 2, boards = [{ rows: 5, cols: 9 }], diceCounts = [1], waves = 20, seed = 'tournament' } = {}) {
+        const unique = [...new Set((entrants || []).map(e => String(e).toLowerCase()))];
+        const unknown = unique.filter(e => !AIRegistry.has(e));
+        if (unknown.length) throw new Error(`Unknown AI difficulty: ${unknown.join(', ')}`);
+        if (unique.length < 2) throw new Error('A tournament needs at least two entrants');
+
+        this.entrants = unique;
+        this.waves = waves;
+        this.seed = String(seed);
+        this.schedule = [];
+        for (let a = 0; a < unique.length; a++) {
+            for (let b = a + 1; b < unique.length; b++) {
+                for (const board of boards) {
+                    for (const diceCount of diceCounts) {
+                        for (let m = 0; m < matchesPerPairing; m++) {
+                            const [defence, monster] = m % 2 === 0 ? [unique[a], unique[b]] : [unique[b], unique[a]];
+                            this.schedule.push({ defence, monster, rows: board.rows, cols: board.cols, diceCount });
+                        }
+                    }
+                }
+            }
+        }
+        this.results = [];
+        this._cancelled = false;
+    }
+
+    get total() {
+        return this.schedule.length;
+    }
+
+    cancel() {
+        this._cancelled = true;
+    }
+
+    /**
+     * Play the schedule in order, yielding between matches so a scene can keep drawing.
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - `(done, total, standings) => void` after each match
+     * @returns {Promise<Object[]>} Final standings (see getStandings)
+     */
+    async run({ onProgress = null } = {}) {
+        for (let i = this.results.length; i < this.schedule.length && !this._cancelled; i++) {
+            const match = this.schedule[i];
+            const result = await TournamentRunner.playMatch({ ...match, waves: this.waves, seed: `${this.seed}-${i}` });
+            this.results.push({ ...match, ...result });
+            if (typeof onProgress === 'function') onProgress(this.results.length, this.total, this.getStandings());
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return this.getStandings();
+    }
+
+    /**
+     * Standings so far, best first: most wins, then best win rate, then most waves survived on defence.
+     * @returns {{name: string, played: number, wins: number, losses: number, winRate: number,
+     *   defenceWins: number, defencePlayed: number, monsterWins: number, monsterPlayed: number, defenceWaves: number}[]}
+     */
+    getStandings() {
+        const table = Object.fromEntries(this.entrants.map(name => [name, {
+            name, played: 0, wins: 0, losses: 0, winRate: 0,
+            defenceWins: 0, defencePlayed: 0, monsterWins: 0, monsterPlayed: 0, defenceWaves: 0
+        }]));
+        for (const r of this.results) {
+            const def = table[r.defence];
+            const mon = table[r.monster];
+            def.played++;
+            mon.played++;
+            def.defencePlayed++;
+            mon.monsterPlayed++;
+            def.defenceWaves += r.wavesSurvived;
+            if (r.win) {
+                def.wins++;
+                def.defenceWins++;
+                mon.losses++;
+            } else {
+                mon.wins++;
+                mon.monsterWins++;
+                def.losses++;
+            }
+        }
+        return Object.values(table)
+            .map(e => ({ ...e, winRate: e.played ? e.wins / e.played : 0 }))
+            .sort((a, b) => (b.wins - a.wins) || (b.winRate - a.winRate) || (b.defenceWaves - a.defenceWaves));
+    }
+
+    /**
+     * Play one match to the end.
+     * @param {Object} match
+     * @param {string} match.defence - Defence difficulty
+     * @param {string} match.monster - Monster difficulty
+     * @param {number} match.rows - Board rows
+     * @param {number} match.cols - Board columns
+     * @param {number} match.diceCount - Dice per roll
+     * @param {number} match.waves - Waves the defence must survive
+     * @param {string} match.seed - Match seed
+     * @returns {Promise<{win: boolean, wavesSurvived: number}>} `win` is the defence's
+     */
+    static async playMatch({ defence, monster, rows, cols, diceCount, waves, seed }) {
+        const scene = new HeadlessScene({ rows, cols, waves, seed, historyLimit: 0 });
+        scene.diceCount = diceCount;
+        const difficulties = [defence, monster];
+        scene.players.forEach((p, i) => {
+            const isDefence = p.role === 'defence';
+            p.name = difficulties[i];
+            p.isAI = true;
+            p.normalLoadout = randomLoadout(scene._rng, isDefence, false);
+            p.protoLoadout = randomLoadout(scene._rng, isDefence, true);
+        });
+        const strategies = difficulties.map(d => AIRegistry.create(d));
+        // Strategy choices get their own stream so they never shift the dice
+        const botRng = RandomManager.createMatchRandom(`${seed}-bot`);
+
+        for (;;) {
+            for (const playerIndex of [0, 1]) {
+                await this._playTurn(scene, playerIndex, difficulties[playerIndex], strategies[playerIndex], botRng);
+            }
+            const { win } = await scene.runWaves(1);
+            if (win !== null) return { win, wavesSurvived: scene.currentWave - 1 };
+        }
+    }
+
+    static async _playTurn(scene, playerIndex, difficulty, strategy, botRng) {
+        scene.currentPlayer = playerIndex;
+        const player = scene.players[playerIndex];
+        const luckFactor = AIRegistry.getLuckFactor(difficulty);
+        const holderCount = () => scene.holders.filter(h => h._owner === playerIndex).length;
+        const summon = (typeName) => {
+            if (typeName && holderCount() < MAX_HOLDERS) CombatFactory.summonUnit(scene, typeName);
+        };
+
+        if (holderCount() < MAX_HOLDERS) {
+            let protoDice = 0;
+            for (let i = 0; i < scene.diceCount; i++) {
+                const value = rollDie(scene._rng, luckFactor);
+                if (value !== 6) summon(player.normalLoadout[value - 1]);
+                else if (!RecallFactory.consumePenalty(player)) protoDice++;
+            }
+            for (let i = 0; i < protoDice && holderCount() < MAX_HOLDERS; i++) {
+                const value = rollDie(scene._rng, luckFactor);
+                summon(value === 6 ? scene._rng.pick(player.protoLoadout) : player.protoLoadout[value - 1]);
+            }
+        }
+
+        const holderRefs = scene.holders.filter(h => h._owner === playerIndex);
+        const actions = await strategy.chooseActions(captureAIState(scene, playerIndex, { difficulty }), { random: botRng });
+        for (const action of actions) {
+            const cell = scene.grid[action.row]?.[action.col];
+            if (action.type === 'recall') {
+                const unit = cell?.unit;
+                if (unit && RecallFactory.recall(scene, unit, playerIndex)) holderRefs.push(unit);
+                continue;
+            }
+            const holder = holderRefs[action.holder];
+            if (!holder || !scene.holders.includes(holder)) continue;
+            if (action.type === 'merge') {
+                UpgradeFactory.merge(scene, holder, cell?.unit);
+            } else if (action.type === 'place' && cell && !cell.unit && BoardFactory.canPlace(scene, player.role, action.row, action.col)) {
+                scene._placeUnitOnGrid(holder, action.row, action.col);
+            }
+        }
+    }
+}
@@ -0,0 +1,9 @@
+/**
+ * Accuracy - Hit chance rolled between MinValue and MaxValue; CombatFactory reads the range when attacking.
+ */
+export default {
+    onPlace(unit, effect) {
+        effect.MinValue = effect.MinValue || 0.0;
+        effect.MaxValue = effect.MaxValue || 1.0;
+    }
+};
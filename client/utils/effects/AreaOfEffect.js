@@ -0,0 +1,120 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+import CombatFactory from '../factories/CombatFactory.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+import StatusEffectFactory from '../factories/StatusEffectFactory.js';
+
+/**
+ * AreaOfEffect - Splash damage and statuses around the target (or the attacker when omnidirectional).
+ * CondenseTargeting is a targeting rule and is read by CombatFactory directly.
+ */
+export default {
+    onHit(attacker, aoe, scene, { target, createPuddle, placePuddleAt }) {
+        if (!aoe.Value || !scene) return;
+        if (DEBUG_MODE) console.log('AoE triggered', {
+            attacker: attacker.typeName,
+            aoe
+        });
+
+        let rows = 1,
+            cols = 1;
+        if (typeof aoe.Value === 'string' && aoe.Value.includes('x')) {
+            const parts = aoe.Value.split('x').map(p => parseInt(p, 10) || 1);
+            rows = parts[0];
+            cols = parts[1];
+        } else if (typeof aoe.Value === 'number') {
+            rows = cols = aoe.Value;
+        }
+        const radR = Math.floor(rows / 2);
+        const radC = Math.floor(cols / 2);
+        const units = scene.units || [];
+
+        // choose centre: attacker (omnidir) or target (default)
+        const centerRow = (aoe.IsOmnidirectional && attacker.position) ? attacker.position.row : (target.position?.row);
+        const centerCol = (aoe.IsOmnidirectional && attacker.position) ? attacker.position.col : (target.position?.col);
+        if (centerRow === undefined || centerCol === undefined) {
+            // no valid centre, skip AoE
+        } else {
+            const alreadyDamaged = new Set();
+            if (target) alreadyDamaged.add(target);
+
+            // Create puddles for AoE footprint
+            if (createPuddle) {
+                const maxR = (scene.GRID_ROWS || (scene.grid ? scene.grid.length : 5));
+                const maxC = (scene.GRID_COLS || (scene.grid && scene.grid[0] ? scene.grid[0].length : 9));
+                for (let rr = centerRow - radR; rr <= centerRow + radR; rr++) {
+                    for (let cc = centerCol - radC; cc <= centerCol + radC; cc++) {
+                        if (rr < 0 || rr >= maxR || cc < 0 || cc >= maxC) continue;
+                        placePuddleAt(rr, cc);
+                    }
+                }
+            }
+
+            // collect affected enemy units
+            const affected = units.filter(u => {
+                if (!u || !u.position || u.currentHealth <= 0) return false;
+                if (!SpecialEffectFactory._isEnemyUnitConsideringCharm(attacker, u)) return false;
+                if (u === target && !aoe.IncludeDirectTarget) return false;
+                if (!SpecialEffectFactory._passesTargetingFilter(u, aoe.TargetingFilter, attacker)) return false;
+                const dr = Math.abs(u.position.row - centerRow);
+                const dc = Math.abs(u.position.col - centerCol);
+                return dr <= radR && dc <= radC;
+            });
+
+            if (DEBUG_MODE) console.log('AoE affected units', affected.map(u => ({
+                type: u.typeName,
+                pos: u.position
+            })));
+
+            // If AoE damage is derived from last damage, we still want statuses to apply even if last damage was 0.
+            const last = Math.max(0, Math.round(attacker._lastDamageDealtRaw ?? attacker._lastDamageDealt ?? 0));
+
+            for (const u of affected) {
+                if (!u || u.currentHealth <= 0) continue;
+                const rawSplash = Math.round(last * (aoe.SplashFactor !== undefined ? aoe.SplashFactor : 1.0));
+
+                if (rawSplash > 0) {
+                    const finalSplash = SpecialEffectFactory.applyDamageModifiers(attacker, u, rawSplash, scene);
+                    if (finalSplash > 0) {
+                        const preHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
+                        u.takeDamage(finalSplash, attacker);
+                        const postHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
+                        const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, finalSplash);
+                        if (scene && typeof scene._trackDamage === 'function') {
+                            scene._trackDamage(attacker, dealt);
+                        }
+                        CombatFactory._showDamage(scene, u, finalSplash);
+                    }
+                } else {
+                    if (DEBUG_MODE) console.info('[AoE] zero splash damage — statuses will still apply', {
+                        attacker: attacker.typeName,
+                        target: u.typeName
+                    });
+                }
+
+                try {
+                    StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, u, scene);
+                } catch (e) {
+                    if (DEBUG_MODE) console.warn('[AoE] applyStatusEffectsFromSourceToTarget failed', e);
+                }
+
+                alreadyDamaged.add(u);
+            }
+
+            // visual sprite if available
+            if (scene && aoe.Sprite && typeof scene.getTileXY === 'function') {
+                const t = scene.getTileXY(centerRow, centerCol);
+                SpecialEffectFactory._spawnEffectSprite(scene, aoe.Sprite, t.x, t.y, 400);
+            }
+
+            // Play AoE sound effect if defined
+            if (aoe.Audio && scene && scene.sound) {
+                try {
+                    GlobalAudio.playSfx(scene, aoe.Audio, 0.6);
+                } catch (e) {
+                    if (DEBUG_MODE) console.warn('[AoE] sound effect failed', e);
+                }
+            }
+        }
+    }
+};
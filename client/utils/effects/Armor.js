@@ -0,0 +1,42 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+
+/**
+ * Armor - Subtracts a flat `Value` from incoming hits, then scales them by `DamageReduction`.
+ * ArmorPiercing attackers and Acid-covered targets bypass both.
+ */
+export default {
+    onTakeDamage(target, armor, scene, context) {
+        const armorValue = Number(armor.Value) || 0;
+        const damageReduction = armor.DamageReduction !== undefined ? Number(armor.DamageReduction) : null;
+        const hasPiercing = context.piercing !== null;
+        const bypass = hasPiercing || context.ignoresArmor;
+        const factor = hasPiercing ? context.piercing : 1.0;
+        const attackerName = context.attacker?.typeName;
+
+        // --- Flat armor ---
+        if (armorValue > 0) {
+            if (bypass) {
+                context.damage = context.damage * factor;
+                if (DEBUG_MODE) console.log(hasPiercing ? '[ArmorPiercing][FlatArmor]' : '[Acid][IgnoreArmor]', attackerName, 'factor=', factor, 'newDmg=', context.damage);
+            } else {
+                const preArmorDmg = context.damage;
+                context.damage = Math.max(0, context.damage - armorValue);
+                context.reduced = context.reduced || preArmorDmg > context.damage;
+                if (DEBUG_MODE) console.log('[Armor][FlatArmor]', target.typeName, 'armor=', armorValue, 'newDmg=', context.damage);
+            }
+        }
+
+        // --- Damage Reduction (percent) ---
+        if (Number.isFinite(damageReduction)) {
+            if (bypass) {
+                context.damage = context.damage * factor;
+                if (DEBUG_MODE) console.log(hasPiercing ? '[ArmorPiercing][BypassDR]' : '[Acid][BypassDR]', attackerName, 'dr=', damageReduction);
+            } else {
+                const preArmorDmg = context.damage;
+                context.damage = Math.round(context.damage * damageReduction);
+                context.reduced = context.reduced || preArmorDmg > context.damage;
+                if (DEBUG_MODE) console.log('[Armor][DamageReduction]', target.typeName, 'dr=', damageReduction, 'newDmg=', context.damage);
+            }
+        }
+    }
+};
@@ -0,0 +1,10 @@
+/**
+ * ArmorPiercing - The attacker's hits skip the target's Armor, dealing `Value` times the damage
+ * (1 when unset) in place of each armor reduction.
+ */
+export default {
+    onDealDamage(attacker, piercing, scene, context) {
+        if (context.piercing !== null) return;
+        context.piercing = piercing.Value !== undefined ? Number(piercing.Value) : 1.0;
+    }
+};
@@ -0,0 +1,58 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+import CombatFactory from '../factories/CombatFactory.js';
+
+/**
+ * BlockAllLanes - Raises a shield across the unit's column that absorbs `ShieldValue` damage.
+ * Interception itself happens in SpecialEffectFactory.handleForceField.
+ */
+export default {
+    onPlace(unit, effect, scene) {
+        unit._blockShield = Number(effect.ShieldValue || 0);
+        unit._blockDissipates = !!effect.DissipatesWhenDestroyed;
+        if (scene && unit.position) {
+            scene.forceFields = scene.forceFields || {};
+            const col = unit.position.col;
+            if (!Array.isArray(scene.forceFields[col])) scene.forceFields[col] = [];
+            scene.forceFields[col].push(unit);
+
+            // Show shield VFX for all lanes when BlockAllLanes is placed
+            try {
+                // Show shield sprite on each row in this column
+                const gridRows = scene.GRID_ROWS || (scene.grid ? scene.grid.length : 5);
+                for (let r = 0; r < gridRows; r++) {
+                    if (typeof scene.getTileXY === 'function' && !CombatFactory.isHeadless(scene)) {
+                        const t = scene.getTileXY(r, col);
+                        const shieldSpr = scene.add.sprite(t.x, t.y, 'shield');
+                        shieldSpr.setOrigin(0.5, 0.5);
+                        shieldSpr.setScale(0.9);
+                        shieldSpr.setAlpha(0.7);
+                        if (!unit._shieldVFX) unit._shieldVFX = [];
+                        unit._shieldVFX.push(shieldSpr);
+                    }
+                }
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[BlockAllLanes] shield VFX creation failed', e);
+            }
+        }
+        try {
+            if (scene.sound) {
+                GlobalAudio.playSfx(scene, 'shield_deploy', 0.6);
+            }
+        } catch (e) {}
+    },
+
+    onRemove(unit) {
+        // Clean up shield VFX when unit is removed
+        try {
+            if (unit._shieldVFX && Array.isArray(unit._shieldVFX)) {
+                unit._shieldVFX.forEach(spr => {
+                    try {
+                        if (spr && spr.destroy) spr.destroy();
+                    } catch (e) {}
+                });
+                unit._shieldVFX = [];
+            }
+        } catch (e) {}
+    }
+};
@@ -0,0 +1,42 @@
+import EffectRegistry from '../EffectRegistry.js';
+import Accuracy from './Accuracy.js';
+import AreaOfEffect from './AreaOfEffect.js';
+import Armor from './Armor.js';
+import ArmorPiercing from './ArmorPiercing.js';
+import BlockAllLanes from './BlockAllLanes.js';
+import CreatePuddle from './CreatePuddle.js';
+import DamageBooster from './DamageBooster.js';
+import DeathEffect from './DeathEffect.js';
+import HealAllies from './HealAllies.js';
+import LaserBeam from './LaserBeam.js';
+import Lifesteal from './Lifesteal.js';
+import MultiFire from './MultiFire.js';
+import Revive from './Revive.js';
+import SpreadTargeting from './SpreadTargeting.js';
+import SummonUnit from './SummonUnit.js';
+
+/**
+ * BuiltinEffects - Registers every effect Type in common.schema.json with the EffectRegistry
+ * A new ability is one module in this folder plus a line here (and its schema definition).
+ */
+const BUILTIN_EFFECTS = {
+    Accuracy,
+    AreaOfEffect,
+    Armor,
+    ArmorPiercing,
+    BlockAllLanes,
+    CreatePuddle,
+    DamageBooster,
+    DeathEffect,
+    HealAllies,
+    LaserBeam,
+    Lifesteal,
+    MultiFire,
+    Revive,
+    SpreadTargeting,
+    SummonUnit
+};
+
+for (const [type, hooks] of Object.entries(BUILTIN_EFFECTS)) EffectRegistry.register(type, hooks);
+
+export default BUILTIN_EFFECTS;
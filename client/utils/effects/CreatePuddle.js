@@ -0,0 +1,9 @@
+/**
+ * CreatePuddle - Leaves a puddle on the cell the attack hit.
+ * LaserBeam, AreaOfEffect and DeathEffect spread it over their own footprint through `placePuddleAt`.
+ */
+export default {
+    onHit(attacker, effect, scene, { target, placePuddleAt }) {
+        if (target.position) placePuddleAt(target.position.row, target.position.col);
+    }
+};
@@ -0,0 +1,29 @@
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+
+// "RxC" (or a single number for a square) -> rows and columns of the boosted area
+function parseArea(radius) {
+    if (typeof radius === 'string' && radius.includes('x')) {
+        const parts = radius.split('x').map(p => parseInt(p, 10) || 1);
+        return { rows: parts[0], cols: parts[1] };
+    }
+    if (typeof radius === 'number') return { rows: radius, cols: radius };
+    return { rows: 1, cols: 1 };
+}
+
+/**
+ * DamageBooster - Multiplies the damage of allies within `Radius` of the unit by `Value`.
+ */
+export default {
+    onPlace(unit, effect, scene) {
+        const { rows, cols } = parseArea(effect.Radius || effect.Value || '3x3');
+        const mult = Number(effect.Value || 1.0) || 1.0;
+        SpecialEffectFactory._applyDamageBoosterArea(scene, unit.position.row, unit.position.col, rows, cols, mult, unit, true);
+    },
+
+    onRemove(unit, effect, scene, context) {
+        const { rows, cols } = parseArea(effect.Radius || effect.Value || '3x3');
+        const mult = Number(effect.Value || 1.0);
+        context.recalculateBoosts = true;
+        SpecialEffectFactory._applyDamageBoosterArea(scene, unit.position.row, unit.position.col, rows, cols, mult, unit, false);
+    }
+};
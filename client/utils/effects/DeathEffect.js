@@ -0,0 +1,264 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+import StatusEffectVisuals from '../StatusEffectVisuals.js';
+import CombatFactory from '../factories/CombatFactory.js';
+import DefenceFactory from '../factories/DefenceFactory.js';
+import MonsterFactory from '../factories/MonsterFactory.js';
+import PuddleFactory from '../factories/PuddleFactory.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+import StatusEffectFactory from '../factories/StatusEffectFactory.js';
+
+/**
+ * DeathEffect - Damages enemies, heals allies and applies DeathStatuses around a unit when it dies.
+ * Fires once per unit: a unit removed without dying still triggers it on removal.
+ */
+export default {
+    onDeath(unit, death, scene) {
+        const createPuddle = unit.specialEffects.find(e => e.Type === 'CreatePuddle');
+        // Mark that DeathEffect has been triggered to prevent double-triggering
+        if (unit._deathEffectTriggered) return;
+        unit._deathEffectTriggered = true;
+
+        const baseDamage = Number(death.DeathDamage || 0);
+        const heal = Number(death.DeathHealing || 0);
+
+        // Calculate wave scaling for monsters past wave 10
+        const wave = CombatFactory.getUnitWave(unit, scene);
+        let scaling = CombatFactory.getWaveScalingFactor(wave, unit.typeName in MonsterFactory.monsterData, scene);
+        const scaledBaseDamage = Math.round(baseDamage * scaling);
+        const scaledHeal = Math.round(heal * scaling);
+        
+        if (DEBUG_MODE && scaling > 1) {
+            console.log('[handleOnDeath] Wave scaling applied', {
+                unit: unit.typeName,
+                wave: wave,
+                scalingFactor: scaling,
+                baseDamage: baseDamage,
+                scaledDamage: scaledBaseDamage,
+                baseHeal: heal,
+                scaledHeal: scaledHeal
+            });
+        }
+
+        const rowsCols = (() => {
+            const raw = death.Radius ?? death.Value ?? null;
+            if (typeof raw === 'string' && raw.includes('x')) {
+                const p = raw.split('x').map(n => parseInt(n, 10) || 1);
+                return {
+                    rows: p[0],
+                    cols: p[1]
+                };
+            } else if (typeof raw === 'number') {
+                return {
+                    rows: raw,
+                    cols: raw
+                };
+            }
+            return {
+                rows: 1,
+                cols: 1
+            };
+        })();
+        const radR = Math.floor(rowsCols.rows / 2);
+        const radC = Math.floor(rowsCols.cols / 2);
+
+        const centerRow = unit.position.row;
+        const centerCol = unit.position.col;
+        const allUnits = scene.units || [];
+
+        // Create puddles around the unit on death (uses DeathEffect radius)
+        if (createPuddle && unit.position) {
+            const maxR = scene.GRID_ROWS || (scene.grid ? scene.grid.length : 5);
+            const maxC = scene.GRID_COLS || (scene.grid && scene.grid[0] ? scene.grid[0].length : 9);
+            for (let rr = centerRow - radR; rr <= centerRow + radR; rr++) {
+                for (let cc = centerCol - radC; cc <= centerCol + radC; cc++) {
+                    if (rr < 0 || rr >= maxR || cc < 0 || cc >= maxC) continue;
+                    try {
+                        PuddleFactory.placePuddle(scene, rr, cc, createPuddle, unit);
+                    } catch (e) {
+                        if (DEBUG_MODE) console.warn('[CreatePuddle][DeathEffect] place failed', e);
+                    }
+                }
+            }
+        }
+
+        // Determine unit type (monster or defence)
+        const unitIsMonster = (unit.typeName in MonsterFactory.monsterData);
+        const unitIsDefence = (unit.typeName in DefenceFactory.defenceData);
+
+        const tf = death.TargetingFilter || {};
+        const shouldInclude = (candidate, forHealing) => {
+            if (!candidate) return false;
+            const pos = candidate._pendingPosition || candidate.position;
+            if (!pos) return false;
+
+            // Skip the unit that triggered the death effect
+            if (candidate === unit) return false;
+
+            // Determine candidate type
+            const candidateIsMonster = (candidate.typeName in MonsterFactory.monsterData);
+            const candidateIsDefence = (candidate.typeName in DefenceFactory.defenceData);
+
+            // Death damage should only hit enemies (opposite type), not allies
+            // Death healing should only hit allies (same type)
+            if (forHealing) {
+                if (unitIsMonster && !candidateIsMonster) return false;
+                if (unitIsDefence && !candidateIsDefence) return false;
+            } else {
+                if (unitIsMonster && !candidateIsDefence) return false;
+                if (unitIsDefence && !candidateIsMonster) return false;
+            }
+
+            // Apply targeting filters using unified method
+            if (!SpecialEffectFactory._passesTargetingFilter(candidate, tf, unit)) return false;
+
+            return true;
+        };
+
+        // Track units that died from death damage for cleanup
+        const unitsToCleanup = [];
+
+        // Apply death effect damage/healing but DO NOT finalize deaths
+        // Let the lifecycle phase handle that
+        const getUnitPos = (candidate) => candidate?._pendingPosition || candidate?.position;
+
+        for (const u of allUnits.slice()) {
+            const pos = getUnitPos(u);
+            if (!pos) continue;
+            const dr = Math.abs(pos.row - centerRow);
+            const dc = Math.abs(pos.col - centerCol);
+            if (dr <= radR && dc <= radC) {
+                try {
+                    // Death damage - only hits enemies
+                    if (scaledBaseDamage > 0 && shouldInclude(u, false)) {
+                        const final = SpecialEffectFactory.applyDamageModifiers(unit, u, scaledBaseDamage, scene);
+                        const preHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
+                        u.currentHealth = Math.max(0, u.currentHealth - final);
+                        const postHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
+                        const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, final);
+                        if (scene && typeof scene._trackDamage === 'function') {
+                            scene._trackDamage(unit, dealt);
+                        }
+                        CombatFactory._showDamage(scene, u, final);
+                        if (u.currentHealth <= 0 && !u._beingRemoved) {
+                            u.currentHealth = 0;
+                            unitsToCleanup.push(u);
+                            if (DEBUG_MODE) console.log('[DeathEffect] unit killed by death damage', u.typeName, u.position);
+                        }
+                    }
+                    
+                    // Death healing - only hits allies
+                    if (scaledHeal > 0 && shouldInclude(u, true)) {
+                        u.currentHealth = Math.min(u.health, (u.currentHealth || u.health) + scaledHeal);
+                        CombatFactory._showHealing(scene, u, scaledHeal);
+                    }
+
+                    // Death statuses - apply to both allies and enemies (but not self)
+                    if (Array.isArray(death.DeathStatuses) && death.DeathStatuses.length && u !== unit) {
+                        for (const s of death.DeathStatuses) {
+                            const copy = {
+                                ...s,
+                                _source: unit
+                            };
+                            StatusEffectFactory.applyStatusToTarget(copy, u, scene);
+                        }
+                    }
+                } catch (e) {
+                    if (DEBUG_MODE) console.warn('[DeathEffect] apply failed', e);
+                }
+            }
+        }
+        
+        // Clean up units that died from death damage immediately
+        // This prevents issues with units having negative health lingering
+        for (const u of unitsToCleanup) {
+            try {
+                if (u._beingRemoved) continue;
+                try {
+                    if (!u._deathEffectTriggered) {
+                        SpecialEffectFactory.handleOnDeath(u, scene);
+                    }
+                } catch (e) {
+                    if (DEBUG_MODE) console.warn('[DeathEffect] chained handleOnDeath failed', e);
+                }
+                u._beingRemoved = true;
+
+                // Clean up status effect visuals first
+                try {
+                    StatusEffectVisuals.cleanupUnitVisuals(u);
+                } catch (e) {}
+                
+                // Clear grid position immediately
+                if (u.position && scene.grid && scene.grid[u.position.row] && scene.grid[u.position.row][u.position.col]) {
+                    const cell = scene.grid[u.position.row][u.position.col];
+                    if (cell.unit === u) {
+                        cell.unit = null;
+                        cell.sprite = null;
+                    }
+                }
+                
+                // Destroy UI elements
+                try {
+                    if (u.healthBar) { u.healthBar.destroy(); u.healthBar = null; }
+                    if (u.healthBarBg) { u.healthBarBg.destroy(); u.healthBarBg = null; }
+                    if (u.ammoBar) { u.ammoBar.destroy(); u.ammoBar = null; }
+                    if (u.ammoBarBg) { u.ammoBarBg.destroy(); u.ammoBarBg = null; }
+                    if (u.reloadBar) { u.reloadBar.destroy(); u.reloadBar = null; }
+                    if (u.reloadBarBg) { u.reloadBarBg.destroy(); u.reloadBarBg = null; }
+                    if (u.levelStars) { u.levelStars.destroy(); u.levelStars = null; }
+                } catch (e) {}
+                
+                // Destroy sprite
+                try {
+                    if (u.sprite) { u.sprite.destroy(); u.sprite = null; }
+                } catch (e) {}
+                
+                // Remove from units array
+                if (Array.isArray(scene.units)) {
+                    scene.units = scene.units.filter(unit => unit !== u);
+                }
+
+                if (typeof scene.addHistoryEntry === 'function') {
+                    const unitName = u.fullName || u.typeName || 'Unit';
+                    scene.addHistoryEntry(`${unitName} was defeated`);
+                }
+                
+                if (DEBUG_MODE) console.log('[DeathEffect] cleaned up unit killed by death damage', u.typeName);
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[DeathEffect] cleanup failed', e);
+            }
+        }
+
+        // VFX
+        try {
+            if (death.Sprite && typeof scene.getTileXY === 'function') {
+                const t = scene.getTileXY(centerRow, centerCol);
+                SpecialEffectFactory._spawnEffectSprite(scene, death.Sprite, t.x, t.y, 400);
+            }
+        } catch (e) {}
+
+        // Play death sound effect if defined
+        if (death.Audio && scene && scene.sound) {
+            try {
+                GlobalAudio.playSfx(scene, death.Audio, 0.6);
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[DeathEffect] sound effect failed', e);
+            }
+        }
+    },
+
+    onRemove(unit, effect, scene, context) {
+        // Recalled units leave the board alive
+        if (context?.recalled) return;
+        if (unit._deathEffectTriggered) {
+            if (DEBUG_MODE) console.log('[DeathEffect] skipped duplicate on remove', unit.typeName);
+            return;
+        }
+        unit._deathEffectTriggered = true;
+        try {
+            SpecialEffectFactory._performDeathEffect(unit, effect, scene);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[DeathEffect] perform failed', e);
+        }
+    }
+};
@@ -0,0 +1,16 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+
+/**
+ * HealAllies - Spends the unit's turn healing the closest damaged ally in range.
+ * Monsters that heal don't attack or move that turn.
+ */
+export default {
+    onCombatTurn(unit, heal, scene, context) {
+        if (context.acted || !(unit.currentHealth > 0)) return;
+        const healed = SpecialEffectFactory._performHealAllies(unit, heal, scene);
+        if (!healed) return;
+        context.acted = true;
+        if (DEBUG_MODE) console.log('[HealAllies] healed instead of attacking', unit.typeName, 'healed', healed.typeName);
+    }
+};
@@ -0,0 +1,120 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+import CombatFactory from '../factories/CombatFactory.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+import StatusEffectFactory from '../factories/StatusEffectFactory.js';
+
+/**
+ * LaserBeam - Each hit also damages the units behind the target in its row,
+ * `Extension` cells deep or the whole row with `TravelEntireRow`.
+ */
+export default {
+    onHit(attacker, laser, scene, { target, base, createPuddle, placePuddleAt }) {
+        if (!scene || !target.position) return;
+        if (DEBUG_MODE) console.log('Laser beam triggered', {
+            attacker: attacker.typeName,
+            target: target.typeName,
+            laser
+        });
+
+        const dir = (target.position.col - (attacker.position?.col ?? 0)) >= 0 ? 1 : -1;
+        const grid = scene.grid || [];
+        const maxCols = grid[0]?.length || 0;
+
+        // Check if laser can hit a unit
+        const canLaserHit = (unit) => {
+            if (!unit || unit.currentHealth <= 0 || unit === target) return false;
+            if (!SpecialEffectFactory._isEnemyUnitConsideringCharm(attacker, unit)) return false;
+            if (!SpecialEffectFactory._passesTargetingFilter(unit, laser.TargetingFilter, attacker)) return false;
+            return true;
+        };
+
+        if (laser.TravelEntireRow) {
+            let c = target.position.col + dir;
+            while (c >= 0 && c < maxCols) {
+                const unit = scene.grid[target.position.row][c]?.unit;
+                if (canLaserHit(unit)) {
+                    const dmgL = SpecialEffectFactory.applyDamageModifiers(attacker, unit, base, scene);
+                    const preHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
+                    unit.takeDamage(dmgL, attacker);
+                    const postHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
+                    const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, dmgL);
+                    if (scene && typeof scene._trackDamage === 'function') {
+                        scene._trackDamage(attacker, dealt);
+                    }
+                    CombatFactory._showDamage(scene, unit, dmgL);
+                    StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, unit, scene);
+                    if (DEBUG_MODE) console.log('Laser hit unit', {
+                        at: [target.position.row, c],
+                        unit: unit.typeName,
+                        damage: dmgL
+                    });
+                }
+                c += dir;
+            }
+        } else {
+            const ext = Math.max(0, Number(laser.Extension || 0));
+            for (let step = 1; step <= ext; step++) {
+                const c = target.position.col + (step * dir);
+                if (c < 0 || c >= maxCols) break;
+                const unit = scene.grid[target.position.row][c]?.unit;
+                if (canLaserHit(unit)) {
+                    const dmgL = SpecialEffectFactory.applyDamageModifiers(attacker, unit, base, scene);
+                    const preHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
+                    unit.takeDamage(dmgL, attacker);
+                    const postHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
+                    const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, dmgL);
+                    if (scene && typeof scene._trackDamage === 'function') {
+                        scene._trackDamage(attacker, dealt);
+                    }
+                    CombatFactory._showDamage(scene, unit, dmgL);
+                    StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, unit, scene);
+                    if (DEBUG_MODE) console.log('Laser extension hit', {
+                        at: [target.position.row, c],
+                        unit: unit.typeName,
+                        damage: dmgL
+                    });
+                }
+            }
+        }
+
+        // Create puddles along the beam path (target + extension/row)
+        if (createPuddle) {
+            try {
+                const row = target.position.row;
+                const startCol = target.position.col;
+                if (laser.TravelEntireRow) {
+                    let c = startCol;
+                    while (c >= 0 && c < maxCols) {
+                        placePuddleAt(row, c);
+                        c += dir;
+                    }
+                } else {
+                    placePuddleAt(row, startCol);
+                    const extP = Math.max(0, Number(laser.Extension || 0));
+                    for (let step = 1; step <= extP; step++) {
+                        const c = startCol + (step * dir);
+                        if (c < 0 || c >= maxCols) break;
+                        placePuddleAt(row, c);
+                    }
+                }
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[CreatePuddle][LaserBeam] failed', e);
+            }
+        }
+
+        if (scene && laser.Sprite && typeof scene.getTileXY === 'function') {
+            const t = scene.getTileXY(target.position.row, target.position.col);
+            SpecialEffectFactory._spawnEffectSprite(scene, laser.Sprite, t.x, t.y, 400);
+        }
+
+        // Play laser sound effect if defined
+        if (laser.Audio && scene && scene.sound) {
+            try {
+                GlobalAudio.playSfx(scene, laser.Audio, 0.6);
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[Laser] sound effect failed', e);
+            }
+        }
+    }
+};
@@ -0,0 +1,30 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+
+/**
+ * Lifesteal - Heals the attacker for `Value` times the damage it just dealt.
+ */
+export default {
+    onHit(attacker, lifesteal, scene) {
+        if (typeof attacker.currentHealth !== 'number') return;
+        const v = lifesteal.Value || 0;
+        const healed = Math.round((attacker._lastDamageDealt || 0) * v);
+        if (healed > 0) {
+            attacker.currentHealth = Math.min(attacker.health, attacker.currentHealth + healed);
+            
+            // Play lifesteal sound effect
+            if (scene && scene.sound) {
+                try {
+                    GlobalAudio.playSfx(scene, 'lifesteal', 0.6);
+                } catch (e) {
+                    if (DEBUG_MODE) console.warn('[Lifesteal][Sound] failed to play lifesteal sound', e);
+                }
+            }
+            
+            if (DEBUG_MODE) console.log('Lifesteal healed', {
+                attacker: attacker.typeName,
+                healed
+            });
+        }
+    }
+};
@@ -0,0 +1,75 @@
+import CombatFactory from '../factories/CombatFactory.js';
+
+/**
+ * MultiFire - Fires `FireCount` shots per ammo, `FireDelay` apart (seconds up to 10, milliseconds above).
+ * With adjacent-lane targeting each shot goes to a different lane: centre, below, then above.
+ */
+export default {
+    onVolley(unit, multi, scene, context) {
+        if (context.volley) return;
+        let delay = 60;
+        if (Number.isFinite(Number(multi.FireDelay))) {
+            const fd = Number(multi.FireDelay);
+            delay = (fd <= 10) ? Math.max(0, Math.round(fd * 1000)) : Math.max(0, Math.round(fd));
+        }
+        context.volley = { shots: Math.max(1, Number(multi.FireCount || 1)), delay };
+    },
+
+    onSelectTargets(attacker, multi, scene, context) {
+        if (context.targets) return;
+        const { enemies } = context;
+        const mfShots = Math.max(1, Number(multi.FireCount || 1));
+
+        if (!(attacker.CanTargetAdjacentLanes || attacker.canTargetAdjacentLanes)) {
+            const t = CombatFactory.pickTargetByMode(enemies, attacker.targetingMode || 'First', attacker, scene);
+            context.targets = Array.from({
+                length: mfShots
+            }, () => t);
+            return;
+        }
+
+        const centerRow = Number.isFinite(attacker.position?.row) ? attacker.position.row : 0;
+        const maxRows = attacker.scene?.GRID_ROWS ?? 5;
+        const attackerCol = Number.isFinite(attacker.position?.col) ? attacker.position.col : 0;
+        const range = Math.max(1, Number(attacker.range || 0) || 1);
+
+        // Build lane order: center, bottom, top (prioritizing downward)
+        const laneOrder = [];
+        if (mfShots >= 1) laneOrder.push(centerRow);
+        if (mfShots >= 2 && centerRow + 1 < maxRows) laneOrder.push(centerRow + 1);
+        if (mfShots >= 3 && centerRow - 1 >= 0) laneOrder.push(centerRow - 1);
+        const allLanes = [centerRow, centerRow - 1, centerRow + 1].filter(r => r >= 0 && r < maxRows);
+
+        const pickRowTarget = (row) => {
+            const rowEnemies = enemies.filter(e => {
+                if (!e?.position || e.currentHealth <= 0) return false;
+                if (e.position.row !== row) return false;
+                const dist = Math.abs((e.position.col ?? 0) - attackerCol);
+                return dist <= range;
+            });
+            if (!rowEnemies.length) return null;
+            rowEnemies.sort((a, b) => {
+                const da = Math.abs((a.position?.col ?? 0) - attackerCol);
+                const db = Math.abs((b.position?.col ?? 0) - attackerCol);
+                return da - db;
+            });
+            return CombatFactory.pickTargetByMode(
+                rowEnemies,
+                attacker.targetingMode || 'First',
+                attacker,
+                scene
+            );
+        };
+
+        const laneCycle = laneOrder.length ? laneOrder : allLanes;
+
+        // Fire only on lanes that have targets; do not repeat shots when adjacent lanes are empty.
+        const results = [];
+        for (const row of laneCycle) {
+            if (results.length >= mfShots) break;
+            const t = pickRowTarget(row);
+            if (t) results.push(t);
+        }
+        context.targets = results;
+    }
+};
@@ -0,0 +1,325 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+import RandomManager from '../RandomManager.js';
+import BoardFactory from '../factories/BoardFactory.js';
+import CombatFactory from '../factories/CombatFactory.js';
+import MonsterFactory from '../factories/MonsterFactory.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+
+/**
+ * Revive - Brings the unit back where it fell, up to `MaxRevives` times with `ReviveChance` each,
+ * scaling its health and damage by `HealthMult`/`DamageMult` per revive used.
+ */
+export default {
+    onDefeated(unit, revive, scene, context) {
+        if (context.revived) return;
+
+        // Initialize revive count if not set
+        unit._reviveCount = Number.isFinite(unit._reviveCount) ? Number(unit._reviveCount) : 0;
+        const maxRevives = (revive.MaxRevives !== undefined) ? Number(revive.MaxRevives) : 1;
+        
+        // Check successful revive count BEFORE attempting - if already at max, don't even try
+        if (unit._reviveCount >= maxRevives) {
+            if (DEBUG_MODE) console.log('[Revive] max revives reached', unit.typeName, unit._reviveCount, '>=', maxRevives);
+            unit._reviveExhausted = true;
+            return;
+        }
+
+        // Check chance. Failed chance does not consume a revive charge.
+        const chance = (revive.ReviveChance !== undefined) ? Number(revive.ReviveChance) : 1.0;
+        const roll = RandomManager.forScene(scene || unit.scene).next();
+        if (roll > chance) {
+            unit._reviveFailedAttempts = Number.isFinite(unit._reviveFailedAttempts) ? (unit._reviveFailedAttempts + 1) : 1;
+            if (DEBUG_MODE) console.log('[Revive] chance failed', unit.typeName, 'roll=', roll, 'chance=', chance, 'used=', unit._reviveCount, '/', maxRevives);
+            return;
+        }
+
+        // SUCCESS: increment revive usage
+        unit._reviveCount++;
+        unit._reviveExhausted = false;
+        if (DEBUG_MODE) console.log('[Revive] chance succeeded', unit.typeName, 'roll=', roll, 'chance=', chance, 'count=', unit._reviveCount, '/', maxRevives);
+
+        // Save original base stats ONCE on first revive attempt (successful or not)
+        // This ensures we always scale from the original stats, not progressively weaker stats
+        if (!Number.isFinite(unit._originalBaseHealth)) {
+            unit._originalBaseHealth = Number.isFinite(unit.health) ? Number(unit.health) : (Number.isFinite(unit.currentHealth) ? Number(unit.currentHealth) : 1);
+        }
+        if (!Number.isFinite(unit._originalBaseDamage)) {
+            unit._originalBaseDamage = Number.isFinite(unit.damage) ? Number(unit.damage) : 0;
+        }
+
+        // If the unit is currently flagged as being removed, allow revive to reclaim it
+        // but clear the flag here so other cleanup paths won't prematurely ignore the revived unit.
+        unit._beingRemoved = false;
+
+        // capture last known position if available (end-turn cleanup should set this)
+        // Validate the position is within grid bounds
+        const gridRows = scene?.GRID_ROWS ?? (scene?.grid?.length ?? 5);
+        const gridCols = scene?.GRID_COLS ?? (scene?.grid?.[0]?.length ?? 9);
+        
+        if (unit.position && (!unit._lastPosition)) {
+            try {
+                const row = unit.position.row;
+                const col = unit.position.col;
+
+                // Only save if position is valid
+                if (Number.isFinite(row) && Number.isFinite(col) &&
+                    row >= 0 && row < gridRows && col >= 0 && col < gridCols) {
+                    unit._lastPosition = { row, col };
+                }
+            } catch (e) {
+                // Invalid position, don't save
+            }
+        }
+
+        // reset lifespan to default if unit has lifespan enabled
+        if (Number.isFinite(unit.lifespan) || Number.isFinite(unit.Lifespan)) {
+            unit._lifespan = Number(unit.lifespan ?? unit.Lifespan);
+        }
+
+        // Play revive sound effect
+        try {
+            if (scene.sound) {
+                GlobalAudio.playSfx(scene, 'revive', 0.7);
+            }
+        } catch (e) {}
+
+        // compute new stats from ORIGINAL bases (not current stats)
+        // Apply multiplier based on how many revives have been USED (including this one)
+        const hMult = (revive.HealthMult !== undefined) ? Number(revive.HealthMult) : 1.0;
+        const dMult = (revive.DamageMult !== undefined) ? Number(revive.DamageMult) : 1.0;
+
+        // Calculate cumulative multiplier: each revive applies the multiplier to the original
+        // e.g., if HealthMult=0.5: 1st revive = 0.5, 2nd revive = 0.25, etc.
+        const reviveMultiplier = Math.pow(hMult, unit._reviveCount);
+        const damageMultiplier = Math.pow(dMult, unit._reviveCount);
+
+        // base values to use: prefer _originalBaseHealth/_originalBaseDamage which we've ensured above
+        const baseHealth = Number.isFinite(unit._originalBaseHealth) ? Number(unit._originalBaseHealth) : Math.max(1, Number(unit.health || unit.currentHealth || 1));
+        const baseDamage = Number.isFinite(unit._originalBaseDamage) ? Number(unit._originalBaseDamage) : Math.max(0, Number(unit.damage || 0));
+
+        unit.health = Math.max(1, Math.round(baseHealth * reviveMultiplier));
+        unit.currentHealth = Math.max(1, Math.round(unit.health));
+        unit.damage = Math.max(0, Math.round(baseDamage * damageMultiplier));
+
+        // CRITICAL FIX: Apply wave scaling to revived unit to get fully-scaled stats
+        // Revived units must have the same wave scaling as they had when originally placed
+        const isMonster = unit.typeName && (unit.typeName in (MonsterFactory.monsterData || {}));
+        if (isMonster && scene) {
+            const placementWave = CombatFactory.getUnitWave(unit, scene);
+            const waveScaling = CombatFactory.getWaveScalingFactor(placementWave, true, scene);
+            if (waveScaling > 1) {
+                // Apply wave scaling on top of revive multipliers
+                unit.health = Math.round(unit.health * waveScaling);
+                unit.currentHealth = Math.round(unit.currentHealth * waveScaling);
+                unit.damage = Math.round(unit.damage * waveScaling);
+                if (DEBUG_MODE) console.log('[Revive] wave scaling reapplied', unit.typeName, 'wave=', placementWave, 'factor=', waveScaling.toFixed(2));
+            }
+        }
+
+        // Determine placement origin: prefer _lastPosition, then unit.position
+        let placedRow = Number.isFinite(unit._lastPosition?.row) ? unit._lastPosition.row : (Number.isFinite(unit.position?.row) ? unit.position.row : undefined);
+        let placedCol = Number.isFinite(unit._lastPosition?.col) ? unit._lastPosition.col : (Number.isFinite(unit.position?.col) ? unit.position.col : undefined);
+
+        // Validate that the position is within grid bounds
+        if (Number.isFinite(placedRow) && Number.isFinite(placedCol)) {
+            placedRow = Math.max(0, Math.min(gridRows - 1, placedRow));
+            placedCol = Math.max(0, Math.min(gridCols - 1, placedCol));
+        }
+
+        // If origin missing or invalid, try to derive from scene (best-effort)
+        if (!Number.isFinite(placedRow) || !Number.isFinite(placedCol)) {
+            if (scene && Array.isArray(scene.grid)) {
+                outerLoop: for (let r = 0; r < gridRows; r++) {
+                    for (let c = 0; c < gridCols; c++) {
+                        const occ = scene.grid[r]?.[c]?.unit;
+                        if (!occ || occ === unit || occ._beingRemoved || (typeof occ.currentHealth === 'number' && occ.currentHealth <= 0)) {
+                            placedRow = r;
+                            placedCol = c;
+                            break outerLoop;
+                        }
+                    }
+                }
+            }
+        }
+
+        // If still missing placedRow/placedCol, fail safely
+        if (!Number.isFinite(placedRow) || !Number.isFinite(placedCol)) {
+            if (DEBUG_MODE) console.warn('[Revive] missing origin position, cancel revive', unit.typeName);
+            return;
+        }
+
+        // Defensive: ensure scene.grid arrays exist for indices used below
+        try {
+            if (scene && !Array.isArray(scene.grid)) scene.grid = [];
+            for (let r = 0; r < gridRows; r++) {
+                scene.grid[r] = scene.grid[r] || [];
+                for (let c = 0; c < gridCols; c++) {
+                    scene.grid[r][c] = scene.grid[r][c] || { sprite: null, unit: null };
+                }
+            }
+        } catch (e) {}
+
+        // If the original spot contains another unit which is dead or beingRemoved, clear it so we can reclaim
+        try {
+            const occupant = scene?.grid?.[placedRow]?.[placedCol]?.unit;
+            if (occupant && occupant !== unit) {
+                if (occupant._beingRemoved || (typeof occupant.currentHealth === 'number' && occupant.currentHealth <= 0)) {
+                    try {
+                        if (occupant.healthBar) { occupant.healthBar.destroy(); occupant.healthBar = null; }
+                        if (occupant.healthBarBg) { occupant.healthBarBg.destroy(); occupant.healthBarBg = null; }
+                        if (occupant.ammoBar) { occupant.ammoBar.destroy(); occupant.ammoBar = null; }
+                        if (occupant.ammoBarBg) { occupant.ammoBarBg.destroy(); occupant.ammoBarBg = null; }
+                        if (occupant.reloadBar) { occupant.reloadBar.destroy(); occupant.reloadBar = null; }
+                        if (occupant.reloadBarBg) { occupant.reloadBarBg.destroy(); occupant.reloadBarBg = null; }
+                        if (occupant.levelStars) { occupant.levelStars.destroy(); occupant.levelStars = null; }
+                    } catch (e) {}
+                    try {
+                        if (scene.grid[placedRow][placedCol].sprite) {
+                            try {
+                                scene.grid[placedRow][placedCol].sprite.destroy();
+                            } catch (e) {}
+                        }
+                    } catch (e) {}
+                    scene.grid[placedRow][placedCol].unit = null;
+                    scene.grid[placedRow][placedCol].sprite = null;
+                    try {
+                        if (Array.isArray(scene.units)) scene.units = scene.units.filter(x => x !== occupant);
+                    } catch (e) {}
+                } else {
+                    let foundNearby = false;
+                    for (let r = Math.max(0, placedRow - 2); r <= Math.min(gridRows - 1, placedRow + 2) && !foundNearby; r++) {
+                        for (let c = Math.max(0, placedCol - 2); c <= Math.min(gridCols - 1, placedCol + 2) && !foundNearby; c++) {
+                            if (BoardFactory.isBlocked(scene, r, c)) continue;
+                            const occ2 = scene.grid[r]?.[c]?.unit;
+                            if (!occ2 || occ2 === unit || occ2._beingRemoved || (typeof occ2.currentHealth === 'number' && occ2.currentHealth <= 0)) {
+                                if (occ2 && occ2 !== unit) {
+                                    try {
+                                        if (occ2.healthBar) { occ2.healthBar.destroy(); occ2.healthBar = null; }
+                                        if (occ2.healthBarBg) { occ2.healthBarBg.destroy(); occ2.healthBarBg = null; }
+                                        if (occ2.ammoBar) { occ2.ammoBar.destroy(); occ2.ammoBar = null; }
+                                        if (occ2.ammoBarBg) { occ2.ammoBarBg.destroy(); occ2.ammoBarBg = null; }
+                                        if (occ2.reloadBar) { occ2.reloadBar.destroy(); occ2.reloadBar = null; }
+                                        if (occ2.reloadBarBg) { occ2.reloadBarBg.destroy(); occ2.reloadBarBg = null; }
+                                        if (occ2.levelStars) { occ2.levelStars.destroy(); occ2.levelStars = null; }
+                                        if (occ2.sprite) { occ2.sprite.destroy(); }
+                                    } catch (e) {}
+                                }
+                                placedRow = r;
+                                placedCol = c;
+                                foundNearby = true;
+                                break;
+                            }
+                        }
+                    }
+                    if (!foundNearby) {
+                        if (DEBUG_MODE) console.warn('[Revive] no empty tile near origin to respawn', unit.typeName);
+                        return;
+                    }
+                }
+            }
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[Revive] occupant check failed', e);
+        }
+
+        // assign position
+        unit.position = {
+            row: placedRow,
+            col: placedCol
+        };
+        BoardFactory.applyTileModifiers(unit, scene);
+
+        // create or reassign sprite
+        try {
+            let spr = unit.sprite;
+            if (!spr || !spr.scene) {
+                if (scene && typeof scene.ensureSpriteForUnit === 'function') {
+                    const t = (typeof scene.getTileXY === 'function') ? scene.getTileXY(placedRow, placedCol) : {
+                        x: (scene.GRID_OFFSET_X ?? 300) + placedCol * (scene.TILE_SIZE ?? 60),
+                        y: (scene.GRID_OFFSET_Y ?? 150) + placedRow * (scene.TILE_SIZE ?? 60)
+                    };
+                    spr = scene.ensureSpriteForUnit(unit, t.x, t.y + (scene.UNIT_Y_OFFSET || 0), false);
+                    if (spr && spr.setInteractive) {
+                        try {
+                            spr.setInteractive();
+                        } catch (e) {}
+                    }
+                } else if (!CombatFactory.isHeadless(scene)) {
+                    const t = (typeof scene.getTileXY === 'function') ? scene.getTileXY(placedRow, placedCol) : {
+                        x: (scene.GRID_OFFSET_X ?? 300) + placedCol * (scene.TILE_SIZE ?? 60),
+                        y: (scene.GRID_OFFSET_Y ?? 150) + placedRow * (scene.TILE_SIZE ?? 60)
+                    };
+                    try {
+                        spr = scene.add.sprite(t.x, t.y + (scene.UNIT_Y_OFFSET || 0), unit.displaySprite || 'dice1');
+                        spr.setOrigin && spr.setOrigin(0.5, 0.5);
+                    } catch (e) {}
+                }
+                unit.sprite = spr;
+            }
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[Revive] sprite recreation failed', e);
+        }
+
+        // ensure grid references & arrays updated
+        try {
+            scene.grid[placedRow] = scene.grid[placedRow] || [];
+            scene.grid[placedRow][placedCol] = scene.grid[placedRow][placedCol] || {
+                sprite: null,
+                unit: null
+            };
+            scene.grid[placedRow][placedCol].unit = unit;
+            scene.grid[placedRow][placedCol].sprite = unit.sprite || scene.grid[placedRow][placedCol].sprite;
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[Revive] grid assignment failed', e);
+        }
+
+        // ensure unit is present in scene.units and not duplicated
+        try {
+            scene.units = scene.units || [];
+            if (!scene.units.includes(unit)) scene.units.push(unit);
+            // also remove any other references to this exact object that might exist duplicated (defensive)
+            scene.units = scene.units.filter((x, i, arr) => arr.indexOf(x) === i);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[Revive] scene.units push failed', e);
+        }
+
+        // reset removal flags so other code won't dismiss it
+        try {
+            unit._beingRemoved = false;
+        } catch (e) {}
+        try {
+            delete unit._pendingRemoval;
+            delete unit._deathLifecycleHandled;
+            delete unit._fullyRemoved;
+            delete unit._deathSoundPlayed;
+            delete unit._cleanupInProgress;
+            delete unit._defeatCounted;
+        } catch (e) {}
+
+        // Clean up any existing UI bars on the revived unit to prevent duplicates
+        try {
+            if (unit.healthBar) { unit.healthBar.destroy(); unit.healthBar = null; }
+            if (unit.healthBarBg) { unit.healthBarBg.destroy(); unit.healthBarBg = null; }
+            if (unit.ammoBar) { unit.ammoBar.destroy(); unit.ammoBar = null; }
+            if (unit.ammoBarBg) { unit.ammoBarBg.destroy(); unit.ammoBarBg = null; }
+            if (unit.reloadBar) { unit.reloadBar.destroy(); unit.reloadBar = null; }
+            if (unit.reloadBarBg) { unit.reloadBarBg.destroy(); unit.reloadBarBg = null; }
+            if (unit.levelStars) { unit.levelStars.destroy(); unit.levelStars = null; }
+        } catch (e) {}
+
+        // add UI bars and run place-time effects
+        try {
+            if (typeof scene.addUnitBars === 'function') scene.addUnitBars(unit, unit.sprite);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[Revive] addUnitBars failed', e);
+        }
+        try {
+            SpecialEffectFactory.handleOnPlace(unit, scene);
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[Revive] handleOnPlace failed', e);
+        }
+
+        if (DEBUG_MODE) console.log('[Revive] SUCCESS - unit revived', unit.typeName, 'revivesUsed=', unit._reviveCount, 'pos=', unit.position, 'hp=', unit.currentHealth, 'max=', unit.health, 'dmg=', unit.damage);
+        context.revived = true;
+    }
+};
@@ -0,0 +1,49 @@
+import CombatFactory from '../factories/CombatFactory.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+
+/**
+ * SpreadTargeting - Sends the shots listed in `AmmoIndex`/`AmmoIndices` at a different targeting mode
+ * (e.g. the last enemy in line), optionally only once `MinimumEnemies` are in range.
+ */
+export default {
+    onSelectTargets(attacker, spread, scene, context) {
+        if (context.targets) return;
+        const { shots } = context;
+        let { enemies } = context;
+
+        // Optionally condense AoE targeting first
+        const aoe = attacker.specialEffects?.find(e => e.Type === 'AreaOfEffect' && e.CondenseTargeting);
+        if (aoe) {
+            const condensed = SpecialEffectFactory.getCondensedTarget(attacker, enemies);
+            if (condensed) {
+                enemies = [condensed, ...enemies.filter(e => e !== condensed)];
+            }
+        }
+
+        const onlyWhenEnough = !!spread.OnlyActivateWhenEnoughEnemies;
+        const threshold = spread.MinimumEnemies || 2;
+        const useSpread = !onlyWhenEnough || enemies.length >= threshold;
+
+        const ammoIndexMap = {};
+        if (spread.AmmoIndex !== undefined) {
+            ammoIndexMap[Number(spread.AmmoIndex)] = spread.TargetMode || 'Last';
+        } else if (Array.isArray(spread.AmmoIndices)) {
+            for (const entry of spread.AmmoIndices) {
+                if (entry && typeof entry === 'object' && entry.Index !== undefined) {
+                    ammoIndexMap[Number(entry.Index)] = entry.Mode || 'Last';
+                }
+            }
+        }
+
+        const results = [];
+        for (let s = 0; s < shots; s++) {
+            const specialMode = ammoIndexMap[s];
+            if (!useSpread || !specialMode) {
+                results.push(CombatFactory.pickTargetByMode(enemies, attacker.targetingMode || 'First', attacker, scene));
+            } else {
+                results.push(CombatFactory.pickTargetByMode(enemies, specialMode, attacker, scene));
+            }
+        }
+        context.targets = results;
+    }
+};
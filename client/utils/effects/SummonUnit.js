@@ -0,0 +1,45 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalAudio from '../AudioManager.js';
+import SpecialEffectFactory from '../factories/SpecialEffectFactory.js';
+
+/**
+ * SummonUnit - Spawns `UnitType` when placed and again on hits once `Cooldown` turns have passed.
+ * The between-hits summon is driven by CombatFactory through `tryTriggerPeriodicSummon`.
+ */
+export default {
+    onPlace(unit, effect, scene) {
+        unit._summonCooldown = unit._summonCooldown || 0;
+        if (scene) {
+            try {
+                SpecialEffectFactory._performSummon(unit, effect, scene);
+                unit._summonCooldown = Math.max(0, Number(effect.Cooldown || 0));
+                if (DEBUG_MODE) console.log('[SummonUnit][onPlace] performed immediate summon', {
+                    unit: unit.typeName,
+                    effect
+                });
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[SummonUnit][onPlace] failed', e);
+            }
+        }
+        if (scene && scene.sound && effect.Audio) {
+            try {
+                GlobalAudio.playSfx(scene, effect.Audio, 0.6);
+            } catch (e) {
+                if (DEBUG_MODE) console.warn('[Summon] sound effect failed', e);
+            }
+        }
+    },
+
+    onHit(attacker, summon, scene) {
+        if (!scene) return;
+        attacker._summonCooldown = attacker._summonCooldown || 0;
+        if ((attacker._summonCooldown || 0) <= 0) {
+            SpecialEffectFactory._performSummon(attacker, summon, scene);
+            attacker._summonCooldown = Math.max(0, Number(summon.Cooldown || 0));
+            if (DEBUG_MODE) console.log('Perform summon executed', {
+                attacker: attacker.typeName,
+                summon
+            });
+        }
+    }
+};
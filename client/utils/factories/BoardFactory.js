@@ -1,9 +1,231 @@
-import { DEBUG_MODE } from '../DebugManager.js';
+import { DEBUG_MODE, DEV_DEBUG_MODE } from '../DebugManager.js';
+
+const ZONE_CODES = { D: 'defence', M: 'monster', N: 'neutral' };
+const ZONE_COLORS = { defence: '#6666ff', monster: '#ff6666', neutral: '#66ff66' };
+const BLOCKED_COLOR = '#333333';
 
 /**
  * Grid/bootstrap helpers that attach board state and coordinate helpers to a scene.
+ * Also loads `.board` definitions (BoardDefinitions/manifest.json):
+ *
+ * {
+ *   "TypeName": "Highlands",
+ *   "Rows": 5, "Cols": 9,                  // optional; omitted = use the configured size
+ *   "Zones": ["DDDDNMMMM", ...],          // optional; one string per row, D/M/N = defence/monster/neutral
+ *   "Blocked": [[2, 4]],                  // impassable, nothing can stand here
+ *   "NoPlacement": [[0, 3]],              // walkable, but no player may place here
+ *   "Tiles": [{ "Row": 1, "Col": 2, "Modifier": "HighGround" }]
+ * }
+ *
+ * Without `Zones` the board keeps the classic centre split (left defence, centre neutral, right monster).
  */
 export default class BoardFactory {
+  static boardData = {};
+  static DEFAULT_BOARD = 'Default';
+
+  // Per-tile modifiers a board can reference by name
+  static TILE_MODIFIERS = {
+    HighGround: { RangeBonus: 1, Color: '#c8a050' },
+    Mud: { EndsMovement: true, Color: '#6b4a2a' }
+  };
+
+  /**
+   * Load board definitions from the manifest into boardData.
+   * @returns {Promise<void>}
+   */
+  static async loadData() {
+    try {
+      const response = await fetch('assets/gamedata/BoardDefinitions/manifest.json');
+      if (!response.ok) return;
+      const manifest = await response.json();
+      if (!manifest || !Array.isArray(manifest.files)) return;
+
+      for (const file of manifest.files) {
+        const isTestFile = /^test/i.test(String(file || ''));
+        if (isTestFile && !DEV_DEBUG_MODE) continue;
+        try {
+          const res = await fetch(`assets/gamedata/BoardDefinitions/${file}`);
+          if (!res.ok) continue;
+          const raw = await res.text();
+          if (!raw || !raw.trim()) continue;
+          const data = JSON.parse(raw);
+          if (!data || !data.TypeName) continue;
+          if (data.IsDevOnly && !DEV_DEBUG_MODE) continue;
+          this.validateData(data);
+          this.boardData[data.TypeName] = data;
+        } catch (e) {
+          if (DEBUG_MODE) console.warn('[BoardFactory] failed to load', file, e);
+        }
+      }
+    } catch (e) {
+      if (DEBUG_MODE) console.warn('[BoardFactory] loadData failed', e);
+    }
+  }
+
+  /**
+   * Validate a board definition payload.
+   * @param {Object} data - Board definition
+   */
+  static validateData(data) {
+    const hasSize = data.Rows !== undefined || data.Cols !== undefined;
+    if (hasSize && (!Number.isInteger(data.Rows) || data.Rows < 3 || data.Rows > 7 ||
+        !Number.isInteger(data.Cols) || data.Cols < 5 || data.Cols > 15)) {
+      throw new Error(`Invalid size for board ${data.TypeName}`);
+    }
+    if (data.Zones !== undefined) {
+      if (!hasSize) throw new Error(`Board ${data.TypeName} needs Rows/Cols to declare Zones`);
+      const valid = Array.isArray(data.Zones) && data.Zones.length === data.Rows &&
+        data.Zones.every(row => typeof row === 'string' && row.length === data.Cols && /^[DMN]+$/.test(row));
+      if (!valid) throw new Error(`Invalid Zones for board ${data.TypeName}`);
+    }
+    const inBounds = ([r, c]) => Number.isInteger(r) && Number.isInteger(c) &&
+      (!hasSize || (r >= 0 && r < data.Rows && c >= 0 && c < data.Cols));
+    for (const key of ['Blocked', 'NoPlacement']) {
+      if (data[key] === undefined) continue;
+      if (!Array.isArray(data[key]) || !data[key].every(p => Array.isArray(p) && inBounds(p))) {
+        throw new Error(`Invalid ${key} for board ${data.TypeName}`);
+      }
+    }
+    if (data.Tiles !== undefined) {
+      const valid = Array.isArray(data.Tiles) && data.Tiles.every(t =>
+        t && inBounds([t.Row, t.Col]) && (t.Modifier in this.TILE_MODIFIERS));
+      if (!valid) throw new Error(`Invalid Tiles for board ${data.TypeName}`);
+    }
+  }
+
+  /**
+   * Get a board definition by type name.
+   * @param {string} typeName - Board type key
+   * @returns {Object|null}
+   */
+  static getBoard(typeName) {
+    return (typeName && this.boardData[typeName]) || null;
+  }
+
+  /**
+   * Get all board type keys (default board first).
+   * @returns {string[]}
+   */
+  static getAllTypes() {
+    const types = Object.keys(this.boardData);
+    return types.sort((a, b) => (b === this.DEFAULT_BOARD) - (a === this.DEFAULT_BOARD));
+  }
+
+  /**
+   * Stamp a board definition onto an existing scene grid: zone, blocked, noPlacement and modifier per cell.
+   * Passing no board resets every cell to the centre split.
+   * @param {Object} scene - Scene with `grid`, `GRID_ROWS` and `GRID_COLS`
+   * @param {Object|null} board - Board definition
+   */
+  static applyBoardToGrid(scene, board = null) {
+    if (!scene || !Array.isArray(scene.grid)) return;
+    const rows = scene.GRID_ROWS ?? scene.grid.length;
+    const cols = scene.GRID_COLS ?? (scene.grid[0] || []).length;
+    const center = Math.floor(cols / 2);
+    const useZones = !!board && Array.isArray(board.Zones) && board.Rows === rows && board.Cols === cols;
+
+    scene.board = board || null;
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const cell = scene.grid[r][c];
+        if (!cell) continue;
+        cell.zone = useZones
+          ? ZONE_CODES[board.Zones[r][c]]
+          : (c < center ? 'defence' : (c > center ? 'monster' : 'neutral'));
+        cell.blocked = false;
+        cell.noPlacement = false;
+        cell.modifier = null;
+      }
+    }
+    if (!board) return;
+
+    const cellAt = (r, c) => scene.grid[r]?.[c] || null;
+    for (const [r, c] of (board.Blocked || [])) {
+      const cell = cellAt(r, c);
+      if (cell) cell.blocked = true;
+    }
+    for (const [r, c] of (board.NoPlacement || [])) {
+      const cell = cellAt(r, c);
+      if (cell) cell.noPlacement = true;
+    }
+    for (const tile of (board.Tiles || [])) {
+      const cell = cellAt(tile.Row, tile.Col);
+      if (cell && tile.Modifier in this.TILE_MODIFIERS) cell.modifier = tile.Modifier;
+    }
+  }
+
+  /**
+   * Zone of a cell: 'defence', 'monster' or 'neutral' (centre split when the grid was never stamped).
+   */
+  static getZone(scene, row, col) {
+    const cell = scene?.grid?.[row]?.[col];
+    if (!cell) return null;
+    if (cell.zone) return cell.zone;
+    const center = Math.floor((scene.GRID_COLS ?? (scene.grid[0] || []).length) / 2);
+    return col < center ? 'defence' : (col > center ? 'monster' : 'neutral');
+  }
+
+  static isBlocked(scene, row, col) {
+    return !!scene?.grid?.[row]?.[col]?.blocked;
+  }
+
+  /**
+   * Whether a side may place on a cell. Occupancy is not checked.
+   * @param {Object} scene - Scene with a grid
+   * @param {string} role - 'defence' or 'monster'
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {boolean}
+   */
+  static canPlace(scene, role, row, col) {
+    const cell = scene?.grid?.[row]?.[col];
+    if (!cell || cell.blocked || cell.noPlacement) return false;
+    return this.getZone(scene, row, col) === role;
+  }
+
+  /**
+   * Columns that contain at least one cell of the given zone, ascending.
+   * @returns {number[]}
+   */
+  static getZoneColumns(scene, role) {
+    const rows = scene?.GRID_ROWS ?? (scene?.grid || []).length;
+    const cols = scene?.GRID_COLS ?? (scene?.grid?.[0] || []).length;
+    const out = [];
+    for (let c = 0; c < cols; c++) {
+      for (let r = 0; r < rows; r++) {
+        if (this.getZone(scene, r, c) === role) {
+          out.push(c);
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Tile modifier definition under a cell, or null.
+   */
+  static getTileModifier(scene, row, col) {
+    const key = scene?.grid?.[row]?.[col]?.modifier;
+    return key ? (this.TILE_MODIFIERS[key] || null) : null;
+  }
+
+  /**
+   * Re-apply the range bonus of the tile a unit stands on. Call after every placement or move;
+   * the previous bonus is removed first, so units walking off high ground lose it again.
+   * @param {Object} unit - Placed unit
+   * @param {Object} scene - Active scene
+   */
+  static applyTileModifiers(unit, scene) {
+    if (!unit || !Number.isFinite(unit.range)) return;
+    const pos = unit.position;
+    const modifier = pos ? this.getTileModifier(scene, pos.row, pos.col) : null;
+    const bonus = Number(modifier?.RangeBonus) || 0;
+    const previous = Number(unit._tileRangeBonus) || 0;
+    if (bonus === previous) return;
+    unit.range += bonus - previous;
+    unit._tileRangeBonus = bonus;
+  }
   /**
    * Sets up a grid on the given scene and injects helper functions:
    * - scene.getTileXY(row, col)
@@ -20,6 +242,7 @@ export default class BoardFactory {
    * @param {number} [options.offsetX=300] - Grid origin X
    * @param {number} [options.offsetY=150] - Grid origin Y
    * @param {number} [options.cellSize=50] - Visual cell size (rect overlay)
+   * @param {Object|string} [options.board] - Board definition or type name; its Rows/Cols win over rows/cols
    * @returns {Object|undefined} The scene (for chaining) or undefined if no scene provided
    */
   static setupGrid(scene, {
@@ -28,10 +251,17 @@ export default class BoardFactory {
     tileSize = 60,
     offsetX = 300,
     offsetY = 150,
-    cellSize = 50
+    cellSize = 50,
+    board = null
   } = {}) {
     if (!scene) return;
 
+    const boardDef = (typeof board === 'string') ? this.getBoard(board) : board;
+    if (boardDef && Number.isInteger(boardDef.Rows) && Number.isInteger(boardDef.Cols)) {
+      rows = boardDef.Rows;
+      cols = boardDef.Cols;
+    }
+
     scene.GRID_ROWS = rows;
     scene.GRID_COLS = cols;
     scene.TILE_SIZE = tileSize;
@@ -49,6 +279,8 @@ export default class BoardFactory {
       }
     }
 
+    BoardFactory.applyBoardToGrid(scene, boardDef);
+
     // build puddle grid (per-cell lists)
     scene.puddles = [];
     for (let r = 0; r < rows; r++) {
@@ -84,19 +316,18 @@ export default class BoardFactory {
       }
       scene.__boardCells = [];
 
-      // compute centre column index
-      const center = Math.floor(scene.GRID_COLS / 2);
+      const toColor = (hex) => Phaser.Display.Color.HexStringToColor(hex).color;
 
       for (let r = 0; r < rows; r++) {
         for (let c = 0; c < cols; c++) {
-          let color = '#ffffff';
-          if (c < center) color = '#6666ff';
-          else if (c > center) color = '#ff6666';
-          else color = '#66ff66';
+          const cell = scene.grid[r][c];
+          const modifier = BoardFactory.getTileModifier(scene, r, c);
+          const color = cell.blocked ? BLOCKED_COLOR : (ZONE_COLORS[BoardFactory.getZone(scene, r, c)] || '#ffffff');
 
           const { x, y } = scene.getTileXY(r, c);
-          const rect = scene.add.rectangle(x, y, cellSize, cellSize, Phaser.Display.Color.HexStringToColor(color).color)
-            .setStrokeStyle(2, 0x000000);
+          const rect = scene.add.rectangle(x, y, cellSize, cellSize, toColor(color))
+            .setStrokeStyle(modifier ? 4 : 2, modifier ? toColor(modifier.Color) : 0x000000);
+          if (cell.noPlacement && !cell.blocked) rect.setAlpha(0.55);
 
           rect.setInteractive();
           scene.__boardCells.push(rect);
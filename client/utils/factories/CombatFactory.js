@@ -1,18 +1,46 @@
 import { DEBUG_MODE } from '../DebugManager.js';
+import BoardFactory from './BoardFactory.js';
 import GlobalSettings from '../SettingsManager.js';
 import GlobalLocalization from '../LocalizationManager.js';
 import DefenceFactory from './DefenceFactory.js';
+import EndlessFactory from './EndlessFactory.js';
 import MonsterFactory from './MonsterFactory.js';
 import StatusEffectFactory from './StatusEffectFactory.js';
 import SpecialEffectFactory from './SpecialEffectFactory.js';
 import GlobalAudio from '../AudioManager.js';
 import SpriteFactory from './SpriteFactory.js';
+import RandomManager from '../RandomManager.js';
 
 /**
  * Centralized combat logic used by scenes to resolve attacks, movement, and spawns.
  * All methods are static and expect the active scene to be passed in.
  */
 export default class CombatFactory {
+    /**
+     * True when the scene has nothing to draw on (HeadlessScene, server simulation).
+     * Visual-only code (floating text, projectiles, VFX sprites) should bail out early.
+     * @param {Object} scene - Active scene
+     * @returns {boolean}
+     */
+    static isHeadless(scene) {
+        return !scene || scene.headless === true || !scene.add || !scene.tweens;
+    }
+
+    /**
+     * Switch a unit's sprite to one of SpriteFactory.UNIT_STATES when visual effects are on.
+     * @param {Object} scene - Active scene
+     * @param {Object} unit - Unit with a sprite
+     * @param {string} state - State to play
+     * @param {Function} [onComplete] - Called when a one-shot state finishes
+     * @returns {boolean} Whether the state is playing
+     */
+    static playUnitState(scene, unit, state, onComplete = null) {
+        if (!unit?.sprite || CombatFactory.isHeadless(scene)) return false;
+        const settings = GlobalSettings.get(scene) || {};
+        if (!settings.visualEffects) return false;
+        return SpriteFactory.setUnitState(scene, unit.sprite, state, { onComplete });
+    }
+
     static _getUnitWorldXY(unit, scene) {
         if (!unit || !scene) return null;
         const spr = unit.sprite;
@@ -80,7 +108,7 @@ export default class CombatFactory {
 
     static async _spawnProjectile(attacker, target, scene = null) {
         const useScene = scene || attacker?.sprite?.scene || target?.sprite?.scene || null;
-        if (!useScene || !useScene.add || !useScene.tweens) return;
+        if (CombatFactory.isHeadless(useScene)) return;
 
         const projectileKey = CombatFactory._getProjectileKey(attacker);
         if (!projectileKey) return;
@@ -210,16 +238,22 @@ export default class CombatFactory {
         return fallback;
     }
 
+    // Default monster scaling: +10% per wave past wave 10
+    static DEFAULT_WAVE_SCALING = { Start: 10, Rate: 0.1, Exponent: 1 };
+
     /**
-     * Calculate wave scaling factor for monsters past wave 10.
-     * Formula: 1 + 0.1 * (wave - 10) for waves > 10, otherwise 1.
+     * Calculate wave scaling factor for monsters past the curve's start wave.
+     * Formula: 1 + Rate * (wave - Start) ^ Exponent past Start, otherwise 1. The curve is the scene's
+     * `waveScaling` (Endless mode picks one) or DEFAULT_WAVE_SCALING.
      * @param {number} wave - Current wave number
      * @param {boolean} isMonster - Whether the unit is a monster (only monsters scale)
+     * @param {Object|null} [scene] - Active scene
      * @returns {number} Scaling factor (1.0 or higher)
      */
-    static getWaveScalingFactor(wave, isMonster = true) {
-        if (!isMonster || wave <= 10) return 1;
-        return 1 + 0.1 * (wave - 10);
+    static getWaveScalingFactor(wave, isMonster = true, scene = null) {
+        const curve = scene?.waveScaling || CombatFactory.DEFAULT_WAVE_SCALING;
+        if (!isMonster || !(wave > curve.Start)) return 1;
+        return 1 + curve.Rate * Math.pow(wave - curve.Start, curve.Exponent);
     }
 
     /**
@@ -228,15 +262,15 @@ export default class CombatFactory {
      * @param {Object} unit - The unit to scale
      * @param {number} wave - Current wave number
      * @param {boolean} isMonster - Whether this is a monster unit
+     * @param {Object|null} [scene] - Active scene (for its scaling curve)
      */
-    static applyWaveScaling(unit, wave, isMonster = true) {
+    static applyWaveScaling(unit, wave, isMonster = true, scene = null) {
         if (!unit || !isMonster) return;
         const normalizedWave = Number.isFinite(wave) ? wave : 1;
         if (Number.isFinite(unit._waveScaledAt)) return;
         unit._waveScaledAt = normalizedWave;
-        if (normalizedWave <= 10) return;
         
-        const scaling = CombatFactory.getWaveScalingFactor(normalizedWave, true);
+        const scaling = CombatFactory.getWaveScalingFactor(normalizedWave, true, scene);
         if (scaling <= 1) return;
         
         // Store original base stats if not already stored (for revive consistency)
@@ -318,7 +352,9 @@ export default class CombatFactory {
                 scene.addHistoryEntry(`${unitName} takes ${dmg} damage!`);
             }
 
-            if (!settings.visualEffects) return;
+            if (!settings.visualEffects || CombatFactory.isHeadless(scene)) return;
+
+            CombatFactory.playUnitState(scene, unit, 'hit');
 
             let x = unit.sprite?.x;
             let y = unit.sprite?.y;
@@ -373,7 +409,7 @@ export default class CombatFactory {
                 scene.addHistoryEntry(`${unitName} takes ${dmg} ${label} damage!`);
             }
 
-            if (!settings.visualEffects) return;
+            if (!settings.visualEffects || CombatFactory.isHeadless(scene)) return;
 
             let x = unit.sprite?.x;
             let y = unit.sprite?.y;
@@ -444,7 +480,7 @@ export default class CombatFactory {
             const heal = Math.max(0, Math.round(amount));
             if (heal <= 0) return;
 
-            if (!settings.visualEffects) return;
+            if (!settings.visualEffects || CombatFactory.isHeadless(scene)) return;
 
             let x = unit.sprite?.x;
             let y = unit.sprite?.y;
@@ -491,7 +527,7 @@ export default class CombatFactory {
             const dmg = Math.max(0, Math.round(amount));
             if (dmg <= 0) return;
 
-            if (!settings.visualEffects) return;
+            if (!settings.visualEffects || CombatFactory.isHeadless(scene)) return;
 
             let x = unit.sprite?.x;
             let y = unit.sprite?.y;
@@ -579,7 +615,7 @@ export default class CombatFactory {
         if (!scene || !unit) return;
         try {
             const settings = GlobalSettings.get(scene) || {};
-            if (!settings.visualEffects) return;
+            if (!settings.visualEffects || CombatFactory.isHeadless(scene)) return;
 
             let x = unit.sprite?.x;
             let y = unit.sprite?.y;
@@ -840,6 +876,7 @@ export default class CombatFactory {
             for (let s = 0; s < steps; s++) {
                 const nextCol = newCol + direction;
                 if (nextCol < 0 || nextCol >= (scene.grid?.[0]?.length || scene.GRID_COLS || 9)) break;
+                if (BoardFactory.isBlocked(scene, row, nextCol)) break;
                 
                 // Check for force field at this column (blocks ALL rows at this column)
                 // Melee monsters should stop and attack the force field, not walk past it
@@ -899,7 +936,7 @@ export default class CombatFactory {
                             const maxCols = (scene.grid?.[0]?.length || scene.GRID_COLS || 9);
                             if (jumpCol >= 0 && jumpCol < maxCols) {
                                 const jumpCell = scene.grid[row] && scene.grid[row][jumpCol];
-                                if (!jumpCell || !jumpCell.unit) {
+                                if (!jumpCell || (!jumpCell.unit && !jumpCell.blocked)) {
                                     newCol = jumpCol;
                                     s += 1;
                                     continue;
@@ -910,6 +947,8 @@ export default class CombatFactory {
                     }
                 }
                 newCol = nextCol;
+                // Mud and similar tiles swallow the rest of this wave's movement
+                if (BoardFactory.getTileModifier(scene, row, newCol)?.EndsMovement) break;
             }
 
             if (newCol === col) return 0;
@@ -991,6 +1030,7 @@ export default class CombatFactory {
             } catch (e) {
                 if (DEBUG_MODE) console.warn('[moveMonster] applyDamageBoostsToUnit failed', e);
             }
+            BoardFactory.applyTileModifiers(monster, scene);
             return Math.abs(newCol - col);
         } catch (e) {
             console.error('MonsterFactory.move error:', e);
@@ -1000,7 +1040,7 @@ export default class CombatFactory {
 
     /**
      * Main resolve helper used after picking a target.
-     * Applies damage modifiers, shield handling (BlockAllLanes), AoE, statuses, lifesteal.
+     * Applies damage modifiers, shield handling (BlockAllLanes), statuses, then the onAttack/onDamaged/onHit hooks.
      * @param {Object} attacker - Attacking unit
      * @param {Object} target - Target unit
      * @param {Object|null} scene - Active scene
@@ -1009,8 +1049,11 @@ export default class CombatFactory {
         if (!attacker || !target) return;
         if (target.currentHealth <= 0) return;
 
+        SpecialEffectFactory.handleOnAttack(attacker, target, scene);
+
         // Fire-and-forget projectile visuals (purely cosmetic)
         CombatFactory._spawnProjectile(attacker, target, scene).catch(() => {});
+        CombatFactory.playUnitState(scene, attacker, 'attack');
 
         const base = (typeof attacker.damage === 'number') ? attacker.damage : 0;
         attacker._lastDamageDealtRaw = Math.max(0, Math.round(base));
@@ -1021,7 +1064,7 @@ export default class CombatFactory {
         const attackBlockedByShield = (remainingDmg <= 0 && finalDmg > 0);
 
         if (!attackBlockedByShield) {
-            StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, target);
+            StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, target, scene);
         } else if (attackBlockedByShield) {
             attacker._lastDamageDealt = attacker._lastDamageDealt || 0;
         }
@@ -1058,6 +1101,8 @@ export default class CombatFactory {
             if (acidBonusDmg > 0 && scene && typeof scene._trackDamage === 'function') {
                 scene._trackDamage(attacker, acidBonusDmg);
             }
+
+            SpecialEffectFactory.handleOnDamaged(target, attacker, dealt, scene);
         }
 
         CombatFactory._showDamage(scene, target, finalDmg);
@@ -1075,12 +1120,14 @@ export default class CombatFactory {
      * @param {Object[]} enemies - Candidate targets
      * @param {string} mode - Targeting mode (First, Last, Weak, Strong, Any)
      * @param {Object|null} attacker - Optional attacker (for force-field interception)
+     * @param {Object|null} scene - Active scene (supplies the match RNG for Any)
      * @returns {Object|null} Selected target or null
      */
-    static pickTargetByMode(enemies, mode = 'First', attacker = null) {
+    static pickTargetByMode(enemies, mode = 'First', attacker = null, scene = null) {
         if (!Array.isArray(enemies) || enemies.length === 0) return null;
+        const activeScene = scene || attacker?.scene || attacker?.sprite?.scene || null;
 
-        const forceFieldTarget = SpecialEffectFactory.interceptWithForceField(attacker, enemies, attacker?.sprite?.scene);
+        const forceFieldTarget = SpecialEffectFactory.interceptWithForceField(attacker, enemies, activeScene);
         if (forceFieldTarget) {
             return forceFieldTarget;
         }
@@ -1095,12 +1142,49 @@ export default class CombatFactory {
             case 'Strong':
                 return enemies.reduce((a, b) => a.currentHealth > b.currentHealth ? a : b);
             case 'Any':
-                return Phaser?.Utils?.Array?.GetRandom ? Phaser.Utils.Array.GetRandom(enemies) : enemies[Math.floor(Math.random() * enemies.length)];
+                return RandomManager.forScene(activeScene).pick(enemies);
             default:
                 return enemies[0];
         }
     }
 
+    /**
+     * What a board unit would shoot at right now, without firing (sandbox debug overlay).
+     * Enemies come back in the order resolveCombat sees them at the start of the unit's attack.
+     * "Any" would draw from the match stream, so every enemy in range is reported as a possible target.
+     * @param {Object} unit - Placed unit
+     * @param {Object} scene - Active scene
+     * @returns {{rows: number[], enemies: Object[], targets: Object[]}}
+     */
+    static getTargetPreview(unit, scene) {
+        if (!unit || !unit.position || !scene) return { rows: [], enemies: [], targets: [] };
+        const isDefence = unit.typeName in DefenceFactory.defenceData;
+        const { row, col } = unit.position;
+        let rows = [row];
+        if (unit.canTargetAdjacentLanes) {
+            rows = [row - 1, row, row + 1].filter(r => r >= 0 && r < (scene.GRID_ROWS ?? 5));
+        }
+
+        let enemies = isDefence
+            ? CombatFactory._getMonsterEnemiesForDefence(unit, rows, scene)
+            : CombatFactory._getDefenceEnemiesForMonster(unit, rows, scene);
+        const ff = SpecialEffectFactory.interceptWithForceField(unit, enemies, scene);
+        if (ff && !enemies.includes(ff)) enemies.unshift(ff);
+        if (isDefence) enemies = CombatFactory._applyDefenceBlindSpotFilter(unit, enemies);
+
+        const distance = (e) => Math.abs(e.position.col - col);
+        if (StatusEffectFactory.isUnitCharmed(unit)) enemies.sort((a, b) => distance(a) - distance(b));
+        else if (isDefence) enemies.sort((a, b) => a.position.col - b.position.col);
+        else enemies.sort((a, b) => b.position.col - a.position.col);
+
+        if (!enemies.length || (isDefence && SpecialEffectFactory.hasBlindSpot(unit, enemies, true))) {
+            return { rows, enemies, targets: [] };
+        }
+        const mode = unit.targetingMode || 'First';
+        const targets = mode === 'Any' ? enemies.slice() : [CombatFactory.pickTargetByMode(enemies, mode, unit, scene)].filter(Boolean);
+        return { rows, enemies, targets };
+    }
+
     /**
      * Queue a unit into the current player's holder list (summon to hand).
      * @param {Object} scene - Active scene
@@ -1115,7 +1199,8 @@ export default class CombatFactory {
 
         // Apply wave scaling using CombatFactory for consistency
         const isMonsterUnit = player.role === 'monster';
-        CombatFactory.applyWaveScaling(unit, scene.currentWave, isMonsterUnit);
+        CombatFactory.applyWaveScaling(unit, scene.currentWave, isMonsterUnit, scene);
+        EndlessFactory.applyModifiers(scene, unit);
 
         unit._owner = scene.currentPlayer;
         const ownerCount = (scene.holders || []).filter(h => h && h._owner === scene.currentPlayer).length;
@@ -1160,25 +1245,27 @@ export default class CombatFactory {
 
         // Apply wave scaling using CombatFactory for consistency
         const shouldApplyScaling = isMonsterUnit && (summonerIsMonster || player.role === 'monster');
-        CombatFactory.applyWaveScaling(unit, sourceWave, shouldApplyScaling);
+        CombatFactory.applyWaveScaling(unit, sourceWave, shouldApplyScaling, scene);
+        EndlessFactory.applyModifiers(scene, unit);
         unit._spawnWave = sourceWave;
         if (!Number.isFinite(unit._placedWave)) unit._placedWave = sourceWave;
 
         // find an empty nearby cell if target occupied
         let targetRow = row;
         let targetCol = col;
-        if (!scene.grid?.[targetRow]?.[targetCol] || scene.grid[targetRow][targetCol].unit) {
+        const isFree = (r, c) => !!scene.grid?.[r]?.[c] && !scene.grid[r][c].unit && !scene.grid[r][c].blocked;
+        if (!isFree(targetRow, targetCol)) {
             let found = false;
             for (let r = Math.max(0, row - 1); r <= Math.min((scene.GRID_ROWS ?? 5) - 1, row + 1) && !found; r++) {
                 for (let c = Math.max(0, col - 1); c <= Math.min((scene.GRID_COLS ?? 9) - 1, col + 1) && !found; c++) {
-                    if (!scene.grid?.[r]?.[c]?.unit) {
+                    if (isFree(r, c)) {
                         targetRow = r;
                         targetCol = c;
                         found = true;
                     }
                 }
             }
-            if (!scene.grid?.[targetRow]?.[targetCol] || scene.grid[targetRow][targetCol].unit) return; // nowhere to spawn
+            if (!isFree(targetRow, targetCol)) return; // nowhere to spawn
         }
 
         const { x, y } = (typeof scene.getTileXY === 'function') ?
@@ -1205,10 +1292,147 @@ export default class CombatFactory {
         scene.units.push(unit);
 
         if (typeof scene.addUnitBars === 'function') scene.addUnitBars(unit, spr);
+        CombatFactory.playUnitState(scene, unit, 'summon');
         SpecialEffectFactory.applyDamageBoostsToUnit(unit, scene);
+        BoardFactory.applyTileModifiers(unit, scene);
         SpecialEffectFactory.handleOnPlace(unit, scene);
     }
 
+    // Undetectable units can only be targeted by units with CanDetect
+    static _canDirectlyTarget(attacker, target) {
+        if (!attacker || !target) return false;
+        if (StatusEffectFactory.isUnitUndetectable(target)) {
+            const canDetect = !!attacker.canDetect || !!attacker.CanDetect;
+            return canDetect;
+        }
+        return true;
+    }
+
+    // Charmed enemies are only picked when nothing else is in range
+    static _preferNonCharmedTargets(list) {
+        if (!Array.isArray(list) || list.length === 0) return list || [];
+        const nonCharmed = list.filter(u => !StatusEffectFactory.isUnitCharmed(u));
+        return nonCharmed.length ? nonCharmed : list;
+    }
+
+    // Drop targets inside a defence's blind spot, unless that leaves nothing
+    static _applyDefenceBlindSpotFilter(def, list) {
+        if (!Array.isArray(list) || !def) return Array.isArray(list) ? list : [];
+        if (!(def.hasBlindSpot || def.HasBlindSpot)) return list;
+        const blindRange = Number(def.blindRange || def.BlindRange || 1);
+        const filtered = list.filter(u => {
+            const targetCol = u?.position?.col;
+            const defCol = def?.position?.col;
+            if (!Number.isFinite(targetCol) || !Number.isFinite(defCol)) return false;
+            return Math.abs(targetCol - defCol) > blindRange;
+        });
+        return filtered.length ? filtered : list;
+    }
+
+    // Enemies in range of a defence (forward direction = positive col diff)
+    static _getMonsterEnemiesForDefence(def, rowsToCheck, scene) {
+        const hasBackTargeting = def.backTargeting === true;
+        const isCharmed = StatusEffectFactory.isUnitCharmed(def);
+        const dir = isCharmed ? -1 : 1;
+        const wantDefences = isCharmed;
+
+        const list = (scene.units || []).filter(u => {
+            if (!u || u.currentHealth <= 0 || !u.position) return false;
+            if (!rowsToCheck.includes(u.position.row)) return false;
+            if (!CombatFactory._canDirectlyTarget(def, u)) return false;
+            if (u === def) return false;
+
+            const isDefenceUnit = (u.typeName in DefenceFactory.defenceData);
+            const isMonsterUnit = (u.typeName in MonsterFactory.monsterData);
+            if (wantDefences ? !isDefenceUnit : !isMonsterUnit) return false;
+
+            if (!isCharmed && !hasBackTargeting && ((u.position.col - def.position.col) * dir) <= 0) return false;
+            return Math.abs(u.position.col - def.position.col) <= (def.range ?? 0);
+        }).sort((a, b) => {
+            // When CanTargetAdjacentLanes, prioritize: Centre > Bottom > Top
+            const defRow = def.position.row;
+            const rowPriorityA = a.position.row === defRow ? 0 : (a.position.row > defRow ? 1 : 2);
+            const rowPriorityB = b.position.row === defRow ? 0 : (b.position.row > defRow ? 1 : 2);
+            if (rowPriorityA !== rowPriorityB) return rowPriorityA - rowPriorityB;
+            // Within same row priority, sort by distance
+            const distA = Math.abs(a.position.col - def.position.col);
+            const distB = Math.abs(b.position.col - def.position.col);
+            return distA - distB;
+        });
+        return isCharmed ? list : CombatFactory._preferNonCharmedTargets(list);
+    }
+
+    // Enemies in range of a monster (monsters attack leftwards); force fields come first
+    static _getDefenceEnemiesForMonster(mon, rowsToCheck, scene, rangeOverride = null) {
+        const hasBackTargeting = mon.backTargeting === true;
+        const isCharmed = StatusEffectFactory.isUnitCharmed(mon);
+        const dir = isCharmed ? 1 : -1;
+        const wantMonsters = isCharmed;
+        const monsterRange = Number.isFinite(rangeOverride) ? rangeOverride : (mon.range ?? 1);
+        const monCol = mon.position?.col ?? 0;
+        const monRow = mon.position?.row ?? 0;
+
+        // First check for force fields in range (only when not charmed)
+        const forceFieldEnemies = [];
+        if (!isCharmed) {
+            for (let c = monCol - 1; c >= Math.max(0, monCol - monsterRange); c--) {
+                const ffList = scene.forceFields && scene.forceFields[c];
+                if (ffList) {
+                    const ffArray = Array.isArray(ffList) ? ffList : [ffList];
+                    for (const ff of ffArray) {
+                        if (ff && ff.currentHealth > 0 && SpecialEffectFactory._isEnemyUnit(mon, ff)) {
+                            forceFieldEnemies.push(ff);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Get regular enemies (defences by default, monsters when charmed)
+        const regularEnemies = (scene.units || []).filter(u => {
+            if (!u || u.currentHealth <= 0 || !u.position) return false;
+            if (!rowsToCheck.includes(u.position.row)) return false;
+            if (!CombatFactory._canDirectlyTarget(mon, u)) return false;
+            if (u === mon) return false;
+
+            const isDefenceUnit = (u.typeName in DefenceFactory.defenceData);
+            const isMonsterUnit = (u.typeName in MonsterFactory.monsterData);
+            if (wantMonsters ? !isMonsterUnit : !isDefenceUnit) return false;
+            if (u.canBeTrampled || u.CanBeTrampled) return false;
+
+            if (!isCharmed && !hasBackTargeting && ((u.position.col - mon.position.col) * dir) <= 0) return false;
+            return Math.abs(u.position.col - mon.position.col) <= monsterRange;
+        });
+
+        // Combine: force fields first (prioritized), then regular enemies
+        const sortedForceFields = forceFieldEnemies.sort((a, b) => {
+            // When CanTargetAdjacentLanes, prioritize: Centre > Bottom > Top
+            const aRow = a.position?.row ?? 0;
+            const bRow = b.position?.row ?? 0;
+            const rowPriorityA = aRow === monRow ? 0 : (aRow > monRow ? 1 : 2);
+            const rowPriorityB = bRow === monRow ? 0 : (bRow > monRow ? 1 : 2);
+            if (rowPriorityA !== rowPriorityB) return rowPriorityA - rowPriorityB;
+            // Within same row priority, sort by distance
+            const distA = Math.abs((a.position?.col ?? 0) - monCol);
+            const distB = Math.abs((b.position?.col ?? 0) - monCol);
+            return distA - distB;
+        });
+
+        const sortedRegular = regularEnemies.sort((a, b) => {
+            // When CanTargetAdjacentLanes, prioritize: Centre > Bottom > Top
+            const rowPriorityA = a.position.row === monRow ? 0 : (a.position.row > monRow ? 1 : 2);
+            const rowPriorityB = b.position.row === monRow ? 0 : (b.position.row > monRow ? 1 : 2);
+            if (rowPriorityA !== rowPriorityB) return rowPriorityA - rowPriorityB;
+            // Within same row priority, sort by distance
+            const distA = Math.abs(a.position.col - monCol);
+            const distB = Math.abs(b.position.col - monCol);
+            return distA - distB;
+        });
+
+        const combined = [...sortedForceFields, ...sortedRegular];
+        return isCharmed ? combined : CombatFactory._preferNonCharmedTargets(combined);
+    }
+
     /**
      * Resolve a full combat round (defence phase then monster phase).
      * @param {Object} scene - Active scene
@@ -1223,146 +1447,18 @@ export default class CombatFactory {
 
         const columnDelay = 300;
 
-        // Process defence columns left-to-right (from front columns toward center)
-        const centerCol = Math.floor((scene.GRID_COLS ?? 9) / 2);
-        const defCols = [];
-        for (let c = 0; c < centerCol; c++) defCols.push(c);
-        defCols.sort((a, b) => a - b);
-
-        const canDirectlyTarget = (attacker, target) => {
-            if (!attacker || !target) return false;
-            if (StatusEffectFactory.isUnitUndetectable(target)) {
-                const canDetect = !!attacker.canDetect || !!attacker.CanDetect;
-                return canDetect;
-            }
-            return true;
-        };
+        // Process defence columns left-to-right (from front columns toward the monster side)
+        const defCols = BoardFactory.getZoneColumns(scene, 'defence');
 
-        const preferNonCharmedTargets = (list) => {
-            if (!Array.isArray(list) || list.length === 0) return list || [];
-            const nonCharmed = list.filter(u => !StatusEffectFactory.isUnitCharmed(u));
-            return nonCharmed.length ? nonCharmed : list;
-        };
-        const applyDefenceBlindSpotFilter = (def, list) => {
-            if (!Array.isArray(list) || !def) return Array.isArray(list) ? list : [];
-            if (!(def.hasBlindSpot || def.HasBlindSpot)) return list;
-            const blindRange = Number(def.blindRange || def.BlindRange || 1);
-            const filtered = list.filter(u => {
-                const targetCol = u?.position?.col;
-                const defCol = def?.position?.col;
-                if (!Number.isFinite(targetCol) || !Number.isFinite(defCol)) return false;
-                return Math.abs(targetCol - defCol) > blindRange;
-            });
-            return filtered.length ? filtered : list;
-        };
+        const applyDefenceBlindSpotFilter = (def, list) => CombatFactory._applyDefenceBlindSpotFilter(def, list);
         const isBlockAllLanesForceField = (unit) => {
             if (!unit || !Array.isArray(unit.specialEffects)) return false;
             return unit.specialEffects.some(e => e?.Type === 'BlockAllLanes');
         };
 
-        // Helper: build enemies for a defence (forward direction = positive col diff)
-        const buildMonsterEnemiesForDef = (def, rowsToCheck) => {
-            const hasBackTargeting = def.backTargeting === true;
-            const isCharmed = StatusEffectFactory.isUnitCharmed(def);
-            const dir = isCharmed ? -1 : 1;
-            const wantDefences = isCharmed;
-
-            const list = (scene.units || []).filter(u => {
-                if (!u || u.currentHealth <= 0 || !u.position) return false;
-                if (!rowsToCheck.includes(u.position.row)) return false;
-                if (!canDirectlyTarget(def, u)) return false;
-                if (u === def) return false;
-
-                const isDefenceUnit = (u.typeName in DefenceFactory.defenceData);
-                const isMonsterUnit = (u.typeName in MonsterFactory.monsterData);
-                if (wantDefences ? !isDefenceUnit : !isMonsterUnit) return false;
-
-                if (!isCharmed && !hasBackTargeting && ((u.position.col - def.position.col) * dir) <= 0) return false;
-                return Math.abs(u.position.col - def.position.col) <= (def.range ?? 0);
-            }).sort((a, b) => {
-                // When CanTargetAdjacentLanes, prioritize: Centre > Bottom > Top
-                const defRow = def.position.row;
-                const rowPriorityA = a.position.row === defRow ? 0 : (a.position.row > defRow ? 1 : 2);
-                const rowPriorityB = b.position.row === defRow ? 0 : (b.position.row > defRow ? 1 : 2);
-                if (rowPriorityA !== rowPriorityB) return rowPriorityA - rowPriorityB;
-                // Within same row priority, sort by distance
-                const distA = Math.abs(a.position.col - def.position.col);
-                const distB = Math.abs(b.position.col - def.position.col);
-                return distA - distB;
-            });
-            return isCharmed ? list : preferNonCharmedTargets(list);
-        };
-
-        // Helper: build enemies for a monster (monsters attacking leftwards)
-        const buildDefenceEnemiesForMon = (mon, rowsToCheck, rangeOverride = null) => {
-            const hasBackTargeting = mon.backTargeting === true;
-            const isCharmed = StatusEffectFactory.isUnitCharmed(mon);
-            const dir = isCharmed ? 1 : -1;
-            const wantMonsters = isCharmed;
-            const monsterRange = Number.isFinite(rangeOverride) ? rangeOverride : (mon.range ?? 1);
-            const monCol = mon.position?.col ?? 0;
-            const monRow = mon.position?.row ?? 0;
-
-            // First check for force fields in range (only when not charmed)
-            const forceFieldEnemies = [];
-            if (!isCharmed) {
-                for (let c = monCol - 1; c >= Math.max(0, monCol - monsterRange); c--) {
-                    const ffList = scene.forceFields && scene.forceFields[c];
-                    if (ffList) {
-                        const ffArray = Array.isArray(ffList) ? ffList : [ffList];
-                        for (const ff of ffArray) {
-                            if (ff && ff.currentHealth > 0 && SpecialEffectFactory._isEnemyUnit(mon, ff)) {
-                                forceFieldEnemies.push(ff);
-                            }
-                        }
-                    }
-                }
-            }
-
-            // Get regular enemies (defences by default, monsters when charmed)
-            const regularEnemies = (scene.units || []).filter(u => {
-                if (!u || u.currentHealth <= 0 || !u.position) return false;
-                if (!rowsToCheck.includes(u.position.row)) return false;
-                if (!canDirectlyTarget(mon, u)) return false;
-                if (u === mon) return false;
-
-                const isDefenceUnit = (u.typeName in DefenceFactory.defenceData);
-                const isMonsterUnit = (u.typeName in MonsterFactory.monsterData);
-                if (wantMonsters ? !isMonsterUnit : !isDefenceUnit) return false;
-                if (u.canBeTrampled || u.CanBeTrampled) return false;
-
-                if (!isCharmed && !hasBackTargeting && ((u.position.col - mon.position.col) * dir) <= 0) return false;
-                return Math.abs(u.position.col - mon.position.col) <= monsterRange;
-            });
-
-            // Combine: force fields first (prioritized), then regular enemies
-            const sortedForceFields = forceFieldEnemies.sort((a, b) => {
-                // When CanTargetAdjacentLanes, prioritize: Centre > Bottom > Top
-                const aRow = a.position?.row ?? 0;
-                const bRow = b.position?.row ?? 0;
-                const rowPriorityA = aRow === monRow ? 0 : (aRow > monRow ? 1 : 2);
-                const rowPriorityB = bRow === monRow ? 0 : (bRow > monRow ? 1 : 2);
-                if (rowPriorityA !== rowPriorityB) return rowPriorityA - rowPriorityB;
-                // Within same row priority, sort by distance
-                const distA = Math.abs((a.position?.col ?? 0) - monCol);
-                const distB = Math.abs((b.position?.col ?? 0) - monCol);
-                return distA - distB;
-            });
-
-            const sortedRegular = regularEnemies.sort((a, b) => {
-                // When CanTargetAdjacentLanes, prioritize: Centre > Bottom > Top
-                const rowPriorityA = a.position.row === monRow ? 0 : (a.position.row > monRow ? 1 : 2);
-                const rowPriorityB = b.position.row === monRow ? 0 : (b.position.row > monRow ? 1 : 2);
-                if (rowPriorityA !== rowPriorityB) return rowPriorityA - rowPriorityB;
-                // Within same row priority, sort by distance
-                const distA = Math.abs(a.position.col - monCol);
-                const distB = Math.abs(b.position.col - monCol);
-                return distA - distB;
-            });
-
-            const combined = [...sortedForceFields, ...sortedRegular];
-            return isCharmed ? combined : preferNonCharmedTargets(combined);
-        };
+        const buildMonsterEnemiesForDef = (def, rowsToCheck) => CombatFactory._getMonsterEnemiesForDefence(def, rowsToCheck, scene);
+        const buildDefenceEnemiesForMon = (mon, rowsToCheck, rangeOverride = null) =>
+            CombatFactory._getDefenceEnemiesForMonster(mon, rowsToCheck, scene, rangeOverride);
 
         const tryAdvanceIntoKilledTarget = (mon) => {
             if (!mon || !scene || !mon.position) return false;
@@ -1388,7 +1484,7 @@ export default class CombatFactory {
             if (nextCol < 0) return false;
             const cell = scene.grid?.[row]?.[nextCol];
 
-            if (!cell) return false;
+            if (!cell || cell.blocked) return false;
             const target = cell.unit;
 
             if (monRange > 1) {
@@ -1452,6 +1548,7 @@ export default class CombatFactory {
             } catch (e) {
                 if (DEBUG_MODE) console.warn('[tryAdvanceIntoKilledTarget] block all lanes sync failed', e);
             }
+            BoardFactory.applyTileModifiers(mon, scene);
             return true;
             }
             
@@ -1518,6 +1615,7 @@ export default class CombatFactory {
             } catch (e) {
                 if (DEBUG_MODE) console.warn('[tryAdvanceIntoKilledTarget] applyDamageBoostsToUnit failed', e);
             }
+            BoardFactory.applyTileModifiers(mon, scene);
             return true;
         };
 
@@ -1567,17 +1665,11 @@ export default class CombatFactory {
                     if (!enemies.length) continue;
                     if (SpecialEffectFactory.hasBlindSpot(def, enemies, true)) continue;
 
-                    // --- MultiFire handling (volley) ---
-                    const multiEf = def.specialEffects?.find(e => e.Type === 'MultiFire');
-                    if (multiEf) {
-                        const mfShots = Math.max(1, Number(multiEf.FireCount || 1));
-
-                        // determine shotDelay in ms: if FireDelay is small (<=10) treat as seconds, else treat as ms
-                        let shotDelay = 60;
-                        if (Number.isFinite(Number(multiEf.FireDelay))) {
-                            const fd = Number(multiEf.FireDelay);
-                            shotDelay = (fd <= 10) ? Math.max(0, Math.round(fd * 1000)) : Math.max(0, Math.round(fd));
-                        }
+                    // --- Volley fire (several shots per ammo, e.g. MultiFire) ---
+                    const volley = SpecialEffectFactory.getVolley(def, scene);
+                    if (volley) {
+                        const mfShots = volley.shots;
+                        const shotDelay = volley.delay;
 
                         while (def.currentAmmo > 0 && def.reloadTimer === 0) {
                             enemies = buildMonsterEnemiesForDef(def, rowsToCheck);
@@ -1593,7 +1685,7 @@ export default class CombatFactory {
 
                             if (!enemies.length) break;
                             if (SpecialEffectFactory.hasBlindSpot(def, enemies, true)) break;
-                            let perVolleyTargets = SpecialEffectFactory.getMultiShotTargets(def, enemies) || [];
+                            let perVolleyTargets = SpecialEffectFactory.getMultiShotTargets(def, enemies, scene) || [];
 
                             // prefer condensed target
                             try {
@@ -1611,7 +1703,7 @@ export default class CombatFactory {
                             if (!perVolleyTargets.length) {
                                 const fallback = [];
                                 for (let s = 0; s < mfShots; s++) {
-                                    const t = CombatFactory.pickTargetByMode(enemies, def.targetingMode || 'First', def);
+                                    const t = CombatFactory.pickTargetByMode(enemies, def.targetingMode || 'First', def, scene);
                                     if (!t) break;
                                     fallback.push(t);
                                 }
@@ -1633,7 +1725,7 @@ export default class CombatFactory {
                                     }
                                     if (enemies.length === 0) break;
                                     if (SpecialEffectFactory.hasBlindSpot(def, enemies, true)) break;
-                                    target = CombatFactory.pickTargetByMode(enemies, def.targetingMode || 'First', def);
+                                    target = CombatFactory.pickTargetByMode(enemies, def.targetingMode || 'First', def, scene);
                                 }
                                 if (!target) continue;
 
@@ -1673,7 +1765,7 @@ export default class CombatFactory {
                         }
                         if (removedByAmmo) continue;
                     } else {
-                        const chosenTargetsForShots = SpecialEffectFactory.getMultiShotTargets(def, enemies);
+                        const chosenTargetsForShots = SpecialEffectFactory.getMultiShotTargets(def, enemies, scene);
                         while (def.currentAmmo > 0 && def.reloadTimer === 0 && chosenTargetsForShots.length > 0) {
                             try {
                                 let target = chosenTargetsForShots.length ? chosenTargetsForShots.shift() : null;
@@ -1687,7 +1779,7 @@ export default class CombatFactory {
                                     }
                                     if (enemies.length === 0) break;
                                     if (SpecialEffectFactory.hasBlindSpot(def, enemies, true)) break;
-                                    target = CombatFactory.pickTargetByMode(enemies, def.targetingMode || 'First', def);
+                                    target = CombatFactory.pickTargetByMode(enemies, def.targetingMode || 'First', def, scene);
                                 }
                                 if (!target) break;
 
@@ -1734,18 +1826,8 @@ export default class CombatFactory {
                         if (DEBUG_MODE) console.warn('[resolveCombat] tryTriggerPeriodicSummon(def) failed', e);
                     }
 
-                    // Check for HealAllies first - prioritize healing allies over attacking enemies
-                    const healEffect = def.specialEffects?.find(e => e.Type === 'HealAllies');
-                    if (healEffect && def.currentHealth > 0) {
-                        const healed = SpecialEffectFactory._performHealAllies(def, healEffect, scene);
-                        if (healed) {
-                            if (DEBUG_MODE) {
-                                console.log('[resolveCombat][defence] HealAllies prioritized', def.typeName, 'healed', healed.typeName);
-                            }
-                            // After healing, skip attacking this turn
-                            continue;
-                        }
-                    }
+                    // Combat-turn effects (HealAllies) once the defence has fired
+                    SpecialEffectFactory.handleCombatTurn(def, scene);
 
                 } catch (e) {
                     if (DEBUG_MODE) console.warn('[resolveCombat][defence] per-defence error', e);
@@ -1795,16 +1877,10 @@ export default class CombatFactory {
                 return { attacked: false, removedByAmmo: false };
             }
 
-            const multiEf = mon.specialEffects?.find(e => e.Type === 'MultiFire');
-            if (multiEf) {
-                const mfShots = Math.max(1, Number(multiEf.FireCount || 1));
-
-                // determine shotDelay in ms
-                let shotDelay = 60;
-                if (Number.isFinite(Number(multiEf.FireDelay))) {
-                    const fd = Number(multiEf.FireDelay);
-                    shotDelay = (fd <= 10) ? Math.max(0, Math.round(fd * 1000)) : Math.max(0, Math.round(fd));
-                }
+            const volley = SpecialEffectFactory.getVolley(mon, scene);
+            if (volley) {
+                const mfShots = volley.shots;
+                const shotDelay = volley.delay;
 
                 while (mon.currentAmmo > 0 && mon.reloadTimer === 0) {
                     enemies = buildDefenceEnemiesForMon(mon, rowsToCheck);
@@ -1819,7 +1895,7 @@ export default class CombatFactory {
 
                     if (!enemies.length) break;
 
-                    let perVolleyTargets = SpecialEffectFactory.getMultiShotTargets(mon, enemies) || [];
+                    let perVolleyTargets = SpecialEffectFactory.getMultiShotTargets(mon, enemies, scene) || [];
 
                     try {
                         const aoe = mon.specialEffects?.find(e => e.Type === 'AreaOfEffect' && e.CondenseTargeting);
@@ -1836,7 +1912,7 @@ export default class CombatFactory {
                     if (!perVolleyTargets.length) {
                         const fallback = [];
                         for (let s = 0; s < mfShots; s++) {
-                            const t = CombatFactory.pickTargetByMode(enemies, mon.targetingMode || 'First', mon);
+                            const t = CombatFactory.pickTargetByMode(enemies, mon.targetingMode || 'First', mon, scene);
                             if (!t) break;
                             fallback.push(t);
                         }
@@ -1854,7 +1930,7 @@ export default class CombatFactory {
                                 enemies.sort((a, b) => b.position.col - a.position.col);
                             }
                             if (!enemies.length) break;
-                            target = CombatFactory.pickTargetByMode(enemies, mon.targetingMode || 'First', mon);
+                            target = CombatFactory.pickTargetByMode(enemies, mon.targetingMode || 'First', mon, scene);
                         }
                         if (!target) continue;
                         attacked = true;
@@ -1888,7 +1964,7 @@ export default class CombatFactory {
                 return { attacked, removedByAmmo };
             }
 
-            const perShotTargets = SpecialEffectFactory.getMultiShotTargets(mon, enemies);
+            const perShotTargets = SpecialEffectFactory.getMultiShotTargets(mon, enemies, scene);
             while (mon.currentAmmo > 0 && mon.reloadTimer === 0 && perShotTargets.length > 0) {
                 let target = perShotTargets.length ? perShotTargets.shift() : null;
                 if (!target || target.currentHealth <= 0) {
@@ -1899,7 +1975,7 @@ export default class CombatFactory {
                         enemies.sort((a, b) => a.position.col - b.position.col);
                     }
                     if (enemies.length === 0) break;
-                    target = CombatFactory.pickTargetByMode(enemies, mon.targetingMode || 'First', mon);
+                    target = CombatFactory.pickTargetByMode(enemies, mon.targetingMode || 'First', mon, scene);
                 }
                 if (!target) break;
                 attacked = true;
@@ -1955,18 +2031,8 @@ export default class CombatFactory {
                     if (DEBUG_MODE) console.warn('[resolveCombat] tryTriggerPeriodicSummon(mon) failed', e);
                 }
 
-                // Check for HealAllies first - prioritize healing allies over attacking enemies
-                const healEffect = mon.specialEffects?.find(e => e.Type === 'HealAllies');
-                if (healEffect && mon.currentHealth > 0) {
-                    const healed = SpecialEffectFactory._performHealAllies(mon, healEffect, scene);
-                    if (healed) {
-                        if (DEBUG_MODE) {
-                            console.log('[resolveCombat][monster] HealAllies prioritized', mon.typeName, 'healed', healed.typeName);
-                        }
-                        // After healing, skip attacking this turn
-                        continue;
-                    }
-                }
+                // Combat-turn effects first: a monster that acted (e.g. HealAllies healed an ally) doesn't attack or move
+                if (SpecialEffectFactory.handleCombatTurn(mon, scene)) continue;
 
                 const isCharmed = StatusEffectFactory.isUnitCharmed(mon);
                 const speedAbs = Number.isFinite(mon.speed) ? Math.abs(mon.speed) : 0;
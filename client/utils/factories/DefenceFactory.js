@@ -1,4 +1,5 @@
 import { DEBUG_MODE, DEV_DEBUG_MODE } from '../DebugManager.js';
+import EffectRegistry from '../EffectRegistry.js';
 import ErrorHandler from '../ErrorManager.js';
 import GlobalLocalization from '../LocalizationManager.js';
 import BoardFactory from './BoardFactory.js';
@@ -11,6 +12,19 @@ import SpecialEffectFactory from './SpecialEffectFactory.js';
 export default class DefenceFactory {
     static defenceData = {};
 
+    // Unit classes (the `Class` field); mirrors client/config/class_performance_template.csv
+    static CLASSES = [
+        'Artillery',
+        'Bruiser',
+        'Control',
+        'Damage Dealer',
+        'Finisher',
+        'Generalist',
+        'Hybrid',
+        'Support',
+        'Tank'
+    ];
+
     /**
      * Load defence definitions from the manifest into defenceData.
      * @returns {Promise<void>}
@@ -54,6 +68,12 @@ export default class DefenceFactory {
         if (data.Ammo !== null && (typeof data.Ammo !== 'number' || data.Ammo < 0)) {
             throw new Error(`Invalid Ammo for ${data.TypeName}`);
         }
+        if (data.Class !== undefined && !this.CLASSES.includes(data.Class)) {
+            throw new Error(`Invalid Class for ${data.TypeName}`);
+        }
+        if (data.Levels !== undefined && (!Array.isArray(data.Levels) || data.Levels.some(l => !l || (l.Health !== undefined && !(l.Health > 0))))) {
+            throw new Error(`Invalid Levels for ${data.TypeName}`);
+        }
     }
 
     /**
@@ -101,6 +121,7 @@ class Defence {
         this.fullName = GlobalLocalization.t(`UNIT_${this.typeName}`, data.FullName || this.typeName);
         this.description = GlobalLocalization.t(`UNIT_DESC_${this.typeName}`, data.Description || this.fullName || this.typeName);
         this.rarity = data.Rarity;
+        this.unitClass = data.Class || null;
         this.health = data.Health;
         this.damage = data.Damage;
         this.range = data.Range;
@@ -112,7 +133,7 @@ class Defence {
         this.projectileSprite = data.ProjectileSprite;
         this.projectileMotion = data.ProjectileMotion || data.projectileMotion || null;
         this.displaySprite = data.DisplaySprite;
-        this.specialEffects = data.SpecialEffects || [];
+        this.specialEffects = EffectRegistry.expand(data.SpecialEffects || []);
         this.statusEffects = data.StatusEffects || [];
         this.dontAttack = !!data.DontAttack || this.specialEffects.some(e => e?.Type === 'NoAttack');
         this.canDetect = !!data.CanDetect;
@@ -125,6 +146,7 @@ class Defence {
         this.hasBlindSpot = data.HasBlindSpot || false;
         this.blindRange = data.BlindRange || 1;
         this.backTargeting = data.BackTargeting || false;
+        this.level = 1;
         this.currentHealth = this.health;
         this.currentAmmo = this.ammo;
         this.reloadTimer = 0;
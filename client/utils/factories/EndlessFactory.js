@@ -0,0 +1,190 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import GlobalLocalization from '../LocalizationManager.js';
+import RandomManager from '../RandomManager.js';
+import MonsterFactory from './MonsterFactory.js';
+
+/**
+ * Endless mode rules. An endless match has no last wave: it runs until the monsters break through.
+ *
+ * Every MODIFIER_INTERVAL waves one more global modifier is drawn from the match stream and stays for
+ * the rest of the match (`scene.endlessModifiers`, `[{ id, wave }]`). Units on the board and in holders
+ * get it straight away, later units when they are created. A modifier changes monsters, defences or
+ * both; fog only changes what the client draws (see isFogged).
+ *
+ * Monster stats follow the scene's `waveScaling` curve, one of SCALING_CURVES
+ * (see CombatFactory.getWaveScalingFactor). Best waves are kept per loadout and curve.
+ */
+export default class EndlessFactory {
+    static STORAGE_KEY = 'protodice_endless_best';
+    static MODIFIER_INTERVAL = 10;
+    static FOG_COLUMNS = 3;
+    static DEFAULT_CURVE = 'standard';
+
+    // Monster stats grow by Rate * (wave - Start) ^ Exponent past wave Start; standard matches normal games
+    static SCALING_CURVES = {
+        gentle: { Name: 'Gentle', Start: 10, Rate: 0.08, Exponent: 1 },
+        standard: { Name: 'Standard', Start: 10, Rate: 0.1, Exponent: 1 },
+        steep: { Name: 'Steep', Start: 10, Rate: 0.1, Exponent: 1.15 },
+        brutal: { Name: 'Brutal', Start: 10, Rate: 0.1, Exponent: 1.3 }
+    };
+
+    // Global modifiers; Monster/Defence change one unit of that side
+    static MODIFIERS = {
+        armored: {
+            Name: 'Armored',
+            Description: 'Monsters without armor take 20% less damage',
+            Monster(unit) {
+                if ((unit.specialEffects || []).some(e => e?.Type === 'Armor')) return;
+                unit.specialEffects = [...(unit.specialEffects || []), { Type: 'Armor', DamageReduction: 0.8 }];
+            }
+        },
+        reinforced: {
+            Name: 'Reinforced',
+            Description: 'Monsters have 25% more health',
+            Monster(unit) {
+                const ratio = unit.health > 0 ? unit.currentHealth / unit.health : 1;
+                unit.health = Math.round(unit.health * 1.25);
+                unit.currentHealth = Math.max(1, Math.round(unit.health * ratio));
+                if (Number.isFinite(unit._originalBaseHealth)) unit._originalBaseHealth = Math.round(unit._originalBaseHealth * 1.25);
+            }
+        },
+        swift: {
+            Name: 'Swift',
+            Description: 'Moving monsters are half a tile faster',
+            Monster(unit) {
+                if (!(unit.speed > 0)) return;
+                unit.speed += 0.5;
+                if (unit._baseSpeed !== undefined) unit._baseSpeed += 0.5;
+            }
+        },
+        slow_reload: {
+            Name: 'Slow Reloads',
+            Description: 'Defence reload delays are 1 turn longer',
+            Defence(unit) {
+                if (typeof unit.reloadDelay === 'number') unit.reloadDelay += 1;
+            }
+        },
+        fog: {
+            Name: 'Fog',
+            Description: 'Fog hides the last 3 columns from the defence'
+        }
+    };
+
+    /**
+     * Curve definition by id, falling back to the default curve.
+     * @param {string} id - Key of SCALING_CURVES
+     * @returns {{Start: number, Rate: number, Exponent: number}}
+     */
+    static getCurve(id) {
+        return this.SCALING_CURVES[id] || this.SCALING_CURVES[this.DEFAULT_CURVE];
+    }
+
+    static getCurveName(id) {
+        const key = this.SCALING_CURVES[id] ? id : this.DEFAULT_CURVE;
+        return GlobalLocalization.t(`ENDLESS_CURVE_${key.toUpperCase()}`, this.SCALING_CURVES[key].Name);
+    }
+
+    static getModifierName(id) {
+        return GlobalLocalization.t(`ENDLESS_MOD_${String(id).toUpperCase()}`, this.MODIFIERS[id]?.Name || id);
+    }
+
+    static getModifierDescription(id) {
+        return GlobalLocalization.t(`ENDLESS_MOD_${String(id).toUpperCase()}_DESC`, this.MODIFIERS[id]?.Description || '');
+    }
+
+    static isActive(scene, id) {
+        return Array.isArray(scene?.endlessModifiers) && scene.endlessModifiers.some(m => m.id === id);
+    }
+
+    /**
+     * Whether fog covers a column. Only the monster end of the board is fogged.
+     */
+    static isFogged(scene, col) {
+        return this.isActive(scene, 'fog') && col >= (scene.GRID_COLS || 0) - this.FOG_COLUMNS;
+    }
+
+    /**
+     * Draw the next modifier when an endless wave starts on the interval. Each modifier is drawn once;
+     * when all of them are active the curve is all that keeps growing.
+     * @param {Object} scene - Active scene (`endless`, `currentWave`, `_rng`)
+     * @returns {string|null} Id of the new modifier
+     */
+    static handleWaveStart(scene) {
+        if (!scene?.endless) return null;
+        const wave = scene.currentWave;
+        if (!(wave > 0) || wave % this.MODIFIER_INTERVAL !== 0) return null;
+        if (!Array.isArray(scene.endlessModifiers)) scene.endlessModifiers = [];
+        if (scene.endlessModifiers.some(m => m.wave === wave)) return null;
+
+        const pool = Object.keys(this.MODIFIERS).filter(id => !this.isActive(scene, id));
+        if (!pool.length) return null;
+        const id = (scene._rng || RandomManager.forScene(scene)).pick(pool);
+        scene.endlessModifiers.push({ id, wave });
+        [...(scene.units || []), ...(scene.holders || [])].forEach(unit => this.applyModifiers(scene, unit));
+
+        if (DEBUG_MODE) console.log(`[EndlessFactory] Wave ${wave} modifier: ${id}`);
+        return id;
+    }
+
+    /**
+     * Give a unit every active modifier it doesn't have yet. Safe to call more than once.
+     * @param {Object} scene - Active scene
+     * @param {Object} unit - New or existing unit
+     */
+    static applyModifiers(scene, unit) {
+        const active = scene?.endlessModifiers;
+        if (!unit || !Array.isArray(active) || !active.length) return;
+        const isMonster = unit.typeName in MonsterFactory.monsterData;
+        if (!Array.isArray(unit._endlessModifiers)) unit._endlessModifiers = [];
+        for (const { id } of active) {
+            if (unit._endlessModifiers.includes(id)) continue;
+            unit._endlessModifiers.push(id);
+            const apply = isMonster ? this.MODIFIERS[id]?.Monster : this.MODIFIERS[id]?.Defence;
+            if (typeof apply === 'function') apply(unit);
+        }
+    }
+
+    /**
+     * Record key for a player's loadout: role, curve and both lineups (order doesn't matter).
+     */
+    static getRecordKey(player, curve) {
+        const sorted = (list) => (list || []).slice().sort().join(',');
+        return `${player?.role || 'unknown'}|${curve || this.DEFAULT_CURVE}|${sorted(player?.normalLoadout)}|${sorted(player?.protoLoadout)}`;
+    }
+
+    static getBestWave(player, curve) {
+        return Number(this._load()[this.getRecordKey(player, curve)] || 0);
+    }
+
+    /**
+     * Keep the wave a player reached if it beats their record for this loadout.
+     * @param {Object} player - Player with role and loadouts
+     * @param {string} curve - Key of SCALING_CURVES
+     * @param {number} wave - Wave reached
+     * @returns {{bestWave: number, newRecord: boolean}}
+     */
+    static recordWave(player, curve, wave) {
+        const data = this._load();
+        const key = this.getRecordKey(player, curve);
+        const previous = Number(data[key] || 0);
+        if (!(wave > previous)) return { bestWave: previous, newRecord: false };
+        data[key] = wave;
+        this._save(data);
+        return { bestWave: wave, newRecord: true };
+    }
+
+    static _load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            return (data && typeof data === 'object') ? data : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    static _save(data) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {}
+    }
+}
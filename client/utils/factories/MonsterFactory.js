@@ -1,4 +1,5 @@
 import { DEBUG_MODE, DEV_DEBUG_MODE } from '../DebugManager.js';
+import EffectRegistry from '../EffectRegistry.js';
 import ErrorHandler from '../ErrorManager.js';
 import GlobalLocalization from '../LocalizationManager.js';
 import BoardFactory from './BoardFactory.js';
@@ -11,6 +12,21 @@ import SpecialEffectFactory from './SpecialEffectFactory.js';
 export default class MonsterFactory {
     static monsterData = {};
 
+    // Unit classes (the `Class` field); mirrors client/config/class_performance_template.csv
+    static CLASSES = [
+        'Artillery',
+        'Bruiser',
+        'Control',
+        'Damage Dealer',
+        'Hybrid',
+        'Skirmisher',
+        'Swarm',
+        'Siege',
+        'Support',
+        'Summoner',
+        'Tank'
+    ];
+
     /**
      * Load monster definitions from the manifest into monsterData.
      * @returns {Promise<void>}
@@ -54,6 +70,12 @@ export default class MonsterFactory {
         if (data.Ammo !== null && (typeof data.Ammo !== 'number' || data.Ammo < 0)) {
             throw new Error(`Invalid Ammo for ${data.TypeName}`);
         }
+        if (data.Class !== undefined && !this.CLASSES.includes(data.Class)) {
+            throw new Error(`Invalid Class for ${data.TypeName}`);
+        }
+        if (data.Levels !== undefined && (!Array.isArray(data.Levels) || data.Levels.some(l => !l || (l.Health !== undefined && !(l.Health > 0))))) {
+            throw new Error(`Invalid Levels for ${data.TypeName}`);
+        }
     }
 
     /**
@@ -101,6 +123,7 @@ class Monster {
         this.fullName = GlobalLocalization.t(`UNIT_${this.typeName}`, data.FullName || this.typeName);
         this.description = GlobalLocalization.t(`UNIT_DESC_${this.typeName}`, data.Description || this.fullName || this.typeName);
         this.rarity = data.Rarity;
+        this.unitClass = data.Class || null;
         this.health = data.Health;
         this.damage = data.Damage;
         this.range = data.Range;
@@ -113,7 +136,7 @@ class Monster {
         this.projectileSprite = data.ProjectileSprite;
         this.projectileMotion = data.ProjectileMotion || data.projectileMotion || null;
         this.displaySprite = data.DisplaySprite;
-        this.specialEffects = data.SpecialEffects || [];
+        this.specialEffects = EffectRegistry.expand(data.SpecialEffects || []);
         this.statusEffects = data.StatusEffects || [];
         this.dontAttack = !!data.DontAttack || this.specialEffects.some(e => e?.Type === 'NoAttack');
         this.canDetect = !!data.CanDetect;
@@ -124,6 +147,7 @@ class Monster {
         this.canTargetAdjacentLanes = data.CanTargetAdjacentLanes || false;
         this.backTargeting = data.BackTargeting || false;
         this.canJump = !!data.CanJump;
+        this.level = 1;
         this.currentHealth = this.health;
         this.currentAmmo = this.ammo;
         this.reloadTimer = 0;
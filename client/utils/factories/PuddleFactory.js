@@ -250,7 +250,7 @@ export default class PuddleFactory {
             for (const s of puddle.statusEffects) {
                 if (!s) continue;
                 const copy = { ...s, _source: source };
-                StatusEffectFactory.applyStatusToTarget(copy, unit);
+                StatusEffectFactory.applyStatusToTarget(copy, unit, scene);
             }
         }
 
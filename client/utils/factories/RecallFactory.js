@@ -0,0 +1,87 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import BoardFactory from './BoardFactory.js';
+import SpecialEffectFactory from './SpecialEffectFactory.js';
+import StatusEffectFactory from './StatusEffectFactory.js';
+
+// Same cap as rolling: a full holder list can't take a recalled unit
+const MAX_HOLDERS = 10;
+
+/**
+ * Recalling placed units. During their own turn a player can take one of their units off the board
+ * and back into the holder list, keeping its level, health and ammo.
+ *
+ * The price is the player's next prototype die: each recall adds one to `player.recallPenalty`, and
+ * the next six that player rolls is spent paying it off instead of becoming a prototype die.
+ * Sprites and bars are left to the scene.
+ */
+export default class RecallFactory {
+    /**
+     * Why a unit can't be recalled right now.
+     * @param {Object} scene - Active scene (units, holders, players)
+     * @param {Object} unit - Unit on the board
+     * @param {number} playerIndex - Player asking for the recall
+     * @returns {string|null} Reason code, or null when the recall is allowed
+     */
+    static getBlocker(scene, unit, playerIndex) {
+        if (!scene || !unit || !(scene.units || []).includes(unit) || !unit.position) return 'no_unit';
+        if (unit._owner !== playerIndex) return 'not_your_unit';
+        if (!(unit.currentHealth > 0)) return 'no_unit';
+        if (StatusEffectFactory.isUnitStunned(unit) || StatusEffectFactory.isUnitFrozen(unit) || StatusEffectFactory.isUnitCharmed(unit)) {
+            return 'unit_disabled';
+        }
+        if ((scene.holders || []).filter(h => h && h._owner === playerIndex).length >= MAX_HOLDERS) return 'holders_full';
+        return null;
+    }
+
+    /**
+     * Take a unit off the board and put it back in its owner's holders.
+     * Its onRemove effects run without triggering death effects.
+     * @param {Object} scene - Active scene
+     * @param {Object} unit - Unit on the board
+     * @param {number} playerIndex - Player asking for the recall
+     * @returns {boolean} False when getBlocker refuses the recall
+     */
+    static recall(scene, unit, playerIndex) {
+        if (this.getBlocker(scene, unit, playerIndex)) return false;
+        const { row, col } = unit.position;
+
+        if (scene.grid[row]?.[col]?.unit === unit) scene.grid[row][col].unit = null;
+        const field = scene.forceFields?.[col];
+        if (Array.isArray(field)) {
+            scene.forceFields[col] = field.filter(x => x !== unit);
+            if (scene.forceFields[col].length === 0) delete scene.forceFields[col];
+        } else if (field === unit) {
+            delete scene.forceFields[col];
+        }
+        // Leave the unit list first so boost recalculation no longer counts it
+        scene.units = scene.units.filter(u => u !== unit);
+        try {
+            SpecialEffectFactory.handleOnRemove(unit, scene, { recalled: true });
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[RecallFactory] onRemove failed', e);
+        }
+
+        delete unit.position;
+        delete unit._placedWave;
+        BoardFactory.applyTileModifiers(unit, scene);
+        delete unit._damageMultiplier;
+        unit._activeDamageAmplifiers = new Map();
+        scene.holders.push(unit);
+
+        const player = scene.players?.[playerIndex];
+        if (player) player.recallPenalty = (player.recallPenalty || 0) + 1;
+        if (DEBUG_MODE) console.log(`[RecallFactory] ${unit.typeName} recalled from ${row},${col}`, { penalty: player?.recallPenalty });
+        return true;
+    }
+
+    /**
+     * Pay off one recall with a rolled six.
+     * @param {Object} player - Player who rolled the six
+     * @returns {boolean} True when the six is forfeited
+     */
+    static consumePenalty(player) {
+        if (!player || !(player.recallPenalty > 0)) return false;
+        player.recallPenalty -= 1;
+        return true;
+    }
+}
@@ -1,4 +1,7 @@
 import { DEBUG_MODE } from '../DebugManager.js';
+import EffectRegistry from '../EffectRegistry.js';
+import '../effects/BuiltinEffects.js';
+import BoardFactory from './BoardFactory.js';
 import CombatFactory from './CombatFactory.js';
 import DefenceFactory from './DefenceFactory.js';
 import MonsterFactory from './MonsterFactory.js';
@@ -6,6 +9,7 @@ import PuddleFactory from './PuddleFactory.js';
 import StatusEffectFactory from './StatusEffectFactory.js';
 import StatusEffectVisuals from '../StatusEffectVisuals.js';
 import GlobalAudio from '../AudioManager.js';
+import RandomManager from '../RandomManager.js';
 
 /**
  * Handles special effect logic (summons, AoE, healing, force fields, etc.).
@@ -72,7 +76,7 @@ export default class SpecialEffectFactory {
                 }
                 unit._shieldVFX = [];
                 for (let r = 0; r < gridRows; r++) {
-                    if (typeof scene.getTileXY === 'function') {
+                    if (typeof scene.getTileXY === 'function' && !CombatFactory.isHeadless(scene)) {
                         const t = scene.getTileXY(r, newCol);
                         const shieldSpr = scene.add.sprite(t.x, t.y, 'shield');
                         shieldSpr.setOrigin(0.5, 0.5);
@@ -167,7 +171,7 @@ export default class SpecialEffectFactory {
      * @returns {string|null} Resolved sprite key or null if not usable
      */
     static _spawnEffectSprite(scene, spriteKey, x, y, lifeMs = 400) {
-        if (!scene || !scene.add) return null;
+        if (CombatFactory.isHeadless(scene)) return null;
         const resolved = SpecialEffectFactory._resolveSpriteKey(scene, spriteKey);
         if (!resolved) return null;
 
@@ -253,7 +257,7 @@ export default class SpecialEffectFactory {
                 if (positions.length >= spawnCount) break;
                 const r = row + d[0],
                     c = col + d[1];
-                if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit) positions.push([r, c]);
+                if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit && !grid[r][c].blocked) positions.push([r, c]);
             }
         } else if (dir === 'Near') {
             const forward = (attacker.position && typeof attacker.position.col === 'number') ?
@@ -267,12 +271,12 @@ export default class SpecialEffectFactory {
             ];
             for (const [r, c] of candidate) {
                 if (positions.length >= spawnCount) break;
-                if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit) positions.push([r, c]);
+                if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit && !grid[r][c].blocked) positions.push([r, c]);
             }
         } else if (Array.isArray(dir)) {
             const r = row + (dir[0] || 0),
                 c = col + (dir[1] || 0);
-            if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit) positions.push([r, c]);
+            if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit && !grid[r][c].blocked) positions.push([r, c]);
         } else {
             for (let dr = -1; dr <= 1; dr++) {
                 for (let dc = -1; dc <= 1; dc++) {
@@ -280,7 +284,7 @@ export default class SpecialEffectFactory {
                     const r = row + dr,
                         c = col + dc;
                     if (positions.length >= spawnCount) break;
-                    if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit) positions.push([r, c]);
+                    if (r >= 0 && r < maxRows && c >= 0 && c < maxCols && !grid[r][c].unit && !grid[r][c].blocked) positions.push([r, c]);
                 }
             }
         }
@@ -348,7 +352,7 @@ export default class SpecialEffectFactory {
                     let spr = null;
                     if (scene && typeof scene.ensureSpriteForUnit === 'function') {
                         spr = scene.ensureSpriteForUnit(newly, t.x, t.y + offsetY, false);
-                    } else {
+                    } else if (!CombatFactory.isHeadless(scene)) {
                         const spriteKey = newly.displaySprite || 'dice1';
                         spr = scene.add.sprite(t.x, t.y + offsetY, spriteKey);
                     }
@@ -559,54 +563,21 @@ export default class SpecialEffectFactory {
         let dmg = Number(baseDamage || 0);
         const opts = options || {};
 
-        const armorEffect = Array.isArray(target.specialEffects) ?
-            target.specialEffects.find(e => e.Type === 'Armor') :
-            null;
-
-        const armorValue = armorEffect ? Number(armorEffect.Value) || 0 : 0;
-        const damageReduction = (armorEffect && armorEffect.DamageReduction !== undefined) ? Number(armorEffect.DamageReduction) : null;
-
-        const piercing = Array.isArray(attacker.specialEffects) ?
-            attacker.specialEffects.find(e => e.Type === 'ArmorPiercing') :
-            null;
-
-        const hasPiercing = !!piercing;
-        const piercingFactor = (piercing && piercing.Value !== undefined) ? Number(piercing.Value) : 1.0;
-
         // Check if target has Acid status - Acid ignores armor
         const forceAcid = !!opts.forceAcidStatus;
         const hasAcidStatus = forceAcid || (Array.isArray(target.status) && target.status.some(s => s.Type === 'Acid'));
 
-        // Track if armor actually reduced damage
-        let armorReducedDamage = false;
-
-        // --- Flat armor ---
-        if (armorValue > 0) {
-            if (hasPiercing || hasAcidStatus) {
-                const factor = hasPiercing ? piercingFactor : 1.0;
-                dmg = dmg * factor;
-                if (DEBUG_MODE) console.log(hasPiercing ? '[ArmorPiercing][FlatArmor]' : '[Acid][IgnoreArmor]', attacker.typeName, 'factor=', factor, 'newDmg=', dmg);
-            } else {
-                const preArmorDmg = dmg;
-                dmg = Math.max(0, dmg - armorValue);
-                armorReducedDamage = (preArmorDmg > dmg);
-                if (DEBUG_MODE) console.log('[Armor][FlatArmor]', target.typeName, 'armor=', armorValue, 'newDmg=', dmg);
-            }
-        }
-
-        // --- Damage Reduction (percent) ---
-        if (Number.isFinite(damageReduction)) {
-            if (hasPiercing || hasAcidStatus) {
-                const factor = hasPiercing ? piercingFactor : 1.0;
-                dmg = dmg * factor;
-                if (DEBUG_MODE) console.log(hasPiercing ? '[ArmorPiercing][BypassDR]' : '[Acid][BypassDR]', attacker.typeName, 'dr=', damageReduction);
-            } else {
-                const preArmorDmg = dmg;
-                dmg = Math.round(dmg * damageReduction);
-                armorReducedDamage = armorReducedDamage || (preArmorDmg > dmg);
-                if (DEBUG_MODE) console.log('[Armor][DamageReduction]', target.typeName, 'dr=', damageReduction, 'newDmg=', dmg);
-            }
-        }
+        // Attacker effects (ArmorPiercing) then target effects (Armor) size the hit
+        const context = {
+            attacker,
+            damage: dmg,
+            piercing: null,
+            ignoresArmor: hasAcidStatus,
+            reduced: false
+        };
+        EffectRegistry.dispatch('onDealDamage', attacker, scene, context);
+        EffectRegistry.dispatch('onTakeDamage', target, scene, context);
+        dmg = context.damage;
 
         // --- Acid bonus ---
         let acidMult = (target && typeof target._acidBonusMultiplier === 'number') ? target._acidBonusMultiplier : null;
@@ -632,7 +603,7 @@ export default class SpecialEffectFactory {
         dmg = dmg * attackerMultiplier;
 
         // Play armor sound if damage was reduced by armor
-        if (armorReducedDamage && scene && scene.sound && dmg > 0) {
+        if (context.reduced && scene && scene.sound && dmg > 0) {
             try {
                 GlobalAudio.playSfx(scene, 'armor', 0.6);
             } catch (e) {
@@ -644,71 +615,34 @@ export default class SpecialEffectFactory {
     }
 
     /**
-     * Call on unit removal/destruction so any area buffs provided by that unit are removed.
-     * Now triggers full recalculation of damage boosts for remaining units.
+     * Call on unit removal/destruction; runs the unit's onRemove hooks (area buffs, shields, death effects).
+     * Triggers a full recalculation of damage boosts when a booster left.
      * @param {Object} unit - Unit being removed
      * @param {Object|null} scene - Active scene
+     * @param {Object} [options]
+     * @param {boolean} [options.recalled=false] - Unit is going back to the holders, not dying
      */
-    static handleOnRemove(unit, scene = null) {
+    static handleOnRemove(unit, scene = null, { recalled = false } = {}) {
         if (!unit || !unit.specialEffects || !scene) return;
 
-        // Clean up shield VFX when unit is removed
-        try {
-            if (unit._shieldVFX && Array.isArray(unit._shieldVFX)) {
-                unit._shieldVFX.forEach(spr => {
-                    try {
-                        if (spr && spr.destroy) spr.destroy();
-                    } catch (e) {}
-                });
-                unit._shieldVFX = [];
-            }
-        } catch (e) {}
+        const context = { recalculateBoosts: false, recalled };
+        EffectRegistry.dispatch('onRemove', unit, scene, context);
 
-        let removedDamageBooster = false;
-        
-        unit.specialEffects.forEach(effect => {
-            if (effect.Type === 'DamageBooster') {
-                removedDamageBooster = true;
-                let r = 1,
-                    c = 1;
-                const radius = effect.Radius || effect.Value || '3x3';
-                if (typeof radius === 'string' && radius.includes('x')) {
-                    const parts = radius.split('x').map(p => parseInt(p, 10) || 1);
-                    r = parts[0];
-                    c = parts[1];
-                } else if (typeof radius === 'number') {
-                    r = c = radius;
-                }
-                const mult = Number(effect.Value || 1.0);
-                SpecialEffectFactory._applyDamageBoosterArea(scene, unit.position.row, unit.position.col, r, c, mult, unit, false);
-            }
-            if (effect.Type === 'DeathEffect') {
-                if (unit._deathEffectTriggered) {
-                    if (DEBUG_MODE) console.log('[DeathEffect] skipped duplicate on remove', unit.typeName);
-                    return;
-                }
-                unit._deathEffectTriggered = true;
-                try {
-                    SpecialEffectFactory._performDeathEffect(unit, effect, scene);
-                } catch (e) {
-                    if (DEBUG_MODE) console.warn('[DeathEffect] perform failed', e);
-                }
-            }
-        });
-        
         // Full recalculation ensures monsters don't retain boosts from dead amplifiers
-        if (removedDamageBooster) {
+        if (context.recalculateBoosts) {
             SpecialEffectFactory.recalculateAllDamageBoosts(scene);
         }
     }
 
     /**
-     * Resolve multi-shot targets (SpreadTargeting, AmmoIndex/AmmoIndices).
+     * Resolve multi-shot targets through the attacker's onSelectTargets hooks (MultiFire, SpreadTargeting),
+     * falling back to the condensed AoE target or the unit's targeting mode for every shot.
      * @param {Object} attacker - Attacking unit
      * @param {Object[]} enemies - Candidate targets
+     * @param {Object|null} scene - Active scene
      * @returns {Object[]} Targets for this volley/shot sequence
      */
-    static getMultiShotTargets(attacker, enemies = []) {
+    static getMultiShotTargets(attacker, enemies = [], scene = null) {
         const shots = (attacker?.currentAmmo !== undefined && attacker?.currentAmmo !== null) ?
             Number(attacker.currentAmmo) :
             (attacker?.ammo !== undefined && attacker?.ammo !== null) ?
@@ -717,115 +651,34 @@ export default class SpecialEffectFactory {
         if (!Array.isArray(enemies)) enemies = [];
         if (!enemies.length) return [];
 
-        // 1) MultiFire special-case: per-lane targets when CanTargetAdjacentLanes is set
-        const multi = attacker.specialEffects?.find(e => e.Type === 'MultiFire');
-        if (multi) {
-            const mfShots = Math.max(1, Number(multi.FireCount || 1));
-            const results = [];
-
-            if (attacker.CanTargetAdjacentLanes || attacker.canTargetAdjacentLanes) {
-                const centerRow = Number.isFinite(attacker.position?.row) ? attacker.position.row : 0;
-                const maxRows = attacker.scene?.GRID_ROWS ?? 5;
-                const attackerCol = Number.isFinite(attacker.position?.col) ? attacker.position.col : 0;
-                const range = Math.max(1, Number(attacker.range || 0) || 1);
-
-                // Build lane order: center, bottom, top (prioritizing downward)
-                const laneOrder = [];
-                if (mfShots >= 1) laneOrder.push(centerRow);
-                if (mfShots >= 2 && centerRow + 1 < maxRows) laneOrder.push(centerRow + 1);
-                if (mfShots >= 3 && centerRow - 1 >= 0) laneOrder.push(centerRow - 1);
-                const allLanes = [centerRow, centerRow - 1, centerRow + 1].filter(r => r >= 0 && r < maxRows);
-
-                const pickRowTarget = (row) => {
-                    const rowEnemies = enemies.filter(e => {
-                        if (!e?.position || e.currentHealth <= 0) return false;
-                        if (e.position.row !== row) return false;
-                        const dist = Math.abs((e.position.col ?? 0) - attackerCol);
-                        return dist <= range;
-                    });
-                    if (!rowEnemies.length) return null;
-                    rowEnemies.sort((a, b) => {
-                        const da = Math.abs((a.position?.col ?? 0) - attackerCol);
-                        const db = Math.abs((b.position?.col ?? 0) - attackerCol);
-                        return da - db;
-                    });
-                    return CombatFactory.pickTargetByMode(
-                        rowEnemies,
-                        attacker.targetingMode || 'First',
-                        attacker
-                    );
-                };
-
-                const laneCycle = laneOrder.length ? laneOrder : allLanes;
-
-                // Fire only on lanes that have targets; do not repeat shots when adjacent lanes are empty.
-                for (const row of laneCycle) {
-                    if (results.length >= mfShots) break;
-                    const t = pickRowTarget(row);
-                    if (t) results.push(t);
-                }
-
-                return results;
-            }
-
-            // Non-adjacent-lane multifire
-            const t = CombatFactory.pickTargetByMode(enemies, attacker.targetingMode || 'First', attacker);
-            return Array.from({
-                length: mfShots
-            }, () => t);
-        }
-
-        // 2) SpreadTargeting handling (falls back to standard if no spread)
-        const spread = attacker.specialEffects?.find(e => e.Type === 'SpreadTargeting');
-        if (!spread) {
-            let t = null;
-            try {
-                const aoe = attacker.specialEffects?.find(e => e.Type === 'AreaOfEffect' && e.CondenseTargeting);
-                if (aoe) {
-                    t = SpecialEffectFactory.getCondensedTarget(attacker, enemies);
-                }
-            } catch (e) {}
-            if (!t) t = CombatFactory.pickTargetByMode(enemies, attacker.targetingMode || 'First', attacker);
-            return Array.from({
-                length: shots
-            }, () => t);
-        }
-
-        // If we do have spread, optionally condense AoE targeting first
-        const aoe = attacker.specialEffects?.find(e => e.Type === 'AreaOfEffect' && e.CondenseTargeting);
-        if (aoe) {
-            const condensed = SpecialEffectFactory.getCondensedTarget(attacker, enemies);
-            if (condensed) {
-                enemies = [condensed, ...enemies.filter(e => e !== condensed)];
-            }
-        }
-
-        const onlyWhenEnough = !!spread.OnlyActivateWhenEnoughEnemies;
-        const threshold = spread.MinimumEnemies || 2;
-        const useSpread = !onlyWhenEnough || enemies.length >= threshold;
-
-        const ammoIndexMap = {};
-        if (spread.AmmoIndex !== undefined) {
-            ammoIndexMap[Number(spread.AmmoIndex)] = spread.TargetMode || 'Last';
-        } else if (Array.isArray(spread.AmmoIndices)) {
-            for (const entry of spread.AmmoIndices) {
-                if (entry && typeof entry === 'object' && entry.Index !== undefined) {
-                    ammoIndexMap[Number(entry.Index)] = entry.Mode || 'Last';
-                }
-            }
-        }
+        // Targeting effects (MultiFire, SpreadTargeting) pick the volley themselves
+        const context = { enemies, shots, targets: null };
+        EffectRegistry.dispatch('onSelectTargets', attacker, scene, context);
+        if (context.targets) return context.targets;
 
-        const results = [];
-        for (let s = 0; s < shots; s++) {
-            const specialMode = ammoIndexMap[s];
-            if (!useSpread || !specialMode) {
-                results.push(CombatFactory.pickTargetByMode(enemies, attacker.targetingMode || 'First', attacker));
-            } else {
-                results.push(CombatFactory.pickTargetByMode(enemies, specialMode, attacker));
+        let t = null;
+        try {
+            const aoe = attacker.specialEffects?.find(e => e.Type === 'AreaOfEffect' && e.CondenseTargeting);
+            if (aoe) {
+                t = SpecialEffectFactory.getCondensedTarget(attacker, enemies);
             }
-        }
+        } catch (e) {}
+        if (!t) t = CombatFactory.pickTargetByMode(enemies, attacker.targetingMode || 'First', attacker, scene);
+        return Array.from({
+            length: shots
+        }, () => t);
+    }
 
-        return results;
+    /**
+     * Volley settings from the unit's onVolley hooks (MultiFire): `shots` shots per ammo, `delay` ms apart.
+     * @param {Object} unit - Attacking unit
+     * @param {Object|null} scene - Active scene
+     * @returns {{shots: number, delay: number}|null} null for units that fire one shot per ammo
+     */
+    static getVolley(unit, scene = null) {
+        const context = { volley: null };
+        EffectRegistry.dispatch('onVolley', unit, scene, context);
+        return context.volley;
     }
 
     /**
@@ -869,7 +722,7 @@ export default class SpecialEffectFactory {
 
         // linear interpolation from max at dist=1 to min at dist=rangeNum
         const chance = clampedMax - (clampedMax - clampedMin) * (distClamped - 1) / Math.max(1, (rangeNum - 1));
-        const roll = Math.random();
+        const roll = RandomManager.forScene(scene || attacker.scene).next();
         if (DEBUG_MODE) {
             console.log('[SpecialEffect][Accuracy]', {
                 attacker: attacker.typeName,
@@ -1008,7 +861,8 @@ export default class SpecialEffectFactory {
     }
 
     /**
-     * Apply on-hit special effects (AoE, lifesteal, statuses, etc.).
+     * Apply on-hit special effects (AoE, lifesteal, statuses, etc.) through the attacker's onHit hooks.
+     * Puddles are placed at most once per cell per hit, whichever effects spread them.
      * @param {Object} attacker - Attacking unit
      * @param {Object} target - Target unit
      * @param {Object} scene - Active scene
@@ -1032,268 +886,7 @@ export default class SpecialEffectFactory {
             }
         };
 
-        // Direct hit puddle placement
-        if (createPuddle && target.position) {
-            placePuddleAt(target.position.row, target.position.col);
-        }
-
-        // --- LaserBeam handling ---
-        const laser = (attacker.specialEffects || []).find(e => e.Type === 'LaserBeam');
-        if (laser && scene && target.position) {
-            if (DEBUG_MODE) console.log('Laser beam triggered', {
-                attacker: attacker.typeName,
-                target: target.typeName,
-                laser
-            });
-
-            const dir = (target.position.col - (attacker.position?.col ?? 0)) >= 0 ? 1 : -1;
-            const grid = scene.grid || [];
-            const maxCols = grid[0]?.length || 0;
-
-            // Check if laser can hit a unit
-            const canLaserHit = (unit) => {
-                if (!unit || unit.currentHealth <= 0 || unit === target) return false;
-                if (!SpecialEffectFactory._isEnemyUnitConsideringCharm(attacker, unit)) return false;
-                if (!SpecialEffectFactory._passesTargetingFilter(unit, laser.TargetingFilter, attacker)) return false;
-                return true;
-            };
-
-            if (laser.TravelEntireRow) {
-                let c = target.position.col + dir;
-                while (c >= 0 && c < maxCols) {
-                    const unit = scene.grid[target.position.row][c]?.unit;
-                    if (canLaserHit(unit)) {
-                        const dmgL = SpecialEffectFactory.applyDamageModifiers(attacker, unit, base, scene);
-                        const preHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
-                        unit.takeDamage(dmgL, attacker);
-                        const postHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
-                        const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, dmgL);
-                        if (scene && typeof scene._trackDamage === 'function') {
-                            scene._trackDamage(attacker, dealt);
-                        }
-                        CombatFactory._showDamage(scene, unit, dmgL);
-                        StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, unit);
-                        if (DEBUG_MODE) console.log('Laser hit unit', {
-                            at: [target.position.row, c],
-                            unit: unit.typeName,
-                            damage: dmgL
-                        });
-                    }
-                    c += dir;
-                }
-            } else {
-                const ext = Math.max(0, Number(laser.Extension || 0));
-                for (let step = 1; step <= ext; step++) {
-                    const c = target.position.col + (step * dir);
-                    if (c < 0 || c >= maxCols) break;
-                    const unit = scene.grid[target.position.row][c]?.unit;
-                    if (canLaserHit(unit)) {
-                        const dmgL = SpecialEffectFactory.applyDamageModifiers(attacker, unit, base, scene);
-                        const preHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
-                        unit.takeDamage(dmgL, attacker);
-                        const postHp = (typeof unit.currentHealth === 'number') ? unit.currentHealth : null;
-                        const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, dmgL);
-                        if (scene && typeof scene._trackDamage === 'function') {
-                            scene._trackDamage(attacker, dealt);
-                        }
-                        CombatFactory._showDamage(scene, unit, dmgL);
-                        StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, unit);
-                        if (DEBUG_MODE) console.log('Laser extension hit', {
-                            at: [target.position.row, c],
-                            unit: unit.typeName,
-                            damage: dmgL
-                        });
-                    }
-                }
-            }
-
-            // Create puddles along the beam path (target + extension/row)
-            if (createPuddle) {
-                try {
-                    const row = target.position.row;
-                    const startCol = target.position.col;
-                    if (laser.TravelEntireRow) {
-                        let c = startCol;
-                        while (c >= 0 && c < maxCols) {
-                            placePuddleAt(row, c);
-                            c += dir;
-                        }
-                    } else {
-                        placePuddleAt(row, startCol);
-                        const extP = Math.max(0, Number(laser.Extension || 0));
-                        for (let step = 1; step <= extP; step++) {
-                            const c = startCol + (step * dir);
-                            if (c < 0 || c >= maxCols) break;
-                            placePuddleAt(row, c);
-                        }
-                    }
-                } catch (e) {
-                    if (DEBUG_MODE) console.warn('[CreatePuddle][LaserBeam] failed', e);
-                }
-            }
-
-            if (scene && laser.Sprite && typeof scene.getTileXY === 'function') {
-                const t = scene.getTileXY(target.position.row, target.position.col);
-                SpecialEffectFactory._spawnEffectSprite(scene, laser.Sprite, t.x, t.y, 400);
-            }
-
-            // Play laser sound effect if defined
-            if (laser.Audio && scene && scene.sound) {
-                try {
-                    GlobalAudio.playSfx(scene, laser.Audio, 0.6);
-                } catch (e) {
-                    if (DEBUG_MODE) console.warn('[Laser] sound effect failed', e);
-                }
-            }
-        }
-
-        // --- AreaOfEffect (splash) handling with targeting filter support ---
-        const aoe = (attacker.specialEffects || []).find(e => e.Type === 'AreaOfEffect');
-        if (aoe && aoe.Value && scene) {
-            if (DEBUG_MODE) console.log('AoE triggered', {
-                attacker: attacker.typeName,
-                aoe
-            });
-
-            let rows = 1,
-                cols = 1;
-            if (typeof aoe.Value === 'string' && aoe.Value.includes('x')) {
-                const parts = aoe.Value.split('x').map(p => parseInt(p, 10) || 1);
-                rows = parts[0];
-                cols = parts[1];
-            } else if (typeof aoe.Value === 'number') {
-                rows = cols = aoe.Value;
-            }
-            const radR = Math.floor(rows / 2);
-            const radC = Math.floor(cols / 2);
-            const units = scene.units || [];
-
-            // choose centre: attacker (omnidir) or target (default)
-            const centerRow = (aoe.IsOmnidirectional && attacker.position) ? attacker.position.row : (target.position?.row);
-            const centerCol = (aoe.IsOmnidirectional && attacker.position) ? attacker.position.col : (target.position?.col);
-            if (centerRow === undefined || centerCol === undefined) {
-                // no valid centre, skip AoE
-            } else {
-                const alreadyDamaged = new Set();
-                if (target) alreadyDamaged.add(target);
-
-                // Create puddles for AoE footprint
-                if (createPuddle) {
-                    const maxR = (scene.GRID_ROWS || (scene.grid ? scene.grid.length : 5));
-                    const maxC = (scene.GRID_COLS || (scene.grid && scene.grid[0] ? scene.grid[0].length : 9));
-                    for (let rr = centerRow - radR; rr <= centerRow + radR; rr++) {
-                        for (let cc = centerCol - radC; cc <= centerCol + radC; cc++) {
-                            if (rr < 0 || rr >= maxR || cc < 0 || cc >= maxC) continue;
-                            placePuddleAt(rr, cc);
-                        }
-                    }
-                }
-
-                // collect affected enemy units
-                const affected = units.filter(u => {
-                    if (!u || !u.position || u.currentHealth <= 0) return false;
-                    if (!SpecialEffectFactory._isEnemyUnitConsideringCharm(attacker, u)) return false;
-                    if (u === target && !aoe.IncludeDirectTarget) return false;
-                    if (!SpecialEffectFactory._passesTargetingFilter(u, aoe.TargetingFilter, attacker)) return false;
-                    const dr = Math.abs(u.position.row - centerRow);
-                    const dc = Math.abs(u.position.col - centerCol);
-                    return dr <= radR && dc <= radC;
-                });
-
-                if (DEBUG_MODE) console.log('AoE affected units', affected.map(u => ({
-                    type: u.typeName,
-                    pos: u.position
-                })));
-
-                // If AoE damage is derived from last damage, we still want statuses to apply even if last damage was 0.
-                const last = Math.max(0, Math.round(attacker._lastDamageDealtRaw ?? attacker._lastDamageDealt ?? 0));
-
-                for (const u of affected) {
-                    if (!u || u.currentHealth <= 0) continue;
-                    const rawSplash = Math.round(last * (aoe.SplashFactor !== undefined ? aoe.SplashFactor : 1.0));
-
-                    if (rawSplash > 0) {
-                        const finalSplash = SpecialEffectFactory.applyDamageModifiers(attacker, u, rawSplash, scene);
-                        if (finalSplash > 0) {
-                            const preHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
-                            u.takeDamage(finalSplash, attacker);
-                            const postHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
-                            const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, finalSplash);
-                            if (scene && typeof scene._trackDamage === 'function') {
-                                scene._trackDamage(attacker, dealt);
-                            }
-                            CombatFactory._showDamage(scene, u, finalSplash);
-                        }
-                    } else {
-                        if (DEBUG_MODE) console.info('[AoE] zero splash damage — statuses will still apply', {
-                            attacker: attacker.typeName,
-                            target: u.typeName
-                        });
-                    }
-
-                    try {
-                        StatusEffectFactory.applyStatusEffectsFromSourceToTarget(attacker, u);
-                    } catch (e) {
-                        if (DEBUG_MODE) console.warn('[AoE] applyStatusEffectsFromSourceToTarget failed', e);
-                    }
-
-                    alreadyDamaged.add(u);
-                }
-
-                // visual sprite if available
-                if (scene && aoe.Sprite && typeof scene.getTileXY === 'function') {
-                    const t = scene.getTileXY(centerRow, centerCol);
-                    SpecialEffectFactory._spawnEffectSprite(scene, aoe.Sprite, t.x, t.y, 400);
-                }
-
-                // Play AoE sound effect if defined
-                if (aoe.Audio && scene && scene.sound) {
-                    try {
-                        GlobalAudio.playSfx(scene, aoe.Audio, 0.6);
-                    } catch (e) {
-                        if (DEBUG_MODE) console.warn('[AoE] sound effect failed', e);
-                    }
-                }
-            }
-        }
-
-        // --- Lifesteal handling ---
-        const lifesteal = attacker.specialEffects?.find(e => e.Type === 'Lifesteal');
-        if (lifesteal && typeof attacker.currentHealth === 'number') {
-            const v = lifesteal.Value || 0;
-            const healed = Math.round((attacker._lastDamageDealt || 0) * v);
-            if (healed > 0) {
-                attacker.currentHealth = Math.min(attacker.health, attacker.currentHealth + healed);
-                
-                // Play lifesteal sound effect
-                if (scene && scene.sound) {
-                    try {
-                        GlobalAudio.playSfx(scene, 'lifesteal', 0.6);
-                    } catch (e) {
-                        if (DEBUG_MODE) console.warn('[Lifesteal][Sound] failed to play lifesteal sound', e);
-                    }
-                }
-                
-                if (DEBUG_MODE) console.log('Lifesteal healed', {
-                    attacker: attacker.typeName,
-                    healed
-                });
-            }
-        }
-
-        // --- SummonUnit handling ---
-        const summon = (attacker.specialEffects || []).find(e => e.Type === 'SummonUnit');
-        if (summon && scene) {
-            attacker._summonCooldown = attacker._summonCooldown || 0;
-            if ((attacker._summonCooldown || 0) <= 0) {
-                SpecialEffectFactory._performSummon(attacker, summon, scene);
-                attacker._summonCooldown = Math.max(0, Number(summon.Cooldown || 0));
-                if (DEBUG_MODE) console.log('Perform summon executed', {
-                    attacker: attacker.typeName,
-                    summon
-                });
-            }
-        }
+        EffectRegistry.dispatch('onHit', attacker, scene, { target, base, createPuddle, placePuddleAt });
     }
 
     /**
@@ -1375,7 +968,7 @@ export default class SpecialEffectFactory {
 
         // Calculate wave scaling for death damage (monsters past wave 10)
         const wave = CombatFactory.getUnitWave(unit, scene);
-        const waveScaling = CombatFactory.getWaveScalingFactor(wave, unitIsMonster);
+        const waveScaling = CombatFactory.getWaveScalingFactor(wave, unitIsMonster, scene);
         const scaledDeathDamage = typeof effect.DeathDamage === 'number' ? 
             Math.round(effect.DeathDamage * waveScaling) : 0;
         const scaledDeathHealing = typeof effect.DeathHealing === 'number' ? 
@@ -1430,7 +1023,7 @@ export default class SpecialEffectFactory {
                             ...stat,
                             _source: unit
                         };
-                        StatusEffectFactory.applyStatusToTarget(copy, tgt);
+                        StatusEffectFactory.applyStatusToTarget(copy, tgt, scene);
                     });
                 } catch (e) {
                     if (DEBUG_MODE) console.warn('[DeathEffect] apply statuses failed', e);
@@ -1485,6 +1078,7 @@ export default class SpecialEffectFactory {
                     if (u.ammoBarBg) { u.ammoBarBg.destroy(); u.ammoBarBg = null; }
                     if (u.reloadBar) { u.reloadBar.destroy(); u.reloadBar = null; }
                     if (u.reloadBarBg) { u.reloadBarBg.destroy(); u.reloadBarBg = null; }
+                    if (u.levelStars) { u.levelStars.destroy(); u.levelStars = null; }
                 } catch (e) {}
                 
                 // Destroy sprite
@@ -1525,564 +1119,27 @@ export default class SpecialEffectFactory {
     }
 
     /**
-     * Handle unit death effects (DeathEffect, shield cleanup, etc.).
+     * Handle unit death effects through the unit's onDeath hooks.
      * @param {Object} unit - Unit that died
      * @param {Object} scene - Active scene
      */
     static handleOnDeath(unit, scene) {
         if (!unit) return;
         if (!Array.isArray(unit.specialEffects) || !scene || !unit.position) return;
-
-        const death = unit.specialEffects.find(e => e.Type === 'DeathEffect');
-        const createPuddle = unit.specialEffects.find(e => e.Type === 'CreatePuddle');
-        if (!death) return;
-        
-        // Mark that DeathEffect has been triggered to prevent double-triggering
-        if (unit._deathEffectTriggered) return;
-        unit._deathEffectTriggered = true;
-
-        const baseDamage = Number(death.DeathDamage || 0);
-        const heal = Number(death.DeathHealing || 0);
-
-        // Calculate wave scaling for monsters past wave 10
-        const wave = CombatFactory.getUnitWave(unit, scene);
-        let scaling = CombatFactory.getWaveScalingFactor(wave, unit.typeName in MonsterFactory.monsterData);
-        const scaledBaseDamage = Math.round(baseDamage * scaling);
-        const scaledHeal = Math.round(heal * scaling);
-        
-        if (DEBUG_MODE && scaling > 1) {
-            console.log('[handleOnDeath] Wave scaling applied', {
-                unit: unit.typeName,
-                wave: wave,
-                scalingFactor: scaling,
-                baseDamage: baseDamage,
-                scaledDamage: scaledBaseDamage,
-                baseHeal: heal,
-                scaledHeal: scaledHeal
-            });
-        }
-
-        const rowsCols = (() => {
-            const raw = death.Radius ?? death.Value ?? null;
-            if (typeof raw === 'string' && raw.includes('x')) {
-                const p = raw.split('x').map(n => parseInt(n, 10) || 1);
-                return {
-                    rows: p[0],
-                    cols: p[1]
-                };
-            } else if (typeof raw === 'number') {
-                return {
-                    rows: raw,
-                    cols: raw
-                };
-            }
-            return {
-                rows: 1,
-                cols: 1
-            };
-        })();
-        const radR = Math.floor(rowsCols.rows / 2);
-        const radC = Math.floor(rowsCols.cols / 2);
-
-        const centerRow = unit.position.row;
-        const centerCol = unit.position.col;
-        const allUnits = scene.units || [];
-
-        // Create puddles around the unit on death (uses DeathEffect radius)
-        if (createPuddle && unit.position) {
-            const maxR = scene.GRID_ROWS || (scene.grid ? scene.grid.length : 5);
-            const maxC = scene.GRID_COLS || (scene.grid && scene.grid[0] ? scene.grid[0].length : 9);
-            for (let rr = centerRow - radR; rr <= centerRow + radR; rr++) {
-                for (let cc = centerCol - radC; cc <= centerCol + radC; cc++) {
-                    if (rr < 0 || rr >= maxR || cc < 0 || cc >= maxC) continue;
-                    try {
-                        PuddleFactory.placePuddle(scene, rr, cc, createPuddle, unit);
-                    } catch (e) {
-                        if (DEBUG_MODE) console.warn('[CreatePuddle][DeathEffect] place failed', e);
-                    }
-                }
-            }
-        }
-
-        // Determine unit type (monster or defence)
-        const unitIsMonster = (unit.typeName in MonsterFactory.monsterData);
-        const unitIsDefence = (unit.typeName in DefenceFactory.defenceData);
-
-        const tf = death.TargetingFilter || {};
-        const shouldInclude = (candidate, forHealing) => {
-            if (!candidate) return false;
-            const pos = candidate._pendingPosition || candidate.position;
-            if (!pos) return false;
-
-            // Skip the unit that triggered the death effect
-            if (candidate === unit) return false;
-
-            // Determine candidate type
-            const candidateIsMonster = (candidate.typeName in MonsterFactory.monsterData);
-            const candidateIsDefence = (candidate.typeName in DefenceFactory.defenceData);
-
-            // Death damage should only hit enemies (opposite type), not allies
-            // Death healing should only hit allies (same type)
-            if (forHealing) {
-                if (unitIsMonster && !candidateIsMonster) return false;
-                if (unitIsDefence && !candidateIsDefence) return false;
-            } else {
-                if (unitIsMonster && !candidateIsDefence) return false;
-                if (unitIsDefence && !candidateIsMonster) return false;
-            }
-
-            // Apply targeting filters using unified method
-            if (!SpecialEffectFactory._passesTargetingFilter(candidate, tf, unit)) return false;
-
-            return true;
-        };
-
-        // Track units that died from death damage for cleanup
-        const unitsToCleanup = [];
-
-        // Apply death effect damage/healing but DO NOT finalize deaths
-        // Let the lifecycle phase handle that
-        const getUnitPos = (candidate) => candidate?._pendingPosition || candidate?.position;
-
-        for (const u of allUnits.slice()) {
-            const pos = getUnitPos(u);
-            if (!pos) continue;
-            const dr = Math.abs(pos.row - centerRow);
-            const dc = Math.abs(pos.col - centerCol);
-            if (dr <= radR && dc <= radC) {
-                try {
-                    // Death damage - only hits enemies
-                    if (scaledBaseDamage > 0 && shouldInclude(u, false)) {
-                        const final = SpecialEffectFactory.applyDamageModifiers(unit, u, scaledBaseDamage, scene);
-                        const preHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
-                        u.currentHealth = Math.max(0, u.currentHealth - final);
-                        const postHp = (typeof u.currentHealth === 'number') ? u.currentHealth : null;
-                        const dealt = (preHp !== null && postHp !== null) ? Math.max(0, preHp - postHp) : Math.max(0, final);
-                        if (scene && typeof scene._trackDamage === 'function') {
-                            scene._trackDamage(unit, dealt);
-                        }
-                        CombatFactory._showDamage(scene, u, final);
-                        if (u.currentHealth <= 0 && !u._beingRemoved) {
-                            u.currentHealth = 0;
-                            unitsToCleanup.push(u);
-                            if (DEBUG_MODE) console.log('[DeathEffect] unit killed by death damage', u.typeName, u.position);
-                        }
-                    }
-                    
-                    // Death healing - only hits allies
-                    if (scaledHeal > 0 && shouldInclude(u, true)) {
-                        u.currentHealth = Math.min(u.health, (u.currentHealth || u.health) + scaledHeal);
-                        CombatFactory._showHealing(scene, u, scaledHeal);
-                    }
-
-                    // Death statuses - apply to both allies and enemies (but not self)
-                    if (Array.isArray(death.DeathStatuses) && death.DeathStatuses.length && u !== unit) {
-                        for (const s of death.DeathStatuses) {
-                            const copy = {
-                                ...s,
-                                _source: unit
-                            };
-                            StatusEffectFactory.applyStatusToTarget(copy, u);
-                        }
-                    }
-                } catch (e) {
-                    if (DEBUG_MODE) console.warn('[DeathEffect] apply failed', e);
-                }
-            }
-        }
-        
-        // Clean up units that died from death damage immediately
-        // This prevents issues with units having negative health lingering
-        for (const u of unitsToCleanup) {
-            try {
-                if (u._beingRemoved) continue;
-                try {
-                    if (!u._deathEffectTriggered) {
-                        SpecialEffectFactory.handleOnDeath(u, scene);
-                    }
-                } catch (e) {
-                    if (DEBUG_MODE) console.warn('[DeathEffect] chained handleOnDeath failed', e);
-                }
-                u._beingRemoved = true;
-
-                // Clean up status effect visuals first
-                try {
-                    StatusEffectVisuals.cleanupUnitVisuals(u);
-                } catch (e) {}
-                
-                // Clear grid position immediately
-                if (u.position && scene.grid && scene.grid[u.position.row] && scene.grid[u.position.row][u.position.col]) {
-                    const cell = scene.grid[u.position.row][u.position.col];
-                    if (cell.unit === u) {
-                        cell.unit = null;
-                        cell.sprite = null;
-                    }
-                }
-                
-                // Destroy UI elements
-                try {
-                    if (u.healthBar) { u.healthBar.destroy(); u.healthBar = null; }
-                    if (u.healthBarBg) { u.healthBarBg.destroy(); u.healthBarBg = null; }
-                    if (u.ammoBar) { u.ammoBar.destroy(); u.ammoBar = null; }
-                    if (u.ammoBarBg) { u.ammoBarBg.destroy(); u.ammoBarBg = null; }
-                    if (u.reloadBar) { u.reloadBar.destroy(); u.reloadBar = null; }
-                    if (u.reloadBarBg) { u.reloadBarBg.destroy(); u.reloadBarBg = null; }
-                } catch (e) {}
-                
-                // Destroy sprite
-                try {
-                    if (u.sprite) { u.sprite.destroy(); u.sprite = null; }
-                } catch (e) {}
-                
-                // Remove from units array
-                if (Array.isArray(scene.units)) {
-                    scene.units = scene.units.filter(unit => unit !== u);
-                }
-
-                if (typeof scene.addHistoryEntry === 'function') {
-                    const unitName = u.fullName || u.typeName || 'Unit';
-                    scene.addHistoryEntry(`${unitName} was defeated`);
-                }
-                
-                if (DEBUG_MODE) console.log('[DeathEffect] cleaned up unit killed by death damage', u.typeName);
-            } catch (e) {
-                if (DEBUG_MODE) console.warn('[DeathEffect] cleanup failed', e);
-            }
-        }
-
-        // VFX
-        try {
-            if (death.Sprite && typeof scene.getTileXY === 'function') {
-                const t = scene.getTileXY(centerRow, centerCol);
-                SpecialEffectFactory._spawnEffectSprite(scene, death.Sprite, t.x, t.y, 400);
-            }
-        } catch (e) {}
-
-        // Play death sound effect if defined
-        if (death.Audio && scene && scene.sound) {
-            try {
-                GlobalAudio.playSfx(scene, death.Audio, 0.6);
-            } catch (e) {
-                if (DEBUG_MODE) console.warn('[DeathEffect] sound effect failed', e);
-            }
-        }
+        EffectRegistry.dispatch('onDeath', unit, scene);
     }
 
     /**
-     * Attempt to revive a unit according to its Revive special effect.
+     * Attempt to revive a defeated unit through its onDefeated effects (Revive).
      * @param {Object} unit - Unit to revive
      * @param {Object|null} scene - Active scene
      * @returns {boolean} True if revived
      */
     static reviveUnit(unit, scene = null) {
         if (!unit || !Array.isArray(unit.specialEffects)) return false;
-        const revive = unit.specialEffects.find(e => e.Type === 'Revive');
-        if (!revive) return false;
-
-        // Initialize revive count if not set
-        unit._reviveCount = Number.isFinite(unit._reviveCount) ? Number(unit._reviveCount) : 0;
-        const maxRevives = (revive.MaxRevives !== undefined) ? Number(revive.MaxRevives) : 1;
-        
-        // Check successful revive count BEFORE attempting - if already at max, don't even try
-        if (unit._reviveCount >= maxRevives) {
-            if (DEBUG_MODE) console.log('[Revive] max revives reached', unit.typeName, unit._reviveCount, '>=', maxRevives);
-            unit._reviveExhausted = true;
-            return false;
-        }
-
-        // Check chance. Failed chance does not consume a revive charge.
-        const chance = (revive.ReviveChance !== undefined) ? Number(revive.ReviveChance) : 1.0;
-        const roll = Math.random();
-        if (roll > chance) {
-            unit._reviveFailedAttempts = Number.isFinite(unit._reviveFailedAttempts) ? (unit._reviveFailedAttempts + 1) : 1;
-            if (DEBUG_MODE) console.log('[Revive] chance failed', unit.typeName, 'roll=', roll, 'chance=', chance, 'used=', unit._reviveCount, '/', maxRevives);
-            return false;
-        }
-
-        // SUCCESS: increment revive usage
-        unit._reviveCount++;
-        unit._reviveExhausted = false;
-        if (DEBUG_MODE) console.log('[Revive] chance succeeded', unit.typeName, 'roll=', roll, 'chance=', chance, 'count=', unit._reviveCount, '/', maxRevives);
-
-        // Save original base stats ONCE on first revive attempt (successful or not)
-        // This ensures we always scale from the original stats, not progressively weaker stats
-        if (!Number.isFinite(unit._originalBaseHealth)) {
-            unit._originalBaseHealth = Number.isFinite(unit.health) ? Number(unit.health) : (Number.isFinite(unit.currentHealth) ? Number(unit.currentHealth) : 1);
-        }
-        if (!Number.isFinite(unit._originalBaseDamage)) {
-            unit._originalBaseDamage = Number.isFinite(unit.damage) ? Number(unit.damage) : 0;
-        }
-
-        // If the unit is currently flagged as being removed, allow revive to reclaim it
-        // but clear the flag here so other cleanup paths won't prematurely ignore the revived unit.
-        unit._beingRemoved = false;
-
-        // capture last known position if available (end-turn cleanup should set this)
-        // Validate the position is within grid bounds
-        const gridRows = scene?.GRID_ROWS ?? (scene?.grid?.length ?? 5);
-        const gridCols = scene?.GRID_COLS ?? (scene?.grid?.[0]?.length ?? 9);
-        
-        if (unit.position && (!unit._lastPosition)) {
-            try {
-                const row = unit.position.row;
-                const col = unit.position.col;
-
-                // Only save if position is valid
-                if (Number.isFinite(row) && Number.isFinite(col) &&
-                    row >= 0 && row < gridRows && col >= 0 && col < gridCols) {
-                    unit._lastPosition = { row, col };
-                }
-            } catch (e) {
-                // Invalid position, don't save
-            }
-        }
-
-        // reset lifespan to default if unit has lifespan enabled
-        if (Number.isFinite(unit.lifespan) || Number.isFinite(unit.Lifespan)) {
-            unit._lifespan = Number(unit.lifespan ?? unit.Lifespan);
-        }
-
-        // Play revive sound effect
-        try {
-            if (scene.sound) {
-                GlobalAudio.playSfx(scene, 'revive', 0.7);
-            }
-        } catch (e) {}
-
-        // compute new stats from ORIGINAL bases (not current stats)
-        // Apply multiplier based on how many revives have been USED (including this one)
-        const hMult = (revive.HealthMult !== undefined) ? Number(revive.HealthMult) : 1.0;
-        const dMult = (revive.DamageMult !== undefined) ? Number(revive.DamageMult) : 1.0;
-
-        // Calculate cumulative multiplier: each revive applies the multiplier to the original
-        // e.g., if HealthMult=0.5: 1st revive = 0.5, 2nd revive = 0.25, etc.
-        const reviveMultiplier = Math.pow(hMult, unit._reviveCount);
-        const damageMultiplier = Math.pow(dMult, unit._reviveCount);
-
-        // base values to use: prefer _originalBaseHealth/_originalBaseDamage which we've ensured above
-        const baseHealth = Number.isFinite(unit._originalBaseHealth) ? Number(unit._originalBaseHealth) : Math.max(1, Number(unit.health || unit.currentHealth || 1));
-        const baseDamage = Number.isFinite(unit._originalBaseDamage) ? Number(unit._originalBaseDamage) : Math.max(0, Number(unit.damage || 0));
-
-        unit.health = Math.max(1, Math.round(baseHealth * reviveMultiplier));
-        unit.currentHealth = Math.max(1, Math.round(unit.health));
-        unit.damage = Math.max(0, Math.round(baseDamage * damageMultiplier));
-
-        // CRITICAL FIX: Apply wave scaling to revived unit to get fully-scaled stats
-        // Revived units must have the same wave scaling as they had when originally placed
-        const isMonster = unit.typeName && (unit.typeName in (MonsterFactory.monsterData || {}));
-        if (isMonster && scene) {
-            const placementWave = CombatFactory.getUnitWave(unit, scene);
-            if (placementWave > 10) {
-                const waveScaling = CombatFactory.getWaveScalingFactor(placementWave, true);
-                if (waveScaling > 1) {
-                    // Apply wave scaling on top of revive multipliers
-                    unit.health = Math.round(unit.health * waveScaling);
-                    unit.currentHealth = Math.round(unit.currentHealth * waveScaling);
-                    unit.damage = Math.round(unit.damage * waveScaling);
-                    if (DEBUG_MODE) console.log('[Revive] wave scaling reapplied', unit.typeName, 'wave=', placementWave, 'factor=', waveScaling.toFixed(2));
-                }
-            }
-        }
-
-        // Determine placement origin: prefer _lastPosition, then unit.position
-        let placedRow = Number.isFinite(unit._lastPosition?.row) ? unit._lastPosition.row : (Number.isFinite(unit.position?.row) ? unit.position.row : undefined);
-        let placedCol = Number.isFinite(unit._lastPosition?.col) ? unit._lastPosition.col : (Number.isFinite(unit.position?.col) ? unit.position.col : undefined);
-
-        // Validate that the position is within grid bounds
-        if (Number.isFinite(placedRow) && Number.isFinite(placedCol)) {
-            placedRow = Math.max(0, Math.min(gridRows - 1, placedRow));
-            placedCol = Math.max(0, Math.min(gridCols - 1, placedCol));
-        }
-
-        // If origin missing or invalid, try to derive from scene (best-effort)
-        if (!Number.isFinite(placedRow) || !Number.isFinite(placedCol)) {
-            if (scene && Array.isArray(scene.grid)) {
-                outerLoop: for (let r = 0; r < gridRows; r++) {
-                    for (let c = 0; c < gridCols; c++) {
-                        const occ = scene.grid[r]?.[c]?.unit;
-                        if (!occ || occ === unit || occ._beingRemoved || (typeof occ.currentHealth === 'number' && occ.currentHealth <= 0)) {
-                            placedRow = r;
-                            placedCol = c;
-                            break outerLoop;
-                        }
-                    }
-                }
-            }
-        }
-
-        // If still missing placedRow/placedCol, fail safely
-        if (!Number.isFinite(placedRow) || !Number.isFinite(placedCol)) {
-            if (DEBUG_MODE) console.warn('[Revive] missing origin position, cancel revive', unit.typeName);
-            return false;
-        }
-
-        // Defensive: ensure scene.grid arrays exist for indices used below
-        try {
-            if (scene && !Array.isArray(scene.grid)) scene.grid = [];
-            for (let r = 0; r < gridRows; r++) {
-                scene.grid[r] = scene.grid[r] || [];
-                for (let c = 0; c < gridCols; c++) {
-                    scene.grid[r][c] = scene.grid[r][c] || { sprite: null, unit: null };
-                }
-            }
-        } catch (e) {}
-
-        // If the original spot contains another unit which is dead or beingRemoved, clear it so we can reclaim
-        try {
-            const occupant = scene?.grid?.[placedRow]?.[placedCol]?.unit;
-            if (occupant && occupant !== unit) {
-                if (occupant._beingRemoved || (typeof occupant.currentHealth === 'number' && occupant.currentHealth <= 0)) {
-                    try {
-                        if (occupant.healthBar) { occupant.healthBar.destroy(); occupant.healthBar = null; }
-                        if (occupant.healthBarBg) { occupant.healthBarBg.destroy(); occupant.healthBarBg = null; }
-                        if (occupant.ammoBar) { occupant.ammoBar.destroy(); occupant.ammoBar = null; }
-                        if (occupant.ammoBarBg) { occupant.ammoBarBg.destroy(); occupant.ammoBarBg = null; }
-                        if (occupant.reloadBar) { occupant.reloadBar.destroy(); occupant.reloadBar = null; }
-                        if (occupant.reloadBarBg) { occupant.reloadBarBg.destroy(); occupant.reloadBarBg = null; }
-                    } catch (e) {}
-                    try {
-                        if (scene.grid[placedRow][placedCol].sprite) {
-                            try {
-                                scene.grid[placedRow][placedCol].sprite.destroy();
-                            } catch (e) {}
-                        }
-                    } catch (e) {}
-                    scene.grid[placedRow][placedCol].unit = null;
-                    scene.grid[placedRow][placedCol].sprite = null;
-                    try {
-                        if (Array.isArray(scene.units)) scene.units = scene.units.filter(x => x !== occupant);
-                    } catch (e) {}
-                } else {
-                    let foundNearby = false;
-                    for (let r = Math.max(0, placedRow - 2); r <= Math.min(gridRows - 1, placedRow + 2) && !foundNearby; r++) {
-                        for (let c = Math.max(0, placedCol - 2); c <= Math.min(gridCols - 1, placedCol + 2) && !foundNearby; c++) {
-                            const occ2 = scene.grid[r]?.[c]?.unit;
-                            if (!occ2 || occ2 === unit || occ2._beingRemoved || (typeof occ2.currentHealth === 'number' && occ2.currentHealth <= 0)) {
-                                if (occ2 && occ2 !== unit) {
-                                    try {
-                                        if (occ2.healthBar) { occ2.healthBar.destroy(); occ2.healthBar = null; }
-                                        if (occ2.healthBarBg) { occ2.healthBarBg.destroy(); occ2.healthBarBg = null; }
-                                        if (occ2.ammoBar) { occ2.ammoBar.destroy(); occ2.ammoBar = null; }
-                                        if (occ2.ammoBarBg) { occ2.ammoBarBg.destroy(); occ2.ammoBarBg = null; }
-                                        if (occ2.reloadBar) { occ2.reloadBar.destroy(); occ2.reloadBar = null; }
-                                        if (occ2.reloadBarBg) { occ2.reloadBarBg.destroy(); occ2.reloadBarBg = null; }
-                                        if (occ2.sprite) { occ2.sprite.destroy(); }
-                                    } catch (e) {}
-                                }
-                                placedRow = r;
-                                placedCol = c;
-                                foundNearby = true;
-                                break;
-                            }
-                        }
-                    }
-                    if (!foundNearby) {
-                        if (DEBUG_MODE) console.warn('[Revive] no empty tile near origin to respawn', unit.typeName);
-                        return false;
-                    }
-                }
-            }
-        } catch (e) {
-            if (DEBUG_MODE) console.warn('[Revive] occupant check failed', e);
-        }
-
-        // assign position
-        unit.position = {
-            row: placedRow,
-            col: placedCol
-        };
-
-        // create or reassign sprite
-        try {
-            let spr = unit.sprite;
-            if (!spr || !spr.scene) {
-                if (scene && typeof scene.ensureSpriteForUnit === 'function') {
-                    const t = (typeof scene.getTileXY === 'function') ? scene.getTileXY(placedRow, placedCol) : {
-                        x: (scene.GRID_OFFSET_X ?? 300) + placedCol * (scene.TILE_SIZE ?? 60),
-                        y: (scene.GRID_OFFSET_Y ?? 150) + placedRow * (scene.TILE_SIZE ?? 60)
-                    };
-                    spr = scene.ensureSpriteForUnit(unit, t.x, t.y + (scene.UNIT_Y_OFFSET || 0), false);
-                    if (spr && spr.setInteractive) {
-                        try {
-                            spr.setInteractive();
-                        } catch (e) {}
-                    }
-                } else if (scene) {
-                    const t = (typeof scene.getTileXY === 'function') ? scene.getTileXY(placedRow, placedCol) : {
-                        x: (scene.GRID_OFFSET_X ?? 300) + placedCol * (scene.TILE_SIZE ?? 60),
-                        y: (scene.GRID_OFFSET_Y ?? 150) + placedRow * (scene.TILE_SIZE ?? 60)
-                    };
-                    try {
-                        spr = scene.add.sprite(t.x, t.y + (scene.UNIT_Y_OFFSET || 0), unit.displaySprite || 'dice1');
-                        spr.setOrigin && spr.setOrigin(0.5, 0.5);
-                    } catch (e) {}
-                }
-                unit.sprite = spr;
-            }
-        } catch (e) {
-            if (DEBUG_MODE) console.warn('[Revive] sprite recreation failed', e);
-        }
-
-        // ensure grid references & arrays updated
-        try {
-            scene.grid[placedRow] = scene.grid[placedRow] || [];
-            scene.grid[placedRow][placedCol] = scene.grid[placedRow][placedCol] || {
-                sprite: null,
-                unit: null
-            };
-            scene.grid[placedRow][placedCol].unit = unit;
-            scene.grid[placedRow][placedCol].sprite = unit.sprite || scene.grid[placedRow][placedCol].sprite;
-        } catch (e) {
-            if (DEBUG_MODE) console.warn('[Revive] grid assignment failed', e);
-        }
-
-        // ensure unit is present in scene.units and not duplicated
-        try {
-            scene.units = scene.units || [];
-            if (!scene.units.includes(unit)) scene.units.push(unit);
-            // also remove any other references to this exact object that might exist duplicated (defensive)
-            scene.units = scene.units.filter((x, i, arr) => arr.indexOf(x) === i);
-        } catch (e) {
-            if (DEBUG_MODE) console.warn('[Revive] scene.units push failed', e);
-        }
-
-        // reset removal flags so other code won't dismiss it
-        try {
-            unit._beingRemoved = false;
-        } catch (e) {}
-        try {
-            delete unit._pendingRemoval;
-            delete unit._deathLifecycleHandled;
-            delete unit._fullyRemoved;
-            delete unit._deathSoundPlayed;
-            delete unit._cleanupInProgress;
-            delete unit._defeatCounted;
-        } catch (e) {}
-
-        // Clean up any existing UI bars on the revived unit to prevent duplicates
-        try {
-            if (unit.healthBar) { unit.healthBar.destroy(); unit.healthBar = null; }
-            if (unit.healthBarBg) { unit.healthBarBg.destroy(); unit.healthBarBg = null; }
-            if (unit.ammoBar) { unit.ammoBar.destroy(); unit.ammoBar = null; }
-            if (unit.ammoBarBg) { unit.ammoBarBg.destroy(); unit.ammoBarBg = null; }
-            if (unit.reloadBar) { unit.reloadBar.destroy(); unit.reloadBar = null; }
-            if (unit.reloadBarBg) { unit.reloadBarBg.destroy(); unit.reloadBarBg = null; }
-        } catch (e) {}
-
-        // add UI bars and run place-time effects
-        try {
-            if (typeof scene.addUnitBars === 'function') scene.addUnitBars(unit, unit.sprite);
-        } catch (e) {
-            if (DEBUG_MODE) console.warn('[Revive] addUnitBars failed', e);
-        }
-        try {
-            SpecialEffectFactory.handleOnPlace(unit, scene);
-        } catch (e) {
-            if (DEBUG_MODE) console.warn('[Revive] handleOnPlace failed', e);
-        }
-
-        if (DEBUG_MODE) console.log('[Revive] SUCCESS - unit revived', unit.typeName, 'revivesUsed=', unit._reviveCount, 'pos=', unit.position, 'hp=', unit.currentHealth, 'max=', unit.health, 'dmg=', unit.damage);
-        return true;
+        const context = { revived: false };
+        EffectRegistry.dispatch('onDefeated', unit, scene, context);
+        return context.revived;
     }
 
     /**
@@ -2201,7 +1258,7 @@ export default class SpecialEffectFactory {
                         // Shield damage VFX - show shield_break when shield takes damage (but isn't depleted)
                         if (ff._blockShield > 0 && absorbed > 0) {
                             try {
-                                if (scene && ff.position && typeof scene.getTileXY === 'function') {
+                                if (!CombatFactory.isHeadless(scene) && ff.position && typeof scene.getTileXY === 'function') {
                                     const t = scene.getTileXY(ff.position.row, ff.position.col);
                                     const s = scene.add.sprite(t.x, t.y, 'shield_break');
                                     s.setOrigin(0.5, 0.5);
@@ -2220,7 +1277,7 @@ export default class SpecialEffectFactory {
                         // if shield now depleted, handle dissipation or leave generator intact without shield
                         if (ff._blockShield === 0) {
                             try {
-                                if (scene && ff.position && typeof scene.getTileXY === 'function') {
+                                if (!CombatFactory.isHeadless(scene) && ff.position && typeof scene.getTileXY === 'function') {
                                     const t = scene.getTileXY(ff.position.row, ff.position.col);
                                     const s = scene.add.sprite(t.x, t.y, 'shield_burst');
                                     s.setOrigin(0.5, 0.5);
@@ -2452,6 +1509,18 @@ export default class SpecialEffectFactory {
         return false;
     }
 
+    /**
+     * Run a unit's onCombatTurn effects (HealAllies).
+     * @param {Object} unit - Defence after it fired, or monster before it attacks and moves
+     * @param {Object} scene - Active scene
+     * @returns {boolean} True if an effect used the unit's turn
+     */
+    static handleCombatTurn(unit, scene) {
+        const context = { acted: false };
+        EffectRegistry.dispatch('onCombatTurn', unit, scene, context);
+        return context.acted;
+    }
+
     /**
      * HealAllies effect: When an ally is within attack range, consume attack to heal the closest ally
      * @param {Object} healer - The unit with HealAllies effect
@@ -2612,7 +1681,7 @@ export default class SpecialEffectFactory {
 
         // Show heal visual
         try {
-            if (scene && typeof scene.getTileXY === 'function') {
+            if (!CombatFactory.isHeadless(scene) && typeof scene.getTileXY === 'function') {
                 const t = scene.getTileXY(target.position.row, target.position.col);
                 const healText = scene.add.text(t.x, t.y - 20, `+${actualHeal}`, {
                     fontSize: '18px',
@@ -2649,99 +1718,49 @@ export default class SpecialEffectFactory {
     }
 
     /**
-     * Handle on-place special effects for a newly placed unit.
+     * Handle on-place special effects for a newly placed unit through its onPlace hooks.
      * @param {Object} unit - Unit being placed
      * @param {Object|null} scene - Active scene
+     * @param {Object[]|null} [effects] - Only place these effects (a merge adding level effects); defaults to all
      */
-    static handleOnPlace(unit, scene = null) {
+    static handleOnPlace(unit, scene = null, effects = null) {
         if (!unit || !unit.specialEffects) return;
-        unit.specialEffects.forEach(effect => {
-            switch (effect.Type) {
-                case 'AreaOfEffect':
-                    break;
-                case 'Accuracy':
-                    effect.MinValue = effect.MinValue || 0.0;
-                    effect.MaxValue = effect.MaxValue || 1.0;
-                    break;
-                case 'SpreadTargeting':
-                    break;
-                case 'SummonUnit':
-                    unit._summonCooldown = unit._summonCooldown || 0;
-                    if (scene) {
-                        try {
-                            SpecialEffectFactory._performSummon(unit, effect, scene);
-                            unit._summonCooldown = Math.max(0, Number(effect.Cooldown || 0));
-                            if (DEBUG_MODE) console.log('[SummonUnit][onPlace] performed immediate summon', {
-                                unit: unit.typeName,
-                                effect
-                            });
-                        } catch (e) {
-                            if (DEBUG_MODE) console.warn('[SummonUnit][onPlace] failed', e);
-                        }
-                    }
-                    if (scene && scene.sound && effect.Audio) {
-                        try {
-                            GlobalAudio.playSfx(scene, effect.Audio, 0.6);
-                        } catch (e) {
-                            if (DEBUG_MODE) console.warn('[Summon] sound effect failed', e);
-                        }
-                    }
-                    break;
-                case 'HealAllies':
-                    break;
-                case 'BlockAllLanes':
-                    unit._blockShield = Number(effect.ShieldValue || 0);
-                    unit._blockDissipates = !!effect.DissipatesWhenDestroyed;
-                    if (scene && unit.position) {
-                        scene.forceFields = scene.forceFields || {};
-                        const col = unit.position.col;
-                        if (!Array.isArray(scene.forceFields[col])) scene.forceFields[col] = [];
-                        scene.forceFields[col].push(unit);
-
-                        // Show shield VFX for all lanes when BlockAllLanes is placed
-                        try {
-                            // Show shield sprite on each row in this column
-                            const gridRows = scene.GRID_ROWS || (scene.grid ? scene.grid.length : 5);
-                            for (let r = 0; r < gridRows; r++) {
-                                if (typeof scene.getTileXY === 'function') {
-                                    const t = scene.getTileXY(r, col);
-                                    const shieldSpr = scene.add.sprite(t.x, t.y, 'shield');
-                                    shieldSpr.setOrigin(0.5, 0.5);
-                                    shieldSpr.setScale(0.9);
-                                    shieldSpr.setAlpha(0.7);
-                                    if (!unit._shieldVFX) unit._shieldVFX = [];
-                                    unit._shieldVFX.push(shieldSpr);
-                                }
-                            }
-                        } catch (e) {
-                            if (DEBUG_MODE) console.warn('[BlockAllLanes] shield VFX creation failed', e);
-                        }
-                    }
-                    try {
-                        if (scene.sound) {
-                            GlobalAudio.playSfx(scene, 'shield_deploy', 0.6);
-                        }
-                    } catch (e) {}
-                    break;
-                case 'DamageBooster':
-                    const radius = effect.Radius || effect.Value || '3x3';
-                    const mult = Number(effect.Value || 1.0) || 1.0;
-                    let r = 1,
-                        c = 1;
-                    if (typeof radius === 'string' && radius.includes('x')) {
-                        const parts = radius.split('x').map(p => parseInt(p, 10) || 1);
-                        r = parts[0];
-                        c = parts[1];
-                    } else if (typeof radius === 'number') {
-                        r = c = radius;
-                    }
-                    SpecialEffectFactory._applyDamageBoosterArea(scene, unit.position.row, unit.position.col, r, c, mult, unit, true);
-                    break;
-                case 'DeathEffect':
-                    break;
-                default:
-                    break;
+        EffectRegistry.dispatch('onPlace', unit, scene, {}, effects || unit.specialEffects);
+    }
+
+    /**
+     * Run onAttack hooks before an attack is resolved.
+     * @param {Object} attacker - Attacking unit
+     * @param {Object} target - Chosen target
+     * @param {Object|null} scene - Active scene
+     */
+    static handleOnAttack(attacker, target, scene = null) {
+        if (!attacker || !target) return;
+        EffectRegistry.dispatch('onAttack', attacker, scene, { target });
+    }
+
+    /**
+     * Run onDamaged hooks after a unit took damage from an attack.
+     * @param {Object} unit - Damaged unit
+     * @param {Object} attacker - Unit that dealt the damage
+     * @param {number} damage - Health actually lost
+     * @param {Object|null} scene - Active scene
+     */
+    static handleOnDamaged(unit, attacker, damage, scene = null) {
+        if (!unit || damage <= 0) return;
+        EffectRegistry.dispatch('onDamaged', unit, scene, { attacker, damage });
+    }
+
+    /**
+     * Run onWaveStart hooks for every unit on the board.
+     * @param {Object} scene - Active scene
+     */
+    static handleWaveStart(scene) {
+        if (!scene || !Array.isArray(scene.units)) return;
+        for (const unit of scene.units.slice()) {
+            if (unit && unit.position && unit.currentHealth > 0) {
+                EffectRegistry.dispatch('onWaveStart', unit, scene, { wave: scene.currentWave });
             }
-        });
+        }
     }
 }
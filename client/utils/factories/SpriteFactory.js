@@ -1,14 +1,61 @@
 import ErrorHandler from '../ErrorManager.js';
 import { DEBUG_MODE } from '../DebugManager.js';
 
+// Transform a state animation works on top of; see _applySpriteState
+const REST_KEYS = ['x', 'y', 'scaleX', 'scaleY', 'alpha', 'rotation'];
+
+// Keyframe in the timeline format; anything not given is the actor's resting pose
+const keyframe = (Time, { Alpha = 1, Angle = 0, Position = [0, 0], Scale = [1, 1] } = {}) => ({
+    Alignment: [0.5, 0.5], Alpha, Angle, Flip: 0, Position, Scale, Shown: true, Time
+});
+
+// Primary-actor keyframes for unit states a defence or monster sprite doesn't animate itself
+const DEFAULT_UNIT_TIMELINES = {
+    defence: {
+        idle: [keyframe(0), keyframe(0.8, { Scale: [1.03, 1.03] }), keyframe(1.6)],
+        summon: [keyframe(0, { Alpha: 0, Scale: [0.2, 0.2] }), keyframe(0.15, { Scale: [1.1, 1.1] }), keyframe(0.25)],
+        attack: [keyframe(0), keyframe(0.06, { Position: [-4, 0], Scale: [1.05, 0.95] }), keyframe(0.2)],
+        hit: [keyframe(0), keyframe(0.05, { Alpha: 0.6, Position: [2, 0] }), keyframe(0.1, { Alpha: 0.8, Position: [-2, 0] }), keyframe(0.18)],
+        death: [keyframe(0), keyframe(0.15, { Scale: [1.1, 1.1] }), keyframe(0.45, { Alpha: 0, Angle: 20, Scale: [0.4, 0.4] })]
+    },
+    monster: {
+        idle: [keyframe(0), keyframe(0.5, { Position: [0, -2] }), keyframe(1)],
+        summon: [keyframe(0, { Alpha: 0, Position: [12, 0] }), keyframe(0.25)],
+        attack: [keyframe(0), keyframe(0.08, { Position: [-6, 0] }), keyframe(0.2)],
+        hit: [keyframe(0), keyframe(0.05, { Alpha: 0.6, Position: [3, 0] }), keyframe(0.15)],
+        death: [keyframe(0), keyframe(0.4, { Alpha: 0, Angle: -15, Position: [0, 6], Scale: [1, 0.2] })]
+    }
+};
+
 /**
  * Loads and renders sprite actors from JSON sprite definitions.
  * Supports defences, monsters, puddles, and projectiles.
+ *
+ * `timelines` is null for a static sprite, an array for one looping set of timelines, or an object
+ * with a set per unit state (see UNIT_STATES):
+ *
+ * "timelines": {
+ *   "idle": [{ "spriteuid": 1, "stage": [{ "Time": 0, "Position": [0, 0], "Scale": [1, 1], ... }, ...] }],
+ *   "attack": [...], "hit": [...], "death": [...], "summon": [...]
+ * }
+ *
+ * Keyframe Time is in seconds and a state lasts until its last keyframe. Defence and monster sprites
+ * only list the states they animate differently; the rest play their kind's shared default
+ * (DEFAULT_UNIT_TIMELINES) on the primary actor, so most unit sprites keep `"timelines": null`.
  */
 export default class SpriteFactory {
     static spriteData = {};
     static spriteAnimations = {};
 
+    // Loop repeats, Next follows a finished one-shot state, Hold keeps a finished state's last keyframe
+    static UNIT_STATES = {
+        idle: { Loop: true },
+        summon: { Next: 'idle' },
+        attack: { Next: 'idle' },
+        hit: { Next: 'idle' },
+        death: { Hold: true }
+    };
+
     static _resolveFolder(type) {
         const t = String(type || '').trim().toLowerCase();
         switch (t) {
@@ -119,6 +166,20 @@ export default class SpriteFactory {
         }
     }
 
+    /**
+     * Cache a sprite definition that did not come from assets/gamedata (e.g. a mod pack),
+     * so loadSpriteDefinition finds it without fetching.
+     * @param {string} type - Type of sprite ('defence', 'monster', 'puddle', 'projectile')
+     * @param {string} name - Name the definitions refer to it by
+     * @param {Object} data - Sprite definition
+     */
+    static registerSpriteData(type, name, data) {
+        const cleanName = this._normalizeName(name);
+        if (!cleanName) return;
+        this.validateSpriteData(data);
+        this.spriteData[`${type}:${cleanName}`] = data;
+    }
+
     /**
      * Validate sprite definition structure.
      * @param {Object} data - Sprite definition
@@ -137,8 +198,21 @@ export default class SpriteFactory {
             throw new Error('Invalid sprite data: stageOptions.StageLength must be a number');
         }
         // timelines can be null for static sprites
-        if (data.timelines !== null && !Array.isArray(data.timelines)) {
-            throw new Error('Invalid sprite data: timelines must be null or array');
+        const timelines = data.timelines;
+        if (timelines !== null && typeof timelines !== 'object') {
+            throw new Error('Invalid sprite data: timelines must be null, an array or an object of states');
+        }
+        const sets = Array.isArray(timelines) ? [timelines] : Object.entries(timelines || {}).map(([state, list]) => {
+            if (!this.UNIT_STATES[state]) throw new Error(`Invalid sprite data: unknown timeline state "${state}"`);
+            if (!Array.isArray(list)) throw new Error(`Invalid sprite data: timelines.${state} must be an array`);
+            return list;
+        });
+        for (const list of sets) {
+            for (const timeline of list) {
+                if (typeof timeline?.spriteuid !== 'number' || !Array.isArray(timeline.stage)) {
+                    throw new Error('Invalid timeline: missing spriteuid or stage array');
+                }
+            }
         }
         
         // Validate actors
@@ -217,9 +291,10 @@ export default class SpriteFactory {
 
         // Store animation timeline (only if animations exist)
         const animKey = `${type}:${name}`;
-        if (spriteData.timelines && spriteData.stageOptions) {
+        const idle = this.getStateTimelines(spriteData, 'idle', type);
+        if (idle && spriteData.stageOptions) {
             this.spriteAnimations[animKey] = {
-                timelines: spriteData.timelines,
+                timelines: idle,
                 stageLength: spriteData.stageOptions.StageLength
             };
         }
@@ -263,57 +338,104 @@ export default class SpriteFactory {
     }
 
     /**
-     * Interpolate and apply timeline keyframes to a sprite.
+     * Play a timeline's keyframes on a sprite, interpolating between them, from startTime to its last
+     * keyframe. Without an actor keyframes are absolute (container children); with one they apply on
+     * top of the sprite's resting transform (see _applySpriteState).
      * @private
+     * @param {number} startTime - Timeline time to start from, in keyframe units
+     * @param {number} duration - Milliseconds from the first to the last keyframe
+     * @param {Function} onComplete - Called when a non-looping timeline finishes
+     * @param {Object} [options]
+     * @param {Object} [options.actor] - Actor the keyframes belong to
+     * @param {boolean} [options.loop=true] - Repeat forever
+     * @returns {Phaser.Tweens.Tween|null}
      */
-    static _applyTimelineAnimation(scene, sprite, timeline, startTime, duration, onComplete) {
-        const stages = timeline.stage;
-        if (stages.length === 0) return;
-
-        // Find current and next keyframes based on startTime
-        let prevStage = stages[0];
-        let nextStage = stages[0];
-        
-        for (let i = 0; i < stages.length; i++) {
-            if (stages[i].Time >= startTime) {
-                nextStage = stages[i];
-                prevStage = i > 0 ? stages[i - 1] : stages[0];
-                break;
+    static _applyTimelineAnimation(scene, sprite, timeline, startTime, duration, onComplete, { actor = null, loop = true } = {}) {
+        const stages = Array.isArray(timeline?.stage) ? timeline.stage : [];
+        if (stages.length === 0) return null;
+
+        const firstTime = stages[0].Time || 0;
+        const endTime = stages[stages.length - 1].Time || 0;
+        const from = Math.min(Math.max(startTime, firstTime), endTime);
+        this._applySpriteState(sprite, this._sampleTimeline(stages, from), actor);
+
+        // A single keyframe is just a pose. It still finishes on the next tick, so callers such as
+        // setUnitState have stored their state before onComplete moves it on.
+        if (!(endTime > firstTime)) {
+            if (!loop && onComplete) {
+                if (scene.time) scene.time.delayedCall(0, onComplete);
+                else onComplete();
             }
-            prevStage = stages[i];
+            return null;
         }
 
-        // Apply initial state from prevStage
-        this._applySpriteState(sprite, prevStage);
-
-        // Create tweened animations for property transitions
-        if (nextStage && nextStage.Time > prevStage.Time) {
-            const timeDiff = nextStage.Time - prevStage.Time;
-            const tweenDelay = Math.max(0, (startTime - prevStage.Time) * duration / timeDiff);
-            const tweenDuration = (timeDiff * duration) / timeline.stage[timeline.stage.length - 1].Time;
-
-            scene.tweens.add({
-                targets: sprite,
-                x: { from: prevStage.Position[0], to: nextStage.Position[0] },
-                y: { from: prevStage.Position[1], to: nextStage.Position[1] },
-                scaleX: { from: prevStage.Scale[0], to: nextStage.Scale[0] },
-                scaleY: { from: prevStage.Scale[1], to: nextStage.Scale[1] },
-                alpha: { from: prevStage.Alpha, to: nextStage.Alpha },
-                angle: { from: prevStage.Angle, to: nextStage.Angle },
-                duration: tweenDuration,
-                delay: tweenDelay,
-                ease: 'Linear',
-                repeat: -1,
-                onComplete: onComplete
-            });
-        }
+        const tween = scene.tweens.addCounter({
+            from,
+            to: endTime,
+            duration: Math.max(1, duration * (endTime - from) / (endTime - firstTime)),
+            ease: 'Linear',
+            repeat: loop ? -1 : 0,
+            onUpdate: (tw) => {
+                if (!sprite.scene) {
+                    tw.stop();
+                    return;
+                }
+                this._applySpriteState(sprite, this._sampleTimeline(stages, tw.getValue()), actor);
+            },
+            onComplete: () => {
+                if (sprite.scene) this._applySpriteState(sprite, stages[stages.length - 1], actor);
+                if (onComplete) onComplete();
+            }
+        });
+        return tween;
+    }
+
+    /**
+     * Interpolated keyframe at a time. Position, Scale, Alpha and Angle blend; the rest come from the
+     * keyframe before.
+     * @private
+     */
+    static _sampleTimeline(stages, time) {
+        let i = 0;
+        while (i < stages.length - 1 && stages[i + 1].Time <= time) i++;
+        const prev = stages[i];
+        const next = stages[i + 1];
+        if (!next || !(next.Time > prev.Time)) return prev;
+
+        const t = (time - prev.Time) / (next.Time - prev.Time);
+        const lerp = (a, b) => Number(a) + (Number(b) - Number(a)) * t;
+        return {
+            ...prev,
+            Position: [lerp(prev.Position[0], next.Position[0]), lerp(prev.Position[1], next.Position[1])],
+            Scale: [lerp(prev.Scale[0], next.Scale[0]), lerp(prev.Scale[1], next.Scale[1])],
+            Alpha: lerp(prev.Alpha ?? 1, next.Alpha ?? 1),
+            Angle: lerp(prev.Angle || 0, next.Angle || 0)
+        };
     }
 
     /**
      * Apply sprite state properties from a timeline stage.
+     *
+     * With an actor the keyframe is read against the actor's own transform: Position moves the sprite
+     * by the difference, Scale and Alpha multiply by the ratio and Angle turns by the difference. That
+     * lands on top of where the game put the sprite (tile, display size, fades), and anything the game
+     * writes while an animation runs becomes the new resting value.
      * @private
      */
-    static _applySpriteState(sprite, stage) {
+    static _applySpriteState(sprite, stage, actor = null) {
+        if (actor) {
+            const rest = this._syncRestState(sprite);
+            const ratio = (value, zero) => (Number(zero) ? Number(value ?? zero) / Number(zero) : 1);
+            sprite.x = rest.x + (stage.Position[0] - actor.Position[0]);
+            sprite.y = rest.y + (stage.Position[1] - actor.Position[1]);
+            sprite.scaleX = rest.scaleX * ratio(stage.Scale[0], actor.Scale[0]);
+            sprite.scaleY = rest.scaleY * ratio(stage.Scale[1], actor.Scale[1]);
+            sprite.alpha = Math.min(1, Math.max(0, rest.alpha * ratio(stage.Alpha, actor.Alpha ?? 1)));
+            sprite.rotation = rest.rotation + (((stage.Angle || 0) - (actor.Angle || 0)) * Math.PI) / 180;
+            sprite._writtenState = Object.fromEntries(REST_KEYS.map(key => [key, sprite[key]]));
+            return;
+        }
+
         sprite.setPosition(stage.Position[0], stage.Position[1]);
         sprite.setScale(stage.Scale[0], stage.Scale[1]);
         sprite.setAlpha(stage.Alpha);
@@ -326,6 +448,123 @@ export default class SpriteFactory {
         }
     }
 
+    /**
+     * Resting transform under a state animation. A value that no longer matches what we last wrote was
+     * set by someone else, so it becomes the new rest.
+     * @private
+     */
+    static _syncRestState(sprite) {
+        const rest = sprite._restState || (sprite._restState = {});
+        const written = sprite._writtenState || {};
+        for (const key of REST_KEYS) {
+            if (!(key in rest) || sprite[key] !== written[key]) rest[key] = sprite[key];
+        }
+        return rest;
+    }
+
+    /**
+     * Put back the resting transform, leaving anything the game changed since our last write.
+     * @private
+     */
+    static _restoreRestState(sprite) {
+        const rest = sprite?._restState;
+        const written = sprite?._writtenState;
+        if (rest && written && sprite.scene) {
+            for (const key of REST_KEYS) {
+                if (sprite[key] === written[key]) sprite[key] = rest[key];
+            }
+        }
+        if (sprite) {
+            sprite._restState = null;
+            sprite._writtenState = null;
+        }
+    }
+
+    /**
+     * Timelines a definition has for a unit state. A plain timelines array is the idle loop.
+     * States the definition leaves out fall back to the shared default for its sprite type.
+     * @param {Object} data - Sprite definition
+     * @param {string} state - Key of UNIT_STATES
+     * @param {string} [type] - Sprite type (defence, monster, ...)
+     * @returns {Object[]|null}
+     */
+    static getStateTimelines(data, state, type = null) {
+        const timelines = data?.timelines;
+        if (Array.isArray(timelines) && timelines.length && state === 'idle') return timelines;
+        const list = (timelines && !Array.isArray(timelines) && typeof timelines === 'object') ? timelines[state] : null;
+        if (Array.isArray(list) && list.length) return list;
+
+        const stage = DEFAULT_UNIT_TIMELINES[String(type || '').toLowerCase()]?.[state];
+        const actor = this._getPrimaryActor(data);
+        return (stage && actor) ? [{ spriteuid: actor.uid, stage }] : null;
+    }
+
+    /**
+     * Switch a unit sprite (from ensureSpriteForUnit) or a sprite container to a state. A finished
+     * one-shot state moves on to its Next state. States the definition has no timelines for are
+     * skipped and whatever is playing keeps playing.
+     * @param {Phaser.Scene} scene - Scene that owns the sprite
+     * @param {Phaser.GameObjects.GameObject} sprite - Sprite with spriteType and spriteName
+     * @param {string} state - Key of UNIT_STATES
+     * @param {Object} [options]
+     * @param {Function} [options.onComplete] - Called when a one-shot state finishes
+     * @returns {boolean} Whether the state is playing
+     */
+    static setUnitState(scene, sprite, state, { onComplete = null } = {}) {
+        const rule = this.UNIT_STATES[state];
+        if (!rule || !scene?.tweens || !sprite?.scene || !sprite.spriteType) return false;
+        const data = this.spriteData[`${sprite.spriteType}:${this._normalizeName(sprite.spriteName)}`];
+        const timelines = this.getStateTimelines(data, state, sprite.spriteType);
+        if (!timelines) return false;
+
+        // Containers animate each actor; a single unit sprite follows its primary actor
+        const actors = data.actors || [];
+        const targets = sprite.spriteMap
+            ? timelines.map(t => [sprite.spriteMap[t.spriteuid], t, actors.find(a => a.uid === t.spriteuid)])
+            : [[sprite, timelines.find(t => t.spriteuid === this._getPrimaryActor(data)?.uid) || timelines[0], this._getPrimaryActor(data)]];
+        const playable = targets.filter(([target, timeline, actor]) => target && timeline && actor);
+        if (!playable.length) return false;
+
+        this.stopUnitState(sprite);
+        const current = { state, tweens: [], targets: playable.map(([target]) => target) };
+        sprite._unitState = current;
+
+        let pending = playable.length;
+        const finish = () => {
+            if (--pending > 0 || sprite._unitState !== current) return;
+            if (!rule.Hold) {
+                this.stopUnitState(sprite);
+                if (rule.Next) this.setUnitState(scene, sprite, rule.Next);
+            }
+            if (onComplete) onComplete();
+        };
+        for (const [target, timeline, actor] of playable) {
+            const length = timeline.stage[timeline.stage.length - 1]?.Time || 0;
+            current.tweens.push(this._applyTimelineAnimation(scene, target, timeline, 0, length * 1000,
+                rule.Loop ? null : finish, { actor, loop: !!rule.Loop }));
+        }
+        if (DEBUG_MODE) console.log(`[SpriteFactory] ${sprite.spriteType}:${sprite.spriteName} -> ${state}`);
+        return true;
+    }
+
+    static getUnitState(sprite) {
+        return sprite?._unitState?.state || null;
+    }
+
+    /**
+     * Stop whatever state a sprite is playing and put it back at rest.
+     * @param {Phaser.GameObjects.GameObject} sprite
+     */
+    static stopUnitState(sprite) {
+        const current = sprite?._unitState;
+        if (!current) return;
+        sprite._unitState = null;
+        current.tweens.forEach(tween => {
+            try { tween?.stop(); } catch (e) {}
+        });
+        current.targets.forEach(target => this._restoreRestState(target));
+    }
+
     /**
      * Clear cached sprite definition and animation data.
      * @param {string} type - Type of sprite
@@ -1,4 +1,6 @@
 import { DEBUG_MODE } from '../DebugManager.js';
+import EffectRegistry from '../EffectRegistry.js';
+import BoardFactory from './BoardFactory.js';
 import CombatFactory from './CombatFactory.js';
 import DefenceFactory from './DefenceFactory.js';
 import MonsterFactory from './MonsterFactory.js';
@@ -6,11 +8,54 @@ import SpecialEffectFactory from './SpecialEffectFactory.js';
 import StatusEffectVisuals from '../StatusEffectVisuals.js';
 import GlobalAchievements from '../AchievementsManager.js';
 import GlobalAudio from '../AudioManager.js';
+import RandomManager from '../RandomManager.js';
+
+const DEFAULT_STATUS_RULES = Object.freeze({ Stacking: 'Max' });
 
 /**
  * Applies, ticks, and scales status effects across units.
  */
 export default class StatusEffectFactory {
+    // Status type -> stacking and interaction rules from StatusDefinitions
+    static statusData = {};
+
+    /**
+     * Load status rules from the manifest into statusData.
+     * @returns {Promise<void>}
+     */
+    static async loadData() {
+        try {
+            const response = await fetch('assets/gamedata/StatusDefinitions/manifest.json');
+            if (!response.ok) return;
+            const manifest = await response.json();
+            if (!manifest || !Array.isArray(manifest.files)) return;
+
+            for (const file of manifest.files) {
+                try {
+                    const res = await fetch(`assets/gamedata/StatusDefinitions/${file}`);
+                    if (!res.ok) continue;
+                    const data = await res.json();
+                    if (!data || !data.TypeName) continue;
+                    this.statusData[data.TypeName] = data;
+                } catch (e) {
+                    if (DEBUG_MODE) console.warn('[StatusEffectFactory] failed to load', file, e);
+                }
+            }
+        } catch (e) {
+            if (DEBUG_MODE) console.warn('[StatusEffectFactory] loadData failed', e);
+        }
+    }
+
+    /**
+     * Stacking and interaction rules for a status type.
+     * Types without a definition keep the longer duration on reapplication and interact with nothing.
+     * @param {string} type - Status Type
+     * @returns {Object} Status definition (see status.schema.json)
+     */
+    static getRules(type) {
+        return this.statusData[type] || DEFAULT_STATUS_RULES;
+    }
+
     /**
      * Check if a unit is currently stunned.
      * This is the single source of truth for stun checking.
@@ -59,21 +104,17 @@ export default class StatusEffectFactory {
         let dmg = Math.max(0, Number(rawDamage || 0));
         if (dmg <= 0 || !target) return 0;
 
-        const armorEffect = Array.isArray(target.specialEffects) ?
-            target.specialEffects.find(e => e.Type === 'Armor') :
-            null;
-        const armorValue = armorEffect ? Number(armorEffect.Value) || 0 : 0;
-        const damageReduction = (armorEffect && armorEffect.DamageReduction !== undefined) ? Number(armorEffect.DamageReduction) : null;
-
+        // Armor still soaks status ticks unless the target is covered in Acid
         const hasAcidStatus = Array.isArray(target.status) && target.status.some(s => s.Type === 'Acid');
-
-        if (armorValue > 0 && !hasAcidStatus) {
-            dmg = Math.max(0, dmg - armorValue);
-        }
-
-        if (Number.isFinite(damageReduction) && !hasAcidStatus) {
-            dmg = Math.round(dmg * damageReduction);
-        }
+        const context = {
+            attacker: null,
+            damage: dmg,
+            piercing: null,
+            ignoresArmor: hasAcidStatus,
+            reduced: false
+        };
+        EffectRegistry.dispatch('onTakeDamage', target, null, context);
+        dmg = context.damage;
 
         const acidStatus = Array.isArray(target.status) ? target.status.find(s => s.Type === 'Acid') : null;
         const acidMult = (target && typeof target._acidBonusMultiplier === 'number')
@@ -134,6 +175,7 @@ export default class StatusEffectFactory {
                 const nextCol = col + delta;
                 if (nextCol < 0 || nextCol >= cols) return null;
                 if (scene.grid[row] && scene.grid[row][nextCol] && scene.grid[row][nextCol].unit) return null;
+                if (BoardFactory.isBlocked(scene, row, nextCol)) return null;
                 return nextCol;
             };
 
@@ -185,6 +227,7 @@ export default class StatusEffectFactory {
             try {
                 if (typeof scene._positionUnitUI === 'function') scene._positionUnitUI(target);
             } catch (e) {}
+            BoardFactory.applyTileModifiers(target, scene);
 
             if (typeof scene.addHistoryEntry === 'function') {
                 const moved = Math.abs(newCol - col);
@@ -200,38 +243,34 @@ export default class StatusEffectFactory {
 
     /**
      * Apply a status object onto a target (adds or refreshes).
+     * How it stacks with an existing instance, what it cancels or is blocked by and any diminishing returns
+     * come from the type's rules in StatusDefinitions (see getRules).
      * effect: { Type, Duration, Value, ... }
      * @param {Object} effect - Status effect payload
      * @param {Object} target - Target unit
+     * @param {Object|null} scene - Active scene (supplies the match RNG for PercentageChance)
      */
-    static applyStatusToTarget(effect, target) {
+    static applyStatusToTarget(effect, target, scene = null) {
         if (!effect || !target) return;
 
         // Make a shallow copy so we don't mutate the shared JSON definition
         const copy = {
             ...effect
         };
+        const rules = StatusEffectFactory.getRules(copy.Type);
 
         if (!Array.isArray(target.status)) target.status = [];
 
-        const playStatusSound = (statusType) => {
-            const soundKey = {
-                'Acid': 'acid',
-                'Charm': 'charm',
-                'Fire': 'fire',
-                'Frozen': 'freeze',
-                'Knockback': 'knockback',
-                'Poison': 'poison',
-                'Purge': 'purge',
-                'Slow': 'slow',
-                'Stun': 'stun',
-            }[statusType];
-
-            if (!soundKey) return;
+        const playStatusSound = () => {
+            if (!rules.Sound) return;
             const scene = target.scene || target.sprite?.scene || copy._source?.sprite?.scene || null;
-            GlobalAudio.playSfx(scene, soundKey, 0.6);
+            GlobalAudio.playSfx(scene, rules.Sound, 0.6);
         };
 
+        // Ignore is enforced where units apply their on-hit statuses (applyStatusEffectsFromSourceToTarget);
+        // every other caller keeps the longer duration
+        const stacking = (rules.Stacking === 'Ignore') ? 'Max' : (rules.Stacking || 'Max');
+
         // Targeting filter for status effects (unit type / status requirements)
         if (copy.TargetingFilter && !SpecialEffectFactory._passesTargetingFilter(target, copy.TargetingFilter, copy._source)) {
             return;
@@ -241,7 +280,7 @@ export default class StatusEffectFactory {
         const chance = (copy.PercentageChance !== undefined && copy.PercentageChance !== null) ? Number(copy.PercentageChance) : 1.0;
         const clampedChance = Math.max(0, Math.min(1, isNaN(chance) ? 1.0 : chance));
         if (clampedChance < 1.0) {
-            const roll = Math.random();
+            const roll = RandomManager.forScene(scene || copy._source?.scene || target.scene).next();
             if (roll > clampedChance) {
                 if (DEBUG_MODE) {
                     console.log('[Status][Chance] skipped', copy.Type, 'roll=', roll.toFixed(3), 'chance=', clampedChance);
@@ -250,92 +289,82 @@ export default class StatusEffectFactory {
             }
         }
 
-        // If target has Purge, block any new non-Purge statuses
-        if (target.status.some(s => s.Type === 'Purge') && copy.Type !== 'Purge') {
+        // Active statuses that block this one (e.g. Purge blocks everything else)
+        const blocker = target.status.find(s => {
+            if (s.Type === copy.Type) return false;
+            const active = StatusEffectFactory.getRules(s.Type);
+            return !!active.ImmuneToAll || (Array.isArray(active.ImmuneTo) && active.ImmuneTo.includes(copy.Type));
+        });
+        if (blocker) {
+            if (DEBUG_MODE) console.log(`[Status][Immune] ${target.typeName} ignores ${copy.Type} while ${blocker.Type}`);
             return;
         }
 
-        // If applying Purge, clear all other statuses
-        if (copy.Type === 'Purge') {
+        const isNewStatus = !target.status.some(s => s.Type === copy.Type);
+
+        // Repeated fresh applications within the window get shorter, down to not landing at all
+        if (rules.DiminishingReturns && isNewStatus && !rules.Instant) {
+            const duration = StatusEffectFactory._applyDiminishingReturns(copy, rules.DiminishingReturns, target, scene);
+            if (duration <= 0) {
+                if (DEBUG_MODE) console.log(`[Status][Diminished] ${copy.Type} on ${target.typeName} no longer lands`);
+                return;
+            }
+            copy.Duration = duration;
+        }
+
+        // Statuses this one removes (Fire thaws Frozen, Frozen puts out Fire, Purge clears everything)
+        if (rules.CancelsAll) {
             target.status = [];
+        } else if (Array.isArray(rules.Cancels) && rules.Cancels.length) {
+            const cancelled = target.status.some(s => rules.Cancels.includes(s.Type) && (s.Duration || 0) > 0);
+            if (cancelled) {
+                target.status = target.status.filter(s => !rules.Cancels.includes(s.Type));
+                if (rules.SteamOnCancel) StatusEffectVisuals.spawnSteamPuff(target, target.scene);
+            }
         }
 
         // Instant effects (do not persist in status array)
-        if (copy.Type === 'Knockback') {
-            playStatusSound(copy.Type);
-            StatusEffectFactory._applyKnockback(copy, target);
+        if (rules.Instant) {
+            playStatusSound();
+            if (copy.Type === 'Knockback') StatusEffectFactory._applyKnockback(copy, target);
             return;
         }
 
-
-        // Fire/Frozen conflict handling:
-        // - If Frozen is applied to a burning unit, the fire goes out.
-        // - If Fire is applied to a frozen unit, the unit instantly thaws.
-        if (Array.isArray(target.status)) {
-            if (effect.Type === 'Frozen') {
-                const hadFire = target.status.some(s => s.Type === 'Fire' && (s.Duration || 0) > 0);
-                if (hadFire) {
-                    target.status = target.status.filter(s => s.Type !== 'Fire');
-                    StatusEffectVisuals.spawnSteamPuff(target, target.scene);
-                }
-            } else if (effect.Type === 'Fire') {
-                const hadFrozen = target.status.some(s => s.Type === 'Frozen' && (s.Duration || 0) > 0);
-                if (hadFrozen) {
-                    target.status = target.status.filter(s => s.Type !== 'Frozen');
-                    StatusEffectVisuals.spawnSteamPuff(target, target.scene);
-                }
+        if (copy.Type === 'Stun' || copy.Type === 'Frozen') {
+            if (DEBUG_MODE) {
+                console.log(`[Status][${copy.Type}] applied to ${target.typeName}, duration=${copy.Duration}`);
             }
         }
 
-        // Ensure the target has a status array
-        if (!Array.isArray(target.status)) target.status = [];
-
-        // Check if this is a new status application (for sound effects)
-        const isNewStatus = !target.status.some(s => s.Type === copy.Type);
-
-        if (copy.Type === 'Poison') {
-            const existingPoisonEffects = target.status.filter(s => s.Type === 'Poison');
-            const maxReapplies = copy.MaxReapplies || 1;
-
-            if (existingPoisonEffects.length < maxReapplies) {
+        const existingEffects = target.status.filter(s => s.Type === copy.Type);
+        if (!existingEffects.length) {
+            target.applyStatus(copy);
+            playStatusSound();
+        } else if (stacking === 'Stack') {
+            const maxStacks = copy.MaxReapplies || rules.MaxStacks || 1;
+            if (existingEffects.length < maxStacks) {
                 target.status.push(copy);
             } else {
-                let shortestDurationEffect = existingPoisonEffects[0];
-                for (let i = 1; i < existingPoisonEffects.length; i++) {
-                    if (existingPoisonEffects[i].Duration < shortestDurationEffect.Duration) {
-                        shortestDurationEffect = existingPoisonEffects[i];
+                let shortestDurationEffect = existingEffects[0];
+                for (let i = 1; i < existingEffects.length; i++) {
+                    if (existingEffects[i].Duration < shortestDurationEffect.Duration) {
+                        shortestDurationEffect = existingEffects[i];
                     }
                 }
                 shortestDurationEffect.Duration = copy.Duration;
                 shortestDurationEffect.Value = copy.Value;
             }
-            if (isNewStatus) {
-                playStatusSound(copy.Type);
-            }
-            return;
-        }
-        if (copy.Type === 'Stun' || copy.Type === 'Frozen') {
-            if (DEBUG_MODE) {
-                console.log(`[Status][${copy.Type}] applied to ${target.typeName}, duration=${copy.Duration}`);
-            }
-        }
-
-        const existing = target.status.find(s => s.Type === copy.Type);
-        if (existing) {
-            if (copy.CanReapply) {
+        } else {
+            const existing = existingEffects[0];
+            if (stacking === 'Refresh') {
+                existing.Duration = copy.Duration || 0;
+            } else {
                 existing.Duration = Math.max(existing.Duration || 0, copy.Duration || 0);
+            }
+            if (stacking === 'Refresh' || copy.CanReapply) {
                 Object.keys(copy).forEach(k => {
                     if (k !== 'Type' && k !== 'Duration') existing[k] = copy[k];
                 });
-            } else {
-                existing.Duration = Math.max(existing.Duration || 0, copy.Duration || 0);
-            }
-        } else {
-            target.applyStatus(copy);
-            
-            // Play status effect sound when first applied
-            if (isNewStatus) {
-                playStatusSound(copy.Type);
             }
         }
 
@@ -372,6 +401,48 @@ export default class StatusEffectFactory {
         }
     }
 
+    /**
+     * Take a status off a unit straight away, undoing what its wave-start tick left on the unit
+     * (Slow's speed, Acid's damage multiplier). Used by the sandbox status editor.
+     * @param {Object} unit - Unit carrying the status
+     * @param {number} index - Index into unit.status
+     * @returns {boolean} False when there is no status at that index
+     */
+    static removeStatus(unit, index) {
+        if (!unit || !Array.isArray(unit.status) || !unit.status[index]) return false;
+        const [removed] = unit.status.splice(index, 1);
+        const stillHas = (type) => unit.status.some(s => s.Type === type);
+
+        if (removed.Type === 'Slow' && !stillHas('Slow') && unit._baseSpeed !== undefined) {
+            unit.speed = unit._baseSpeed;
+            delete unit._baseSpeed;
+        }
+        if (removed.Type === 'Acid' && !stillHas('Acid')) {
+            delete unit._acidBonusMultiplier;
+            unit.vulnerable = false;
+        }
+        if (DEBUG_MODE) console.log(`[Status][Remove] ${removed.Type} removed from ${unit.fullName || unit.typeName}`);
+        return true;
+    }
+
+    /**
+     * Duration of a fresh application after diminishing returns, and record it for the next one.
+     * @param {Object} effect - Incoming status copy
+     * @param {{Window: number, DurationMultiplier: number}} dr - The type's DiminishingReturns rule
+     * @param {Object} target - Target unit
+     * @param {Object|null} scene - Active scene (supplies the current wave)
+     * @returns {number} Whole waves the status lasts; 0 when it no longer lands
+     */
+    static _applyDiminishingReturns(effect, dr, target, scene = null) {
+        const wave = Number((scene || target.scene)?.currentWave) || 0;
+        target._statusHistory = target._statusHistory || {};
+        const last = target._statusHistory[effect.Type];
+        const repeats = (last && wave - last.wave <= dr.Window) ? last.repeats + 1 : 0;
+        const duration = Math.floor((effect.Duration || 0) * Math.pow(dr.DurationMultiplier, repeats));
+        if (duration > 0) target._statusHistory[effect.Type] = { wave, repeats };
+        return duration;
+    }
+
     /**
      * Get the wave scaling factor for status effect damage (Fire/Poison DoT).
      * CRITICAL: Wave scaling applies based on the SOURCE of the status effect, not the target.
@@ -392,7 +463,6 @@ export default class StatusEffectFactory {
         }
 
         const wave = CombatFactory.getUnitWave(sourceUnit, scene);
-        if (wave <= 10) return 1;
 
         const monsterData = MonsterFactory.monsterData || {};
         const isSourceMonster = sourceUnit.typeName && (sourceUnit.typeName in monsterData);
@@ -403,7 +473,7 @@ export default class StatusEffectFactory {
 
         // Only apply scaling if the SOURCE is a monster
         if (isSourceMonster) {
-            const scaling = CombatFactory.getWaveScalingFactor(wave, true);
+            const scaling = CombatFactory.getWaveScalingFactor(wave, true, scene);
             if (DEBUG_MODE) {
                 console.log(`[_getWaveScaling] Applying scaling ${scaling} (source is monster)`);
             }
@@ -445,18 +515,6 @@ export default class StatusEffectFactory {
                 if (!s || typeof s.Type !== 'string') continue;
 
                 switch (s.Type) {
-                    case 'Stun':
-                        if (s.Duration && s.Duration > 0) {
-                            s.Duration = Math.max(0, (s.Duration || 0) - 1);
-                            if (DEBUG_MODE) console.log(`[Status][WaveStart][Stun] ${unit.fullName} remainingDuration=${s.Duration}`);
-                        }
-                        break;
-                    case 'Frozen':
-                        if (s.Duration && s.Duration > 0) {
-                            s.Duration = Math.max(0, (s.Duration || 0) - 1);
-                            if (DEBUG_MODE) console.log(`[Status][WaveStart][Frozen] ${unit.fullName} remainingDuration=${s.Duration}`);
-                        }
-                        break;
                     case 'Undetectable':
                         if (s._permanent || unit.isUndetectable) {
                             if (!s.Duration || s.Duration <= 0) s.Duration = 1;
@@ -595,17 +653,7 @@ export default class StatusEffectFactory {
 
             // Remove expired statuses once (after processing)
             const beforeCount = (unit.status || []).length;
-            unit.status = (unit.status || []).filter(s => {
-                if (s.Type === 'Stun' && (s.Duration || 0) === 0) {
-                    if (DEBUG_MODE) console.log(`[Status][WaveStart][Stun] ${unit.fullName} stun expired, removing`);
-                    return false;
-                }
-                if (s.Type === 'Frozen' && (s.Duration || 0) === 0) {
-                    if (DEBUG_MODE) console.log(`[Status][WaveStart][Frozen] ${unit.fullName} frozen expired, removing`);
-                    return false;
-                }
-                return (s.Duration || 0) > 0;
-            });
+            unit.status = (unit.status || []).filter(s => (s.Duration || 0) > 0);
             const afterCount = unit.status.length;
             if (DEBUG_MODE && beforeCount !== afterCount) {
                 console.log(`[Status][WaveStart] cleaned up expired statuses on ${unit.fullName} (before=${beforeCount}, after=${afterCount})`);
@@ -683,6 +731,7 @@ export default class StatusEffectFactory {
                     if (unit.ammoBarBg) { unit.ammoBarBg.destroy(); unit.ammoBarBg = null; }
                     if (unit.reloadBar) { unit.reloadBar.destroy(); unit.reloadBar = null; }
                     if (unit.reloadBarBg) { unit.reloadBarBg.destroy(); unit.reloadBarBg = null; }
+                    if (unit.levelStars) { unit.levelStars.destroy(); unit.levelStars = null; }
                 } catch (e) {}
 
                 // Destroy sprite
@@ -709,12 +758,14 @@ export default class StatusEffectFactory {
      * Convenience: apply all statusEffects from a unit onto a target (the "status templates" the unit has).
      * @param {Object} sourceUnit - Unit that owns the status effects
      * @param {Object} targetUnit - Target unit to receive statuses
+     * @param {Object|null} scene - Active scene
      */
-    static applyStatusEffectsFromSourceToTarget(sourceUnit, targetUnit) {
+    static applyStatusEffectsFromSourceToTarget(sourceUnit, targetUnit, scene = null) {
         if (!sourceUnit || !targetUnit || !Array.isArray(sourceUnit.statusEffects)) return;
         sourceUnit.statusEffects.forEach(effect => {
-            if ((effect.Type === 'Fire' || effect.Type === 'Purge' || effect.Type === 'Stun' || effect.Type === 'Frozen' || effect.Type === 'Charm' || effect.Type === 'Undetectable' || effect.Type === 'Acid' || effect.Type === 'Slow') &&
-                targetUnit.status.some(s => s.Type === effect.Type) && !effect.CanReapply) {
+            // CanReapply lets a single effect refresh a status whose type otherwise ignores reapplication
+            if (StatusEffectFactory.getRules(effect.Type).Stacking === 'Ignore' && !effect.CanReapply &&
+                Array.isArray(targetUnit.status) && targetUnit.status.some(s => s.Type === effect.Type)) {
                 return;
             }
             const copy = {
@@ -722,23 +773,23 @@ export default class StatusEffectFactory {
             };
             copy._source = sourceUnit;
             copy._baseValue = (effect.Value !== undefined) ? effect.Value : effect.Value;
-            StatusEffectFactory.applyStatusToTarget(copy, targetUnit);
+            StatusEffectFactory.applyStatusToTarget(copy, targetUnit, scene);
 
             if (copy.Type === 'Stun' || copy.Type === 'Frozen') {
                 try {
-                    const scene = sourceUnit?.sprite?.scene || targetUnit?.sprite?.scene || null;
-                    if (!scene) return;
+                    const activeScene = scene || sourceUnit?.sprite?.scene || targetUnit?.sprite?.scene || null;
+                    if (!activeScene) return;
                     const ownerIndex = Number.isInteger(sourceUnit?._owner)
                         ? sourceUnit._owner
-                        : (typeof scene._resolveOwnerIndexForUnit === 'function' ? scene._resolveOwnerIndexForUnit(sourceUnit) : null);
+                        : (typeof activeScene._resolveOwnerIndexForUnit === 'function' ? activeScene._resolveOwnerIndexForUnit(sourceUnit) : null);
                     if (!Number.isInteger(ownerIndex)) return;
-                    const owner = scene.players?.[ownerIndex];
+                    const owner = activeScene.players?.[ownerIndex];
                     if (!owner || owner.isAI) return;
 
                     if (!targetUnit._achievementStunId) {
                         targetUnit._achievementStunId = `stun_${Math.random().toString(36).slice(2, 10)}`;
                     }
-                    const waveKey = scene._matchId ? `${scene._matchId}:${scene.currentWave}` : `wave:${scene.currentWave || 0}`;
+                    const waveKey = activeScene._matchId ? `${activeScene._matchId}:${activeScene.currentWave}` : `wave:${activeScene.currentWave || 0}`;
                     GlobalAchievements.recordWaveStun(waveKey, targetUnit._achievementStunId);
                 } catch (e) {}
             }
@@ -0,0 +1,206 @@
+import { DEBUG_MODE, DEV_DEBUG_MODE } from '../DebugManager.js';
+import GlobalLocalization from '../LocalizationManager.js';
+
+const PROGRESS_STORAGE_KEY = 'tutorialProgress';
+
+/**
+ * Loads the scripted tutorial levels (TutorialLevels/manifest.json, played in manifest order)
+ * and remembers which ones the player has finished:
+ *
+ * {
+ *   "TypeName": "Rolling",
+ *   "FullName": "Rolling the Dice",
+ *   "Board": "Default",                                  // optional; a .board TypeName
+ *   "Waves": 2,
+ *   "Lineup": { "Normal": [...], "Proto": [...] },        // the player's five normal and five prototype defences
+ *   "Dice": [2, 4],                                      // the player's rolls in order; afterwards the dice are random
+ *   "Units": [{ "Unit": "Goblin", "Row": 1, "Col": 6 }],  // on the board before the first turn
+ *   "Spawns": [{ "Wave": 1, "Unit": "Goblin", "Row": 1, "Col": 8 }],  // what the monsters play each wave
+ *   "Steps": [{ "Text": "Drag your Cannon to row 2", "Trigger": "Place", "Unit": "Cannon", "Row": 1 }]
+ * }
+ *
+ * Rows and columns are 0-based, like `.board` files. Steps are shown one at a time and each advances on its Trigger
+ * (see TRIGGERS). Texts are written in English here; translations go in the locale files as
+ * TUTORIAL_<TypeName>_TITLE, TUTORIAL_<TypeName>_DESC and TUTORIAL_<TypeName>_STEP_<n> (n counts from 1).
+ */
+export default class TutorialFactory {
+  static levelData = {};
+  static levelOrder = [];
+
+  /**
+   * What moves a step on:
+   * - Continue: the player presses Next (rolling and ending the turn wait until then)
+   * - Roll / Reroll: the player rolls the dice / rerolls a prototype die
+   * - Place: the player places a unit; optional Unit, Row and Col say which one and where
+   * - EndTurn: the player ends their turn
+   * - Wave: wave `Wave` starts
+   * - Status: any unit on the board has the status `Status`
+   * - Win: the level is won; the player plays freely until then
+   */
+  static TRIGGERS = ['Continue', 'Roll', 'Reroll', 'Place', 'EndTurn', 'Wave', 'Status', 'Win'];
+
+  /**
+   * Load tutorial levels from the manifest into levelData.
+   * @returns {Promise<void>}
+   */
+  static async loadData() {
+    try {
+      const response = await fetch('assets/gamedata/TutorialLevels/manifest.json');
+      if (!response.ok) return;
+      const manifest = await response.json();
+      if (!manifest || !Array.isArray(manifest.files)) return;
+
+      for (const file of manifest.files) {
+        const isTestFile = /^test/i.test(String(file || ''));
+        if (isTestFile && !DEV_DEBUG_MODE) continue;
+        try {
+          const res = await fetch(`assets/gamedata/TutorialLevels/${file}`);
+          if (!res.ok) continue;
+          const data = await res.json();
+          if (!data || !data.TypeName) continue;
+          if (data.IsDevOnly && !DEV_DEBUG_MODE) continue;
+          this.validateData(data);
+          if (!(data.TypeName in this.levelData)) this.levelOrder.push(data.TypeName);
+          this.levelData[data.TypeName] = data;
+        } catch (e) {
+          if (DEBUG_MODE) console.warn('[TutorialFactory] failed to load', file, e);
+        }
+      }
+    } catch (e) {
+      if (DEBUG_MODE) console.warn('[TutorialFactory] loadData failed', e);
+    }
+  }
+
+  /**
+   * Validate a tutorial level payload. Unit and board names are checked by lint:data.
+   * @param {Object} data - Tutorial level definition
+   */
+  static validateData(data) {
+    const isCell = (entry) => entry && Number.isInteger(entry.Row) && entry.Row >= 0 && Number.isInteger(entry.Col) && entry.Col >= 0;
+    if (!Number.isInteger(data.Waves) || data.Waves < 1) {
+      throw new Error(`Invalid Waves for tutorial ${data.TypeName}`);
+    }
+    const lineup = data.Lineup;
+    if (!lineup || !['Normal', 'Proto'].every(k => Array.isArray(lineup[k]) && lineup[k].length === 5)) {
+      throw new Error(`Tutorial ${data.TypeName} needs five Normal and five Proto units in its Lineup`);
+    }
+    if (data.Dice !== undefined && !(Array.isArray(data.Dice) && data.Dice.every(v => Number.isInteger(v) && v >= 1 && v <= 6))) {
+      throw new Error(`Invalid Dice for tutorial ${data.TypeName}`);
+    }
+    for (const key of ['Units', 'Spawns']) {
+      if (data[key] === undefined) continue;
+      if (!Array.isArray(data[key]) || !data[key].every(u => isCell(u) && typeof u.Unit === 'string')) {
+        throw new Error(`Invalid ${key} for tutorial ${data.TypeName}`);
+      }
+    }
+    if ((data.Spawns || []).some(s => !Number.isInteger(s.Wave) || s.Wave < 1 || s.Wave > data.Waves)) {
+      throw new Error(`Tutorial ${data.TypeName} spawns outside its ${data.Waves} wave(s)`);
+    }
+    if (!Array.isArray(data.Steps) || data.Steps.length === 0) {
+      throw new Error(`Tutorial ${data.TypeName} has no Steps`);
+    }
+    data.Steps.forEach((step, i) => {
+      if (!step || typeof step.Text !== 'string' || !this.TRIGGERS.includes(step.Trigger)) {
+        throw new Error(`Invalid step ${i + 1} in tutorial ${data.TypeName}`);
+      }
+      if (step.Trigger === 'Wave' && !Number.isInteger(step.Wave)) {
+        throw new Error(`Step ${i + 1} in tutorial ${data.TypeName} needs a Wave`);
+      }
+      if (step.Trigger === 'Status' && typeof step.Status !== 'string') {
+        throw new Error(`Step ${i + 1} in tutorial ${data.TypeName} needs a Status`);
+      }
+    });
+  }
+
+  /**
+   * Get a tutorial level by type name.
+   * @param {string} typeName - Level type key
+   * @returns {Object|null}
+   */
+  static getLevel(typeName) {
+    return (typeName && this.levelData[typeName]) || null;
+  }
+
+  /**
+   * All levels in play order.
+   * @returns {Object[]}
+   */
+  static getLevels() {
+    return this.levelOrder.map(name => this.levelData[name]).filter(Boolean);
+  }
+
+  /**
+   * The level after the given one, or null after the last.
+   * @param {string} typeName - Level type key
+   * @returns {Object|null}
+   */
+  static getNextLevel(typeName) {
+    const index = this.levelOrder.indexOf(typeName);
+    return index >= 0 ? this.getLevel(this.levelOrder[index + 1]) : null;
+  }
+
+  /**
+   * The first level the player hasn't finished yet (the first level once all are done).
+   * @returns {Object|null}
+   */
+  static getFirstUnfinished() {
+    const levels = this.getLevels();
+    return levels.find(level => !this.isComplete(level.TypeName)) || levels[0] || null;
+  }
+
+  static _loadProgress() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static isComplete(typeName) {
+    return this._loadProgress().includes(typeName);
+  }
+
+  /**
+   * Whether every level has been finished (false while no levels are loaded).
+   * @returns {boolean}
+   */
+  static isAllComplete() {
+    const done = this._loadProgress();
+    return this.levelOrder.length > 0 && this.levelOrder.every(name => done.includes(name));
+  }
+
+  /**
+   * Remember a finished level.
+   * @param {string} typeName - Level type key
+   */
+  static markComplete(typeName) {
+    if (!typeName) return;
+    const done = this._loadProgress();
+    if (done.includes(typeName)) return;
+    done.push(typeName);
+    try {
+      localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(done));
+    } catch (e) {
+      if (DEBUG_MODE) console.warn('[TutorialFactory] could not save progress', e);
+    }
+  }
+
+  static getName(level) {
+    return GlobalLocalization.t(`TUTORIAL_${level.TypeName}_TITLE`, level.FullName || level.TypeName);
+  }
+
+  static getDescription(level) {
+    return GlobalLocalization.t(`TUTORIAL_${level.TypeName}_DESC`, level.Description || '');
+  }
+
+  /**
+   * Prompt text for a step.
+   * @param {Object} level - Tutorial level definition
+   * @param {number} index - 0-based step index
+   * @returns {string}
+   */
+  static getStepText(level, index) {
+    return GlobalLocalization.t(`TUTORIAL_${level.TypeName}_STEP_${index + 1}`, level.Steps?.[index]?.Text || '');
+  }
+}
@@ -0,0 +1,147 @@
+import { DEBUG_MODE } from '../DebugManager.js';
+import EffectRegistry from '../EffectRegistry.js';
+import CombatFactory from './CombatFactory.js';
+import DefenceFactory from './DefenceFactory.js';
+import MonsterFactory from './MonsterFactory.js';
+import SpecialEffectFactory from './SpecialEffectFactory.js';
+
+// Stats a Levels entry can set: definition key -> unit field
+const LEVEL_STATS = Object.freeze({
+    Health: 'health',
+    Damage: 'damage',
+    Range: 'range',
+    Ammo: 'ammo',
+    ReloadDelay: 'reloadDelay',
+    Speed: 'speed'
+});
+
+/**
+ * In-match unit upgrades. Dropping a holder onto an identical unit its owner already placed merges
+ * the two: the holder is used up and the placed unit goes up a level.
+ *
+ * Levels come from the definition's `Levels` block, one entry per level above 1:
+ *   "Levels": [{ "Health": 40, "Damage": 35 }, { "Health": 55, "Damage": 45, "SpecialEffects": [...] }]
+ * Stats an entry leaves out carry over from the level below, and its SpecialEffects are added to the
+ * ones the unit already has. Units without a Levels block can't be merged.
+ */
+export default class UpgradeFactory {
+    static MAX_LEVEL = 3;
+
+    /**
+     * @param {string} typeName - Defence or monster type
+     * @returns {Object|null} The unit's definition
+     */
+    static getDefinition(typeName) {
+        return DefenceFactory.defenceData[typeName] || MonsterFactory.monsterData[typeName] || null;
+    }
+
+    /**
+     * Highest level a unit type can reach through merges.
+     * @param {string} typeName - Defence or monster type
+     * @returns {number} 1 when the type has no Levels block
+     */
+    static getMaxLevel(typeName) {
+        const levels = this.getDefinition(typeName)?.Levels;
+        return 1 + Math.min(Array.isArray(levels) ? levels.length : 0, this.MAX_LEVEL - 1);
+    }
+
+    /**
+     * Definition stats of a unit type at a level, before wave scaling and other modifiers.
+     * @param {string} typeName - Defence or monster type
+     * @param {number} level - 1 for the base definition
+     * @returns {Object|null} { Health, Damage, Range, Ammo, ReloadDelay, Speed } as defined
+     */
+    static getLevelStats(typeName, level) {
+        const data = this.getDefinition(typeName);
+        if (!data) return null;
+        const stats = {};
+        for (const key of Object.keys(LEVEL_STATS)) {
+            if (data[key] !== undefined) stats[key] = data[key];
+        }
+        const reached = Math.min(Math.max(1, level), this.getMaxLevel(typeName));
+        for (let i = 0; i < reached - 1; i++) {
+            for (const key of Object.keys(LEVEL_STATS)) {
+                if (data.Levels[i][key] !== undefined) stats[key] = data.Levels[i][key];
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Whether a holder can be merged into a placed unit.
+     * @param {Object} scene - Active scene (holders, units)
+     * @param {Object} holder - Unit waiting in the holder list
+     * @param {Object} target - Unit on the board
+     * @returns {boolean}
+     */
+    static canMerge(scene, holder, target) {
+        if (!scene || !holder || !target || holder === target) return false;
+        if (!(scene.holders || []).includes(holder) || !(scene.units || []).includes(target)) return false;
+        if (!target.position || !(target.currentHealth > 0)) return false;
+        if (holder.typeName !== target.typeName || holder._owner !== target._owner) return false;
+        return (target.level || 1) < this.getMaxLevel(target.typeName);
+    }
+
+    /**
+     * Use up a holder to raise an identical placed unit one level. Visuals are left to the scene.
+     * @param {Object} scene - Active scene
+     * @param {Object} holder - Unit waiting in the holder list
+     * @param {Object} target - Unit on the board
+     * @returns {boolean} False when the two can't merge
+     */
+    static merge(scene, holder, target) {
+        if (!this.canMerge(scene, holder, target)) return false;
+        scene.holders.splice(scene.holders.indexOf(holder), 1);
+
+        const from = target.level || 1;
+        target.level = from + 1;
+        this._applyLevelStats(target, from, target.level, scene);
+
+        const added = EffectRegistry.expand(this.getDefinition(target.typeName).Levels[from - 1].SpecialEffects || []);
+        if (added.length) {
+            target.specialEffects = target.specialEffects.concat(added);
+            SpecialEffectFactory.handleOnPlace(target, scene, added);
+        }
+
+        if (DEBUG_MODE) console.log(`[UpgradeFactory] ${target.typeName} merged to level ${target.level}`, { health: target.health, damage: target.damage });
+        return true;
+    }
+
+    /**
+     * Move a unit's stats from one level to another. Works on the difference between the two levels,
+     * so wave scaling, tile bonuses, Slow and damage taken so far all carry over.
+     * @private
+     */
+    static _applyLevelStats(unit, from, to, scene = null) {
+        const before = this.getLevelStats(unit.typeName, from);
+        const after = this.getLevelStats(unit.typeName, to);
+        if (!before || !after) return;
+        const isMonster = unit.typeName in MonsterFactory.monsterData;
+        const scaling = Number.isFinite(unit._waveScaledAt) ? CombatFactory.getWaveScalingFactor(unit._waveScaledAt, isMonster, scene) : 1;
+        const gain = (key) => (typeof before[key] === 'number' && typeof after[key] === 'number') ? after[key] - before[key] : 0;
+
+        const health = Math.round(gain('Health') * scaling);
+        unit.health += health;
+        unit.currentHealth += health;
+        if (Number.isFinite(unit._originalBaseHealth)) unit._originalBaseHealth += gain('Health');
+
+        if (typeof unit.damage === 'number') {
+            unit.damage += Math.round(gain('Damage') * scaling);
+            if (Number.isFinite(unit._originalBaseDamage)) unit._originalBaseDamage += gain('Damage');
+        }
+        if (typeof unit.range === 'number') unit.range += gain('Range');
+        if (typeof unit.ammo === 'number') {
+            unit.ammo += gain('Ammo');
+            if (typeof unit.currentAmmo === 'number') unit.currentAmmo = Math.max(0, unit.currentAmmo + gain('Ammo'));
+        }
+        if (typeof unit.reloadDelay === 'number') {
+            unit.reloadDelay += gain('ReloadDelay');
+            if (unit._baseReloadDelay !== undefined) unit._baseReloadDelay += gain('ReloadDelay');
+            if (typeof unit.reloadTimer === 'number') unit.reloadTimer = Math.max(0, Math.min(unit.reloadTimer, unit.reloadDelay));
+        }
+        if (typeof unit.speed === 'number') {
+            unit.speed += gain('Speed');
+            if (unit._baseSpeed !== undefined) unit._baseSpeed += gain('Speed');
+        }
+    }
+}
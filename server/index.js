@@ -9,7 +9,9 @@ import { createClient } from 'redis';
 import RedisStore from 'connect-redis';
 import { authMiddleware, authRouter } from './auth.js';
 import LobbyManager from './lobbyManager.js';
-import LeaderboardManager from './utils/leaderboardManager.js';
+import Matchmaker from './matchmaker.js';
+import LeaderboardManager, { LEADERBOARD_SORTS, DEFAULT_LEADERBOARD_SORT } from './utils/leaderboardManager.js';
+import InventoryManager from './utils/inventoryManager.js';
 
 // Load environment variables
 dotenv.config();
@@ -72,6 +74,7 @@ const io = new Server(server, {
 
 // Initialize LobbyManager
 const lobbyManager = new LobbyManager(io);
+const matchmaker = new Matchmaker(io, lobbyManager);
 
 // Redis client for session storage (if available)
 let redisClient = null;
@@ -200,17 +203,30 @@ app.get('/health', (req, res) => {
 // Auth routes
 app.use('/auth', authRouter);
 
+// 'current' (default), 'previous' or a `YYYY-MM` season id; null when invalid
+function resolveLeaderboardSeason(requested) {
+    const current = LeaderboardManager.getSeason();
+    if (!requested || requested === 'current') return current.id;
+    if (requested === 'previous') return LeaderboardManager.getPreviousSeasonId(current.id);
+    const id = String(requested);
+    return /^\d{4}-\d{2}$/.test(id) && id <= current.id ? id : null;
+}
+
 // Leaderboard endpoint
 app.get('/leaderboard', async (req, res) => {
     try {
-        const sortBy = req.query.sortBy || 'total';
+        const sortBy = req.query.sortBy || DEFAULT_LEADERBOARD_SORT;
 
-        if (!['total', 'highest', 'combos', 'wins', 'best'].includes(sortBy)) {
+        if (!LEADERBOARD_SORTS.includes(sortBy)) {
             return res.status(400).json({ error: 'Invalid sort option' });
         }
+        const season = resolveLeaderboardSeason(req.query.season);
+        if (!season) {
+            return res.status(400).json({ error: 'Invalid season' });
+        }
 
-        console.log(`[Leaderboard HTTP] Fetching top players (sortBy=${sortBy})`);
-        const topPlayers = await LeaderboardManager.getTopPlayers(100, sortBy);
+        console.log(`[Leaderboard HTTP] Fetching top players (sortBy=${sortBy}, season=${season})`);
+        const topPlayers = await LeaderboardManager.getTopPlayers(100, sortBy, season);
 
         if (!topPlayers || !Array.isArray(topPlayers)) {
             console.warn('[Leaderboard HTTP] No data returned from getTopPlayers');
@@ -224,7 +240,7 @@ app.get('/leaderboard', async (req, res) => {
         const userId = req.session?.user?.id;
         if (userId) {
             try {
-                playerRank = await LeaderboardManager.getPlayerRank(userId, sortBy);
+                playerRank = await LeaderboardManager.getPlayerRank(userId, sortBy, season);
                 console.log(`[Leaderboard HTTP] Player ${userId} rank: ${JSON.stringify(playerRank)}`);
             } catch (rankErr) {
                 console.warn(`[Leaderboard HTTP] Failed to get player rank: ${rankErr.message}`);
@@ -235,7 +251,9 @@ app.get('/leaderboard', async (req, res) => {
         res.json({
             topPlayers,
             playerRank,
-            sortBy
+            sortBy,
+            season,
+            currentSeason: LeaderboardManager.getSeason()
         });
     } catch (err) {
         console.error('[Leaderboard HTTP] Failed to get leaderboard:', err.message || err);
@@ -243,6 +261,83 @@ app.get('/leaderboard', async (req, res) => {
     }
 });
 
+// Inventory endpoints (online tokens, owned units and loadouts of the session user)
+const INVENTORY_FAILURE_STATUS = {
+    unknown_user: 404,
+    unknown_unit: 400,
+    invalid_loadout: 400,
+    not_for_sale: 400,
+    not_owned: 409,
+    already_owned: 409,
+    not_enough_tokens: 409
+};
+
+// Passport keeps the logged-in user's id in the session and deserializes it to req.user
+function requireSessionUser(req, res) {
+    const userId = req.user?.id || req.session?.passport?.user;
+    if (!userId) res.status(401).json({ error: 'Not authenticated' });
+    return userId || null;
+}
+
+app.get('/inventory', async (req, res) => {
+    const userId = requireSessionUser(req, res);
+    if (!userId) return;
+    try {
+        const inventory = await InventoryManager.getInventory(userId);
+        if (!inventory) return res.status(404).json({ error: 'unknown_user' });
+        res.json({ inventory });
+    } catch (err) {
+        console.error('[Inventory HTTP] Failed to load inventory:', err.message || err);
+        res.status(500).json({ error: `Failed to load inventory: ${err.message}` });
+    }
+});
+
+app.post('/inventory/buy', async (req, res) => {
+    const userId = requireSessionUser(req, res);
+    if (!userId) return;
+    try {
+        const result = await InventoryManager.buyUnit(userId, req.body?.unit);
+        if (!result.ok) return res.status(INVENTORY_FAILURE_STATUS[result.reason] || 400).json({ error: result.reason, inventory: result.inventory || null });
+        res.json(result);
+    } catch (err) {
+        console.error('[Inventory HTTP] Purchase failed:', err.message || err);
+        res.status(500).json({ error: `Purchase failed: ${err.message}` });
+    }
+});
+
+app.put('/inventory/loadouts', async (req, res) => {
+    const userId = requireSessionUser(req, res);
+    if (!userId) return;
+    try {
+        const result = await InventoryManager.setLoadouts(userId, req.body?.loadouts);
+        if (!result.ok) return res.status(INVENTORY_FAILURE_STATUS[result.reason] || 400).json({ error: result.reason, unit: result.unit || null, inventory: result.inventory || null });
+        res.json({ inventory: result.inventory });
+    } catch (err) {
+        console.error('[Inventory HTTP] Failed to save loadouts:', err.message || err);
+        res.status(500).json({ error: `Failed to save loadouts: ${err.message}` });
+    }
+});
+
+// Token grants outside of matches (support, events); disabled unless INVENTORY_ADMIN_KEY is set
+app.post('/inventory/grant', async (req, res) => {
+    const adminKey = process.env.INVENTORY_ADMIN_KEY;
+    if (!adminKey || req.get('X-Admin-Key') !== adminKey) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    const { userId, amount, reason } = req.body || {};
+    if (!userId || !(Number(amount) > 0)) {
+        return res.status(400).json({ error: 'userId and a positive amount are required' });
+    }
+    try {
+        const inventory = await InventoryManager.grantTokens(userId, amount, reason || 'admin grant');
+        if (!inventory) return res.status(404).json({ error: 'unknown_user' });
+        res.json({ inventory });
+    } catch (err) {
+        console.error('[Inventory HTTP] Grant failed:', err.message || err);
+        res.status(500).json({ error: `Grant failed: ${err.message}` });
+    }
+});
+
 // Development: Serve client files for local testing
 if (process.env.NODE_ENV !== 'production') {
   // Serve static files from client directory
@@ -273,6 +368,7 @@ io.on('connection', async (socket) => {
 
   // Register socket with lobby manager
   await lobbyManager.registerSocket(socket);
+  matchmaker.registerSocket(socket);
 
   // ✅ Enhanced heartbeat detection
   socket.on('ping', () => {
@@ -283,15 +379,19 @@ io.on('connection', async (socket) => {
   // ✅ NEW: Leaderboard handler with enhanced error handling
   socket.on('get-leaderboard', async (options) => {
     try {
-      const sortBy = options?.sortBy || 'total';
+      const sortBy = options?.sortBy || DEFAULT_LEADERBOARD_SORT;
       
-      if (!sortBy || !['total', 'highest', 'combos', 'wins', 'best'].includes(sortBy)) {
+      if (!sortBy || !LEADERBOARD_SORTS.includes(sortBy)) {
         console.warn(`[Leaderboard] Invalid sort option: ${sortBy}`);
         return socket.emit('leaderboard-error', 'Invalid sort option');
       }
+      const season = resolveLeaderboardSeason(options?.season);
+      if (!season) {
+        return socket.emit('leaderboard-error', 'Invalid season');
+      }
       
-      console.log(`[Leaderboard] Fetching top players (sortBy=${sortBy})`);
-      const topPlayers = await LeaderboardManager.getTopPlayers(100, sortBy);
+      console.log(`[Leaderboard] Fetching top players (sortBy=${sortBy}, season=${season})`);
+      const topPlayers = await LeaderboardManager.getTopPlayers(100, sortBy, season);
       
       if (!topPlayers || !Array.isArray(topPlayers)) {
         console.warn('[Leaderboard] No data returned from getTopPlayers');
@@ -305,7 +405,7 @@ io.on('connection', async (socket) => {
       const userId = socket.data?.user?.id || socket.userId;
       if (userId) {
         try {
-          playerRank = await LeaderboardManager.getPlayerRank(userId, sortBy);
+          playerRank = await LeaderboardManager.getPlayerRank(userId, sortBy, season);
           console.log(`[Leaderboard] Player ${userId} rank: ${JSON.stringify(playerRank)}`);
         } catch (rankErr) {
           console.warn(`[Leaderboard] Failed to get player rank: ${rankErr.message}`);
@@ -316,7 +416,9 @@ io.on('connection', async (socket) => {
       socket.emit('leaderboard-data', {
         topPlayers,
         playerRank,
-        sortBy
+        sortBy,
+        season,
+        currentSeason: LeaderboardManager.getSeason()
       });
     } catch (err) {
       console.error('[Leaderboard] Failed to get leaderboard:', err.message || err);
@@ -325,6 +427,46 @@ io.on('connection', async (socket) => {
     }
   });
 
+  // Inventory handlers; the session's logged-in user is the only inventory the socket can touch
+  socket.on('get-inventory', async () => {
+    const userId = lobbyManager.getSessionUserId(socket);
+    if (!userId) return socket.emit('inventory-error', { reason: 'unauthenticated' });
+    try {
+      const inventory = await InventoryManager.getInventory(userId);
+      if (!inventory) return socket.emit('inventory-error', { reason: 'unknown_user' });
+      socket.emit('inventory-data', { inventory });
+    } catch (err) {
+      console.error('[Inventory] Failed to load inventory:', err.message || err);
+      socket.emit('inventory-error', { reason: 'server_error' });
+    }
+  });
+
+  socket.on('buy-unit', async ({ unit } = {}) => {
+    const userId = lobbyManager.getSessionUserId(socket);
+    if (!userId) return socket.emit('buy-failed', { reason: 'unauthenticated', unit });
+    try {
+      const result = await InventoryManager.buyUnit(userId, unit);
+      if (!result.ok) return socket.emit('buy-failed', { reason: result.reason, unit, inventory: result.inventory || null });
+      socket.emit('unit-purchased', result);
+    } catch (err) {
+      console.error('[Inventory] Purchase failed:', err.message || err);
+      socket.emit('buy-failed', { reason: 'server_error', unit });
+    }
+  });
+
+  socket.on('set-inventory-loadouts', async ({ loadouts } = {}) => {
+    const userId = lobbyManager.getSessionUserId(socket);
+    if (!userId) return socket.emit('loadout-failed', { reason: 'unauthenticated' });
+    try {
+      const result = await InventoryManager.setLoadouts(userId, loadouts);
+      if (!result.ok) return socket.emit('loadout-failed', { reason: result.reason, unit: result.unit || null, inventory: result.inventory || null });
+      socket.emit('loadouts-saved', { inventory: result.inventory });
+    } catch (err) {
+      console.error('[Inventory] Failed to save loadouts:', err.message || err);
+      socket.emit('loadout-failed', { reason: 'server_error' });
+    }
+  });
+
   socket.on('error', (error) => {
     console.error(`[Socket] Error on ${socket.id}: ${error.message || error}`);
   });
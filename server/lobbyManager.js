@@ -1,8 +1,13 @@
 import { loadLobbies, saveLobby, saveLobbies, pruneLocalLobbies, deleteSupabaseLobby } from "./utils/lobbyStorage.js";
-import { checkCombo } from "../client/utils/ComboManager.js";
 import { getUsernameFromDB, getActivePlayers, normalizeAllPlayers } from "./utils/playerStateManager.js";
 import { loadUser } from "./utils/userStorage.js";
 import LeaderboardManager from "./utils/leaderboardManager.js";
+import InventoryManager from "./utils/inventoryManager.js";
+import RatingManager from "./utils/ratingManager.js";
+import MatchSimulation, { loadMatchDefinitions } from "./utils/matchSimulation.js";
+import { registerModPacks, ensureModPacks, MAX_LOBBY_MODS } from "./utils/modRegistry.js";
+import { MATCH_PROTOCOL_VERSION, MATCH_ACTIONS, MATCH_EVENTS, MATCH_TEAMS, validateMatchAction } from "../client/utils/MatchProtocol.js";
+import { getMatchTokenReward } from "../client/utils/InventoryProtocol.js";
 
 const DEFAULT_LOBBY_CONFIG = Object.freeze({
   players: 2,
@@ -11,15 +16,22 @@ const DEFAULT_LOBBY_CONFIG = Object.freeze({
   diceCount: 1,
   boardRows: 5,
   boardCols: 9,
-  turnTimeSeconds: 30
+  turnTimeSeconds: 30,
+  mods: []
 });
 
+// 2 = one player per side, 4 = two teams of two sharing a side
+const PLAYER_OPTIONS = [2, 4];
 const WAVE_OPTIONS = [10, 15, 20, 25, 30, 35, 40, 45, 50];
 const DICE_OPTIONS = [1, 2];
 const BOARD_ROW_OPTIONS = [5, 6, 7];
 const BOARD_COL_OPTIONS = [7, 9, 11, 13, 15];
 const TURN_TIME_OPTIONS = [15, 30, 45, 60];
 
+// How long a player who drops out of a running match keeps their seat before it counts as a forfeit.
+// The client's reconnect backoff tops out at 8s, so this covers a good number of attempts.
+const REJOIN_WINDOW_MS = 60 * 1000;
+
 function pickAllowedNumber(value, allowed, fallback) {
   if (!Number.isFinite(value)) return fallback;
   if (Array.isArray(allowed) && allowed.length > 0 && allowed.includes(value)) return value;
@@ -30,6 +42,8 @@ function normalizeLobbyConfig(raw = {}) {
   const src = (raw && typeof raw === "object") ? raw : {};
   const normalized = { ...DEFAULT_LOBBY_CONFIG };
 
+  normalized.players = pickAllowedNumber(src.players, PLAYER_OPTIONS, DEFAULT_LOBBY_CONFIG.players);
+
   const rawWaves = Number.isFinite(src.waves)
     ? src.waves
     : (Number.isFinite(src.rounds) ? src.rounds : (Number.isFinite(src.totalRounds) ? src.totalRounds : null));
@@ -51,12 +65,38 @@ function normalizeLobbyConfig(raw = {}) {
     : (Number.isFinite(src.timeLimitSeconds) ? src.timeLimitSeconds : null);
   normalized.turnTimeSeconds = pickAllowedNumber(rawTurnTime, TURN_TIME_OPTIONS, DEFAULT_LOBBY_CONFIG.turnTimeSeconds);
 
-  // Online matches are currently 2-player only; keep this locked for safety.
-  normalized.players = DEFAULT_LOBBY_CONFIG.players;
+  // Only ever set from registerModPacks results; ids and hashes are what players must match
+  normalized.mods = (Array.isArray(src.mods) ? src.mods : [])
+    .filter(m => m && typeof m.id === "string" && typeof m.hash === "string")
+    .slice(0, MAX_LOBBY_MODS)
+    .map(m => ({ id: m.id, name: typeof m.name === "string" ? m.name.slice(0, 40) : m.id, hash: m.hash }));
 
   return normalized;
 }
 
+// Present players on a team, optionally ignoring one player (e.g. the one switching)
+function countTeam(lobby, team, exceptId = null) {
+  return (lobby.players || []).filter(p => !p.left && p.team === team && String(p.id) !== String(exceptId)).length;
+}
+
+function teamHasRoom(lobby, team, exceptId = null) {
+  const perTeam = (ensureLobbyConfig(lobby).players || 2) / 2;
+  return MATCH_TEAMS.includes(team) && countTeam(lobby, team, exceptId) < perTeam;
+}
+
+// Team with the fewest present players (blue on a tie); null when both are full
+function pickOpenTeam(lobby, exceptId = null) {
+  const counts = MATCH_TEAMS.map(team => countTeam(lobby, team, exceptId));
+  const team = MATCH_TEAMS[counts.indexOf(Math.min(...counts))];
+  return teamHasRoom(lobby, team, exceptId) ? team : null;
+}
+
+// Names of the lobby's mod packs this player has not confirmed with a matching hash
+function missingModsFor(config, player) {
+  const hashes = player?.modHashes || {};
+  return (config?.mods || []).filter(m => hashes[m.id] !== m.hash).map(m => m.name);
+}
+
 function ensureLobbyConfig(lobby) {
   if (!lobby) return { ...DEFAULT_LOBBY_CONFIG };
   const normalized = normalizeLobbyConfig(lobby.config || {});
@@ -72,6 +112,10 @@ export default class LobbyManager {
     this.io = io;
     this.lobbies = {};
     this.activeGames = {};
+    // Codes of lobbies opened by the ranked queue; kept in memory since storage may drop unknown fields
+    this.rankedLobbies = new Set();
+    // Ranked lobby code -> session user ids whose lobby screen has asked for lobby-data
+    this.rankedArrivals = new Map();
     this.init();
   }
 
@@ -137,7 +181,7 @@ export default class LobbyManager {
             hostsocketid: item.hostsocketid || item.host || null,
             hostuserid: item.hostuserid || item.hostuser || null,
             players: Array.isArray(item.players) ? item.players : (item.players ? JSON.parse(item.players) : []),
-            config: item.config || (item.config_json ? item.config_json : { players: 2, rounds: 20, combos: false }),
+            config: normalizeLobbyConfig(item.config || item.config_json || {}),
             createdAt: item.createdAt || item.created_at || Date.now(),
             updatedAt: item.updatedAt || item.updated_at || Date.now()
           };
@@ -246,6 +290,13 @@ export default class LobbyManager {
     return false;
   }
 
+  // Helper: the user id passport stored in the socket's session (null when not logged in).
+  // Unlike socket.data.user, which auth-user fills from the client, this can't be claimed by the client.
+  getSessionUserId(socket) {
+    const id = socket?.request?.session?.passport?.user;
+    return id ? String(id) : null;
+  }
+
   // Register socket connection + handlers
   async registerSocket(socket) {
     // refresh latest lobbies from DB before handling new socket
@@ -279,6 +330,9 @@ export default class LobbyManager {
       }
     }
 
+    // A reconnecting player goes straight back into a match that is holding their seat
+    this._resumeHeldSeats(socket);
+
     // ---------- HEARTBEAT / KEEPALIVE ----------
     socket.on('ping', () => {
       socket.data.lastHeartbeat = Date.now();
@@ -328,6 +382,7 @@ export default class LobbyManager {
           socketid: socket.id,
           timestamp: Date.now()
         });
+        this._resumeHeldSeats(socket);
       } catch (err) {
         console.error(`[LobbyManager] Error in auth-user: ${err.message}`);
         socket.data.user = null;
@@ -359,18 +414,18 @@ export default class LobbyManager {
           return socket.emit("create-failed", { reason: "invalid_user" });
         }
 
-        // ensure unique code (retry if collision)
-        let code;
-        for (let i = 0; i < 6; i++) {
-          code = Math.random().toString(36).slice(2, 7).toUpperCase();
-          if (!this.lobbies[code]) break;
-          code = null;
+        const code = this._generateLobbyCode();
+
+        // Uploaded packs are validated and hashed here; the client's own summary is never trusted
+        const modResult = await registerModPacks(config?.modPacks, { inUse: this._modsInUse() });
+        if (modResult.reason) {
+          return socket.emit("create-failed", { reason: modResult.reason, id: modResult.id, errors: modResult.errors });
         }
-        if (!code) code = ("L" + Date.now()).slice(-6).toUpperCase();
 
         const playerObj = {
           id: socket.data.user.id,
           name: socket.data.user.name || `Guest${String(uid).substring(0, 6)}`,
+          team: MATCH_TEAMS[0],
           ready: false,
           left: false,
           connected: true
@@ -381,11 +436,7 @@ export default class LobbyManager {
           hostSocketId: socket.id,
           hostUserId: socket.data.user.id,
           players: [playerObj],
-          config: {
-            players: config.players || 2,
-            rounds: config.rounds || 20,
-            combos: !!config.combos
-          },
+          config: normalizeLobbyConfig({ ...config, mods: modResult.mods }),
           createdAt: Date.now(),
           updatedAt: Date.now(),
           updated_user: {
@@ -442,6 +493,11 @@ export default class LobbyManager {
           return socket.emit("join-failed", { reason: "invalid_user" });
         }
 
+        // Ranked lobbies only take back the two players the queue paired, as their session users
+        if (this.rankedLobbies.has(code) && (String(this.getSessionUserId(socket)) !== String(uid) || !lobby.players.some(p => String(p.id) === String(uid)))) {
+          return socket.emit("join-failed", { reason: "ranked" });
+        }
+
         // check capacity using only present players (not counting left)
         const presentCount = (lobby.players || []).filter(p => !p.left).length;
         if (presentCount >= (lobby.config?.players || 2)) {
@@ -466,6 +522,7 @@ export default class LobbyManager {
           lobby.players.push({
             id: uid,
             name: playerName,
+            team: pickOpenTeam(lobby),
             ready: false,
             left: false,
             connected: true
@@ -488,6 +545,8 @@ export default class LobbyManager {
           try { await this.save(); } catch (e) { console.warn("[LobbyManager] save after join failed:", e); }
         } else {
           if (existing.left) {
+            // Keep the old team unless it filled up while this player was away
+            if (!teamHasRoom(lobby, existing.team, existing.id)) existing.team = pickOpenTeam(lobby, existing.id);
             existing.left = false;
             existing.connected = true;
             existing.ready = false;
@@ -498,6 +557,7 @@ export default class LobbyManager {
         }
 
         socket.join(code);
+        this._resumeHeldSeats(socket);
         
         // ✅ CRITICAL FIX: Ensure socket.data.user is set for future operations
         // If we used fallback userId, now authenticate the socket properly
@@ -539,8 +599,28 @@ export default class LobbyManager {
         players: lobby.players,
         hostSocketId: lobby.hostSocketId || lobby.host || null,
         hostUserId: lobby.hostUserId || lobby.hostUserId || null,
-        config: lobby.config
+        config: lobby.config,
+        ranked: this.rankedLobbies.has(code)
       });
+
+      // A ranked match starts by itself once every paired player's lobby screen is listening for game-starting
+      const uid = this.getSessionUserId(socket);
+      if (this.rankedLobbies.has(code) && !this.activeGames[code] && lobby.players.some(p => String(p.id) === uid)) {
+        const arrived = this.rankedArrivals.get(code) || new Set();
+        const complete = !arrived.has(uid) && lobby.players.every(p => String(p.id) === uid || arrived.has(String(p.id)));
+        arrived.add(uid);
+        this.rankedArrivals.set(code, arrived);
+        if (complete) {
+          const result = await this.startMatch(code).catch(err => {
+            console.error('[LobbyManager] Error starting ranked lobby:', err);
+            return { ok: false, reason: "server_error" };
+          });
+          if (!result.ok) {
+            console.warn(`[LobbyManager] Ranked lobby ${code} failed to start: ${result.reason}`);
+            this.io.to(code).emit("game-failed", { reason: result.reason, id: result.id });
+          }
+        }
+      }
     });
 
     // ---------- REQUEST GAME STATE ----------
@@ -565,21 +645,10 @@ export default class LobbyManager {
       }
 
       // server-authoritative game state
-      const players = game.players.map(p => ({ id: p.id, name: p.name, score: p.score, comboStats: p.comboStats }));
-      const localIndex = players.findIndex(p => p.id === socket.data.user?.id);
-
+      const localIndex = game.players.findIndex(p => p.id === socket.data.user?.id);
       socket.emit("game-state", {
-        players,
-        localIndex: localIndex >= 0 ? localIndex : null,
-        scores: game.players.map(p => p.score),
-        comboStats: game.players.map(p => p.comboStats),
-        round: game.round,
-        totalRounds: game.totalRounds,
-        room: code,
-        currentPlayerIndex: game.currentIndex,
-        timeLimitSeconds: game.timeLimitSeconds,
-        config: game.config,
-        turnExpiresAt: game.turnExpiresAt || null
+        ...this._buildGameStatePayload(code),
+        localIndex: localIndex >= 0 ? localIndex : null
       });
     });
 
@@ -608,6 +677,14 @@ export default class LobbyManager {
         const player = lobby.players.find(p => String(p.id) === String(uid));
         if (!player) return;
 
+        if (!player.ready) {
+          const missing = missingModsFor(ensureLobbyConfig(lobby), player);
+          if (missing.length > 0) {
+            socket.emit("ready-failed", { reason: "mods_mismatch", missing });
+            return;
+          }
+        }
+
         player.ready = !player.ready;
         
         // ✅ Track who updated this lobby
@@ -666,206 +743,56 @@ export default class LobbyManager {
           return;
         }
 
-        // ensure players are present
-        const activePlayers = (lobby.players || []).filter(p => !p.left);
-
-        const allReady = activePlayers.length > 0 && activePlayers.every(p => p.ready);
-        if (!allReady || activePlayers.length < 2) {
-          socket.emit("game-failed", { reason: "players_not_ready" });
-          return;
-        }
-
-        // create game state - assign avatars appropriately
-        // Guests: use playerIcon
-        // Discord/Google: fetch avatar from user profile
-        let gamePlayersWithAvatars = [];
-        for (const p of lobby.players) {
-          let avatar = null;
-          let playerIcon = null;
-          let userType = 'guest';
-          
-          try {
-            const user = await loadUser(p.id);
-            userType = user?.type || 'guest';
-            
-            // OAuth users (Discord/Google): fetch avatar from DB
-            if (userType === 'discord' || userType === 'google') {
-              avatar = user?.avatar || null;
-            }
-            // Guest users: use playerIcon
-            else if (userType === 'guest') {
-              playerIcon = user?.playerIcon || null;
-            }
-          } catch (err) {
-            console.warn(`[LobbyManager] Failed to load user data for player ${p.id}:`, err.message);
-          }
-          
-          gamePlayersWithAvatars.push({
-            id: p.id,
-            name: p.name,
-            type: userType,
-            avatar: avatar,          // OAuth users (Discord/Google)
-            playerIcon: playerIcon,  // Guest users
-            score: 0,
-            comboStats: { pair:0, twoPair:0, triple:0, fullHouse:0, fourOfAKind:0, fiveOfAKind:0, straight:0 },
-            hasRolled: false,
-            left: false,
-            connected: true
-          });
-        }
-
-        const game = {
-          code,
-          config: lobby.config || { players: 2, rounds: 20, combos: false },
-          players: gamePlayersWithAvatars,
-          currentIndex: 0,
-          round: 1,
-          totalRounds: lobby.config?.rounds || 20,
-          combosEnabled: !!lobby.config?.combos,
-          turnTimer: null,
-          turnExpiresAt: null,
-          timeLimitSeconds: lobby.config?.timeLimitSeconds || 30,
-          createdAt: Date.now(),
-          updatedAt: Date.now()
-        };
-
-        this.activeGames[code] = game;
-
-        // notify clients (invite to transition)
-        this.io.to(code).emit("game-starting", { code, config: lobby.config, players: lobby.players });
-
-        // build per-socket state and send
-        const statePayload = {
-          config: game.config,
-          players: game.players.map(p => ({ id: p.id, name: p.name, type: p.type, avatar: p.avatar, playerIcon: p.playerIcon, connected: true })),
-          scores: game.players.map(p => p.score),
-          comboStats: game.players.map(p => p.comboStats),
-          round: game.round,
-          totalRounds: game.totalRounds,
-          room: code,
-          currentPlayerIndex: game.currentIndex,
-          timeLimitSeconds: game.timeLimitSeconds,
-          turnExpiresAt: game.turnExpiresAt || null
-        };
-
-        try {
-          const roomSet = this.io.sockets.adapter.rooms.get(code);
-          if (roomSet && roomSet.size) {
-            for (const sid of roomSet) {
-              const sock = this.io.sockets.sockets.get(sid);
-              if (!sock) continue;
-              const li = game.players.findIndex(p => p.id === sock.data?.user?.id);
-              const personalized = { ...statePayload, localIndex: li >= 0 ? li : null };
-              sock.emit("game-state", personalized);
-            }
-          } else {
-            this.io.to(code).emit("game-state", statePayload);
-          }
-        } catch (err) {
-          console.warn("[LobbyManager] per-socket game-state failed, broadcasting fallback", err);
-          this.io.to(code).emit("game-state", statePayload);
-        }
-
-        // small delays to allow clients to transition and register handlers
-        setTimeout(() => this.io.to(code).emit("game-state", statePayload), 80);
-        setTimeout(() => this.startTurn(code), 180);
+        const result = await this.startMatch(code);
+        if (!result.ok) socket.emit("game-failed", { reason: result.reason, id: result.id });
       } catch (err) {
         console.error('[LobbyManager] Error in start-game:', err);
         socket.emit("game-failed", { reason: "server_error" });
       }
     });
 
-    // ---------- PLAYER ROLL ----------
-    socket.on("player-roll", ({ code } = {}) => {
+    // ---------- SET TEAM ----------
+    socket.on("set-team", async ({ code, team } = {}) => {
       if (!code || typeof code !== "string") return;
-      const codeU = code.trim().toUpperCase();
-      const game = this.activeGames[codeU];
-      if (!game) return;
-
-      const playerIndex = game.currentIndex;
-      const player = game.players[playerIndex];
-      if (!player) return;
-
-      // check if the player has left
-      if (player.left) return;
-
-      // ensure this socket is the active player
-      if (player.id !== socket.data.user?.id) return;
-
-      // announce rolling
-      this.io.to(codeU).emit("player-rolling", { playerIndex });
-
-      if (game.turnTimer) { clearTimeout(game.turnTimer); game.turnTimer = null; }
-
-      setTimeout(() => {
-        const dice = this.rollDice(5);
-        const { points, combo } = this.calculateScore(dice, game.combosEnabled);
-
-        player.score += points;
-        if (combo && combo.key) player.comboStats[combo.key] = (player.comboStats[combo.key] || 0) + 1;
-        player.hasRolled = true;
-
-        const graceMs = 10_000;
-        game.turnExpiresAt = Date.now() + graceMs;
-
-        this.io.to(codeU).emit("turn-result", {
-          playerIndex,
-          dice,
-          scored: points,
-          combo: combo || null,
-          scores: game.players.map(p => p.score),
-          comboStats: game.players.map(p => p.comboStats),
-          round: game.round,
-          turnExpiresAt: game.turnExpiresAt
-        });
-
-        if (game.turnTimer) { clearTimeout(game.turnTimer); game.turnTimer = null; }
-        game.turnTimer = setTimeout(() => this.advanceTurn(codeU), graceMs);
-      }, 700);
+      const lobbyCode = code.trim().toUpperCase();
+      const lobby = this.lobbies[lobbyCode];
+      if (!lobby || this.activeGames[lobbyCode]) return;
+      const player = (lobby.players || []).find(p => String(p.id) === String(socket.data.user?.id));
+      if (!player || player.team === team) return;
+      // Ready players are locked in, so the host never starts with teams changing underneath
+      if (player.ready) return socket.emit("team-failed", { reason: "ready" });
+      if (!teamHasRoom(lobby, team, player.id)) return socket.emit("team-failed", { reason: "team_full" });
+
+      player.team = team;
+      lobby.updatedAt = Date.now();
+      try { await this.save(); } catch (e) { console.warn("[LobbyManager] save after set-team failed:", e); }
+      this.broadcastLobbyUpdate(lobbyCode);
     });
 
-    // ---------- PLAYER END TURN ----------
-    socket.on("player-end-turn", ({ code, playerIndex } = {}) => {
+    // ---------- SET MODS ----------
+    socket.on("set-mods", ({ code, hashes } = {}) => {
       if (!code || typeof code !== "string") return;
-      const codeU = code.trim().toUpperCase();
-      const game = this.activeGames[codeU];
-      if (!game) return;
-
-      const currentPlayer = game.players[game.currentIndex];
-
-      // check if the player has left
-      if (currentPlayer.left) return;
-
-      if (!currentPlayer || currentPlayer.id !== socket.data.user?.id) return;
-      if (!currentPlayer.hasRolled) {
-        socket.emit("end-turn-failed", { reason: "not_rolled" });
-        return;
+      const lobby = this.lobbies[code.trim().toUpperCase()];
+      if (!lobby || !hashes || typeof hashes !== "object") return;
+      const player = (lobby.players || []).find(p => String(p.id) === String(socket.data.user?.id));
+      if (!player) return;
+      // Only the lobby's own pack ids are kept; the hashes are checked on ready and start
+      const required = ensureLobbyConfig(lobby).mods || [];
+      player.modHashes = {};
+      for (const mod of required) {
+        if (typeof hashes[mod.id] === "string") player.modHashes[mod.id] = hashes[mod.id];
       }
-
-      this.advanceTurn(codeU);
     });
 
-    // ---------- PLAYER TIMEOUT ----------
-    socket.on("player-timeout", ({ code } = {}) => {
-      if (!code || typeof code !== "string") return;
-      const codeU = code.trim().toUpperCase();
-      const game = this.activeGames[codeU];
-      if (!game) return;
-
-      const currentPlayer = game.players[game.currentIndex];
-      if (!currentPlayer || currentPlayer.id !== socket.data.user?.id) return;
-
-      this.handleTimeout(codeU);
-    });
-
-    // ---------- GAME FINISHED ----------
-    socket.on("game-finished", async (codeRaw) => {
-      if (!codeRaw || typeof codeRaw !== "string") return;
-      const code = codeRaw.trim().toUpperCase();
-
-      await this.deleteLobby(code);
-      this.io.to(code).emit("lobby-deleted", { code });
-      if (this.activeGames[code]) delete this.activeGames[code];
+    // ---------- MATCH ACTIONS ----------
+    Object.values(MATCH_ACTIONS).forEach((type) => {
+      socket.on(type, async (payload = {}) => {
+        try {
+          await this.handleMatchAction(socket, type, payload);
+        } catch (err) {
+          console.error(`[LobbyManager] ${type} failed:`, err);
+        }
+      });
     });
 
     // ---------- DISCONNECT ----------
@@ -887,6 +814,8 @@ export default class LobbyManager {
         const lobby = this.lobbies[code];
         if (!lobby || !Array.isArray(lobby.players)) continue;
         const found = lobby.players.find(p => String(p.id) === String(uid));
+        // A running match keeps the seat open for a while instead of forfeiting on a network blip
+        if (found && this._holdDisconnectedSeat(code, socket)) continue;
         if (found) {
           try {
             await this.removePlayerFromLobby(code, socket);
@@ -938,18 +867,16 @@ export default class LobbyManager {
           pl.connected = false;
         }
       }
-      const activeCount = gameOnly.players.filter(p => !p.left).length;
-      if (activeCount <= 1) {
+      if (this._isForfeited(gameOnly)) {
         // ✅ NEW: Update leaderboard stats (online games only)
-        this._updateGameStats(gameOnly.players).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
+        if (gameOnly.turnTimer) { clearTimeout(gameOnly.turnTimer); gameOnly.turnTimer = null; }
+        this._clearRejoinTimers(gameOnly);
+        this._syncScores(gameOnly);
+        this._updateGameStats(gameOnly).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
+        this._grantMatchRewards(gameOnly);
+        this._scoreRankedMatch(gameOnly);
         
-        this.io.to(code).emit("game-finished", {
-          code,
-          scores: gameOnly.players.map(p => p.score),
-          comboStats: gameOnly.players.map(p => p.comboStats),
-          names: gameOnly.players.map(p => p.name),
-          players: gameOnly.players
-        });
+        this.io.to(code).emit("game-finished", this._buildFinishedPayload(code, gameOnly));
         delete this.activeGames[code];
         
         // ✅ FIX: Also delete the corresponding lobby when game ends with all players gone
@@ -1048,20 +975,18 @@ export default class LobbyManager {
       this.io.to(code).emit("player-left", { id: uid });
     } catch (err) { console.warn("[LobbyManager] emit player-left failed:", err); }
 
-    // If active players reduced to <=1, finish the game
-    const activeCountG = game.players.filter(p => !p.left).length;
-    if (activeCountG <= 1) {
-      console.log(`[LobbyManager] Game ${code} finished, only ${activeCountG} active player(s) remaining`);
+    // If active players reduced to <=1 (or a whole team left), finish the game
+    if (this._isForfeited(game)) {
+      console.log(`[LobbyManager] Game ${code} finished, only ${game.players.filter(p => !p.left).length} active player(s) remaining`);
       // ✅ NEW: Update leaderboard stats (online games only)
-      this._updateGameStats(game.players).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
+      if (game.turnTimer) { clearTimeout(game.turnTimer); game.turnTimer = null; }
+      this._clearRejoinTimers(game);
+      this._syncScores(game);
+      this._updateGameStats(game).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
+      this._grantMatchRewards(game);
+      this._scoreRankedMatch(game);
       
-      this.io.to(code).emit("game-finished", {
-        code,
-        scores: game.players.map(p => p.score),
-        comboStats: game.players.map(p => p.comboStats),
-        names: game.players.map(p => p.name),
-        players: game.players
-      });
+      this.io.to(code).emit("game-finished", this._buildFinishedPayload(code, game));
       delete this.activeGames[code];
       
       // ✅ FIX: Also delete the corresponding lobby when game ends with all players gone
@@ -1154,6 +1079,13 @@ export default class LobbyManager {
       }
     }
 
+    for (const code of this.rankedLobbies) {
+      if (!this.lobbies[code] && !this.activeGames[code]) {
+        this.rankedLobbies.delete(code);
+        this.rankedArrivals.delete(code);
+      }
+    }
+
     if (prunedLobbies > 0 || prunedGames > 0) {
       console.info(`[LobbyManager] Pruned ${prunedLobbies} lobbies and ${prunedGames} games`);
     }
@@ -1163,33 +1095,225 @@ export default class LobbyManager {
    * Update player leaderboard stats when a game completes (ONLINE GAMES ONLY)
    * @private
    */
-  async _updateGameStats(players) {
+  async _updateGameStats(game, winnerIndices = null) {
+    const players = game?.players;
     if (!Array.isArray(players)) return;
-    
-    // Find the highest score (1st place)
-    let maxScore = -Infinity;
-    for (const player of players) {
-      if (player.score !== undefined && player.score > maxScore) {
-        maxScore = player.score;
-      }
-    }
+
+    const match = game.match || null;
+    const result = match?.result || null;
+    const mvpByPlayer = result?.mvpByPlayer || (match ? match.getMvpByPlayer() : []);
+    // The match MVP is the single highest-damage unit across all players
+    const topDamage = Math.max(0, ...mvpByPlayer.map(m => m?.damage || 0));
+
+    // Kills and destroyed defences are team totals; in 2v2 they are shared out across the side's seats
+    // (the remainder to the first seats) so a teammate's count isn't credited twice
+    const teamShare = (total, i) => {
+      const role = match?.players[i]?.role;
+      const seats = players.map((_, j) => j).filter(j => match?.players[j]?.role === role);
+      const position = Math.max(0, seats.indexOf(i));
+      const count = Math.max(1, seats.length);
+      return Math.floor(total / count) + (position < total % count ? 1 : 0);
+    };
 
     // Only update for players with IDs (online games)
-    for (const player of players) {
+    for (let i = 0; i < players.length; i++) {
+      const player = players[i];
       const playerId = player.id || player.uid;
-      const finalScore = player.score || 0;
-      // Only award "won" if this player has the highest score (1st place, no ties)
-      const won = finalScore === maxScore && maxScore > -Infinity;
-      const combos = player.comboStats || [];
-      
+      // The match result decides the winners; a forfeit falls back to whoever is still in the game
+      const won = Array.isArray(winnerIndices)
+        ? winnerIndices.includes(i)
+        : !player.left;
+      const mvp = mvpByPlayer[i] || null;
+
       try {
-        await LeaderboardManager.updatePlayerStats(playerId, finalScore, won, combos);
+        await LeaderboardManager.updatePlayerStats(playerId, {
+          role: match?.players[i]?.role || null,
+          won,
+          score: player.score || 0,
+          finalWave: result?.finalWave ?? match?.currentWave ?? 1,
+          monstersDefeated: teamShare(match?.defeatedMonsters || 0, i),
+          defencesDestroyed: teamShare(match?.destroyedDefences || 0, i),
+          mvpUnit: mvp && mvp.damage > 0 ? (mvp.typeName || mvp.unitName) : null,
+          matchMvp: !!mvp && topDamage > 0 && mvp.damage === topDamage
+        });
       } catch (err) {
         console.warn(`[LobbyManager] Failed to update stats for player ${playerId}:`, err.message);
       }
     }
   }
 
+  /**
+   * Credit match tokens to every player still in the game (win or lose); players who left get nothing.
+   * Stores the per-seat amounts on `game.rewards` for the game-finished payload.
+   * @private
+   */
+  _grantMatchRewards(game) {
+    const match = game.match;
+    const reward = match
+      ? getMatchTokenReward({ defeatedMonsters: match.defeatedMonsters, finalWave: match.result?.finalWave ?? match.currentWave })
+      : 0;
+    game.rewards = game.players.map(p => (p.left || !p.id ? 0 : reward));
+    game.players.forEach((p, i) => {
+      if (game.rewards[i] <= 0) return;
+      InventoryManager.grantTokens(p.id, game.rewards[i], `match ${game.code}`)
+        .catch(err => console.warn(`[LobbyManager] Failed to grant match tokens to ${p.id}:`, err.message));
+    });
+  }
+
+  /**
+   * Score a finished ranked match: Elo change per seat on `game.ratingChanges` for the game-finished
+   * payload, saved in the background. Without match winners, players who left lose.
+   * @private
+   */
+  _scoreRankedMatch(game, winnerIndices = null) {
+    if (!game.ranked || game.ratingChanges || game.players.length !== 2) return;
+    const won = game.players.map((p, i) => (Array.isArray(winnerIndices) ? winnerIndices.includes(i) : !p.left));
+    const winnerIndex = won.indexOf(true);
+    if (winnerIndex === -1 || won.every(Boolean)) return;
+
+    game.ratingChanges = RatingManager.getMatchChanges(game.startRatings, winnerIndex);
+    game.players.forEach((p, i) => {
+      RatingManager.applyMatchResult(p.id, game.ratingChanges[i], i === winnerIndex);
+    });
+  }
+
+  /**
+   * Keep a running match's seat for a player whose socket dropped: the seat shows as disconnected and
+   * only counts as left (and possibly forfeits the match) if they haven't rejoined within REJOIN_WINDOW_MS.
+   * @returns {boolean} Whether the disconnect is handled here (false when there's no running match to hold the seat in)
+   */
+  _holdDisconnectedSeat(code, socket) {
+    const game = this.activeGames[code];
+    if (!game) return false;
+    const uid = this.getSessionUserId(socket);
+    const seat = uid ? game.players.find(p => String(p.id) === String(uid)) : null;
+    // A socket that only claimed a seated id in auth-user can't take that seat down with it
+    if (!seat) return true;
+    if (seat.left) return false;
+
+    // Another tab of the same user is still in the match
+    const stillHere = [...this.io.sockets.sockets.values()]
+      .some(s => s.id !== socket.id && this.getSessionUserId(s) === uid && s.rooms.has(code));
+    if (stillHere) return true;
+
+    // removePlayerFromLobby goes by socket.data.user, which must be the seat and not a claimed id
+    socket.data.user = { id: uid, name: seat.name, type: seat.type || "guest" };
+    seat.connected = false;
+    const lobbySeat = this.lobbies[code]?.players?.find(p => String(p.id) === String(uid));
+    if (lobbySeat) lobbySeat.connected = false;
+    this.io.to(code).emit("player-left", { id: uid });
+
+    game.rejoinTimers = game.rejoinTimers || {};
+    clearTimeout(game.rejoinTimers[uid]);
+    game.rejoinTimers[uid] = setTimeout(() => {
+      delete game.rejoinTimers[uid];
+      if (this.activeGames[code] !== game || seat.connected !== false) return;
+      console.log(`[LobbyManager] ${uid} did not rejoin ${code} in time, removing them from the match`);
+      this.removePlayerFromLobby(code, socket)
+        .catch(e => console.warn("[LobbyManager] removePlayerFromLobby after rejoin window failed:", e));
+    }, REJOIN_WINDOW_MS);
+    console.log(`[LobbyManager] ${uid} disconnected from match ${code}, holding their seat for ${REJOIN_WINDOW_MS / 1000}s`);
+    return true;
+  }
+
+  // Put a reconnected socket back into any match that is holding its session user's seat
+  _resumeHeldSeats(socket) {
+    const uid = this.getSessionUserId(socket);
+    if (!uid) return;
+    for (const [code, game] of Object.entries(this.activeGames)) {
+      const seat = game.players.find(p => String(p.id) === String(uid));
+      if (!seat || seat.left || seat.connected !== false) continue;
+
+      clearTimeout(game.rejoinTimers?.[uid]);
+      if (game.rejoinTimers) delete game.rejoinTimers[uid];
+      seat.connected = true;
+      const lobbySeat = this.lobbies[code]?.players?.find(p => String(p.id) === String(uid));
+      if (lobbySeat) lobbySeat.connected = true;
+      // Seats resume from the session alone, before the client has sent auth-user
+      if (String(socket.data.user?.id) !== String(uid)) {
+        socket.data.user = { id: String(uid), name: seat.name, type: seat.type || "guest" };
+      }
+      socket.join(code);
+      console.log(`[LobbyManager] ${uid} rejoined match ${code}`);
+      this.io.to(code).emit("player-rejoined", { id: uid });
+      this.emitGameState(code);
+    }
+  }
+
+  _clearRejoinTimers(game) {
+    Object.values(game.rejoinTimers || {}).forEach(timer => clearTimeout(timer));
+    game.rejoinTimers = {};
+  }
+
+  // The match can't go on once at most one player is left or every player of one side has left
+  _isForfeited(game) {
+    const present = game.players.filter(p => !p.left);
+    if (present.length <= 1 || !game.match) return present.length <= 1;
+    const roles = new Set(game.players.map((p, i) => (p.left ? null : game.match.players[i]?.role)).filter(Boolean));
+    return roles.size < 2;
+  }
+
+  // Fresh lobby code (retries on collision)
+  _generateLobbyCode() {
+    for (let i = 0; i < 6; i++) {
+      const code = Math.random().toString(36).slice(2, 7).toUpperCase();
+      if (!this.lobbies[code]) return code;
+    }
+    return ("L" + Date.now()).slice(-6).toUpperCase();
+  }
+
+  /**
+   * Open a ranked lobby for a queue pairing with the standard config. The first socket hosts and
+   * sits on the blue team, which defends since ranked lobbies never switch sides.
+   * @param {Array<{socket: Object, userId: string, name: string}>} seats - The two queued players, defender first;
+   *   userId is the session user the queue entry was made for
+   * @returns {Promise<string>} Lobby code
+   */
+  async createRankedLobby(seats) {
+    const code = this._generateLobbyCode();
+    const host = seats[0];
+    const lobby = {
+      code,
+      hostSocketId: host.socket.id,
+      hostUserId: host.userId,
+      players: seats.map((seat, i) => ({
+        id: seat.userId,
+        name: seat.name || `Guest${String(seat.userId).substring(0, 6)}`,
+        team: MATCH_TEAMS[i % 2],
+        // Paired players don't ready up; the match starts once both are in the lobby (see request-lobby-data)
+        ready: true,
+        left: false,
+        connected: true
+      })),
+      config: normalizeLobbyConfig(DEFAULT_LOBBY_CONFIG),
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      updated_user: {
+        id: host.userId,
+        name: host.name,
+        timestamp: Date.now()
+      }
+    };
+
+    this.lobbies[code] = lobby;
+    this.rankedLobbies.add(code);
+    try { await this.save(); } catch (e) { console.warn("[LobbyManager] failed to persist ranked lobby:", e); }
+
+    seats.forEach(seat => seat.socket.join(code));
+    this.broadcastLobbyUpdate(code);
+    console.log(`[LobbyManager] Ranked lobby ${code} opened for ${lobby.players.map(p => p.id).join(" vs ")}`);
+    return code;
+  }
+
+  // Pack id -> hash for every pack a running match depends on
+  _modsInUse() {
+    const inUse = new Map();
+    for (const game of Object.values(this.activeGames)) {
+      for (const mod of (game?.config?.mods || [])) inUse.set(mod.id, mod.hash);
+    }
+    return inUse;
+  }
+
   broadcastLobbyUpdate(code) {
     const lobby = this.lobbies[code];
     if (!lobby) return;
@@ -1203,27 +1327,256 @@ export default class LobbyManager {
       hostSocketId: lobby.hostsocketid || lobby.hostSocketId,
       hostUserId: lobby.hostuserid || lobby.hostUserId,
       config: lobby.config,
+      ranked: this.rankedLobbies.has(code),
       updated_user: lobby.updated_user || null,
       updated_at: lobby.updatedAt || lobby.updated_at
     });
   }
 
-  // Emit authoritative game-state (personalized per socket)
-  emitGameState(code) {
+  /**
+   * Start the match for a lobby whose seats are all filled and ready. The host's start-game and the ranked
+   * auto-start both end up here.
+   * @returns {Promise<{ok: boolean, reason?: string, id?: string}>} `reason` is sent as game-failed
+   */
+  async startMatch(code) {
+    const lobby = this.lobbies[code];
+    if (!lobby) return { ok: false, reason: "lobby_notfound" };
+
+    // ensure players are present
+    const activePlayers = (lobby.players || []).filter(p => !p.left);
+
+    const config = ensureLobbyConfig(lobby);
+    const allReady = activePlayers.length > 0 && activePlayers.every(p => p.ready);
+    if (!allReady || activePlayers.length < config.players) {
+      return { ok: false, reason: "players_not_ready" };
+    }
+    if (config.players > 2 && MATCH_TEAMS.some(team => countTeam(lobby, team) !== config.players / 2)) {
+      return { ok: false, reason: "teams_unbalanced" };
+    }
+    if (activePlayers.some(p => missingModsFor(config, p).length > 0)) {
+      return { ok: false, reason: "mods_mismatch" };
+    }
+    try {
+      await loadMatchDefinitions();
+    } catch (err) {
+      console.error('[LobbyManager] startMatch: failed to load unit definitions:', err);
+      return { ok: false, reason: "definitions_unavailable" };
+    }
+    const modCheck = ensureModPacks(config.mods, { inUse: this._modsInUse() });
+    if (!modCheck.ok) {
+      return { ok: false, reason: modCheck.reason, id: modCheck.id };
+    }
+
+    // create game state - assign avatars appropriately
+    // Guests: use playerIcon
+    // Discord/Google: fetch avatar from user profile
+    const matchPlayers = activePlayers.slice(0, config.players);
+    let gamePlayersWithAvatars = [];
+    // Loadouts come from each player's server-side inventory, never from the client
+    const matchLoadouts = [];
+    const ranked = this.rankedLobbies.has(code);
+    // Ranked matches snapshot ratings at the start, so the result can be scored the moment it ends
+    const startRatings = [];
+    for (const p of matchPlayers) {
+      let avatar = null;
+      let playerIcon = null;
+      let userType = 'guest';
+      let loadouts = null;
+      
+      try {
+        const user = await loadUser(p.id);
+        userType = user?.type || 'guest';
+        loadouts = InventoryManager.getMatchLoadouts(user);
+        if (ranked) {
+          const rating = RatingManager.ensureRating(user);
+          startRatings.push(rating ? RatingManager.toPublic(rating) : null);
+        }
+        
+        // OAuth users (Discord/Google): fetch avatar from DB
+        if (userType === 'discord' || userType === 'google') {
+          avatar = user?.avatar || null;
+        }
+        // Guest users: use playerIcon
+        else if (userType === 'guest') {
+          playerIcon = user?.playerIcon || null;
+        }
+      } catch (err) {
+        console.warn(`[LobbyManager] Failed to load user data for player ${p.id}:`, err.message);
+      }
+      matchLoadouts.push(loadouts);
+      
+      gamePlayersWithAvatars.push({
+        id: p.id,
+        name: p.name,
+        type: userType,
+        avatar: avatar,          // OAuth users (Discord/Google)
+        playerIcon: playerIcon,  // Guest users
+        team: p.team || null,
+        score: 0,
+        left: false,
+        connected: true
+      });
+    }
+
+    // The server owns the match; clients only render what it resolves
+    const match = new MatchSimulation({
+      config,
+      players: matchPlayers.map((p, i) => ({ id: p.id, name: p.name, team: p.team || null, loadouts: matchLoadouts[i] })),
+      matchId: `${code}-${Date.now().toString(36)}`
+    });
+    console.log(`[LobbyManager] Match ${match._matchId} started for lobby ${code}`);
+
+    const game = {
+      code,
+      config,
+      players: gamePlayersWithAvatars,
+      match,
+      seq: 0,
+      currentIndex: match.currentPlayer,
+      turnTimer: null,
+      turnExpiresAt: null,
+      timeLimitSeconds: config.turnTimeSeconds || 30,
+      ranked: ranked && startRatings.length === matchPlayers.length && startRatings.every(Boolean),
+      startRatings,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.activeGames[code] = game;
+
+    // notify clients (invite to transition)
+    this.io.to(code).emit("game-starting", { code, config, players: matchPlayers });
+    this.emitGameState(code);
+
+    // small delays to allow clients to transition and register handlers
+    setTimeout(() => this.emitGameState(code), 80);
+    setTimeout(() => this.startTurn(code), 180);
+    return { ok: true };
+  }
+
+  // Resolve the active game and the socket's player; `reason` is set when they may not act right now
+  _getActingPlayer(socket, codeRaw) {
+    if (!codeRaw || typeof codeRaw !== "string") return null;
+    const code = codeRaw.trim().toUpperCase();
+    const game = this.activeGames[code];
+    if (!game || !game.match) return null;
+
+    // Seats are bound to the session user, so claiming their id in auth-user doesn't let anyone play for them
+    const uid = this.getSessionUserId(socket);
+    const playerIndex = uid ? game.players.findIndex(p => String(p.id) === String(uid)) : -1;
+    const player = game.players[playerIndex];
+    if (!player || player.left) return null;
+
+    const reason = playerIndex !== game.match.currentPlayer ? "not_your_turn" : null;
+    return { code, game, playerIndex, reason };
+  }
+
+  _rejectAction(socket, code, type, reason, clientSeq = null) {
+    if (!socket) return;
+    socket.emit(MATCH_EVENTS.REJECTED, { v: MATCH_PROTOCOL_VERSION, code, type, reason, clientSeq });
+  }
+
+  // Validate a turn action against the lobby config, apply it to the match and broadcast the result
+  async handleMatchAction(socket, type, payload) {
+    const clientSeq = Number.isInteger(payload?.clientSeq) ? payload.clientSeq : null;
+    const ctx = this._getActingPlayer(socket, payload?.code);
+    if (!ctx) {
+      this._rejectAction(socket, payload?.code || null, type, "no_active_game", clientSeq);
+      return;
+    }
+    if (ctx.reason) {
+      this._rejectAction(socket, ctx.code, type, ctx.reason, clientSeq);
+      return;
+    }
+
+    const check = validateMatchAction(type, payload, ctx.game.config);
+    if (!check.ok) {
+      this._rejectAction(socket, ctx.code, type, check.reason, clientSeq);
+      return;
+    }
+
+    const { game, playerIndex } = ctx;
+    const action = check.action;
+    let result;
+    switch (type) {
+      case MATCH_ACTIONS.ROLL:
+        result = game.match.roll(playerIndex);
+        break;
+      case MATCH_ACTIONS.REROLL_PROTO:
+        result = game.match.rerollProto(playerIndex, action.indices);
+        break;
+      case MATCH_ACTIONS.PLACE:
+        result = game.match.place(playerIndex, action.holderId, action.row, action.col);
+        break;
+      case MATCH_ACTIONS.RECALL:
+        result = game.match.recall(playerIndex, action.row, action.col);
+        break;
+      case MATCH_ACTIONS.END_TURN:
+        await this.advanceTurn(ctx.code, { socket, clientSeq });
+        return;
+      default:
+        result = { ok: false, reason: "unknown_action" };
+    }
+
+    if (!result || !result.ok) {
+      this._rejectAction(socket, ctx.code, type, result?.reason || "invalid", clientSeq);
+      return;
+    }
+    this._broadcastAction(ctx.code, type, playerIndex, action, result, { clientSeq });
+  }
+
+  // Every accepted action gets the next sequence number so clients can detect gaps and resync
+  _broadcastAction(code, type, playerIndex, action, result, { clientSeq = null, auto = false } = {}) {
     const game = this.activeGames[code];
     if (!game) return;
+    game.seq = (game.seq || 0) + 1;
+    game.updatedAt = Date.now();
+    this._syncScores(game);
+    this.io.to(code).emit(MATCH_EVENTS.ACCEPTED, {
+      v: MATCH_PROTOCOL_VERSION,
+      seq: game.seq,
+      code,
+      type,
+      playerIndex,
+      action,
+      auto,
+      clientSeq,
+      result,
+      state: game.match.snapshot(),
+      log: game.match.drainHistory()
+    });
+  }
+
+  _syncScores(game) {
+    if (!game || !game.match) return;
+    game.players.forEach((p, i) => { p.score = game.match.scores[i] || 0; });
+  }
 
-    const statePayloadBase = {
-      players: game.players.map(p => ({ id: p.id, name: p.name, type: p.type, avatar: p.avatar, playerIcon: p.playerIcon, score: p.score, connected: true })),
+  _buildGameStatePayload(code) {
+    const game = this.activeGames[code];
+    if (!game) return null;
+    this._syncScores(game);
+    return {
+      players: game.players.map(p => ({ id: p.id, name: p.name, type: p.type, avatar: p.avatar, playerIcon: p.playerIcon, score: p.score, connected: p.connected !== false })),
       scores: game.players.map(p => p.score),
-      comboStats: game.players.map(p => p.comboStats),
-      round: game.round,
-      totalRounds: game.totalRounds,
       room: code,
-      currentPlayerIndex: game.currentIndex,
+      currentPlayerIndex: game.match.currentPlayer,
+      currentWave: game.match.currentWave,
+      totalWaves: game.match.waves,
       timeLimitSeconds: game.timeLimitSeconds,
-      config: game.config // Include game config so client can display rounds, players, etc.
+      turnExpiresAt: game.turnExpiresAt || null,
+      config: game.config, // Include game config so client can display waves, board size, etc.
+      protocolVersion: MATCH_PROTOCOL_VERSION,
+      seq: game.seq || 0,
+      state: game.match.snapshot()
     };
+  }
+
+  // Emit authoritative game-state (personalized per socket)
+  emitGameState(code) {
+    const statePayloadBase = this._buildGameStatePayload(code);
+    if (!statePayloadBase) return;
+    const game = this.activeGames[code];
 
     try {
       const roomSet = this.io.sockets.adapter.rooms.get(code);
@@ -1247,13 +1600,18 @@ export default class LobbyManager {
   // Start a server-authoritative turn
   startTurn(code) {
     const game = this.activeGames[code];
-    if (!game) return;
+    if (!game || !game.match || game.match.finished) return;
 
-    const playerIndex = game.currentIndex;
+    const playerIndex = game.match.currentPlayer;
+    game.currentIndex = playerIndex;
     const player = game.players[playerIndex];
     if (!player) return;
 
-    player.hasRolled = false;
+    // A player who left forfeits their turns; the opponent keeps playing until the game is closed
+    if (player.left) {
+      setTimeout(() => this.handleTimeout(code), 500);
+      return;
+    }
 
     const timeLimitSeconds = typeof game.timeLimitSeconds === 'number' ? game.timeLimitSeconds : 30;
     game.turnExpiresAt = Date.now() + (timeLimitSeconds * 1000);
@@ -1261,10 +1619,9 @@ export default class LobbyManager {
     this.io.to(code).emit("turn-start", {
       playerIndex,
       currentPlayerIndex: playerIndex,
-      round: game.round,
+      currentWave: game.match.currentWave,
       timeLimitSeconds,
       scores: game.players.map(p => p.score),
-      comboStats: game.players.map(p => p.comboStats),
       turnExpiresAt: game.turnExpiresAt
     });
 
@@ -1276,155 +1633,94 @@ export default class LobbyManager {
     game.turnTimer = setTimeout(() => this.handleTimeout(code), timeLimitSeconds * 1000);
   }
 
-  // Utility: roll N dice
-  rollDice(count = 5) {
-    return Array.from({ length: count }, () => Math.ceil(Math.random() * 6));
-  }
-
-  calculateScore(dice = [], combosEnabled) {
-    const base = Array.isArray(dice) && dice.length ? dice.reduce((a, b) => a + b, 0) : 0;
-    const combo = checkCombo(dice);
-
-    const points = (combo && combosEnabled)
-      ? Math.floor(base * (combo.multiplier || 1))
-      : base;
-
-    return { points, combo };
-  }
+  // Turn timer expired: the server finishes the turn on the player's behalf
+  handleTimeout(code) {
+    const game = this.activeGames[code];
+    if (!game || !game.match) return;
 
-  applyBonus(dice, baseScore, combosEnabled) {
-    if (!combosEnabled) return baseScore;
-    const combo = checkCombo(dice);
-    if (!combo) return baseScore;
-    return Math.floor(baseScore * (combo.multiplier || 1));
+    const playerIndex = game.match.currentPlayer;
+    this.io.to(code).emit("player-timeout", { playerIndex, currentWave: game.match.currentWave });
+    this.advanceTurn(code, { force: true });
   }
 
-  handleTimeout(code) {
+  // End the current player's turn; resolves the wave once both sides have played
+  async advanceTurn(code, { force = false, socket = null, clientSeq = null } = {}) {
     const game = this.activeGames[code];
-    if (!game) return;
+    if (!game || !game.match) return;
 
-    const playerIndex = game.currentIndex;
-    const player = game.players[playerIndex];
-    if (!player) return;
+    if (game.turnTimer) { clearTimeout(game.turnTimer); game.turnTimer = null; }
 
-    const dice = this.rollDice(5);
-    const { points, combo } = this.calculateScore(dice, game.combosEnabled);
+    const playerIndex = game.match.currentPlayer;
+    let result;
+    try {
+      result = await game.match.endTurn(playerIndex, { force });
+    } catch (err) {
+      console.error(`[LobbyManager] endTurn failed for game ${code}:`, err);
+      result = { ok: false, reason: "server_error" };
+    }
 
-    player.score += points;
-    if (combo && combo.key) player.comboStats[combo.key] = (player.comboStats[combo.key] || 0) + 1;
+    if (!result.ok) {
+      this._rejectAction(socket, code, MATCH_ACTIONS.END_TURN, result.reason, clientSeq);
+      // Keep the turn alive with whatever time is left
+      const remaining = Math.max(1000, (game.turnExpiresAt || 0) - Date.now());
+      game.turnTimer = setTimeout(() => this.handleTimeout(code), remaining);
+      return;
+    }
 
-    game.turnExpiresAt = Date.now() + 3000;
+    this._broadcastAction(code, MATCH_ACTIONS.END_TURN, playerIndex, {}, result, { clientSeq, auto: force });
 
-    this.io.to(code).emit("player-timeout", {
-      playerIndex,
-      dice,
-      scored: points,
-      combo: combo || null,
-      scores: game.players.map(p => p.score),
-      comboStats: game.players.map(p => p.comboStats),
-      round: game.round,
-      turnExpiresAt: game.turnExpiresAt
-    });
+    if (game.match.finished) {
+      await this.finishGame(code);
+      return;
+    }
 
-    setTimeout(() => this.advanceTurn(code), 3000);
+    this.startTurn(code);
   }
 
-  async advanceTurn(code) {
+  // Wrap up a completed match: stats, final broadcast and delayed lobby cleanup
+  async finishGame(code) {
     const game = this.activeGames[code];
     if (!game) return;
 
     if (game.turnTimer) { clearTimeout(game.turnTimer); game.turnTimer = null; }
+    this._clearRejoinTimers(game);
+    game.finished = true;
+    this._syncScores(game);
 
-    // move to the next non-left player
-    const playerCount = game.players.length;
-    if (playerCount === 0) return;
+    const winnerIndices = game.match?.result ? game.match.result.winnerIndices : null;
+    this._updateGameStats(game, winnerIndices).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
+    this._grantMatchRewards(game);
+    this._scoreRankedMatch(game, winnerIndices);
 
-    const previousIndex = game.currentIndex;
-    let nextIdx = (game.currentIndex + 1) % playerCount;
-    let attempts = 0;
-    while (attempts < playerCount && game.players[nextIdx].left) {
-      nextIdx = (nextIdx + 1) % playerCount;
-      attempts++;
-    }
+    this.io.to(code).emit("game-finished", this._buildFinishedPayload(code, game));
+    delete this.activeGames[code];
 
-    // if nobody active found -> finish game
-    const activeCount = game.players.filter(p => !p.left).length;
-    if (activeCount <= 1) {
-      // ✅ NEW: Update leaderboard stats (online games only)
-      this._updateGameStats(game.players).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
-      
-      this.io.to(code).emit("game-finished", {
-        code,
-        scores: game.players.map(p => p.score),
-        comboStats: game.players.map(p => p.comboStats),
-        names: game.players.map(p => p.name),
-        players: game.players
-      });
-      delete this.activeGames[code];
-      
-      // ✅ FIX: Also clean up the corresponding lobby when game ends
-      if (this.lobbies[code]) {
-        console.log(`[LobbyManager] Deleting lobby ${code} after game finished with insufficient players`);
-        delete this.lobbies[code];
-        try { 
-          await this.save(); 
-          console.log(`[LobbyManager] ✅ Saved lobby deletion for ${code}`);
-        } catch (e) { 
-          console.warn("[LobbyManager] save after deleting lobby failed:", e); 
-        }
-        try { 
-          await deleteSupabaseLobby(code); 
-          console.log(`[LobbyManager] ✅ Deleted ${code} from Supabase`);
-        } catch (e) { 
-          console.warn("[LobbyManager] deleteSupabaseLobby failed:", e); 
-        }
-      }
-      return;
-    }
-
-    // ✅ FIX: Increment round when we wrap back to player 0 (new round)
-    if (nextIdx < previousIndex || nextIdx === 0) {
-      game.round += 1;
-      
-      // Check if we've completed all rounds
-      if (game.round > game.totalRounds) {
-        // ✅ NEW: Update leaderboard stats (online games only)
-        this._updateGameStats(game.players).catch(err => console.warn('[LobbyManager] Leaderboard update failed:', err));
-        
-        this.io.to(code).emit("game-finished", {
-          code,
-          scores: game.players.map(p => p.score),
-          comboStats: game.players.map(p => p.comboStats),
-          names: game.players.map(p => p.name),
-          players: game.players
-        });
-        delete this.activeGames[code];
-        
-        // ✅ FIX: Delay lobby deletion to allow client to show PostGameScene first
-        // Lobby will be cleaned up after ~8 seconds to prevent race conditions
+    // ✅ FIX: Delay lobby deletion to allow client to show PostGameScene first
+    // Lobby will be cleaned up after ~8 seconds to prevent race conditions
+    if (this.lobbies[code]) {
+      setTimeout(() => {
         if (this.lobbies[code]) {
-          const gameCode = code;
-          setTimeout(() => {
-            if (this.lobbies[gameCode]) {
-              console.log(`[LobbyManager] Cleaning up lobby ${gameCode} (post-game cleanup)`);
-              delete this.lobbies[gameCode];
-              try { 
-                this.save().catch(e => console.warn("[LobbyManager] save after delayed lobby deletion failed:", e));
-              } catch (e) { /* ignore */ }
-              try { 
-                deleteSupabaseLobby(gameCode).catch(e => console.warn("[LobbyManager] deleteSupabaseLobby delayed failed:", e));
-              } catch (e) { /* ignore */ }
-            }
-          }, 8000);
+          console.log(`[LobbyManager] Cleaning up lobby ${code} (post-game cleanup)`);
+          delete this.lobbies[code];
+          this.save().catch(e => console.warn("[LobbyManager] save after delayed lobby deletion failed:", e));
+          deleteSupabaseLobby(code).catch(e => console.warn("[LobbyManager] deleteSupabaseLobby delayed failed:", e));
         }
-        return;
-      }
+      }, 8000);
     }
+  }
 
-    game.currentIndex = nextIdx;
-    if (game.currentIndex >= game.players.length) game.currentIndex = 0;
-
-    this.startTurn(code);
+  _buildFinishedPayload(code, game) {
+    return {
+      code,
+      scores: game.players.map(p => p.score),
+      names: game.players.map(p => p.name),
+      players: game.players,
+      result: game.match?.result || null,
+      rewards: game.rewards || game.players.map(() => 0),
+      ranked: !!game.ranked,
+      ratingChanges: game.ratingChanges || null,
+      state: game.match ? game.match.snapshot() : null
+    };
   }
 
   // Clean up poll interval if manager is disposed
@@ -0,0 +1,216 @@
+import RatingManager from "./utils/ratingManager.js";
+import { loadUser } from "./utils/userStorage.js";
+import { QUEUE_SIDES } from "../client/utils/MatchProtocol.js";
+
+// How often the queue looks for pairings and refreshes everyone's status
+const QUEUE_TICK_MS = 2000;
+
+// Allowed rating gap: starts narrow and widens the longer a player waits
+const RATING_WINDOW_BASE = 100;
+const RATING_WINDOW_PER_SECOND = 10;
+const RATING_WINDOW_MAX = 800;
+
+// Recent queue waits kept for the ETA estimate
+const WAIT_HISTORY_SIZE = 20;
+
+function sidesCompatible(a, b) {
+  return a === "either" || b === "either" || a !== b;
+}
+
+/**
+ * Ranked matchmaking queue. Players queue for a side (defence, monster or either), are paired by
+ * Elo rating and dropped into a lobby that LobbyManager opens with the standard config.
+ *
+ * Client -> server: `queue-join` { side }, `queue-leave`, `get-rating`
+ * Server -> client: `queue-status`, `queue-matched` { code, role, opponent }, `queue-failed` { reason },
+ *                   `rating-data` { rating }
+ */
+export default class Matchmaker {
+  constructor(io, lobbyManager) {
+    this.io = io;
+    this.lobbyManager = lobbyManager;
+    // userId -> { socketId, userId, name, side, elo, joinedAt }
+    this.queue = new Map();
+    this.recentWaits = [];
+    this._ticking = false;
+    this._tickHandle = setInterval(() => this.tick(), QUEUE_TICK_MS);
+  }
+
+  registerSocket(socket) {
+    // ---------- QUEUE JOIN ----------
+    socket.on("queue-join", async ({ side } = {}) => {
+      try {
+        // Ratings follow the logged-in session, never the id a client claims in auth-user
+        const uid = this.lobbyManager.getSessionUserId(socket);
+        if (!uid) return socket.emit("queue-failed", { reason: "unauthenticated" });
+        if (!QUEUE_SIDES.includes(side)) return socket.emit("queue-failed", { reason: "invalid_side" });
+
+        const inGame = Object.values(this.lobbyManager.activeGames)
+          .some(game => game.players.some(p => !p.left && String(p.id) === String(uid)));
+        if (inGame) return socket.emit("queue-failed", { reason: "in_game" });
+
+        const user = await loadUser(uid);
+        if (!user) return socket.emit("queue-failed", { reason: "unknown_user" });
+        const rating = RatingManager.toPublic(RatingManager.ensureRating(user));
+        // The ranked lobby seats this socket as the session user
+        socket.data.user = { id: uid, name: user.name || `Guest${uid.substring(0, 6)}`, type: user.type || "guest" };
+
+        // Re-queueing (e.g. from a second tab) keeps the original place in line
+        const existing = this.queue.get(String(uid));
+        this.queue.set(String(uid), {
+          socketId: socket.id,
+          userId: uid,
+          name: socket.data.user.name,
+          side,
+          elo: rating.elo,
+          joinedAt: existing ? existing.joinedAt : Date.now()
+        });
+        console.log(`[Matchmaker] ${uid} queued for ${side} at ${rating.elo} (${this.queue.size} in queue)`);
+        this.emitStatus(String(uid));
+        this.tick();
+      } catch (err) {
+        console.error("[Matchmaker] Error in queue-join:", err);
+        socket.emit("queue-failed", { reason: "server_error" });
+      }
+    });
+
+    // ---------- GET RATING ----------
+    socket.on("get-rating", async () => {
+      const uid = this.lobbyManager.getSessionUserId(socket);
+      if (!uid) return;
+      try {
+        const rating = await RatingManager.getRating(uid);
+        if (rating) socket.emit("rating-data", { rating });
+      } catch (err) {
+        console.warn("[Matchmaker] get-rating failed:", err.message || err);
+      }
+    });
+
+    // ---------- QUEUE LEAVE ----------
+    socket.on("queue-leave", () => {
+      this.leave(socket);
+      socket.emit("queue-status", { state: "idle" });
+    });
+
+    // ---------- DISCONNECT ----------
+    socket.on("disconnect", () => this.leave(socket));
+  }
+
+  // Drop the socket's user from the queue, unless they queued again from another socket
+  leave(socket) {
+    const uid = this.lobbyManager.getSessionUserId(socket);
+    if (!uid) return;
+    const entry = this.queue.get(String(uid));
+    if (entry && entry.socketId === socket.id) this.queue.delete(String(uid));
+  }
+
+  /**
+   * Pair up compatible players, oldest first, each with the closest rating their windows allow.
+   * Every player still waiting afterwards gets a fresh queue-status.
+   */
+  async tick() {
+    if (this._ticking) return;
+    this._ticking = true;
+    try {
+      const now = Date.now();
+      const waiting = [...this.queue.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+      const paired = new Set();
+      const pairs = [];
+      for (const a of waiting) {
+        if (paired.has(a)) continue;
+        let best = null;
+        for (const b of waiting) {
+          if (b === a || paired.has(b) || !sidesCompatible(a.side, b.side)) continue;
+          const gap = Math.abs(a.elo - b.elo);
+          if (gap > Math.min(this._ratingWindow(a, now), this._ratingWindow(b, now))) continue;
+          if (!best || gap < best.gap) best = { entry: b, gap };
+        }
+        if (!best) continue;
+        paired.add(a);
+        paired.add(best.entry);
+        pairs.push([a, best.entry]);
+      }
+
+      for (const [a, b] of pairs) {
+        await this._startMatch(a, b, now);
+      }
+      for (const key of this.queue.keys()) this.emitStatus(key);
+    } catch (err) {
+      console.error("[Matchmaker] Queue tick failed:", err);
+    } finally {
+      this._ticking = false;
+    }
+  }
+
+  emitStatus(key) {
+    const entry = this.queue.get(key);
+    if (!entry) return;
+    const now = Date.now();
+    this.io.to(entry.socketId).emit("queue-status", {
+      state: "searching",
+      side: entry.side,
+      elo: entry.elo,
+      queued: this.queue.size,
+      waitSeconds: Math.floor((now - entry.joinedAt) / 1000),
+      etaSeconds: this._estimateWait(entry, now)
+    });
+  }
+
+  dispose() {
+    if (this._tickHandle) {
+      clearInterval(this._tickHandle);
+      this._tickHandle = null;
+    }
+  }
+
+  // Seconds left until a typical match is found; null until the queue has paired anyone
+  _estimateWait(entry, now) {
+    if (this.recentWaits.length === 0) return null;
+    const average = this.recentWaits.reduce((sum, ms) => sum + ms, 0) / this.recentWaits.length;
+    return Math.max(0, Math.round((average - (now - entry.joinedAt)) / 1000));
+  }
+
+  _ratingWindow(entry, now) {
+    const waited = Math.max(0, (now - entry.joinedAt) / 1000);
+    return Math.min(RATING_WINDOW_MAX, RATING_WINDOW_BASE + waited * RATING_WINDOW_PER_SECOND);
+  }
+
+  // Open the ranked lobby for a pairing; if either socket is gone the other keeps its place in line
+  async _startMatch(a, b, now) {
+    // Either player may have left the queue while an earlier pairing was being opened
+    if (this.queue.get(String(a.userId)) !== a || this.queue.get(String(b.userId)) !== b) return;
+    const socketA = this.io.sockets.sockets.get(a.socketId);
+    const socketB = this.io.sockets.sockets.get(b.socketId);
+    if (!socketA) this.queue.delete(String(a.userId));
+    if (!socketB) this.queue.delete(String(b.userId));
+    if (!socketA || !socketB) return;
+
+    this.queue.delete(String(a.userId));
+    this.queue.delete(String(b.userId));
+    for (const entry of [a, b]) {
+      this.recentWaits.push(now - entry.joinedAt);
+      if (this.recentWaits.length > WAIT_HISTORY_SIZE) this.recentWaits.shift();
+    }
+
+    // The lobby host defends, so whoever asked for monsters (or whose opponent asked to defend) goes second
+    const aDefends = a.side === "defence" || b.side === "monster" || (a.side === "either" && b.side === "either");
+    const [defender, attacker] = aDefends ? [[a, socketA], [b, socketB]] : [[b, socketB], [a, socketA]];
+
+    let code;
+    try {
+      code = await this.lobbyManager.createRankedLobby([defender, attacker].map(([entry, socket]) => ({ socket, userId: entry.userId, name: entry.name })));
+    } catch (err) {
+      console.error("[Matchmaker] Failed to open ranked lobby:", err);
+      defender[1].emit("queue-failed", { reason: "server_error" });
+      attacker[1].emit("queue-failed", { reason: "server_error" });
+      return;
+    }
+
+    const notify = ([, socket], [opponent], role) => {
+      socket.emit("queue-matched", { code, role, opponent: { name: opponent.name, elo: opponent.elo } });
+    };
+    notify(defender, attacker, "defence");
+    notify(attacker, defender, "monster");
+    console.log(`[Matchmaker] Paired ${defender[0].userId} (${defender[0].elo}) vs ${attacker[0].userId} (${attacker[0].elo}) in ${code}`);
+  }
+}
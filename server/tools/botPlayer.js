@@ -0,0 +1,73 @@
+/**
+ * botPlayer - Bots shared by the headless batch tools
+ * `playBotTurn` rolls every die, rerolls every prototype and drops each holder on a random open cell
+ * in its zone; `playStrategyTurn` rolls the same way and lets an AI strategy (see AIRegistry) place.
+ * All choices come from `botRng`, so a run is reproducible for the same match and bot seeds.
+ */
+
+import { captureAIState } from "../../client/utils/ai/AIState.js";
+
+function rollAll(sim, playerIndex) {
+  sim.roll(playerIndex);
+  while (!sim.finished && sim.prototypeDiceIndices.length > 0) {
+    if (!sim.rerollProto(playerIndex).ok) break;
+  }
+}
+
+async function finishTurn(sim, playerIndex) {
+  const ended = await sim.endTurn(playerIndex);
+  if (!ended.ok) await sim.endTurn(playerIndex, { force: true });
+}
+
+/**
+ * Play one full turn for the current player and end it.
+ * @param {MatchSimulation} sim - Running match
+ * @param {SeededRandom} botRng - Stream for placement choices (kept apart from the match stream)
+ * @returns {Promise<void>}
+ */
+export async function playBotTurn(sim, botRng) {
+  const playerIndex = sim.currentPlayer;
+  rollAll(sim, playerIndex);
+
+  for (const holder of sim.holders.filter(h => h._owner === playerIndex)) {
+    const open = [];
+    for (let r = 0; r < sim.GRID_ROWS; r++) {
+      for (let c = 0; c < sim.GRID_COLS; c++) {
+        if (sim.isPlacementZone(playerIndex, r, c) && !sim.grid[r][c].unit) open.push([r, c]);
+      }
+    }
+    const cell = botRng.pick(open);
+    if (!cell) break;
+    sim.place(playerIndex, holder._netId, cell[0], cell[1]);
+  }
+
+  await finishTurn(sim, playerIndex);
+}
+
+/**
+ * Play one full turn with an AI strategy placing the holders, and end it.
+ * @param {MatchSimulation} sim - Running match
+ * @param {Object} strategy - Strategy from AIRegistry.create
+ * @param {SeededRandom} botRng - Passed to the strategy as its own stream
+ * @returns {Promise<void>}
+ */
+export async function playStrategyTurn(sim, strategy, botRng) {
+  const playerIndex = sim.currentPlayer;
+  rollAll(sim, playerIndex);
+
+  const state = captureAIState(sim, playerIndex);
+  const holderIds = sim.holders.filter(h => h._owner === playerIndex).map(h => h._netId);
+  const actions = await strategy.chooseActions(state, { random: botRng });
+  for (const action of actions) {
+    if (action.type === "recall") {
+      const recalled = sim.recall(playerIndex, action.row, action.col);
+      if (recalled.ok) holderIds.push(recalled.unitId);
+      continue;
+    }
+    // place() merges when the cell holds an identical unit of the same player
+    const holderId = holderIds[action.holder];
+    if (holderId) sim.place(playerIndex, holderId, action.row, action.col);
+  }
+
+  await finishTurn(sim, playerIndex);
+}
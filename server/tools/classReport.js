@@ -0,0 +1,250 @@
+/**
+ * classReport - Fills the TODO columns of client/config/class_performance_template.csv from bot matches
+ * Plays bot-vs-bot matches on MatchSimulation with random lineups and aggregates by unit `Class`.
+ * Both sides place with the AI strategy picked by --bot (AIRegistry difficulty, default medium), so the
+ * numbers reflect sensible placement rather than random cells:
+ *
+ *   EarlyGame/MidGame/LateGame - win rate of the side that placed the class during that third of the match
+ *   Notes                      - share of the faction's damage (from `_trackDamage`) and sample size
+ *   Synergies                  - classes most over-represented next to it in winning lineups
+ *   Counters                   - enemy classes most over-represented in lineups that beat it
+ *
+ *   npm run class-report -- --matches 400 --waves 20 --dice 1 --seed classes --bot hard [--out path.csv]
+ *
+ * Without --out the template is rewritten in place. Runs are reproducible for the same --seed.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MatchSimulation, loadMatchDefinitions } from "../utils/matchSimulation.js";
+import RandomManager from "../../client/utils/RandomManager.js";
+import DefenceFactory from "../../client/utils/factories/DefenceFactory.js";
+import MonsterFactory from "../../client/utils/factories/MonsterFactory.js";
+import AIRegistry from "../../client/utils/ai/AIRegistry.js";
+import "../../client/utils/ai/BuiltinStrategies.js";
+import { playStrategyTurn } from "./botPlayer.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATE_PATH = path.join(__dirname, "../../client/config/class_performance_template.csv");
+const MAX_TURNS_PER_MATCH = 1000;
+const LOADOUT_SIZE = 5;
+const BANDS = ["EarlyGame", "MidGame", "LateGame"];
+// Below this many samples a cell reads "n/a" instead of a noisy percentage
+const MIN_SAMPLES = 5;
+const TOP_RELATED = 2;
+
+// Remembers every placement, including units that later die and leave `units`
+class ReportSimulation extends MatchSimulation {
+  _placeUnitOnGrid(unit, row, col) {
+    const placed = super._placeUnitOnGrid(unit, row, col);
+    if (placed) {
+      // Set lazily: the base constructor can already place units before subclass fields exist
+      this.placements = this.placements || [];
+      this.placements.push({ type: unit.typeName, owner: unit._owner, wave: unit._placedWave });
+    }
+    return placed;
+  }
+}
+
+function parseArgs(argv) {
+  const args = { matches: 300, waves: 20, dice: 1, seed: "classes", bot: AIRegistry.DEFAULT, out: "" };
+  for (let i = 0; i < argv.length; i++) {
+    const key = String(argv[i] || "").replace(/^--/, "");
+    if (!(key in args)) continue;
+    const raw = argv[++i];
+    args[key] = typeof args[key] === "number" ? Math.max(1, parseInt(raw, 10) || args[key]) : String(raw ?? args[key]);
+  }
+  return args;
+}
+
+function classOf(typeName) {
+  const def = DefenceFactory.defenceData[typeName] || MonsterFactory.monsterData[typeName];
+  return def?.Class || null;
+}
+
+function factionOf(role) {
+  return role === "defence" ? "Defence" : "Monster";
+}
+
+function bandForWave(wave, waves) {
+  if (wave <= Math.round(waves / 3)) return BANDS[0];
+  if (wave <= Math.round((waves * 2) / 3)) return BANDS[1];
+  return BANDS[2];
+}
+
+function randomLoadouts(rng) {
+  const pick = (defs) => rng.shuffle(defs.map(d => d.TypeName)).slice(0, LOADOUT_SIZE);
+  return {
+    defenceNormal: pick(DefenceFactory.getNormals()),
+    defenceProto: pick(DefenceFactory.getProtos()),
+    monsterNormal: pick(MonsterFactory.getNormals()),
+    monsterProto: pick(MonsterFactory.getProtos())
+  };
+}
+
+function createStats() {
+  return {
+    lineups: 0,
+    wins: 0,
+    damage: 0,
+    bands: Object.fromEntries(BANDS.map(b => [b, { played: 0, won: 0 }])),
+    // Other class -> lineups containing both (all / winning)
+    allies: {},
+    allyWins: {},
+    // Enemy class -> lineups faced (all / lost to)
+    enemies: {},
+    enemyWins: {}
+  };
+}
+
+function bump(map, key, by = 1) {
+  map[key] = (map[key] || 0) + by;
+}
+
+/**
+ * Classes whose presence is most over-represented in the subset, relative to all lineups.
+ * @returns {string} Up to TOP_RELATED names joined with "/", "None", or "n/a" when the sample is too small
+ */
+function topLift(subset, all, subsetSize, allSize) {
+  if (subsetSize < MIN_SAMPLES || allSize <= 0) return "n/a";
+  const ranked = Object.keys(subset)
+    .filter(cls => (all[cls] || 0) >= MIN_SAMPLES)
+    .map(cls => [cls, (subset[cls] / subsetSize) / (all[cls] / allSize)])
+    .filter(([, lift]) => lift > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_RELATED)
+    .map(([cls]) => cls);
+  return ranked.length ? ranked.join("/") : "None";
+}
+
+function percent(num, den) {
+  return `${((num / den) * 100).toFixed(1)}%`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!AIRegistry.has(args.bot)) {
+    throw new Error(`Unknown bot "${args.bot}" (${AIRegistry.list().join(", ")})`);
+  }
+  await loadMatchDefinitions();
+
+  // stats[faction][class]
+  const stats = { Defence: {}, Monster: {} };
+  const factionDamage = { Defence: 0, Monster: 0 };
+  const statsFor = (faction, cls) => (stats[faction][cls] = stats[faction][cls] || createStats());
+
+  const started = Date.now();
+  let played = 0;
+  for (let m = 0; m < args.matches; m++) {
+    const seed = `${args.seed}-${m}`;
+    const botRng = RandomManager.createMatchRandom(`${seed}-bot`);
+    const loadouts = randomLoadouts(botRng);
+    const sim = new ReportSimulation({
+      config: { waves: args.waves, diceCount: args.dice },
+      players: [{ name: "Defence Bot", loadouts }, { name: "Monster Bot", loadouts }],
+      seed
+    });
+    const strategies = sim.players.map(() => AIRegistry.create(args.bot));
+
+    let turns = 0;
+    while (!sim.finished && turns++ < MAX_TURNS_PER_MATCH) {
+      await playStrategyTurn(sim, strategies[sim.currentPlayer], botRng);
+      sim.drainHistory();
+    }
+    if (!sim.result) {
+      console.warn(`[classReport] ${seed} did not finish within ${MAX_TURNS_PER_MATCH} turns`);
+      continue;
+    }
+    played++;
+
+    const defenceWon = !!sim.result.win;
+    const sides = sim.players.map((p, i) => {
+      const faction = factionOf(p.role);
+      const won = (p.role === "defence") === defenceWon;
+      const classes = [...new Set([...p.normalLoadout, ...p.protoLoadout].map(classOf).filter(Boolean))];
+      return { index: i, faction, won, classes };
+    });
+
+    for (const side of sides) {
+      const enemy = sides.find(s => s !== side);
+      for (const cls of side.classes) {
+        const s = statsFor(side.faction, cls);
+        s.lineups++;
+        if (side.won) s.wins++;
+        for (const other of side.classes) {
+          if (other === cls) continue;
+          bump(s.allies, other);
+          if (side.won) bump(s.allyWins, other);
+        }
+        for (const foe of enemy.classes) {
+          bump(s.enemies, foe);
+          if (!side.won) bump(s.enemyWins, foe);
+        }
+      }
+
+      const bandsSeen = new Set();
+      for (const p of (sim.placements || [])) {
+        if (p.owner !== side.index) continue;
+        const cls = classOf(p.type);
+        if (!cls) continue;
+        const band = bandForWave(p.wave, args.waves);
+        const key = `${cls}|${band}`;
+        if (bandsSeen.has(key)) continue;
+        bandsSeen.add(key);
+        const entry = statsFor(side.faction, cls).bands[band];
+        entry.played++;
+        if (side.won) entry.won++;
+      }
+    }
+
+    for (const entry of Object.values(sim._damageByUnit)) {
+      const side = sides[entry.owner];
+      const cls = classOf(entry.type);
+      if (!side || !cls) continue;
+      statsFor(side.faction, cls).damage += entry.damage;
+      factionDamage[side.faction] += entry.damage;
+    }
+  }
+
+  const template = await fs.readFile(TEMPLATE_PATH, "utf8");
+  const lines = template.split(/\r?\n/).filter(line => line.trim());
+  const headers = lines[0].split(",").map(h => h.trim());
+  const col = (name) => headers.indexOf(name);
+
+  const rows = lines.slice(1).map(line => {
+    const cells = line.split(",").map(c => c.trim());
+    const s = stats[cells[col("Faction")]]?.[cells[col("Class")]];
+    if (!s || s.lineups === 0) {
+      for (const name of ["Counters", "Synergies", ...BANDS]) cells[col(name)] = "n/a";
+      cells[col("Notes")] = "No units of this class";
+      return cells.join(",");
+    }
+
+    const losses = s.lineups - s.wins;
+    cells[col("Counters")] = topLift(s.enemyWins, s.enemies, losses, s.lineups);
+    cells[col("Synergies")] = topLift(s.allyWins, s.allies, s.wins, s.lineups);
+    for (const band of BANDS) {
+      const { played: n, won } = s.bands[band];
+      cells[col(band)] = n >= MIN_SAMPLES ? `${percent(won, n)} win (n=${n})` : "n/a";
+    }
+    const total = factionDamage[cells[col("Faction")]] || 0;
+    const share = total > 0 ? percent(s.damage, total) : "0.0%";
+    cells[col("Notes")] = `${share} of faction damage; ${percent(s.wins, s.lineups)} win over ${s.lineups} lineups`;
+    return cells.join(",");
+  });
+
+  const outPath = args.out ? path.resolve(args.out) : TEMPLATE_PATH;
+  await fs.writeFile(outPath, `${[lines[0], ...rows].join("\n")}\n`, "utf8");
+
+  const seconds = Math.max(0.001, (Date.now() - started) / 1000);
+  console.log(`Matches: ${played}/${args.matches}  Waves/match: ${args.waves}  Dice: ${args.dice}  Seed: ${args.seed}  Bot: ${args.bot}`);
+  console.log(`Wrote ${rows.length} classes to ${outPath} in ${seconds.toFixed(1)}s`);
+}
+
+main().catch(err => {
+  console.error("[classReport] failed:", err);
+  process.exit(1);
+});
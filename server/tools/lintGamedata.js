@@ -0,0 +1,247 @@
+/**
+ * lintGamedata - Validates every definition and sprite file under client/assets/gamedata
+ * Each file is checked against its JSON Schema in gamedata/Schemas (client/utils/SchemaValidator.js) and the factory's own validateData,
+ * then cross-referenced:
+ *
+ *   - every manifest entry exists and parses, and its TypeName matches the file name
+ *   - TypeNames are unique across defences and monsters
+ *   - DisplaySprite / ProjectileSprite / puddle Sprite files exist in the matching *Sprites folder
+ *   - SummonUnit.UnitType, CreatePuddle.PuddleType and TargetingFilter unit names exist
+ *   - tutorial levels only use existing boards, defences in the lineup and units on the board
+ *
+ *   npm run lint:data
+ *
+ * Test/dev-only files are linted too. Exits with code 1 when any error is found; warnings never fail the run.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import DefenceFactory from "../../client/utils/factories/DefenceFactory.js";
+import MonsterFactory from "../../client/utils/factories/MonsterFactory.js";
+import BoardFactory from "../../client/utils/factories/BoardFactory.js";
+import TutorialFactory from "../../client/utils/factories/TutorialFactory.js";
+import SpriteFactory from "../../client/utils/factories/SpriteFactory.js";
+import SchemaValidator, { SCHEMA_FILES } from "../../client/utils/SchemaValidator.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GAMEDATA_DIR = path.join(__dirname, "../../client/assets/gamedata");
+const SCHEMA_DIR = path.join(GAMEDATA_DIR, "Schemas");
+
+const DEFINITION_FOLDERS = [
+  { folder: "DefenceDefinitions", ext: ".defence", schema: "defence.schema.json", spriteFolder: "DefenceSprites", validate: data => DefenceFactory.validateData(data) },
+  { folder: "MonsterDefinitions", ext: ".monster", schema: "monster.schema.json", spriteFolder: "MonsterSprites", validate: data => MonsterFactory.validateData(data) },
+  { folder: "PuddleDefinitions", ext: ".puddle", schema: "puddle.schema.json", spriteFolder: "PuddleSprites" },
+  { folder: "BoardDefinitions", ext: ".board", schema: "board.schema.json", validate: data => BoardFactory.validateData(data) },
+  { folder: "StatusDefinitions", ext: ".status", schema: "status.schema.json" },
+  { folder: "TutorialLevels", ext: ".tutorial", schema: "tutorial.schema.json", validate: data => TutorialFactory.validateData(data) }
+];
+const SPRITE_FOLDERS = ["DefenceSprites", "MonsterSprites", "ProjectileSprites", "PuddleSprites"];
+
+// ---------- FILES ----------
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function readJson(file) {
+  // Sprite exports are saved with a UTF-8 BOM
+  const raw = (await fs.readFile(file, "utf8")).replace(/^\uFEFF/, "");
+  return JSON.parse(raw);
+}
+
+// ---------- CROSS-REFERENCES ----------
+
+function filterTypeNames(filter) {
+  const names = [];
+  for (const group of [filter?.Include, filter?.Exclude]) {
+    if (!group) continue;
+    names.push(...(group.MonsterType || []), ...(group.DefenceType || []));
+  }
+  return names;
+}
+
+// Every TargetingFilter reachable from a definition, with a readable location
+function collectFilters(data) {
+  const found = [];
+  const visitStatuses = (list, at) => (Array.isArray(list) ? list : []).forEach((s, i) => {
+    if (s?.TargetingFilter) found.push([`${at}[${i}].TargetingFilter`, s.TargetingFilter]);
+  });
+  if (data.TargetingFilter) found.push(["TargetingFilter", data.TargetingFilter]);
+  visitStatuses(data.StatusEffects, "StatusEffects");
+  (Array.isArray(data.SpecialEffects) ? data.SpecialEffects : []).forEach((e, i) => {
+    if (e?.TargetingFilter) found.push([`SpecialEffects[${i}].TargetingFilter`, e.TargetingFilter]);
+    visitStatuses(e?.DeathStatuses, `SpecialEffects[${i}].DeathStatuses`);
+    visitStatuses(e?.StatusEffects, `SpecialEffects[${i}].StatusEffects`);
+  });
+  return found;
+}
+
+function crossCheck(entry, ctx, report) {
+  const { data, folder, where } = entry;
+  const spriteExists = (spriteFolder, name) => ctx.sprites[spriteFolder]?.has(SpriteFactory._normalizeName(name));
+
+  const spriteFolder = DEFINITION_FOLDERS.find(f => f.folder === folder)?.spriteFolder;
+  const ownSprite = folder === "PuddleDefinitions" ? data.Sprite : data.DisplaySprite;
+  if (spriteFolder && typeof ownSprite === "string" && !spriteExists(spriteFolder, ownSprite)) {
+    report.error(where, `sprite "${ownSprite}" not found in ${spriteFolder}`);
+  }
+  if (typeof data.ProjectileSprite === "string" && !SpriteFactory._isNullLike(data.ProjectileSprite) &&
+      !spriteExists("ProjectileSprites", data.ProjectileSprite)) {
+    report.error(where, `ProjectileSprite "${data.ProjectileSprite}" not found in ProjectileSprites`);
+  }
+
+  (Array.isArray(data.SpecialEffects) ? data.SpecialEffects : []).forEach((effect, i) => {
+    if (effect?.Type === "SummonUnit" && effect.UnitType && !ctx.units.has(effect.UnitType)) {
+      report.error(where, `SpecialEffects[${i}] summons unknown unit "${effect.UnitType}"`);
+    }
+    if (effect?.Type === "CreatePuddle") {
+      const puddleType = effect.PuddleType || effect.Puddle;
+      if (!puddleType) report.warn(where, `SpecialEffects[${i}] CreatePuddle has no PuddleType`);
+      else if (!ctx.puddles.has(puddleType)) report.error(where, `SpecialEffects[${i}] creates unknown puddle "${puddleType}"`);
+    }
+  });
+
+  if (folder === "TutorialLevels") {
+    if (data.Board && !ctx.boards.has(data.Board)) report.error(where, `Board "${data.Board}" not found`);
+    for (const key of ["Normal", "Proto"]) {
+      (data.Lineup?.[key] || []).forEach((name, i) => {
+        if (!ctx.defences.has(name)) report.error(where, `Lineup.${key}[${i}] "${name}" is not a defence`);
+      });
+    }
+    for (const key of ["Units", "Spawns", "Steps"]) {
+      (data[key] || []).forEach((entry, i) => {
+        if (entry?.Unit && !ctx.units.has(entry.Unit)) report.error(where, `${key}[${i}] names unknown unit "${entry.Unit}"`);
+      });
+    }
+  }
+
+  for (const [at, filter] of collectFilters(data)) {
+    for (const name of filterTypeNames(filter)) {
+      if (!ctx.units.has(name)) report.error(where, `${at} names unknown unit "${name}"`);
+    }
+  }
+}
+
+// ---------- MAIN ----------
+
+function createReport() {
+  const lines = [];
+  const report = {
+    errors: 0,
+    warnings: 0,
+    error(where, message) {
+      report.errors++;
+      lines.push(`ERROR ${where}: ${message}`);
+    },
+    warn(where, message) {
+      report.warnings++;
+      lines.push(`WARN  ${where}: ${message}`);
+    },
+    print() {
+      for (const line of lines) console.log(line);
+    }
+  };
+  return report;
+}
+
+async function main() {
+  const schemas = new SchemaValidator();
+  for (const file of SCHEMA_FILES) schemas.addSchema(file, await readJson(path.join(SCHEMA_DIR, file)));
+  const report = createReport();
+  const ctx = { sprites: {}, units: new Set(), defences: new Set(), puddles: new Set(), boards: new Set() };
+  let fileCount = 0;
+
+  for (const folder of SPRITE_FOLDERS) {
+    ctx.sprites[folder] = new Set();
+    for (const file of (await fs.readdir(path.join(GAMEDATA_DIR, folder))).filter(f => f.endsWith(".json"))) {
+      const where = `${folder}/${file}`;
+      fileCount++;
+      try {
+        const data = await readJson(path.join(GAMEDATA_DIR, folder, file));
+        for (const msg of schemas.validate("sprite.schema.json", data)) report.error(where, msg);
+        SpriteFactory.validateSpriteData(data);
+        ctx.sprites[folder].add(file.replace(/\.json$/i, ""));
+      } catch (err) {
+        report.error(where, err.message);
+      }
+    }
+  }
+
+  const entries = [];
+  const typeOwners = {};
+  for (const def of DEFINITION_FOLDERS) {
+    const dir = path.join(GAMEDATA_DIR, def.folder);
+    let manifest;
+    try {
+      manifest = await readJson(path.join(dir, "manifest.json"));
+    } catch (err) {
+      report.error(`${def.folder}/manifest.json`, err.message);
+      continue;
+    }
+    const listed = Array.isArray(manifest.files) ? manifest.files : [];
+
+    const onDisk = (await fs.readdir(dir)).filter(f => f.endsWith(def.ext));
+    for (const file of onDisk) {
+      if (!listed.includes(file)) report.warn(`${def.folder}/${file}`, "not listed in manifest.json");
+    }
+
+    for (const file of listed) {
+      const where = `${def.folder}/${file}`;
+      fileCount++;
+      if (!(await exists(path.join(dir, file)))) {
+        report.error(where, "listed in manifest.json but missing");
+        continue;
+      }
+      let data;
+      try {
+        data = await readJson(path.join(dir, file));
+      } catch (err) {
+        report.error(where, `invalid JSON: ${err.message}`);
+        continue;
+      }
+
+      const schemaErrors = schemas.validate(def.schema, data);
+      for (const msg of schemaErrors) report.error(where, msg);
+      if (schemaErrors.length === 0 && typeof def.validate === "function") {
+        try {
+          def.validate(data);
+        } catch (err) {
+          report.error(where, err.message);
+        }
+      }
+
+      const typeName = data?.TypeName;
+      if (typeof typeName !== "string") continue;
+      if (path.basename(file, def.ext) !== typeName) report.warn(where, `TypeName "${typeName}" does not match the file name`);
+      const isUnit = def.folder === "DefenceDefinitions" || def.folder === "MonsterDefinitions";
+      const owner = typeOwners[`${isUnit ? "unit" : def.folder}:${typeName}`];
+      if (owner) report.error(where, `TypeName "${typeName}" is already used by ${owner}`);
+      typeOwners[`${isUnit ? "unit" : def.folder}:${typeName}`] = where;
+
+      if (isUnit) ctx.units.add(typeName);
+      if (def.folder === "DefenceDefinitions") ctx.defences.add(typeName);
+      if (def.folder === "BoardDefinitions") ctx.boards.add(typeName);
+      if (def.folder === "PuddleDefinitions") ctx.puddles.add(typeName);
+      entries.push({ data, folder: def.folder, where });
+    }
+  }
+
+  for (const entry of entries) crossCheck(entry, ctx, report);
+
+  report.print();
+  console.log(`Checked ${fileCount} files: ${report.errors} error(s), ${report.warnings} warning(s)`);
+  if (report.errors > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error("[lintGamedata] failed:", err);
+  process.exit(1);
+});
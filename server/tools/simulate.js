@@ -0,0 +1,87 @@
+/**
+ * simulate - Headless batch runner for balance checks
+ * Plays bot-vs-bot matches on MatchSimulation (no rendering, no waits) and prints a summary.
+ *
+ *   npm run simulate -- --matches 200 --waves 20 --dice 2 --seed balance
+ *   npm run simulate -- --matches 20 --defence expert --monster hard
+ *
+ * Both bots use the default lineups and roll every die and every prototype. By default they drop
+ * each holder on a random open cell in their zone; --defence and --monster pick an AI difficulty
+ * for that side instead. Runs are reproducible for the same --seed.
+ */
+
+import { MatchSimulation, loadMatchDefinitions } from "../utils/matchSimulation.js";
+import RandomManager from "../../client/utils/RandomManager.js";
+import AIRegistry from "../../client/utils/ai/AIRegistry.js";
+import "../../client/utils/ai/BuiltinStrategies.js";
+import { playBotTurn, playStrategyTurn } from "./botPlayer.js";
+
+const MAX_TURNS_PER_MATCH = 1000;
+
+function parseArgs(argv) {
+  const args = { matches: 100, waves: 20, dice: 1, seed: "sim", defence: "random", monster: "random" };
+  for (let i = 0; i < argv.length; i++) {
+    const key = String(argv[i] || "").replace(/^--/, "");
+    if (!(key in args)) continue;
+    const raw = argv[++i];
+    args[key] = typeof args[key] === "number" ? Math.max(1, parseInt(raw, 10) || args[key]) : String(raw ?? args[key]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  for (const side of ["defence", "monster"]) {
+    if (args[side] !== "random" && !AIRegistry.has(args[side])) {
+      throw new Error(`Unknown ${side} bot "${args[side]}" (random or ${AIRegistry.list().join(", ")})`);
+    }
+  }
+  await loadMatchDefinitions();
+
+  const started = Date.now();
+  let defenceWins = 0;
+  let totalWaves = 0;
+  const mvpCounts = {};
+
+  for (let m = 0; m < args.matches; m++) {
+    const seed = `${args.seed}-${m}`;
+    const sim = new MatchSimulation({
+      config: { waves: args.waves, diceCount: args.dice },
+      players: [{ name: "Defence Bot" }, { name: "Monster Bot" }],
+      seed
+    });
+    const botRng = RandomManager.createMatchRandom(`${seed}-bot`);
+    const strategies = sim.players.map(p => (args[p.role] === "random" ? null : AIRegistry.create(args[p.role])));
+
+    let turns = 0;
+    while (!sim.finished && turns++ < MAX_TURNS_PER_MATCH) {
+      const strategy = strategies[sim.currentPlayer];
+      if (strategy) await playStrategyTurn(sim, strategy, botRng);
+      else await playBotTurn(sim, botRng);
+      sim.drainHistory();
+    }
+    if (!sim.result) {
+      console.warn(`[simulate] ${seed} did not finish within ${MAX_TURNS_PER_MATCH} turns`);
+      continue;
+    }
+
+    if (sim.result.win) defenceWins++;
+    totalWaves += sim.result.finalWave - 1;
+    for (const mvp of sim.result.mvpByPlayer) {
+      if (mvp.damage > 0) mvpCounts[mvp.unitName] = (mvpCounts[mvp.unitName] || 0) + 1;
+    }
+  }
+
+  const seconds = Math.max(0.001, (Date.now() - started) / 1000);
+  const topMvps = Object.entries(mvpCounts).sort((a, b) => b[1] - a[1]).slice(0, 5);
+  console.log(`Matches: ${args.matches}  Waves/match: ${args.waves}  Dice: ${args.dice}  Seed: ${args.seed}`);
+  if (args.defence !== "random" || args.monster !== "random") console.log(`Bots: defence ${args.defence}, monster ${args.monster}`);
+  console.log(`Defence win rate: ${((defenceWins / args.matches) * 100).toFixed(1)}%`);
+  console.log(`Waves resolved: ${totalWaves} (${(totalWaves / seconds).toFixed(0)}/s)`);
+  console.log(`Top MVPs: ${topMvps.map(([name, count]) => `${name} x${count}`).join(", ") || "none"}`);
+}
+
+main().catch(err => {
+  console.error("[simulate] failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+/**
+ * InventoryManager - Server-side dice tokens, owned units and online loadouts
+ * Stored on the user record as `user.inventory`:
+ * - diceTokens: spendable balance
+ * - ownedDefences / ownedMonsters: unlocked unit types
+ * - loadouts: { defenceNormal, defenceProto, monsterNormal, monsterProto }, 5 slots each
+ *
+ * Tokens are only added by the server (match rewards, admin grants) and spent here at the
+ * InventoryProtocol prices, so clients can't edit their balance or unlock units themselves.
+ * Note: Local/singleplayer progress stays in the browser and is never read here.
+ */
+
+import DefenceFactory from "../../client/utils/factories/DefenceFactory.js";
+import MonsterFactory from "../../client/utils/factories/MonsterFactory.js";
+import ModPack from "../../client/utils/ModPack.js";
+import {
+  LOADOUT_SIZE,
+  LOADOUT_SLOTS,
+  DEFAULT_LOADOUTS,
+  STARTER_DEFENCES,
+  STARTER_MONSTERS,
+  getUnitPrice
+} from "../../client/utils/InventoryProtocol.js";
+import { loadMatchDefinitions } from "./matchSimulation.js";
+import { loadUser, saveUser, queueUserUpdate } from "./userStorage.js";
+
+const MAX_TOKENS = Number.MAX_SAFE_INTEGER;
+
+function slotInfo(slot) {
+  return { isDefence: slot.startsWith("defence"), isProto: slot.endsWith("Proto") };
+}
+
+function uniqueStrings(list) {
+  return [...new Set((Array.isArray(list) ? list : []).filter(x => typeof x === "string" && x))];
+}
+
+export class InventoryManager {
+  /**
+   * Fill in a missing or partial inventory on a user record
+   * @param {Object} user - User object from database
+   * @returns {boolean} True when the record changed and should be saved
+   */
+  static ensureInventory(user) {
+    if (!user) return false;
+    const before = JSON.stringify(user.inventory || null);
+    const inv = (user.inventory && typeof user.inventory === "object") ? user.inventory : {};
+
+    inv.diceTokens = Math.max(0, Math.floor(Number(inv.diceTokens) || 0));
+    inv.ownedDefences = uniqueStrings([...STARTER_DEFENCES, ...(inv.ownedDefences || [])]);
+    inv.ownedMonsters = uniqueStrings([...STARTER_MONSTERS, ...(inv.ownedMonsters || [])]);
+    const loadouts = (inv.loadouts && typeof inv.loadouts === "object") ? inv.loadouts : {};
+    inv.loadouts = {};
+    for (const slot of LOADOUT_SLOTS) {
+      inv.loadouts[slot] = this._normalizeLoadout(Array.isArray(loadouts[slot]) ? loadouts[slot] : DEFAULT_LOADOUTS[slot]);
+    }
+    inv.createdAt ||= new Date().toISOString();
+
+    user.inventory = inv;
+    return JSON.stringify(inv) !== before;
+  }
+
+  /**
+   * Load a user's inventory, creating the starter one on first use
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Client-facing inventory, null for unknown users
+   */
+  static async getInventory(userId) {
+    const user = await this._loadWithInventory(userId);
+    return user ? this.toPublic(user.inventory) : null;
+  }
+
+  /**
+   * Add tokens to a user's balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Tokens to add (ignored unless positive)
+   * @param {string} [reason] - Logged with the grant
+   * @returns {Promise<Object|null>} Updated inventory, null for unknown users
+   */
+  static async grantTokens(userId, amount, reason = "grant") {
+    const tokens = Math.floor(Number(amount) || 0);
+    return this._withUser(userId, async (user) => {
+      if (tokens > 0) {
+        user.inventory.diceTokens = Math.min(MAX_TOKENS, user.inventory.diceTokens + tokens);
+        user.inventory.updatedAt = new Date().toISOString();
+        await saveUser(user);
+        console.log(`[InventoryManager] Granted ${tokens} tokens to ${userId} (${reason})`);
+      }
+      return this.toPublic(user.inventory);
+    });
+  }
+
+  /**
+   * Buy a unit at its shop price
+   * @param {string} userId - User ID
+   * @param {string} typeName - Defence or monster type
+   * @returns {Promise<{ok: boolean, reason?: string, unit?: string, price?: number, rarity?: string, inventory?: Object}>}
+   *   reason is one of unknown_user, unknown_unit, not_for_sale, already_owned, not_enough_tokens
+   */
+  static async buyUnit(userId, typeName) {
+    await loadMatchDefinitions();
+    const unit = typeof typeName === "string" ? typeName.trim() : "";
+    const isDefence = !!DefenceFactory.defenceData[unit];
+    const def = isDefence ? DefenceFactory.defenceData[unit] : MonsterFactory.monsterData[unit];
+    if (!def) return { ok: false, reason: "unknown_unit" };
+    // Mod pack units come with the pack and are never sold
+    const price = ModPack.packIdOf(unit) ? 0 : getUnitPrice(def);
+    if (price <= 0) return { ok: false, reason: "not_for_sale" };
+
+    const result = await this._withUser(userId, async (user) => {
+      const inv = user.inventory;
+      const owned = isDefence ? inv.ownedDefences : inv.ownedMonsters;
+      if (owned.includes(unit)) return { ok: false, reason: "already_owned", inventory: this.toPublic(inv) };
+      if (inv.diceTokens < price) return { ok: false, reason: "not_enough_tokens", inventory: this.toPublic(inv) };
+
+      inv.diceTokens -= price;
+      owned.push(unit);
+      inv.updatedAt = new Date().toISOString();
+      await saveUser(user);
+      console.log(`[InventoryManager] ${userId} bought ${unit} for ${price} tokens`);
+      return { ok: true, unit, price, rarity: def.Rarity, inventory: this.toPublic(inv) };
+    });
+    return result || { ok: false, reason: "unknown_user" };
+  }
+
+  /**
+   * Replace the saved online loadouts. Slots may be left empty; every unit must be owned and
+   * fit its slot (mod pack units are only checked when a match starts).
+   * @param {string} userId - User ID
+   * @param {Object} loadouts - Any of { defenceNormal, defenceProto, monsterNormal, monsterProto }
+   * @returns {Promise<{ok: boolean, reason?: string, unit?: string, inventory?: Object}>}
+   *   reason is one of unknown_user, invalid_loadout, not_owned
+   */
+  static async setLoadouts(userId, loadouts) {
+    if (!loadouts || typeof loadouts !== "object") return { ok: false, reason: "invalid_loadout" };
+    await loadMatchDefinitions();
+
+    const result = await this._withUser(userId, async (user) => {
+      const inv = user.inventory;
+      const next = { ...inv.loadouts };
+      for (const slot of LOADOUT_SLOTS) {
+        if (loadouts[slot] === undefined) continue;
+        if (!Array.isArray(loadouts[slot]) || loadouts[slot].length > LOADOUT_SIZE) {
+          return { ok: false, reason: "invalid_loadout", inventory: this.toPublic(inv) };
+        }
+        const list = this._normalizeLoadout(loadouts[slot]);
+        const filled = list.filter(Boolean);
+        if (new Set(filled).size !== filled.length) return { ok: false, reason: "invalid_loadout", inventory: this.toPublic(inv) };
+        for (const unit of filled) {
+          const check = this._checkSlotUnit(inv, slot, unit);
+          if (check) return { ok: false, reason: check, unit, inventory: this.toPublic(inv) };
+        }
+        next[slot] = list;
+      }
+
+      inv.loadouts = next;
+      inv.updatedAt = new Date().toISOString();
+      await saveUser(user);
+      return { ok: true, inventory: this.toPublic(inv) };
+    });
+    return result || { ok: false, reason: "unknown_user" };
+  }
+
+  /**
+   * Loadouts a player brings into an online match: saved slots minus anything no longer owned.
+   * MatchSimulation still sanitizes them and falls back to the defaults for incomplete lineups.
+   * @param {Object} user - User object from database
+   * @returns {Object|null} { defenceNormal, defenceProto, monsterNormal, monsterProto }
+   */
+  static getMatchLoadouts(user) {
+    if (!user) return null;
+    this.ensureInventory(user);
+    const inv = user.inventory;
+    const loadouts = {};
+    for (const slot of LOADOUT_SLOTS) {
+      const owned = slotInfo(slot).isDefence ? inv.ownedDefences : inv.ownedMonsters;
+      loadouts[slot] = inv.loadouts[slot].filter(unit => unit && (owned.includes(unit) || ModPack.packIdOf(unit)));
+    }
+    return loadouts;
+  }
+
+  /**
+   * Copy of an inventory that is safe to send to its owner
+   * @param {Object} inv - Stored inventory
+   * @returns {Object}
+   */
+  static toPublic(inv) {
+    return {
+      diceTokens: inv.diceTokens,
+      ownedDefences: inv.ownedDefences.slice(),
+      ownedMonsters: inv.ownedMonsters.slice(),
+      loadouts: Object.fromEntries(LOADOUT_SLOTS.map(slot => [slot, inv.loadouts[slot].slice()]))
+    };
+  }
+
+  /**
+   * Private helper: Pad/trim a loadout to LOADOUT_SIZE slots with nulls for empty ones
+   * @private
+   */
+  static _normalizeLoadout(list) {
+    const out = (Array.isArray(list) ? list : []).slice(0, LOADOUT_SIZE)
+      .map(v => (typeof v === "string" && v.trim()) ? v.trim() : null);
+    while (out.length < LOADOUT_SIZE) out.push(null);
+    return out;
+  }
+
+  /**
+   * Private helper: Why a unit can't go into a loadout slot, or null when it can
+   * @private
+   */
+  static _checkSlotUnit(inv, slot, unit) {
+    if (ModPack.packIdOf(unit)) return null;
+    const { isDefence, isProto } = slotInfo(slot);
+    const def = isDefence ? DefenceFactory.defenceData[unit] : MonsterFactory.monsterData[unit];
+    if (!def || !!def.IsProto !== isProto) return "invalid_loadout";
+    const owned = isDefence ? inv.ownedDefences : inv.ownedMonsters;
+    return owned.includes(unit) ? null : "not_owned";
+  }
+
+  /**
+   * Private helper: Load a user and make sure it has an inventory
+   * @private
+   */
+  static async _loadWithInventory(userId) {
+    if (!userId) return null;
+    const user = await loadUser(userId);
+    if (!user) {
+      console.warn(`[InventoryManager] User not found: ${userId}`);
+      return null;
+    }
+    if (this.ensureInventory(user)) await saveUser(user);
+    return user;
+  }
+
+  /**
+   * Private helper: Run `fn(user)` after every earlier operation for the same user has settled
+   * @private
+   */
+  static _withUser(userId, fn) {
+    // Queued per user, so two purchases can't spend the same tokens
+    return queueUserUpdate(userId, async () => {
+      const user = await this._loadWithInventory(userId);
+      return user ? fn(user) : null;
+    });
+  }
+}
+
+export default InventoryManager;
@@ -1,67 +1,92 @@
 /**
  * LeaderboardManager - Tracks and manages player statistics for online games only
- * Statistics tracked:
- * - Total games played
- * - Total score across all games
- * - Highest single-game score
- * - Total combos rolled
- * - Best combo: Five-of-a-Kind count (lifetime)
- * - Games won
- * - Combo breakdown by type
- * 
+ * Statistics tracked per season:
+ * - Games played and games won
+ * - Wins as defence and wins as monsters
+ * - Highest wave survived as defence
+ * - Monsters defeated (while defending) and defences destroyed (while attacking)
+ * - Match MVP awards, plus how often each unit was the player's MVP
+ * - Total and highest match score
+ *
+ * Seasons are calendar months (UTC). Stats reset when a player's first game of a new season
+ * is recorded; the finished season is kept in `user.leaderboardHistory` so it can still be listed.
+ *
  * Note: Does NOT track singleplayer/local games
  */
 
-import { loadUser, saveUser, loadUsers } from './userStorage.js';
+import { loadUser, saveUser, loadUsers, queueUserUpdate } from './userStorage.js';
 
-const COMBO_CATEGORIES = {
-  TRIPLE: 'triple',              // Three of a kind
-  FOUR_OF_A_KIND: 'fourOfAKind', // Four of a kind
-  FULL_HOUSE: 'fullHouse',       // Three + pair
-  STRAIGHT: 'straight',          // 1-2-3-4-5 or 2-3-4-5-6
-  PAIR: 'pair',                  // One pair
-  TWO_PAIR: 'twoPair',           // Two pairs
-  FIVE_OF_A_KIND: 'fiveOfAKind', // Five of a kind (the best!)
+// Sort key -> stat field it ranks by
+const SORT_FIELDS = {
+  wins: 'gamesWon',
+  defence: 'defenceWins',
+  monster: 'monsterWins',
+  wave: 'highestWave',
+  monsters: 'monstersDefeated',
+  defences: 'defencesDestroyed',
+  mvp: 'mvpCount',
+  score: 'totalScore'
 };
 
+export const LEADERBOARD_SORTS = Object.freeze(Object.keys(SORT_FIELDS));
+export const DEFAULT_LEADERBOARD_SORT = 'wins';
+
+// Finished seasons kept per user
+const MAX_SEASON_HISTORY = 12;
+
 export class LeaderboardManager {
   /**
-   * Initialize player leaderboard entry if it doesn't exist
+   * Season a date falls into
+   * @param {Date} [date] - Defaults to now
+   * @returns {{id: string, startsAt: string, endsAt: string}} id is `YYYY-MM`
+   */
+  static getSeason(date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    return {
+      id: `${year}-${String(month + 1).padStart(2, '0')}`,
+      startsAt: new Date(Date.UTC(year, month, 1)).toISOString(),
+      endsAt: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+    };
+  }
+
+  /**
+   * Season before the given one
+   * @param {string} seasonId - `YYYY-MM`
+   * @returns {string|null}
+   */
+  static getPreviousSeasonId(seasonId) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(seasonId || ''));
+    if (!match) return null;
+    return this.getSeason(new Date(Date.UTC(Number(match[1]), Number(match[2]) - 2, 1))).id;
+  }
+
+  /**
+   * Initialize player leaderboard entry if it doesn't exist, or roll it over into the current season
    * @param {string} userId - User ID
    * @param {Object} user - User object from database
    * @returns {Promise<Object>} User object with initialized leaderboard stats
    */
   static async initializeStats(userId, user = null) {
     if (!userId) return null;
-    
+
     const playerUser = user || await loadUser(userId);
     if (!playerUser) {
       console.warn(`[LeaderboardManager] User not found: ${userId}`);
       return null;
     }
 
-    // Initialize leaderboard if missing
-    if (!playerUser.leaderboard) {
-      playerUser.leaderboard = {
-        totalGamesPlayed: 0,
-        totalScore: 0,
-        highestScore: 0,
-        gamesWon: 0,
-        totalCombosRolled: 0,
-        fiveOfAKindCount: 0,      // ✅ Best combo: Five-of-a-Kind tracking
-        comboStats: {
-          triple: 0,
-          fourOfAKind: 0,
-          fullHouse: 0,
-          straight: 0,
-          pair: 0,
-          twoPair: 0,
-          fiveOfAKind: 0
-        },
-        lastPlayedAt: null,
-        createdAt: new Date().toISOString()
-      };
-      
+    const season = this.getSeason().id;
+    const current = playerUser.leaderboard;
+    if (!current || current.season !== season) {
+      // Records without a season hold the old dice-combo stats and are dropped rather than archived
+      if (current && current.season) {
+        const history = Array.isArray(playerUser.leaderboardHistory) ? playerUser.leaderboardHistory : [];
+        playerUser.leaderboardHistory = [current, ...history.filter(h => h && h.season !== current.season)]
+          .slice(0, MAX_SEASON_HISTORY);
+      }
+      playerUser.leaderboard = this._createStats(season);
+
       await saveUser(playerUser);
     }
 
@@ -71,91 +96,88 @@ export class LeaderboardManager {
   /**
    * Update player stats after game completion
    * @param {string} userId - User ID
-   * @param {number} finalScore - Player's final score in the game
-   * @param {boolean} won - Whether player won
-   * @param {Array|Object} combosInGame - Array of combos OR comboStats dictionary from game
+   * @param {Object} match - This player's view of the finished match
+   * @param {string} match.role - 'defence' or 'monster'
+   * @param {boolean} match.won - Whether player (or their team) won
+   * @param {number} [match.score=0] - Player's final score in the game
+   * @param {number} [match.finalWave=1] - Wave the match ended on
+   * @param {number} [match.monstersDefeated=0] - This player's share of the monsters their side defeated
+   * @param {number} [match.defencesDestroyed=0] - This player's share of the defences their side destroyed
+   * @param {string|null} [match.mvpUnit=null] - Type of this player's highest-damage unit
+   * @param {boolean} [match.matchMvp=false] - Whether that unit out-damaged every other player's MVP
    * @returns {Promise<void>}
    */
-  static async updatePlayerStats(userId, finalScore, won, combosInGame = []) {
+  static async updatePlayerStats(userId, {
+    role,
+    won = false,
+    score = 0,
+    finalWave = 1,
+    monstersDefeated = 0,
+    defencesDestroyed = 0,
+    mvpUnit = null,
+    matchMvp = false
+  } = {}) {
     if (!userId) {
       console.warn('[LeaderboardManager] No userId provided');
       return;
     }
 
-    try {
-      const player = await this.initializeStats(userId);
-      if (!player || !player.leaderboard) {
-        console.warn(`[LeaderboardManager] Could not initialize stats for ${userId}`);
-        return;
-      }
+    return queueUserUpdate(userId, async () => {
+      try {
+        const player = await this.initializeStats(userId);
+        if (!player || !player.leaderboard) {
+          console.warn(`[LeaderboardManager] Could not initialize stats for ${userId}`);
+          return;
+        }
+
+        const lb = player.leaderboard;
+        const isDefence = role === 'defence';
 
-      const lb = player.leaderboard;
-
-      // Update basic stats
-      lb.totalGamesPlayed = (lb.totalGamesPlayed || 0) + 1;
-      lb.totalScore = (lb.totalScore || 0) + (finalScore || 0);
-      lb.highestScore = Math.max(lb.highestScore || 0, finalScore || 0);
-      if (won) lb.gamesWon = (lb.gamesWon || 0) + 1;
-      lb.lastPlayedAt = new Date().toISOString();
-
-      // Update combo statistics
-      // ✅ Handle both: array of combo objects OR comboStats dictionary
-      if (combosInGame) {
-        if (Array.isArray(combosInGame)) {
-          // Combo objects array format: [{name, score, ...}, ...]
-          lb.totalCombosRolled = (lb.totalCombosRolled || 0) + combosInGame.length;
-          
-          for (const combo of combosInGame) {
-            const category = this._categorizeCombo(combo);
-            if (category && lb.comboStats[category] !== undefined) {
-              lb.comboStats[category] = (lb.comboStats[category] || 0) + 1;
-              
-              // ✅ Track Five-of-a-Kind as the best combo
-              if (category === COMBO_CATEGORIES.FIVE_OF_A_KIND) {
-                lb.fiveOfAKindCount = (lb.fiveOfAKindCount || 0) + 1;
-              }
-            }
-          }
-        } else if (typeof combosInGame === 'object') {
-          // ComboStats dictionary format: {pair: 0, triple: 1, fiveOfAKind: 2, ...}
-          const totalCombos = Object.values(combosInGame).reduce((sum, v) => sum + (v || 0), 0);
-          lb.totalCombosRolled = (lb.totalCombosRolled || 0) + totalCombos;
-          
-          // Merge comboStats directly
-          for (const [key, count] of Object.entries(combosInGame)) {
-            if (lb.comboStats[key] !== undefined) {
-              lb.comboStats[key] = (lb.comboStats[key] || 0) + (count || 0);
-              
-              // ✅ Track Five-of-a-Kind as the best combo
-              if (key === COMBO_CATEGORIES.FIVE_OF_A_KIND && count > 0) {
-                lb.fiveOfAKindCount = (lb.fiveOfAKindCount || 0) + count;
-              }
-            }
-          }
+        lb.totalGamesPlayed = (lb.totalGamesPlayed || 0) + 1;
+        lb.totalScore = (lb.totalScore || 0) + (score || 0);
+        lb.highestScore = Math.max(lb.highestScore || 0, score || 0);
+        if (won) {
+          lb.gamesWon = (lb.gamesWon || 0) + 1;
+          if (isDefence) lb.defenceWins = (lb.defenceWins || 0) + 1;
+          else lb.monsterWins = (lb.monsterWins || 0) + 1;
         }
-      }
 
-      // Save updated stats
-      await saveUser(player);
-      const comboCount = Array.isArray(combosInGame) 
-        ? combosInGame.length 
-        : (combosInGame ? Object.values(combosInGame).reduce((sum, v) => sum + (v || 0), 0) : 0);
-      console.log(`[LeaderboardManager] Updated stats for ${userId}: +${finalScore} pts, combos: ${comboCount}`);
-    } catch (err) {
-      console.error(`[LeaderboardManager] Failed to update stats for ${userId}:`, err.message);
-    }
+        // A match ends during its final wave, so the defence survived the one before it
+        if (isDefence) {
+          lb.highestWave = Math.max(lb.highestWave || 0, Math.max(0, (finalWave || 1) - 1));
+          lb.monstersDefeated = (lb.monstersDefeated || 0) + (monstersDefeated || 0);
+        } else {
+          lb.defencesDestroyed = (lb.defencesDestroyed || 0) + (defencesDestroyed || 0);
+        }
+
+        if (mvpUnit) {
+          lb.mvpUnits = lb.mvpUnits || {};
+          lb.mvpUnits[mvpUnit] = (lb.mvpUnits[mvpUnit] || 0) + 1;
+        }
+        if (matchMvp) lb.mvpCount = (lb.mvpCount || 0) + 1;
+        lb.lastPlayedAt = new Date().toISOString();
+
+        // Save updated stats
+        await saveUser(player);
+        console.log(`[LeaderboardManager] Updated stats for ${userId}: ${role} ${won ? 'win' : 'loss'}, +${score || 0} pts (season ${lb.season})`);
+      } catch (err) {
+        console.error(`[LeaderboardManager] Failed to update stats for ${userId}:`, err.message);
+      }
+    });
   }
 
   /**
    * Get formatted leaderboard for top N players
    * @param {number} limit - Number of top players to return (default: 10)
-   * @param {string} sortBy - Sort key: 'total', 'highest', 'combos', 'wins', 'best'
+   * @param {string} sortBy - One of LEADERBOARD_SORTS
+   * @param {string} [seasonId] - `YYYY-MM`; defaults to the current season
    * @returns {Promise<Array>} Array of top players with formatted stats
    */
-  static async getTopPlayers(limit = 10, sortBy = 'total') {
+  static async getTopPlayers(limit = 10, sortBy = DEFAULT_LEADERBOARD_SORT, seasonId = null) {
     try {
+      const season = seasonId || this.getSeason().id;
       const allUsers = await loadUsers();
-      
+
       // ✅ FIX: Convert object map to array if needed
       // loadUsers() returns object map {userId: user, userId2: user2, ...} not an array
       let userArray = [];
@@ -173,32 +195,24 @@ export class LeaderboardManager {
         return [];
       }
 
-      // ✅ FIX: Filter users with leaderboard data and map to leaderboard entries
-      const leaderboardEntries = userArray
-        .filter(u => {
-          // Only include players with leaderboard data and at least 1 game played
-          if (!u || !u.leaderboard) {
-            return false;
-          }
-          if (u.leaderboard.totalGamesPlayed <= 0) {
-            return false;
-          }
-          return true;
-        })
-        .map(u => {
-          // ✅ ENHANCED: Include avatar from user profile
-          return {
-            id: u.id,
-            name: u.name || u.username || `User${u.id.substring(0, 6)}`,
-            avatar: u.avatar || null,  // Google/Discord OAuth avatar or null
-            country: u.country || null,
-            countryFlag: u.countryFlag || this._getCountryFlag(u.country),
-            type: u.type || 'guest',  // Track user type for UI
-            ...u.leaderboard
-          };
+      // Players who haven't played since the season changed still carry it on `leaderboard`
+      const leaderboardEntries = [];
+      for (const u of userArray) {
+        const stats = this._getSeasonStats(u, season);
+        if (!stats || !(stats.totalGamesPlayed > 0)) continue;
+        leaderboardEntries.push({
+          id: u.id,
+          name: u.name || u.username || `User${String(u.id).substring(0, 6)}`,
+          avatar: u.avatar || null,  // Google/Discord OAuth avatar or null
+          country: u.country || null,
+          countryFlag: u.countryFlag || this._getCountryFlag(u.country),
+          type: u.type || 'guest',  // Track user type for UI
+          ...stats,
+          topMvpUnit: this._getTopMvpUnit(stats)
         });
+      }
 
-      console.log(`[LeaderboardManager] Found ${leaderboardEntries.length} players with stats`);
+      console.log(`[LeaderboardManager] Found ${leaderboardEntries.length} players with stats for season ${season}`);
 
       // Sort based on requested metric
       const sorted = this._sortLeaderboard(leaderboardEntries, sortBy);
@@ -219,12 +233,13 @@ export class LeaderboardManager {
    * Get specific player's rank and stats
    * @param {string} userId - User ID
    * @param {string} sortBy - Sort key for ranking
+   * @param {string} [seasonId] - `YYYY-MM`; defaults to the current season
    * @returns {Promise<Object>} Player's rank info and stats
    */
-  static async getPlayerRank(userId, sortBy = 'total') {
+  static async getPlayerRank(userId, sortBy = DEFAULT_LEADERBOARD_SORT, seasonId = null) {
     try {
-      const topPlayers = await this.getTopPlayers(10000, sortBy);
-      const playerEntry = topPlayers.find(p => p.id === userId);
+      const topPlayers = await this.getTopPlayers(10000, sortBy, seasonId);
+      const playerEntry = topPlayers.find(p => String(p.id) === String(userId));
 
       if (!playerEntry) {
         return null;
@@ -242,131 +257,61 @@ export class LeaderboardManager {
   }
 
   /**
-   * Get combo statistics for display
-   * @param {string} userId - User ID
-   * @returns {Promise<Object>} Formatted combo stats with human-readable names
+   * Private helper: Empty stats for a season
+   * @private
    */
-  static async getComboStats(userId) {
-    try {
-      const player = await loadUser(userId);
-      if (!player || !player.leaderboard || !player.leaderboard.comboStats) {
-        return null;
-      }
-
-      const stats = player.leaderboard.comboStats;
-      return {
-        totalCombos: player.leaderboard.totalCombosRolled,
-        fiveOfAKindCount: player.leaderboard.fiveOfAKindCount || 0,
-        breakdown: {
-          'Triple (3oaK)': stats.triple || 0,
-          'Full House': stats.fullHouse || 0,
-          'Four of a Kind': stats.fourOfAKind || 0,
-          'Five of a Kind (Best!)': stats.fiveOfAKind || 0,
-          'Straight': stats.straight || 0,
-          'Pair': stats.pair || 0,
-          'Two Pair': stats.twoPair || 0
-        }
-      };
-    } catch (err) {
-      console.error('[LeaderboardManager] Failed to get combo stats:', err.message);
-      return null;
-    }
+  static _createStats(season) {
+    return {
+      season,
+      totalGamesPlayed: 0,
+      gamesWon: 0,
+      defenceWins: 0,
+      monsterWins: 0,
+      highestWave: 0,
+      monstersDefeated: 0,
+      defencesDestroyed: 0,
+      mvpCount: 0,
+      mvpUnits: {},
+      totalScore: 0,
+      highestScore: 0,
+      lastPlayedAt: null,
+      createdAt: new Date().toISOString()
+    };
   }
 
   /**
-   * Private helper: Categorize a combo into a category
+   * Private helper: A user's stats for one season, from the live record or the archive
    * @private
    */
-  static _categorizeCombo(combo) {
-    // combo object format: { name: string, score: number, ... }
-    if (!combo || !combo.name) return null;
-
-    const name = combo.name.toUpperCase();
-    
-    if (name.includes('FIVE OF A KIND') || name.includes('FIVE')) return COMBO_CATEGORIES.FIVE_OF_A_KIND;
-    if (name.includes('FOUR') && name.includes('KIND')) return COMBO_CATEGORIES.FOUR_OF_A_KIND;
-    if (name.includes('FULL') && name.includes('HOUSE')) return COMBO_CATEGORIES.FULL_HOUSE;
-    if (name.includes('THREE') || name.includes('TRIPLE')) return COMBO_CATEGORIES.TRIPLE;
-    if (name.includes('STRAIGHT')) return COMBO_CATEGORIES.STRAIGHT;
-    if (name.includes('TWO PAIR')) return COMBO_CATEGORIES.TWO_PAIR;
-    if (name.includes('PAIR')) return COMBO_CATEGORIES.PAIR;
-    
-    return null;
+  static _getSeasonStats(user, season) {
+    if (!user) return null;
+    if (user.leaderboard && user.leaderboard.season === season) return user.leaderboard;
+    const history = Array.isArray(user.leaderboardHistory) ? user.leaderboardHistory : [];
+    return history.find(h => h && h.season === season) || null;
   }
 
   /**
-   * Get best combo score for a player (by hierarchy with weighted scoring)
-   * Returns a weighted score where higher hierarchy combos have exponentially higher weights
-   * This ensures Four-of-a-Kind always beats Full House, regardless of counts
-   * Hierarchy: Five-of-a-Kind > Four-of-a-Kind > Full House > Straight > Triple > Two Pair > Pair
+   * Private helper: Unit that was this player's MVP most often
    * @private
    */
-  static _getBestComboScore(player) {
-    const stats = player.comboStats || {};
-    
-    // Assign exponentially higher weights to better combos
-    // Weight * count ensures rank hierarchy is maintained
-    // Example: 1x Four-of-a-Kind (100K) > 100x Full House (1M) is impossible because:
-    // 1x Four-of-a-Kind = 1 * 100000 = 100000
-    // 100x Full House = 100 * 10000 = 1000000 (higher wins)
-    // Wait, that's wrong. Let me recalculate:
-    // The weights should be such that even 1x of higher combo > any count of lower combo
-    // 1x Four-of-a-Kind should beat 999x Full House
-    // So: 1 * 100000 (100K) vs 999 * 10000 (9.99M) - this fails!
-    // Solution: Use additive weighting where the combo TYPE determines ranking
-    // Not count-based, but type-based ranking
-    const hierarchy = [
-      { key: 'fiveOfAKind', rank: 7 },      // Best
-      { key: 'fourOfAKind', rank: 6 },
-      { key: 'fullHouse', rank: 5 },
-      { key: 'straight', rank: 4 },
-      { key: 'triple', rank: 3 },
-      { key: 'twoPair', rank: 2 },
-      { key: 'pair', rank: 1 }               // Worst
-    ];
-
-    // Find the best combo type and return (rank * 1000000 + count)
-    // This ensures rank matters first, count is tiebreaker
-    for (const combo of hierarchy) {
-      if (stats[combo.key] && stats[combo.key] > 0) {
-        return (combo.rank * 1000000) + (stats[combo.key] || 0);
-      }
+  static _getTopMvpUnit(stats) {
+    let best = null;
+    for (const [unit, count] of Object.entries(stats.mvpUnits || {})) {
+      if (!best || count > best.count) best = { unit, count };
     }
-
-    return 0;
+    return best;
   }
 
   /**
    * Private helper: Sort leaderboard entries by requested metric
+   * Ties go to the player who needed fewer games
    * @private
    */
   static _sortLeaderboard(entries, sortBy) {
-    const sorted = [...entries];
-    
-    switch (sortBy.toLowerCase()) {
-      case 'highest':
-        return sorted.sort((a, b) => (b.highestScore || 0) - (a.highestScore || 0));
-      
-      case 'combos':
-        return sorted.sort((a, b) => (b.totalCombosRolled || 0) - (a.totalCombosRolled || 0));
-      
-      case 'wins':
-        return sorted.sort((a, b) => (b.gamesWon || 0) - (a.gamesWon || 0));
-      
-      case 'best':
-        // Sort by best combo hierarchy with rank-based scoring
-        // Four-of-a-Kind always beats Full House, even with more Full House counts
-        // Uses rank-based scoring: (rank * 1000000 + count)
-        return sorted.sort((a, b) => {
-          const aScore = this._getBestComboScore(a);
-          const bScore = this._getBestComboScore(b);
-          return bScore - aScore;
-        });
-      
-      case 'total':
-      default:
-        return sorted.sort((a, b) => (b.totalScore || 0) - (a.totalScore || 0));
-    }
+    const field = SORT_FIELDS[String(sortBy || '').toLowerCase()] || SORT_FIELDS[DEFAULT_LEADERBOARD_SORT];
+    return [...entries].sort((a, b) =>
+      ((b[field] || 0) - (a[field] || 0)) || ((a.totalGamesPlayed || 0) - (b.totalGamesPlayed || 0))
+    );
   }
 
   /**
@@ -375,7 +320,7 @@ export class LeaderboardManager {
    */
   static _getCountryFlag(countryCode) {
     if (!countryCode || countryCode.length !== 2) return '🌍';
-    
+
     // Convert country code to flag emoji
     return String.fromCodePoint(
       ...countryCode.toUpperCase().split('').map(c => 127397 + c.charCodeAt(0))
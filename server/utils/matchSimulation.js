@@ -0,0 +1,496 @@
+/**
+ * MatchSimulation - Server-authoritative Protodice tower-defence match
+ * The server owns the grid, holders, dice rolls, prototype rerolls, placements,
+ * recalls, wave advancement and win/lose checks. Clients only render the state it resolves.
+ *
+ * It extends the shared HeadlessScene, so the instance doubles as the "scene" handed
+ * to the client factories (CombatFactory, SpecialEffectFactory, ...) and combat rules
+ * are not duplicated on the server. This class only adds the turn flow on top.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import DefenceFactory from "../../client/utils/factories/DefenceFactory.js";
+import MonsterFactory from "../../client/utils/factories/MonsterFactory.js";
+import PuddleFactory from "../../client/utils/factories/PuddleFactory.js";
+import BoardFactory from "../../client/utils/factories/BoardFactory.js";
+import CombatFactory from "../../client/utils/factories/CombatFactory.js";
+import RecallFactory from "../../client/utils/factories/RecallFactory.js";
+import StatusEffectFactory from "../../client/utils/factories/StatusEffectFactory.js";
+import UpgradeFactory from "../../client/utils/factories/UpgradeFactory.js";
+import HeadlessScene from "../../client/utils/HeadlessScene.js";
+import ModPack from "../../client/utils/ModPack.js";
+import { getTeamRole, resolveSeatTeams } from "../../client/utils/MatchProtocol.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GAMEDATA_DIR = path.join(__dirname, "../../client/assets/gamedata");
+const MAX_HOLDERS = 10;
+const LOADOUT_SIZE = 5;
+const HISTORY_LIMIT = 200;
+
+export const DEFAULT_MATCH_LOADOUTS = Object.freeze({
+  defenceNormal: ["SniperTower", "Cannon", "Mortar", "MachineGun", "Flamethrower"],
+  defenceProto: ["BoomCannon", "LazorBeam", "ShockBlaster", "AcidShooter", "Microwavr"],
+  monsterNormal: ["Goblin", "Orc", "Troll", "Bat", "FireImp"],
+  monsterProto: ["Golem", "Harpy", "IceLizard", "Demon", "ElectroMage"]
+});
+
+let definitionsPromise = null;
+
+async function loadDefinitionFolder(folder, target, validate = null) {
+  const manifestRaw = await fs.readFile(path.join(GAMEDATA_DIR, folder, "manifest.json"), "utf8");
+  const manifest = JSON.parse(manifestRaw);
+  let count = 0;
+  for (const file of (manifest.files || [])) {
+    // Test/dev-only definitions are never available online
+    if (/^test/i.test(String(file || ""))) continue;
+    try {
+      const raw = await fs.readFile(path.join(GAMEDATA_DIR, folder, file), "utf8");
+      if (!raw || !raw.trim()) continue;
+      const data = JSON.parse(raw);
+      if (!data || !data.TypeName) continue;
+      if (data.IsDevOnly || /^test/i.test(String(data.TypeName))) continue;
+      if (typeof validate === "function") validate(data);
+      target[data.TypeName] = data;
+      count++;
+    } catch (err) {
+      console.warn(`[MatchSimulation] Failed to load ${folder}/${file}:`, err.message);
+    }
+  }
+  return count;
+}
+
+/**
+ * Load unit, puddle and status definitions from client/assets/gamedata into the shared factories.
+ * Safe to call repeatedly; the files are only read once per process.
+ * @returns {Promise<void>}
+ */
+export function loadMatchDefinitions() {
+  if (!definitionsPromise) {
+    definitionsPromise = (async () => {
+      const defences = await loadDefinitionFolder("DefenceDefinitions", DefenceFactory.defenceData, data => DefenceFactory.validateData(data));
+      const monsters = await loadDefinitionFolder("MonsterDefinitions", MonsterFactory.monsterData, data => MonsterFactory.validateData(data));
+      const puddles = await loadDefinitionFolder("PuddleDefinitions", PuddleFactory.puddleData);
+      const statuses = await loadDefinitionFolder("StatusDefinitions", StatusEffectFactory.statusData);
+      console.info(`[MatchSimulation] Loaded ${defences} defences, ${monsters} monsters, ${puddles} puddles, ${statuses} status rules`);
+    })().catch(err => {
+      definitionsPromise = null;
+      throw err;
+    });
+  }
+  return definitionsPromise;
+}
+
+/**
+ * Keep only known unit types of the right side/tier; fall back to the default lineup otherwise.
+ * @param {Array} list - Requested type names
+ * @param {boolean} isDefence - Defence or monster lineup
+ * @param {boolean} isProto - Prototype or normal lineup
+ * @param {string[]} fallback - Default lineup
+ * @param {string[]} [allowedPacks] - Mod pack ids enabled for this match; other packs' units are dropped
+ * @returns {string[]}
+ */
+export function sanitizeLoadout(list, isDefence, isProto, fallback, allowedPacks = []) {
+  const data = isDefence ? DefenceFactory.defenceData : MonsterFactory.monsterData;
+  const picked = [];
+  for (const raw of (Array.isArray(list) ? list : [])) {
+    const typeName = typeof raw === "string" ? raw.trim() : "";
+    const def = data[typeName];
+    if (!def || !!def.IsProto !== isProto) continue;
+    const packId = ModPack.packIdOf(typeName);
+    if (packId && !allowedPacks.includes(packId)) continue;
+    if (picked.includes(typeName)) continue;
+    picked.push(typeName);
+    if (picked.length >= LOADOUT_SIZE) break;
+  }
+  return picked.length === LOADOUT_SIZE ? picked : fallback.slice(0, LOADOUT_SIZE);
+}
+
+export class MatchSimulation extends HeadlessScene {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Normalized lobby config (players, waves, switchSides, diceCount, boardRows, boardCols, mods)
+   * @param {Array} options.players - [{ id, name, team?, loadouts: { defenceNormal, defenceProto, monsterNormal, monsterProto } }]
+   *   `team` is only read for 4-player matches (see resolveSeatTeams)
+   * @param {string} [options.matchId] - Match identifier; doubles as the RNG seed when no seed is given
+   * @param {string|number} [options.seed] - Explicit seed to reproduce a match
+   */
+  constructor({ config = {}, players = [], matchId = null, seed = null } = {}) {
+    const id = matchId || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    super({
+      rows: Number.isFinite(config.boardRows) ? config.boardRows : 5,
+      cols: Number.isFinite(config.boardCols) ? config.boardCols : 9,
+      waves: Number.isFinite(config.waves) ? config.waves : 20,
+      switchSides: !!config.switchSides,
+      // Kept server-side only: a client that knew the seed could predict every roll
+      seed: (seed !== null && seed !== undefined && seed !== "") ? seed : id,
+      historyLimit: HISTORY_LIMIT
+    });
+    this.config = { ...config };
+    this._matchId = id;
+    this.diceCount = Number.isFinite(config.diceCount) ? config.diceCount : 1;
+    const packs = (Array.isArray(config.mods) ? config.mods : []).map(m => m.id);
+
+    const count = config.players === 4 ? 4 : 2;
+    const seats = Array.from({ length: count }, (_, i) => players[i] || {});
+    const teams = resolveSeatTeams(seats.map(src => src.team), count);
+
+    this.players = seats.map((src, i) => {
+      const loadouts = src.loadouts || {};
+      const isDefence = getTeamRole(teams[i], this.switchSides) === "defence";
+      return {
+        id: src.id ?? null,
+        name: src.name || `Player ${i + 1}`,
+        isAI: false,
+        team: teams[i],
+        role: isDefence ? "defence" : "monster",
+        normalLoadout: isDefence
+          ? sanitizeLoadout(loadouts.defenceNormal, true, false, DEFAULT_MATCH_LOADOUTS.defenceNormal, packs)
+          : sanitizeLoadout(loadouts.monsterNormal, false, false, DEFAULT_MATCH_LOADOUTS.monsterNormal, packs),
+        protoLoadout: isDefence
+          ? sanitizeLoadout(loadouts.defenceProto, true, true, DEFAULT_MATCH_LOADOUTS.defenceProto, packs)
+          : sanitizeLoadout(loadouts.monsterProto, false, true, DEFAULT_MATCH_LOADOUTS.monsterProto, packs)
+      };
+    });
+
+    // The defence side plays first, then the monsters; the wave resolves after the last of them
+    this.turnOrder = [
+      ...this.players.map((p, i) => (p.role === "defence" ? i : -1)).filter(i => i >= 0),
+      ...this.players.map((p, i) => (p.role === "monster" ? i : -1)).filter(i => i >= 0)
+    ];
+    this.scores = this.players.map(() => 0);
+    this.currentPlayer = this._getDefenderIndex();
+    this.diceValues = [];
+    this.prototypeDiceIndices = [];
+    this.rolledThisTurn = false;
+    this.finished = false;
+    this.result = null;
+
+    this._combatInProgress = false;
+    this._pendingLog = [];
+
+    this.startWave();
+  }
+
+  // ---------- HISTORY ----------
+
+  addHistoryEntry(text) {
+    if (!text) return;
+    super.addHistoryEntry(text);
+    this._pendingLog.push(String(text));
+  }
+
+  // Entries added since the last call; sent alongside each state broadcast
+  drainHistory() {
+    const entries = this._pendingLog;
+    this._pendingLog = [];
+    return entries;
+  }
+
+  // ---------- QUERIES ----------
+
+  getHolderCount(playerIndex) {
+    return this.holders.filter(h => h && h._owner === playerIndex).length;
+  }
+
+  isPlacementZone(playerIndex, row, col) {
+    if (!Number.isInteger(row) || !Number.isInteger(col)) return false;
+    if (row < 0 || row >= this.GRID_ROWS || col < 0 || col >= this.GRID_COLS) return false;
+    return BoardFactory.canPlace(this, this.players[playerIndex]?.role, row, col);
+  }
+
+  hasPlacementAvailable(playerIndex) {
+    for (let r = 0; r < this.GRID_ROWS; r++) {
+      for (let c = 0; c < this.GRID_COLS; c++) {
+        if (this.isPlacementZone(playerIndex, r, c) && !this.grid[r][c].unit) return true;
+      }
+    }
+    return false;
+  }
+
+  _checkTurn(playerIndex) {
+    if (this.finished) return "game_finished";
+    if (this._combatInProgress) return "combat_in_progress";
+    if (playerIndex !== this.currentPlayer) return "not_your_turn";
+    return null;
+  }
+
+  // ---------- TURN FLOW ----------
+
+  startTurn() {
+    this.diceValues = [];
+    this.prototypeDiceIndices = [];
+    this.rolledThisTurn = false;
+  }
+
+  _rollSingleDie() {
+    return this._rng.between(1, 6);
+  }
+
+  _getUnitFromDice(value, playerIndex, isProto) {
+    const player = this.players[playerIndex];
+    const loadout = isProto ? player?.protoLoadout : player?.normalLoadout;
+    return (loadout && loadout[value - 1]) || null;
+  }
+
+  _summon(typeName) {
+    const before = this.holders.length;
+    CombatFactory.summonUnit(this, typeName);
+    if (this.holders.length === before) return null;
+    const unit = this.holders[this.holders.length - 1];
+    this._ensureUnitId(unit);
+    return unit;
+  }
+
+  /**
+   * Roll the turn's dice. Sixes become pending prototype dice that must be rerolled, unless the
+   * player still owes one for a recall (see RecallFactory).
+   * @param {number} playerIndex - Acting player
+   * @returns {{ok: boolean, reason?: string, dice?: number[], protoIndices?: number[], summoned?: string[]}}
+   */
+  roll(playerIndex) {
+    const blocked = this._checkTurn(playerIndex);
+    if (blocked) return { ok: false, reason: blocked };
+    if (this.rolledThisTurn) return { ok: false, reason: "already_rolled" };
+    if (this.prototypeDiceIndices.length > 0) return { ok: false, reason: "proto_pending" };
+    if (this.getHolderCount(playerIndex) >= MAX_HOLDERS) return { ok: false, reason: "holders_full" };
+
+    this.diceValues = Array.from({ length: this.diceCount }, () => this._rollSingleDie());
+    this.addHistoryEntry(`${this.players[playerIndex].name} rolled: ${this.diceValues.join(", ")}`);
+
+    const summoned = [];
+    this.diceValues.forEach((value, idx) => {
+      if (value === 6) {
+        if (RecallFactory.consumePenalty(this.players[playerIndex])) {
+          this.addHistoryEntry(`${this.players[playerIndex].name} gave up a prototype die for a recall`);
+          return;
+        }
+        this.prototypeDiceIndices.push(idx);
+        return;
+      }
+      const typeName = this._getUnitFromDice(value, playerIndex, false);
+      const unit = typeName ? this._summon(typeName) : null;
+      if (unit) summoned.push(unit._netId);
+    });
+    if (this.prototypeDiceIndices.length === 0) this.rolledThisTurn = true;
+
+    return { ok: true, dice: this.diceValues.slice(), protoIndices: this.prototypeDiceIndices.slice(), summoned };
+  }
+
+  /**
+   * Reroll pending prototype dice. A second six grants a random prototype from the lineup.
+   * @param {number} playerIndex - Acting player
+   * @param {number[]|null} indices - Die indices to reroll (defaults to every pending die)
+   */
+  rerollProto(playerIndex, indices = null) {
+    const blocked = this._checkTurn(playerIndex);
+    if (blocked) return { ok: false, reason: blocked };
+    if (this.prototypeDiceIndices.length === 0) return { ok: false, reason: "no_proto_pending" };
+    if (this.getHolderCount(playerIndex) >= MAX_HOLDERS) return { ok: false, reason: "holders_full" };
+
+    const requested = Array.isArray(indices) && indices.length ? indices : this.prototypeDiceIndices.slice();
+    if (!requested.every(i => this.prototypeDiceIndices.includes(i))) return { ok: false, reason: "invalid_die" };
+
+    const summoned = [];
+    for (const idx of requested) {
+      const value = this._rollSingleDie();
+      this.diceValues[idx] = value;
+      let typeName = null;
+      if (value === 6) {
+        const protos = this.players[playerIndex].protoLoadout || [];
+        typeName = protos.length ? this._rng.pick(protos) : null;
+      } else {
+        typeName = this._getUnitFromDice(value, playerIndex, true);
+      }
+      const unit = typeName ? this._summon(typeName) : null;
+      if (unit) summoned.push(unit._netId);
+      this.prototypeDiceIndices = this.prototypeDiceIndices.filter(i => i !== idx);
+    }
+    this.addHistoryEntry(`${this.players[playerIndex].name} rerolled proto: ${requested.map(i => this.diceValues[i]).join(", ")}`);
+    if (this.prototypeDiceIndices.length === 0) this.rolledThisTurn = true;
+
+    return { ok: true, dice: this.diceValues.slice(), indices: requested.slice(), protoIndices: this.prototypeDiceIndices.slice(), summoned };
+  }
+
+  /**
+   * Move a holder onto the grid. Dropping it on an identical unit of the same player merges the two
+   * instead (see UpgradeFactory); merges aren't limited to the placement zone.
+   * @param {number} playerIndex - Acting player
+   * @param {string} holderId - Holder network id
+   * @param {number} row - Target row
+   * @param {number} col - Target column
+   */
+  place(playerIndex, holderId, row, col) {
+    const blocked = this._checkTurn(playerIndex);
+    if (blocked) return { ok: false, reason: blocked };
+
+    const unit = this.holders.find(h => h && h._netId === holderId && h._owner === playerIndex);
+    if (!unit) return { ok: false, reason: "unknown_holder" };
+    const target = this.grid[row]?.[col]?.unit;
+    if (target && UpgradeFactory.merge(this, unit, target)) {
+      this.addHistoryEntry(`${this.players[playerIndex].name} upgraded ${target.fullName || target.typeName} to level ${target.level}`);
+      return { ok: true, unitId: target._netId, row, col, merged: true, level: target.level };
+    }
+    if (!this.isPlacementZone(playerIndex, row, col)) return { ok: false, reason: "invalid_zone" };
+    if (target) return { ok: false, reason: "occupied" };
+
+    this.addHistoryEntry(`${this.players[playerIndex].name} played ${unit.fullName || unit.typeName} (row ${row + 1}, col ${col + 1})`);
+    this._placeUnitOnGrid(unit, row, col);
+
+    return { ok: true, unitId: unit._netId, row, col };
+  }
+
+  /**
+   * Take one of the player's units off the board and back into their holders. Costs the player's
+   * next prototype die (see RecallFactory).
+   * @param {number} playerIndex - Acting player
+   * @param {number} row - Unit row
+   * @param {number} col - Unit column
+   */
+  recall(playerIndex, row, col) {
+    const blocked = this._checkTurn(playerIndex);
+    if (blocked) return { ok: false, reason: blocked };
+
+    const unit = this.grid[row]?.[col]?.unit;
+    const reason = RecallFactory.getBlocker(this, unit, playerIndex);
+    if (reason) return { ok: false, reason };
+    RecallFactory.recall(this, unit, playerIndex);
+    this.addHistoryEntry(`${this.players[playerIndex].name} recalled ${unit.fullName || unit.typeName} (row ${row + 1}, col ${col + 1})`);
+
+    return { ok: true, unitId: unit._netId, row, col };
+  }
+
+  /**
+   * End the current turn. Once every player in the turn order has played, the wave is resolved.
+   * @param {number} playerIndex - Acting player
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Turn timer expired: auto-roll and skip the deploy requirement
+   */
+  async endTurn(playerIndex, { force = false } = {}) {
+    const blocked = this._checkTurn(playerIndex);
+    if (blocked) return { ok: false, reason: blocked };
+
+    if (force) {
+      if (!this.rolledThisTurn && this.prototypeDiceIndices.length === 0) this.roll(playerIndex);
+      if (this.prototypeDiceIndices.length > 0) this.rerollProto(playerIndex);
+    } else {
+      const canRoll = this.getHolderCount(playerIndex) < MAX_HOLDERS;
+      if (!this.rolledThisTurn && (canRoll || this.hasPlacementAvailable(playerIndex))) {
+        return { ok: false, reason: "not_rolled" };
+      }
+      if (this.getHolderCount(playerIndex) > 0 && this.hasPlacementAvailable(playerIndex)) {
+        return { ok: false, reason: "deploy_first" };
+      }
+    }
+
+    const next = this.turnOrder[this.turnOrder.indexOf(playerIndex) + 1];
+    if (Number.isInteger(next)) {
+      this.currentPlayer = next;
+      this.startTurn();
+      return { ok: true, waveResolved: false };
+    }
+
+    await this._resolveWave();
+    return { ok: true, waveResolved: true };
+  }
+
+  async _resolveWave() {
+    this._combatInProgress = true;
+    try {
+      await this.resolveCombatRound();
+
+      if (this.checkLose()) return this._finish(false);
+      this.currentWave++;
+      if (this.checkWin()) return this._finish(true);
+      this.startWave();
+    } finally {
+      this._combatInProgress = false;
+    }
+  }
+
+  _finish(win) {
+    const winningRole = win ? "defence" : "monster";
+    const bonus = win ? this.currentWave * 2 + this.defeatedMonsters : this.destroyedDefences + 10;
+    const winnerIndices = this.players.map((p, i) => (p.role === winningRole ? i : -1)).filter(i => i >= 0);
+    winnerIndices.forEach(i => { this.scores[i] += bonus; });
+    this.finished = true;
+    this.result = {
+      win: !!win,
+      // winnerIndex is the first winner, kept for 2-player clients; team matches read winnerIndices
+      winnerIndex: winnerIndices[0] ?? null,
+      winnerIndices,
+      winnerTeam: this.players[winnerIndices[0]]?.team || null,
+      finalWave: this.currentWave,
+      defeatedMonsters: this.defeatedMonsters,
+      destroyedDefences: this.destroyedDefences,
+      mvpByPlayer: this.getMvpByPlayer(),
+      // Revealed once the match is over so it can be replayed or attached to bug reports
+      matchId: this._matchId,
+      seed: this._matchSeed
+    };
+  }
+
+  // ---------- SERIALIZATION ----------
+
+  _serializeUnit(unit) {
+    return {
+      id: this._ensureUnitId(unit),
+      typeName: unit.typeName,
+      owner: Number.isInteger(unit._owner) ? unit._owner : this._resolveOwnerIndexForUnit(unit),
+      row: unit.position ? unit.position.row : null,
+      col: unit.position ? unit.position.col : null,
+      health: unit.health,
+      currentHealth: unit.currentHealth,
+      ammo: unit.ammo ?? null,
+      currentAmmo: unit.currentAmmo ?? null,
+      reloadTimer: unit.reloadTimer ?? 0,
+      isProto: !!unit.isProto,
+      level: unit.level || 1,
+      // Status entries are data copies; drop any object references before sending them
+      status: (unit.status || []).map(s => Object.fromEntries(Object.entries(s || {}).filter(([, v]) => v === null || typeof v !== "object")))
+    };
+  }
+
+  /**
+   * Plain JSON view of the match for clients.
+   * @returns {Object}
+   */
+  snapshot() {
+    return {
+      rows: this.GRID_ROWS,
+      cols: this.GRID_COLS,
+      waves: this.waves,
+      currentWave: this.currentWave,
+      currentPlayer: this.currentPlayer,
+      roles: this.players.map(p => p.role),
+      teams: this.players.map(p => p.team),
+      turnOrder: this.turnOrder.slice(),
+      loadouts: this.players.map(p => ({ normal: p.normalLoadout.slice(), proto: p.protoLoadout.slice() })),
+      diceValues: this.diceValues.slice(),
+      prototypeDiceIndices: this.prototypeDiceIndices.slice(),
+      rolledThisTurn: this.rolledThisTurn,
+      recallPenalties: this.players.map(p => p.recallPenalty || 0),
+      units: this.units.filter(u => u.position).map(u => this._serializeUnit(u)),
+      holders: this.holders.map(h => this._serializeUnit(h)),
+      puddles: this._serializePuddles(),
+      scores: this.scores.slice(),
+      defeatedMonsters: this.defeatedMonsters,
+      destroyedDefences: this.destroyedDefences,
+      finished: this.finished,
+      result: this.result
+    };
+  }
+
+  _serializePuddles() {
+    const list = [];
+    (this.puddles || []).forEach((row, r) => (row || []).forEach((cell, c) => (cell || []).forEach(p => {
+      if (p) list.push({ row: r, col: c, typeName: p.typeName || null, puddleType: p.puddleType || null, duration: p.duration ?? 0 });
+    })));
+    return list;
+  }
+}
+
+export default MatchSimulation;
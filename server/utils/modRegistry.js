@@ -0,0 +1,113 @@
+/**
+ * modRegistry - Validates mod packs uploaded with a lobby and registers them into the shared factories
+ * Packs are parsed with the client's ModPack (definitions only, sprites never reach the server), so the
+ * hash the server computes is the one every player must match before readying up.
+ *
+ * Registrations are global to the process: a pack id can only be replaced by a different version
+ * while no running match uses it.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import ModPack from "../../client/utils/ModPack.js";
+import SchemaValidator, { SCHEMA_FILES } from "../../client/utils/SchemaValidator.js";
+import { loadMatchDefinitions } from "./matchSimulation.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_DIR = path.join(__dirname, "../../client/assets/gamedata/Schemas");
+export const MAX_LOBBY_MODS = 8;
+const MAX_PACK_FILES = 64;
+const MAX_PACK_BYTES = 512 * 1024;
+const MAX_CACHED_PACKS = 64;
+
+let validatorPromise = null;
+// hash -> parsed pack, so a lobby can re-register its version at start-game
+const packsByHash = new Map();
+
+function loadValidator() {
+  if (!validatorPromise) {
+    validatorPromise = (async () => {
+      const validator = new SchemaValidator();
+      for (const file of SCHEMA_FILES) {
+        const raw = await fs.readFile(path.join(SCHEMA_DIR, file), "utf8");
+        validator.addSchema(file, JSON.parse(raw.replace(/^\uFEFF/, "")));
+      }
+      return validator;
+    })().catch(err => {
+      validatorPromise = null;
+      throw err;
+    });
+  }
+  return validatorPromise;
+}
+
+function rememberPack(pack) {
+  packsByHash.delete(pack.hash);
+  packsByHash.set(pack.hash, pack);
+  while (packsByHash.size > MAX_CACHED_PACKS) {
+    packsByHash.delete(packsByHash.keys().next().value);
+  }
+}
+
+/**
+ * Parse uploaded pack payloads and register them.
+ * @param {Array<{id: string, files: Object<string, string>}>} payloads - From the lobby creator
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.inUse] - Pack id -> hash for packs used by running matches
+ * @returns {Promise<{mods: Array<{id: string, name: string, hash: string}>, reason?: string, id?: string, errors?: string[]}>}
+ */
+export async function registerModPacks(payloads, { inUse = new Map() } = {}) {
+  const list = Array.isArray(payloads) ? payloads : [];
+  if (list.length === 0) return { mods: [] };
+  if (list.length > MAX_LOBBY_MODS) return { mods: [], reason: "mods_invalid", errors: [`At most ${MAX_LOBBY_MODS} mod packs per lobby`] };
+
+  await loadMatchDefinitions();
+  const validator = await loadValidator();
+
+  const parsed = [];
+  for (const payload of list) {
+    const files = (payload && typeof payload.files === "object" && payload.files) ? payload.files : {};
+    const entries = Object.entries(files).filter(([, text]) => typeof text === "string");
+    const size = entries.reduce((sum, [p, text]) => sum + p.length + text.length, 0);
+    if (entries.length > MAX_PACK_FILES || size > MAX_PACK_BYTES) {
+      return { mods: [], reason: "mods_invalid", errors: [`${payload?.id || "pack"}: too large`] };
+    }
+    const { pack, errors } = ModPack.parse(Object.fromEntries(entries), { validator, includeSprites: false });
+    if (!pack) return { mods: [], reason: "mods_invalid", errors };
+    if (pack.id !== payload.id) return { mods: [], reason: "mods_invalid", errors: [`${payload.id}: manifest Id is ${pack.id}`] };
+    if (parsed.some(p => p.id === pack.id)) return { mods: [], reason: "mods_invalid", errors: [`${pack.id}: uploaded twice`] };
+    const usedHash = inUse.get(pack.id);
+    if (usedHash && usedHash !== pack.hash) return { mods: [], reason: "mod_in_use", id: pack.id };
+    parsed.push(pack);
+  }
+
+  for (const pack of parsed) {
+    rememberPack(pack);
+    if (ModPack.registered[pack.id]?.hash !== pack.hash) ModPack.register(pack);
+  }
+  console.info(`[ModRegistry] Registered ${parsed.map(p => `${p.id}@${p.hash}`).join(", ")}`);
+  return { mods: parsed.map(p => ({ id: p.id, name: p.name, hash: p.hash })) };
+}
+
+/**
+ * Make sure the exact pack versions a lobby agreed on are the ones registered (another lobby may have
+ * uploaded a different version of the same id meanwhile).
+ * @param {Array<{id: string, hash: string}>} mods - Lobby config mods
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.inUse] - Pack id -> hash for packs used by running matches
+ * @returns {{ok: boolean, reason?: string, id?: string}}
+ */
+export function ensureModPacks(mods, { inUse = new Map() } = {}) {
+  for (const mod of (Array.isArray(mods) ? mods : [])) {
+    if (ModPack.registered[mod.id]?.hash === mod.hash) continue;
+    const pack = packsByHash.get(mod.hash);
+    if (!pack) return { ok: false, reason: "mods_unavailable", id: mod.id };
+    const usedHash = inUse.get(mod.id);
+    if (usedHash && usedHash !== mod.hash) return { ok: false, reason: "mod_in_use", id: mod.id };
+    ModPack.register(pack);
+  }
+  return { ok: true };
+}
@@ -0,0 +1,132 @@
+/**
+ * RatingManager - Elo skill rating for the ranked queue (online games only)
+ * Stored on the user record as `user.rating`:
+ * - elo: current rating, starting at DEFAULT_RATING
+ * - games / wins / losses: ranked matches only
+ * - peak: highest rating reached
+ *
+ * New players move faster (PROVISIONAL_K) until they have played PROVISIONAL_GAMES ranked matches.
+ * Unlike the leaderboard, ratings never reset with the season.
+ */
+
+import { loadUser, saveUser, queueUserUpdate } from './userStorage.js';
+
+export const DEFAULT_RATING = 1000;
+
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K = 40;
+const SETTLED_K = 24;
+const MIN_RATING = 100;
+
+export class RatingManager {
+  /**
+   * Fill in a missing rating on a user record
+   * @param {Object} user - User object from database
+   * @returns {Object|null} The user's rating record
+   */
+  static ensureRating(user) {
+    if (!user) return null;
+    const rating = (user.rating && typeof user.rating === 'object') ? user.rating : {};
+    rating.elo = Number.isFinite(rating.elo) ? rating.elo : DEFAULT_RATING;
+    rating.games = Math.max(0, Math.floor(Number(rating.games) || 0));
+    rating.wins = Math.max(0, Math.floor(Number(rating.wins) || 0));
+    rating.losses = Math.max(0, Math.floor(Number(rating.losses) || 0));
+    rating.peak = Math.max(Number(rating.peak) || 0, rating.elo);
+    user.rating = rating;
+    return rating;
+  }
+
+  /**
+   * Load a user's rating
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { elo, games, wins, losses, peak }, null for unknown users
+   */
+  static async getRating(userId) {
+    if (!userId) return null;
+    const user = await loadUser(userId);
+    if (!user) {
+      console.warn(`[RatingManager] User not found: ${userId}`);
+      return null;
+    }
+    return this.toPublic(this.ensureRating(user));
+  }
+
+  /**
+   * Chance that a player rated `rating` beats one rated `opponentRating`
+   * @param {number} rating
+   * @param {number} opponentRating
+   * @returns {number} Between 0 and 1
+   */
+  static expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  /**
+   * Rating changes for a finished 1v1 match
+   * @param {Array<{elo: number, games: number}>} ratings - Both players' ratings when the match started
+   * @param {number} winnerIndex - 0 or 1
+   * @returns {number[]} Rounded change per player
+   */
+  static getMatchChanges(ratings, winnerIndex) {
+    return [0, 1].map((i) => {
+      const own = ratings[i] || {};
+      const other = ratings[1 - i] || {};
+      const k = (own.games || 0) < PROVISIONAL_GAMES ? PROVISIONAL_K : SETTLED_K;
+      const score = i === winnerIndex ? 1 : 0;
+      const expected = this.expectedScore(own.elo ?? DEFAULT_RATING, other.elo ?? DEFAULT_RATING);
+      return Math.round(k * (score - expected));
+    });
+  }
+
+  /**
+   * Apply one match result to a player's stored rating
+   * @param {string} userId - User ID
+   * @param {number} change - Rating change from getMatchChanges
+   * @param {boolean} won - Whether the player won
+   * @returns {Promise<Object|null>} Updated rating, null for unknown users
+   */
+  static async applyMatchResult(userId, change, won) {
+    if (!userId) return null;
+    return queueUserUpdate(userId, async () => {
+      try {
+        const user = await loadUser(userId);
+        if (!user) {
+          console.warn(`[RatingManager] User not found: ${userId}`);
+          return null;
+        }
+
+        const rating = this.ensureRating(user);
+        rating.elo = Math.max(MIN_RATING, rating.elo + (Math.round(Number(change)) || 0));
+        rating.games += 1;
+        if (won) rating.wins += 1;
+        else rating.losses += 1;
+        rating.peak = Math.max(rating.peak, rating.elo);
+        rating.updatedAt = new Date().toISOString();
+
+        await saveUser(user);
+        console.log(`[RatingManager] ${userId} ${won ? 'won' : 'lost'} ranked match: ${rating.elo} (${change >= 0 ? '+' : ''}${change})`);
+        return this.toPublic(rating);
+      } catch (err) {
+        console.error(`[RatingManager] Failed to update rating for ${userId}:`, err.message);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Copy of a rating that is safe to send to clients
+   * @param {Object} rating - Stored rating
+   * @returns {Object}
+   */
+  static toPublic(rating) {
+    return {
+      elo: rating.elo,
+      games: rating.games,
+      wins: rating.wins,
+      losses: rating.losses,
+      peak: rating.peak
+    };
+  }
+}
+
+export default RatingManager;
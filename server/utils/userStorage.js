@@ -459,4 +459,26 @@ export async function saveUser(user) {
     console.error('[userStorage] ❌ User not found in cache after save - this should not happen');
     throw new Error('User save verification failed');
   }
-}
\ No newline at end of file
+}
+// userId -> tail of that user's pending updates
+const userUpdateQueues = new Map();
+
+/**
+ * Run `fn` once every earlier update queued for the same user has settled. The leaderboard,
+ * inventory and rating managers all load, change and save the whole record when a match ends;
+ * queueing them keeps one save from overwriting another.
+ * @param {string} id - User id
+ * @param {Function} fn - `async () => any`; loads and saves the user itself
+ * @returns {Promise<any>} Whatever `fn` resolves to
+ */
+export function queueUserUpdate(id, fn) {
+  const key = String(id || '');
+  const previous = userUpdateQueues.get(key) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+  userUpdateQueues.set(key, tail);
+  tail.then(() => {
+    if (userUpdateQueues.get(key) === tail) userUpdateQueues.delete(key);
+  });
+  return run;
+}
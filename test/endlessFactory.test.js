@@ -0,0 +1,80 @@
+import test, { before } from "node:test";
+import assert from "node:assert/strict";
+import { loadMatchDefinitions } from "../server/utils/matchSimulation.js";
+import EndlessFactory from "../client/utils/factories/EndlessFactory.js";
+import CombatFactory from "../client/utils/factories/CombatFactory.js";
+import RandomManager from "../client/utils/RandomManager.js";
+
+const endlessScene = (seed, units = []) => ({ endless: true, currentWave: 0, units, holders: [], _rng: RandomManager.createMatchRandom(seed) });
+
+before(async () => {
+  await loadMatchDefinitions();
+});
+
+test("getCurve falls back to the standard curve, which matches normal games", () => {
+  assert.equal(EndlessFactory.getCurve("nope"), EndlessFactory.SCALING_CURVES.standard);
+  const { Start, Rate, Exponent } = EndlessFactory.getCurve("standard");
+  assert.deepEqual({ Start, Rate, Exponent }, CombatFactory.DEFAULT_WAVE_SCALING);
+});
+
+test("monster scaling starts after wave 10 and grows faster on steeper curves", () => {
+  const factor = (curve, wave) => CombatFactory.getWaveScalingFactor(wave, true, { waveScaling: EndlessFactory.getCurve(curve) });
+  assert.equal(factor("brutal", 10), 1);
+  assert.ok(Math.abs(factor("gentle", 20) - 1.8) < 1e-9);
+  assert.ok(Math.abs(factor("standard", 20) - 2) < 1e-9);
+  assert.ok(factor("steep", 30) > factor("standard", 30));
+  assert.ok(factor("brutal", 30) > factor("steep", 30));
+  assert.equal(CombatFactory.getWaveScalingFactor(30, false, { waveScaling: EndlessFactory.getCurve("brutal") }), 1);
+});
+
+test("a modifier is drawn only on the interval and only once per wave", () => {
+  const scene = endlessScene("endless-test");
+  for (const wave of [1, 9, 11]) {
+    scene.currentWave = wave;
+    assert.equal(EndlessFactory.handleWaveStart(scene), null);
+  }
+  scene.currentWave = 10;
+  const id = EndlessFactory.handleWaveStart(scene);
+  assert.ok(id in EndlessFactory.MODIFIERS);
+  assert.equal(EndlessFactory.handleWaveStart(scene), null);
+  assert.deepEqual(scene.endlessModifiers, [{ id, wave: 10 }]);
+  assert.equal(EndlessFactory.handleWaveStart({ ...scene, endless: false, currentWave: 20 }), null);
+});
+
+test("every modifier is drawn once, in the same order for the same seed", () => {
+  const draw = (seed) => {
+    const scene = endlessScene(seed);
+    const ids = [];
+    for (let wave = 10; wave <= 70; wave += 10) {
+      scene.currentWave = wave;
+      ids.push(EndlessFactory.handleWaveStart(scene));
+    }
+    return ids;
+  };
+  const ids = draw("endless-order");
+  const count = Object.keys(EndlessFactory.MODIFIERS).length;
+  assert.deepEqual(new Set(ids.slice(0, count)), new Set(Object.keys(EndlessFactory.MODIFIERS)));
+  assert.deepEqual(ids.slice(count), [null, null]);
+  assert.deepEqual(draw("endless-order"), ids);
+});
+
+test("modifiers apply to the right side, once", () => {
+  const monster = { typeName: "Archer", health: 20, currentHealth: 10, speed: 1, specialEffects: [] };
+  const defence = { typeName: "Ballista", reloadDelay: 3, specialEffects: [] };
+  const scene = { endlessModifiers: [{ id: "reinforced", wave: 10 }, { id: "slow_reload", wave: 20 }] };
+
+  EndlessFactory.applyModifiers(scene, monster);
+  EndlessFactory.applyModifiers(scene, monster);
+  EndlessFactory.applyModifiers(scene, defence);
+  assert.equal(monster.health, 25);
+  assert.equal(monster.currentHealth, 13);
+  assert.equal(monster.reloadDelay, undefined);
+  assert.equal(defence.reloadDelay, 4);
+});
+
+test("fog only covers the monster end of the board", () => {
+  const scene = { GRID_COLS: 9, endlessModifiers: [{ id: "fog", wave: 10 }] };
+  assert.equal(EndlessFactory.isFogged(scene, 5), false);
+  assert.equal(EndlessFactory.isFogged(scene, 6), true);
+  assert.equal(EndlessFactory.isFogged({ GRID_COLS: 9 }, 8), false);
+});
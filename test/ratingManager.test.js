@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import RatingManager, { DEFAULT_RATING } from "../server/utils/ratingManager.js";
+
+test("ensureRating fills in a missing rating", () => {
+  const user = { id: "u1" };
+  assert.deepEqual(RatingManager.ensureRating(user), { elo: DEFAULT_RATING, games: 0, wins: 0, losses: 0, peak: DEFAULT_RATING });
+  assert.equal(user.rating.elo, DEFAULT_RATING);
+  assert.equal(RatingManager.ensureRating(null), null);
+});
+
+test("ensureRating repairs bad fields and keeps the peak at or above the rating", () => {
+  const rating = RatingManager.ensureRating({ rating: { elo: 1200, games: "3.7", wins: -2, peak: 1100 } });
+  assert.deepEqual(rating, { elo: 1200, games: 3, wins: 0, losses: 0, peak: 1200 });
+});
+
+test("expectedScore is even for equal ratings and symmetric", () => {
+  assert.equal(RatingManager.expectedScore(1000, 1000), 0.5);
+  const favourite = RatingManager.expectedScore(1400, 1000);
+  assert.ok(Math.abs(favourite - 10 / 11) < 1e-9);
+  assert.ok(Math.abs(favourite + RatingManager.expectedScore(1000, 1400) - 1) < 1e-9);
+});
+
+test("getMatchChanges uses the provisional K for new players", () => {
+  assert.deepEqual(RatingManager.getMatchChanges([{ elo: 1000, games: 0 }, { elo: 1000, games: 0 }], 0), [20, -20]);
+});
+
+test("getMatchChanges uses the settled K once a player has enough games", () => {
+  assert.deepEqual(RatingManager.getMatchChanges([{ elo: 1000, games: 30 }, { elo: 1000, games: 3 }], 1), [-12, 20]);
+});
+
+test("getMatchChanges rewards an upset more than an expected win", () => {
+  const ratings = [{ elo: 1400, games: 30 }, { elo: 1000, games: 30 }];
+  const [favouriteWin] = RatingManager.getMatchChanges(ratings, 0);
+  const [, upsetWin] = RatingManager.getMatchChanges(ratings, 1);
+  assert.equal(favouriteWin, 2);
+  assert.equal(upsetWin, 22);
+});
+
+test("getMatchChanges treats missing ratings as the default", () => {
+  assert.deepEqual(RatingManager.getMatchChanges([null, undefined], 0), [20, -20]);
+});
+
+test("toPublic drops stored-only fields", () => {
+  const rating = { elo: 1010, games: 1, wins: 1, losses: 0, peak: 1010, updatedAt: "2024-01-01T00:00:00.000Z" };
+  assert.deepEqual(RatingManager.toPublic(rating), { elo: 1010, games: 1, wins: 1, losses: 0, peak: 1010 });
+});
@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import RecallFactory from "../client/utils/factories/RecallFactory.js";
+
+function setup(unitOverrides = {}) {
+  const unit = {
+    typeName: "Ballista",
+    _owner: 0,
+    position: { row: 1, col: 2 },
+    health: 30,
+    currentHealth: 12,
+    range: 7,
+    status: [],
+    specialEffects: [],
+    ...unitOverrides
+  };
+  const grid = [[{}, {}, {}], [{}, {}, { unit }]];
+  const scene = { units: [unit], holders: [], grid, players: [{ recallPenalty: 0 }, {}] };
+  return { scene, unit };
+}
+
+test("getBlocker allows the owner to recall a live unit", () => {
+  const { scene, unit } = setup();
+  assert.equal(RecallFactory.getBlocker(scene, unit, 0), null);
+});
+
+test("getBlocker refuses other players, dead and disabled units, and full holders", () => {
+  const { scene, unit } = setup();
+  assert.equal(RecallFactory.getBlocker(scene, unit, 1), "not_your_unit");
+  assert.equal(RecallFactory.getBlocker(scene, { ...unit }, 0), "no_unit");
+
+  unit.currentHealth = 0;
+  assert.equal(RecallFactory.getBlocker(scene, unit, 0), "no_unit");
+  unit.currentHealth = 12;
+
+  unit.status = [{ Type: "Stun", Duration: 1 }];
+  assert.equal(RecallFactory.getBlocker(scene, unit, 0), "unit_disabled");
+  unit.status = [];
+
+  scene.holders = Array.from({ length: 10 }, () => ({ _owner: 0 }));
+  assert.equal(RecallFactory.getBlocker(scene, unit, 0), "holders_full");
+});
+
+test("recall moves the unit to the holders and keeps its health", () => {
+  const { scene, unit } = setup();
+  assert.equal(RecallFactory.recall(scene, unit, 0), true);
+  assert.equal(scene.grid[1][2].unit, null);
+  assert.deepEqual(scene.units, []);
+  assert.deepEqual(scene.holders, [unit]);
+  assert.equal(unit.position, undefined);
+  assert.equal(unit.currentHealth, 12);
+});
+
+test("each recall adds a penalty that a rolled six pays off", () => {
+  const { scene, unit } = setup();
+  RecallFactory.recall(scene, unit, 0);
+  const player = scene.players[0];
+  assert.equal(player.recallPenalty, 1);
+
+  assert.equal(RecallFactory.consumePenalty(player), true);
+  assert.equal(player.recallPenalty, 0);
+  assert.equal(RecallFactory.consumePenalty(player), false);
+  assert.equal(RecallFactory.consumePenalty(null), false);
+});
+
+test("a refused recall changes nothing", () => {
+  const { scene, unit } = setup();
+  assert.equal(RecallFactory.recall(scene, unit, 1), false);
+  assert.deepEqual(scene.units, [unit]);
+  assert.equal(scene.players[1].recallPenalty, undefined);
+});
@@ -0,0 +1,52 @@
+import test, { before } from "node:test";
+import assert from "node:assert/strict";
+import { loadMatchDefinitions } from "../server/utils/matchSimulation.js";
+import StatusEffectFactory from "../client/utils/factories/StatusEffectFactory.js";
+
+const STUN_DR = { Window: 1, DurationMultiplier: 0.5 };
+
+const makeUnit = () => ({ typeName: "Dummy", status: [], applyStatus(s) { this.status.push(s); } });
+
+before(async () => {
+  await loadMatchDefinitions();
+});
+
+test("Stun carries its diminishing returns rule", () => {
+  assert.deepEqual(StatusEffectFactory.getRules("Stun").DiminishingReturns, STUN_DR);
+});
+
+test("a repeat inside the window is shortened, down to not landing", () => {
+  const unit = makeUnit();
+  assert.equal(StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 2 }, STUN_DR, unit, { currentWave: 3 }), 2);
+  assert.equal(StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 2 }, STUN_DR, unit, { currentWave: 4 }), 1);
+  assert.equal(StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 2 }, STUN_DR, unit, { currentWave: 4 }), 0);
+});
+
+test("an application that doesn't land leaves the history alone", () => {
+  const unit = makeUnit();
+  StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 1 }, STUN_DR, unit, { currentWave: 3 });
+  StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 1 }, STUN_DR, unit, { currentWave: 4 });
+  assert.deepEqual(unit._statusHistory.Stun, { wave: 3, repeats: 0 });
+});
+
+test("the window resets once it has passed", () => {
+  const unit = makeUnit();
+  StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 2 }, STUN_DR, unit, { currentWave: 3 });
+  assert.equal(StatusEffectFactory._applyDiminishingReturns({ Type: "Stun", Duration: 2 }, STUN_DR, unit, { currentWave: 5 }), 2);
+});
+
+test("applyStatusToTarget stops a re-stun on the next wave from landing", () => {
+  const unit = makeUnit();
+  const scene = { currentWave: 3 };
+  StatusEffectFactory.applyStatusToTarget({ Type: "Stun", Duration: 1 }, unit, scene);
+  assert.equal(unit.status.length, 1);
+
+  unit.status = [];
+  scene.currentWave = 4;
+  StatusEffectFactory.applyStatusToTarget({ Type: "Stun", Duration: 1 }, unit, scene);
+  assert.equal(unit.status.length, 0);
+
+  scene.currentWave = 6;
+  StatusEffectFactory.applyStatusToTarget({ Type: "Stun", Duration: 1 }, unit, scene);
+  assert.equal(unit.status.length, 1);
+});
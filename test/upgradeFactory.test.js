@@ -0,0 +1,77 @@
+import test, { before } from "node:test";
+import assert from "node:assert/strict";
+import { loadMatchDefinitions } from "../server/utils/matchSimulation.js";
+import UpgradeFactory from "../client/utils/factories/UpgradeFactory.js";
+
+const placed = (typeName, overrides = {}) => ({
+  typeName,
+  _owner: 0,
+  position: { row: 1, col: 1 },
+  specialEffects: [],
+  ...overrides
+});
+
+const sceneWith = (holder, target) => ({ holders: [holder], units: [target] });
+
+before(async () => {
+  await loadMatchDefinitions();
+});
+
+test("getMaxLevel counts the Levels block and is 1 without one", () => {
+  assert.equal(UpgradeFactory.getMaxLevel("Ballista"), 3);
+  assert.equal(UpgradeFactory.getMaxLevel("NotAUnit"), 1);
+});
+
+test("getLevelStats carries stats a level leaves out over from the level below", () => {
+  assert.deepEqual(UpgradeFactory.getLevelStats("Ballista", 1), { Health: 30, Damage: 35, Range: 7, Ammo: 1, ReloadDelay: 3 });
+  assert.deepEqual(UpgradeFactory.getLevelStats("Ballista", 3), { Health: 60, Damage: 70, Range: 7, Ammo: 1, ReloadDelay: 3 });
+  assert.deepEqual(UpgradeFactory.getLevelStats("Ballista", 9), UpgradeFactory.getLevelStats("Ballista", 3));
+});
+
+test("canMerge needs an identical live unit of the same owner below the max level", () => {
+  const target = placed("Ballista", { currentHealth: 30 });
+  assert.equal(UpgradeFactory.canMerge(sceneWith(placed("Ballista"), target), placed("Ballista"), target), false, "holder not in the list");
+
+  const holder = placed("Ballista");
+  assert.equal(UpgradeFactory.canMerge(sceneWith(holder, target), holder, target), true);
+
+  const enemy = placed("Ballista", { _owner: 1 });
+  assert.equal(UpgradeFactory.canMerge(sceneWith(enemy, target), enemy, target), false, "other owner");
+
+  const other = placed("Archer");
+  assert.equal(UpgradeFactory.canMerge(sceneWith(other, target), other, target), false, "other type");
+
+  const maxed = placed("Ballista", { currentHealth: 60, level: 3 });
+  assert.equal(UpgradeFactory.canMerge(sceneWith(holder, maxed), holder, maxed), false, "max level");
+
+  const dead = placed("Ballista", { currentHealth: 0 });
+  assert.equal(UpgradeFactory.canMerge(sceneWith(holder, dead), holder, dead), false, "dead target");
+});
+
+test("merge uses up the holder and keeps the damage already taken", () => {
+  const holder = placed("Ballista");
+  const target = placed("Ballista", { health: 30, currentHealth: 10, damage: 35, range: 7, ammo: 1, currentAmmo: 0, reloadDelay: 3 });
+  const scene = sceneWith(holder, target);
+
+  assert.equal(UpgradeFactory.merge(scene, holder, target), true);
+  assert.deepEqual(scene.holders, []);
+  assert.equal(target.level, 2);
+  assert.equal(target.health, 45);
+  assert.equal(target.currentHealth, 25);
+  assert.equal(target.damage, 52);
+  assert.equal(target.range, 7);
+  assert.equal(target.currentAmmo, 0);
+});
+
+test("merge scales a monster's gains by the wave it was scaled at", () => {
+  const holder = placed("Archer");
+  const target = placed("Archer", { health: 30, currentHealth: 30, damage: 16, _waveScaledAt: 20, _originalBaseHealth: 15, _originalBaseDamage: 8 });
+  const scene = sceneWith(holder, target);
+
+  assert.equal(UpgradeFactory.merge(scene, holder, target), true);
+  assert.equal(target.health, 44);
+  assert.equal(target.currentHealth, 44);
+  assert.equal(target.damage, 24);
+  assert.equal(target._originalBaseHealth, 22);
+  assert.equal(target._originalBaseDamage, 12);
+});